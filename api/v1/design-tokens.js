@@ -0,0 +1,93 @@
+/**
+ * @swagger
+ * /design-tokens:
+ *   post:
+ *     summary: Export Figma styles as design tokens
+ *     description: Resolves the color, typography, effect, spacing and radius values of a Figma file and renders them as W3C DTCG, Style Dictionary, CSS custom properties, SCSS variables and a Tailwind theme extension
+ *     tags:
+ *       - Design Tokens
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fileKey
+ *             properties:
+ *               fileKey:
+ *                 type: string
+ *                 description: Figma File Key
+ *                 example: "UijlTILMmeErA1cakxBBLU"
+ *               figmaToken:
+ *                 type: string
+ *                 description: Figma access token (optional, uses env var if not provided)
+ *               formats:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [dtcg, style-dictionary, css, scss, tailwind]
+ *                 description: Token formats to render (defaults to all)
+ *               variables:
+ *                 type: boolean
+ *                 description: Also export the file's Figma variables, read from the local variables endpoint (Enterprise plans), with a [data-<collection>] block per mode of each variable collection
+ *                 default: false
+ *               variablesJson:
+ *                 type: object
+ *                 description: Exported variables JSON (the variables/local response) used instead of the endpoint
+ *     responses:
+ *       200:
+ *         description: Design tokens successfully exported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 fileKey:
+ *                   type: string
+ *                 fileName:
+ *                   type: string
+ *                 version:
+ *                   type: string
+ *                 tokenCount:
+ *                   type: integer
+ *                 formats:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 files:
+ *                   type: object
+ *                   description: Map of token file name to file content
+ *                   example:
+ *                     tokens.css: ":root {\n  --color-brand-primary: #3366ff;\n}\n"
+ *                 warnings:
+ *                   type: array
+ *                   description: Variables and mode values left out because their aliases form a cycle
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Bad request
+ *       401:
+ *         description: Figma access token not configured
+ *       405:
+ *         description: Method not allowed
+ *       500:
+ *         description: Internal server error
+ */
+
+import DesignTokensController from '../../src/controllers/designTokensController.js';
+import { asyncHandler } from '../../src/utils/errorHandler.js';
+
+export default asyncHandler(async (req, res) => {
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+      details: 'Only POST requests are supported',
+    });
+  }
+
+  return await DesignTokensController.exportTokens(req, res);
+});
@@ -27,6 +27,12 @@
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: The requested nodeId does not exist in the file
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       405:
  *         description: Method not allowed
  *         content:
@@ -43,8 +49,31 @@
 
 import { v4 as uuidv4 } from 'uuid';
 import FigmaService from '../../src/services/figmaService.js';
-import DesignAnalyzerAgent from '../../src/agents/designAnalyzerAgent.js';
+import { getSharedFigmaCache } from '../../src/services/figmaCache.js';
+import { createCodeGenerator, GENERATORS } from '../../src/agents/codeGenerator.js';
 import GeneratedCodeRepository from '../../src/repositories/generatedCodeRepository.js';
+import { validateExtractionFilters } from '../../src/utils/validators.js';
+
+/**
+ * Extrai só o nó pedido, com o próprio layout, pintura e tamanho (ver extractNode), no
+ * formato de extractFile
+ * @returns {Promise<Object|null>} { fileData, componentsData, styles }, ou null quando o nó
+ *   não existe
+ */
+async function extractRequestedNode(figmaService, fileKey, nodeId, { includeHidden }) {
+  const { name, version, lastModified, thumbnailUrl } = await figmaService.getFileMetadata(fileKey);
+  const styles = { colors: {}, typography: {}, effects: {}, grids: {} };
+  const component = await figmaService.extractNode(fileKey, nodeId, { includeHidden, styles });
+  if (!component) {
+    return null;
+  }
+
+  return {
+    fileData: { name, version, lastModified, thumbnailUrl },
+    componentsData: { name, version, lastModified, components: [component], totalComponents: 1 },
+    styles,
+  };
+}
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -74,6 +103,26 @@ export default async function handler(req, res) {
       });
     }
 
+    const generator = options.generator || 'ai';
+    if (!GENERATORS.includes(generator)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid generator',
+        details: `generator must be one of: ${GENERATORS.join(', ')}`,
+      });
+    }
+
+    let filters;
+    try {
+      filters = validateExtractionFilters(options.filters);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid filters',
+        details: validationError.message,
+      });
+    }
+
     // Obter token do Figma
     const figmaToken = process.env.FIGMA_ACCESS_TOKEN;
     if (!figmaToken) {
@@ -88,40 +137,46 @@ export default async function handler(req, res) {
     const aiProvider = req.headers['x-ai-provider'] || 'github';
 
     // Inicializar serviços
-    const figmaService = new FigmaService(figmaToken);
-    const designAgent = new DesignAnalyzerAgent(aiProvider);
+    // Respostas de arquivos e nós ficam em cache entre requisições (revalidadas pela versão)
+    const figmaService = new FigmaService(figmaToken, { cache: getSharedFigmaCache() });
+    const designAgent = createCodeGenerator(generator, aiProvider);
     const repository = new GeneratedCodeRepository();
 
-    // Buscar arquivo do Figma
+    // Buscar o arquivo do Figma página por página e extrair componentes das páginas e frames
+    // mantidos pelos filtros, limitados para evitar payload muito grande (o limite é
+    // repartido entre as páginas). Um nó pedido é extraído sozinho, como componente raiz.
     console.log(`Fetching Figma file: ${fileKey}`);
-    const fileData = await figmaService.getFile(fileKey);
-
-    // Extrair componentes
-    let componentsData;
-    if (nodeId) {
-      // Extrair apenas um nó específico
-      const nodeData = await figmaService.getNode(fileKey, nodeId);
-      componentsData = figmaService.extractComponents(nodeData);
-    } else {
-      // Extrair arquivo completo
-      componentsData = figmaService.extractComponents(fileData);
-    }
-
-    // Limitar número de componentes para evitar payload muito grande
     const maxComponents = options?.maxComponents || 10;
-    if (componentsData.components && componentsData.components.length > maxComponents) {
-      console.log(
-        `Limiting components from ${componentsData.components.length} to ${maxComponents}`
+    const includeHidden = options.includeHidden === true;
+    const extraction = nodeId
+      ? await extractRequestedNode(figmaService, fileKey, nodeId, { includeHidden })
+      : await figmaService.extractFile(fileKey, { maxComponents, filters, includeHidden });
+    if (!extraction) {
+      return res.status(404).json({
+        success: false,
+        error: 'Node not found',
+        details: `Node ${nodeId} was not found in file ${fileKey}`,
+      });
+    }
+    const { fileData, componentsData, styles } = extraction;
+
+    // Estilos resolvidos acompanham as referências dos componentes
+    componentsData.styles = styles;
+
+    // Frames além do limite não são extraídos; a resposta informa quantos ficaram de fora
+    const extractedCount = componentsData.components?.length || 0;
+    const totalComponents = componentsData.totalComponents ?? extractedCount;
+    const warnings = [];
+    if (totalComponents > extractedCount) {
+      warnings.push(
+        `Extracted ${extractedCount} of ${totalComponents} components of ${fileKey} (maxComponents: ${maxComponents})`
       );
-      componentsData.components = componentsData.components.slice(0, maxComponents);
+      console.warn(warnings[0]);
     }
 
-    // Extrair estilos
-    const styles = figmaService.extractStyles(fileData);
-
-    // Gerar código com IA
+    // Gerar código (IA ou gerador de templates)
     console.log(
-      `Generating ${framework} code using ${aiProvider} with ${componentsData.components?.length || 0} components`
+      `Generating ${framework} code using ${aiProvider} with ${extractedCount} components`
     );
     const generatedCode = await designAgent.analyzeAndGenerateCode(componentsData, framework, {
       ...options,
@@ -148,7 +203,20 @@ export default async function handler(req, res) {
         figmaFile: fileKey,
         figmaVersion: fileData.version,
         lastModified: fileData.lastModified,
-        provider: aiProvider,
+        provider: designAgent.provider,
+        generator,
+        components: {
+          extracted: extractedCount,
+          total: totalComponents,
+          maxComponents,
+          truncated: totalComponents > extractedCount,
+        },
+        // Designs maiores que um prompt são gerados em partes (ver generateInChunks)
+        ...(generatedCode.chunks && {
+          chunks: { parts: generatedCode.chunks, tokenBudget: designAgent.chunkTokens },
+        }),
+        warnings: [...warnings, ...(generatedCode.warnings || [])],
+        cache: figmaService.cacheStats,
         timestamp: new Date().toISOString(),
       },
     };
@@ -3,7 +3,7 @@
  * /extract-project:
  *   post:
  *     summary: Extract Figma file(s) and generate JSON files
- *     description: Extracts specific file or all files from a project and generates JSON specifications for another agent to develop
+ *     description: Queues a background job that extracts a specific file or all files from a project and generates JSON specifications for another agent to develop. Responds right away with the job ID; poll /jobs/{id} for per-file and per-framework progress and for the result. On serverless deployments (Vercel), where a function stops once it responds, the job runs inside the request and the finished job is returned.
  *     tags:
  *       - Project Extraction
  *     requestBody:
@@ -14,7 +14,6 @@
  *             type: object
  *             required:
  *               - figmaToken
- *               - githubToken
  *             properties:
  *               fileKey:
  *                 type: string
@@ -33,7 +32,7 @@
  *                 description: Figma Personal Access Token
  *               githubToken:
  *                 type: string
- *                 description: GitHub Personal Access Token
+ *                 description: GitHub Personal Access Token (required unless options.generator is "template")
  *               options:
  *                 type: object
  *                 properties:
@@ -55,9 +54,116 @@
  *                     type: boolean
  *                     description: Generate documentation JSON
  *                     default: true
+ *                   generator:
+ *                     type: string
+ *                     enum: [ai, template]
+ *                     description: Code generator (AI model or deterministic templates)
+ *                     default: ai
+ *                   designTokens:
+ *                     type: boolean
+ *                     description: Write design token files next to project-index.json
+ *                     default: false
+ *                   tokenFormats:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                       enum: [dtcg, style-dictionary, css, scss, tailwind]
+ *                     description: Token formats to write (defaults to all)
+ *                   outputFormat:
+ *                     type: string
+ *                     enum: [json, source]
+ *                     description: Also write a source tree per framework (components, barrel files, global styles, package.json) with "source"
+ *                     default: json
+ *                   scaffold:
+ *                     type: boolean
+ *                     description: Wrap each source tree in a runnable app (Vite + React/Vue, Angular CLI or static HTML) with a route per Figma page and a screen per top-level frame
+ *                     default: false
+ *                   exportAssets:
+ *                     type: boolean
+ *                     description: Export icons (SVG), image layers and image fills into assets/ and reference them from the generated code
+ *                     default: false
+ *                   imageFormat:
+ *                     type: string
+ *                     enum: [png, jpg]
+ *                     description: Bitmap format of exported image layers
+ *                     default: png
+ *                   imageScales:
+ *                     type: array
+ *                     items:
+ *                       type: number
+ *                       minimum: 0.01
+ *                       maximum: 4
+ *                     description: Scales image layers are exported at (the first is the src, the others form a srcset)
+ *                     default: [1]
+ *                   responsive:
+ *                     type: boolean
+ *                     description: Merge frames drawing the same screen at several widths ("Home / Desktop", "Home / Mobile") into one responsive component
+ *                     default: false
+ *                   breakpoints:
+ *                     type: object
+ *                     additionalProperties:
+ *                       type: integer
+ *                       minimum: 0
+ *                     description: Breakpoint names mapped to minimum viewport widths in px (mobile first)
+ *                     default: { mobile: 0, tablet: 768, desktop: 1280 }
+ *                   responsiveQuery:
+ *                     type: string
+ *                     enum: [media, container]
+ *                     description: Write breakpoint overrides as media queries or container queries
+ *                     default: media
+ *                   variables:
+ *                     type: boolean
+ *                     description: Read the file's Figma variables from the local variables endpoint (Enterprise plans); bound properties reference them as CSS custom properties, themed per mode with a [data-<collection>] attribute per variable collection
+ *                     default: false
+ *                   variablesJson:
+ *                     type: object
+ *                     description: Exported variables JSON (the variables/local response) used for every file instead of the endpoint
+ *                   filters:
+ *                     $ref: '#/components/schemas/ExtractionFilters'
+ *                   includeHidden:
+ *                     type: boolean
+ *                     description: Keep hidden and fully transparent layers, marked hidden
+ *                     default: false
+ *                   sharedLibrary:
+ *                     type: boolean
+ *                     description: In project mode, generate components used in more than one file once, in a shared library the files import
+ *                     default: false
+ *                   archive:
+ *                     type: boolean
+ *                     description: When the job completes inside the request (serverless deployments), respond with a ZIP of its output instead of the job
+ *                     default: false
+ *                   incremental:
+ *                     type: boolean
+ *                     description: Continue the last run of the same file or project, skipping unchanged files and regenerating only changed frames
+ *                     default: false
  *     responses:
+ *       202:
+ *         description: Extraction job queued, or paused after its first step (serverless deployments)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 jobId:
+ *                   type: string
+ *                   format: uuid
+ *                 status:
+ *                   type: string
+ *                   example: queued
+ *                 statusUrl:
+ *                   type: string
+ *                   example: /api/v1/jobs/3f1c2a9e-7b1d-4c55-9a0e-2d6f1b8c4e21
+ *                 cancelUrl:
+ *                   type: string
+ *                   example: /api/v1/jobs/3f1c2a9e-7b1d-4c55-9a0e-2d6f1b8c4e21/cancel
+ *                 resumeUrl:
+ *                   type: string
+ *                   description: Continues a paused job for another step
+ *                   example: /api/v1/jobs/3f1c2a9e-7b1d-4c55-9a0e-2d6f1b8c4e21/resume
  *       200:
- *         description: Project successfully extracted
+ *         description: Extraction job completed within its first step (serverless deployments)
  *         content:
  *           application/json:
  *             schema:
@@ -65,31 +171,22 @@
  *               properties:
  *                 success:
  *                   type: boolean
- *                 projectId:
+ *                 jobId:
  *                   type: string
- *                 projectName:
+ *                   format: uuid
+ *                 status:
  *                   type: string
- *                 filesProcessed:
- *                   type: integer
- *                 outputFiles:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       fileName:
- *                         type: string
- *                       fileKey:
- *                         type: string
- *                       frameworks:
- *                         type: array
- *                         items:
- *                           type: string
- *                       componentsExtracted:
- *                         type: integer
- *                       jsonPath:
- *                         type: string
- *                 metadata:
- *                   type: object
+ *                   example: completed
+ *                 statusUrl:
+ *                   type: string
+ *                 cancelUrl:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Job'
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
  *       400:
  *         description: Bad request
  *       500:
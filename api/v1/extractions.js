@@ -0,0 +1,52 @@
+/**
+ * @swagger
+ * /extractions/{id}/archive:
+ *   get:
+ *     summary: Download an extraction as a ZIP archive
+ *     description: |
+ *       Returns a ZIP of everything a completed extract-project job wrote: file specifications,
+ *       source trees, design token files and project-index.json. The archive is streamed one
+ *       file at a time. The job and its output must be stored where this instance can read
+ *       them (JOBS_DB_PATH and OUTPUT_DIR); on serverless deployments send archive: true to
+ *       extract-project instead.
+ *     tags:
+ *       - Jobs
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID of the extract-project job
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: ZIP archive
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: The job is not a completed extraction
+ *       404:
+ *         description: Job or output directory not found
+ *       413:
+ *         description: The output has more than 65535 files or 4 GB, more than a ZIP archive without ZIP64 holds
+ */
+
+import ExtractionsController from '../../src/controllers/extractionsController.js';
+import { asyncHandler } from '../../src/utils/errorHandler.js';
+
+export default asyncHandler(async (req, res) => {
+  const { id, action } = req.query || {};
+
+  if (req.method === 'GET' && id && action === 'archive') {
+    return await ExtractionsController.downloadArchive(req, res);
+  }
+
+  return res.status(405).json({
+    success: false,
+    error: 'Method not allowed',
+    details: 'Use GET /extractions/:id/archive',
+  });
+});
@@ -43,8 +43,15 @@
 
 import { v4 as uuidv4 } from 'uuid';
 import FigmaService from '../../src/services/figmaService.js';
-import DesignAnalyzerAgent from '../../src/agents/designAnalyzerAgent.js';
+import { getSharedFigmaCache } from '../../src/services/figmaCache.js';
+import { createCodeGenerator, GENERATORS } from '../../src/agents/codeGenerator.js';
 import GeneratedCodeRepository from '../../src/repositories/generatedCodeRepository.js';
+import { mergeBreakpointFrames } from '../../src/utils/figmaBreakpoints.js';
+import {
+  validateBreakpoints,
+  validateExtractionFilters,
+  validateResponsiveQuery,
+} from '../../src/utils/validators.js';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -74,6 +81,39 @@ export default async function handler(req, res) {
       });
     }
 
+    const generator = options.generator || 'ai';
+    if (!GENERATORS.includes(generator)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid generator',
+        details: `generator must be one of: ${GENERATORS.join(', ')}`,
+      });
+    }
+
+    let breakpoints;
+    let responsiveQuery;
+    try {
+      breakpoints = validateBreakpoints(options.breakpoints);
+      responsiveQuery = validateResponsiveQuery(options.responsiveQuery);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid responsive options',
+        details: validationError.message,
+      });
+    }
+
+    let filters;
+    try {
+      filters = validateExtractionFilters(options.filters);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid filters',
+        details: validationError.message,
+      });
+    }
+
     // Obter token do Figma
     const figmaToken = process.env.FIGMA_ACCESS_TOKEN;
     if (!figmaToken) {
@@ -88,35 +128,38 @@ export default async function handler(req, res) {
     const aiProvider = req.headers['x-ai-provider'] || 'github';
 
     // Inicializar serviços
-    const figmaService = new FigmaService(figmaToken);
-    const designAgent = new DesignAnalyzerAgent(aiProvider);
+    // Respostas de arquivos e nós ficam em cache entre requisições (revalidadas pela versão)
+    const figmaService = new FigmaService(figmaToken, { cache: getSharedFigmaCache() });
+    const designAgent = createCodeGenerator(generator, aiProvider);
     const repository = new GeneratedCodeRepository();
 
-    // Buscar arquivo do Figma
+    // Buscar o arquivo do Figma página por página (ou só a página pedida) e extrair componentes
+    // das páginas e frames mantidos pelos filtros
     console.log(`Fetching Figma file: ${fileKey}`);
-    const fileData = await figmaService.getFile(fileKey);
-
-    // Extrair componentes
-    let componentsData;
-    if (pageId) {
-      // Extrair página específica
-      const nodeData = await figmaService.getNode(fileKey, pageId);
-      componentsData = figmaService.extractComponents(nodeData);
-    } else {
-      // Extrair arquivo completo
-      componentsData = figmaService.extractComponents(fileData);
+    const { fileData, componentsData, styles } = await figmaService.extractFile(fileKey, {
+      filters,
+      includeHidden: options.includeHidden === true,
+      ...(pageId && { ids: pageId }),
+    });
+
+    // Frames da mesma tela em larguras diferentes viram um componente responsivo
+    if (options.responsive) {
+      componentsData.components = mergeBreakpointFrames(
+        componentsData.components || [],
+        breakpoints
+      );
     }
 
-    // Extrair estilos
-    const styles = figmaService.extractStyles(fileData);
+    // Estilos resolvidos acompanham as referências dos componentes
+    componentsData.styles = styles;
 
-    // Gerar código com IA
-    console.log(`Generating ${framework} code using ${aiProvider}`);
-    const generatedCode = await designAgent.analyzeAndGenerateCode(
-      componentsData,
-      framework,
-      options
-    );
+    // Gerar código (IA ou gerador de templates)
+    console.log(`Generating ${framework} code using ${designAgent.provider}`);
+    const generatedCode = await designAgent.analyzeAndGenerateCode(componentsData, framework, {
+      ...options,
+      breakpoints,
+      responsiveQuery,
+    });
 
     // Preparar resultado
     const id = uuidv4();
@@ -138,7 +181,14 @@ export default async function handler(req, res) {
         figmaFile: fileKey,
         figmaVersion: fileData.version,
         lastModified: fileData.lastModified,
-        provider: aiProvider,
+        provider: designAgent.provider,
+        generator,
+        // Designs maiores que um prompt são gerados em partes (ver generateInChunks)
+        ...(generatedCode.chunks && {
+          chunks: { parts: generatedCode.chunks, tokenBudget: designAgent.chunkTokens },
+        }),
+        warnings: generatedCode.warnings || [],
+        cache: figmaService.cacheStats,
         timestamp: new Date().toISOString(),
       },
     };
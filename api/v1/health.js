@@ -81,6 +81,9 @@ export default function handler(req, res) {
       listFiles: '/api/v1/list-files',
       extractDesign: '/api/v1/extract-design',
       extractProject: '/api/v1/extract-project',
+      designTokens: '/api/v1/design-tokens',
+      jobs: '/api/v1/jobs',
+      extractionArchive: '/api/v1/extractions/:id/archive',
       generateCode: '/api/v1/generate-code',
       generatedCode: '/api/v1/generated-code',
       swagger: '/api/v1/swagger',
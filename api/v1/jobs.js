@@ -0,0 +1,227 @@
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Job:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         type:
+ *           type: string
+ *           example: extract-project
+ *         status:
+ *           type: string
+ *           enum: [queued, running, completed, failed, cancelled, interrupted, paused]
+ *         params:
+ *           type: object
+ *           description: Extraction parameters (tokens are never persisted)
+ *         progress:
+ *           type: object
+ *           properties:
+ *             filesTotal:
+ *               type: integer
+ *             filesCompleted:
+ *               type: integer
+ *             filesFailed:
+ *               type: integer
+ *             files:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   fileKey:
+ *                     type: string
+ *                   fileName:
+ *                     type: string
+ *                   status:
+ *                     type: string
+ *                     enum: [pending, processing, completed, failed]
+ *                   frameworks:
+ *                     type: object
+ *                     description: Status per framework (pending, running, completed, failed, skipped)
+ *                     example:
+ *                       react: completed
+ *                       vue: running
+ *         result:
+ *           type: object
+ *           description: Extraction result once the job is completed
+ *         error:
+ *           type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *             statusCode:
+ *               type: integer
+ *         cancelRequested:
+ *           type: boolean
+ *         workerId:
+ *           type: string
+ *           description: Host and process ID of the worker that ran the job
+ *         heartbeatAt:
+ *           type: string
+ *           format: date-time
+ *           description: Last heartbeat of the worker holding the job
+ *         resumable:
+ *           type: boolean
+ *         checkpointed:
+ *           type: boolean
+ *           description: Whether completed files are kept for a resumed run
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         finishedAt:
+ *           type: string
+ *           format: date-time
+ *
+ * /jobs:
+ *   get:
+ *     summary: List background jobs
+ *     description: Lists extraction jobs, newest first
+ *     tags:
+ *       - Jobs
+ *     parameters:
+ *       - name: status
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [queued, running, completed, failed, cancelled, interrupted, paused]
+ *       - name: type
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Jobs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Job'
+ *       400:
+ *         description: Invalid status filter
+ *
+ * /jobs/{id}:
+ *   get:
+ *     summary: Get job status and progress
+ *     description: Reports the status of a job with per-file and per-framework progress. Jobs left queued or running by a worker that stopped sending heartbeats are reported as interrupted.
+ *     tags:
+ *       - Jobs
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Job'
+ *       404:
+ *         description: Job not found
+ *
+ * /jobs/{id}/cancel:
+ *   post:
+ *     summary: Cancel a job
+ *     description: Cancels a queued, paused or interrupted job right away; a running job stops before its next file or framework
+ *     tags:
+ *       - Jobs
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cancellation accepted
+ *       400:
+ *         description: Job already finished
+ *       404:
+ *         description: Job not found
+ *
+ * /jobs/{id}/resume:
+ *   post:
+ *     summary: Resume a job
+ *     description: Queues a failed, cancelled, interrupted or paused extraction again, skipping the files completed before. On serverless deployments it runs the job for one more step.
+ *     tags:
+ *       - Jobs
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               figmaToken:
+ *                 type: string
+ *                 description: Figma access token (optional, uses env var if not provided)
+ *     responses:
+ *       202:
+ *         description: Job queued again, or paused after one more step (serverless deployments)
+ *       200:
+ *         description: Job completed within the step (serverless deployments)
+ *       400:
+ *         description: Job cannot be resumed
+ *       401:
+ *         description: Figma access token not configured
+ *       404:
+ *         description: Job not found
+ */
+
+import JobsController from '../../src/controllers/jobsController.js';
+import { asyncHandler } from '../../src/utils/errorHandler.js';
+
+const ACTIONS = {
+  cancel: JobsController.cancelJob,
+  resume: JobsController.resumeJob,
+};
+
+export default asyncHandler(async (req, res) => {
+  const { id, action } = req.query || {};
+
+  if (req.method === 'GET' && !action) {
+    return id ? await JobsController.getJob(req, res) : await JobsController.listJobs(req, res);
+  }
+
+  if (req.method === 'POST' && id && ACTIONS[action]) {
+    return await ACTIONS[action](req, res);
+  }
+
+  return res.status(405).json({
+    success: false,
+    error: 'Method not allowed',
+    details: 'Use GET /jobs, GET /jobs/:id, POST /jobs/:id/cancel or POST /jobs/:id/resume',
+  });
+});
@@ -143,11 +143,13 @@
  *         description: Unauthorized - invalid or missing Figma token
  *       405:
  *         description: Method not allowed
+ *       429:
+ *         description: Figma rate limit still exceeded after retrying
  *       500:
  *         description: Internal server error
  */
 
-import axios from 'axios';
+import FigmaClient from '../../src/services/figmaClient.js';
 
 export default async function handler(req, res) {
   if (req.method !== 'GET' && req.method !== 'POST') {
@@ -190,44 +192,37 @@ export default async function handler(req, res) {
   let id = '';
 
   try {
-    let response;
+    const figmaClient = new FigmaClient(figmaToken);
+    let data;
 
     // Determinar qual endpoint da API do Figma usar
     if (project_id) {
       // Listar arquivos de um projeto específico
       source = 'project';
       id = project_id;
-      response = await axios.get(`https://api.figma.com/v1/projects/${project_id}/files`, {
-        headers: {
-          'X-Figma-Token': figmaToken,
-        },
-      });
+      data = await figmaClient.get(`/projects/${project_id}/files`);
     } else {
       // Listar arquivos de um team
       source = 'team';
       id = team_id;
-      response = await axios.get(`https://api.figma.com/v1/teams/${team_id}/projects`, {
-        headers: {
-          'X-Figma-Token': figmaToken,
-        },
-      });
+      data = await figmaClient.get(`/teams/${team_id}/projects`);
     }
 
     return res.status(200).json({
       success: true,
       source,
       id,
-      data: response.data,
+      data,
       metadata: {
         provider: 'figma',
         timestamp: new Date().toISOString(),
       },
     });
   } catch (error) {
-    console.error('Figma API Error:', error.response?.data || error.message);
+    console.error('Figma API Error:', error.details || error.message);
 
-    // Tratamento de erros específicos da API do Figma
-    if (error.response?.status === 401) {
+    // Tratamento de erros específicos da API do Figma (status mantido pelo FigmaClient)
+    if (error.statusCode === 401) {
       return res.status(401).json({
         success: false,
         error: 'Invalid Figma access token',
@@ -235,7 +230,7 @@ export default async function handler(req, res) {
       });
     }
 
-    if (error.response?.status === 403) {
+    if (error.statusCode === 403) {
       return res.status(403).json({
         success: false,
         error: 'Access forbidden',
@@ -243,7 +238,7 @@ export default async function handler(req, res) {
       });
     }
 
-    if (error.response?.status === 404) {
+    if (error.statusCode === 404) {
       return res.status(404).json({
         success: false,
         error: 'Resource not found',
@@ -251,10 +246,18 @@ export default async function handler(req, res) {
       });
     }
 
+    if (error.statusCode === 429) {
+      return res.status(429).json({
+        success: false,
+        error: 'Figma rate limit exceeded',
+        details: 'Too many requests to the Figma API, please try again later',
+      });
+    }
+
     return res.status(500).json({
       success: false,
       error: 'Failed to fetch Figma files',
-      details: error.response?.data?.message || error.message,
+      details: error.message,
     });
   }
 }
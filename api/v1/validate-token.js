@@ -79,7 +79,7 @@
  *         description: Method not allowed
  */
 
-import axios from 'axios';
+import FigmaClient from '../../src/services/figmaClient.js';
 
 export default async function handler(req, res) {
   if (req.method !== 'GET' && req.method !== 'POST') {
@@ -101,23 +101,19 @@ export default async function handler(req, res) {
     }
 
     // Tentar fazer uma chamada simples para validar o token
-    const response = await axios.get('https://api.figma.com/v1/me', {
-      headers: {
-        'X-Figma-Token': figmaToken,
-      },
-    });
+    const user = await new FigmaClient(figmaToken).get('/me');
 
     return res.status(200).json({
       success: true,
       message: 'Figma token is valid',
       user: {
-        id: response.data.id,
-        email: response.data.email,
-        handle: response.data.handle,
+        id: user.id,
+        email: user.email,
+        handle: user.handle,
       },
     });
   } catch (error) {
-    if (error.response?.status === 403) {
+    if (error.statusCode === 403) {
       return res.status(401).json({
         success: false,
         error: 'Invalid Figma token',
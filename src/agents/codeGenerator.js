@@ -0,0 +1,21 @@
+import DesignAnalyzerAgent from './designAnalyzerAgent.js';
+import TemplateGeneratorAgent from './templateGeneratorAgent.js';
+
+/**
+ * Available code generators
+ */
+export const GENERATORS = ['ai', 'template'];
+
+/**
+ * Create the code generator selected by the `generator` option.
+ * Both generators expose analyzeAndGenerateCode(components, framework, options).
+ * @param {string} generator - 'ai' (LLM backed) or 'template' (rule-based)
+ * @param {string} provider - AI provider, used by the 'ai' generator only
+ * @returns {DesignAnalyzerAgent|TemplateGeneratorAgent} Code generator
+ */
+export function createCodeGenerator(generator = 'ai', provider = 'github') {
+  if (generator === 'template') {
+    return new TemplateGeneratorAgent();
+  }
+  return new DesignAnalyzerAgent(provider);
+}
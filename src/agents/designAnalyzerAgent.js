@@ -1,4 +1,13 @@
 import axios from 'axios';
+import { toPascalCase } from '../utils/naming.js';
+import { estimateTokens, planChunks } from '../utils/promptChunks.js';
+
+// Tokens de design (JSON dos componentes) por prompt; o restante do contexto do modelo fica
+// para as instruções e a resposta
+const DEFAULT_CHUNK_TOKENS = 4000;
+
+// Tokens da resposta do modelo; a resposta de uma parte tem ao menos o tamanho do seu design
+const DEFAULT_MAX_TOKENS = 4000;
 
 /**
  * Agent que usa IA para analisar designs do Figma e gerar código
@@ -6,6 +15,9 @@ import axios from 'axios';
 class DesignAnalyzerAgent {
   constructor(provider = 'github') {
     this.provider = provider;
+    this.chunkTokens = Number(process.env.AI_CHUNK_TOKENS) || DEFAULT_CHUNK_TOKENS;
+    this.maxTokens =
+      Number(process.env.AI_MAX_TOKENS) || Math.max(DEFAULT_MAX_TOKENS, this.chunkTokens);
     this.setupProvider();
   }
 
@@ -43,6 +55,14 @@ class DesignAnalyzerAgent {
    * @returns {Promise<Object>} Código gerado
    */
   async analyzeAndGenerateCode(components, framework, options = {}) {
+    // Designs maiores que um prompt são gerados em partes (ver generateInChunks)
+    if (estimateTokens(components) > this.chunkTokens) {
+      const plan = planChunks(components, this.chunkTokens);
+      if (plan.chunks.length > 0) {
+        return this.generateInChunks(plan, framework, options);
+      }
+    }
+
     const prompt = this.buildPrompt(components, framework, options);
 
     try {
@@ -53,6 +73,156 @@ class DesignAnalyzerAgent {
     }
   }
 
+  /**
+   * Gera o código de um design em partes que cabem no prompt (ver planChunks), uma chamada
+   * por parte, em ordem: subárvores separadas de um frame grande vêm antes do frame que as
+   * usa, e cada parte recebe os componentes já gerados para importá-los. Uma parte cuja
+   * resposta não é JSON válido (cortada pelo limite de tokens) é dividida e gerada de novo.
+   * @param {Object} plan - Resultado de planChunks
+   * @returns {Promise<Object>} Resposta única (ver mergeChunks)
+   */
+  async generateInChunks(plan, framework, options) {
+    const queue = [...plan.chunks];
+    const results = [];
+    const warnings = [];
+    const generated = [];
+
+    while (queue.length > 0) {
+      const chunk = queue.shift();
+      const part = results.length + 1;
+      const parts = results.length + queue.length + 1;
+      const payload = {
+        ...plan.context,
+        components: chunk.units.map((unit) => unit.node),
+        chunk: { part, parts, generated: [...generated] },
+      };
+
+      let response;
+      try {
+        response = await this.callAI(this.buildPrompt(payload, framework, options));
+      } catch (error) {
+        throw new Error(
+          `Failed to generate code (part ${part} of ${parts}): ${error.response?.data?.message || error.message}`
+        );
+      }
+
+      let code = this.extractJson(response);
+      if (!code && chunk.units.length > 1) {
+        const middle = Math.ceil(chunk.units.length / 2);
+        queue.unshift(
+          { units: chunk.units.slice(0, middle) },
+          { units: chunk.units.slice(middle) }
+        );
+        continue;
+      }
+      if (!code) {
+        warnings.push(
+          `Part ${part} of ${parts} (${chunk.units[0].node.name}) did not return valid JSON; its raw response is kept`
+        );
+        code = this.parseResponse(response, framework);
+      }
+
+      (code.components || []).forEach((component) => generated.push(component.name));
+      results.push({ units: chunk.units, code });
+    }
+
+    return this.mergeChunks(results, warnings);
+  }
+
+  /**
+   * Junta as respostas das partes em uma só: componentes repetidos ficam com a primeira
+   * versão, componentes de subárvores (e os de partes com um só frame) recebem o frameId do
+   * frame de origem e tudo o que não foi gerado (ou passou do limite de uma parte) é listado
+   * em "warnings"
+   * @param {Array} results - [{ units, code }] na ordem de geração
+   * @param {Array} warnings - Avisos da geração
+   * @returns {Object} { components, globalStyles, notes, chunks, warnings? }
+   */
+  mergeChunks(results, warnings = []) {
+    const units = results.flatMap((result) => result.units);
+    const rootIds = new Set(units.filter((unit) => !unit.name).map((unit) => unit.frameId));
+    const unitFrames = new Map(
+      units.filter((unit) => unit.name).map((unit) => [unit.name, unit.frameId])
+    );
+    const components = [];
+    const names = new Set();
+
+    results.forEach(({ units: chunkUnits, code }, index) => {
+      const frames = [...new Set(chunkUnits.map((unit) => unit.frameId))];
+      (code.components || []).forEach((component) => {
+        const name = toPascalCase(component.name);
+        if (names.has(name)) {
+          warnings.push(
+            `${component.name} was generated again in part ${index + 1}; the first version is kept`
+          );
+          return;
+        }
+        names.add(name);
+        const frameId = rootIds.has(component.frameId)
+          ? component.frameId
+          : unitFrames.get(name) || (frames.length === 1 ? frames[0] : component.frameId);
+        components.push(frameId === component.frameId ? component : { ...component, frameId });
+      });
+    });
+
+    units.forEach((unit) => {
+      const found = unit.name
+        ? names.has(unit.name)
+        : components.some((component) => component.frameId === unit.frameId);
+      if (!found) {
+        warnings.push(`No component was generated for ${unit.node.name} (${unit.node.id})`);
+      }
+      if (unit.oversized) {
+        warnings.push(`${unit.node.name} (${unit.node.id}) exceeds the token budget of one part`);
+      }
+    });
+    warnings.forEach((warning) => console.warn(`Chunked generation: ${warning}`));
+
+    const globalStyles = [
+      ...new Set(results.map(({ code }) => code.globalStyles?.trim()).filter(Boolean)),
+    ];
+    return {
+      components,
+      globalStyles: globalStyles.join('\n\n'),
+      notes: results
+        .map(({ code }) => code.notes?.trim())
+        .filter(Boolean)
+        .join('\n'),
+      chunks: results.length,
+      ...(warnings.length > 0 && { warnings }),
+    };
+  }
+
+  /**
+   * Instruções de uma parte de um design gerado em partes
+   */
+  chunkInstructions({ part, parts }) {
+    return `
+CHUNKED GENERATION:
+- The design is too large for one response and is generated in ${parts} parts; this is part ${part}. Generate only the components below, one per top-level node, named after its "componentName" when present.
+- A node with "ref" stands for the component of that name, generated on its own in this or an earlier part: render it as that component, imported from its own file like any other component, and never inline it.
+- "chunk.generated" lists the components of earlier parts; import them instead of generating them again.
+`;
+  }
+
+  /**
+   * Instruções dos breakpoints configurados (larguras mínimas, mobile first)
+   */
+  breakpointInstructions(options) {
+    if (!options.breakpoints) {
+      return '';
+    }
+    const breakpoints = Object.entries(options.breakpoints)
+      .sort(([, a], [, b]) => a - b)
+      .map(([name, minWidth]) => `${name} from ${minWidth}px`)
+      .join(', ');
+    const query =
+      options.responsiveQuery === 'container'
+        ? 'container queries (@container, with the component root as an inline-size container)'
+        : 'media queries (@media)';
+    return `\n- Breakpoints (mobile first): ${breakpoints}. Write the overrides as min-width ${query}.`;
+  }
+
   /**
    * Constrói o prompt para a IA
    */
@@ -100,15 +270,78 @@ FIGMA COMPONENTS:
 ${componentsJson}
 
 INSTRUCTIONS:
-${frameworkInstructions}
-${options.responsive ? '- Make the design responsive with proper breakpoints.' : ''}
+${frameworkInstructions}${components?.chunk ? this.chunkInstructions(components.chunk) : ''}
+${options.responsive ? `- Make the design responsive with proper breakpoints.${this.breakpointInstructions(options)}` : ''}
 ${options.cssFramework === 'tailwind' ? '- Use Tailwind CSS classes.' : ''}
 ${options.cssFramework === 'styled-components' ? '- Use styled-components for styling.' : ''}
 
+LAYOUT:
+- Components may carry a "layout" block normalized from Figma auto-layout.
+- "mode": "flex" means display:flex with "direction", "justifyContent", "alignItems", "gap", "wrap" and "padding" (px).
+- "mode": "grid" means display:grid using "grid.columns"/"grid.rows" (or their sizing templates) and gaps.
+- "sizing" is "fixed", "hug" (fit-content) or "fill" (flex: 1 on the parent's main axis, stretch on the cross axis).
+- "child" describes the node inside its auto-layout parent ("grow", "alignSelf", grid placement).
+- Use flexbox/grid from these blocks; only position absolutely when "child.positioning" is "absolute" or no layout block exists.
+
+RESPONSIVE:
+- "constraints" tells how a freely positioned layer follows its parent: "horizontal" is "right", "center", "stretch" (pinned left and right) or "scale" (percentages), "vertical" is "bottom", "center", "stretch" or "scale"; missing means left/top. "minWidth", "maxWidth", "minHeight" and "maxHeight" are CSS size limits in px.
+- A component with "responsive" is one screen drawn at several widths: the component itself is its "breakpoint" design, and each of "responsive.variants" is the same screen from "minWidth" px up. Generate ONE component and express the variants as overrides in min-width queries.
+
+STYLES:
+- "styleRefs" maps fill, stroke, text, effect and grid to named Figma styles.
+- When "styles" is present, it holds the resolved value of each named style (colors, typography, effects, grids).
+- Define each named style once (CSS variables or shared classes) and reference it by name instead of repeating raw values.
+
+VARIABLES:
+- "variables" maps the node's properties (fill, stroke, gap, paddingTop, borderRadius, fontSize...) to Figma variables, named as CSS custom properties. Write var(--name) instead of the literal value for those properties.
+- When "themeCss" is present, it defines those custom properties with a [data-<collection>] block per mode of each variable collection (e.g. [data-theme="dark"], [data-brand="acme"]); put it verbatim at the top of "globalStyles" and never redefine the variables.
+
+PAINT:
+- "paint" holds CSS-ready declarations (camelCase) for the node's own paint: stacked fills and gradients as "background", strokes as "border"/"borderWidth"/"outline", per-corner "borderRadius", "opacity" and "mixBlendMode".
+- Colors already include paint and layer opacity. Prefer "paint" over the raw colors in "properties", but keep named styles from "styleRefs".
+
+SEMANTIC ROLES:
+- "role" is the semantic role inferred for a node from its layer and component names, its structure and its siblings (or set by the designer with a "[role]" tag in the layer name). Render it with the matching element instead of a generic div: "button" as <button type="button">, "link" as <a>, "input" as <input> (its text is the placeholder), "nav" as <nav>, "list" as <ul> with "listitem" children as <li>, "card" as <article>, "heading" as a heading of the right level.
+- Nodes without a role are layout containers or plain text.
+
+REPEATED CONTENT:
+- "repeats" lists runs of sibling nodes with the same shape under "parent" (cards of a grid, rows of a list): "nodes" are their IDs, "fields" the text ("text"), image source ("image") and instance prop ("prop") values that differ between them, read from the layer "node" of the first sibling, and "items" one sample object per sibling.
+- Render the first sibling once, in a loop over a "collection" prop defaulting to the sample items (items.map with a key in React, v-for with :key in Vue, *ngFor in Angular), binding each field instead of copying every sibling. Plain HTML keeps every copy.
+- Declare the item shape as "type" (a TypeScript interface, or a JSDoc typedef in JavaScript) and put it with the sample items in a fixtures file next to the component, returned in "files".
+
+SHARED COMPONENTS:
+- "shared" lists the components of the project's shared library ({ "key", "name" }), generated once for every file of the project. An instance whose "instance.componentSetKey" or "instance.componentKey" matches a "key" renders that component by "name", imported from the shared directory next to this file's components ('../shared/Name' in React, '../shared/Name.vue' in Vue, '../shared/name.component' in Angular).
+- Never generate the shared components themselves; plain HTML copies their markup.
+
+CLIPPING AND VISIBILITY:
+- "clipping" holds CSS-ready declarations (camelCase) for what the node clips: "overflow: hidden" when the Figma frame clips its content, and the "clipPath" (or overflow) of a mask layer that clips its children. Mask layers themselves are never rendered.
+- A node marked "hidden" is invisible in the design; render it only when "propertyRefs.visible" binds it to a prop, hidden by default.
+
+TEXT:
+- "text" holds the rich text of a TEXT node: "paragraphs" (one per line) made of "spans", and "css" with its letter spacing, line height, case, decoration and truncation.
+- A span flagged "bold" or "italic" becomes <strong> or <em>, a span with a "link" URL becomes <a href>, and a span with "css" becomes a styled <span>.
+- Paragraphs with "list" ("ordered" or "unordered") become <ol>/<ul> items, nested by "indent"; do not flatten them into a single <p>.
+
+EFFECTS:
+- "effects" holds CSS-ready declarations (camelCase) for the node's shadows and blurs: "boxShadow" (inner shadows are inset), "textShadow" for text, "filter" for layer blur and "backdropFilter" for background blur.
+- When "styleRefs.effect" names an effect style, reference its shadow or blur variable instead of repeating the raw values.
+
+COMPONENT PROPS:
+- A "COMPONENT_SET" is a group of variants: generate ONE component for it, not one per variant.
+- "props" is its typed prop schema: "variant" props take one of "options", "boolean" and "text" props are flags and strings, "instance-swap" props are slots for child components; use "defaultValue" as the default.
+- "variants" lists each variant with its prop "values"; express the differences between variants as styles keyed on those props.
+- "propertyRefs" binds a layer to a prop ("characters" for text content, "visible" for conditional rendering, "mainComponent" for a slot).
+- An "instance" records the component it uses ("componentName", "componentSetName") and its prop values; render it as that component with those props (e.g. variant="primary" size="lg").
+
+ASSETS:
+- "asset" marks a node exported as a local file; "asset.src" is its path (e.g. /assets/file/icons/logo.svg).
+- A "vector" or "image" asset is an icon, logo or picture: render the node as an <img> with that "src" (and "srcSet" when present) and a meaningful alt text, instead of drawing its layers.
+- A "fill" asset is the node's background image: use "src" as its CSS background-image, sized by "scaleMode" (FILL/CROP cover, FIT contain, TILE repeat).
+
 Generate the code with:
 1. Component structure following ${framework} conventions
 2. Proper component hierarchy
-3. Accessible HTML elements
+3. Accessible HTML elements matching each node's "role"
 4. Clean, readable code with comments
 5. Reusable component patterns
 
@@ -117,9 +350,11 @@ Return the response in the following JSON format:
   "components": [
     {
       "name": "ComponentName",
+      "frameId": "id of the top-level component above that this code implements",
       "code": "component code here",
       "styles": "styles code here (if applicable)",
-      "dependencies": ["list", "of", "dependencies"]
+      "dependencies": ["list", "of", "dependencies"],
+      "files": { "ComponentName.fixtures.js": "other files of the component, such as fixtures (if any)" }
     }
   ],
   "globalStyles": "global styles if any",
@@ -151,7 +386,7 @@ Return the response in the following JSON format:
           },
         ],
         temperature: 0.7,
-        max_tokens: 4000,
+        max_tokens: this.maxTokens,
       },
       {
         headers: {
@@ -172,7 +407,7 @@ Return the response in the following JSON format:
       this.apiUrl,
       {
         model: this.model,
-        max_tokens: 4000,
+        max_tokens: this.maxTokens,
         messages: [
           {
             role: 'user',
@@ -192,6 +427,21 @@ Return the response in the following JSON format:
     return response.data.content[0].text;
   }
 
+  /**
+   * JSON da resposta da IA, ou null quando ela não traz JSON válido
+   */
+  extractJson(response) {
+    const jsonMatch = response.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      return null;
+    }
+    try {
+      return JSON.parse(jsonMatch[0]);
+    } catch {
+      return null;
+    }
+  }
+
   /**
    * Faz parse da resposta da IA
    */
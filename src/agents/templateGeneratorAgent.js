@@ -0,0 +1,1555 @@
+import { layoutToCss } from '../utils/figmaLayout.js';
+import { figmaColorToRgba } from '../utils/figmaStyles.js';
+import { parseVariantName } from '../utils/figmaComponents.js';
+import { imageFillToCss } from '../utils/figmaAssets.js';
+import { isRichText } from '../utils/figmaText.js';
+import { findRepeats } from '../utils/figmaRepeats.js';
+import { reserve, toKebabCase, toPascalCase } from '../utils/naming.js';
+import DesignTokenService, { styleVariableName } from '../services/designTokenService.js';
+
+const TEXT_ALIGN = {
+  LEFT: 'left',
+  CENTER: 'center',
+  RIGHT: 'right',
+  JUSTIFIED: 'justify',
+};
+
+// Paint declarations copied as they are (strokes, opacity and blend mode)
+const PAINT_PROPERTIES = [
+  'border',
+  'borderWidth',
+  'borderImage',
+  'outline',
+  'opacity',
+  'mixBlendMode',
+];
+
+// Paint declarations of text (solid color, or a gradient clipped to the glyphs)
+const TEXT_PAINT_PROPERTIES = ['color', 'background', 'WebkitBackgroundClip', 'backgroundClip'];
+
+// Declaration of each kind of blur
+const BLUR_PROPERTIES = {
+  LAYER_BLUR: 'filter',
+  BACKGROUND_BLUR: 'backdropFilter',
+};
+
+// HTML tag of each semantic role (see inferRole)
+const ROLE_TAGS = {
+  button: 'button',
+  link: 'a',
+  input: 'input',
+  nav: 'nav',
+  list: 'ul',
+  listitem: 'li',
+  card: 'article',
+  heading: 'h2',
+};
+
+// Tags that only hold phrasing content, so their text layers are rendered as spans
+const PHRASING_TAGS = ['button', 'a'];
+
+// Browser defaults of semantic elements the design does not draw
+const ROLE_RESET_CSS = {
+  button: { border: 'none', background: 'none', font: 'inherit' },
+  input: { border: 'none', background: 'none', font: 'inherit' },
+  a: { textDecoration: 'none', color: 'inherit' },
+};
+
+// Void tags, rendered without children
+const VOID_TAGS = ['img', 'input'];
+
+const FRAMEWORK_DEPENDENCIES = {
+  react: ['react'],
+  vue: ['vue'],
+  angular: ['@angular/core'],
+  html: [],
+};
+
+/**
+ * Escape text content for the target dialect: a JSX expression when the text holds JSX
+ * syntax, otherwise entities for markup, for Vue and Angular interpolation and control flow
+ * syntax (braces and @), and for backticks and backslashes, as Angular templates are
+ * template literals
+ * @param {string} text - Text content
+ * @param {string} dialect - 'jsx' or 'html'
+ * @returns {string} Escaped text
+ */
+export function escapeText(text, dialect) {
+  if (dialect === 'jsx') {
+    return /[{}<>]/.test(text) ? `{${JSON.stringify(text)}}` : text;
+  }
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\{/g, '&#123;')
+    .replace(/\}/g, '&#125;')
+    .replace(/@/g, '&#64;')
+    .replace(/`/g, '&#96;')
+    .replace(/\\/g, '&#92;');
+}
+
+const px = (value) => `${Math.round(value * 100) / 100}px`;
+
+/**
+ * JavaScript literal of a prop default value
+ */
+function literal(value) {
+  if (typeof value === 'string') {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  }
+  return value === undefined ? 'null' : String(value);
+}
+
+/**
+ * Escape a value for use inside a double-quoted attribute
+ */
+const escapeAttr = (value) =>
+  String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+
+/**
+ * Name a component imports the fixtures of a loop collection under
+ */
+const fixturesAlias = (collection) => `default${collection[0].toUpperCase()}${collection.slice(1)}`;
+
+/**
+ * Prop values of a variant component
+ */
+const variantValues = (variant) => variant.variantValues || parseVariantName(variant.name);
+
+/**
+ * Deterministic, rule-based code generator.
+ * Shares the analyzeAndGenerateCode interface of DesignAnalyzerAgent, so it can replace it
+ * wherever code is generated, without an LLM and with reproducible output.
+ */
+class TemplateGeneratorAgent {
+  constructor() {
+    this.provider = 'template';
+    this.tokenService = new DesignTokenService();
+  }
+
+  /**
+   * Generate code from extracted Figma components
+   * @param {Object} components - Components extracted from Figma
+   * @param {string} framework - Target framework (react, vue, angular, html)
+   * @param {Object} options - Additional options
+   * @returns {Promise<Object>} Generated code
+   */
+  async analyzeAndGenerateCode(components, framework, options = {}) {
+    return this.generate(components, framework, options);
+  }
+
+  /**
+   * Synchronous generation entry point
+   */
+  generate(componentsData, framework, options = {}) {
+    if (!FRAMEWORK_DEPENDENCIES[framework]) {
+      throw new Error(`Unsupported framework: ${framework}`);
+    }
+
+    const roots = componentsData?.components || [];
+    // Components of the shared library ({ key, name }) are imported instead of generated
+    const shared = framework === 'html' ? [] : componentsData?.shared || [];
+    const usedNames = new Set(shared.map(({ name }) => name));
+    const names = roots.map((root) => reserve(usedNames, toPascalCase(root.name)));
+    const registry = framework === 'html' ? new Map() : this.buildRegistry(roots, names, shared);
+
+    // Each component records the root it was generated from (used by incremental extraction)
+    const components = roots.map((root, index) => ({
+      ...this.generateComponent(root, framework, options, {
+        styles: componentsData.styles,
+        name: names[index],
+        registry,
+        shared: new Set(shared.map(({ name }) => name)),
+      }),
+      frameId: root.id,
+    }));
+
+    return {
+      components,
+      globalStyles: options.includeStyles === false ? '' : this.buildGlobalStyles(componentsData),
+      notes: `Generated deterministically by the template generator from ${roots.length} root component(s).`,
+    };
+  }
+
+  /**
+   * Map the IDs and library keys of root components (and the IDs of the variants of root
+   * component sets), and the keys of shared library components, to their generated names,
+   * so instances can render them instead of copying markup
+   */
+  buildRegistry(roots, names, shared = []) {
+    const registry = new Map(shared.map(({ key, name }) => [key, name]));
+
+    roots.forEach((root, index) => {
+      if (root.type === 'COMPONENT' || root.type === 'COMPONENT_SET') {
+        registry.set(root.id, names[index]);
+      }
+      if (root.componentKey) {
+        registry.set(root.componentKey, names[index]);
+      }
+      if (root.type === 'COMPONENT_SET') {
+        (root.children || []).forEach(
+          (variant) => variant && registry.set(variant.id, names[index])
+        );
+      }
+    });
+
+    return registry;
+  }
+
+  /**
+   * Generate one framework component from a root node.
+   * A component set becomes a single component: its default variant provides the markup,
+   * variant props are exposed as data attributes and the other variants as CSS overrides.
+   */
+  generateComponent(
+    root,
+    framework,
+    options,
+    { styles, name, registry = new Map(), shared = new Set() }
+  ) {
+    const props = this.componentProps(root);
+    const context = {
+      styles,
+      framework,
+      options,
+      name,
+      registry,
+      props: new Map(props.map((prop) => [prop.name, prop])),
+      usages: new Set(),
+      shared,
+      conditional: false,
+      usedClasses: new Set(),
+      rules: [],
+      identifiers: new Set(props.map((prop) => prop.name)),
+      loops: [],
+      loop: null,
+      warnings: [],
+    };
+
+    const template = root.type === 'COMPONENT_SET' ? this.defaultVariant(root, props) : null;
+    const element = this.buildElement(
+      template ? { ...template, name: root.name } : root,
+      context,
+      null
+    );
+    element.attrs = props
+      .filter((prop) => prop.type === 'variant')
+      .map((prop) => ({
+        name: `data-${toKebabCase(prop.name)}`,
+        prop: prop.name,
+        value: prop.defaultValue,
+      }));
+    if (template) {
+      this.addVariantRules(root, template, element, context);
+    }
+    if (root.responsive) {
+      this.addBreakpointRules(root, element, context);
+    }
+
+    const css = this.renderCss(context.rules);
+    const includeStyles = options.includeStyles !== false;
+
+    const renderers = {
+      react: () => this.renderReact(name, element, includeStyles, context),
+      vue: () => this.renderVue(element, includeStyles ? css : '', context),
+      angular: () => this.renderAngular(name, element, includeStyles, context),
+      html: () => this.renderMarkup(element, 'html', 0),
+    };
+
+    const dependencies = [...FRAMEWORK_DEPENDENCIES[framework]];
+    if (framework === 'angular' && (context.conditional || context.loops.length > 0)) {
+      dependencies.push('@angular/common');
+    }
+
+    const component = {
+      name,
+      code: renderers[framework](),
+      styles: includeStyles && framework !== 'vue' ? css : '',
+      dependencies,
+    };
+    if (context.loops.length > 0) {
+      component.files = { [this.fixturesFile(name, framework)]: this.renderFixtures(context) };
+    }
+    if (context.warnings.length > 0) {
+      component.warnings = context.warnings;
+    }
+    return component;
+  }
+
+  /**
+   * Typed props of a root component; for component sets without property definitions
+   * the variant props are derived from the variant names
+   */
+  componentProps(root) {
+    if (root.props?.length > 0) {
+      return root.props;
+    }
+    if (root.type !== 'COMPONENT_SET') {
+      return [];
+    }
+
+    const options = new Map();
+    (root.children || [])
+      .filter((child) => child?.type === 'COMPONENT')
+      .forEach((variant) => {
+        Object.entries(variantValues(variant)).forEach(([propName, value]) => {
+          const values = options.get(propName) || [];
+          if (!values.includes(value)) {
+            values.push(value);
+          }
+          options.set(propName, values);
+        });
+      });
+
+    return [...options].map(([propName, values]) => ({
+      name: propName,
+      figmaName: propName,
+      type: 'variant',
+      defaultValue: values[0],
+      options: values,
+    }));
+  }
+
+  /**
+   * Variant of a component set matching the default values of its variant props
+   */
+  defaultVariant(root, props) {
+    const variants = (root.children || []).filter((child) => child?.type === 'COMPONENT');
+    const defaults = props.filter((prop) => prop.type === 'variant');
+
+    return (
+      variants.find((variant) =>
+        defaults.every((prop) => variantValues(variant)[prop.name] === prop.defaultValue)
+      ) ||
+      variants[0] ||
+      null
+    );
+  }
+
+  /**
+   * CSS overrides of the non-default variants, keyed on their data attributes.
+   * Only the declarations of the variant root that differ from the default variant are emitted.
+   */
+  addVariantRules(root, template, element, context) {
+    (root.children || [])
+      .filter((child) => child?.type === 'COMPONENT' && child !== template)
+      .forEach((variant) => {
+        const values = variantValues(variant);
+        const attributes = element.attrs
+          .filter((attr) => values[attr.prop] !== undefined)
+          .map((attr) => `[${attr.name}="${String(values[attr.prop]).replace(/"/g, '\\"')}"]`)
+          .join('');
+        const css = Object.fromEntries(
+          Object.entries(this.nodeCss(variant, context)).filter(
+            ([property, value]) => element.css[property] !== value
+          )
+        );
+
+        if (attributes) {
+          context.rules.push({ selector: `.${element.className}${attributes}`, css });
+        }
+      });
+  }
+
+  /**
+   * Overrides of a responsive screen at each wider breakpoint. The markup comes from the
+   * narrowest frame; each wider frame is matched to it layer by layer (by name and order)
+   * and only the declarations that change are emitted, in a min-width media query, or a
+   * container query on the component root. Layers missing from a wider frame are hidden
+   * there. Layers that only exist in a wider frame are not rendered and text that changes
+   * in a wider frame keeps the narrowest frame's content; both are reported in the
+   * component's warnings.
+   */
+  addBreakpointRules(root, element, context) {
+    const container = context.options.responsiveQuery === 'container';
+    // A responsive screen takes the width of its viewport or container
+    element.css.width = '100%';
+    delete element.css.height;
+    if (container) {
+      element.css.containerType = 'inline-size';
+    }
+
+    root.responsive.variants.forEach(({ breakpoint, minWidth, frame }) => {
+      const query = `@${container ? 'container' : 'media'} (min-width: ${minWidth}px)`;
+      const scratch = {
+        ...context,
+        usedClasses: new Set(),
+        rules: [],
+        usages: new Set(),
+        identifiers: new Set(context.identifiers),
+        loops: [],
+      };
+      const variant = this.buildElement({ ...frame, name: root.name }, scratch, null);
+      variant.css.width = '100%';
+      delete variant.css.height;
+
+      const compare = (base, other, isRoot) => {
+        if (!base.className) {
+          return;
+        }
+        // A container query cannot style the container itself
+        if (!(isRoot && container)) {
+          const css = other ? this.cssChanges(base.css, other.css) : { display: 'none' };
+          delete css.containerType;
+          if (Object.keys(css).length > 0) {
+            context.rules.push({ selector: `.${base.className}`, css, query });
+          }
+        }
+        if (!other) {
+          return;
+        }
+        if (
+          typeof base.text === 'string' &&
+          typeof other.text === 'string' &&
+          base.text !== other.text
+        ) {
+          context.warnings.push(
+            `Text of "${base.component.name}" changes at the ${breakpoint} breakpoint ("${other.text}"); "${base.text}" is rendered`
+          );
+        }
+
+        const remaining = [...other.children];
+        base.children.forEach((child) => {
+          const index = remaining.findIndex(
+            (candidate) => candidate.component?.name === child.component?.name
+          );
+          compare(child, index >= 0 ? remaining.splice(index, 1)[0] : null, false);
+        });
+        remaining.forEach((child) => {
+          context.warnings.push(
+            `Layer "${child.component?.name || child.className}" only exists at the ${breakpoint} breakpoint and is not rendered`
+          );
+        });
+      };
+      compare(element, variant, true);
+    });
+  }
+
+  /**
+   * Declarations of `next` that differ from `previous`; dropped ones are unset
+   */
+  cssChanges(previous, next) {
+    const changes = Object.fromEntries(
+      Object.entries(next).filter(([property, value]) => previous[property] !== value)
+    );
+    Object.keys(previous)
+      .filter((property) => next[property] === undefined)
+      .forEach((property) => {
+        changes[property] = 'unset';
+      });
+    return changes;
+  }
+
+  /**
+   * Generated component rendered by an instance node, if any
+   */
+  componentUsage(component, context) {
+    const instance = component.instance;
+    if (!instance) {
+      return null;
+    }
+
+    const name = [
+      instance.componentSetId,
+      instance.componentId,
+      instance.componentSetKey,
+      instance.componentKey,
+    ]
+      .map((id) => id && context.registry.get(id))
+      .find(Boolean);
+    if (!name || name === context.name) {
+      return null;
+    }
+
+    const props = Object.entries(instance.props || {}).filter(
+      ([, prop]) => prop.type !== 'instance-swap'
+    );
+    return { name, props };
+  }
+
+  /**
+   * Build the element tree (tag, class, text, children) of a node and collect its CSS rule
+   */
+  buildElement(component, context, parentElement) {
+    const usage = this.componentUsage(component, context);
+    if (usage) {
+      context.usages.add(usage.name);
+      const propBindings = context.loop?.bindings.get(component.id)?.props || {};
+      usage.props = usage.props.map(([propName, prop]) => [
+        propName,
+        propBindings[propName] ? { ...prop, binding: propBindings[propName] } : prop,
+      ]);
+      return { usage, attrs: [], children: [], css: {}, component };
+    }
+
+    const element = {
+      tag: this.elementTag(component, parentElement),
+      className: reserve(context.usedClasses, toKebabCase(component.name), '-'),
+      text: component.type === 'TEXT' ? component.properties?.content || '' : null,
+      attrs: [],
+      staticAttrs: [...this.assetAttrs(component), ...this.roleAttrs(component)],
+      children: [],
+      css: this.nodeCss(component, context),
+      component,
+    };
+    this.bindProps(component, element, context);
+    this.bindItemFields(component, element, context);
+
+    // Styled spans, links and lists replace the plain text of the layer
+    if (component.type === 'TEXT' && !element.textProp && isRichText(component.text)) {
+      element.blocks = this.textBlocks(component.text, element, context);
+      if (element.blocks.length !== 1 || element.blocks[0].tag !== 'p') {
+        element.tag = 'div';
+      }
+    }
+
+    // Buttons, inputs and links draw only what the design paints
+    if (ROLE_RESET_CSS[element.tag]) {
+      element.css = { ...ROLE_RESET_CSS[element.tag], ...element.css };
+    }
+
+    this.applyPositioning(component, element, parentElement);
+    context.rules.push({ selector: `.${element.className}`, css: element.css });
+
+    // An exported icon or image already contains what its layers draw, and an input
+    // shows its placeholder text itself
+    if (VOID_TAGS.includes(element.tag)) {
+      return element;
+    }
+
+    // Repeated siblings render their first one in a loop over sample data (plain HTML and
+    // the items of a loop keep every copy). Runs are found again here, once assets are
+    // exported, so image paths are known.
+    const repeats = context.framework === 'html' || context.loop ? [] : findRepeats(component);
+
+    // Layers clipped by a mask that leaves other layers unclipped share a wrapper
+    const masks = (component.clipping?.masks || []).filter((mask) => mask.scope === 'nodes');
+    const maskElements = new Map();
+    (component.children || []).forEach((child) => {
+      // Hidden layers kept with includeHidden are only rendered when a prop toggles them
+      if (!child || (child.hidden && !child.propertyRefs?.visible)) {
+        return;
+      }
+      const repeat = repeats.find((candidate) => candidate.nodes.includes(child.id));
+      if (repeat && repeat.nodes[0] !== child.id) {
+        return;
+      }
+      if (repeat) {
+        context.loop = this.itemLoop(repeat, context);
+      }
+      const childElement = this.listItem(
+        this.buildElement(child, context, element),
+        element,
+        context
+      );
+      if (repeat) {
+        childElement.loop = { collection: context.loop.collection, item: context.loop.item };
+        context.loop = null;
+      }
+      const mask = masks.find((candidate) => candidate.nodes.includes(child.id));
+      if (!mask) {
+        element.children.push(childElement);
+        return;
+      }
+      if (!maskElements.has(mask.id)) {
+        maskElements.set(mask.id, this.maskElement(mask, element, context));
+        element.children.push(maskElements.get(mask.id));
+      }
+      maskElements.get(mask.id).children.push(childElement);
+    });
+
+    return element;
+  }
+
+  /**
+   * Loop over the sample items of repeated siblings. Its collection becomes a prop of the
+   * component, defaulting to the fixtures, and the layers of the first sibling holding a
+   * field are bound to the item's value.
+   * @returns {Object} { collection, item, bindings }: bindings map layer IDs to the
+   *   expressions of their text, image and prop fields
+   */
+  itemLoop(repeat, context) {
+    const collection = reserve(context.identifiers, repeat.collection);
+    const item = reserve(context.identifiers, repeat.name);
+    const bindings = new Map();
+
+    repeat.fields.forEach((field) => {
+      const expression = `${item}.${field.name}`;
+      const binding = bindings.get(field.node) || {};
+      if (field.kind === 'prop') {
+        binding.props = { ...binding.props, [field.prop]: expression };
+      } else {
+        binding[field.kind] = expression;
+      }
+      bindings.set(field.node, binding);
+    });
+
+    const type = reserve(context.identifiers, repeat.type);
+    context.loops.push({ ...repeat, collection, type });
+    return { collection, item, bindings };
+  }
+
+  /**
+   * Bind the layers of a loop's item to its fields: text content and image source
+   */
+  bindItemFields(component, element, context) {
+    const binding = context.loop?.bindings.get(component.id);
+    if (binding?.text) {
+      element.textProp = binding.text;
+    }
+    if (binding?.image && element.tag === 'img') {
+      element.staticAttrs = element.staticAttrs.filter(
+        ([name]) => name !== 'src' && name !== 'srcset'
+      );
+      element.attrs.push({ name: 'src', prop: binding.image, value: component.asset.src });
+    }
+  }
+
+  /**
+   * Wrap a child of a list that is not a list item (e.g. a card or a component usage) in one
+   */
+  listItem(childElement, parentElement, context) {
+    if (parentElement.tag !== 'ul' || childElement.tag === 'li') {
+      return childElement;
+    }
+    return {
+      tag: 'li',
+      className: reserve(context.usedClasses, `${parentElement.className}-item`, '-'),
+      text: null,
+      attrs: [],
+      staticAttrs: [],
+      children: [childElement],
+      css: {},
+    };
+  }
+
+  /**
+   * Element clipping the layers of a mask. It covers its container, so the mask CSS
+   * (relative to the container) and the positions of the clipped layers still apply.
+   */
+  maskElement(mask, parentElement, context) {
+    const element = {
+      tag: 'div',
+      className: reserve(context.usedClasses, `${parentElement.className}-mask`, '-'),
+      text: null,
+      attrs: [],
+      staticAttrs: [],
+      children: [],
+      css: { position: 'absolute', inset: '0', ...mask.css },
+    };
+    parentElement.css.position = parentElement.css.position || 'relative';
+    context.rules.push({ selector: `.${element.className}`, css: element.css });
+    return element;
+  }
+
+  /**
+   * Group the paragraphs of a rich text into blocks: paragraphs, and lists nested by
+   * indentation. Spans with their own CSS get a class of their own.
+   */
+  textBlocks(text, element, context) {
+    const blocks = [];
+    let open = [];
+
+    text.paragraphs.forEach((paragraph) => {
+      const spans = paragraph.spans
+        .filter((span) => span.text)
+        .map((span) => {
+          if (!span.css) {
+            return span;
+          }
+          const className = reserve(context.usedClasses, `${element.className}-span`, '-');
+          context.rules.push({ selector: `.${className}`, css: span.css });
+          return { ...span, className };
+        });
+
+      if (!paragraph.list) {
+        open = [];
+        if (spans.length > 0) {
+          blocks.push({ tag: 'p', spans });
+        }
+        return;
+      }
+
+      const tag = paragraph.list === 'ordered' ? 'ol' : 'ul';
+      const indent = paragraph.indent ?? 0;
+      while (
+        open.length > 0 &&
+        (open[open.length - 1].indent > indent ||
+          (open[open.length - 1].indent === indent && open[open.length - 1].list.tag !== tag))
+      ) {
+        open.pop();
+      }
+
+      const parent = open[open.length - 1];
+      if (!parent || parent.indent < indent) {
+        const list = { tag, items: [] };
+        const parentItem = parent?.list.items[parent.list.items.length - 1];
+        (parentItem ? parentItem.children : blocks).push(list);
+        open.push({ indent, list });
+      }
+      open[open.length - 1].list.items.push({ spans, children: [] });
+    });
+
+    return blocks;
+  }
+
+  /**
+   * Bind layers to the props they reference: text content, visibility and instance swaps
+   */
+  bindProps(component, element, context) {
+    const refs = component.propertyRefs || {};
+    const propOfType = (propName, type) =>
+      context.props.get(propName)?.type === type ? context.props.get(propName) : null;
+
+    if (component.type === 'TEXT' && propOfType(refs.characters, 'text')) {
+      element.textProp = refs.characters;
+    }
+
+    const visibility = propOfType(refs.visible, 'boolean');
+    if (visibility) {
+      element.condition = refs.visible;
+      element.hidden = visibility.defaultValue === false;
+      context.conditional = true;
+    }
+
+    if (propOfType(refs.mainComponent, 'instance-swap')) {
+      element.slot = refs.mainComponent;
+    }
+  }
+
+  /**
+   * HTML tag of a node: exported icons and images are rendered as images, semantic roles
+   * as their element, and text inside buttons and links as spans
+   */
+  elementTag(component, parentElement = null) {
+    if (component.asset?.src && component.asset.kind !== 'fill') {
+      return 'img';
+    }
+    if (ROLE_TAGS[component.role]) {
+      return ROLE_TAGS[component.role];
+    }
+    if (component.type !== 'TEXT') {
+      return 'div';
+    }
+    return PHRASING_TAGS.includes(parentElement?.tag) ? 'span' : 'p';
+  }
+
+  /**
+   * Attributes a semantic role needs (button type, link target, input placeholder)
+   */
+  roleAttrs(component) {
+    if (component.asset?.src && component.asset.kind !== 'fill') {
+      return [];
+    }
+    switch (component.role) {
+      case 'button':
+        return [['type', 'button']];
+      case 'link':
+        return [['href', '#']];
+      case 'input': {
+        const placeholder = this.placeholderText(component);
+        return [['type', 'text'], ...(placeholder ? [['placeholder', placeholder]] : [])];
+      }
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Text an input shows while empty: the content of its text layer
+   */
+  placeholderText(component) {
+    if (component.type === 'TEXT') {
+      return component.properties?.content || '';
+    }
+    return (component.children || []).map((child) => this.placeholderText(child)).find(Boolean);
+  }
+
+  /**
+   * Attributes of an exported image (src, srcset, alt), keyed by their HTML name
+   */
+  assetAttrs(component) {
+    const asset = component.asset;
+    if (!asset?.src || asset.kind === 'fill') {
+      return [];
+    }
+
+    return [
+      ['src', asset.src],
+      ...(asset.srcSet ? [['srcset', asset.srcSet]] : []),
+      ['alt', component.name || ''],
+    ];
+  }
+
+  /**
+   * CSS declarations (camelCase keys) of a node
+   */
+  nodeCss(component, context) {
+    const properties = component.properties || {};
+    const refs = component.styleRefs || {};
+    const css = layoutToCss(component.layout);
+    const sizing = component.layout?.sizing;
+
+    if (component.type !== 'TEXT') {
+      if (properties.width !== undefined && (!sizing || sizing.horizontal === 'fixed')) {
+        css.width = css.width || px(properties.width);
+      }
+      if (properties.height !== undefined && (!sizing || sizing.vertical === 'fixed')) {
+        css.height = css.height || px(properties.height);
+      }
+    }
+
+    ['minWidth', 'maxWidth', 'minHeight', 'maxHeight']
+      .filter((limit) => component.constraints?.[limit] !== undefined)
+      .forEach((limit) => {
+        css[limit] = px(component.constraints[limit]);
+      });
+
+    const paint = component.paint || {};
+    const paintCss = paint.css || {};
+    const copy = (names) =>
+      names
+        .filter((name) => paintCss[name] !== undefined)
+        .forEach((name) => {
+          css[name] = paintCss[name];
+        });
+
+    if (component.type === 'TEXT') {
+      if (refs.fill) {
+        css.color = `var(--${styleVariableName('color', refs.fill)})`;
+      } else if (paintCss.color) {
+        copy(TEXT_PAINT_PROPERTIES);
+      } else if (properties.color) {
+        css.color = figmaColorToRgba(properties.color);
+      }
+      Object.assign(css, this.typographyCss(properties, refs.text, context.styles));
+      if (TEXT_ALIGN[properties.textAlign]) {
+        css.textAlign = TEXT_ALIGN[properties.textAlign];
+      }
+      // Letter spacing, line height, case, decoration and truncation not set by a text style
+      Object.entries(component.text?.css || {})
+        .filter(([property]) => css[property] === undefined)
+        .forEach(([property, value]) => {
+          css[property] = value;
+        });
+    } else if (refs.fill) {
+      css.background = `var(--${styleVariableName('color', refs.fill)})`;
+    } else if (paintCss.background) {
+      copy(['background', 'backgroundBlendMode']);
+    } else if (properties.backgroundColor) {
+      css.background = figmaColorToRgba(properties.backgroundColor);
+    }
+
+    copy(PAINT_PROPERTIES);
+    // A stroke style is referenced by its color variable
+    const stroke = paint.strokes?.paints?.[paint.strokes.paints.length - 1];
+    if (refs.stroke && stroke?.type === 'SOLID') {
+      ['border', 'outline']
+        .filter((name) => css[name])
+        .forEach((name) => {
+          css[name] = css[name].replace(
+            stroke.css,
+            `var(--${styleVariableName('color', refs.stroke)})`
+          );
+        });
+    }
+
+    Object.assign(css, this.effectsCss(component.effects, refs.effect, context.styles));
+
+    if (component.asset?.src && component.asset.kind === 'fill') {
+      Object.assign(css, imageFillToCss(component.asset));
+    }
+
+    // Frames clipping their content and masks clipping every layer of the node
+    Object.assign(css, component.clipping?.css);
+
+    if (component.type === 'ELLIPSE') {
+      css.borderRadius = '50%';
+    } else if (paintCss.borderRadius) {
+      css.borderRadius = paintCss.borderRadius;
+    } else if (properties.borderRadius) {
+      css.borderRadius = px(properties.borderRadius);
+    }
+
+    this.applyVariables(css, component);
+
+    return css;
+  }
+
+  /**
+   * Replace the literal values of the properties bound to Figma variables with their
+   * custom properties. Named styles keep precedence, and sizes only replace fixed pixel
+   * values (hug and fill sizing stay as they are).
+   */
+  applyVariables(css, component) {
+    const bound = component.variables;
+    if (!bound) {
+      return;
+    }
+
+    const refs = component.styleRefs || {};
+    const variable = (name) => `var(--${name})`;
+
+    if (bound.fill && !refs.fill) {
+      css[component.type === 'TEXT' ? 'color' : 'background'] = variable(bound.fill);
+    }
+
+    const stroke = component.paint?.strokes?.paints?.[component.paint.strokes.paints.length - 1];
+    if (bound.stroke && !refs.stroke && stroke?.css) {
+      ['border', 'outline']
+        .filter((name) => css[name])
+        .forEach((name) => {
+          css[name] = css[name].replace(stroke.css, variable(bound.stroke));
+        });
+    }
+
+    if (bound.gap) {
+      css[css.columnGap ? 'columnGap' : 'gap'] = variable(bound.gap);
+    }
+    ['rowGap', 'width', 'height', 'minWidth', 'maxWidth', 'minHeight', 'maxHeight', 'borderRadius']
+      .filter((name) => bound[name] && /^[\d.]+px$/.test(css[name]))
+      .forEach((name) => {
+        css[name] = variable(bound[name]);
+      });
+    if (bound.opacity) {
+      css.opacity = variable(bound.opacity);
+    }
+    if (!refs.text) {
+      ['fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing']
+        .filter((name) => bound[name])
+        .forEach((name) => {
+          css[name] = variable(bound[name]);
+        });
+    }
+
+    const padding = component.layout?.padding;
+    const sides = ['paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft'];
+    if (padding && sides.some((side) => bound[side])) {
+      css.padding = sides
+        .map((side) => {
+          const key = side.slice('padding'.length).toLowerCase();
+          return bound[side] ? variable(bound[side]) : px(padding[key] || 0);
+        })
+        .join(' ');
+    }
+  }
+
+  /**
+   * Shadow and blur declarations, referencing the effect style variables when a style is applied
+   */
+  effectsCss(effects, effectStyle, styles) {
+    const css = { ...effects?.css };
+    const styleEffects = effectStyle && styles?.effects?.[effectStyle]?.value?.effects;
+    if (!styleEffects) {
+      return css;
+    }
+
+    if (css.boxShadow && styleEffects.some((effect) => effect.type.endsWith('_SHADOW'))) {
+      css.boxShadow = `var(--${styleVariableName('shadow', effectStyle)})`;
+    }
+    // The blur token of a style holds its first blur
+    const blur = styleEffects.find((effect) => BLUR_PROPERTIES[effect.type]);
+    if (blur && css[BLUR_PROPERTIES[blur.type]]) {
+      css[BLUR_PROPERTIES[blur.type]] = `blur(var(--${styleVariableName('blur', effectStyle)}))`;
+    }
+    return css;
+  }
+
+  /**
+   * Typography declarations, referencing the text style variables when a style is applied
+   */
+  typographyCss(properties, textStyle, styles) {
+    if (textStyle && styles?.typography?.[textStyle]) {
+      const base = styleVariableName('typography', textStyle);
+      const css = {
+        fontFamily: `var(--${base}-font-family)`,
+        fontSize: `var(--${base}-font-size)`,
+        fontWeight: `var(--${base}-font-weight)`,
+        letterSpacing: `var(--${base}-letter-spacing)`,
+      };
+      if (styles.typography[textStyle].value?.lineHeightPx) {
+        css.lineHeight = `var(--${base}-line-height)`;
+      }
+      return css;
+    }
+
+    const css = {};
+    if (properties.fontFamily) {
+      css.fontFamily = `'${properties.fontFamily}'`;
+    }
+    if (properties.fontSize) {
+      css.fontSize = px(properties.fontSize);
+    }
+    if (properties.fontWeight) {
+      css.fontWeight = String(properties.fontWeight);
+    }
+    return css;
+  }
+
+  /**
+   * Absolutely position nodes that do not live in an auto-layout parent
+   */
+  applyPositioning(component, element, parentElement) {
+    const parent = parentElement?.component;
+    const properties = component.properties || {};
+
+    if (
+      !parent ||
+      component.layout?.child ||
+      properties.x === undefined ||
+      parent.properties?.x === undefined
+    ) {
+      return;
+    }
+
+    element.css.position = 'absolute';
+    this.constrainAxis(element.css, component, parent, 'horizontal');
+    this.constrainAxis(element.css, component, parent, 'vertical');
+    parentElement.css.position = parentElement.css.position || 'relative';
+  }
+
+  /**
+   * Offsets of an absolutely positioned node along one axis, following its constraint:
+   * pinned to the start or end edge, stretched between both, centered, or scaled
+   */
+  constrainAxis(css, component, parent, axis) {
+    const horizontal = axis === 'horizontal';
+    const [start, end, position, size] = horizontal
+      ? ['left', 'right', 'x', 'width']
+      : ['top', 'bottom', 'y', 'height'];
+    const properties = component.properties;
+    const offset = properties[position] - parent.properties[position];
+    const parentSize = parent.properties[size];
+    const ownSize = properties[size];
+    const constraint = component.constraints?.[axis];
+
+    if (!constraint || parentSize === undefined || ownSize === undefined) {
+      css[start] = px(offset);
+      return;
+    }
+
+    const percent = (value) => `${Math.round((value / parentSize) * 10000) / 100}%`;
+    switch (constraint) {
+      case 'right':
+      case 'bottom':
+        css[end] = px(parentSize - offset - ownSize);
+        break;
+      case 'stretch':
+        css[start] = px(offset);
+        css[end] = px(parentSize - offset - ownSize);
+        delete css[size];
+        break;
+      case 'center':
+        css[start] = `calc(50% + ${px(offset - parentSize / 2)})`;
+        break;
+      case 'scale':
+        css[start] = percent(offset);
+        css[size] = percent(ownSize);
+        break;
+      default:
+        css[start] = px(offset);
+    }
+  }
+
+  /**
+   * Render CSS rules
+   */
+  renderCss(rules) {
+    const render = (list, indent) =>
+      list
+        .filter(({ css }) => Object.keys(css).length > 0)
+        .map(({ selector, css }) => {
+          const declarations = Object.entries(css).map(
+            ([property, value]) =>
+              `${indent}  ${property.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`)}: ${value};`
+          );
+          return `${indent}${selector} {\n${declarations.join('\n')}\n${indent}}\n`;
+        })
+        .join('\n');
+
+    // Rules under a media or container query are grouped in one block per query
+    const queries = [...new Set(rules.filter((rule) => rule.query).map((rule) => rule.query))];
+    return [
+      render(
+        rules.filter((rule) => !rule.query),
+        ''
+      ),
+      ...queries.map((query) => {
+        const body = render(
+          rules.filter((rule) => rule.query === query),
+          '  '
+        );
+        return body ? `${query} {\n${body}}\n` : '';
+      }),
+    ]
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  /**
+   * Render an element tree as markup for a framework (JSX for react, templates otherwise),
+   * wrapping prop-bound layers in the framework's conditional and slot syntax
+   */
+  renderMarkup(element, framework, depth) {
+    const indent = '  '.repeat(depth);
+
+    if (element.loop && framework !== 'html') {
+      return this.renderLoop(element, framework, depth);
+    }
+
+    if (element.usage) {
+      return `${indent}${this.renderUsage(element.usage, framework, element.loopAttrs)}`;
+    }
+
+    if (framework === 'react' && (element.condition || element.slot)) {
+      const open = [
+        element.condition ? `${element.condition} && (` : '',
+        element.slot ? `${element.slot} ?? (` : '',
+      ].join('');
+      const close = `${element.slot ? ')' : ''}${element.condition ? ')' : ''}`;
+      const tag = this.renderTag(element, framework, depth + 1, element.loopAttrs);
+      return `${indent}{${open}\n${tag}\n${indent}${close}}`;
+    }
+
+    if (framework === 'vue' && element.slot) {
+      const condition = element.condition ? ` v-if="${element.condition}"` : '';
+      return [
+        `${indent}<slot name="${element.slot}"${condition}>`,
+        this.renderTag(element, framework, depth + 1),
+        `${indent}</slot>`,
+      ].join('\n');
+    }
+
+    if (framework === 'angular' && element.slot) {
+      const slot = `<ng-content select="[${toKebabCase(element.slot)}]"></ng-content>`;
+      return element.condition
+        ? `${indent}<ng-container *ngIf="${element.condition}">${slot}</ng-container>`
+        : `${indent}${slot}`;
+    }
+
+    if (framework === 'html' && element.hidden) {
+      return '';
+    }
+
+    const conditionAttrs = {
+      vue: element.condition ? [`v-if="${element.condition}"`] : [],
+      angular: element.condition ? [`*ngIf="${element.condition}"`] : [],
+    };
+    return this.renderTag(element, framework, depth, [
+      ...(conditionAttrs[framework] || []),
+      ...(element.loopAttrs || []),
+    ]);
+  }
+
+  /**
+   * Render the first of repeated siblings once per item of its collection
+   * (items.map in JSX, v-for and *ngFor in templates), keyed by the item ID
+   */
+  renderLoop(element, framework, depth) {
+    const { collection, item } = element.loop;
+    const single = { ...element, loop: null };
+
+    if (framework === 'react') {
+      const indent = '  '.repeat(depth);
+      return [
+        `${indent}{${collection}.map((${item}) => (`,
+        this.renderMarkup({ ...single, loopAttrs: [`key={${item}.id}`] }, framework, depth + 1),
+        `${indent}))}`,
+      ].join('\n');
+    }
+
+    const loopAttrs =
+      framework === 'vue'
+        ? [`v-for="${item} in ${collection}"`, `:key="${item}.id"`]
+        : [`*ngFor="let ${item} of ${collection}"`];
+    return this.renderMarkup({ ...single, loopAttrs }, framework, depth);
+  }
+
+  /**
+   * Render a single element with its attributes, text and children
+   */
+  renderTag(element, framework, depth, extraAttrs = []) {
+    const indent = '  '.repeat(depth);
+    const dialect = framework === 'react' ? 'jsx' : 'html';
+    const classAttr = dialect === 'jsx' ? 'className' : 'class';
+    const attrs = [
+      `${classAttr}="${element.className}"`,
+      ...(element.staticAttrs || []).map(
+        ([name, value]) =>
+          `${dialect === 'jsx' && name === 'srcset' ? 'srcSet' : name}="${escapeAttr(value)}"`
+      ),
+      ...element.attrs.map((attr) => this.renderBinding(attr, framework)),
+      ...extraAttrs,
+    ].join(' ');
+    const open = `<${element.tag} ${attrs}>`;
+    const close = `</${element.tag}>`;
+
+    if (VOID_TAGS.includes(element.tag)) {
+      return `${indent}<${element.tag} ${attrs} />`;
+    }
+
+    if (element.blocks) {
+      if (element.tag !== 'div') {
+        return `${indent}${open}${this.renderSpans(element.blocks[0].spans, dialect)}${close}`;
+      }
+      const blocks = element.blocks.map((block) => this.renderTextBlock(block, dialect, depth + 1));
+      return [`${indent}${open}`, ...blocks, `${indent}${close}`].join('\n');
+    }
+
+    if (element.children.length === 0) {
+      if (element.textProp && framework !== 'html') {
+        const binding = dialect === 'jsx' ? `{${element.textProp}}` : `{{ ${element.textProp} }}`;
+        return `${indent}${open}${binding}${close}`;
+      }
+      if (element.text) {
+        return `${indent}${open}${escapeText(element.text, dialect)}${close}`;
+      }
+      return dialect === 'jsx'
+        ? `${indent}<${element.tag} ${attrs} />`
+        : `${indent}${open}${close}`;
+    }
+
+    const children = element.children
+      .map((child) => this.renderMarkup(child, framework, depth + 1))
+      .filter(Boolean);
+    return [`${indent}${open}`, ...children, `${indent}${close}`].join('\n');
+  }
+
+  /**
+   * Render a paragraph or a (nested) list of a rich text
+   */
+  renderTextBlock(block, dialect, depth) {
+    const indent = '  '.repeat(depth);
+    if (block.tag === 'p') {
+      return `${indent}<p>${this.renderSpans(block.spans, dialect)}</p>`;
+    }
+
+    const items = block.items.map((item) => {
+      const content = `${indent}  <li>${this.renderSpans(item.spans, dialect)}`;
+      if (item.children.length === 0) {
+        return `${content}</li>`;
+      }
+      return [
+        content,
+        ...item.children.map((child) => this.renderTextBlock(child, dialect, depth + 2)),
+        `${indent}  </li>`,
+      ].join('\n');
+    });
+    return [`${indent}<${block.tag}>`, ...items, `${indent}</${block.tag}>`].join('\n');
+  }
+
+  /**
+   * Render spans inline: bold as <strong>, italic as <em>, own CSS as a classed <span>,
+   * and consecutive spans linking to the same URL inside one <a>
+   */
+  renderSpans(spans, dialect) {
+    const classAttr = dialect === 'jsx' ? 'className' : 'class';
+    const groups = [];
+    spans.forEach((span) => {
+      const href = span.link?.url || null;
+      const last = groups[groups.length - 1];
+      if (last && last.href === href) {
+        last.spans.push(span);
+      } else {
+        groups.push({ href, spans: [span] });
+      }
+    });
+
+    return groups
+      .map(({ href, spans: grouped }) => {
+        const content = grouped
+          .map((span) => {
+            let markup = escapeText(span.text, dialect);
+            if (span.italic) {
+              markup = `<em>${markup}</em>`;
+            }
+            if (span.bold) {
+              markup = `<strong>${markup}</strong>`;
+            }
+            if (span.className) {
+              markup = `<span ${classAttr}="${span.className}">${markup}</span>`;
+            }
+            return markup;
+          })
+          .join('');
+        return href ? `<a href="${escapeAttr(href)}">${content}</a>` : content;
+      })
+      .join('');
+  }
+
+  /**
+   * Render an attribute bound to a prop (static default value in plain HTML)
+   */
+  renderBinding(attr, framework) {
+    switch (framework) {
+      case 'react':
+        return `${attr.name}={${attr.prop}}`;
+      case 'vue':
+        return `:${attr.name}="${attr.prop}"`;
+      case 'angular':
+        return `[attr.${attr.name}]="${attr.prop}"`;
+      default:
+        return `${attr.name}="${escapeAttr(attr.value)}"`;
+    }
+  }
+
+  /**
+   * Render an instance as a usage of the generated component, passing its prop values
+   * (or the loop item fields bound to them)
+   */
+  renderUsage(usage, framework, extraAttrs = []) {
+    const attrs = usage.props.map(([propName, { value, binding }]) => {
+      if (binding === undefined && typeof value !== 'boolean') {
+        return ` ${propName}="${escapeAttr(value)}"`;
+      }
+      const expression = binding ?? value;
+      const bindings = {
+        react: `${propName}={${expression}}`,
+        vue: `:${propName}="${expression}"`,
+        angular: `[${propName}]="${expression}"`,
+      };
+      return ` ${bindings[framework]}`;
+    });
+    attrs.push(...extraAttrs.map((attr) => ` ${attr}`));
+
+    if (framework === 'angular') {
+      const selector = `app-${toKebabCase(usage.name)}`;
+      return `<${selector}${attrs.join('')}></${selector}>`;
+    }
+    return `<${usage.name}${attrs.join('')} />`;
+  }
+
+  /**
+   * Directory a used component is imported from: next to the component, or the shared
+   * library (shared/, next to the directory of the file's components)
+   */
+  usageDir(usage, context) {
+    return context.shared.has(usage) ? '../shared/' : './';
+  }
+
+  /**
+   * Props exposed as framework props (instance swaps are slots in Vue and Angular)
+   */
+  inputProps(context, includeSlots = false) {
+    return [...context.props.values()].filter(
+      (prop) => includeSlots || prop.type !== 'instance-swap'
+    );
+  }
+
+  /**
+   * React function component
+   */
+  renderReact(name, element, includeStyles, context) {
+    const imports = [...context.usages]
+      .sort()
+      .map((usage) => `import ${usage} from '${this.usageDir(usage, context)}${usage}';`);
+    if (context.loops.length > 0) {
+      imports.push(this.fixturesImport(context, `./${name}.fixtures`));
+    }
+    if (includeStyles) {
+      imports.push(`import './${name}.css';`);
+    }
+
+    const params = [
+      ...this.inputProps(context, true).map(
+        (prop) =>
+          `${prop.name} = ${prop.type === 'instance-swap' ? 'null' : literal(prop.defaultValue)}`
+      ),
+      ...context.loops.map(({ collection }) => `${collection} = ${fixturesAlias(collection)}`),
+    ];
+    const signature = params.length > 0 ? `{ ${params.join(', ')} }` : '';
+
+    return `${imports.length > 0 ? `${imports.join('\n')}\n\n` : ''}export default function ${name}(${signature}) {
+  return (
+${this.renderMarkup(element, 'react', 2)}
+  );
+}
+`;
+  }
+
+  /**
+   * Vue single-file component
+   */
+  renderVue(element, css, context) {
+    const style = css ? `\n<style scoped>\n${css}</style>\n` : '';
+    return `${this.renderVueScript(context)}<template>
+${this.renderMarkup(element, 'vue', 1)}
+</template>
+${style}`;
+  }
+
+  /**
+   * <script setup> block of a Vue component: component and fixtures imports and defineProps
+   */
+  renderVueScript(context) {
+    const sections = [];
+    const imports = [...context.usages]
+      .sort()
+      .map((usage) => `import ${usage} from '${this.usageDir(usage, context)}${usage}.vue';`);
+    if (context.loops.length > 0) {
+      imports.push(this.fixturesImport(context, `./${context.name}.fixtures`));
+    }
+    if (imports.length > 0) {
+      sections.push(imports.join('\n'));
+    }
+
+    const props = this.inputProps(context).map((prop) => {
+      const type = prop.type === 'boolean' ? 'Boolean' : 'String';
+      const validator =
+        prop.type === 'variant' && prop.options?.length > 0
+          ? `, validator: (value) => [${prop.options.map(literal).join(', ')}].includes(value)`
+          : '';
+      return `  ${prop.name}: { type: ${type}, default: ${literal(prop.defaultValue)}${validator} },`;
+    });
+    props.push(
+      ...context.loops.map(
+        ({ collection }) =>
+          `  ${collection}: { type: Array, default: () => ${fixturesAlias(collection)} },`
+      )
+    );
+    if (props.length > 0) {
+      sections.push(`defineProps({\n${props.join('\n')}\n});`);
+    }
+
+    return sections.length > 0 ? `<script setup>\n${sections.join('\n\n')}\n</script>\n\n` : '';
+  }
+
+  /**
+   * Angular standalone component
+   */
+  renderAngular(name, element, includeStyles, context) {
+    const fileName = toKebabCase(name);
+    const inputs = this.inputProps(context).map((prop) => {
+      const type =
+        prop.type === 'variant' && prop.options?.length > 0
+          ? `: ${prop.options.map(literal).join(' | ')}`
+          : '';
+      return `  @Input() ${prop.name}${type} = ${literal(prop.defaultValue)};`;
+    });
+    inputs.push(
+      ...context.loops.map(
+        ({ collection, type }) =>
+          `  @Input() ${collection}: ${type}[] = ${fixturesAlias(collection)};`
+      )
+    );
+
+    const usages = [...context.usages].sort();
+    const directives = [
+      ...(context.conditional ? ['NgIf'] : []),
+      ...(context.loops.length > 0 ? ['NgFor'] : []),
+    ];
+    const imports = [
+      `import { ${inputs.length > 0 ? 'Component, Input' : 'Component'} } from '@angular/core';`,
+      ...(directives.length > 0
+        ? [`import { ${directives.join(', ')} } from '@angular/common';`]
+        : []),
+      ...usages.map(
+        (usage) =>
+          `import { ${usage}Component } from '${this.usageDir(usage, context)}${toKebabCase(usage)}.component';`
+      ),
+      ...(context.loops.length > 0
+        ? [this.fixturesImport(context, `./${fileName}.fixtures`, true)]
+        : []),
+    ];
+    const standaloneImports = [...directives, ...usages.map((usage) => `${usage}Component`)];
+
+    const componentImports =
+      standaloneImports.length > 0 ? `\n  imports: [${standaloneImports.join(', ')}],` : '';
+    const styleUrls = includeStyles ? `\n  styleUrls: ['./${fileName}.component.css'],` : '';
+    const body = inputs.length > 0 ? `{\n${inputs.join('\n')}\n}` : '{}';
+
+    return `${imports.join('\n')}
+
+@Component({
+  selector: 'app-${fileName}',
+  standalone: true,${componentImports}
+  template: \`
+${this.renderMarkup(element, 'angular', 2)}
+  \`,${styleUrls}
+})
+export class ${name}Component ${body}
+`;
+  }
+
+  /**
+   * Import of the fixtures of a component's loops, aliased so the collection props can
+   * default to them (with the item types in TypeScript)
+   */
+  fixturesImport(context, specifier, typescript = false) {
+    const names = context.loops.map(
+      ({ collection }) => `${collection} as ${fixturesAlias(collection)}`
+    );
+    const types = typescript ? context.loops.map(({ type }) => type) : [];
+    return `import { ${[...types, ...names].join(', ')} } from '${specifier}';`;
+  }
+
+  /**
+   * File name of a component's fixtures (next to the component)
+   */
+  fixturesFile(name, framework) {
+    return framework === 'angular' ? `${toKebabCase(name)}.fixtures.ts` : `${name}.fixtures.js`;
+  }
+
+  /**
+   * Fixtures of a component's loops: the item type of each collection (an interface in
+   * TypeScript, a JSDoc typedef otherwise) and its sample items, taken from the design
+   */
+  renderFixtures(context) {
+    const typescript = context.framework === 'angular';
+
+    const sections = context.loops.map(({ collection, type, fields, items }) => {
+      const properties = [
+        ['id', 'string'],
+        ...fields.map((field) => {
+          const nullable = items.some((item) => item[field.name] === null);
+          return [field.name, `${field.type}${nullable ? (typescript ? ' | null' : '|null') : ''}`];
+        }),
+      ];
+      const values = items.map(
+        (item) =>
+          `  { ${Object.entries(item)
+            .map(([key, value]) => `${key}: ${literal(value)}`)
+            .join(', ')} },`
+      );
+
+      if (typescript) {
+        return `export interface ${type} {
+${properties.map(([key, propertyType]) => `  ${key}: ${propertyType};`).join('\n')}
+}
+
+export const ${collection}: ${type}[] = [
+${values.join('\n')}
+];`;
+      }
+      return `/**
+ * @typedef {Object} ${type}
+${properties.map(([key, propertyType]) => ` * @property {${propertyType}} ${key}`).join('\n')}
+ */
+
+/** @type {${type}[]} */
+export const ${collection} = [
+${values.join('\n')}
+];`;
+    });
+
+    return `// Sample data of the repeated content of the design\n\n${sections.join('\n\n')}\n`;
+  }
+
+  /**
+   * Global styles: a box-sizing reset plus the custom properties of the named styles
+   * and of the Figma variables, with a [data-<collection>] block per variable mode
+   */
+  buildGlobalStyles(componentsData) {
+    const reset = '*,\n*::before,\n*::after {\n  box-sizing: border-box;\n}\n';
+    const tokens = this.tokenService.buildTokens(
+      componentsData?.styles || {},
+      null,
+      componentsData?.variables || null
+    );
+
+    return tokens.length > 0 ? `${this.tokenService.toCssVariables(tokens)}\n${reset}` : reset;
+  }
+}
+
+export default TemplateGeneratorAgent;
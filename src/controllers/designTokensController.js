@@ -0,0 +1,52 @@
+import ProjectExtractionService from '../services/projectExtractionService.js';
+import { UnauthorizedError, ValidationError } from '../utils/errorHandler.js';
+import {
+  validateBoolean,
+  validateTokenFormats,
+  validateVariablesJson,
+} from '../utils/validators.js';
+import { sendSuccess } from '../utils/responseFormatter.js';
+
+/**
+ * Controller for design token export endpoints
+ */
+class DesignTokensController {
+  /**
+   * Export the styles of a Figma file as design token files
+   */
+  static async exportTokens(req, res) {
+    const {
+      fileKey,
+      figmaToken: customFigmaToken,
+      formats,
+      variables,
+      variablesJson,
+    } = req.body || {};
+
+    if (!fileKey) {
+      throw new ValidationError('fileKey is required');
+    }
+
+    const figmaToken = customFigmaToken || process.env.FIGMA_ACCESS_TOKEN;
+    if (!figmaToken) {
+      throw new UnauthorizedError(
+        'Figma access token not configured',
+        'Please set FIGMA_ACCESS_TOKEN in environment variables or provide figmaToken in request'
+      );
+    }
+
+    const validatedFormats = validateTokenFormats(formats);
+
+    const service = new ProjectExtractionService(figmaToken);
+    const result = await service.extractDesignTokens(fileKey, validatedFormats, {
+      variables: validateBoolean(variables, false),
+      variablesJson: validateVariablesJson(variablesJson),
+    });
+
+    console.log(`Design tokens exported: ${result.tokenCount} tokens from ${fileKey}`);
+
+    return sendSuccess(res, result);
+  }
+}
+
+export default DesignTokensController;
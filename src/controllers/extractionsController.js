@@ -0,0 +1,64 @@
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import JobService from '../services/jobService.js';
+import ArchiveService from '../services/archiveService.js';
+import { getOutputRoot } from '../services/projectExtractionService.js';
+import { NotFoundError, ValidationError } from '../utils/errorHandler.js';
+
+/**
+ * Controller for extraction result endpoints
+ */
+class ExtractionsController {
+  /**
+   * Download the output of a completed extract-project job as a ZIP archive
+   */
+  static async downloadArchive(req, res) {
+    const job = await new JobService().getJob(req.query.id);
+
+    if (job.type !== 'extract-project') {
+      throw new ValidationError('Only extract-project jobs have an archive');
+    }
+
+    return ExtractionsController.sendArchive(res, job);
+  }
+
+  /**
+   * Stream the output directory of a completed extraction job as a ZIP archive. Once
+   * streaming started, a failure can only end the response early.
+   */
+  static async sendArchive(res, job) {
+    if (job.status !== 'completed' || !job.result?.outputDirectory) {
+      throw new ValidationError('Extraction is not completed', { status: job.status });
+    }
+
+    const directoryName = job.result.outputDirectory;
+    let archive;
+    try {
+      archive = await new ArchiveService().createArchive(
+        path.join(getOutputRoot(), directoryName),
+        directoryName
+      );
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new NotFoundError(
+          'Extraction output not found',
+          'The output directory is not on this server (outputs live in OUTPUT_DIR, which must be shared by every instance); run the extraction again'
+        );
+      }
+      throw error;
+    }
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${directoryName}.zip"`);
+    res.status(200);
+    try {
+      await pipeline(archive, res);
+      console.log(`Archive of job ${job.id} sent`);
+    } catch (error) {
+      console.error(`Archive of job ${job.id} failed:`, error.message);
+    }
+    return res;
+  }
+}
+
+export default ExtractionsController;
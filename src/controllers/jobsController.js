@@ -0,0 +1,76 @@
+import JobService, { JOB_STATUSES } from '../services/jobService.js';
+import ProjectExtractionController from './projectExtractionController.js';
+import { UnauthorizedError, ValidationError } from '../utils/errorHandler.js';
+import { sendSuccess } from '../utils/responseFormatter.js';
+
+/**
+ * Controller for background job endpoints
+ */
+class JobsController {
+  /**
+   * List jobs, optionally filtered by status and type
+   */
+  static async listJobs(req, res) {
+    const { status, type } = req.query || {};
+
+    if (status && !JOB_STATUSES.includes(status)) {
+      throw new ValidationError(`Invalid status. Must be one of: ${JOB_STATUSES.join(', ')}`);
+    }
+
+    const jobs = await new JobService().listJobs({ status, type });
+
+    return sendSuccess(res, { count: jobs.length, data: jobs });
+  }
+
+  /**
+   * Get the status and per-file / per-framework progress of a job
+   */
+  static async getJob(req, res) {
+    const job = await new JobService().getJob(req.query.id);
+
+    return sendSuccess(res, { data: job });
+  }
+
+  /**
+   * Cancel a queued or running job
+   */
+  static async cancelJob(req, res) {
+    const job = await new JobService().cancelJob(req.query.id);
+
+    console.log(`Job ${job.id} cancellation requested`);
+
+    return sendSuccess(res, { data: job });
+  }
+
+  /**
+   * Resume a failed, cancelled, interrupted or paused extraction from its last checkpoint
+   */
+  static async resumeJob(req, res) {
+    const { figmaToken: customFigmaToken } = req.body || {};
+    const jobService = new JobService();
+    const job = await jobService.getJob(req.query.id);
+
+    if (job.type !== 'extract-project') {
+      throw new ValidationError(`Jobs of type ${job.type} cannot be resumed`);
+    }
+
+    const figmaToken = customFigmaToken || process.env.FIGMA_ACCESS_TOKEN;
+    if (!figmaToken) {
+      throw new UnauthorizedError(
+        'Figma access token not configured',
+        'Please set FIGMA_ACCESS_TOKEN in environment variables or provide figmaToken in request'
+      );
+    }
+
+    const resumed = await jobService.resumeJob(
+      job.id,
+      ProjectExtractionController.extractionTask(figmaToken, job.params)
+    );
+
+    console.log(`Job ${job.id} resumed`);
+
+    return sendSuccess(res, { data: resumed }, resumed.finishedAt ? 200 : 202);
+  }
+}
+
+export default JobsController;
@@ -1,9 +1,20 @@
 import ProjectExtractionService from '../services/projectExtractionService.js';
+import JobService from '../services/jobService.js';
+import ExtractionsController from './extractionsController.js';
 import { ValidationError } from '../utils/errorHandler.js';
 import {
   validateFrameworks,
   validatePositiveInteger,
   validateBoolean,
+  validateTokenFormats,
+  validateGenerator,
+  validateOutputFormat,
+  validateImageFormat,
+  validateImageScales,
+  validateBreakpoints,
+  validateResponsiveQuery,
+  validateVariablesJson,
+  validateExtractionFilters,
 } from '../utils/validators.js';
 import { sendSuccess } from '../utils/responseFormatter.js';
 
@@ -12,7 +23,11 @@ import { sendSuccess } from '../utils/responseFormatter.js';
  */
 class ProjectExtractionController {
   /**
-   * Extract Figma project and generate JSON files
+   * Queue a Figma project extraction as a background job.
+   * Responds right away with the job ID; progress is polled on /api/v1/jobs/:id. Where jobs
+   * cannot outlive the request (see runsJobsInBackground), the job runs for one step first:
+   * a paused job continues on /api/v1/jobs/:id/resume, and a finished one is sent, or with
+   * options.archive a ZIP of its output.
    */
   static async extractProject(req, res) {
     const {
@@ -25,8 +40,11 @@ class ProjectExtractionController {
       options = {},
     } = req.body;
 
+    // The template generator runs without an LLM, so it needs no githubToken
+    const generator = validateGenerator(options.generator);
+
     // Validate required tokens
-    if (!figmaToken || !githubToken) {
+    if (!figmaToken || (generator === 'ai' && !githubToken)) {
       throw new ValidationError('figmaToken and githubToken are required');
     }
 
@@ -47,14 +65,25 @@ class ProjectExtractionController {
 
     const includeStyles = validateBoolean(options.includeStyles, true);
     const generateDocs = validateBoolean(options.generateDocs, true);
+    const designTokens = validateBoolean(options.designTokens, false);
+    const tokenFormats = validateTokenFormats(options.tokenFormats);
+    const incremental = validateBoolean(options.incremental, false);
+    const outputFormat = validateOutputFormat(options.outputFormat);
+    const scaffold = validateBoolean(options.scaffold, false);
+    const exportAssets = validateBoolean(options.exportAssets, false);
+    const imageFormat = validateImageFormat(options.imageFormat);
+    const imageScales = validateImageScales(options.imageScales);
+    const responsive = validateBoolean(options.responsive, false);
+    const breakpoints = validateBreakpoints(options.breakpoints);
+    const responsiveQuery = validateResponsiveQuery(options.responsiveQuery);
+    const variables = validateBoolean(options.variables, false);
+    const variablesJson = validateVariablesJson(options.variablesJson);
+    const filters = validateExtractionFilters(options.filters);
+    const includeHidden = validateBoolean(options.includeHidden, false);
+    const sharedLibrary = validateBoolean(options.sharedLibrary, false);
+    const archive = validateBoolean(options.archive, false);
 
-    // Initialize service
-    const service = new ProjectExtractionService(figmaToken);
-
-    console.log('Starting project extraction');
-
-    // Extract project
-    const result = await service.extractProject({
+    const params = {
       fileKey,
       teamId,
       projectId,
@@ -63,17 +92,69 @@ class ProjectExtractionController {
         maxComponentsPerFile,
         includeStyles,
         generateDocs,
+        designTokens,
+        tokenFormats,
+        generator,
+        incremental,
+        outputFormat,
+        scaffold,
+        exportAssets,
+        imageFormat,
+        imageScales,
+        responsive,
+        breakpoints,
+        responsiveQuery,
+        variables,
+        variablesJson,
+        filters,
+        includeHidden,
+        sharedLibrary,
       },
-    });
+    };
+
+    // Tokens stay out of the persisted job parameters
+    const jobService = new JobService();
+    const job = await jobService.createJob('extract-project', params);
+    console.log(`Project extraction queued as job ${job.id}`);
 
-    console.log(
-      `Project extraction completed: ${result.filesProcessed} files, ${result.totalComponentsExtracted} components`
+    const started = await jobService.startJob(
+      job.id,
+      ProjectExtractionController.extractionTask(figmaToken, params)
     );
 
-    // Remove sensitive data from response
-    delete result.githubToken;
+    if (archive && started.status === 'completed') {
+      return ExtractionsController.sendArchive(res, started);
+    }
+
+    return sendSuccess(
+      res,
+      {
+        jobId: job.id,
+        status: started.status,
+        statusUrl: `/api/v1/jobs/${job.id}`,
+        cancelUrl: `/api/v1/jobs/${job.id}/cancel`,
+        ...(started.status === 'paused' && { resumeUrl: `/api/v1/jobs/${job.id}/resume` }),
+        ...(started.finishedAt && { data: started }),
+      },
+      started.finishedAt ? 200 : 202
+    );
+  }
+
+  /**
+   * Job task running a project extraction with the job's progress hooks
+   */
+  static extractionTask(figmaToken, params) {
+    return async (hooks) => {
+      const service = new ProjectExtractionService(figmaToken);
+
+      console.log('Starting project extraction');
+      const result = await service.extractProject(params, hooks);
+      console.log(
+        `Project extraction completed: ${result.filesProcessed} files, ${result.totalComponentsExtracted} components`
+      );
 
-    return sendSuccess(res, result);
+      return result;
+    };
   }
 }
 
@@ -0,0 +1,75 @@
+import JsonFileRepository, { getDatabasePath } from './jsonFileRepository.js';
+
+/**
+ * Default manifests database (EXTRACTION_MANIFESTS_PATH, or
+ * database/extraction-manifests.json), in the temp directory on Vercel (see getDatabasePath)
+ */
+export function getManifestsDbPath() {
+  return getDatabasePath(process.env.EXTRACTION_MANIFESTS_PATH, 'extraction-manifests.json');
+}
+
+/**
+ * File-backed repository for extraction manifests.
+ * A manifest remembers, per extraction target (a file or a project), the output directory
+ * of the last run, the Figma version of every file it processed and its shared library.
+ */
+class ExtractionManifestRepository extends JsonFileRepository {
+  constructor(dbPath = getManifestsDbPath()) {
+    super(dbPath, {});
+  }
+
+  /**
+   * Find the manifest of an extraction target (e.g. "file:abc" or "project:123")
+   */
+  async findByTarget(target) {
+    const manifests = await this.findAll();
+    return manifests[target] || null;
+  }
+
+  /**
+   * Create or replace the manifest of a target
+   */
+  async save(target, manifest) {
+    return this.write((manifests) => {
+      manifests[target] = {
+        ...manifest,
+        target,
+        updatedAt: new Date().toISOString(),
+      };
+      return manifests[target];
+    });
+  }
+
+  /**
+   * Record the outcome of one file in the manifest of a target
+   */
+  async saveFile(target, fileKey, entry) {
+    return this.write((manifests) => {
+      if (!manifests[target]) {
+        throw new Error(`Manifest for ${target} not found`);
+      }
+
+      manifests[target].files = { ...manifests[target].files, [fileKey]: entry };
+      manifests[target].updatedAt = new Date().toISOString();
+      return manifests[target];
+    });
+  }
+
+  /**
+   * Record the shared library generated for a target, with the versions of the files
+   * defining its components
+   */
+  async saveSharedLibrary(target, sharedLibrary) {
+    return this.write((manifests) => {
+      if (!manifests[target]) {
+        throw new Error(`Manifest for ${target} not found`);
+      }
+
+      manifests[target].sharedLibrary = sharedLibrary;
+      manifests[target].updatedAt = new Date().toISOString();
+      return manifests[target];
+    });
+  }
+}
+
+export default ExtractionManifestRepository;
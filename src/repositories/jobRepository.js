@@ -0,0 +1,58 @@
+import JsonFileRepository, { getDatabasePath } from './jsonFileRepository.js';
+
+/**
+ * Default jobs database (JOBS_DB_PATH, or database/jobs.json), in the temp directory on
+ * Vercel (see getDatabasePath)
+ */
+export function getJobsDbPath() {
+  return getDatabasePath(process.env.JOBS_DB_PATH, 'jobs.json');
+}
+
+/**
+ * File-backed repository for background jobs
+ */
+class JobRepository extends JsonFileRepository {
+  constructor(dbPath = getJobsDbPath()) {
+    super(dbPath, []);
+  }
+
+  /**
+   * Find a job by ID
+   */
+  async findById(id) {
+    const jobs = await this.findAll();
+    return jobs.find((job) => job.id === id) || null;
+  }
+
+  /**
+   * Save a new job
+   */
+  async save(job) {
+    return this.write((jobs) => {
+      jobs.push(job);
+      return job;
+    });
+  }
+
+  /**
+   * Merge changes into an existing job
+   */
+  async update(id, changes) {
+    return this.write((jobs) => {
+      const index = jobs.findIndex((job) => job.id === id);
+
+      if (index === -1) {
+        throw new Error(`Job with id ${id} not found`);
+      }
+
+      jobs[index] = {
+        ...jobs[index],
+        ...changes,
+        updatedAt: new Date().toISOString(),
+      };
+      return jobs[index];
+    });
+  }
+}
+
+export default JobRepository;
@@ -0,0 +1,89 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Pending writes per database file, so concurrent updates never overwrite each other
+const writeQueues = new Map();
+
+/**
+ * Path of a database file: the configured path when set, otherwise the file in database/.
+ * Deployed sources are read-only on Vercel, so it defaults to the temp directory there.
+ * @param {string|undefined} configuredPath - Path from the environment (e.g. JOBS_DB_PATH)
+ * @param {string} fileName - Default file name (e.g. jobs.json)
+ * @returns {string} Absolute path
+ */
+export function getDatabasePath(configuredPath, fileName) {
+  if (configuredPath) {
+    return path.resolve(configuredPath);
+  }
+  return process.env.VERCEL
+    ? path.join(os.tmpdir(), 'database', fileName)
+    : path.join(__dirname, '../../database', fileName);
+}
+
+/**
+ * Base of the repositories kept in one JSON file. Writes are queued per file and replace
+ * it atomically, so readers never see a partial write.
+ */
+class JsonFileRepository {
+  /**
+   * @param {string} dbPath - Database file
+   * @param {*} emptyData - Content of a new database file (e.g. [] or {})
+   */
+  constructor(dbPath, emptyData) {
+    this.dbPath = dbPath;
+    this.emptyData = emptyData;
+  }
+
+  /**
+   * Create the database file if it does not exist
+   */
+  async initialize() {
+    try {
+      await fs.access(this.dbPath);
+    } catch {
+      await fs.mkdir(path.dirname(this.dbPath), { recursive: true });
+      await fs.writeFile(this.dbPath, JSON.stringify(this.emptyData, null, 2));
+    }
+  }
+
+  /**
+   * Read the whole database
+   */
+  async findAll() {
+    await this.initialize();
+    const data = await fs.readFile(this.dbPath, 'utf-8');
+    return JSON.parse(data);
+  }
+
+  /**
+   * Queue a read-modify-write of the database file
+   * @param {Function} mutate - Changes the data in place and returns the result
+   * @returns {Promise<*>} Result of mutate
+   */
+  write(mutate) {
+    const pending = writeQueues.get(this.dbPath) || Promise.resolve();
+
+    const next = pending.then(async () => {
+      const data = await this.findAll();
+      const result = mutate(data);
+      const tempPath = `${this.dbPath}.tmp`;
+
+      await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+      await fs.rename(tempPath, this.dbPath);
+      return result;
+    });
+
+    writeQueues.set(
+      this.dbPath,
+      next.catch(() => {})
+    );
+    return next;
+  }
+}
+
+export default JsonFileRepository;
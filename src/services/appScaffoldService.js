@@ -0,0 +1,617 @@
+import { escapeText } from '../agents/templateGeneratorAgent.js';
+import { reserve, toKebabCase, toPascalCase } from '../utils/naming.js';
+import SourceTreeService, { ANGULAR_VERSION, FRAMEWORK_RUNTIME } from './sourceTreeService.js';
+
+const VITE_SCRIPTS = { dev: 'vite', build: 'vite build', preview: 'vite preview' };
+
+/**
+ * Scripts and dependencies of the runnable app of each framework
+ */
+export const APP_PACKAGES = {
+  react: {
+    type: 'module',
+    scripts: VITE_SCRIPTS,
+    dependencies: { ...FRAMEWORK_RUNTIME.react, 'react-router-dom': '^6.26.2' },
+    devDependencies: { vite: '^5.4.8', '@vitejs/plugin-react': '^4.3.2' },
+  },
+  vue: {
+    type: 'module',
+    scripts: VITE_SCRIPTS,
+    dependencies: { ...FRAMEWORK_RUNTIME.vue, 'vue-router': '^4.4.5' },
+    devDependencies: { vite: '^5.4.8', '@vitejs/plugin-vue': '^5.1.4' },
+  },
+  angular: {
+    scripts: { dev: 'ng serve', start: 'ng serve', build: 'ng build' },
+    dependencies: {
+      ...FRAMEWORK_RUNTIME.angular,
+      '@angular/compiler': ANGULAR_VERSION,
+      '@angular/platform-browser': ANGULAR_VERSION,
+      '@angular/router': ANGULAR_VERSION,
+    },
+    devDependencies: {
+      '@angular-devkit/build-angular': ANGULAR_VERSION,
+      '@angular/cli': ANGULAR_VERSION,
+      '@angular/compiler-cli': ANGULAR_VERSION,
+      typescript: '~5.5.2',
+    },
+  },
+  html: {
+    type: 'module',
+    scripts: VITE_SCRIPTS,
+    devDependencies: { vite: '^5.4.8' },
+  },
+};
+
+// Text and double-quoted attribute values of markup and Vue or Angular templates
+const markupText = (text) => escapeText(text, 'html');
+const markupAttr = (text) => markupText(text).replace(/"/g, '&quot;');
+
+const indent = (text, spaces) =>
+  text
+    .split('\n')
+    .map((line) => (line ? `${' '.repeat(spaces)}${line}` : line))
+    .join('\n');
+
+/**
+ * Service for wrapping generated components in a minimal runnable app per framework:
+ * Vite + React, Vite + Vue, an Angular standalone app or a static HTML site.
+ * Every Figma page becomes a route and every top-level frame a screen component
+ * composed from the components generated for it.
+ */
+class AppScaffoldService {
+  constructor(sourceTreeService = new SourceTreeService()) {
+    this.sourceTreeService = sourceTreeService;
+  }
+
+  /**
+   * Build the files of a framework's app (the source tree plus app shell, routes and screens)
+   * @param {string} projectName - Project name
+   * @param {string} framework - Target framework
+   * @param {Array} results - Generated code and pages of every Figma file
+   *   ([{ fileName, pages, code: { components, globalStyles } }])
+   * @param {Object} shared - Optional generated code of the shared library (see
+   *   SourceTreeService.buildFiles)
+   * @returns {Object} Map of relative path to file content
+   */
+  buildApp(projectName, framework, results, shared = null) {
+    const files = this.sourceTreeService.buildFiles(projectName, framework, results, shared);
+    const entries = this.sourceTreeService.collectEntries(framework, results, shared);
+    const routes = this.planRoutes(results, entries);
+    const hasGlobalStyles = Boolean(files['src/styles/global.css']);
+
+    const builders = {
+      react: () => this.reactApp(projectName, routes, hasGlobalStyles),
+      vue: () => this.vueApp(projectName, routes, hasGlobalStyles),
+      angular: () => this.angularApp(projectName, routes, hasGlobalStyles),
+      html: () => this.htmlSite(projectName, routes, hasGlobalStyles, files),
+    };
+
+    return {
+      ...files,
+      ...builders[framework](),
+      'package.json': this.sourceTreeService.packageJson(
+        projectName,
+        framework,
+        entries,
+        APP_PACKAGES[framework]
+      ),
+    };
+  }
+
+  /**
+   * Routes of the app: one per Figma page, with one screen per top-level frame that has
+   * generated components. Components are placed on the first frame they were generated from;
+   * the others (and those of files without page information) get a route named after their
+   * file with a screen per component.
+   * @returns {Array} Routes ({ title, name, path, screens: [{ title, name, entries }] })
+   */
+  planRoutes(results, entries) {
+    const routeNames = new Set();
+    const paths = new Set();
+    const placed = new Set();
+    const routes = [];
+
+    results.forEach((result, fileIndex) => {
+      const fileEntries = entries.filter((entry) => entry.fileIndex === fileIndex);
+      const pages = (result.pages || []).map((page) => ({
+        title: page.name,
+        frames: (page.frames || []).map((frame) => ({
+          title: frame.name,
+          entries: fileEntries.filter((entry) => {
+            const matches = !placed.has(entry) && entry.component.frameIds?.includes(frame.id);
+            if (matches) {
+              placed.add(entry);
+            }
+            return matches;
+          }),
+        })),
+      }));
+
+      // Components not generated from a top-level frame of a page get a route of their file
+      pages.push({
+        title: result.fileName || 'Home',
+        frames: fileEntries
+          .filter((entry) => !placed.has(entry))
+          .map((entry) => ({ title: entry.name, entries: [entry] })),
+      });
+
+      pages.forEach((page) => {
+        const screenNames = new Set();
+        const screens = page.frames
+          .filter((frame) => frame.entries.length > 0)
+          .map((frame) => ({
+            title: frame.title,
+            name: reserve(screenNames, `${toPascalCase(frame.title)}Screen`),
+            entries: frame.entries,
+          }));
+
+        if (screens.length > 0) {
+          routes.push({
+            title: page.title,
+            name: reserve(routeNames, toPascalCase(page.title)),
+            path: reserve(paths, toKebabCase(page.title), '-'),
+            screens,
+          });
+        }
+      });
+    });
+
+    return routes;
+  }
+
+  /**
+   * Vite + React app with react-router
+   */
+  reactApp(projectName, routes, hasGlobalStyles) {
+    const files = {
+      'index.html': this.viteIndexHtml(projectName, 'root', '/src/main.jsx'),
+      'vite.config.js': [
+        "import { defineConfig } from 'vite';",
+        "import react from '@vitejs/plugin-react';",
+        '',
+        'export default defineConfig({',
+        '  plugins: [react()],',
+        '});',
+        '',
+      ].join('\n'),
+      'src/main.jsx': [
+        "import { StrictMode } from 'react';",
+        "import { createRoot } from 'react-dom/client';",
+        "import { BrowserRouter } from 'react-router-dom';",
+        "import App from './App';",
+        ...(hasGlobalStyles ? ["import './styles/global.css';"] : []),
+        '',
+        "createRoot(document.getElementById('root')).render(",
+        '  <StrictMode>',
+        '    <BrowserRouter>',
+        '      <App />',
+        '    </BrowserRouter>',
+        '  </StrictMode>',
+        ');',
+        '',
+      ].join('\n'),
+    };
+
+    const links = routes.map(
+      (route) => `<NavLink to="/${route.path}">{${JSON.stringify(route.title)}}</NavLink>`
+    );
+    const routeElements = [
+      ...(routes.length > 0
+        ? [`<Route path="/" element={<Navigate to="/${routes[0].path}" replace />} />`]
+        : []),
+      ...routes.map((route) => `<Route path="/${route.path}" element={<${route.name}Page />} />`),
+    ];
+
+    files['src/App.jsx'] = [
+      "import { NavLink, Navigate, Route, Routes } from 'react-router-dom';",
+      ...routes.map((route) => `import ${route.name}Page from './pages/${route.name}';`),
+      '',
+      'export default function App() {',
+      '  return (',
+      '    <>',
+      '      <nav className="app-nav">',
+      indent(links.join('\n'), 8),
+      '      </nav>',
+      '      <Routes>',
+      indent(routeElements.join('\n'), 8),
+      '      </Routes>',
+      '    </>',
+      '  );',
+      '}',
+      '',
+    ].join('\n');
+
+    routes.forEach((route) => {
+      const dir = `src/pages/${route.name}`;
+
+      files[`${dir}/index.jsx`] = [
+        ...route.screens.map((screen) => `import ${screen.name} from './${screen.name}';`),
+        '',
+        `export default function ${route.name}Page() {`,
+        '  return (',
+        '    <main>',
+        ...route.screens.map((screen) => `      <${screen.name} />`),
+        '    </main>',
+        '  );',
+        '}',
+        '',
+      ].join('\n');
+
+      route.screens.forEach((screen) => {
+        const names = screen.entries.map((entry) => entry.name);
+        files[`${dir}/${screen.name}.jsx`] = [
+          `import { ${names.join(', ')} } from '../../components';`,
+          '',
+          `export default function ${screen.name}() {`,
+          '  return (',
+          `    <section aria-label={${JSON.stringify(screen.title)}}>`,
+          ...names.map((name) => `      <${name} />`),
+          '    </section>',
+          '  );',
+          '}',
+          '',
+        ].join('\n');
+      });
+    });
+
+    return files;
+  }
+
+  /**
+   * Vite + Vue app with vue-router
+   */
+  vueApp(projectName, routes, hasGlobalStyles) {
+    const files = {
+      'index.html': this.viteIndexHtml(projectName, 'app', '/src/main.js'),
+      'vite.config.js': [
+        "import { defineConfig } from 'vite';",
+        "import vue from '@vitejs/plugin-vue';",
+        '',
+        'export default defineConfig({',
+        '  plugins: [vue()],',
+        '});',
+        '',
+      ].join('\n'),
+      'src/main.js': [
+        "import { createApp } from 'vue';",
+        "import App from './App.vue';",
+        "import router from './router';",
+        ...(hasGlobalStyles ? ["import './styles/global.css';"] : []),
+        '',
+        "createApp(App).use(router).mount('#app');",
+        '',
+      ].join('\n'),
+      'src/router.js': [
+        "import { createRouter, createWebHistory } from 'vue-router';",
+        ...routes.map(
+          (route) => `import ${route.name}Page from './pages/${route.name}/${route.name}Page.vue';`
+        ),
+        '',
+        'export default createRouter({',
+        '  history: createWebHistory(),',
+        '  routes: [',
+        ...(routes.length > 0 ? [`    { path: '/', redirect: '/${routes[0].path}' },`] : []),
+        ...routes.map((route) => `    { path: '/${route.path}', component: ${route.name}Page },`),
+        '  ],',
+        '});',
+        '',
+      ].join('\n'),
+      'src/App.vue': [
+        '<template>',
+        '  <nav class="app-nav">',
+        ...routes.map(
+          (route) => `    <RouterLink to="/${route.path}">${markupText(route.title)}</RouterLink>`
+        ),
+        '  </nav>',
+        '  <RouterView />',
+        '</template>',
+        '',
+      ].join('\n'),
+    };
+
+    routes.forEach((route) => {
+      const dir = `src/pages/${route.name}`;
+
+      files[`${dir}/${route.name}Page.vue`] = [
+        '<script setup>',
+        ...route.screens.map((screen) => `import ${screen.name} from './${screen.name}.vue';`),
+        '</script>',
+        '',
+        '<template>',
+        '  <main>',
+        ...route.screens.map((screen) => `    <${screen.name} />`),
+        '  </main>',
+        '</template>',
+        '',
+      ].join('\n');
+
+      route.screens.forEach((screen) => {
+        files[`${dir}/${screen.name}.vue`] = [
+          '<script setup>',
+          ...screen.entries.map(
+            ({ name }) => `import ${name} from '../../components/${name}/${name}.vue';`
+          ),
+          '</script>',
+          '',
+          '<template>',
+          `  <section aria-label="${markupAttr(screen.title)}">`,
+          ...screen.entries.map(({ name }) => `    <${name} />`),
+          '  </section>',
+          '</template>',
+          '',
+        ].join('\n');
+      });
+    });
+
+    return files;
+  }
+
+  /**
+   * Angular standalone app with the Angular router
+   */
+  angularApp(projectName, routes, hasGlobalStyles) {
+    const appName = toKebabCase(projectName);
+    const files = {
+      'angular.json': `${JSON.stringify(
+        {
+          $schema: './node_modules/@angular/cli/lib/config/schema.json',
+          version: 1,
+          newProjectRoot: 'projects',
+          projects: {
+            [appName]: {
+              projectType: 'application',
+              root: '',
+              sourceRoot: 'src',
+              prefix: 'app',
+              architect: {
+                build: {
+                  builder: '@angular-devkit/build-angular:application',
+                  options: {
+                    outputPath: `dist/${appName}`,
+                    index: 'src/index.html',
+                    browser: 'src/main.ts',
+                    polyfills: ['zone.js'],
+                    tsConfig: 'tsconfig.json',
+                    assets: [{ glob: '**/*', input: 'public' }],
+                    styles: hasGlobalStyles ? ['src/styles/global.css'] : [],
+                  },
+                },
+                serve: {
+                  builder: '@angular-devkit/build-angular:dev-server',
+                  options: { buildTarget: `${appName}:build` },
+                },
+              },
+            },
+          },
+        },
+        null,
+        2
+      )}\n`,
+      'tsconfig.json': `${JSON.stringify(
+        {
+          compilerOptions: {
+            target: 'ES2022',
+            module: 'ES2022',
+            moduleResolution: 'bundler',
+            lib: ['ES2022', 'dom'],
+            experimentalDecorators: true,
+            useDefineForClassFields: false,
+            skipLibCheck: true,
+          },
+          files: ['src/main.ts'],
+        },
+        null,
+        2
+      )}\n`,
+      'src/index.html': [
+        '<!doctype html>',
+        '<html lang="en">',
+        '  <head>',
+        '    <meta charset="UTF-8" />',
+        '    <meta name="viewport" content="width=device-width, initial-scale=1.0" />',
+        '    <base href="/" />',
+        `    <title>${markupText(projectName)}</title>`,
+        '  </head>',
+        '  <body>',
+        '    <app-root></app-root>',
+        '  </body>',
+        '</html>',
+        '',
+      ].join('\n'),
+      'src/main.ts': [
+        "import { bootstrapApplication } from '@angular/platform-browser';",
+        "import { provideRouter } from '@angular/router';",
+        "import { AppComponent } from './app/app.component';",
+        "import { routes } from './app/app.routes';",
+        '',
+        'bootstrapApplication(AppComponent, { providers: [provideRouter(routes)] }).catch((error) =>',
+        '  console.error(error)',
+        ');',
+        '',
+      ].join('\n'),
+      'src/app/app.routes.ts': [
+        "import { Routes } from '@angular/router';",
+        ...routes.map(
+          (route) =>
+            `import { ${route.name}PageComponent } from './pages/${toKebabCase(route.name)}/${toKebabCase(route.name)}.page';`
+        ),
+        '',
+        'export const routes: Routes = [',
+        ...(routes.length > 0
+          ? [`  { path: '', redirectTo: '${routes[0].path}', pathMatch: 'full' },`]
+          : []),
+        ...routes.map(
+          (route) => `  { path: '${route.path}', component: ${route.name}PageComponent },`
+        ),
+        '];',
+        '',
+      ].join('\n'),
+      'src/app/app.component.ts': [
+        "import { Component } from '@angular/core';",
+        "import { RouterLink, RouterOutlet } from '@angular/router';",
+        '',
+        '@Component({',
+        "  selector: 'app-root',",
+        '  standalone: true,',
+        '  imports: [RouterLink, RouterOutlet],',
+        '  template: `',
+        '    <nav class="app-nav">',
+        ...routes.map(
+          (route) => `      <a routerLink="/${route.path}">${markupText(route.title)}</a>`
+        ),
+        '    </nav>',
+        '    <router-outlet></router-outlet>',
+        '  `,',
+        '})',
+        'export class AppComponent {}',
+        '',
+      ].join('\n'),
+    };
+
+    routes.forEach((route) => {
+      const pageFile = toKebabCase(route.name);
+      const dir = `src/app/pages/${pageFile}`;
+      const screenClasses = route.screens.map((screen) => `${screen.name}Component`);
+
+      files[`${dir}/${pageFile}.page.ts`] = [
+        "import { Component } from '@angular/core';",
+        ...route.screens.map(
+          (screen) =>
+            `import { ${screen.name}Component } from './${toKebabCase(screen.name)}.component';`
+        ),
+        '',
+        '@Component({',
+        `  selector: 'app-${pageFile}-page',`,
+        '  standalone: true,',
+        `  imports: [${screenClasses.join(', ')}],`,
+        '  template: `',
+        '    <main>',
+        ...route.screens.map(
+          (screen) => `      <app-${toKebabCase(screen.name)}></app-${toKebabCase(screen.name)}>`
+        ),
+        '    </main>',
+        '  `,',
+        '})',
+        `export class ${route.name}PageComponent {}`,
+        '',
+      ].join('\n');
+
+      route.screens.forEach((screen) => {
+        const screenFile = toKebabCase(screen.name);
+        // Components are imported by the class name and selector their code declares
+        const components = screen.entries
+          .map(({ name, code }) => ({
+            className: code.match(/export\s+class\s+(\w+)/)?.[1],
+            selector: code.match(/selector:\s*['"]([^'"]+)['"]/)?.[1] || `app-${toKebabCase(name)}`,
+            file: toKebabCase(name),
+          }))
+          .filter((component) => component.className);
+
+        files[`${dir}/${screenFile}.component.ts`] = [
+          "import { Component } from '@angular/core';",
+          ...components.map(
+            ({ className, file }) =>
+              `import { ${className} } from '../../components/${file}/${file}.component';`
+          ),
+          '',
+          '@Component({',
+          `  selector: 'app-${screenFile}',`,
+          '  standalone: true,',
+          `  imports: [${components.map(({ className }) => className).join(', ')}],`,
+          '  template: `',
+          `    <section aria-label="${markupAttr(screen.title)}">`,
+          ...components.map(({ selector }) => `      <${selector}></${selector}>`),
+          '    </section>',
+          '  `,',
+          '})',
+          `export class ${screen.name}Component {}`,
+          '',
+        ].join('\n');
+      });
+    });
+
+    return files;
+  }
+
+  /**
+   * Static HTML site served by Vite: an index linking one HTML file per Figma page
+   */
+  htmlSite(projectName, routes, hasGlobalStyles, files) {
+    const stylesheet = (href) => `    <link rel="stylesheet" href="${href}" />`;
+    const document = (title, head, body) =>
+      [
+        '<!doctype html>',
+        '<html lang="en">',
+        '  <head>',
+        '    <meta charset="UTF-8" />',
+        '    <meta name="viewport" content="width=device-width, initial-scale=1.0" />',
+        `    <title>${markupText(title)}</title>`,
+        ...(hasGlobalStyles ? [stylesheet('/src/styles/global.css')] : []),
+        ...head,
+        '  </head>',
+        '  <body>',
+        ...body,
+        '  </body>',
+        '</html>',
+        '',
+      ].join('\n');
+
+    const nav = [
+      '    <nav class="app-nav">',
+      ...routes.map(
+        (route) => `      <a href="/pages/${route.path}.html">${markupText(route.title)}</a>`
+      ),
+      '    </nav>',
+    ];
+
+    const site = { 'index.html': document(projectName, [], nav) };
+
+    routes.forEach((route) => {
+      const entries = route.screens.flatMap((screen) => screen.entries);
+      const stylesheets = entries
+        .map(({ name }) => `src/components/${name}/${name}.css`)
+        .filter((file) => files[file] !== undefined)
+        .map((file) => stylesheet(`/${file}`));
+
+      const sections = route.screens.map((screen) =>
+        [
+          `    <section aria-label="${markupAttr(screen.title)}">`,
+          ...screen.entries.map(({ code }) => indent(code.trim(), 6)),
+          '    </section>',
+        ].join('\n')
+      );
+
+      site[`pages/${route.path}.html`] = document(route.title, stylesheets, [
+        ...nav,
+        '    <main>',
+        ...sections,
+        '    </main>',
+      ]);
+    });
+
+    return site;
+  }
+
+  /**
+   * index.html of a Vite app
+   */
+  viteIndexHtml(projectName, mountId, entry) {
+    return [
+      '<!doctype html>',
+      '<html lang="en">',
+      '  <head>',
+      '    <meta charset="UTF-8" />',
+      '    <meta name="viewport" content="width=device-width, initial-scale=1.0" />',
+      `    <title>${markupText(projectName)}</title>`,
+      '  </head>',
+      '  <body>',
+      `    <div id="${mountId}"></div>`,
+      `    <script type="module" src="${entry}"></script>`,
+      '  </body>',
+      '</html>',
+      '',
+    ].join('\n');
+  }
+}
+
+export default AppScaffoldService;
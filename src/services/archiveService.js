@@ -0,0 +1,67 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { Readable } from 'stream';
+import { streamZip, zipLimitError } from '../utils/zip.js';
+import { PayloadTooLargeError } from '../utils/errorHandler.js';
+
+/**
+ * Service for packaging extraction output as a ZIP archive
+ */
+class ArchiveService {
+  /**
+   * List the files of a directory recursively
+   * @returns {Promise<string[]>} Paths relative to the directory, with forward slashes
+   */
+  async listFiles(dir, prefix = '') {
+    const entries = await fs.readdir(path.join(dir, prefix), { withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+
+      if (entry.isDirectory()) {
+        files.push(...(await this.listFiles(dir, relativePath)));
+      } else if (entry.isFile()) {
+        files.push(relativePath);
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Stream a ZIP of a directory (generated files, token files, project-index.json). The
+   * files are listed and measured up front, so a missing directory, or one too large for a
+   * ZIP archive (see zipLimitError), fails before anything is streamed. They are then read
+   * one at a time as the archive is consumed.
+   * @param {string} dir - Directory to archive
+   * @param {string} rootName - Folder name the files are placed under inside the archive
+   * @returns {Promise<Readable>} Archive stream
+   * @throws {PayloadTooLargeError} When the files do not fit in a ZIP archive
+   */
+  async createArchive(dir, rootName) {
+    const files = await this.listFiles(dir);
+    const sizes = await Promise.all(
+      files.map(async (file) => ({
+        name: `${rootName}/${file}`,
+        size: (await fs.stat(path.join(dir, file))).size,
+      }))
+    );
+    const limitError = zipLimitError(sizes);
+    if (limitError) {
+      throw new PayloadTooLargeError('Extraction output is too large to archive', limitError);
+    }
+
+    async function* entries() {
+      for (const file of files) {
+        const filePath = path.join(dir, file);
+        const [data, stats] = await Promise.all([fs.readFile(filePath), fs.stat(filePath)]);
+        yield { name: `${rootName}/${file}`, data, modifiedAt: stats.mtime };
+      }
+    }
+
+    return Readable.from(streamZip(entries()));
+  }
+}
+
+export default ArchiveService;
@@ -0,0 +1,202 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { reserve, toKebabCase } from '../utils/naming.js';
+
+// Node IDs per Figma image export request
+const EXPORT_BATCH_SIZE = 50;
+
+const CONTENT_TYPE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg',
+};
+
+const scaleSuffix = (scale) => (scale === 1 ? '' : `@${scale}x`);
+
+/**
+ * Service for exporting the icons, logos and bitmap fills of a Figma file as local assets.
+ * Vector graphics are rendered as SVG, image layers as PNG/JPG at the requested scales and
+ * image fills are downloaded from their source. Every exported node gets `asset.src`
+ * (and `asset.srcSet`), so code generators reference the local files.
+ */
+class AssetService {
+  constructor(figmaService) {
+    this.figmaService = figmaService;
+  }
+
+  /**
+   * Nodes of the component trees that have an asset descriptor (see getAssetDescriptor).
+   * The descendants of a vector graphic are part of its SVG and are not collected.
+   * @returns {Array} Nodes, each listed once
+   */
+  collectAssets(components) {
+    const seen = new Set();
+    const nodes = [];
+
+    const visit = (node) => {
+      if (!node || seen.has(node.id)) {
+        return;
+      }
+      seen.add(node.id);
+
+      if (node.asset) {
+        nodes.push(node);
+      }
+      if (node.asset?.kind !== 'vector') {
+        (node.children || []).forEach(visit);
+      }
+    };
+    components.forEach(visit);
+
+    return nodes;
+  }
+
+  /**
+   * Export the assets of a file into <outputDir>/assets/<folder>/ (icons/, images/, fills/),
+   * replacing the ones of a previous run
+   * @param {string} fileKey - Figma file key
+   * @param {Array} components - Extracted components (annotated in place with asset paths)
+   * @param {Object} options - { outputDir, folder, imageFormat, imageScales }
+   * @returns {Promise<Array>} Exported assets ({ nodeId, name, kind, files }) and failures
+   *   ({ nodeId, name, kind, error })
+   */
+  async exportAssets(fileKey, components, options) {
+    const { outputDir, folder, imageFormat = 'png', imageScales = [1] } = options;
+    const nodes = this.collectAssets(components);
+    const assetsDir = path.join(outputDir, 'assets', folder);
+    await fs.rm(assetsDir, { recursive: true, force: true });
+
+    if (nodes.length === 0) {
+      return [];
+    }
+
+    const usedNames = new Set();
+    const nameOf = (node, dir) => reserve(usedNames, `${dir}/${toKebabCase(node.name)}`, '-');
+    const results = [];
+
+    const write = async (relativePath, data) => {
+      const target = path.join(assetsDir, relativePath);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, data);
+      return `assets/${folder}/${relativePath}`;
+    };
+
+    // Vector graphics as SVG
+    const vectors = nodes.filter((node) => node.asset.kind === 'vector');
+    const svgUrls = await this.renderImages(fileKey, vectors, { format: 'svg' });
+    for (const node of vectors) {
+      results.push(
+        await this.saveAsset(node, async () => {
+          const { data } = await this.download(svgUrls[node.id]);
+          const file = await write(`${nameOf(node, 'icons')}.svg`, data);
+          node.asset.src = `/${file}`;
+          return [file];
+        })
+      );
+    }
+
+    // Image layers as bitmaps, one file per scale
+    const images = nodes.filter((node) => node.asset.kind === 'image');
+    const imageUrls = [];
+    for (const scale of imageScales) {
+      imageUrls.push(await this.renderImages(fileKey, images, { format: imageFormat, scale }));
+    }
+    for (const node of images) {
+      results.push(
+        await this.saveAsset(node, async () => {
+          const name = nameOf(node, 'images');
+          const files = [];
+          for (const [index, scale] of imageScales.entries()) {
+            const { data } = await this.download(imageUrls[index][node.id]);
+            files.push(await write(`${name}${scaleSuffix(scale)}.${imageFormat}`, data));
+          }
+          node.asset.src = `/${files[0]}`;
+          if (files.length > 1) {
+            node.asset.srcSet = files
+              .map((file, index) => `/${file} ${imageScales[index]}x`)
+              .join(', ');
+          }
+          return files;
+        })
+      );
+    }
+
+    // Image fills from their source, one file per image shared by every node using it
+    const fills = nodes.filter((node) => node.asset.kind === 'fill');
+    if (fills.length > 0) {
+      let fillUrls = {};
+      try {
+        fillUrls = await this.figmaService.getImageFills(fileKey);
+      } catch (error) {
+        console.error(`Failed to fetch image fills of ${fileKey}:`, error.message);
+      }
+
+      const downloaded = new Map();
+      for (const node of fills) {
+        results.push(
+          await this.saveAsset(node, async () => {
+            const { imageRef } = node.asset;
+            if (!downloaded.has(imageRef)) {
+              const { data, contentType } = await this.download(fillUrls[imageRef]);
+              const extension = CONTENT_TYPE_EXTENSIONS[contentType] || 'png';
+              downloaded.set(imageRef, await write(`${nameOf(node, 'fills')}.${extension}`, data));
+            }
+            node.asset.src = `/${downloaded.get(imageRef)}`;
+            return [downloaded.get(imageRef)];
+          })
+        );
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Render nodes through the Figma image export in batches
+   * @returns {Promise<Object>} Map of node ID to image URL (missing for failed batches)
+   */
+  async renderImages(fileKey, nodes, exportOptions) {
+    const urls = {};
+
+    for (let start = 0; start < nodes.length; start += EXPORT_BATCH_SIZE) {
+      const ids = nodes.slice(start, start + EXPORT_BATCH_SIZE).map((node) => node.id);
+      try {
+        const { images } = await this.figmaService.getImages(fileKey, ids, exportOptions);
+        Object.assign(urls, images);
+      } catch (error) {
+        console.error(`Failed to export ${ids.length} image(s) of ${fileKey}:`, error.message);
+      }
+    }
+
+    return urls;
+  }
+
+  /**
+   * Download an exported image with the timeout and retries of the Figma client
+   * @returns {Promise<Object>} { data: Buffer, contentType }
+   */
+  async download(url) {
+    if (!url) {
+      throw new Error('Figma did not render the image');
+    }
+
+    return this.figmaService.client.download(url);
+  }
+
+  /**
+   * Record the outcome of exporting one node; a failed asset does not fail the extraction
+   */
+  async saveAsset(node, save) {
+    const asset = { nodeId: node.id, name: node.name, kind: node.asset.kind };
+
+    try {
+      return { ...asset, files: await save() };
+    } catch (error) {
+      return { ...asset, error: error.message };
+    }
+  }
+}
+
+export default AssetService;
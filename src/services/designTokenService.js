@@ -0,0 +1,685 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { variableModeValue } from '../utils/figmaVariables.js';
+
+/**
+ * Output file name of each supported token format
+ */
+export const TOKEN_FORMAT_FILES = {
+  dtcg: 'design-tokens.json',
+  'style-dictionary': 'style-dictionary.tokens.json',
+  css: 'tokens.css',
+  scss: '_tokens.scss',
+  tailwind: 'tailwind.config.js',
+};
+
+export const TOKEN_FORMATS = Object.keys(TOKEN_FORMAT_FILES);
+
+const SHADOW_EFFECTS = ['DROP_SHADOW', 'INNER_SHADOW'];
+const BLUR_EFFECTS = ['LAYER_BLUR', 'BACKGROUND_BLUR'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const px = (value) => `${round(value)}px`;
+
+// Token type of each variable type (number variables are dimensions unless unitless)
+const VARIABLE_TOKEN_TYPES = {
+  COLOR: 'color',
+  FLOAT: 'dimension',
+  STRING: 'string',
+};
+
+/**
+ * Path of the token a reference value ("{color.brand}") points at, or null
+ */
+function referencePath(value) {
+  const match = typeof value === 'string' && value.match(/^\{([^{}]+)\}$/);
+  return match ? match[1].split('.') : null;
+}
+
+const tokenName = (token) => token.path.join('.');
+
+/**
+ * Order tokens so that every token comes after the token its value aliases (otherwise in
+ * their original order). Tokens aliasing each other in a cycle, or aliasing a token that
+ * does, cannot be ordered and are returned apart.
+ * @param {Array} tokens - Tokens
+ * @param {Function} valueOf - Value of a token to follow (its default value by default)
+ * @returns {Object} { sorted, circular, cycles }: cycles lists the tokens of each cycle
+ */
+function sortByAliases(tokens, valueOf = (token) => token.value) {
+  const byPath = new Map(tokens.map((token) => [tokenName(token), token]));
+  const states = new Map();
+  const sorted = [];
+  const cycles = [];
+
+  tokens.forEach((start) => {
+    // A token aliases at most one other, so its aliases form a chain
+    const chain = [];
+    let token = start;
+    while (token && !states.has(token)) {
+      states.set(token, 'visiting');
+      chain.push(token);
+      token = byPath.get(referencePath(valueOf(token))?.join('.'));
+    }
+
+    if (token && states.get(token) === 'visiting') {
+      cycles.push(chain.slice(chain.indexOf(token)));
+    }
+    const ordered = !token || states.get(token) === 'sorted';
+    chain.reverse().forEach((link) => {
+      states.set(link, ordered ? 'sorted' : 'circular');
+      if (ordered) {
+        sorted.push(link);
+      }
+    });
+  });
+
+  return { sorted, circular: tokens.filter((token) => states.get(token) === 'circular'), cycles };
+}
+
+/**
+ * Give every token a name of its own in every format. Paths joining into the same name
+ * ("Brand/Primary" and "brand-primary" are both color-brand-primary) keep the first token
+ * under it, and the others get a numeric suffix on their last segment (brand-primary-2).
+ * References to a renamed token follow it.
+ * @param {Array} tokens - Tokens
+ * @returns {Array} Tokens with unique names
+ */
+function uniqueNames(tokens) {
+  const taken = new Set();
+  const kept = new Set();
+  const renamed = new Map();
+
+  const named = tokens.map((token) => {
+    if (!taken.has(token.path.join('-'))) {
+      taken.add(token.path.join('-'));
+      kept.add(tokenName(token));
+      return token;
+    }
+
+    const stem = token.path.slice(0, -1);
+    const last = token.path[token.path.length - 1];
+    let path = [...stem, `${last}-2`];
+    for (let counter = 3; taken.has(path.join('-')); counter += 1) {
+      path = [...stem, `${last}-${counter}`];
+    }
+    taken.add(path.join('-'));
+    // A reference to a path kept by another token points at that token
+    if (!kept.has(tokenName(token))) {
+      renamed.set(tokenName(token), path.join('.'));
+    }
+    return { ...token, path };
+  });
+
+  const follow = (value) => {
+    const reference = referencePath(value)?.join('.');
+    return renamed.has(reference) ? `{${renamed.get(reference)}}` : value;
+  };
+  return renamed.size === 0
+    ? named
+    : named.map((token) => ({
+        ...token,
+        value: follow(token.value),
+        ...(token.modes && {
+          modes: Object.fromEntries(
+            Object.entries(token.modes).map(([mode, value]) => [mode, follow(value)])
+          ),
+        }),
+      }));
+}
+
+/**
+ * Token path segment of a spacing or radius value: the decimal point of a fractional value
+ * is not valid in CSS and SCSS names, nor in DTCG keys (8.5 becomes 8-5)
+ */
+const dimensionSegment = (value) => String(value).replace('.', '-');
+
+/**
+ * Turn a Figma style name segment into a token name segment
+ */
+function toSegment(name) {
+  return String(name)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Split a Figma style name ("Brand/Primary 500") into a token path
+ */
+function styleNameToPath(name) {
+  return name
+    .split('/')
+    .map(toSegment)
+    .filter((segment) => segment.length > 0);
+}
+
+/**
+ * Token path of a style-backed token. A leading segment repeating the group ("Shadow/Card"
+ * in the shadow group) is dropped, unless it is the whole name.
+ * @param {string} group - Token group (color, typography, shadow, blur)
+ * @param {string} styleName - Figma style name
+ * @returns {string[]} Token path, e.g. ['shadow', 'card']
+ */
+function stylePath(group, styleName) {
+  const path = styleNameToPath(styleName);
+  const repeatsGroup = [group, `${group}s`].includes(path[0]);
+  return [group, ...(repeatsGroup && path.length > 1 ? path.slice(1) : path)];
+}
+
+/**
+ * CSS custom property name (without leading dashes) of a style-backed token
+ * @param {string} group - Token group (color, typography, shadow, blur)
+ * @param {string} styleName - Figma style name
+ * @returns {string} Variable name, e.g. color-brand-primary
+ */
+export function styleVariableName(group, styleName) {
+  return stylePath(group, styleName).join('-');
+}
+
+/**
+ * Service for turning extracted Figma styles into design token files
+ */
+class DesignTokenService {
+  /**
+   * Build the format-agnostic token list from resolved styles and the file tree
+   * @param {Object} styles - Output of FigmaService.extractStyles
+   * @param {Object} fileData - Figma file data (used for spacing and radii; `dimensions`
+   *   holds them already collected when the document was read page by page)
+   * @param {Object|null} variables - Figma variables (see parseVariables)
+   * @param {Array} warnings - Collects the variables left out (see buildVariableTokens)
+   * @returns {Array} Tokens ({ path, type, value, description, modes, collection }), each
+   *   named uniquely across formats (see uniqueNames)
+   */
+  buildTokens(styles = {}, fileData = null, variables = null, warnings = []) {
+    const tokens = [];
+
+    Object.values(styles.colors || {}).forEach((style) => {
+      if (style.value?.hex) {
+        tokens.push(this.createToken('color', style, 'color', style.value.hex));
+      }
+    });
+
+    Object.values(styles.typography || {}).forEach((style) => {
+      if (style.value?.fontFamily) {
+        tokens.push(
+          this.createToken('typography', style, 'typography', this.toTypography(style.value))
+        );
+      }
+    });
+
+    Object.values(styles.effects || {}).forEach((style) => {
+      const effects = style.value?.effects || [];
+      const shadows = effects.filter((effect) => SHADOW_EFFECTS.includes(effect.type));
+      const blur = effects.find((effect) => BLUR_EFFECTS.includes(effect.type));
+
+      if (shadows.length > 0) {
+        const value = shadows.map((shadow) => ({
+          color: shadow.color,
+          offsetX: px(shadow.offset?.x || 0),
+          offsetY: px(shadow.offset?.y || 0),
+          blur: px(shadow.radius),
+          spread: px(shadow.spread),
+          inset: shadow.type === 'INNER_SHADOW',
+        }));
+        tokens.push(this.createToken('shadow', style, 'shadow', value));
+      }
+      if (blur) {
+        tokens.push(this.createToken('blur', style, 'dimension', px(blur.radius)));
+      }
+    });
+
+    const { spacing, radii } = fileData?.dimensions || this.collectDimensions(fileData?.document);
+    spacing.forEach((value) => {
+      tokens.push({
+        path: ['spacing', dimensionSegment(value)],
+        type: 'dimension',
+        value: px(value),
+      });
+    });
+    radii.forEach((value) => {
+      tokens.push({
+        path: ['radius', dimensionSegment(value)],
+        type: 'dimension',
+        value: px(value),
+      });
+    });
+
+    tokens.push(...this.buildVariableTokens(variables, warnings));
+
+    return uniqueNames(tokens);
+  }
+
+  /**
+   * Tokens of Figma variables. The value is the one of the collection's default mode;
+   * `modes` holds the values of the other modes, keyed by mode slug (e.g. dark), and
+   * `collection` the slug of the collection they belong to. A variable aliasing another
+   * one references its token ("{color.brand}"). Variables whose aliases form a cycle have
+   * no value and are left out, and so are the mode values that close a cycle in their mode;
+   * each is reported in `warnings`.
+   * @param {Object|null} variables - Figma variables (see parseVariables)
+   * @param {Array} warnings - Collects the variables and mode values left out
+   * @returns {Array} Tokens
+   */
+  buildVariableTokens(variables, warnings = []) {
+    if (!variables) {
+      return [];
+    }
+
+    const toTokenValue = (value) => (value?.alias ? `{${value.alias.path.join('.')}}` : value);
+    const report = (warning) => {
+      console.warn(`Design tokens: ${warning}`);
+      warnings.push(warning);
+    };
+
+    const built = Object.values(variables.variables)
+      .filter((variable) => VARIABLE_TOKEN_TYPES[variable.resolvedType])
+      .flatMap((variable) => {
+        const collection = variables.collections[variable.collectionId];
+        const defaultModeId =
+          collection?.defaultModeId || Object.keys(variable.valuesByMode)[0] || null;
+        const value = toTokenValue(variableModeValue(variable, defaultModeId, variables));
+        if (value === null || value === undefined) {
+          return [];
+        }
+
+        const token = {
+          path: variable.path,
+          type:
+            typeof value === 'number' || String(value).endsWith('%')
+              ? 'number'
+              : VARIABLE_TOKEN_TYPES[variable.resolvedType],
+          value,
+        };
+        if (variable.description) {
+          token.description = variable.description;
+        }
+
+        const modes = {};
+        (collection?.modes || [])
+          .filter((mode) => mode.modeId !== defaultModeId)
+          .forEach((mode) => {
+            const modeValue = toTokenValue(variableModeValue(variable, mode.modeId, variables));
+            if (modeValue !== null && modeValue !== undefined) {
+              modes[mode.slug] = modeValue;
+            }
+          });
+        if (Object.keys(modes).length > 0) {
+          token.modes = modes;
+          token.collection = toSegment(collection.name || '') || 'theme';
+        }
+
+        return [token];
+      });
+
+    const { circular } = sortByAliases(built);
+    if (circular.length > 0) {
+      report(`Circular variable aliases left out: ${circular.map(tokenName).join(', ')}`);
+    }
+    const tokens = built.filter((token) => !circular.includes(token));
+
+    // A mode value may close a cycle that the default values do not
+    const modes = [...new Set(tokens.flatMap((token) => Object.keys(token.modes || {})))];
+    modes.forEach((mode) => {
+      const dropped = [];
+      for (;;) {
+        const { cycles } = sortByAliases(tokens, (token) => token.modes?.[mode] ?? token.value);
+        const closing = cycles.flat().filter((token) => token.modes?.[mode] !== undefined);
+        if (closing.length === 0) {
+          break;
+        }
+        closing.forEach((token) => {
+          delete token.modes[mode];
+          if (Object.keys(token.modes).length === 0) {
+            delete token.modes;
+            delete token.collection;
+          }
+        });
+        dropped.push(...closing);
+      }
+      if (dropped.length > 0) {
+        report(`Circular ${mode} aliases left out: ${dropped.map(tokenName).join(', ')}`);
+      }
+    });
+
+    return tokens;
+  }
+
+  /**
+   * Create a token named after a Figma style
+   */
+  createToken(group, style, type, value) {
+    const token = { path: stylePath(group, style.name), type, value };
+    if (style.description) {
+      token.description = style.description;
+    }
+    return token;
+  }
+
+  /**
+   * Convert a resolved TEXT style into a typography token value
+   */
+  toTypography(text) {
+    const typography = {
+      fontFamily: text.fontFamily,
+      fontSize: px(text.fontSize || 16),
+      fontWeight: text.fontWeight || 400,
+      letterSpacing: px(text.letterSpacing || 0),
+    };
+
+    if (text.lineHeightPx && text.fontSize) {
+      typography.lineHeight = round(text.lineHeightPx / text.fontSize);
+    }
+    if (text.italic) {
+      typography.fontStyle = 'italic';
+    }
+    if (text.textCase && text.textCase !== 'ORIGINAL') {
+      typography.textTransform = { UPPER: 'uppercase', LOWER: 'lowercase' }[text.textCase];
+    }
+
+    return typography;
+  }
+
+  /**
+   * Collect the distinct spacing (gaps, paddings) and corner radius values of a document
+   */
+  collectDimensions(document) {
+    const spacing = new Set();
+    const radii = new Set();
+    const stack = document ? [document] : [];
+
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (!node) {
+        continue;
+      }
+
+      if (node.layoutMode && node.layoutMode !== 'NONE') {
+        [
+          node.itemSpacing,
+          node.counterAxisSpacing,
+          node.paddingTop,
+          node.paddingRight,
+          node.paddingBottom,
+          node.paddingLeft,
+        ]
+          .filter((value) => value > 0)
+          .forEach((value) => spacing.add(round(value)));
+      }
+      if (node.cornerRadius > 0) {
+        radii.add(round(node.cornerRadius));
+      }
+      (node.rectangleCornerRadii || [])
+        .filter((value) => value > 0)
+        .forEach((value) => radii.add(round(value)));
+
+      if (node.children) {
+        stack.push(...node.children);
+      }
+    }
+
+    const ascending = (a, b) => a - b;
+    return {
+      spacing: [...spacing].sort(ascending),
+      radii: [...radii].sort(ascending),
+    };
+  }
+
+  /**
+   * Merge the spacing and radius values collected from several documents (see collectDimensions)
+   */
+  mergeDimensions(...lists) {
+    const ascending = (a, b) => a - b;
+    const merge = (key) => [...new Set(lists.flatMap((list) => list[key]))].sort(ascending);
+    return { spacing: merge('spacing'), radii: merge('radii') };
+  }
+
+  /**
+   * Merge token lists; later tokens replace earlier ones with the same path, and tokens of
+   * different lists whose names collide are suffixed (see uniqueNames)
+   */
+  mergeTokens(...lists) {
+    const merged = new Map();
+    lists.flat().forEach((token) => merged.set(token.path.join('.'), token));
+    return uniqueNames([...merged.values()]);
+  }
+
+  /**
+   * Nest tokens into a tree keyed by their path
+   */
+  toTree(tokens, mapLeaf) {
+    const tree = {};
+    tokens.forEach((token) => {
+      let cursor = tree;
+      token.path.slice(0, -1).forEach((segment) => {
+        cursor[segment] = cursor[segment] || {};
+        cursor = cursor[segment];
+      });
+      cursor[token.path[token.path.length - 1]] = mapLeaf(token);
+    });
+    return tree;
+  }
+
+  /**
+   * W3C Design Tokens Community Group format
+   */
+  toDTCG(tokens) {
+    return this.toTree(tokens, (token) => ({
+      $type: token.type,
+      $value: token.value,
+      ...(token.description ? { $description: token.description } : {}),
+      ...(token.modes
+        ? { $extensions: { 'com.figma': { modes: token.modes, collection: token.collection } } }
+        : {}),
+    }));
+  }
+
+  /**
+   * Style Dictionary source format
+   */
+  toStyleDictionary(tokens) {
+    return this.toTree(tokens, (token) => ({
+      value: token.value,
+      type: token.type,
+      ...(token.description ? { comment: token.description } : {}),
+      ...(token.modes ? { modes: token.modes } : {}),
+    }));
+  }
+
+  /**
+   * CSS value of a plain token value: references become var(), strings are quoted
+   */
+  toCssValue(token, value) {
+    const reference = referencePath(value);
+    if (reference) {
+      return `var(--${reference.join('-')})`;
+    }
+    return token.type === 'string' ? `'${value}'` : String(value);
+  }
+
+  /**
+   * Flatten tokens into CSS-ready variables ([name, value] pairs)
+   * @param {string|null} mode - Mode slug whose values are taken (tokens without it are left out)
+   */
+  toVariables(tokens, mode = null) {
+    const variables = [];
+
+    tokens.forEach((token) => {
+      const name = token.path.join('-');
+
+      if (mode) {
+        if (token.modes?.[mode] !== undefined) {
+          variables.push([name, this.toCssValue(token, token.modes[mode])]);
+        }
+        return;
+      }
+
+      if (token.type === 'typography') {
+        const { value } = token;
+        variables.push([`${name}-font-family`, `'${value.fontFamily}'`]);
+        variables.push([`${name}-font-size`, value.fontSize]);
+        variables.push([`${name}-font-weight`, String(value.fontWeight)]);
+        variables.push([`${name}-letter-spacing`, value.letterSpacing]);
+        if (value.lineHeight !== undefined) {
+          variables.push([`${name}-line-height`, String(value.lineHeight)]);
+        }
+      } else if (token.type === 'shadow') {
+        variables.push([name, this.shadowToCss(token.value)]);
+      } else {
+        variables.push([name, this.toCssValue(token, token.value)]);
+      }
+    });
+
+    return variables;
+  }
+
+  /**
+   * Convert a shadow token value into a box-shadow declaration
+   */
+  shadowToCss(shadows) {
+    return shadows
+      .map(
+        (shadow) =>
+          `${shadow.inset ? 'inset ' : ''}${shadow.offsetX} ${shadow.offsetY} ${shadow.blur} ${shadow.spread} ${shadow.color}`
+      )
+      .join(', ');
+  }
+
+  /**
+   * :root CSS custom properties, followed by a [data-<collection>="<mode>"] block per mode
+   * of each variable collection (e.g. [data-theme="dark"], [data-brand="acme"]), so the
+   * modes of different collections are switched independently
+   */
+  toCssVariables(tokens) {
+    const block = (selector, variables) =>
+      `${selector} {\n${variables.map(([name, value]) => `  --${name}: ${value};`).join('\n')}\n}\n`;
+    const modes = new Map();
+    tokens.forEach((token) => {
+      Object.keys(token.modes || {}).forEach((mode) => {
+        modes.set(`${token.collection}/${mode}`, { collection: token.collection, mode });
+      });
+    });
+
+    return [
+      block(':root', this.toVariables(tokens)),
+      ...[...modes.values()].map(({ collection, mode }) =>
+        block(
+          `[data-${collection}="${mode}"]`,
+          this.toVariables(
+            tokens.filter((token) => token.collection === collection),
+            mode
+          )
+        )
+      ),
+    ].join('\n');
+  }
+
+  /**
+   * SCSS variables (default mode values), each declared after the variable it aliases
+   */
+  toScss(tokens) {
+    const { sorted, circular } = sortByAliases(tokens);
+    return `${this.toVariables([...sorted, ...circular])
+      .map(([name, value]) => [name, value.replace(/var\(--([a-z0-9-]+)\)/g, '$$$1')])
+      .map(([name, value]) => `$${name}: ${value};`)
+      .join('\n')}\n`;
+  }
+
+  /**
+   * tailwind.config.js theme extension. Spacing and radius keys are prefixed with `figma-`
+   * (`p-figma-16`) so they extend Tailwind's default scale instead of redefining it. Token
+   * names are already unique (see buildTokens), but tokens of different groups can still
+   * share a key in a section (a color style and a variable color outside the color group),
+   * so a key already taken gets a numeric suffix instead of replacing it.
+   */
+  toTailwindConfig(tokens) {
+    const extend = {};
+    const add = (section, key, value) => {
+      extend[section] = extend[section] || {};
+      let unique = key;
+      for (let counter = 2; unique in extend[section]; counter += 1) {
+        unique = `${key}-${counter}`;
+      }
+      extend[section][unique] = value;
+    };
+
+    tokens.forEach((token) => {
+      const [group, ...rest] = token.path;
+      const key = rest.join('-');
+      // Themed and aliased variables go through their custom property
+      const value =
+        token.modes || referencePath(token.value) ? `var(--${token.path.join('-')})` : token.value;
+
+      if (group === 'color') {
+        add('colors', key, value);
+      } else if (token.type === 'color') {
+        add('colors', token.path.join('-'), value);
+      } else if (group === 'typography' && token.type === 'typography') {
+        const { value } = token;
+        add('fontFamily', toSegment(value.fontFamily), [value.fontFamily]);
+        add('fontSize', key, [
+          value.fontSize,
+          {
+            fontWeight: String(value.fontWeight),
+            letterSpacing: value.letterSpacing,
+            ...(value.lineHeight !== undefined ? { lineHeight: String(value.lineHeight) } : {}),
+          },
+        ]);
+      } else if (group === 'shadow' && token.type === 'shadow') {
+        add('boxShadow', key, this.shadowToCss(token.value));
+      } else if (group === 'blur') {
+        add('blur', key, value);
+      } else if (group === 'spacing') {
+        add('spacing', `figma-${key}`, value);
+      } else if (group === 'radius') {
+        add('borderRadius', `figma-${key}`, value);
+      }
+    });
+
+    return `/** @type {import('tailwindcss').Config} */
+export default {
+  theme: {
+    extend: ${JSON.stringify(extend, null, 2).replace(/\n/g, '\n    ')},
+  },
+};
+`;
+  }
+
+  /**
+   * Render token files for the requested formats
+   * @param {Array} tokens - Token list
+   * @param {string[]} formats - Formats to render (defaults to all)
+   * @returns {Object} Map of file name to file content
+   */
+  renderFiles(tokens, formats = TOKEN_FORMATS) {
+    const renderers = {
+      dtcg: () => `${JSON.stringify(this.toDTCG(tokens), null, 2)}\n`,
+      'style-dictionary': () => `${JSON.stringify(this.toStyleDictionary(tokens), null, 2)}\n`,
+      css: () => this.toCssVariables(tokens),
+      scss: () => this.toScss(tokens),
+      tailwind: () => this.toTailwindConfig(tokens),
+    };
+
+    const files = {};
+    formats.forEach((format) => {
+      files[TOKEN_FORMAT_FILES[format]] = renderers[format]();
+    });
+    return files;
+  }
+
+  /**
+   * Write rendered token files into an output directory
+   * @returns {Promise<string[]>} Written file names
+   */
+  async writeFiles(outputDir, files) {
+    const fileNames = Object.keys(files);
+    for (const fileName of fileNames) {
+      await fs.writeFile(path.join(outputDir, fileName), files[fileName]);
+    }
+    return fileNames;
+  }
+}
+
+export default DesignTokenService;
@@ -0,0 +1,182 @@
+import { createHash } from 'crypto';
+import { createReadStream } from 'fs';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { parseJsonStream } from '../utils/jsonStream.js';
+
+/**
+ * Directory of the filesystem cache (FIGMA_CACHE_DIR, or figma-cache in the temp directory,
+ * which serverless deployments can write to)
+ */
+export function getCacheDir() {
+  if (process.env.FIGMA_CACHE_DIR) {
+    return path.resolve(process.env.FIGMA_CACHE_DIR);
+  }
+  return path.join(os.tmpdir(), 'figma-cache');
+}
+
+/**
+ * Cache key of a file or nodes response: the file key, what was fetched and the query
+ * that shaped the response (node IDs in any order, depth and geometry)
+ * @param {string} fileKey - Figma file key
+ * @param {string} kind - 'file' or 'nodes'
+ * @param {Object} query - { ids, depth, geometry }
+ */
+export function cacheKey(fileKey, kind, { ids, depth, geometry } = {}) {
+  const nodeIds = ids ? [].concat(ids).sort().join(',') : '';
+  return `${fileKey}:${kind}:ids=${nodeIds}:depth=${depth ?? ''}:geometry=${geometry ?? ''}`;
+}
+
+// Default size of the in-memory store
+const DEFAULT_MEMORY_CACHE_MB = 64;
+
+/**
+ * In-memory store bounded by the size of its entries as JSON: the least recently used
+ * entries are dropped past maxBytes, and an entry larger than maxBytes is not kept.
+ * Entries are held as JSON text, so each get returns a copy that callers may change.
+ */
+export class MemoryCacheStore {
+  constructor(maxBytes = DEFAULT_MEMORY_CACHE_MB * 1024 * 1024) {
+    this.maxBytes = maxBytes;
+    this.entries = new Map();
+    this.size = 0;
+  }
+
+  async get(key) {
+    if (!this.entries.has(key)) {
+      return null;
+    }
+    // Map keeps insertion order: move the entry to the most recently used end
+    const entry = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return JSON.parse(entry.text);
+  }
+
+  async set(key, entry) {
+    this.remove(key);
+    const text = JSON.stringify(entry);
+    const size = Buffer.byteLength(text);
+    if (size > this.maxBytes) {
+      return;
+    }
+    this.entries.set(key, { text, size });
+    this.size += size;
+    while (this.size > this.maxBytes) {
+      this.remove(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.remove(key);
+  }
+
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.size -= entry.size;
+      this.entries.delete(key);
+    }
+  }
+}
+
+/**
+ * Filesystem store: one JSON file per entry, read back with the streaming parser so large
+ * responses are never held as text. A missing or unreadable file is a miss.
+ */
+export class FileCacheStore {
+  constructor(dir = getCacheDir()) {
+    this.dir = dir;
+  }
+
+  filePath(key) {
+    return path.join(this.dir, `${createHash('sha1').update(key).digest('hex')}.json`);
+  }
+
+  async get(key) {
+    try {
+      return await parseJsonStream(createReadStream(this.filePath(key)));
+    } catch {
+      return null;
+    }
+  }
+
+  async set(key, entry) {
+    const filePath = this.filePath(key);
+    // Written next to the entry and renamed, so readers never see a partial file
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    try {
+      await fs.mkdir(this.dir, { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify(entry));
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      console.warn(`Failed to write Figma cache entry: ${error.message}`);
+      // The temp file may not even be reachable (the cache directory is unusable)
+      await fs.rm(tempPath, { force: true }).catch(() => {});
+    }
+  }
+
+  async delete(key) {
+    await fs.rm(this.filePath(key), { force: true });
+  }
+}
+
+/**
+ * Layered cache of Figma responses. Stores implement get(key), set(key, entry) and
+ * delete(key) and are read in order; a hit in a later store is copied to the earlier ones.
+ * Entries remember the file version they were fetched at, and an entry of another
+ * version is a miss, so a changed file is fetched again.
+ */
+export class FigmaCache {
+  /**
+   * @param {Array} stores - Cache stores, fastest first (default: memory, then filesystem)
+   */
+  constructor(stores = [new MemoryCacheStore(), new FileCacheStore()]) {
+    this.stores = stores;
+  }
+
+  /**
+   * Cached response of a key at a file version
+   * @returns {Promise<*>} The response, or undefined on a miss
+   */
+  async get(key, version) {
+    for (const [index, store] of this.stores.entries()) {
+      const entry = await store.get(key);
+      if (entry && entry.version === version) {
+        await Promise.all(this.stores.slice(0, index).map((earlier) => earlier.set(key, entry)));
+        return entry.data;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Store a response fetched at a file version in every store
+   */
+  async set(key, version, data) {
+    await Promise.all(this.stores.map((store) => store.set(key, { version, data })));
+  }
+}
+
+let sharedCache;
+
+/**
+ * Cache shared by every request this process serves (memory store of FIGMA_CACHE_MAX_MB
+ * megabytes, files in getCacheDir()). Null when FIGMA_CACHE is 'off'.
+ */
+export function getSharedFigmaCache() {
+  if (process.env.FIGMA_CACHE === 'off') {
+    return null;
+  }
+  if (!sharedCache) {
+    const maxMegabytes = Number(process.env.FIGMA_CACHE_MAX_MB) || DEFAULT_MEMORY_CACHE_MB;
+    sharedCache = new FigmaCache([
+      new MemoryCacheStore(maxMegabytes * 1024 * 1024),
+      new FileCacheStore(),
+    ]);
+  }
+  return sharedCache;
+}
+
+export default FigmaCache;
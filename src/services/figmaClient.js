@@ -0,0 +1,178 @@
+import axios from 'axios';
+import { ExternalAPIError } from '../utils/errorHandler.js';
+import { isReadableStream, parseJsonStream } from '../utils/jsonStream.js';
+
+export const FIGMA_API_URL = 'https://api.figma.com/v1';
+
+const DEFAULT_OPTIONS = {
+  baseURL: FIGMA_API_URL,
+  retries: 3,
+  retryDelay: 500,
+  maxRetryDelay: 30000,
+  timeout: 30000,
+  maxConcurrency: 4,
+};
+
+// Rate limited and transient server errors are worth another attempt
+const RETRY_STATUSES = [429, 500, 502, 503, 504];
+const RETRY_CODES = ['ECONNABORTED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Whether a failed request may succeed when sent again
+ */
+export function isRetryable(error) {
+  const status = error.response?.status;
+  return status ? RETRY_STATUSES.includes(status) : RETRY_CODES.includes(error.code);
+}
+
+/**
+ * Delay before retry number `attempt` (0-based): the Retry-After header of the response
+ * (seconds or an HTTP date) when present, otherwise exponential backoff with jitter.
+ * Both are capped at maxRetryDelay.
+ */
+export function retryDelay(error, attempt, { retryDelay: base, maxRetryDelay }) {
+  const retryAfter = error.response?.headers?.['retry-after'];
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+    if (Number.isFinite(ms)) {
+      return Math.min(Math.max(ms, 0), maxRetryDelay);
+    }
+  }
+
+  const backoff = base * 2 ** attempt;
+  return Math.min(backoff + Math.random() * base, maxRetryDelay);
+}
+
+/**
+ * Run at most `max` tasks at once; the others wait in order
+ */
+function createLimiter(max) {
+  let active = 0;
+  const queue = [];
+  const next = () => {
+    if (active < max && queue.length > 0) {
+      active++;
+      queue.shift()();
+    }
+  };
+
+  return async (task) => {
+    await new Promise((resolve) => {
+      queue.push(resolve);
+      next();
+    });
+    try {
+      return await task();
+    } finally {
+      active--;
+      next();
+    }
+  };
+}
+
+/**
+ * Body of a failed response, parsed when it was streamed
+ */
+async function errorBody(error) {
+  const data = error.response?.data;
+  if (!isReadableStream(data)) {
+    return data;
+  }
+  try {
+    return await parseJsonStream(data);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Map a failed request to an ExternalAPIError that keeps the Figma status code (504 when the
+ * request timed out, 502 when there was no response) and the response body as details
+ */
+async function toExternalAPIError(error) {
+  const body = await errorBody(error);
+  const status = error.response?.status || (TIMEOUT_CODES.includes(error.code) ? 504 : 502);
+  const message = body?.err || body?.message || error.message;
+  return new ExternalAPIError(message, status, body ?? null);
+}
+
+/**
+ * HTTP client shared by every call to the Figma REST API. Requests that are rate limited
+ * (429) or fail with a transient error (5xx, reset or timed out connections) are retried
+ * with exponential backoff, honoring Retry-After; at most maxConcurrency requests are in
+ * flight at once and each one times out after `timeout` ms.
+ */
+class FigmaClient {
+  /**
+   * @param {string} accessToken - Figma personal access token
+   * @param {Object} options - { baseURL, retries, retryDelay, maxRetryDelay, timeout,
+   *   maxConcurrency } (delays and timeout in ms)
+   */
+  constructor(accessToken, options = {}) {
+    this.accessToken = accessToken;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.baseURL = this.options.baseURL;
+    this.limit = createLimiter(this.options.maxConcurrency);
+  }
+
+  /**
+   * GET a Figma API endpoint
+   * @param {string} path - Endpoint path, e.g. `/files/${fileKey}`
+   * @param {Object} options - { params, stream }: stream parses the body as it arrives
+   *   (see parseJsonStream), so large responses are never held as text
+   * @returns {Promise<Object>} Response body
+   * @throws {ExternalAPIError} When the request fails after every retry
+   */
+  async get(path, { params, stream = false } = {}) {
+    return this.request(
+      `${this.baseURL}${path}`,
+      {
+        ...(params && { params }),
+        headers: { 'X-Figma-Token': this.accessToken },
+        ...(stream && { responseType: 'stream' }),
+      },
+      (response) => parseJsonStream(response.data)
+    );
+  }
+
+  /**
+   * Download a file Figma rendered or hosts (image exports and image fills). The URLs are
+   * signed, so the access token is not sent.
+   * @param {string} url - Absolute file URL
+   * @returns {Promise<Object>} { data: Buffer, contentType }
+   * @throws {ExternalAPIError} When the download fails after every retry
+   */
+  async download(url) {
+    return this.request(url, { responseType: 'arraybuffer' }, (response) => ({
+      data: Buffer.from(response.data),
+      contentType: String(response.headers?.['content-type'] || '').split(';')[0],
+    }));
+  }
+
+  /**
+   * Send a GET request with the retry, timeout and concurrency policy of the client
+   * @param {Function} read - Reads the result from the response
+   */
+  async request(url, config, read) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.limit(async () =>
+          read(await axios.get(url, { ...config, timeout: this.options.timeout }))
+        );
+      } catch (error) {
+        if (attempt >= this.options.retries || !isRetryable(error)) {
+          throw await toExternalAPIError(error);
+        }
+        // The body of a response that is not used is dropped
+        error.response?.data?.destroy?.();
+        await sleep(retryDelay(error, attempt, this.options));
+      }
+    }
+  }
+}
+
+export default FigmaClient;
@@ -1,91 +1,546 @@
-import axios from 'axios';
+import { extractConstraints, extractLayout } from '../utils/figmaLayout.js';
+import {
+  getStyleReferences,
+  resolveStyleNodeValue,
+  resolveStyleValues,
+} from '../utils/figmaStyles.js';
+import {
+  describeInstance,
+  parseComponentPropertyDefinitions,
+  parsePropertyReferences,
+  parseVariantName,
+} from '../utils/figmaComponents.js';
+import { getAssetDescriptor } from '../utils/figmaAssets.js';
+import { extractPaint } from '../utils/figmaPaint.js';
+import { extractEffects } from '../utils/figmaEffects.js';
+import { extractText } from '../utils/figmaText.js';
+import { getBoundVariables, parseVariables } from '../utils/figmaVariables.js';
+import { frameMatches, limitAcrossPages, pageFrames, pageMatches } from '../utils/figmaPages.js';
+import { extractClipping, isHidden, isRendered } from '../utils/figmaVisibility.js';
+import { inferRole } from '../utils/figmaRoles.js';
+import { findRepeats } from '../utils/figmaRepeats.js';
+import { ExternalAPIError } from '../utils/errorHandler.js';
+import FigmaClient from './figmaClient.js';
+import { cacheKey } from './figmaCache.js';
+
+/**
+ * Parâmetros de consulta dos endpoints de arquivo e de nós (ids e depth são opcionais;
+ * geometry=paths inclui a geometria vetorial, que por padrão fica de fora)
+ */
+function fileQuery({ ids, depth, geometry } = {}) {
+  const params = {};
+  if (ids) {
+    params.ids = Array.isArray(ids) ? ids.join(',') : ids;
+  }
+  if (depth !== undefined) {
+    params.depth = depth;
+  }
+  if (geometry) {
+    params.geometry = geometry;
+  }
+  return params;
+}
+
+/**
+ * Erro da API do Figma com o contexto da chamada (status e corpo da resposta são mantidos)
+ */
+function figmaError(context, error, hint = '') {
+  return new ExternalAPIError(
+    `${context}: ${error.message}${hint}`,
+    error.statusCode,
+    error.details
+  );
+}
 
 /**
  * Service para interagir com a API do Figma
  */
 class FigmaService {
-  constructor(accessToken) {
+  /**
+   * @param {string} accessToken - Token de acesso do Figma
+   * @param {Object} options - { cache, ...clientOptions }: cache das respostas de arquivos e
+   *   nós (ver FigmaCache) e retentativas, timeout e concorrência (ver FigmaClient)
+   */
+  constructor(accessToken, { cache = null, ...clientOptions } = {}) {
     this.accessToken = accessToken;
-    this.baseURL = 'https://api.figma.com/v1';
+    this.client = new FigmaClient(accessToken, clientOptions);
+    this.baseURL = this.client.baseURL;
+    this.cache = cache;
+    this.cacheStats = { hits: 0, misses: 0 };
+    this.fileVersions = new Map();
+    this.fileMetadata = new Map();
+  }
+
+  /**
+   * Versão atual de um arquivo, lida do endpoint de metadados (que não traz o documento).
+   * É consultada uma vez por arquivo durante a vida do serviço.
+   * @param {string} fileKey - Chave do arquivo Figma
+   * @returns {Promise<string>} version e last_touched_at do arquivo
+   */
+  async getFileVersion(fileKey) {
+    if (!this.fileVersions.has(fileKey)) {
+      const request = this.client
+        .get(`/files/${fileKey}/meta`)
+        .then(({ file }) => `${file?.version}@${file?.last_touched_at}`);
+      this.fileVersions.set(fileKey, request);
+      request.catch(() => this.fileVersions.delete(fileKey));
+    }
+
+    return this.fileVersions.get(fileKey);
+  }
+
+  /**
+   * Resposta de arquivo ou nós vinda do cache quando ele guarda a versão atual do arquivo;
+   * senão busca (fetchResponse) e guarda. Sem cache, apenas busca.
+   * @param {string} fileKey - Chave do arquivo Figma
+   * @param {string} kind - 'file' ou 'nodes'
+   * @param {Object} query - { ids, depth, geometry } da requisição
+   * @param {Function} fetchResponse - Busca a resposta na API
+   */
+  async cached(fileKey, kind, query, fetchResponse) {
+    if (!this.cache) {
+      return fetchResponse();
+    }
+
+    const version = await this.getFileVersion(fileKey);
+    const key = cacheKey(fileKey, kind, query);
+    const hit = await this.cache.get(key, version);
+    if (hit !== undefined) {
+      this.cacheStats.hits++;
+      return hit;
+    }
+
+    this.cacheStats.misses++;
+    const data = await fetchResponse();
+    await this.cache.set(key, version, data);
+    return data;
   }
 
   /**
-   * Busca informações de um arquivo do Figma
+   * Busca informações de um arquivo do Figma.
+   * A resposta é lida como stream e analisada por um parser JSON incremental, e vem do
+   * cache quando há um e ele guarda a versão atual do arquivo.
    * @param {string} fileKey - Chave do arquivo Figma
+   * @param {Object} options - { depth, ids, geometry }: profundidade da árvore, nós a incluir
+   *   e 'paths' para trazer a geometria vetorial
    * @returns {Promise<Object>} Dados do arquivo
    */
-  async getFile(fileKey) {
+  async getFile(fileKey, options = {}) {
     try {
-      const response = await axios.get(`${this.baseURL}/files/${fileKey}`, {
-        headers: {
-          'X-Figma-Token': this.accessToken,
-        },
-      });
-      return response.data;
+      return await this.cached(fileKey, 'file', options, () =>
+        this.client.get(`/files/${fileKey}`, { params: fileQuery(options), stream: true })
+      );
     } catch (error) {
-      const errorDetails = error.response?.data || error.message;
       console.error('Figma API Error:', {
-        status: error.response?.status,
-        statusText: error.response?.statusText,
-        data: errorDetails,
+        status: error.statusCode,
+        data: error.details || error.message,
         fileKey,
       });
-      throw new Error(`Failed to fetch Figma file: ${JSON.stringify(errorDetails)}`);
+      throw figmaError('Failed to fetch Figma file', error);
     }
   }
 
   /**
-   * Busca um nó específico de um arquivo
+   * Arquivo com só a lista de páginas (depth=1): nome, versão e metadados. É buscado uma vez
+   * por arquivo durante a vida do serviço, então quem lista os arquivos de um projeto e quem
+   * percorre suas páginas (ver iteratePages) compartilham a mesma requisição.
    * @param {string} fileKey - Chave do arquivo Figma
-   * @param {string} nodeId - ID do nó
-   * @returns {Promise<Object>} Dados do nó
+   * @returns {Promise<Object>} Dados do arquivo (ver getFile) até as páginas
+   */
+  async getFileMetadata(fileKey) {
+    if (!this.fileMetadata.has(fileKey)) {
+      const request = this.getFile(fileKey, { depth: 1 });
+      this.fileMetadata.set(fileKey, request);
+      request.catch(() => this.fileMetadata.delete(fileKey));
+    }
+
+    return this.fileMetadata.get(fileKey);
+  }
+
+  /**
+   * Busca nós específicos de um arquivo
+   * @param {string} fileKey - Chave do arquivo Figma
+   * @param {string|string[]} nodeId - ID do nó (ou lista de IDs)
+   * @param {Object} options - { depth, geometry }
+   * @returns {Promise<Object>} Dados dos nós
    */
-  async getNode(fileKey, nodeId) {
+  async getNode(fileKey, nodeId, options = {}) {
+    const query = { ...options, ids: nodeId };
     try {
-      const response = await axios.get(`${this.baseURL}/files/${fileKey}/nodes`, {
-        params: { ids: nodeId },
-        headers: {
-          'X-Figma-Token': this.accessToken,
-        },
-      });
-      return response.data;
+      return await this.cached(fileKey, 'nodes', query, () =>
+        this.client.get(`/files/${fileKey}/nodes`, { params: fileQuery(query), stream: true })
+      );
     } catch (error) {
-      throw new Error(
-        `Failed to fetch Figma node: ${error.response?.data?.message || error.message}`
+      throw figmaError('Failed to fetch Figma node', error);
+    }
+  }
+
+  /**
+   * Percorre um arquivo página por página: a lista de páginas vem com depth=1 (ver
+   * getFileMetadata) e cada página é buscada sozinha, então só uma página fica em memória por
+   * vez. A resposta de uma página é lida como stream, mas a árvore dela é montada inteira: o
+   * limite de memória é a maior página, não um nó.
+   * Cada item tem o formato de getFile, com apenas a página atual em document.children.
+   * @param {string} fileKey - Chave do arquivo Figma
+   * @param {Object} options - { ids, filters, geometry }: ids restringe a leitura a esses nós
+   *   (páginas ou não), cada um lido como se fosse uma página; páginas descartadas pelos
+   *   filtros (ver frameMatches) nem são buscadas
+   * @returns {AsyncGenerator<Object>} Dados de cada página
+   */
+  async *iteratePages(fileKey, { ids, filters = null, ...options } = {}) {
+    const file = await this.getFileMetadata(fileKey);
+    const { document, ...metadata } = file;
+    const nodeIds = ids
+      ? [].concat(ids)
+      : (document?.children || [])
+          .filter((page) => pageMatches(page.name, filters))
+          .map((page) => page.id);
+
+    for (const nodeId of nodeIds) {
+      const nodeData = await this.getNode(fileKey, nodeId, options);
+      const pageData = nodeData?.nodes?.[nodeId];
+      if (!pageData?.document) {
+        continue;
+      }
+
+      yield {
+        ...metadata,
+        styles: { ...metadata.styles, ...pageData.styles },
+        components: { ...metadata.components, ...pageData.components },
+        componentSets: { ...metadata.componentSets, ...pageData.componentSets },
+        document: { ...document, children: [pageData.document] },
+      };
+    }
+  }
+
+  /**
+   * Extrai componentes, estilos e páginas de um arquivo lendo uma página por vez (ver
+   * iteratePages), sem manter o documento inteiro em memória. O limite maxComponents é
+   * repartido entre as páginas (ver limitAcrossPages): nenhuma página contribui com mais de
+   * maxComponents frames, então os frames além disso nem são percorridos. Estilos vêm de
+   * todas as páginas, e os que nenhuma delas usa são lidos dos nós que os definem (ver
+   * resolveUnusedStyles).
+   * @param {string} fileKey - Chave do arquivo Figma
+   * @param {Object} options - { ids, filters, includeHidden, geometry, maxComponents,
+   *   variables, onPage }: filters e includeHidden seguem extractComponents e
+   *   onPage(pageData) recebe cada página antes de ela ser descartada
+   * @returns {Promise<Object>} { fileData, componentsData, styles, pages }, com apenas os
+   *   metadados do arquivo em fileData e, em componentsData.totalComponents, o total de
+   *   frames encontrados antes do limite
+   */
+  async extractFile(
+    fileKey,
+    {
+      maxComponents = Infinity,
+      variables = null,
+      filters = null,
+      includeHidden = false,
+      onPage,
+      ...pageOptions
+    } = {}
+  ) {
+    const extraction = { filters, includeHidden };
+    let fileData = null;
+    const components = [];
+    let totalComponents = 0;
+    const styles = { colors: {}, typography: {}, effects: {}, grids: {} };
+    const pages = [];
+
+    for await (const pageData of this.iteratePages(fileKey, { ...pageOptions, filters })) {
+      if (!fileData) {
+        const { name, version, lastModified, thumbnailUrl } = pageData;
+        fileData = { name, version, lastModified, thumbnailUrl };
+      }
+
+      if (maxComponents > 0) {
+        // Uma página nunca fica com mais frames do que o limite todo (ver limitAcrossPages)
+        const pageComponents = this.extractComponents(pageData, variables, {
+          ...extraction,
+          maxPerPage: maxComponents,
+        });
+        components.push(...pageComponents.components);
+        totalComponents += pageComponents.totalComponents;
+      }
+
+      // Um estilo fica com o primeiro valor resolvido em uma página que o usa
+      Object.entries(this.extractStyles(pageData)).forEach(([group, entries]) => {
+        Object.entries(entries).forEach(([name, style]) => {
+          if (!styles[group][name]?.value) {
+            styles[group][name] = style;
+          }
+        });
+      });
+
+      pages.push(...this.extractPages(pageData, extraction));
+      if (onPage) {
+        onPage(pageData);
+      }
+    }
+
+    if (!fileData) {
+      // Nenhuma página lida: só os metadados do arquivo
+      const { name, version, lastModified, thumbnailUrl } = await this.getFileMetadata(fileKey);
+      fileData = { name, version, lastModified, thumbnailUrl };
+    }
+
+    await this.resolveUnusedStyles(fileKey, styles);
+
+    return {
+      fileData,
+      componentsData: {
+        name: fileData.name,
+        version: fileData.version,
+        lastModified: fileData.lastModified,
+        components: limitAcrossPages(components, maxComponents),
+        totalComponents,
+      },
+      styles,
+      pages,
+    };
+  }
+
+  /**
+   * Componentes usados e definidos em um arquivo, pela chave de biblioteca (que é a mesma em
+   * todos os arquivos): instâncias, pelo conjunto de variantes quando o componente principal
+   * faz parte de um, e componentes ou conjuntos definidos no arquivo. Só os frames mantidos
+   * pelos filtros são lidos, uma página por vez (ver iteratePages).
+   * @param {string} fileKey - Chave do arquivo Figma
+   * @param {Object} options - { filters, includeHidden } (ver extractComponents)
+   * @returns {Promise<Object>} { instances: [{ key, name, set, remote }], definitions:
+   *   [{ key, name, set, nodeId }] }: set indica um conjunto de variantes e remote um
+   *   componente de biblioteca publicada
+   */
+  async collectComponentUsage(fileKey, { filters = null, includeHidden = false } = {}) {
+    const instances = new Map();
+    const definitions = new Map();
+
+    for await (const pageData of this.iteratePages(fileKey, { filters })) {
+      const walk = (node, parentNode = null) => {
+        if (node.type === 'INSTANCE') {
+          const component = pageData.components?.[node.componentId];
+          const componentSet = pageData.componentSets?.[component?.componentSetId];
+          const main = componentSet?.key ? componentSet : component;
+          if (main?.key && !instances.has(main.key)) {
+            instances.set(main.key, {
+              key: main.key,
+              name: main.name,
+              set: main === componentSet,
+              remote: Boolean(main.remote),
+            });
+          }
+        }
+
+        const set = node.type === 'COMPONENT_SET';
+        if (set || (node.type === 'COMPONENT' && parentNode?.type !== 'COMPONENT_SET')) {
+          const key = (set ? pageData.componentSets : pageData.components)?.[node.id]?.key;
+          if (key) {
+            definitions.set(key, { key, name: node.name, set, nodeId: node.id });
+          }
+        }
+
+        (node.children || [])
+          .filter((child) => isRendered(child, { includeHidden }))
+          .forEach((child) => walk(child, node));
+      };
+
+      (pageData.document?.children || []).forEach((page) =>
+        this.pageRoots(page, { filters, includeHidden }).forEach(({ node }) => walk(node))
       );
     }
+
+    return { instances: [...instances.values()], definitions: [...definitions.values()] };
   }
 
   /**
-   * Busca imagens de um arquivo
+   * Localiza pela chave um componente (ou conjunto de variantes) publicado em uma
+   * biblioteca do time: o arquivo e o nó que o definem
+   * @param {string} key - Chave do componente ou do conjunto
+   * @param {Object} options - { set }: a chave é de um conjunto de variantes
+   * @returns {Promise<Object>} { fileKey, nodeId, name }
+   */
+  async getLibraryComponent(key, { set = false } = {}) {
+    try {
+      const { meta } = await this.client.get(`/${set ? 'component_sets' : 'components'}/${key}`);
+      return { fileKey: meta.file_key, nodeId: meta.node_id, name: meta.name };
+    } catch (error) {
+      throw figmaError('Failed to fetch Figma library component', error);
+    }
+  }
+
+  /**
+   * Localiza pela chave um estilo publicado em uma biblioteca do time: o arquivo e o nó
+   * que o definem
+   * @param {string} key - Chave do estilo
+   * @returns {Promise<Object>} { fileKey, nodeId, name }
+   */
+  async getLibraryStyle(key) {
+    try {
+      const { meta } = await this.client.get(`/styles/${key}`);
+      return { fileKey: meta.file_key, nodeId: meta.node_id, name: meta.name };
+    } catch (error) {
+      throw figmaError('Failed to fetch Figma library style', error);
+    }
+  }
+
+  /**
+   * Resolve os valores dos estilos que nenhum nó lido usa (sem uso no documento ou vindos
+   * de uma biblioteca) a partir dos nós que definem cada estilo, pelo endpoint de nós: o ID
+   * de um estilo local é o do seu nó, e um estilo de biblioteca é localizado pela chave.
+   * Um estilo que não pôde ser lido continua com value null e gera um aviso.
+   * @param {string} fileKey - Chave do arquivo Figma
+   * @param {Object} styles - Estilos extraídos (ver extractStyles), completados no lugar
+   * @returns {Promise<Object>} Os mesmos estilos
+   */
+  async resolveUnusedStyles(fileKey, styles) {
+    const missing = Object.values(styles)
+      .flatMap((group) => Object.values(group))
+      .filter((style) => !style.value);
+
+    // Nós de estilo a buscar, agrupados pelo arquivo que os define
+    const targets = new Map();
+    for (const style of missing) {
+      let target = { fileKey, nodeId: style.id };
+      if (style.remote) {
+        try {
+          target = await this.getLibraryStyle(style.key);
+        } catch (error) {
+          console.warn(`Could not locate library style "${style.name}": ${error.message}`);
+          continue;
+        }
+      }
+      if (!targets.has(target.fileKey)) {
+        targets.set(target.fileKey, []);
+      }
+      targets.get(target.fileKey).push({ style, nodeId: target.nodeId });
+    }
+
+    for (const [styleFileKey, entries] of targets) {
+      try {
+        const nodeData = await this.getNode(
+          styleFileKey,
+          entries.map(({ nodeId }) => nodeId)
+        );
+        entries.forEach(({ style, nodeId }) => {
+          style.value = resolveStyleNodeValue(style.styleType, nodeData?.nodes?.[nodeId]?.document);
+        });
+      } catch (error) {
+        console.warn(`Could not resolve style values from file ${styleFileKey}: ${error.message}`);
+      }
+    }
+
+    return styles;
+  }
+
+  /**
+   * Extrai um único nó (a definição de um componente, por exemplo) como componente raiz,
+   * com seu próprio layout, pintura e tamanho
+   * @param {string} fileKey - Chave do arquivo Figma
+   * @param {string} nodeId - ID do nó
+   * @param {Object} options - { variables, includeHidden, styles } (ver extractComponents):
+   *   styles, quando passado, é completado no lugar com os estilos usados pelo nó (ver
+   *   extractStyles e resolveUnusedStyles)
+   * @returns {Promise<Object|null>} Componente extraído, ou null quando o nó não existe
+   */
+  async extractNode(
+    fileKey,
+    nodeId,
+    { variables = null, includeHidden = false, styles = null } = {}
+  ) {
+    const nodeData = await this.getNode(fileKey, nodeId);
+    const entry = nodeData?.nodes?.[nodeId];
+    if (!entry?.document) {
+      return null;
+    }
+
+    // O nó é lido como o único frame de uma página
+    const fileData = {
+      components: entry.components,
+      componentSets: entry.componentSets,
+      styles: entry.styles,
+      document: { children: [{ id: nodeId, type: 'CANVAS', children: [entry.document] }] },
+    };
+    const [component = null] = this.extractComponents(fileData, variables, {
+      includeHidden,
+    }).components;
+    if (component) {
+      delete component.page;
+    }
+
+    if (styles) {
+      Object.entries(this.extractStyles(fileData)).forEach(([group, entries]) => {
+        styles[group] = { ...styles[group], ...entries };
+      });
+      await this.resolveUnusedStyles(fileKey, styles);
+    }
+    return component;
+  }
+
+  /**
+   * Renderiza nós de um arquivo como imagens
    * @param {string} fileKey - Chave do arquivo Figma
    * @param {string[]} ids - Array de IDs de nós
+   * @param {Object} options - Formato (svg, png, jpg, pdf) e escala (0.01 a 4) da exportação
    * @returns {Promise<Object>} URLs das imagens
    */
-  async getImages(fileKey, ids) {
+  async getImages(fileKey, ids, { format = 'svg', scale } = {}) {
     try {
-      const response = await axios.get(`${this.baseURL}/images/${fileKey}`, {
-        params: { ids: ids.join(','), format: 'svg' },
-        headers: {
-          'X-Figma-Token': this.accessToken,
-        },
+      return await this.client.get(`/images/${fileKey}`, {
+        params: { ids: ids.join(','), format, ...(scale !== undefined && { scale }) },
       });
-      return response.data;
     } catch (error) {
-      throw new Error(
-        `Failed to fetch Figma images: ${error.response?.data?.message || error.message}`
-      );
+      throw figmaError('Failed to fetch Figma images', error);
+    }
+  }
+
+  /**
+   * Busca as URLs das imagens usadas como preenchimento (fills) no arquivo
+   * @param {string} fileKey - Chave do arquivo Figma
+   * @returns {Promise<Object>} Mapa de imageRef para URL
+   */
+  async getImageFills(fileKey) {
+    try {
+      const data = await this.client.get(`/files/${fileKey}/images`);
+      return data?.meta?.images || {};
+    } catch (error) {
+      throw figmaError('Failed to fetch Figma image fills', error);
+    }
+  }
+
+  /**
+   * Busca as variáveis locais do arquivo (coleções, modos e valores).
+   * O endpoint exige o plano Enterprise; sem ele, use um JSON exportado (parseVariables).
+   * @param {string} fileKey - Chave do arquivo Figma
+   * @returns {Promise<Object|null>} Variáveis normalizadas (ver parseVariables)
+   */
+  async getLocalVariables(fileKey) {
+    try {
+      return parseVariables(await this.client.get(`/files/${fileKey}/variables/local`));
+    } catch (error) {
+      const hint =
+        error.statusCode === 403
+          ? ' (the variables API requires a Figma Enterprise plan; provide an exported variables JSON instead)'
+          : '';
+      throw figmaError('Failed to fetch Figma variables', error, hint);
     }
   }
 
   /**
    * Extrai componentes de um arquivo Figma
    * @param {Object} fileData - Dados do arquivo Figma
-   * @returns {Object} Estrutura de componentes extraídos
+   * @param {Object|null} variables - Variáveis do arquivo (ver parseVariables), para resolver
+   *   as propriedades ligadas a variáveis
+   * @param {Object} options - { filters, includeHidden, maxPerPage }: filters seleciona
+   *   páginas, frames, tipos e seções (ver frameMatches); camadas ocultas ou transparentes só
+   *   são mantidas com includeHidden ou quando uma prop de visibilidade as controla (ver
+   *   isRendered); maxPerPage limita os frames extraídos de cada página (os demais nem são
+   *   percorridos)
+   * @returns {Object} Componentes raiz (frames de nível superior, com a página e a seção
+   *   de cada um), o total de frames encontrados (totalComponents, antes do limite) e as
+   *   páginas com seus frames
    */
-  extractComponents(fileData) {
-    const components = [];
-    const traverse = (node, parent = null) => {
+  extractComponents(fileData, variables = null, options = {}) {
+    const { filters = null, maxPerPage = Infinity } = options;
+    const traverse = (node, parent = null, parentNode = null) => {
       if (!node) {
         return;
       }
@@ -109,6 +564,8 @@ class FigmaService {
           textAlign: node.style?.textAlignHorizontal,
           color: node.fills?.[0]?.color,
         };
+        // Texto rico: trechos com estilos mistos, links, listas e truncamento
+        component.text = extractText(node);
       } else if (node.type === 'RECTANGLE' || node.type === 'FRAME') {
         component.properties = {
           width: node.absoluteBoundingBox?.width,
@@ -119,7 +576,11 @@ class FigmaService {
           borderRadius: node.cornerRadius,
           padding: node.paddingLeft || node.paddingTop || 0,
         };
-      } else if (node.type === 'INSTANCE' || node.type === 'COMPONENT') {
+      } else if (
+        node.type === 'INSTANCE' ||
+        node.type === 'COMPONENT' ||
+        node.type === 'COMPONENT_SET'
+      ) {
         component.properties = {
           componentName: node.name,
           width: node.absoluteBoundingBox?.width,
@@ -127,39 +588,209 @@ class FigmaService {
         };
       }
 
-      // Processar filhos
+      // Conjuntos de variantes e componentes expõem um schema tipado de props
+      if (node.type === 'COMPONENT_SET' || node.type === 'COMPONENT') {
+        const props = parseComponentPropertyDefinitions(node.componentPropertyDefinitions);
+        if (props.length > 0) {
+          component.props = props;
+        }
+      }
+      if (node.type === 'COMPONENT_SET') {
+        component.variants = (node.children || [])
+          .filter((child) => child?.type === 'COMPONENT')
+          .map((child) => ({
+            id: child.id,
+            name: child.name,
+            values: parseVariantName(child.name),
+          }));
+      }
+      if (node.type === 'COMPONENT' && parentNode?.type === 'COMPONENT_SET') {
+        component.variantValues = parseVariantName(node.name);
+      }
+
+      // Chave de biblioteca: identifica o componente ou conjunto em qualquer arquivo
+      const definition = (
+        node.type === 'COMPONENT_SET' ? fileData.componentSets : fileData.components
+      )?.[node.id];
+      if ((node.type === 'COMPONENT' || node.type === 'COMPONENT_SET') && definition?.key) {
+        component.componentKey = definition.key;
+      }
+
+      // Instâncias registram o componente principal, os valores das props e os overrides
+      if (node.type === 'INSTANCE') {
+        component.instance = describeInstance(node, fileData);
+      }
+
+      // Papel semântico (botão, campo, navegação, lista, card...) pelo nome, pela estrutura
+      // ou pelo pai; `[button]` no nome da camada define o papel
+      const role = inferRole(node, {
+        parent: parentNode,
+        names: [component.instance?.componentSetName, component.instance?.componentName],
+      });
+      if (role) {
+        component.role = role;
+      }
+
+      // Camadas ligadas a props do componente (texto, visibilidade, instance swap)
+      const propertyRefs = parsePropertyReferences(node.componentPropertyReferences);
+      if (propertyRefs) {
+        component.propertyRefs = propertyRefs;
+      }
+
+      // Referências a estilos nomeados substituem as cores brutas
+      const styleRefs = getStyleReferences(node, fileData.styles);
+      if (styleRefs) {
+        component.styleRefs = styleRefs;
+        if (styleRefs.fill) {
+          delete component.properties.color;
+          delete component.properties.backgroundColor;
+        }
+      }
+
+      // Propriedades ligadas a variáveis (temas claro/escuro, marcas) viram custom properties
+      const boundVariables = getBoundVariables(node, variables);
+      if (boundVariables) {
+        component.variables = boundVariables;
+      }
+
+      // Modelo completo de pintura (fills, strokes, cantos, opacidade e blend mode) em CSS
+      const paint = extractPaint(node);
+      if (paint) {
+        component.paint = paint;
+      }
+
+      // Sombras e desfoques em CSS, ligados ao estilo de efeito aplicado
+      const effects = extractEffects(node, styleRefs?.effect);
+      if (effects) {
+        component.effects = effects;
+      }
+
+      // Ícones, logos e imagens são exportados como assets
+      const asset = getAssetDescriptor(node);
+      if (asset) {
+        component.asset = asset;
+      }
+
+      // Auto-layout normalizado (flex/grid) do nó e de sua posição no pai
+      const layout = extractLayout(node, parentNode);
+      if (layout) {
+        component.layout = layout;
+      }
+
+      // Constraints e tamanhos mínimos/máximos para o comportamento responsivo
+      const constraints = extractConstraints(node, parentNode);
+      if (constraints) {
+        component.constraints = constraints;
+      }
+
+      // Camadas ocultas mantidas por includeHidden ou por uma prop de visibilidade
+      if (isHidden(node)) {
+        component.hidden = true;
+      }
+
+      // Recorte do conteúdo (clipsContent) e máscaras, que recortam as camadas acima delas
+      const clipping = extractClipping(node, options);
+      if (clipping) {
+        component.clipping = clipping;
+      }
+
+      // Processar filhos (máscaras não desenham nada e camadas ocultas ficam de fora)
       if (node.children && node.children.length > 0) {
-        node.children.forEach((child) => {
-          const childComponent = traverse(child, component);
-          if (childComponent) {
-            component.children.push(childComponent);
-          }
-        });
+        node.children
+          .filter((child) => isRendered(child, options))
+          .forEach((child) => {
+            const childComponent = traverse(child, component, node);
+            if (childComponent) {
+              component.children.push(childComponent);
+            }
+          });
+      }
+
+      // Filhos repetidos (cards, itens de lista): o conteúdo que varia vira dados de exemplo
+      const repeats = findRepeats(component);
+      if (repeats.length > 0) {
+        component.repeats = repeats;
       }
 
-      components.push(component);
       return component;
     };
 
-    // Começar pela página principal
-    if (fileData.document && fileData.document.children) {
-      fileData.document.children.forEach((page) => {
-        if (page.children) {
-          page.children.forEach((child) => traverse(child));
+    // Componentes raiz: frames de nível superior de cada página, também dentro de seções
+    const components = [];
+    let totalComponents = 0;
+    (fileData.document?.children || []).forEach((page) => {
+      if (!pageMatches(page.name, filters)) {
+        return;
+      }
+      const roots = this.pageRoots(page, options);
+      totalComponents += roots.length;
+      roots.slice(0, maxPerPage).forEach(({ node, sections }) => {
+        const component = traverse(node);
+        component.page = { id: page.id, name: page.name };
+        if (sections.length > 0) {
+          component.section = sections[sections.length - 1];
         }
+        components.push(component);
       });
-    }
+    });
 
     return {
       name: fileData.name,
       version: fileData.version,
       lastModified: fileData.lastModified,
-      components: components.filter((c) => !c.parent), // Apenas componentes raiz
+      components,
+      totalComponents,
+      pages: this.extractPages(fileData, options),
     };
   }
 
   /**
-   * Extrai estilos do arquivo
+   * Frames de nível superior de uma página mantidos pelos filtros (frames ocultos só com
+   * includeHidden)
+   * @param {Object} options - { filters, includeHidden } (ver extractComponents)
+   * @returns {Array} [{ node, sections }] (ver pageFrames)
+   */
+  pageRoots(page, { filters = null, includeHidden = false } = {}) {
+    return pageFrames(page).filter(
+      ({ node, sections }) =>
+        isRendered(node, { includeHidden }) &&
+        frameMatches(
+          {
+            page: page.name,
+            name: node.name,
+            type: node.type,
+            sections: sections.map((section) => section.name),
+          },
+          filters
+        )
+    );
+  }
+
+  /**
+   * Extrai as páginas do arquivo com seus frames de nível superior mantidos pelos filtros
+   * @param {Object} fileData - Dados do arquivo Figma
+   * @param {Object} options - { filters, includeHidden } (ver extractComponents)
+   * @returns {Array} Páginas ({ id, name, frames: [{ id, name, type, section }] }); section
+   *   é o nome da seção mais interna do frame, quando houver
+   */
+  extractPages(fileData, options = {}) {
+    return (fileData.document?.children || [])
+      .filter((page) => pageMatches(page.name, options.filters))
+      .map((page) => ({
+        id: page.id,
+        name: page.name,
+        frames: this.pageRoots(page, options).map(({ node, sections }) => ({
+          id: node.id,
+          name: node.name,
+          type: node.type,
+          ...(sections.length > 0 && { section: sections[sections.length - 1].name }),
+        })),
+      }));
+  }
+
+  /**
+   * Extrai estilos do arquivo, resolvendo os valores concretos de cada estilo
+   * a partir dos nós do documento que o referenciam
    * @param {Object} fileData - Dados do arquivo Figma
    * @returns {Object} Estilos extraídos
    */
@@ -168,16 +799,27 @@ class FigmaService {
       colors: {},
       typography: {},
       effects: {},
+      grids: {},
+    };
+
+    const groups = {
+      FILL: styles.colors,
+      TEXT: styles.typography,
+      EFFECT: styles.effects,
+      GRID: styles.grids,
     };
 
     if (fileData.styles) {
-      Object.entries(fileData.styles).forEach(([_key, style]) => {
-        if (style.styleType === 'FILL') {
-          styles.colors[style.name] = style;
-        } else if (style.styleType === 'TEXT') {
-          styles.typography[style.name] = style;
-        } else if (style.styleType === 'EFFECT') {
-          styles.effects[style.name] = style;
+      const values = resolveStyleValues(fileData);
+
+      Object.entries(fileData.styles).forEach(([styleId, style]) => {
+        const group = groups[style.styleType];
+        if (group) {
+          group[style.name] = {
+            ...style,
+            id: styleId,
+            value: values[styleId] || null,
+          };
         }
       });
     }
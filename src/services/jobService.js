@@ -0,0 +1,336 @@
+import os from 'os';
+import { v4 as uuidv4 } from 'uuid';
+import JobRepository from '../repositories/jobRepository.js';
+import { CancelledError, NotFoundError, ValidationError } from '../utils/errorHandler.js';
+
+export const JOB_STATUSES = [
+  'queued',
+  'running',
+  'completed',
+  'failed',
+  'cancelled',
+  'interrupted',
+  'paused',
+];
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+const RESUMABLE_STATUSES = ['failed', 'cancelled', 'interrupted', 'paused'];
+
+/**
+ * How often a process records a heartbeat on the jobs it has queued or is running
+ */
+export const JOB_HEARTBEAT_MS = 30 * 1000;
+
+/**
+ * A queued or running job whose worker has sent no heartbeat for this long is reported as
+ * interrupted (its process was restarted or its instance is gone). Jobs of live workers
+ * keep beating, whichever process or instance runs them.
+ */
+export const JOB_STALE_AFTER_MS = 4 * JOB_HEARTBEAT_MS;
+
+/**
+ * Default time a job runs per request where it cannot outlive the request (JOB_STEP_MS).
+ * It stays below the function's maxDuration, so a step ends at a checkpoint before the
+ * function is stopped.
+ */
+export const JOB_STEP_MS = 45 * 1000;
+
+// Identifies this process in the jobs it runs
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// Jobs run one at a time per process; the queue is shared by every service instance.
+// Active jobs map to the repository their heartbeats are written to.
+let queueTail = Promise.resolve();
+const activeJobs = new Map();
+let heartbeat = null;
+
+/**
+ * Record a heartbeat on every active job of this process
+ */
+function beat() {
+  const heartbeatAt = new Date().toISOString();
+  activeJobs.forEach((repository, id) => {
+    repository
+      .update(id, { heartbeatAt })
+      .catch((error) => console.error(`Job ${id} heartbeat failed:`, error.message));
+  });
+}
+
+/**
+ * Whether jobs run in the background after the request that started them responds. Only a
+ * long-lived Node process keeps working then: a serverless function (Vercel) is frozen once
+ * it responds, so its jobs run in bounded steps inside the requests (see getJobStepMs).
+ */
+export function runsJobsInBackground() {
+  return !process.env.VERCEL;
+}
+
+/**
+ * Time a job runs per request where jobs cannot run in the background
+ */
+export function getJobStepMs() {
+  return Number(process.env.JOB_STEP_MS) || JOB_STEP_MS;
+}
+
+/**
+ * Service for running long tasks as persisted background jobs
+ */
+class JobService {
+  constructor(repository = new JobRepository()) {
+    this.repository = repository;
+  }
+
+  /**
+   * Create a queued job
+   * @param {string} type - Job type (e.g. extract-project)
+   * @param {Object} params - Task parameters (persisted, must not contain secrets)
+   * @returns {Promise<Object>} Job
+   */
+  async createJob(type, params) {
+    const now = new Date().toISOString();
+
+    const job = await this.repository.save({
+      id: uuidv4(),
+      type,
+      status: 'queued',
+      params,
+      progress: null,
+      checkpoint: null,
+      result: null,
+      error: null,
+      cancelRequested: false,
+      workerId: null,
+      createdAt: now,
+      updatedAt: now,
+      heartbeatAt: now,
+      startedAt: null,
+      finishedAt: null,
+    });
+
+    return this.toView(job);
+  }
+
+  /**
+   * Queue a job for execution in this process.
+   * The task receives { checkpoint, onProgress, isCancelled } and resolves with the job result.
+   * Past the optional deadline isCancelled reports true, and the job is paused at that
+   * checkpoint instead of cancelled.
+   * @param {string} id - Job ID
+   * @param {Function} task - Async task
+   * @param {Object} options - Optional { deadline } (epoch milliseconds)
+   * @returns {Promise<Object>} Finished or paused job
+   */
+  runJob(id, task, { deadline = null } = {}) {
+    activeJobs.set(id, this.repository);
+    if (!heartbeat) {
+      heartbeat = setInterval(beat, JOB_HEARTBEAT_MS);
+      heartbeat.unref();
+    }
+
+    const run = queueTail.then(() => this.execute(id, task, deadline));
+    queueTail = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Start a job (see runJob). In a long-lived process it runs in the background and the
+   * job is returned right away; otherwise (see runsJobsInBackground) it runs for one step
+   * and the finished or paused job is returned. A paused job continues on resumeJob.
+   * @param {string} id - Job ID
+   * @param {Function} task - Async task
+   * @returns {Promise<Object>} Queued, paused or finished job
+   */
+  async startJob(id, task) {
+    if (!runsJobsInBackground()) {
+      if (!process.env.JOBS_DB_PATH || !process.env.OUTPUT_DIR) {
+        console.warn(
+          `Job ${id} is stored on this function instance; set JOBS_DB_PATH and OUTPUT_DIR to storage shared by every instance so its next steps can run on another one`
+        );
+      }
+      return this.runJob(id, task, { deadline: Date.now() + getJobStepMs() });
+    }
+
+    const job = await this.getJob(id);
+    this.runJob(id, task).catch((error) =>
+      console.error(`Job ${id} could not be run:`, error.message)
+    );
+    return job;
+  }
+
+  /**
+   * Execute a job task, persisting its progress and final state
+   */
+  async execute(id, task, deadline = null) {
+    try {
+      const job = await this.repository.findById(id);
+      if (!job || job.status === 'cancelled') {
+        return job && this.toView(job);
+      }
+
+      await this.repository.update(id, {
+        status: 'running',
+        workerId: WORKER_ID,
+        startedAt: new Date().toISOString(),
+        heartbeatAt: new Date().toISOString(),
+      });
+
+      // A step pauses only once it recorded a new checkpoint, so every step makes progress
+      const initialCheckpoint = JSON.stringify(job.checkpoint ?? null);
+      let progressed = false;
+      let paused = false;
+
+      try {
+        const result = await task({
+          checkpoint: job.checkpoint,
+          onProgress: ({ progress, checkpoint }) => {
+            progressed = progressed || JSON.stringify(checkpoint ?? null) !== initialCheckpoint;
+            return this.repository.update(id, { progress, checkpoint });
+          },
+          isCancelled: async () => {
+            if ((await this.repository.findById(id))?.cancelRequested) {
+              return true;
+            }
+            paused = progressed && deadline !== null && Date.now() >= deadline;
+            return paused;
+          },
+        });
+
+        return await this.finish(id, { status: 'completed', result });
+      } catch (error) {
+        if (error instanceof CancelledError && paused) {
+          return this.toView(
+            await this.repository.update(id, {
+              status: 'paused',
+              heartbeatAt: new Date().toISOString(),
+            })
+          );
+        }
+        if (error instanceof CancelledError) {
+          return await this.finish(id, { status: 'cancelled' });
+        }
+
+        console.error(`Job ${id} failed:`, error.message);
+        return await this.finish(id, {
+          status: 'failed',
+          error: { message: error.message, statusCode: error.statusCode || 500 },
+        });
+      }
+    } finally {
+      activeJobs.delete(id);
+      if (activeJobs.size === 0) {
+        clearInterval(heartbeat);
+        heartbeat = null;
+      }
+    }
+  }
+
+  /**
+   * Persist the final state of a job
+   */
+  async finish(id, changes) {
+    const job = await this.repository.update(id, {
+      ...changes,
+      finishedAt: new Date().toISOString(),
+    });
+    return this.toView(job);
+  }
+
+  /**
+   * Get a job by ID
+   * @throws {NotFoundError} When the job does not exist
+   */
+  async getJob(id) {
+    const job = await this.repository.findById(id);
+
+    if (!job) {
+      throw new NotFoundError('Job not found', `No job found with id: ${id}`);
+    }
+
+    return this.toView(job);
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {Object} filters - Optional { status, type }
+   */
+  async listJobs({ status, type } = {}) {
+    const jobs = await this.repository.findAll();
+
+    return jobs
+      .map((job) => this.toView(job))
+      .filter((job) => (!status || job.status === status) && (!type || job.type === type))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Cancel a job. Queued, paused and interrupted jobs are cancelled right away,
+   * running jobs stop at their next checkpoint.
+   * @throws {ValidationError} When the job already finished
+   */
+  async cancelJob(id) {
+    const job = await this.getJob(id);
+
+    if (FINISHED_STATUSES.includes(job.status)) {
+      throw new ValidationError(`Job is already ${job.status}`);
+    }
+
+    if (job.status === 'running') {
+      return this.toView(await this.repository.update(id, { cancelRequested: true }));
+    }
+
+    return this.finish(id, { status: 'cancelled', cancelRequested: true });
+  }
+
+  /**
+   * Queue a failed, cancelled, interrupted or paused job again (see startJob). The task
+   * receives the last checkpoint so work that already completed is not repeated.
+   * @returns {Promise<Object>} Queued, paused or finished job
+   * @throws {ValidationError} When the job cannot be resumed
+   */
+  async resumeJob(id, task) {
+    const job = await this.getJob(id);
+
+    if (!RESUMABLE_STATUSES.includes(job.status)) {
+      throw new ValidationError(
+        'Only failed, cancelled, interrupted or paused jobs can be resumed',
+        {
+          status: job.status,
+        }
+      );
+    }
+
+    await this.repository.update(id, {
+      status: 'queued',
+      error: null,
+      cancelRequested: false,
+      finishedAt: null,
+      heartbeatAt: new Date().toISOString(),
+    });
+
+    return this.startJob(id, task);
+  }
+
+  /**
+   * Public representation of a job: the checkpoint is internal, and queued or running jobs
+   * whose worker stopped sending heartbeats are reported as interrupted
+   */
+  toView(job) {
+    const { checkpoint, ...view } = job;
+    const lastSeen = job.heartbeatAt || job.updatedAt;
+    const stale =
+      ['queued', 'running'].includes(job.status) &&
+      !activeJobs.has(job.id) &&
+      Date.now() - new Date(lastSeen).getTime() > JOB_STALE_AFTER_MS;
+
+    const status = stale ? 'interrupted' : job.status;
+
+    return {
+      ...view,
+      status,
+      resumable: RESUMABLE_STATUSES.includes(status),
+      checkpointed: Boolean(checkpoint),
+    };
+  }
+}
+
+export default JobService;
@@ -1,18 +1,46 @@
-import axios from 'axios';
+import { createHash } from 'crypto';
 import fs from 'fs/promises';
+import os from 'os';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
 import FigmaService from './figmaService.js';
-import DesignAnalyzerAgent from '../agents/designAnalyzerAgent.js';
-import { ExternalAPIError, ValidationError } from '../utils/errorHandler.js';
+import { getSharedFigmaCache } from './figmaCache.js';
+import { createCodeGenerator } from '../agents/codeGenerator.js';
+import { toPascalCase } from '../utils/naming.js';
+import DesignTokenService, { TOKEN_FORMATS } from './designTokenService.js';
+import SourceTreeService from './sourceTreeService.js';
+import AppScaffoldService from './appScaffoldService.js';
+import AssetService from './assetService.js';
+import ExtractionManifestRepository from '../repositories/extractionManifestRepository.js';
+import { CancelledError, ExternalAPIError, ValidationError } from '../utils/errorHandler.js';
 import { sanitizeFileName } from '../utils/validators.js';
+import { mergeBreakpointFrames } from '../utils/figmaBreakpoints.js';
+import { parseVariables } from '../utils/figmaVariables.js';
+import { collectRepeats } from '../utils/figmaRepeats.js';
+
+/**
+ * Root directory of extraction output (OUTPUT_DIR, or output/ in the working directory).
+ * Serverless deployments can only write to the temp directory, so Vercel defaults to it.
+ */
+export function getOutputRoot() {
+  if (process.env.OUTPUT_DIR) {
+    return path.resolve(process.env.OUTPUT_DIR);
+  }
+  return process.env.VERCEL ? path.join(os.tmpdir(), 'output') : path.join(process.cwd(), 'output');
+}
 
 /**
  * Service for extracting and processing Figma projects
  */
 class ProjectExtractionService {
   constructor(figmaToken) {
-    this.figmaService = new FigmaService(figmaToken);
+    // Pages read while looking for shared components are read again when files are processed
+    this.figmaService = new FigmaService(figmaToken, { cache: getSharedFigmaCache() });
+    this.designTokenService = new DesignTokenService();
+    this.sourceTreeService = new SourceTreeService();
+    this.appScaffoldService = new AppScaffoldService(this.sourceTreeService);
+    this.assetService = new AssetService(this.figmaService);
+    this.manifestRepository = new ExtractionManifestRepository();
     this.figmaToken = figmaToken;
   }
 
@@ -21,13 +49,14 @@ class ProjectExtractionService {
    */
   async fetchFiles(fileKey, projectId) {
     if (fileKey) {
-      // Single file mode
-      const fileData = await this.figmaService.getFile(fileKey);
+      // Single file mode (the metadata is all that is needed, not the document)
+      const fileData = await this.figmaService.getFileMetadata(fileKey);
       return {
         files: [
           {
             key: fileKey,
             name: fileData.name,
+            version: fileData.version,
             last_modified: fileData.lastModified,
             thumbnail_url: fileData.thumbnailUrl || null,
           },
@@ -38,11 +67,9 @@ class ProjectExtractionService {
 
     // Project mode
     try {
-      const response = await axios.get(`https://api.figma.com/v1/projects/${projectId}/files`, {
-        headers: { 'X-Figma-Token': this.figmaToken },
-      });
+      const data = await this.figmaService.client.get(`/projects/${projectId}/files`);
 
-      const files = response.data.files || [];
+      const files = data.files || [];
       return {
         files,
         projectName: files[0]?.name || 'Unknown Project',
@@ -50,57 +77,144 @@ class ProjectExtractionService {
     } catch (error) {
       throw new ExternalAPIError(
         'Failed to fetch project files from Figma',
-        error.response?.status || 502,
-        error.response?.data
+        error.statusCode,
+        error.details
       );
     }
   }
 
   /**
-   * Extract components from a file
+   * Variables of a file: the exported variables JSON when one was given, otherwise the
+   * local variables endpoint when options.variables is set (null when neither applies)
    */
-  async extractFileComponents(fileKey, maxComponents) {
-    const fileData = await this.figmaService.getFile(fileKey);
-    const componentsData = this.figmaService.extractComponents(fileData);
-
-    // Limit components
-    if (componentsData.components && componentsData.components.length > maxComponents) {
-      componentsData.components = componentsData.components.slice(0, maxComponents);
+  async fetchVariables(fileKey, options = {}) {
+    if (options.variablesJson) {
+      return parseVariables(options.variablesJson);
     }
+    return options.variables ? this.figmaService.getLocalVariables(fileKey) : null;
+  }
+
+  /**
+   * Extract components from a file, read one page at a time (see FigmaService.extractFile).
+   * The spacing and radius values of every page are collected into `fileData.dimensions`.
+   * @param {Object|null} variables - Variables the components' bound properties resolve to
+   * @param {Object} extraction - { filters, includeHidden }: pages and frames to include or
+   *   exclude, and whether hidden layers are kept (see FigmaService.extractComponents)
+   * @returns {Promise<Object>} { fileData, componentsData, styles, pages }
+   */
+  async extractFileComponents(
+    fileKey,
+    maxComponents = Infinity,
+    variables = null,
+    extraction = {}
+  ) {
+    const dimensions = [];
+    const result = await this.figmaService.extractFile(fileKey, {
+      maxComponents,
+      variables,
+      filters: extraction.filters || null,
+      includeHidden: Boolean(extraction.includeHidden),
+      onPage: (pageData) =>
+        dimensions.push(this.designTokenService.collectDimensions(pageData.document)),
+    });
+
+    result.fileData.dimensions = this.designTokenService.mergeDimensions(...dimensions);
+    return result;
+  }
 
-    const styles = this.figmaService.extractStyles(fileData);
+  /**
+   * Extract design tokens from a single file and render them in the requested formats
+   */
+  async extractDesignTokens(fileKey, formats = TOKEN_FORMATS, variableOptions = {}) {
+    const { fileData, styles } = await this.extractFileComponents(fileKey, 0);
+    const variables = await this.fetchVariables(fileKey, variableOptions);
+    const warnings = [];
+    const tokens = this.designTokenService.buildTokens(styles, fileData, variables, warnings);
 
     return {
-      fileData,
-      componentsData,
-      styles,
+      fileKey,
+      fileName: fileData.name,
+      version: fileData.version,
+      tokenCount: tokens.length,
+      formats,
+      files: this.designTokenService.renderFiles(tokens, formats),
+      ...(warnings.length > 0 && { warnings }),
     };
   }
 
   /**
    * Generate code for multiple frameworks
+   * @param {Object} hooks - Optional { onFramework(framework, status), isCancelled() }
    */
-  async generateCode(componentsData, frameworks, options) {
+  async generateCode(componentsData, frameworks, options, hooks = {}) {
+    const { onFramework = async () => {}, isCancelled = async () => false } = hooks;
     const generatedCode = {};
 
     for (const framework of frameworks) {
+      if (await isCancelled()) {
+        throw new CancelledError('Extraction cancelled');
+      }
+      await onFramework(framework, 'running');
+
       try {
-        // Simplify components to reduce payload size
-        const simplifiedComponents = {
-          ...componentsData,
-          components:
-            componentsData.components?.map((comp) => ({
-              id: comp.id,
-              name: comp.name,
-              type: comp.type,
-              properties: comp.properties,
-            })) || [],
-        };
+        // Simplify components to reduce payload size (the template generator walks the full tree)
+        const simplifiedComponents =
+          options.generator === 'template'
+            ? componentsData
+            : {
+                ...componentsData,
+                // Custom properties of the variables, per theme, instead of the raw collections
+                variables: undefined,
+                themeCss: componentsData.variables
+                  ? this.designTokenService.toCssVariables(
+                      this.designTokenService.buildVariableTokens(componentsData.variables)
+                    )
+                  : undefined,
+                components:
+                  componentsData.components?.map((comp) => {
+                    // Repeated content anywhere in the frame, since its tree is left out
+                    const repeats = collectRepeats(comp);
+                    return {
+                      id: comp.id,
+                      name: comp.name,
+                      type: comp.type,
+                      role: comp.role,
+                      repeats: repeats.length > 0 ? repeats : undefined,
+                      properties: comp.properties,
+                      layout: comp.layout,
+                      styleRefs: comp.styleRefs,
+                      variables: comp.variables,
+                      paint: comp.paint?.css,
+                      effects: comp.effects?.css,
+                      clipping: comp.clipping?.css,
+                      hidden: comp.hidden,
+                      text: comp.text,
+                      constraints: comp.constraints,
+                      responsive: comp.responsive && {
+                        breakpoint: comp.responsive.breakpoint,
+                        variants: comp.responsive.variants.map(
+                          ({ breakpoint, minWidth, frame }) => ({
+                            breakpoint,
+                            minWidth,
+                            frameId: frame.id,
+                            frameName: frame.name,
+                            properties: frame.properties,
+                            layout: frame.layout,
+                          })
+                        ),
+                      },
+                      props: comp.props,
+                      variants: comp.variants,
+                      instance: comp.instance,
+                      asset: comp.asset,
+                    };
+                  }) || [],
+              };
 
-        const agent = new DesignAnalyzerAgent('github');
+        const agent = createCodeGenerator(options.generator, 'github');
         const code = await agent.analyzeAndGenerateCode(simplifiedComponents, framework, options);
 
-        generatedCode[framework] = code;
+        generatedCode[framework] = this.tagFrames(code, componentsData.components || []);
       } catch (error) {
         console.error(`Failed to generate ${framework} code:`, error.message);
         generatedCode[framework] = {
@@ -108,11 +222,315 @@ class ProjectExtractionService {
           status: 'failed',
         };
       }
+
+      await onFramework(framework, generatedCode[framework].error ? 'failed' : 'completed');
+    }
+
+    return generatedCode;
+  }
+
+  /**
+   * Record on every generated component the IDs of the top-level frames it was generated
+   * from. Components whose generator did not report a known frameId are attributed to
+   * every frame of the batch.
+   */
+  tagFrames(code, roots) {
+    if (!Array.isArray(code?.components)) {
+      return code;
+    }
+
+    const rootIds = roots.map((root) => root.id);
+
+    return {
+      ...code,
+      components: code.components.map((component) => ({
+        ...component,
+        frameIds: rootIds.includes(component.frameId) ? [component.frameId] : rootIds,
+      })),
+    };
+  }
+
+  /**
+   * Content hash of every top-level frame, covering its node tree and the values
+   * of the named styles it references
+   * @returns {Object} Map of frame ID to hash
+   */
+  hashFrames(roots, styles = {}) {
+    return Object.fromEntries(
+      roots.map((root) => {
+        const styleNames = new Set();
+        const collect = (node) => {
+          Object.values(node.styleRefs || {}).forEach((name) => styleNames.add(name));
+          (node.children || []).forEach(collect);
+        };
+        collect(root);
+
+        const styleValues = [...styleNames]
+          .sort()
+          .map((name) => Object.values(styles).map((group) => group?.[name]?.value ?? null));
+
+        const hash = createHash('sha1').update(JSON.stringify({ root, styleValues })).digest('hex');
+
+        return [root.id, hash];
+      })
+    );
+  }
+
+  /**
+   * Generate code again only for the frames that changed since a previous file specification.
+   * Components of unchanged frames are copied from the previous output.
+   * @param {Object} previousSpec - File specification of the previous run
+   * @param {Object} frameHashes - Current frame hashes (see hashFrames)
+   */
+  async regenerateChangedFrames(
+    componentsData,
+    frameworks,
+    options,
+    hooks,
+    previousSpec,
+    frameHashes
+  ) {
+    const { onFramework = async () => {} } = hooks;
+    const roots = componentsData.components || [];
+    const previousHashes = previousSpec.metadata?.frameHashes || {};
+    const unchanged = new Set(
+      roots
+        .filter((root) => previousHashes[root.id] === frameHashes[root.id])
+        .map((root) => root.id)
+    );
+    const generatedCode = {};
+
+    for (const framework of frameworks) {
+      const previousCode = previousSpec.generatedCode?.[framework];
+      const kept =
+        previousCode && !previousCode.error
+          ? (previousCode.components || []).filter(
+              (component) =>
+                component.frameIds?.length > 0 &&
+                component.frameIds.every((id) => unchanged.has(id))
+            )
+          : [];
+      const reusedFrames = new Set(kept.flatMap((component) => component.frameIds));
+      const changedRoots = roots.filter((root) => !reusedFrames.has(root.id));
+
+      if (changedRoots.length === 0) {
+        generatedCode[framework] = { ...previousCode, components: kept };
+        await onFramework(framework, 'completed');
+        continue;
+      }
+
+      const { [framework]: code } = await this.generateCode(
+        { ...componentsData, components: changedRoots },
+        [framework],
+        options,
+        hooks
+      );
+
+      generatedCode[framework] = code.error
+        ? code
+        : { ...code, components: [...kept, ...(code.components || [])] };
     }
 
     return generatedCode;
   }
 
+  /**
+   * Components used in more than one file of a project, by library key (the same in every
+   * file): instances of one main component or component set found in several files, and
+   * components defined in one file and used in another. Components of published team
+   * libraries are matched by key too. Each gets a unique PascalCase name.
+   * @returns {Promise<Array>} [{ key, name, set, remote, definition }]: definition is the
+   *   { fileKey, nodeId } defining the component in the project, otherwise null
+   */
+  async findSharedComponents(files, options) {
+    const found = new Map();
+
+    for (const file of files) {
+      let usage;
+      try {
+        usage = await this.figmaService.collectComponentUsage(file.key, {
+          filters: options.filters || null,
+          includeHidden: Boolean(options.includeHidden),
+        });
+      } catch (error) {
+        // The file fails again, and is reported, when processed
+        console.error(`Failed to collect component usage of ${file.name}:`, error.message);
+        continue;
+      }
+
+      const entry = ({ key, name, set, remote = false }) => {
+        if (!found.has(key)) {
+          found.set(key, { key, name, set, remote, definition: null, files: new Set() });
+        }
+        found.get(key).files.add(file.key);
+        return found.get(key);
+      };
+      usage.instances.forEach(entry);
+      usage.definitions.forEach((definition) => {
+        entry(definition).definition = { fileKey: file.key, nodeId: definition.nodeId };
+      });
+    }
+
+    const names = new Set();
+    return [...found.values()]
+      .filter((component) => component.files.size > 1)
+      .map(({ files: _files, ...component }) => {
+        const base = toPascalCase(component.name);
+        let name = base;
+        for (let counter = 2; names.has(name); counter += 1) {
+          name = `${base}${counter}`;
+        }
+        names.add(name);
+        return { ...component, name };
+      });
+  }
+
+  /**
+   * Generate the shared components of a project once, saved as shared-library.json: each is
+   * extracted from the file defining it (a project file, or the library file it was
+   * published from) and generated with the other shared components. Components that can't
+   * be located or extracted are listed as unresolved, and files generate them inline.
+   * @param {Array} shared - Shared components (see findSharedComponents)
+   * @param {Object} hooks - Optional { isCancelled() } (see generateCode)
+   * @param {string} outputDir - Output directory
+   * @returns {Promise<Object>} { jsonPath, components: [{ key, name, fileKey, nodeId }],
+   *   unresolved: [{ key, name, error }], frameworks }: frameworks generated successfully
+   */
+  async buildSharedLibrary(shared, frameworks, options, hooks, outputDir) {
+    const roots = [];
+    const components = [];
+    const unresolved = [];
+    const variablesByFile = new Map();
+
+    for (const component of shared) {
+      try {
+        const location =
+          component.definition ||
+          (await this.figmaService.getLibraryComponent(component.key, { set: component.set }));
+        if (!variablesByFile.has(location.fileKey)) {
+          variablesByFile.set(
+            location.fileKey,
+            await this.fetchVariables(location.fileKey, options)
+          );
+        }
+        const root = await this.figmaService.extractNode(location.fileKey, location.nodeId, {
+          variables: variablesByFile.get(location.fileKey),
+          includeHidden: Boolean(options.includeHidden),
+        });
+        if (!root) {
+          throw new Error(`Node ${location.nodeId} not found in file ${location.fileKey}`);
+        }
+
+        roots.push({ ...root, name: component.name, componentKey: component.key });
+        components.push({
+          key: component.key,
+          name: component.name,
+          fileKey: location.fileKey,
+          nodeId: location.nodeId,
+        });
+      } catch (error) {
+        console.error(`Failed to resolve shared component ${component.name}:`, error.message);
+        unresolved.push({ key: component.key, name: component.name, error: error.message });
+      }
+    }
+
+    // Assets are rendered from the file defining each component (assets/shared/<file key>/)
+    let assets;
+    if (options.exportAssets) {
+      assets = [];
+      for (const fileKey of new Set(components.map((component) => component.fileKey))) {
+        const fileRoots = roots.filter((_root, index) => components[index].fileKey === fileKey);
+        assets.push(
+          ...(await this.assetService.exportAssets(fileKey, fileRoots, {
+            outputDir,
+            folder: `shared/${sanitizeFileName(fileKey)}`,
+            imageFormat: options.imageFormat,
+            imageScales: options.imageScales,
+          }))
+        );
+      }
+    }
+
+    const generatedCode =
+      roots.length > 0
+        ? await this.generateCode({ components: roots }, frameworks, options, hooks)
+        : {};
+
+    const jsonPath = 'shared-library.json';
+    await fs.writeFile(
+      path.join(outputDir, jsonPath),
+      JSON.stringify(
+        {
+          id: uuidv4(),
+          fileName: 'shared',
+          extractedAt: new Date().toISOString(),
+          sharedComponents: components,
+          unresolved,
+          components: roots,
+          ...(assets && { assets }),
+          generatedCode,
+        },
+        null,
+        2
+      )
+    );
+
+    return {
+      jsonPath,
+      components,
+      unresolved,
+      frameworks: frameworks.filter((framework) => !generatedCode[framework]?.error),
+    };
+  }
+
+  /**
+   * Figma version of every file defining a component of a shared library (see
+   * FigmaService.getFileVersion), or null when one can't be read
+   * @param {Array} components - Library components ({ fileKey })
+   * @returns {Promise<Object|null>} Version per file key
+   */
+  async sharedLibraryVersions(components) {
+    try {
+      const fileKeys = [...new Set(components.map(({ fileKey }) => fileKey))];
+      return Object.fromEntries(
+        await Promise.all(
+          fileKeys.map(async (key) => [key, await this.figmaService.getFileVersion(key)])
+        )
+      );
+    } catch (error) {
+      console.error('Failed to read the versions of the shared library files:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Shared library of the last incremental run, when it is still in the output directory,
+   * every component was resolved and generated for every framework, and no file defining
+   * one changed. The manifest settings already match the shared component keys.
+   * @param {Object|null} manifest - Manifest of the last run (see loadManifest)
+   * @returns {Promise<Object|null>} Library (see buildSharedLibrary)
+   */
+  async reusableSharedLibrary(manifest, outputDir, frameworks) {
+    const { versions, ...library } = manifest?.sharedLibrary || {};
+    if (
+      !versions ||
+      manifest.outputDir !== outputDir ||
+      library.unresolved.length > 0 ||
+      !frameworks.every((framework) => library.frameworks.includes(framework))
+    ) {
+      return null;
+    }
+
+    try {
+      await fs.access(path.join(outputDir, library.jsonPath));
+    } catch {
+      return null;
+    }
+
+    const current = await this.sharedLibraryVersions(library.components);
+    return JSON.stringify(current) === JSON.stringify(versions) ? library : null;
+  }
+
   /**
    * Save file specification to output directory
    */
@@ -125,6 +543,118 @@ class ProjectExtractionService {
     return jsonFileName;
   }
 
+  /**
+   * Write one source tree per framework (<outputDir>/<framework>/) from the generated code
+   * of every successfully processed file
+   * @param {boolean} scaffold - Wrap each tree in a runnable app with a route per Figma page
+   * @param {Object} sharedLibrary - Optional shared library (see buildSharedLibrary), written
+   *   to the shared/ directory of each tree
+   * @returns {Promise<Object>} Map of framework to { directory, files }
+   */
+  async writeSourceTrees(
+    outputDir,
+    projectName,
+    frameworks,
+    outputFiles,
+    scaffold = false,
+    sharedLibrary = null
+  ) {
+    const fileSpecs = [];
+    for (const outputFile of outputFiles) {
+      const fileSpec = outputFile.error
+        ? null
+        : await this.readFileSpec(outputDir, outputFile.jsonPath);
+      if (fileSpec) {
+        fileSpecs.push(fileSpec);
+      }
+    }
+
+    const librarySpec = sharedLibrary
+      ? await this.readFileSpec(outputDir, sharedLibrary.jsonPath)
+      : null;
+
+    // Exported assets are served from public/ (/assets/...) by the generated apps
+    const assetFiles = [...fileSpecs, ...(librarySpec ? [librarySpec] : [])].flatMap((fileSpec) =>
+      (fileSpec.assets || []).flatMap((asset) => asset.files || [])
+    );
+
+    const sources = {};
+    for (const framework of frameworks) {
+      const results = fileSpecs
+        .filter((fileSpec) => fileSpec.generatedCode?.[framework]?.components)
+        .map((fileSpec) => ({
+          fileName: fileSpec.fileName,
+          code: fileSpec.generatedCode[framework],
+          pages: fileSpec.pages,
+        }));
+
+      const sharedCode = librarySpec?.generatedCode?.[framework];
+      const shared = sharedCode?.components ? sharedCode : null;
+
+      const files = scaffold
+        ? this.appScaffoldService.buildApp(projectName, framework, results, shared)
+        : this.sourceTreeService.buildFiles(projectName, framework, results, shared);
+      const treeDir = path.join(outputDir, framework);
+      const written = await this.sourceTreeService.writeFiles(treeDir, files);
+      const copied = await this.sourceTreeService.copyAssets(outputDir, treeDir, assetFiles);
+
+      sources[framework] = {
+        directory: framework,
+        files: [...written, ...copied].sort(),
+      };
+    }
+
+    return sources;
+  }
+
+  /**
+   * Read a file specification saved by a previous run, or null when it is missing
+   */
+  async readFileSpec(outputDir, jsonPath) {
+    try {
+      const data = await fs.readFile(path.join(outputDir, jsonPath), 'utf-8');
+      return JSON.parse(data);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Manifest of the last incremental run of a target, or null when its output can't be
+   * reused (first run, different generation settings or deleted output directory)
+   */
+  async loadManifest(target, settings) {
+    const manifest = await this.manifestRepository.findByTarget(target);
+
+    if (!manifest || JSON.stringify(manifest.settings) !== JSON.stringify(settings)) {
+      return null;
+    }
+
+    try {
+      await fs.access(manifest.outputDir);
+      return manifest;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Whether a file is unchanged since the run recorded in the manifest and that run
+   * produced everything requested now
+   */
+  isUnchanged(previous, file, frameworks, options) {
+    const sameVersion =
+      file.version && previous.version
+        ? file.version === previous.version
+        : Boolean(file.last_modified) && file.last_modified === previous.lastModified;
+
+    return (
+      sameVersion &&
+      frameworks.every((framework) => previous.frameworks?.includes(framework)) &&
+      (!options.designTokens || Boolean(previous.tokens))
+    );
+  }
+
   /**
    * Create output directory
    */
@@ -142,7 +672,7 @@ class ProjectExtractionService {
       ? `file-${sanitizeFileName(fileName)}-${datetime}`
       : `project-${projectId}-${datetime}`;
 
-    const outputDir = path.join(process.cwd(), 'output', dirName);
+    const outputDir = path.join(getOutputRoot(), dirName);
     await fs.mkdir(outputDir, { recursive: true });
 
     return outputDir;
@@ -158,35 +688,99 @@ class ProjectExtractionService {
 
   /**
    * Process single file extraction
+   * @param {Object} hooks - Optional progress and cancellation hooks (see generateCode)
+   * @param {Object} previousSpec - Optional file specification of a previous run whose
+   *   unchanged frames are reused instead of generated again
+   * @param {string} outputDir - Output directory, required to export assets
+   * @param {Array} shared - Components of the project's shared library ({ key, name }),
+   *   imported by the generated code instead of generated again
    */
-  async processFile(file, frameworks, options) {
+  async processFile(
+    file,
+    frameworks,
+    options,
+    hooks = {},
+    previousSpec = null,
+    outputDir = null,
+    shared = []
+  ) {
     const { maxComponentsPerFile } = options;
 
     try {
       console.log(`Processing file: ${file.name} (${file.key})`);
 
-      // Extract components
-      const { componentsData, styles } = await this.extractFileComponents(
+      // Extract components (properties bound to variables resolve to their custom properties)
+      const variables = await this.fetchVariables(file.key, options);
+      const { fileData, componentsData, styles, pages } = await this.extractFileComponents(
         file.key,
-        maxComponentsPerFile
+        maxComponentsPerFile,
+        variables,
+        { filters: options.filters, includeHidden: options.includeHidden }
       );
 
-      // Generate code for frameworks
-      const generatedCode = await this.generateCode(componentsData, frameworks, options);
+      // Definitions of shared components are generated in the shared library
+      if (shared.length > 0) {
+        const sharedKeys = new Set(shared.map(({ key }) => key));
+        componentsData.components = (componentsData.components || []).filter(
+          (root) => !sharedKeys.has(root.componentKey)
+        );
+      }
+
+      // Export icons and images first, so the generated code references the local files
+      const assets =
+        options.exportAssets && outputDir
+          ? await this.assetService.exportAssets(file.key, componentsData.components || [], {
+              outputDir,
+              folder: sanitizeFileName(file.name),
+              imageFormat: options.imageFormat,
+              imageScales: options.imageScales,
+            })
+          : undefined;
+
+      // Frames drawing the same screen at several widths become one responsive component
+      if (options.responsive) {
+        componentsData.components = mergeBreakpointFrames(
+          componentsData.components || [],
+          options.breakpoints
+        );
+      }
+
+      // Generate code for frameworks (resolved styles back the components' style references)
+      const frameHashes = this.hashFrames(componentsData.components || [], styles);
+      const generationData = {
+        ...componentsData,
+        styles,
+        variables,
+        ...(shared.length > 0 && { shared }),
+      };
+      const generatedCode = previousSpec
+        ? await this.regenerateChangedFrames(
+            generationData,
+            frameworks,
+            options,
+            hooks,
+            previousSpec,
+            frameHashes
+          )
+        : await this.generateCode(generationData, frameworks, options, hooks);
 
       // Build file specification
       const fileSpec = {
         id: uuidv4(),
         fileName: file.name,
         fileKey: file.key,
+        version: componentsData.version || null,
         lastModified: file.last_modified,
         thumbnailUrl: file.thumbnail_url,
         extractedAt: new Date().toISOString(),
+        pages: pages || [],
         components: componentsData.components || [],
         styles: styles,
+        ...(assets && { assets }),
         generatedCode,
         metadata: {
           totalComponents: componentsData.components?.length || 0,
+          frameHashes,
         },
       };
 
@@ -194,8 +788,14 @@ class ProjectExtractionService {
         fileSpec,
         success: true,
         componentsExtracted: componentsData.components?.length || 0,
+        tokens: options.designTokens
+          ? this.designTokenService.buildTokens(styles, fileData, variables)
+          : undefined,
       };
     } catch (error) {
+      if (error instanceof CancelledError) {
+        throw error;
+      }
       console.error(`Failed to process file ${file.name}:`, error.message);
       return {
         error: error.message,
@@ -205,11 +805,72 @@ class ProjectExtractionService {
     }
   }
 
+  /**
+   * Initial progress of an extraction: every file and framework is pending,
+   * except files already completed in a previous run
+   */
+  createProgress(files, frameworks, completedFiles) {
+    const progress = {
+      filesTotal: files.length,
+      filesCompleted: 0,
+      filesFailed: 0,
+      files: files.map((file) => ({
+        fileKey: file.key,
+        fileName: file.name,
+        status: 'pending',
+        frameworks: Object.fromEntries(frameworks.map((framework) => [framework, 'pending'])),
+      })),
+    };
+
+    progress.files.forEach((fileProgress) => {
+      const completed = completedFiles[fileProgress.fileKey];
+      if (completed) {
+        this.completeFileProgress(progress, fileProgress, completed.outputFile);
+      }
+    });
+
+    return progress;
+  }
+
+  /**
+   * Mark a file as processed in the extraction progress
+   */
+  completeFileProgress(progress, fileProgress, outputFile) {
+    const failed = Boolean(outputFile.error);
+
+    fileProgress.status = failed ? 'failed' : 'completed';
+    Object.keys(fileProgress.frameworks).forEach((framework) => {
+      if (failed) {
+        fileProgress.frameworks[framework] = 'skipped';
+      } else if (!['completed', 'failed'].includes(fileProgress.frameworks[framework])) {
+        fileProgress.frameworks[framework] = outputFile.frameworks.includes(framework)
+          ? 'completed'
+          : 'failed';
+      }
+    });
+
+    if (failed) {
+      progress.filesFailed += 1;
+    } else {
+      progress.filesCompleted += 1;
+    }
+  }
+
   /**
    * Extract entire project
+   * @param {Object} params - { fileKey, teamId, projectId, frameworks, options }
+   * @param {Object} hooks - Optional job hooks:
+   *   onProgress({ progress, checkpoint }) after every step, isCancelled() checked between steps,
+   *   checkpoint from a previous run whose completed files are reused
+   *
+   * With options.incremental the run continues the last incremental run of the same target:
+   * it writes into the same output directory, skips files whose Figma version did not change
+   * and, for changed files, regenerates only the top-level frames that changed. Files that
+   * failed in the last run are processed again.
    */
-  async extractProject(params) {
+  async extractProject(params, hooks = {}) {
     const { fileKey, teamId, projectId, frameworks, options } = params;
+    const { onProgress = async () => {}, isCancelled = async () => false, checkpoint } = hooks;
 
     // Fetch files
     const { files, projectName } = await this.fetchFiles(fileKey, projectId);
@@ -218,41 +879,201 @@ class ProjectExtractionService {
       throw new ValidationError('No files found in the specified project or file');
     }
 
-    // Create output directory with first file name
-    const firstFileName = files[0]?.name || 'unknown';
-    const outputDir = await this.createOutputDirectory(fileKey, projectId, firstFileName);
+    // With options.sharedLibrary, components used in several files of a project are
+    // generated once, in a shared library
+    const sharedComponents =
+      options.sharedLibrary && !fileKey && files.length > 1
+        ? await this.findSharedComponents(files, options)
+        : [];
+
+    // Output of the last incremental run, reusable when generated with the same settings
+    const target = fileKey ? `file:${fileKey}` : `project:${projectId}`;
+    const settings = {
+      generator: options.generator || 'ai',
+      includeStyles: options.includeStyles !== false,
+      maxComponentsPerFile: options.maxComponentsPerFile,
+      filters: options.filters || null,
+      includeHidden: Boolean(options.includeHidden),
+      exportAssets: Boolean(options.exportAssets),
+      imageFormat: options.imageFormat,
+      imageScales: options.imageScales,
+      responsive: Boolean(options.responsive),
+      breakpoints: options.breakpoints,
+      responsiveQuery: options.responsiveQuery,
+      variables: options.variablesJson
+        ? createHash('sha1').update(JSON.stringify(options.variablesJson)).digest('hex')
+        : Boolean(options.variables),
+      shared:
+        sharedComponents.length > 0
+          ? createHash('sha1')
+              .update(JSON.stringify(sharedComponents.map(({ key, name }) => [key, name])))
+              .digest('hex')
+          : undefined,
+    };
+    const manifest = options.incremental ? await this.loadManifest(target, settings) : null;
+
+    // Create output directory with first file name (resumed and incremental runs keep theirs)
+    let outputDir;
+    if (checkpoint?.outputDir) {
+      outputDir = checkpoint.outputDir;
+      await fs.mkdir(outputDir, { recursive: true });
+    } else if (manifest) {
+      outputDir = manifest.outputDir;
+    } else {
+      const firstFileName = files[0]?.name || 'unknown';
+      outputDir = await this.createOutputDirectory(fileKey, projectId, firstFileName);
+    }
+
+    if (options.incremental) {
+      const sameDir = manifest?.outputDir === outputDir;
+      await this.manifestRepository.save(target, {
+        outputDir,
+        settings,
+        files: sameDir ? manifest.files : {},
+        ...(sameDir && manifest.sharedLibrary && { sharedLibrary: manifest.sharedLibrary }),
+      });
+    }
+
+    // Shared components are generated before the files importing them (resumed runs keep
+    // theirs, incremental runs the last one while no file defining its components changed)
+    let sharedLibrary = checkpoint?.sharedLibrary || null;
+    if (!sharedLibrary && sharedComponents.length > 0) {
+      sharedLibrary = await this.reusableSharedLibrary(manifest, outputDir, frameworks);
+
+      if (sharedLibrary) {
+        console.log('Skipping unchanged shared library');
+      } else {
+        sharedLibrary = await this.buildSharedLibrary(
+          sharedComponents,
+          frameworks,
+          options,
+          { isCancelled },
+          outputDir
+        );
+
+        const versions =
+          options.incremental && (await this.sharedLibraryVersions(sharedLibrary.components));
+        if (versions) {
+          await this.manifestRepository.saveSharedLibrary(target, { ...sharedLibrary, versions });
+        }
+      }
+    }
+    const shared = (sharedLibrary?.components || []).map(({ key, name }) => ({ key, name }));
+
+    const completedFiles = { ...(checkpoint?.files || {}) };
+    const progress = this.createProgress(files, frameworks, completedFiles);
+    const reportProgress = () =>
+      onProgress({
+        progress,
+        checkpoint: { outputDir, files: completedFiles, ...(sharedLibrary && { sharedLibrary }) },
+      });
+    await reportProgress();
 
     // Process each file
     const outputFiles = [];
+    const tokenLists = [];
     let totalComponentsExtracted = 0;
+    let filesReused = 0;
 
-    for (const file of files) {
-      const result = await this.processFile(file, frameworks, options);
+    for (const [index, file] of files.entries()) {
+      const fileProgress = progress.files[index];
 
-      if (result.success) {
-        const jsonFileName = await this.saveFileSpec(outputDir, file, result.fileSpec);
+      if (!completedFiles[file.key]) {
+        if (await isCancelled()) {
+          throw new CancelledError('Extraction cancelled');
+        }
 
-        // Determine which frameworks succeeded
-        const successfulFrameworks = frameworks.filter(
-          (f) => !result.fileSpec.generatedCode[f]?.error
-        );
+        fileProgress.status = 'processing';
+        await reportProgress();
 
-        outputFiles.push({
-          fileName: file.name,
-          fileKey: file.key,
-          frameworks: successfulFrameworks,
-          componentsExtracted: result.componentsExtracted,
-          jsonPath: jsonFileName,
-        });
+        const previous = manifest?.files?.[file.key];
+        const previousSpec =
+          previous?.jsonPath && manifest.outputDir === outputDir
+            ? await this.readFileSpec(outputDir, previous.jsonPath)
+            : null;
 
-        totalComponentsExtracted += result.componentsExtracted;
-      } else {
-        outputFiles.push({
-          fileName: file.name,
-          fileKey: file.key,
-          error: result.error,
-          status: 'failed',
-        });
+        let result;
+        if (previousSpec && this.isUnchanged(previous, file, frameworks, options)) {
+          console.log(`Skipping unchanged file: ${file.name} (${file.key})`);
+          result = { reused: true, tokens: previous.tokens };
+        } else {
+          result = await this.processFile(
+            file,
+            frameworks,
+            options,
+            {
+              isCancelled,
+              onFramework: async (framework, status) => {
+                fileProgress.frameworks[framework] = status;
+                await reportProgress();
+              },
+            },
+            previousSpec,
+            outputDir,
+            shared
+          );
+        }
+
+        let outputFile;
+        if (result.reused) {
+          outputFile = {
+            fileName: file.name,
+            fileKey: file.key,
+            frameworks,
+            componentsExtracted: previous.componentsExtracted,
+            jsonPath: previous.jsonPath,
+            reused: true,
+          };
+        } else if (result.success) {
+          const jsonFileName = await this.saveFileSpec(outputDir, file, result.fileSpec);
+
+          // Determine which frameworks succeeded
+          const successfulFrameworks = frameworks.filter(
+            (f) => !result.fileSpec.generatedCode[f]?.error
+          );
+
+          outputFile = {
+            fileName: file.name,
+            fileKey: file.key,
+            frameworks: successfulFrameworks,
+            componentsExtracted: result.componentsExtracted,
+            jsonPath: jsonFileName,
+          };
+        } else {
+          outputFile = {
+            fileName: file.name,
+            fileKey: file.key,
+            error: result.error,
+            status: 'failed',
+          };
+        }
+
+        completedFiles[file.key] = { outputFile, tokens: result.tokens || null };
+        this.completeFileProgress(progress, fileProgress, outputFile);
+
+        if (options.incremental) {
+          await this.manifestRepository.saveFile(target, file.key, {
+            ...outputFile,
+            version: result.fileSpec?.version || file.version || previous?.version || null,
+            lastModified: file.last_modified || null,
+            tokens: result.tokens || null,
+          });
+        }
+        await reportProgress();
+      }
+
+      const { outputFile, tokens } = completedFiles[file.key];
+      outputFiles.push(outputFile);
+
+      if (outputFile.reused) {
+        filesReused += 1;
+      }
+
+      if (!outputFile.error) {
+        totalComponentsExtracted += outputFile.componentsExtracted;
+      }
+      if (tokens) {
+        tokenLists.push(tokens);
       }
     }
 
@@ -264,12 +1085,36 @@ class ProjectExtractionService {
       teamId: teamId || null,
       extractedAt: new Date().toISOString(),
       filesProcessed: files.length,
+      filesReused,
       totalComponentsExtracted,
       frameworks,
       files: outputFiles,
+      ...(sharedLibrary && { sharedLibrary }),
       outputDirectory: outputDir,
     };
 
+    // Design tokens from every file, written next to project-index.json
+    if (options.designTokens) {
+      const tokens = this.designTokenService.mergeTokens(...tokenLists);
+      const tokenFiles = this.designTokenService.renderFiles(
+        tokens,
+        options.tokenFormats || TOKEN_FORMATS
+      );
+      projectIndex.designTokens = await this.designTokenService.writeFiles(outputDir, tokenFiles);
+    }
+
+    // Source tree (or runnable app) per framework, built from the saved file specifications
+    if (options.outputFormat === 'source' || options.scaffold) {
+      projectIndex.sources = await this.writeSourceTrees(
+        outputDir,
+        projectName,
+        frameworks,
+        outputFiles,
+        Boolean(options.scaffold),
+        sharedLibrary
+      );
+    }
+
     if (options.generateDocs) {
       await this.generateProjectIndex(outputDir, projectIndex);
     }
@@ -0,0 +1,367 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { toKebabCase, toPascalCase } from '../utils/naming.js';
+
+// Stylesheet imported or referenced by a component ('./Button.css', './card.component.css')
+const STYLESHEET_REFERENCE = /(['"])\.\/([\w.-]+\.(?:css|scss))\1/;
+
+// Type annotations that make a React component a TypeScript file
+const TYPESCRIPT_SYNTAX = /\binterface\s+\w+|\btype\s+\w+\s*=|:\s*React\.\w+/;
+
+export const ANGULAR_VERSION = '^18.2.0';
+
+/**
+ * Pinned runtime packages of each framework's components, peer dependencies included
+ * (react-dom for React, rxjs, tslib and zone.js for Angular)
+ */
+export const FRAMEWORK_RUNTIME = {
+  react: { react: '^18.3.1', 'react-dom': '^18.3.1' },
+  vue: { vue: '^3.5.10' },
+  angular: {
+    '@angular/common': ANGULAR_VERSION,
+    '@angular/core': ANGULAR_VERSION,
+    rxjs: '~7.8.0',
+    tslib: '^2.6.0',
+    'zone.js': '~0.14.10',
+  },
+  html: {},
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Service for writing generated components as a source tree
+ * (one directory per framework with components, barrel files, global styles and package.json)
+ */
+class SourceTreeService {
+  /**
+   * Build the files of a framework's source tree
+   * @param {string} projectName - Project name, used for package.json
+   * @param {string} framework - Target framework
+   * @param {Array} results - Generated code of every Figma file for the framework
+   *   ([{ fileName, code: { components, globalStyles } }])
+   * @param {Object} shared - Optional generated code of the project's shared library
+   *   ({ components, globalStyles }), written to src/shared/ (src/app/shared/ for Angular)
+   * @returns {Object} Map of relative path to file content
+   */
+  buildFiles(projectName, framework, results, shared = null) {
+    const entries = this.collectEntries(framework, results, shared);
+
+    const files = {};
+    const writers = {
+      react: (entry) => this.reactFiles(entry),
+      vue: (entry) => this.vueFiles(entry),
+      angular: (entry) => this.angularFiles(entry),
+      html: (entry) => this.htmlFiles(entry),
+    };
+    entries.forEach((entry) => Object.assign(files, writers[framework](entry)));
+
+    Object.assign(
+      files,
+      this.barrelFiles(
+        framework,
+        entries.filter((entry) => !entry.shared),
+        files
+      ),
+      this.barrelFiles(
+        framework,
+        entries.filter((entry) => entry.shared),
+        files,
+        'shared'
+      )
+    );
+
+    const globalStyles = [
+      ...new Set(
+        [...(shared ? [{ code: shared }] : []), ...results]
+          .map(({ code }) => code?.globalStyles?.trim())
+          .filter(Boolean)
+      ),
+    ];
+    if (globalStyles.length > 0) {
+      files['src/styles/global.css'] = `${globalStyles.join('\n\n')}\n`;
+    }
+
+    files['package.json'] = this.packageJson(projectName, framework, entries);
+
+    return files;
+  }
+
+  /**
+   * Name every generated component uniquely across files and link its imports.
+   * Components of the shared library keep their names, which the files import them by.
+   * @param {Object} shared - Optional generated code of the shared library (see buildFiles)
+   * @returns {Array} Entries ({ component, name, code, fileIndex, shared }): fileIndex is
+   *   null for the shared library
+   */
+  collectEntries(framework, results, shared = null) {
+    const sharedNames = (shared?.components || []).map((component) => toPascalCase(component.name));
+    const usedNames = new Set(sharedNames);
+    const sharedRenames = Object.fromEntries(sharedNames.map((name) => [name, name]));
+    const entries = (shared?.components || []).map((component, index) => ({
+      component,
+      name: sharedNames[index],
+      code: this.rewriteImports(component.code || '', framework, sharedRenames),
+      fileIndex: null,
+      shared: true,
+    }));
+
+    results.forEach(({ code }, fileIndex) => {
+      // Components of different Figma files may share a name; later ones get a suffix
+      const renames = {};
+      const components = (code?.components || []).map((component) => {
+        const originalName = toPascalCase(component.name);
+        let name = originalName;
+        for (let counter = 2; usedNames.has(name); counter += 1) {
+          name = `${originalName}${counter}`;
+        }
+        usedNames.add(name);
+        renames[originalName] = name;
+        return { component, name };
+      });
+
+      components.forEach(({ component, name }) => {
+        // Shared components are imported from ../shared/, next to the file's components
+        const code = this.rewriteImports(component.code || '', framework, renames);
+        entries.push({
+          component,
+          name,
+          code: this.rewriteImports(code, framework, sharedRenames, '../shared/', '../../shared/'),
+          fileIndex,
+          shared: false,
+        });
+      });
+    });
+
+    return entries;
+  }
+
+  /**
+   * Point imports of sibling components ('./Card', './Card.vue', './card.component')
+   * at their directory in the source tree
+   * @param {Object} renames - Original component name to its name in the tree
+   * @param {string} from - Directory the generated code imports the components from
+   * @param {string} to - Directory of the components' directories in the tree
+   */
+  rewriteImports(code, framework, renames, from = './', to = '../') {
+    return Object.entries(renames).reduce((rewritten, [originalName, name]) => {
+      const specifiers = {
+        react: [`${from}${originalName}`, `${to}${name}`],
+        vue: [`${from}${originalName}.vue`, `${to}${name}/${name}.vue`],
+        angular: [
+          `${from}${toKebabCase(originalName)}.component`,
+          `${to}${toKebabCase(name)}/${toKebabCase(name)}.component`,
+        ],
+      }[framework];
+
+      if (!specifiers) {
+        return rewritten;
+      }
+
+      const [source, target] = specifiers;
+      return rewritten.replace(
+        new RegExp(`(from\\s+['"])${escapeRegExp(source)}(['"])`, 'g'),
+        `$1${target}$2`
+      );
+    }, code);
+  }
+
+  /**
+   * src/components/Button/Button.jsx (or .tsx), its stylesheet and index file
+   * (src/shared/Button/ for the shared library)
+   */
+  reactFiles({ component, name, code, shared }) {
+    const dir = `src/${shared ? 'shared' : 'components'}/${name}`;
+    const extension = TYPESCRIPT_SYNTAX.test(code) ? 'tsx' : 'jsx';
+    const files = {};
+    const stylesheet = code.match(STYLESHEET_REFERENCE)?.[2];
+    let source = code;
+
+    // A referenced stylesheet must exist even when empty; unreferenced styles get an import
+    if (stylesheet) {
+      files[`${dir}/${stylesheet}`] = component.styles || '';
+    } else if (component.styles) {
+      source = `import './${name}.css';\n${code}`;
+      files[`${dir}/${name}.css`] = component.styles;
+    }
+
+    files[`${dir}/${name}.${extension}`] = source;
+    files[`${dir}/index.${extension === 'tsx' ? 'ts' : 'js'}`] =
+      `export { default } from './${name}';\n`;
+
+    return { ...files, ...this.extraFiles(dir, component) };
+  }
+
+  /**
+   * src/components/Button/Button.vue (separate styles become a scoped style block)
+   */
+  vueFiles({ component, name, code, shared }) {
+    const dir = `src/${shared ? 'shared' : 'components'}/${name}`;
+    const source =
+      component.styles && !/<style[\s>]/.test(code)
+        ? `${code.trimEnd()}\n\n<style scoped>\n${component.styles}\n</style>\n`
+        : code;
+
+    return {
+      [`${dir}/${name}.vue`]: source,
+      [`${dir}/index.js`]: `export { default } from './${name}.vue';\n`,
+      ...this.extraFiles(dir, component),
+    };
+  }
+
+  /**
+   * src/app/components/button/button.component.ts and its stylesheet
+   */
+  angularFiles({ component, name, code, shared }) {
+    const fileName = toKebabCase(name);
+    const dir = `src/app/${shared ? 'shared' : 'components'}/${fileName}`;
+    const files = { [`${dir}/${fileName}.component.ts`]: code };
+
+    const stylesheet = code.match(STYLESHEET_REFERENCE)?.[2];
+    if (stylesheet || component.styles) {
+      files[`${dir}/${stylesheet || `${fileName}.component.css`}`] = component.styles || '';
+    }
+
+    return { ...files, ...this.extraFiles(dir, component) };
+  }
+
+  /**
+   * src/components/Button/Button.html and its stylesheet
+   */
+  htmlFiles({ component, name, code, shared }) {
+    const dir = `src/${shared ? 'shared' : 'components'}/${name}`;
+    const files = { [`${dir}/${name}.html`]: code };
+
+    if (component.styles) {
+      files[`${dir}/${name}.css`] = component.styles;
+    }
+
+    return files;
+  }
+
+  /**
+   * Files a component ships next to its source (e.g. the fixtures of its loops), keyed by
+   * their name; only the base name is kept, so they stay in the component directory
+   */
+  extraFiles(dir, component) {
+    return Object.fromEntries(
+      Object.entries(component.files || {}).map(([fileName, content]) => [
+        `${dir}/${path.posix.basename(fileName)}`,
+        content,
+      ])
+    );
+  }
+
+  /**
+   * Barrel file exporting every component of a directory of the tree (none for plain HTML)
+   * @param {string} directory - 'components', or 'shared' for the shared library
+   */
+  barrelFiles(framework, entries, files, directory = 'components') {
+    if (entries.length === 0 || framework === 'html') {
+      return {};
+    }
+
+    if (framework === 'angular') {
+      const exports = entries.map(({ name, code }) => {
+        const fileName = toKebabCase(name);
+        const className = code.match(/export\s+class\s+(\w+)/)?.[1];
+        const specifier = `'./${fileName}/${fileName}.component'`;
+
+        if (!className) {
+          return `export * from ${specifier};`;
+        }
+        const exported =
+          className === `${name}Component` ? className : `${className} as ${name}Component`;
+        return `export { ${exported} } from ${specifier};`;
+      });
+
+      return { [`src/app/${directory}/index.ts`]: `${exports.join('\n')}\n` };
+    }
+
+    const typescript = Object.keys(files).some((file) => file.endsWith('.tsx'));
+    const exports = entries.map(({ name }) => `export { default as ${name} } from './${name}';`);
+
+    return {
+      [`src/${directory}/index.${typescript ? 'ts' : 'js'}`]: `${exports.join('\n')}\n`,
+    };
+  }
+
+  /**
+   * package.json with the framework's pinned runtime packages and the union of the
+   * dependencies reported by the components. Versions pinned by a component ("clsx@2.1.0")
+   * win; unpinned names take the framework's or the app's version, and "latest" only when
+   * neither knows the package.
+   * @param {Object} app - Optional { type, scripts, dependencies, devDependencies } of a runnable app
+   */
+  packageJson(projectName, framework, entries, app = {}) {
+    const dependencies = { ...FRAMEWORK_RUNTIME[framework], ...app.dependencies };
+    const pinned = {};
+
+    entries
+      .flatMap(({ component }) => component.dependencies || [])
+      .forEach((dependency) => {
+        // "react@18.2.0" pins a version, "@angular/core" is a scoped name
+        const separator = dependency.lastIndexOf('@');
+
+        if (separator > 0) {
+          const name = dependency.slice(0, separator);
+          pinned[name] = pinned[name] || dependency.slice(separator + 1);
+        } else {
+          dependencies[dependency] = dependencies[dependency] || 'latest';
+        }
+      });
+    Object.assign(dependencies, pinned);
+
+    const sorted = (map) =>
+      Object.fromEntries(Object.entries(map).sort(([a], [b]) => a.localeCompare(b)));
+
+    const packageData = {
+      name: `${toKebabCase(projectName)}-${framework}`,
+      version: '0.1.0',
+      private: true,
+      ...(app.type && { type: app.type }),
+      ...(app.scripts && { scripts: app.scripts }),
+      dependencies: sorted(dependencies),
+      ...(app.devDependencies && { devDependencies: sorted(app.devDependencies) }),
+    };
+
+    return `${JSON.stringify(packageData, null, 2)}\n`;
+  }
+
+  /**
+   * Copy exported assets (paths relative to the output directory, "assets/...")
+   * into the public directory of a source tree
+   * @returns {Promise<string[]>} Copied paths, relative to the tree directory
+   */
+  async copyAssets(outputDir, treeDir, assetFiles) {
+    const copied = [];
+
+    for (const assetFile of [...new Set(assetFiles)]) {
+      const target = path.join(treeDir, 'public', assetFile);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.copyFile(path.join(outputDir, assetFile), target);
+      copied.push(`public/${assetFile}`);
+    }
+
+    return copied;
+  }
+
+  /**
+   * Write a framework's source tree, replacing the one of a previous run
+   * @returns {Promise<string[]>} Written paths, relative to the tree directory
+   */
+  async writeFiles(treeDir, files) {
+    await fs.rm(treeDir, { recursive: true, force: true });
+
+    const filePaths = Object.keys(files).sort();
+    for (const filePath of filePaths) {
+      const target = path.join(treeDir, filePath);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, files[filePath]);
+    }
+
+    return filePaths;
+  }
+}
+
+export default SourceTreeService;
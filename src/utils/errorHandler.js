@@ -40,6 +40,20 @@ export class ExternalAPIError extends AppError {
   }
 }
 
+export class PayloadTooLargeError extends AppError {
+  constructor(message, details = null) {
+    super(message, 413, details);
+    this.name = 'PayloadTooLargeError';
+  }
+}
+
+export class CancelledError extends AppError {
+  constructor(message = 'Operation cancelled', details = null) {
+    super(message, 409, details);
+    this.name = 'CancelledError';
+  }
+}
+
 /**
  * Global error handler for API routes
  */
@@ -0,0 +1,105 @@
+/**
+ * Figma asset detection utilities (vector graphics and image fills)
+ */
+
+/**
+ * Node types drawn as vector paths
+ */
+export const VECTOR_TYPES = new Set([
+  'VECTOR',
+  'BOOLEAN_OPERATION',
+  'STAR',
+  'LINE',
+  'REGULAR_POLYGON',
+  'POLYGON',
+]);
+
+/**
+ * Containers that form an icon or logo when they only hold vector paths
+ */
+const VECTOR_CONTAINER_TYPES = new Set(['GROUP', 'FRAME', 'COMPONENT', 'INSTANCE']);
+
+/**
+ * CSS background-size of each Figma image scale mode
+ */
+const BACKGROUND_SIZE = {
+  FILL: 'cover',
+  FIT: 'contain',
+  CROP: 'cover',
+  TILE: 'auto',
+};
+
+/**
+ * First visible image fill of a node
+ * @param {Object} node - Figma node
+ * @returns {Object|null} Paint ({ type: 'IMAGE', imageRef, scaleMode })
+ */
+export function getImageFill(node) {
+  return (
+    (node?.fills || []).find(
+      (paint) => paint?.type === 'IMAGE' && paint.imageRef && paint.visible !== false
+    ) || null
+  );
+}
+
+/**
+ * Whether a node renders as a vector graphic: a vector path, or a container (icon, logo)
+ * whose visible descendants are all vector paths
+ * @param {Object} node - Figma node
+ * @returns {boolean}
+ */
+export function isVectorGraphic(node) {
+  if (!node || getImageFill(node)) {
+    return false;
+  }
+  if (VECTOR_TYPES.has(node.type)) {
+    return true;
+  }
+
+  const children = (node.children || []).filter((child) => child?.visible !== false);
+  return (
+    VECTOR_CONTAINER_TYPES.has(node.type) &&
+    children.length > 0 &&
+    children.every((child) => isVectorGraphic(child))
+  );
+}
+
+/**
+ * Asset a node must be exported as, if any:
+ * - "vector": exported as SVG and rendered as an image
+ * - "image": a leaf with an image fill, exported as a bitmap and rendered as an image
+ * - "fill": a container with an image fill, whose source image becomes its CSS background
+ * @param {Object} node - Figma node
+ * @returns {Object|null} Descriptor ({ kind, imageRef?, scaleMode? })
+ */
+export function getAssetDescriptor(node) {
+  if (isVectorGraphic(node)) {
+    return { kind: 'vector' };
+  }
+
+  const imageFill = getImageFill(node);
+  if (!imageFill) {
+    return null;
+  }
+
+  const hasChildren = (node.children || []).some((child) => child?.visible !== false);
+  return {
+    kind: hasChildren ? 'fill' : 'image',
+    imageRef: imageFill.imageRef,
+    scaleMode: imageFill.scaleMode || 'FILL',
+  };
+}
+
+/**
+ * CSS background declarations (camelCase keys) of an exported image fill
+ * @param {Object} asset - Asset descriptor with its exported `src`
+ * @returns {Object} Declarations
+ */
+export function imageFillToCss(asset) {
+  return {
+    backgroundImage: `url('${asset.src}')`,
+    backgroundSize: BACKGROUND_SIZE[asset.scaleMode] || 'cover',
+    backgroundPosition: 'center',
+    backgroundRepeat: asset.scaleMode === 'TILE' ? 'repeat' : 'no-repeat',
+  };
+}
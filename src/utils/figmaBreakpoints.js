@@ -0,0 +1,120 @@
+/**
+ * Responsive screen detection: sibling frames drawing the same screen at different widths
+ * ("Home / Desktop", "Home / Mobile") merged into one component with breakpoint variants
+ */
+
+/**
+ * Default breakpoints: name and minimum viewport width (mobile first)
+ */
+export const DEFAULT_BREAKPOINTS = {
+  mobile: 0,
+  tablet: 768,
+  desktop: 1280,
+};
+
+// Separators between the screen name and the breakpoint in a frame name
+const NAME_SEPARATORS = /\s*(?:\/|\||\s[-–—]\s|\(|\))\s*/;
+
+// Range of plausible viewport widths for a bare number ("Home / 1440"); a px suffix
+// ("Step / 1px") always marks a width
+const MIN_VIEWPORT_WIDTH = 240;
+const MAX_VIEWPORT_WIDTH = 7680;
+
+/**
+ * Breakpoint of a frame width: the widest breakpoint starting at or below it
+ */
+function breakpointForWidth(width, breakpoints) {
+  return Object.entries(breakpoints)
+    .filter(([, minWidth]) => minWidth <= width)
+    .sort((a, b) => b[1] - a[1])[0]?.[0];
+}
+
+/**
+ * Split a frame name into the screen it draws and the breakpoint it targets.
+ * The breakpoint is a name segment matching a breakpoint name, or a width: a number with a
+ * px suffix ("375px") or a plausible viewport width (240 to 7680, e.g. "1440"), so numbered
+ * frames like "Step / 1" are not taken for breakpoints.
+ * @param {string} name - Frame name
+ * @param {Object} breakpoints - Breakpoint names and minimum widths
+ * @returns {Object|null} { screen, breakpoint }, or null when the name targets no breakpoint
+ */
+export function parseBreakpointFrameName(name, breakpoints = DEFAULT_BREAKPOINTS) {
+  const segments = String(name || '')
+    .split(NAME_SEPARATORS)
+    .map((segment) => segment.trim())
+    .filter(Boolean);
+
+  for (let index = segments.length - 1; index >= 0; index -= 1) {
+    const segment = segments[index].toLowerCase();
+    const width = segment.match(/^(\d+)\s*(px)?$/);
+    const isWidth =
+      width &&
+      (width[2] ||
+        (Number(width[1]) >= MIN_VIEWPORT_WIDTH && Number(width[1]) <= MAX_VIEWPORT_WIDTH));
+    const breakpoint = isWidth
+      ? breakpointForWidth(Number(width[1]), breakpoints)
+      : Object.keys(breakpoints).find((key) => key.toLowerCase() === segment);
+
+    const screen = segments.filter((_, other) => other !== index).join(' / ');
+    if (breakpoint && screen) {
+      return { screen, breakpoint };
+    }
+  }
+  return null;
+}
+
+/**
+ * Merge the top-level frames that draw the same screen at different breakpoints.
+ * The frame of the narrowest breakpoint becomes the component, named after the screen;
+ * the other frames are attached to it under `responsive.variants`, widest last.
+ * Frames that match no other breakpoint of their screen are returned unchanged.
+ * @param {Array} components - Top-level components (output of FigmaService.extractComponents)
+ * @param {Object} breakpoints - Breakpoint names and minimum widths
+ * @returns {Array} Components with responsive screens merged, in their original order
+ */
+export function mergeBreakpointFrames(components, breakpoints = DEFAULT_BREAKPOINTS) {
+  const screens = new Map();
+
+  components.forEach((component) => {
+    const parsed =
+      component?.type === 'FRAME' && parseBreakpointFrameName(component.name, breakpoints);
+    if (!parsed) {
+      return;
+    }
+    const key = parsed.screen.toLowerCase();
+    const screen = screens.get(key) || { name: parsed.screen, frames: new Map() };
+    // A second frame for the same breakpoint stays a screen of its own
+    if (!screen.frames.has(parsed.breakpoint)) {
+      screen.frames.set(parsed.breakpoint, component);
+    }
+    screens.set(key, screen);
+  });
+
+  const merged = new Map();
+  screens.forEach((screen) => {
+    if (screen.frames.size < 2) {
+      return;
+    }
+    const [[baseBreakpoint, base], ...variants] = [...screen.frames].sort(
+      ([a], [b]) => breakpoints[a] - breakpoints[b]
+    );
+
+    merged.set(base, {
+      ...base,
+      name: screen.name,
+      responsive: {
+        breakpoint: baseBreakpoint,
+        variants: variants.map(([breakpoint, frame]) => ({
+          breakpoint,
+          minWidth: breakpoints[breakpoint],
+          frame,
+        })),
+      },
+    });
+    variants.forEach(([, frame]) => merged.set(frame, null));
+  });
+
+  return components
+    .map((component) => (merged.has(component) ? merged.get(component) : component))
+    .filter((component) => component !== null);
+}
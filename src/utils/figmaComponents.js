@@ -0,0 +1,146 @@
+/**
+ * Figma component, variant and component property utilities
+ */
+
+const PROPERTY_TYPES = {
+  VARIANT: 'variant',
+  BOOLEAN: 'boolean',
+  TEXT: 'text',
+  INSTANCE_SWAP: 'instance-swap',
+};
+
+/**
+ * Convert a Figma component property name ("Show icon#12:3") into a camelCase prop name
+ * @param {string} figmaName - Property name as defined in Figma
+ * @returns {string} Prop name
+ */
+export function toPropName(figmaName) {
+  const words = String(figmaName || '')
+    .replace(/#[^#]*$/, '')
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean);
+
+  if (words.length === 0) {
+    return 'prop';
+  }
+
+  const name = words
+    .map((word, index) =>
+      index === 0 ? word[0].toLowerCase() + word.slice(1) : word[0].toUpperCase() + word.slice(1)
+    )
+    .join('');
+
+  return /^[0-9]/.test(name) ? `prop${name}` : name;
+}
+
+/**
+ * Parse componentPropertyDefinitions into a typed prop schema
+ * @param {Object} definitions - node.componentPropertyDefinitions
+ * @returns {Array} Props ({ name, figmaName, type, defaultValue, options?, preferredValues? })
+ */
+export function parseComponentPropertyDefinitions(definitions = {}) {
+  return Object.entries(definitions || {})
+    .filter(([, definition]) => PROPERTY_TYPES[definition.type])
+    .map(([figmaName, definition]) => {
+      const prop = {
+        name: toPropName(figmaName),
+        figmaName,
+        type: PROPERTY_TYPES[definition.type],
+        defaultValue: definition.defaultValue ?? null,
+      };
+
+      if (definition.type === 'VARIANT') {
+        prop.options = definition.variantOptions || [];
+      }
+      if (definition.type === 'INSTANCE_SWAP' && definition.preferredValues) {
+        prop.preferredValues = definition.preferredValues;
+      }
+
+      return prop;
+    });
+}
+
+/**
+ * Parse a variant component name ("Size=lg, State=hover") into prop values
+ * @param {string} name - Variant component name
+ * @returns {Object} Map of prop name to value
+ */
+export function parseVariantName(name) {
+  const values = {};
+
+  String(name || '')
+    .split(',')
+    .forEach((pair) => {
+      const [key, ...rest] = pair.split('=');
+      if (rest.length > 0 && key.trim()) {
+        values[toPropName(key.trim())] = rest.join('=').trim();
+      }
+    });
+
+  return values;
+}
+
+/**
+ * Normalize the componentProperties of an instance into prop values
+ * @param {Object} componentProperties - node.componentProperties
+ * @returns {Object} Map of prop name to { type, value }
+ */
+export function parseInstanceProperties(componentProperties = {}) {
+  const props = {};
+
+  Object.entries(componentProperties || {}).forEach(([figmaName, property]) => {
+    if (PROPERTY_TYPES[property.type]) {
+      props[toPropName(figmaName)] = {
+        type: PROPERTY_TYPES[property.type],
+        value: property.value,
+      };
+    }
+  });
+
+  return props;
+}
+
+/**
+ * Normalize componentPropertyReferences of a node inside a component
+ * (e.g. a text layer whose characters come from the "Label" property)
+ * @param {Object} references - node.componentPropertyReferences
+ * @returns {Object|null} Map of bound field (characters, visible, mainComponent) to prop name
+ */
+export function parsePropertyReferences(references) {
+  if (!references || Object.keys(references).length === 0) {
+    return null;
+  }
+
+  const bindings = {};
+  Object.entries(references).forEach(([field, figmaName]) => {
+    bindings[field] = toPropName(figmaName);
+  });
+
+  return bindings;
+}
+
+/**
+ * Describe an INSTANCE node: its main component, set, prop values and overrides
+ * @param {Object} node - INSTANCE node
+ * @param {Object} fileData - Figma file data (components / componentSets metadata)
+ * @returns {Object} Instance description
+ */
+export function describeInstance(node, fileData = {}) {
+  const mainComponent = fileData.components?.[node.componentId];
+  const componentSetId = mainComponent?.componentSetId || null;
+  const componentSet = componentSetId ? fileData.componentSets?.[componentSetId] : null;
+
+  return {
+    componentId: node.componentId || null,
+    componentKey: mainComponent?.key || null,
+    componentName: mainComponent?.name || node.name,
+    componentSetId,
+    componentSetKey: componentSet?.key || null,
+    componentSetName: componentSet?.name || null,
+    props: parseInstanceProperties(node.componentProperties),
+    overrides: (node.overrides || []).map((override) => ({
+      id: override.id,
+      fields: override.overriddenFields || [],
+    })),
+  };
+}
@@ -0,0 +1,106 @@
+/**
+ * Figma effect normalization (drop shadows, inner shadows, layer and background blurs)
+ * into CSS-ready values
+ */
+import { figmaColorToRgba } from './figmaStyles.js';
+
+const SHADOW_TYPES = ['DROP_SHADOW', 'INNER_SHADOW'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const px = (value) => `${round(value)}px`;
+
+/**
+ * Normalize a visible shadow effect
+ */
+function normalizeShadow(effect) {
+  return {
+    type: effect.type,
+    color: figmaColorToRgba(effect.color || { r: 0, g: 0, b: 0, a: 0.25 }),
+    offset: { x: effect.offset?.x ?? 0, y: effect.offset?.y ?? 0 },
+    radius: effect.radius ?? 0,
+    spread: effect.spread ?? 0,
+  };
+}
+
+/**
+ * CSS box-shadow of a shadow list (inner shadows are inset)
+ * @param {Array} shadows - Normalized shadows
+ * @returns {string}
+ */
+export function boxShadowCss(shadows) {
+  return shadows
+    .map(
+      (shadow) =>
+        `${shadow.type === 'INNER_SHADOW' ? 'inset ' : ''}${px(shadow.offset.x)} ${px(shadow.offset.y)} ${px(shadow.radius)} ${px(shadow.spread)} ${shadow.color}`
+    )
+    .join(', ');
+}
+
+/**
+ * CSS text-shadow of a shadow list. Text shadows have no spread and cannot be inset,
+ * so inner shadows are left out.
+ * @param {Array} shadows - Normalized shadows
+ * @returns {string|null}
+ */
+export function textShadowCss(shadows) {
+  const drops = shadows.filter((shadow) => shadow.type === 'DROP_SHADOW');
+  if (drops.length === 0) {
+    return null;
+  }
+  return drops
+    .map(
+      (shadow) =>
+        `${px(shadow.offset.x)} ${px(shadow.offset.y)} ${px(shadow.radius)} ${shadow.color}`
+    )
+    .join(', ');
+}
+
+/**
+ * Normalized effects of a node: visible shadows, layer blur and background blur, the
+ * effect style they come from, and the CSS declarations (camelCase keys) they translate
+ * to. Blur radii are used as they are, like the blur tokens of effect styles.
+ * @param {Object} node - Figma node
+ * @param {string} styleName - Name of the effect style applied to the node, if any
+ * @returns {Object|null} Effects, or null when the node has no visible effect
+ */
+export function extractEffects(node, styleName = null) {
+  const visible = (node?.effects || []).filter((effect) => effect && effect.visible !== false);
+  const shadows = visible
+    .filter((effect) => SHADOW_TYPES.includes(effect.type))
+    .map(normalizeShadow);
+  const layerBlur = visible.find((effect) => effect.type === 'LAYER_BLUR');
+  const backgroundBlur = visible.find((effect) => effect.type === 'BACKGROUND_BLUR');
+
+  if (shadows.length === 0 && !layerBlur && !backgroundBlur) {
+    return null;
+  }
+
+  const effects = {};
+  const css = {};
+
+  if (shadows.length > 0) {
+    effects.shadows = shadows;
+    if (node.type === 'TEXT') {
+      const textShadow = textShadowCss(shadows);
+      if (textShadow) {
+        css.textShadow = textShadow;
+      }
+    } else {
+      css.boxShadow = boxShadowCss(shadows);
+    }
+  }
+  if (layerBlur) {
+    effects.layerBlur = layerBlur.radius ?? 0;
+    css.filter = `blur(${px(effects.layerBlur)})`;
+  }
+  if (backgroundBlur) {
+    effects.backgroundBlur = backgroundBlur.radius ?? 0;
+    css.backdropFilter = `blur(${px(effects.backgroundBlur)})`;
+  }
+  if (styleName) {
+    effects.style = styleName;
+  }
+
+  return { ...effects, css };
+}
@@ -0,0 +1,330 @@
+/**
+ * Figma auto-layout normalization utilities
+ */
+
+const PRIMARY_AXIS_ALIGN = {
+  MIN: 'flex-start',
+  CENTER: 'center',
+  MAX: 'flex-end',
+  SPACE_BETWEEN: 'space-between',
+};
+
+const COUNTER_AXIS_ALIGN = {
+  MIN: 'flex-start',
+  CENTER: 'center',
+  MAX: 'flex-end',
+  BASELINE: 'baseline',
+};
+
+const LAYOUT_ALIGN = {
+  STRETCH: 'stretch',
+  MIN: 'flex-start',
+  CENTER: 'center',
+  MAX: 'flex-end',
+};
+
+const GRID_CHILD_ALIGN = {
+  MIN: 'start',
+  CENTER: 'center',
+  MAX: 'end',
+};
+
+const HORIZONTAL_CONSTRAINTS = {
+  RIGHT: 'right',
+  CENTER: 'center',
+  LEFT_RIGHT: 'stretch',
+  SCALE: 'scale',
+};
+
+const VERTICAL_CONSTRAINTS = {
+  BOTTOM: 'bottom',
+  CENTER: 'center',
+  TOP_BOTTOM: 'stretch',
+  SCALE: 'scale',
+};
+
+const SIZE_LIMITS = ['minWidth', 'maxWidth', 'minHeight', 'maxHeight'];
+
+/**
+ * Resolve the sizing mode of one axis ('fixed', 'hug' or 'fill')
+ */
+function resolveSizing(node, axis, parentDirection) {
+  const explicit = axis === 'horizontal' ? node.layoutSizingHorizontal : node.layoutSizingVertical;
+
+  if (explicit) {
+    return explicit.toLowerCase();
+  }
+
+  // Legacy fields: primary/counter axis sizing modes on auto-layout containers
+  if (node.layoutMode === 'HORIZONTAL' || node.layoutMode === 'VERTICAL') {
+    const isPrimary = (node.layoutMode === 'HORIZONTAL') === (axis === 'horizontal');
+    const mode = isPrimary ? node.primaryAxisSizingMode : node.counterAxisSizingMode;
+    if (mode === 'AUTO') {
+      return 'hug';
+    }
+  }
+
+  // Legacy fields: growth/stretch inside an auto-layout parent
+  if (parentDirection) {
+    const isParentPrimary = (parentDirection === 'row') === (axis === 'horizontal');
+    if (isParentPrimary && node.layoutGrow === 1) {
+      return 'fill';
+    }
+    if (!isParentPrimary && node.layoutAlign === 'STRETCH') {
+      return 'fill';
+    }
+  }
+
+  return 'fixed';
+}
+
+/**
+ * Extract grid container properties
+ */
+function extractGrid(node) {
+  return {
+    columns: node.gridColumnCount ?? null,
+    rows: node.gridRowCount ?? null,
+    columnGap: node.gridColumnGap ?? 0,
+    rowGap: node.gridRowGap ?? 0,
+    columnsSizing: node.gridColumnsSizing ?? null,
+    rowsSizing: node.gridRowsSizing ?? null,
+  };
+}
+
+/**
+ * Extract properties a node has as a child of an auto-layout parent
+ */
+function extractChild(node, parentLayoutMode) {
+  const child = {
+    positioning: node.layoutPositioning === 'ABSOLUTE' ? 'absolute' : 'auto',
+    grow: node.layoutGrow ?? 0,
+    alignSelf: LAYOUT_ALIGN[node.layoutAlign] || null,
+  };
+
+  if (parentLayoutMode === 'GRID') {
+    child.grid = {
+      rowSpan: node.gridRowSpan ?? 1,
+      columnSpan: node.gridColumnSpan ?? 1,
+      rowStart: node.gridRowAnchorIndex !== undefined ? node.gridRowAnchorIndex + 1 : null,
+      columnStart: node.gridColumnAnchorIndex !== undefined ? node.gridColumnAnchorIndex + 1 : null,
+      justifySelf: GRID_CHILD_ALIGN[node.gridChildHorizontalAlign] || null,
+      alignSelf: GRID_CHILD_ALIGN[node.gridChildVerticalAlign] || null,
+    };
+  }
+
+  return child;
+}
+
+/**
+ * Normalize the auto-layout data of a Figma node.
+ * Returns null when the node neither is an auto-layout container nor sits in one.
+ * @param {Object} node - Figma node
+ * @param {Object|null} parentNode - Parent Figma node
+ * @returns {Object|null} Normalized layout block
+ */
+export function extractLayout(node, parentNode = null) {
+  if (!node) {
+    return null;
+  }
+
+  const layoutMode = node.layoutMode || 'NONE';
+  const parentLayoutMode = parentNode?.layoutMode || 'NONE';
+
+  if (layoutMode === 'NONE' && parentLayoutMode === 'NONE') {
+    return null;
+  }
+
+  const parentDirection =
+    parentLayoutMode === 'HORIZONTAL' ? 'row' : parentLayoutMode === 'VERTICAL' ? 'column' : null;
+
+  const layout = {
+    mode: layoutMode === 'GRID' ? 'grid' : layoutMode === 'NONE' ? 'none' : 'flex',
+    sizing: {
+      horizontal: resolveSizing(node, 'horizontal', parentDirection),
+      vertical: resolveSizing(node, 'vertical', parentDirection),
+    },
+  };
+
+  if (layoutMode !== 'NONE') {
+    layout.padding = {
+      top: node.paddingTop || 0,
+      right: node.paddingRight || 0,
+      bottom: node.paddingBottom || 0,
+      left: node.paddingLeft || 0,
+    };
+  }
+
+  if (layout.mode === 'flex') {
+    const wrap = node.layoutWrap === 'WRAP';
+    layout.direction = layoutMode === 'HORIZONTAL' ? 'row' : 'column';
+    layout.justifyContent = PRIMARY_AXIS_ALIGN[node.primaryAxisAlignItems] || 'flex-start';
+    layout.alignItems = COUNTER_AXIS_ALIGN[node.counterAxisAlignItems] || 'flex-start';
+    layout.gap = node.itemSpacing || 0;
+    layout.wrap = wrap;
+    if (wrap) {
+      layout.rowGap = node.counterAxisSpacing ?? layout.gap;
+    }
+  } else if (layout.mode === 'grid') {
+    layout.grid = extractGrid(node);
+  }
+
+  if (parentLayoutMode !== 'NONE') {
+    layout.child = extractChild(node, parentLayoutMode);
+    layout.child.parentDirection = parentDirection;
+  }
+
+  return layout;
+}
+
+/**
+ * Normalize how a node resizes with its parent: its constraints (for layers positioned
+ * freely, outside auto-layout or absolutely inside it) and its min/max sizes.
+ * Default constraints (left and top) are left out.
+ * @param {Object} node - Figma node
+ * @param {Object|null} parentNode - Parent Figma node
+ * @returns {Object|null} Constraints ({ horizontal?, vertical?, minWidth?, ... }), or null
+ */
+export function extractConstraints(node, parentNode = null) {
+  if (!node) {
+    return null;
+  }
+
+  const constraints = {};
+  const freelyPositioned =
+    !parentNode?.layoutMode ||
+    parentNode.layoutMode === 'NONE' ||
+    node.layoutPositioning === 'ABSOLUTE';
+
+  if (parentNode && freelyPositioned) {
+    const horizontal = HORIZONTAL_CONSTRAINTS[node.constraints?.horizontal];
+    const vertical = VERTICAL_CONSTRAINTS[node.constraints?.vertical];
+    if (horizontal) {
+      constraints.horizontal = horizontal;
+    }
+    if (vertical) {
+      constraints.vertical = vertical;
+    }
+  }
+
+  SIZE_LIMITS.filter((limit) => typeof node[limit] === 'number').forEach((limit) => {
+    constraints[limit] = node[limit];
+  });
+
+  return Object.keys(constraints).length > 0 ? constraints : null;
+}
+
+/**
+ * Format a padding block as CSS shorthand
+ */
+function paddingToCss({ top, right, bottom, left }) {
+  if (top === bottom && left === right) {
+    return top === left ? `${top}px` : `${top}px ${right}px`;
+  }
+  return `${top}px ${right}px ${bottom}px ${left}px`;
+}
+
+/**
+ * Convert one axis sizing mode to CSS declarations
+ */
+function sizingToCss(css, sizing, axis, child) {
+  const property = axis === 'horizontal' ? 'width' : 'height';
+
+  if (sizing === 'hug') {
+    css[property] = 'fit-content';
+  } else if (sizing === 'fill') {
+    const isParentPrimary = child?.parentDirection
+      ? (child.parentDirection === 'row') === (axis === 'horizontal')
+      : false;
+    if (isParentPrimary) {
+      css.flex = '1 1 0';
+    } else if (child?.parentDirection) {
+      css.alignSelf = 'stretch';
+    } else {
+      css[property] = '100%';
+    }
+  }
+}
+
+/**
+ * Convert a normalized layout block into CSS declarations (camelCase keys)
+ * @param {Object|null} layout - Layout block produced by extractLayout
+ * @returns {Object} CSS declarations
+ */
+export function layoutToCss(layout) {
+  const css = {};
+
+  if (!layout) {
+    return css;
+  }
+
+  if (layout.mode === 'flex') {
+    css.display = 'flex';
+    css.flexDirection = layout.direction;
+    css.justifyContent = layout.justifyContent;
+    css.alignItems = layout.alignItems;
+    if (layout.wrap) {
+      css.flexWrap = 'wrap';
+      if (layout.rowGap !== layout.gap) {
+        css.rowGap = `${layout.rowGap}px`;
+        css.columnGap = `${layout.gap}px`;
+      } else if (layout.gap) {
+        css.gap = `${layout.gap}px`;
+      }
+    } else if (layout.gap) {
+      css.gap = `${layout.gap}px`;
+    }
+  } else if (layout.mode === 'grid') {
+    const { grid } = layout;
+    css.display = 'grid';
+    if (grid.columnsSizing || grid.columns) {
+      css.gridTemplateColumns = grid.columnsSizing || `repeat(${grid.columns}, 1fr)`;
+    }
+    if (grid.rowsSizing || grid.rows) {
+      css.gridTemplateRows = grid.rowsSizing || `repeat(${grid.rows}, auto)`;
+    }
+    if (grid.rowGap || grid.columnGap) {
+      css.gap =
+        grid.rowGap === grid.columnGap
+          ? `${grid.rowGap}px`
+          : `${grid.rowGap}px ${grid.columnGap}px`;
+    }
+  }
+
+  if (layout.padding && Object.values(layout.padding).some((value) => value)) {
+    css.padding = paddingToCss(layout.padding);
+  }
+
+  sizingToCss(css, layout.sizing?.horizontal, 'horizontal', layout.child);
+  sizingToCss(css, layout.sizing?.vertical, 'vertical', layout.child);
+
+  if (layout.child) {
+    const { child } = layout;
+    if (child.positioning === 'absolute') {
+      css.position = 'absolute';
+    }
+    if (child.alignSelf && !css.alignSelf) {
+      css.alignSelf = child.alignSelf;
+    }
+    if (child.grid) {
+      if (child.grid.columnStart) {
+        css.gridColumn = `${child.grid.columnStart} / span ${child.grid.columnSpan}`;
+      } else if (child.grid.columnSpan > 1) {
+        css.gridColumn = `span ${child.grid.columnSpan}`;
+      }
+      if (child.grid.rowStart) {
+        css.gridRow = `${child.grid.rowStart} / span ${child.grid.rowSpan}`;
+      } else if (child.grid.rowSpan > 1) {
+        css.gridRow = `span ${child.grid.rowSpan}`;
+      }
+      if (child.grid.justifySelf) {
+        css.justifySelf = child.grid.justifySelf;
+      }
+      if (child.grid.alignSelf) {
+        css.alignSelf = child.grid.alignSelf;
+      }
+    }
+  }
+
+  return css;
+}
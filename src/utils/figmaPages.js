@@ -0,0 +1,125 @@
+/**
+ * Page-aware extraction: the top-level frames of each page, filters selecting them by page,
+ * frame name, node type or section, and a component limit that is shared across pages
+ */
+
+const FILTER_FIELDS = ['pages', 'frames', 'types', 'sections'];
+
+/**
+ * Turn a name glob into a case-insensitive regular expression
+ * (`*` matches any run of characters and `?` a single one)
+ */
+export function globToRegExp(glob) {
+  const source = String(glob)
+    .split('')
+    .map((char) => {
+      if (char === '*') {
+        return '.*';
+      }
+      if (char === '?') {
+        return '.';
+      }
+      return char.replace(/[.+^${}()|[\]\\/]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Whether a name matches one of the globs
+ */
+function matchesAny(name, globs) {
+  return globs.some((glob) => globToRegExp(glob).test(name || ''));
+}
+
+/**
+ * Top-level frames of a page. Sections only group frames, so the frames inside them count
+ * as top-level too and remember the sections they sit in (outermost first).
+ * @param {Object} page - Figma page (CANVAS) node
+ * @returns {Array} [{ node, sections: [{ id, name }] }]
+ */
+export function pageFrames(page) {
+  const frames = [];
+  const collect = (nodes, sections) => {
+    (nodes || []).forEach((node) => {
+      if (!node) {
+        return;
+      }
+      if (node.type === 'SECTION') {
+        collect(node.children, [...sections, { id: node.id, name: node.name }]);
+      } else {
+        frames.push({ node, sections });
+      }
+    });
+  };
+
+  collect(page?.children, []);
+  return frames;
+}
+
+/**
+ * Whether the filters keep a page at all (pages they rule out need not be fetched)
+ * @param {string} pageName - Page name
+ * @param {Object|null} filters - { include, exclude } (see frameMatches)
+ */
+export function pageMatches(pageName, filters) {
+  const include = filters?.include?.pages;
+  const exclude = filters?.exclude?.pages;
+  if (include?.length > 0 && !matchesAny(pageName, include)) {
+    return false;
+  }
+  return !(exclude?.length > 0 && matchesAny(pageName, exclude));
+}
+
+/**
+ * Whether the filters keep a top-level frame. `include` and `exclude` hold name globs of
+ * `pages`, `frames` and `sections` and Figma node `types`. A frame is kept when it matches
+ * every include list given and no exclude list; a frame outside any section matches no
+ * section.
+ * @param {Object} frame - { page, name, type, sections } (page, frame and section names)
+ * @param {Object|null} filters - { include, exclude }
+ */
+export function frameMatches({ page, name, type, sections = [] }, filters) {
+  const values = { pages: [page], frames: [name], types: [type], sections };
+  const matches = (field, globs) => values[field].some((value) => matchesAny(value, globs));
+
+  const { include = {}, exclude = {} } = filters || {};
+  const included = FILTER_FIELDS.every(
+    (field) => !(include[field]?.length > 0) || matches(field, include[field])
+  );
+  const excluded = FILTER_FIELDS.some(
+    (field) => exclude[field]?.length > 0 && matches(field, exclude[field])
+  );
+  return included && !excluded;
+}
+
+/**
+ * Keep at most `max` components, taken from every page in turn (the first frame of each
+ * page, then the second...) so a limit never drops whole pages. The kept components stay
+ * in document order.
+ * @param {Array} components - Root components, with their `page`
+ * @param {number} max - Maximum number of components
+ */
+export function limitAcrossPages(components, max) {
+  if (components.length <= max) {
+    return components;
+  }
+
+  const byPage = new Map();
+  components.forEach((component, index) => {
+    const pageId = component.page?.id ?? null;
+    byPage.set(pageId, [...(byPage.get(pageId) || []), index]);
+  });
+
+  const kept = [];
+  const queues = [...byPage.values()];
+  for (let round = 0; kept.length < max; round++) {
+    queues.forEach((queue) => {
+      if (round < queue.length && kept.length < max) {
+        kept.push(queue[round]);
+      }
+    });
+  }
+
+  return kept.sort((a, b) => a - b).map((index) => components[index]);
+}
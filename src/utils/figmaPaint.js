@@ -0,0 +1,277 @@
+/**
+ * Figma paint normalization (fills, strokes, corner radii, opacity and blend modes)
+ * into CSS-ready values
+ */
+import { figmaColorToRgba } from './figmaStyles.js';
+
+/**
+ * CSS blend mode of each Figma blend mode (NORMAL and PASS_THROUGH need none;
+ * LINEAR_BURN and LINEAR_DODGE have no CSS equivalent)
+ */
+const BLEND_MODES = {
+  MULTIPLY: 'multiply',
+  SCREEN: 'screen',
+  OVERLAY: 'overlay',
+  DARKEN: 'darken',
+  LIGHTEN: 'lighten',
+  COLOR_DODGE: 'color-dodge',
+  COLOR_BURN: 'color-burn',
+  HARD_LIGHT: 'hard-light',
+  SOFT_LIGHT: 'soft-light',
+  DIFFERENCE: 'difference',
+  EXCLUSION: 'exclusion',
+  HUE: 'hue',
+  SATURATION: 'saturation',
+  COLOR: 'color',
+  LUMINOSITY: 'luminosity',
+};
+
+const round = (value, precision = 100) => Math.round(value * precision) / precision;
+
+const px = (value) => `${round(value)}px`;
+
+const percent = (value) => `${round(value * 100)}%`;
+
+/**
+ * CSS blend mode of a Figma blend mode, or null when it blends normally
+ * @param {string} blendMode - Figma blend mode
+ * @returns {string|null}
+ */
+export function toCssBlendMode(blendMode) {
+  return BLEND_MODES[blendMode] || null;
+}
+
+/**
+ * Direction of a gradient handle pair as a CSS angle (0deg points up, clockwise).
+ * Handles are in normalized node coordinates, so the node size corrects the aspect ratio.
+ */
+function handleAngle(start, end, size) {
+  const dx = (end.x - start.x) * (size?.width || 1);
+  const dy = (end.y - start.y) * (size?.height || 1);
+  const degrees = (Math.atan2(dx, -dy) * 180) / Math.PI;
+  return round((degrees + 360) % 360);
+}
+
+/**
+ * CSS color stops of a gradient paint
+ */
+function gradientStops(paint, opacity) {
+  return (paint.gradientStops || [])
+    .map((stop) => `${figmaColorToRgba(stop.color, opacity)} ${percent(stop.position ?? 0)}`)
+    .join(', ');
+}
+
+/**
+ * CSS value (color or image) of a Figma paint
+ * @param {Object} paint - Figma paint
+ * @param {number} opacity - Layer opacity folded into the colors
+ * @param {Object} size - Node size ({ width, height }), used for gradient angles
+ * @returns {string|null} CSS color or gradient (null for images and unsupported paints)
+ */
+export function paintToCss(paint, opacity = 1, size = null) {
+  const alpha = (paint?.opacity ?? 1) * opacity;
+
+  if (paint?.type === 'SOLID') {
+    return figmaColorToRgba(paint.color, alpha);
+  }
+
+  const [start = { x: 0, y: 0.5 }, end = { x: 1, y: 0.5 }, width = { x: 0, y: 1 }] =
+    paint?.gradientHandlePositions || [];
+  const stops = paint?.gradientStops ? gradientStops(paint, alpha) : '';
+  if (!stops) {
+    return null;
+  }
+
+  switch (paint.type) {
+    case 'GRADIENT_LINEAR':
+      return `linear-gradient(${handleAngle(start, end, size)}deg, ${stops})`;
+    case 'GRADIENT_RADIAL':
+    case 'GRADIENT_DIAMOND': {
+      // Diamond gradients have no CSS equivalent and are approximated as radial ones
+      const radiusX = Math.hypot(end.x - start.x, end.y - start.y);
+      const radiusY = Math.hypot(width.x - start.x, width.y - start.y);
+      return `radial-gradient(ellipse ${percent(radiusX)} ${percent(radiusY)} at ${percent(start.x)} ${percent(start.y)}, ${stops})`;
+    }
+    case 'GRADIENT_ANGULAR':
+      return `conic-gradient(from ${handleAngle(start, end, size)}deg at ${percent(start.x)} ${percent(start.y)}, ${stops})`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Normalize the visible paints of a node
+ * @returns {Array} Paints ({ type, css?, blendMode?, imageRef?, scaleMode? }), bottom first
+ */
+function normalizePaints(paints, opacity, size) {
+  return (paints || [])
+    .filter((paint) => paint && paint.visible !== false)
+    .map((paint) => {
+      const normalized = { type: paint.type };
+      if (paint.type === 'IMAGE') {
+        Object.assign(normalized, { imageRef: paint.imageRef, scaleMode: paint.scaleMode });
+      } else {
+        normalized.css = paintToCss(paint, opacity, size);
+      }
+      const blendMode = toCssBlendMode(paint.blendMode);
+      if (blendMode) {
+        normalized.blendMode = blendMode;
+      }
+      return normalized;
+    })
+    .filter((paint) => paint.type === 'IMAGE' || paint.css);
+}
+
+/**
+ * CSS background of stacked fills. Figma lists fills bottom first and CSS layers top first;
+ * only the bottom layer can be a plain color, so solid fills above it become flat gradients.
+ */
+function backgroundCss(fills) {
+  const layers = fills.filter((fill) => fill.css).reverse();
+  if (layers.length === 0) {
+    return {};
+  }
+
+  const css = {
+    background: layers
+      .map((fill, index) =>
+        fill.type === 'SOLID' && index < layers.length - 1
+          ? `linear-gradient(${fill.css}, ${fill.css})`
+          : fill.css
+      )
+      .join(', '),
+  };
+  if (layers.length > 1 && layers.some((fill) => fill.blendMode)) {
+    css.backgroundBlendMode = layers.map((fill) => fill.blendMode || 'normal').join(', ');
+  }
+  return css;
+}
+
+/**
+ * CSS declarations of the strokes of a node. Inside and center strokes become borders
+ * (box-sizing is border-box), outside strokes an outline.
+ */
+function strokeCss(strokes) {
+  const paint = strokes.paints[strokes.paints.length - 1];
+  if (!paint?.css || !strokes.weight) {
+    return {};
+  }
+
+  const style = strokes.dashes ? 'dashed' : 'solid';
+  const solid = paint.type === 'SOLID';
+  const color = solid ? paint.css : 'transparent';
+
+  if (strokes.align === 'OUTSIDE' && !strokes.weights) {
+    return { outline: `${px(strokes.weight)} ${style} ${color}` };
+  }
+
+  const css = { border: `${px(strokes.weight)} ${style} ${color}` };
+  if (strokes.weights) {
+    const { top, right, bottom, left } = strokes.weights;
+    css.borderWidth = [top, right, bottom, left].map(px).join(' ');
+  }
+  if (!solid) {
+    css.borderImage = `${paint.css} 1`;
+  }
+  return css;
+}
+
+/**
+ * CSS border-radius of a node (per-corner radii first)
+ */
+function radiusCss(node) {
+  const radii = node.rectangleCornerRadii;
+  if (Array.isArray(radii) && radii.some(Boolean)) {
+    return radii.every((radius) => radius === radii[0])
+      ? px(radii[0])
+      : radii.map((radius) => px(radius || 0)).join(' ');
+  }
+  return node.cornerRadius ? px(node.cornerRadius) : null;
+}
+
+/**
+ * Normalized paint of a node: visible fills and strokes with CSS values, stroke geometry,
+ * corner radii, opacity and blend mode, plus the CSS declarations (camelCase keys) they
+ * translate to. The opacity of a layer without children is folded into its colors;
+ * containers (and image layers) keep it as CSS opacity, since it applies to all they draw.
+ * @param {Object} node - Figma node
+ * @returns {Object|null} Paint, or null when the node draws nothing of its own
+ */
+export function extractPaint(node) {
+  if (!node) {
+    return null;
+  }
+
+  const hasChildren = (node.children || []).some((child) => child?.visible !== false);
+  const hasImage = (node.fills || []).some(
+    (fill) => fill?.type === 'IMAGE' && fill.visible !== false
+  );
+  const foldOpacity = !hasChildren && !hasImage;
+  const opacity = node.opacity ?? 1;
+  const colorOpacity = foldOpacity ? opacity : 1;
+  const size = node.absoluteBoundingBox || null;
+
+  const paint = {};
+  const css = {};
+
+  const fills = normalizePaints(node.fills, colorOpacity, size);
+  if (fills.length > 0) {
+    paint.fills = fills;
+
+    if (node.type === 'TEXT') {
+      // Text is colored by its top fill; gradients are clipped to the glyphs
+      const top = [...fills].reverse().find((fill) => fill.css);
+      if (top?.type === 'SOLID') {
+        css.color = top.css;
+      } else if (top) {
+        Object.assign(css, {
+          background: top.css,
+          WebkitBackgroundClip: 'text',
+          backgroundClip: 'text',
+          color: 'transparent',
+        });
+      }
+    } else {
+      Object.assign(css, backgroundCss(fills));
+    }
+  }
+
+  const strokePaints = normalizePaints(node.strokes, colorOpacity, size);
+  if (strokePaints.length > 0 && node.strokeWeight !== 0) {
+    const weights = node.individualStrokeWeights;
+    paint.strokes = {
+      paints: strokePaints,
+      weight: node.strokeWeight ?? 1,
+      align: node.strokeAlign || 'INSIDE',
+      ...(weights && { weights }),
+      ...(node.strokeDashes?.length > 0 && { dashes: node.strokeDashes }),
+    };
+    if (node.type !== 'TEXT') {
+      Object.assign(css, strokeCss(paint.strokes));
+    }
+  }
+
+  const radius = node.type === 'ELLIPSE' ? '50%' : radiusCss(node);
+  if (radius) {
+    paint.radius = radius;
+    css.borderRadius = radius;
+  }
+
+  if (opacity < 1) {
+    paint.opacity = round(opacity);
+    if (!foldOpacity) {
+      css.opacity = String(round(opacity));
+    }
+  }
+
+  const blendMode = toCssBlendMode(node.blendMode);
+  if (blendMode) {
+    paint.blendMode = blendMode;
+    css.mixBlendMode = blendMode;
+  }
+
+  if (Object.keys(paint).length === 0) {
+    return null;
+  }
+  return { ...paint, css };
+}
@@ -0,0 +1,232 @@
+/**
+ * Repeated content of the extracted tree: runs of siblings with the same shape (instances
+ * of one main component, or the same child structure) and the text, image and prop values
+ * that differ between them, pulled out as sample data
+ */
+import { toPropName } from './figmaComponents.js';
+import { reserve } from './naming.js';
+
+// A run needs at least this many siblings
+const MIN_REPEATS = 3;
+
+// Layer names Figma gives by default ("Frame 12", "Rectangle 4"), which name nothing
+const DEFAULT_NAME = /^(frame|group|rectangle|ellipse|vector|instance|component|section)?\s*\d*$/i;
+
+/**
+ * Shape of an extracted node compared between siblings: the main component (or component
+ * set) of an instance, otherwise its type, asset kind and the shapes of its children
+ */
+export function shapeOf(component) {
+  if (component.instance) {
+    return `instance:${component.instance.componentSetId || component.instance.componentId}`;
+  }
+  const asset = component.asset ? `:${component.asset.kind}` : '';
+  const children = (component.children || []).filter(Boolean);
+  return `${component.type}${asset}(${children.map(shapeOf).join(',')})`;
+}
+
+/**
+ * Layer name without the counter Figma appends to copies ("Product Card 2" → "Product Card")
+ */
+const nameStem = (name) =>
+  String(name || '')
+    .replace(/\s*\d+$/, '')
+    .trim();
+
+/**
+ * Key of the siblings a node can repeat with: instances repeat by main component, other
+ * nodes also need the same name stem, role, paint, effects and layout, so a styled button
+ * next to plain cards of the same structure stays out of their run
+ */
+function runKey(component) {
+  if (component.instance) {
+    return shapeOf(component);
+  }
+  return JSON.stringify([
+    shapeOf(component),
+    nameStem(component.name).toLowerCase(),
+    component.role || null,
+    component.styleRefs?.fill || null,
+    component.paint?.css || null,
+    component.effects?.css || null,
+    component.layout || null,
+  ]);
+}
+
+/**
+ * Whether a node can repeat: instances and containers (runs of plain text layers or icons
+ * are left as they are)
+ */
+const canRepeat = (component) =>
+  Boolean(component.instance) || (component.children || []).length > 0;
+
+/**
+ * Name of the value a layer holds: the prop bound to it, its layer name when renamed,
+ * otherwise its kind (headings hold a title)
+ */
+function fieldName(component, kind) {
+  if (kind === 'text') {
+    if (component.propertyRefs?.characters) {
+      return component.propertyRefs.characters;
+    }
+    // Text layers are named after their content unless renamed
+    const renamed = component.name && component.name !== component.properties?.content;
+    if (renamed && !DEFAULT_NAME.test(component.name)) {
+      return toPropName(component.name);
+    }
+    return component.role === 'heading' ? 'title' : 'text';
+  }
+  return DEFAULT_NAME.test(component.name || '') ? 'image' : toPropName(component.name);
+}
+
+/**
+ * Values that differ between the items of a run, walking their layers side by side:
+ * text content, exported images (told apart by src, or by image before export) and the
+ * props of instances. Layers only compared while every item has them.
+ * @returns {Array} [{ field: { name, kind, node, prop?, type }, values }]: node is the ID
+ *   of the layer in the first item, values one per item
+ */
+function differingFields(items) {
+  const fields = [];
+  const used = new Set(['id']);
+  const differs = (values) => values.some((value) => value !== values[0]);
+
+  const walk = (nodes) => {
+    const [first] = nodes;
+
+    Object.entries(first.instance?.props || {})
+      .filter(([, prop]) => prop.type !== 'instance-swap')
+      .forEach(([propName, prop]) => {
+        const values = nodes.map((node) => node.instance?.props?.[propName]?.value ?? null);
+        if (differs(values)) {
+          const type = typeof prop.value === 'boolean' ? 'boolean' : 'string';
+          fields.push({
+            name: propName,
+            kind: 'prop',
+            node: first.id,
+            prop: propName,
+            type,
+            values,
+          });
+        }
+      });
+
+    if (first.type === 'TEXT') {
+      const values = nodes.map((node) => node.properties?.content ?? '');
+      if (differs(values)) {
+        fields.push({ name: fieldName(first, 'text'), kind: 'text', node: first.id, values });
+      }
+    } else if (first.asset && first.asset.kind !== 'fill') {
+      const keys = nodes.map((node) => node.asset?.src ?? node.asset?.imageRef ?? null);
+      if (differs(keys)) {
+        const values = nodes.map((node) => node.asset?.src ?? null);
+        fields.push({ name: fieldName(first, 'image'), kind: 'image', node: first.id, values });
+      }
+    }
+
+    (first.children || []).forEach((child, index) => {
+      const children = nodes.map((node) => node.children?.[index]);
+      if (child && children.every((candidate) => candidate?.type === child.type)) {
+        walk(children);
+      }
+    });
+  };
+
+  walk(items);
+  return fields.map(({ values, ...field }) => ({
+    field: {
+      type: 'string',
+      ...field,
+      name: reserve(used, field.kind === 'prop' ? field.name : toPropName(field.name)),
+    },
+    values,
+  }));
+}
+
+/**
+ * Plural of a camelCase name ("productCard" → "productCards", "category" → "categories")
+ */
+function plural(name) {
+  if (/(s|x|z|ch|sh)$/.test(name)) {
+    return `${name}es`;
+  }
+  if (/[^aeiou]y$/.test(name)) {
+    return `${name.slice(0, -1)}ies`;
+  }
+  return `${name}s`;
+}
+
+/**
+ * Item, collection and item type names of a run, from the main component or layer name
+ */
+function groupNames(template) {
+  const source = template.instance
+    ? template.instance.componentSetName || template.instance.componentName
+    : template.name;
+  const base = nameStem(source);
+  const name = !base || DEFAULT_NAME.test(base) ? 'item' : toPropName(base);
+  const type = `${name[0].toUpperCase()}${name.slice(1)}${name === 'item' ? '' : 'Item'}`;
+  return { name, collection: plural(name), type };
+}
+
+/**
+ * Runs of repeated children of a node: at least three consecutive siblings of one shape
+ * (and, unless they are instances, one name stem, role and style; see runKey).
+ * The first sibling of a run is its template; every sibling becomes one sample item holding
+ * its node ID and the values of the fields that differ between siblings.
+ * @param {Object} component - Extracted node
+ * @returns {Array} [{ name, collection, type, nodes, fields, items }]: fields are
+ *   { name, kind ('text', 'image' or 'prop'), node, prop?, type } and items
+ *   { id, [field name]: value }
+ */
+export function findRepeats(component) {
+  // The variants of a component set share a structure without repeating content
+  if (!component || component.type === 'COMPONENT_SET') {
+    return [];
+  }
+
+  const runs = [];
+  (component.children || []).filter(Boolean).forEach((child) => {
+    const run = runs[runs.length - 1];
+    const key = runKey(child);
+    if (run && canRepeat(child) && key === run.key) {
+      run.nodes.push(child);
+    } else {
+      runs.push({ key, nodes: [child] });
+    }
+  });
+
+  return runs
+    .filter((run) => run.nodes.length >= MIN_REPEATS && canRepeat(run.nodes[0]))
+    .map(({ nodes }) => {
+      const fields = differingFields(nodes);
+      return {
+        ...groupNames(nodes[0]),
+        nodes: nodes.map((node) => node.id),
+        fields: fields.map(({ field }) => field),
+        items: nodes.map((node, index) => ({
+          id: node.id,
+          ...Object.fromEntries(fields.map(({ field, values }) => [field.name, values[index]])),
+        })),
+      };
+    });
+}
+
+/**
+ * Repeated content found anywhere under a node (see findRepeats), with the node holding it.
+ * Runs are found again rather than read from `repeats`, so images exported since the
+ * extraction have their paths.
+ * @returns {Array} Runs, each with its parent { id, name }
+ */
+export function collectRepeats(component) {
+  if (!component) {
+    return [];
+  }
+  return [
+    ...findRepeats(component).map((run) => ({
+      ...run,
+      parent: { id: component.id, name: component.name },
+    })),
+    ...(component.children || []).filter(Boolean).flatMap(collectRepeats),
+  ];
+}
@@ -0,0 +1,226 @@
+/**
+ * Heuristic semantic roles of Figma nodes (button, link, input, nav, list, list item, card,
+ * heading) from layer and component names, structure, repeated siblings and text patterns
+ */
+import { isRendered } from './figmaVisibility.js';
+
+export const ROLES = ['button', 'link', 'input', 'nav', 'list', 'listitem', 'card', 'heading'];
+
+// `[button]` in a layer name sets its role; `[none]` turns inference off for the layer
+const OVERRIDE_PATTERN = /\[\s*([a-z-]+)\s*\]/i;
+
+// Name keywords of container roles, checked in order (list item before list)
+const NAME_ROLES = [
+  ['listitem', /\blist[\s_-]?item\b/i],
+  ['button', /\b(button|btn|cta)\b/i],
+  ['input', /\b(input|text[\s_-]?field|text[\s_-]?box|search[\s_-]?(bar|field))\b/i],
+  ['nav', /\b(nav|navbar|navigation|menu|tab[\s_-]?bar|tabs|breadcrumbs?)\b/i],
+  ['list', /\blist\b/i],
+  ['card', /\bcard\b/i],
+  ['link', /\blink\b/i],
+];
+
+// Name keywords of text roles
+const TEXT_NAME_ROLES = [
+  ['heading', /\b(h[1-6]|heading|headline|title)\b/i],
+  ['link', /\blink\b/i],
+];
+
+const CONTAINER_TYPES = ['FRAME', 'COMPONENT', 'INSTANCE', 'COMPONENT_SET'];
+
+// Placeholder-like text: "Enter your email", "Search…", "e.g. Jane", "you@example.com"
+const PLACEHOLDER_PATTERN =
+  /^(enter|type|search|select|choose|write|your\b|e\.g\.)|(\.\.\.|…)$|^\S+@\S+\.\S+$/i;
+
+// Lists need at least this many repeated siblings
+const MIN_LIST_ITEMS = 3;
+
+// Buttons and inputs are at most this tall (px)
+const MAX_CONTROL_HEIGHT = 64;
+
+const words = (text) => text.trim().split(/\s+/).filter(Boolean);
+
+/**
+ * Role set in a layer name (`Submit [button]`): a known role, `null` for `[none]`, or
+ * undefined when the name sets none
+ */
+export function roleOverride(name) {
+  const match = OVERRIDE_PATTERN.exec(name || '');
+  if (!match) {
+    return undefined;
+  }
+  const role = match[1].toLowerCase();
+  if (role === 'none') {
+    return null;
+  }
+  return ROLES.includes(role) ? role : undefined;
+}
+
+/**
+ * Role named by keywords in a layer or component name
+ */
+function nameRole(name, table) {
+  return table.find(([, pattern]) => pattern.test(name || ''))?.[0] || null;
+}
+
+/**
+ * Rendered children of a node
+ */
+function renderedChildren(node) {
+  return (node?.children || []).filter((child) => isRendered(child));
+}
+
+/**
+ * Rendered text layers of a node's subtree
+ */
+function textLayers(node) {
+  if (node.type === 'TEXT') {
+    return [node];
+  }
+  return renderedChildren(node).flatMap(textLayers);
+}
+
+/**
+ * Whether a node paints a visible box: a fill, a stroke or a drop shadow
+ */
+function hasBox(node) {
+  const visible = (paints) => (paints || []).some((paint) => paint && paint.visible !== false);
+  const shadow = (node.effects || []).some(
+    (effect) => effect?.type === 'DROP_SHADOW' && effect.visible !== false
+  );
+  return visible(node.fills) || visible(node.strokes) || shadow;
+}
+
+function isRounded(node) {
+  return node.cornerRadius > 0 || (node.rectangleCornerRadii || []).some((radius) => radius > 0);
+}
+
+function hasPadding(node) {
+  return ['paddingLeft', 'paddingRight', 'paddingTop', 'paddingBottom'].some(
+    (side) => node[side] > 0
+  );
+}
+
+/**
+ * Shape of a node compared between siblings: the main component of an instance, otherwise
+ * the type of the node and of its children
+ */
+function signature(node) {
+  if (node.type === 'INSTANCE' && node.componentId) {
+    return `instance:${node.componentId}`;
+  }
+  return `${node.type}:${renderedChildren(node)
+    .map((child) => child.type)
+    .join(',')}`;
+}
+
+/**
+ * Whether a node lays out repeated siblings: at least three non-text children of one shape
+ */
+export function hasRepeatedChildren(node) {
+  const children = renderedChildren(node);
+  if (children.length < MIN_LIST_ITEMS || children.some((child) => child.type === 'TEXT')) {
+    return false;
+  }
+  const first = signature(children[0]);
+  return children.every((child) => signature(child) === first);
+}
+
+/**
+ * Whether a node is a row of short text links (a menu drawn as plain text layers)
+ */
+function isTextMenu(node) {
+  const children = renderedChildren(node);
+  return (
+    node.layoutMode === 'HORIZONTAL' &&
+    children.length >= MIN_LIST_ITEMS &&
+    children.every((child) => child.type === 'TEXT' && words(child.characters || '').length <= 3)
+  );
+}
+
+/**
+ * Role drawn by a container's structure: a padded, boxed control holding one short text
+ * is a button, or an input when the text reads like a placeholder; a rounded, boxed
+ * group holding text is a card
+ */
+function structureRole(node) {
+  if (!CONTAINER_TYPES.includes(node.type)) {
+    return null;
+  }
+
+  const texts = textLayers(node);
+  const height = node.absoluteBoundingBox?.height;
+  const isControl = hasBox(node) && texts.length === 1 && height <= MAX_CONTROL_HEIGHT;
+  if (isControl) {
+    const text = (texts[0].characters || '').trim();
+    if (PLACEHOLDER_PATTERN.test(text)) {
+      return 'input';
+    }
+    if (hasPadding(node) && isRounded(node) && text.length <= 32 && words(text).length <= 4) {
+      return 'button';
+    }
+  }
+
+  if (isTextMenu(node)) {
+    return 'nav';
+  }
+  if (hasRepeatedChildren(node)) {
+    return 'list';
+  }
+  if (
+    isRounded(node) &&
+    hasBox(node) &&
+    texts.length > 0 &&
+    renderedChildren(node).length >= 2 &&
+    height > MAX_CONTROL_HEIGHT
+  ) {
+    return 'card';
+  }
+  return null;
+}
+
+/**
+ * Role a node takes from its parent: items of a list, links of a text menu, and the
+ * variants of a component set share the set's role
+ */
+function parentRole(node, parent) {
+  if (!parent) {
+    return null;
+  }
+  if (parent.type === 'COMPONENT_SET' && node.type === 'COMPONENT') {
+    return inferRole(parent);
+  }
+  if (node.type === 'TEXT') {
+    const parentNamed = nameRole(parent.name, NAME_ROLES);
+    return parentNamed === 'nav' || isTextMenu(parent) ? 'link' : null;
+  }
+  return hasRepeatedChildren(parent) ? 'listitem' : null;
+}
+
+/**
+ * Semantic role of a node, in order of precedence: a `[role]` override in the layer name,
+ * keywords in the layer or main component names, the node's structure, then its parent
+ * @param {Object} node - Figma node
+ * @param {Object} options - { parent, names }: the parent node and extra names to match
+ *   (main component and component set of an instance)
+ * @returns {string|null} One of ROLES, or null
+ */
+export function inferRole(node, { parent = null, names = [] } = {}) {
+  if (!node) {
+    return null;
+  }
+
+  const override = roleOverride(node.name);
+  if (override !== undefined) {
+    return override;
+  }
+
+  if (node.type === 'TEXT') {
+    // Text layers are named after their content unless renamed
+    const renamed = node.name && node.name !== node.characters;
+    return (renamed && nameRole(node.name, TEXT_NAME_ROLES)) || parentRole(node, parent);
+  }
+
+  const named = [node.name, ...names].map((name) => nameRole(name, NAME_ROLES)).find(Boolean);
+  return named || structureRole(node) || parentRole(node, parent);
+}
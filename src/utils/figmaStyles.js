@@ -0,0 +1,217 @@
+/**
+ * Figma style resolution utilities
+ */
+
+/**
+ * Node `styles` keys and the style type they reference
+ */
+const STYLE_REFERENCE_KEYS = {
+  fill: 'FILL',
+  fills: 'FILL',
+  stroke: 'FILL',
+  strokes: 'FILL',
+  text: 'TEXT',
+  effect: 'EFFECT',
+  effects: 'EFFECT',
+  grid: 'GRID',
+  grids: 'GRID',
+};
+
+const toByte = (channel) => Math.round(Math.min(Math.max(channel ?? 0, 0), 1) * 255);
+
+const roundAlpha = (alpha) => Math.round(alpha * 100) / 100;
+
+/**
+ * Convert a Figma color (0-1 channels) into a hex string.
+ * The alpha channel is appended only when the color is translucent.
+ * @param {Object} color - Figma color { r, g, b, a }
+ * @param {number} opacity - Extra opacity multiplier (paint or layer opacity)
+ * @returns {string|null} Hex color
+ */
+export function figmaColorToHex(color, opacity = 1) {
+  if (!color) {
+    return null;
+  }
+
+  const alpha = (color.a ?? 1) * opacity;
+  const channels = [color.r, color.g, color.b].map((c) => toByte(c).toString(16).padStart(2, '0'));
+
+  if (alpha < 1) {
+    channels.push(toByte(alpha).toString(16).padStart(2, '0'));
+  }
+
+  return `#${channels.join('')}`;
+}
+
+/**
+ * Convert a Figma color (0-1 channels) into a CSS rgba() string
+ * @param {Object} color - Figma color { r, g, b, a }
+ * @param {number} opacity - Extra opacity multiplier (paint or layer opacity)
+ * @returns {string|null} CSS rgba() color
+ */
+export function figmaColorToRgba(color, opacity = 1) {
+  if (!color) {
+    return null;
+  }
+
+  const alpha = roundAlpha((color.a ?? 1) * opacity);
+  return `rgba(${toByte(color.r)}, ${toByte(color.g)}, ${toByte(color.b)}, ${alpha})`;
+}
+
+/**
+ * Resolve a FILL style from the paints of a node using it
+ */
+function resolveFillValue(paints = []) {
+  const visible = paints.filter((paint) => paint.visible !== false);
+  const solid = visible.find((paint) => paint.type === 'SOLID');
+
+  return {
+    type: visible[0]?.type || null,
+    color: solid ? { ...solid.color, a: (solid.color?.a ?? 1) * (solid.opacity ?? 1) } : null,
+    hex: solid ? figmaColorToHex(solid.color, solid.opacity ?? 1) : null,
+    rgba: solid ? figmaColorToRgba(solid.color, solid.opacity ?? 1) : null,
+    paints: visible,
+  };
+}
+
+/**
+ * Resolve a TEXT style from the type style of a node using it
+ */
+function resolveTextValue(style = {}) {
+  return {
+    fontFamily: style.fontFamily ?? null,
+    fontPostScriptName: style.fontPostScriptName ?? null,
+    fontWeight: style.fontWeight ?? null,
+    fontSize: style.fontSize ?? null,
+    italic: Boolean(style.italic),
+    lineHeightPx: style.lineHeightPx ?? null,
+    lineHeightPercentFontSize: style.lineHeightPercentFontSize ?? null,
+    lineHeightUnit: style.lineHeightUnit ?? null,
+    letterSpacing: style.letterSpacing ?? 0,
+    textCase: style.textCase ?? 'ORIGINAL',
+    textDecoration: style.textDecoration ?? 'NONE',
+    textAlignHorizontal: style.textAlignHorizontal ?? null,
+  };
+}
+
+/**
+ * Resolve an EFFECT style from the effects of a node using it
+ */
+function resolveEffectValue(effects = []) {
+  return {
+    effects: effects
+      .filter((effect) => effect.visible !== false)
+      .map((effect) => ({
+        type: effect.type,
+        color: effect.color ? figmaColorToRgba(effect.color) : null,
+        offset: effect.offset ? { x: effect.offset.x, y: effect.offset.y } : null,
+        radius: effect.radius ?? 0,
+        spread: effect.spread ?? 0,
+      })),
+  };
+}
+
+/**
+ * Resolve a GRID style from the layout grids of a node using it
+ */
+function resolveGridValue(layoutGrids = []) {
+  return {
+    grids: layoutGrids
+      .filter((grid) => grid.visible !== false)
+      .map((grid) => ({
+        pattern: grid.pattern,
+        alignment: grid.alignment ?? null,
+        count: grid.count ?? null,
+        sectionSize: grid.sectionSize ?? null,
+        gutterSize: grid.gutterSize ?? 0,
+        offset: grid.offset ?? 0,
+        color: grid.color ? figmaColorToRgba(grid.color) : null,
+      })),
+  };
+}
+
+/**
+ * Resolve the concrete value of a style from a node that references it
+ * @param {string} styleType - FILL, TEXT, EFFECT or GRID
+ * @param {string} referenceKey - Key used in node.styles (fill, stroke, text...)
+ * @param {Object} node - Figma node using the style
+ * @returns {Object|null} Resolved value
+ */
+export function resolveStyleValue(styleType, referenceKey, node) {
+  switch (styleType) {
+    case 'FILL':
+      return resolveFillValue(referenceKey.startsWith('stroke') ? node.strokes : node.fills);
+    case 'TEXT':
+      return resolveTextValue(node.style);
+    case 'EFFECT':
+      return resolveEffectValue(node.effects);
+    case 'GRID':
+      return resolveGridValue(node.layoutGrids);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Resolve the value of a style from the node that defines it (as returned by the nodes
+ * endpoint for the style's node ID), for styles no document node uses
+ * @param {string} styleType - FILL, TEXT, EFFECT or GRID
+ * @param {Object} node - Style node
+ * @returns {Object|null} Resolved value
+ */
+export function resolveStyleNodeValue(styleType, node) {
+  return node ? resolveStyleValue(styleType, 'fills', node) : null;
+}
+
+/**
+ * Walk the document and resolve the value of every referenced style.
+ * The first node found using a style is taken as its source of truth.
+ * @param {Object} fileData - Figma file data
+ * @returns {Object} Map of style ID to resolved value
+ */
+export function resolveStyleValues(fileData) {
+  const values = {};
+  const stack = fileData?.document ? [fileData.document] : [];
+
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (!node) {
+      continue;
+    }
+
+    Object.entries(node.styles || {}).forEach(([referenceKey, styleId]) => {
+      const styleType = STYLE_REFERENCE_KEYS[referenceKey];
+      if (styleType && !values[styleId]) {
+        values[styleId] = resolveStyleValue(styleType, referenceKey, node);
+      }
+    });
+
+    if (node.children) {
+      stack.push(...[...node.children].reverse());
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Map the style references of a node to style names
+ * @param {Object} node - Figma node
+ * @param {Object} styleDefinitions - fileData.styles (style ID to metadata)
+ * @returns {Object|null} Map of reference key (fill, stroke, text...) to style name
+ */
+export function getStyleReferences(node, styleDefinitions = {}) {
+  if (!node?.styles) {
+    return null;
+  }
+
+  const references = {};
+  Object.entries(node.styles).forEach(([referenceKey, styleId]) => {
+    const definition = styleDefinitions[styleId];
+    if (definition) {
+      references[referenceKey.replace(/s$/, '')] = definition.name;
+    }
+  });
+
+  return Object.keys(references).length > 0 ? references : null;
+}
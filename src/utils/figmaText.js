@@ -0,0 +1,216 @@
+/**
+ * Figma rich text parsing: styled spans, hyperlinks, lists and the typography details
+ * (letter spacing, line height, case, decoration and truncation) of TEXT nodes
+ */
+import { figmaColorToRgba } from './figmaStyles.js';
+
+const TEXT_CASE = {
+  UPPER: { textTransform: 'uppercase' },
+  LOWER: { textTransform: 'lowercase' },
+  TITLE: { textTransform: 'capitalize' },
+  SMALL_CAPS: { fontVariant: 'small-caps' },
+  SMALL_CAPS_FORCED: { fontVariant: 'all-small-caps' },
+};
+
+const TEXT_DECORATION = {
+  UNDERLINE: 'underline',
+  STRIKETHROUGH: 'line-through',
+};
+
+const LIST_TYPES = {
+  ORDERED: 'ordered',
+  UNORDERED: 'unordered',
+};
+
+// Typography handled by the layer itself (font, size, weight and fill color)
+const LAYER_PROPERTIES = ['fontFamily', 'fontSize', 'fontWeight', 'color'];
+
+// Values that undo a layer declaration a span does not share
+const RESET_VALUES = {
+  fontStyle: 'normal',
+  letterSpacing: 'normal',
+  textDecoration: 'none',
+  textTransform: 'none',
+  fontVariant: 'normal',
+};
+
+const BOLD_WEIGHT = 600;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const px = (value) => `${round(value)}px`;
+
+/**
+ * CSS line height of a type style (unitless when relative to the font size)
+ */
+function lineHeightCss(style) {
+  if (style.lineHeightUnit === 'INTRINSIC_%') {
+    return null;
+  }
+  if (style.lineHeightUnit === 'FONT_SIZE_%' && style.lineHeightPercentFontSize) {
+    return String(round(style.lineHeightPercentFontSize / 100));
+  }
+  return style.lineHeightPx ? px(style.lineHeightPx) : null;
+}
+
+/**
+ * CSS declarations (camelCase keys) of a Figma type style
+ * @param {Object} style - Figma type style
+ * @returns {Object}
+ */
+export function typeStyleCss(style = {}) {
+  const solid = (style.fills || []).find(
+    (fill) => fill?.type === 'SOLID' && fill.visible !== false
+  );
+  const css = {
+    fontFamily: style.fontFamily ? `'${style.fontFamily}'` : null,
+    fontSize: style.fontSize ? px(style.fontSize) : null,
+    fontWeight: style.fontWeight ? String(style.fontWeight) : null,
+    fontStyle: style.italic ? 'italic' : null,
+    letterSpacing: style.letterSpacing ? px(style.letterSpacing) : null,
+    lineHeight: lineHeightCss(style),
+    textDecoration: TEXT_DECORATION[style.textDecoration] || null,
+    color: solid ? figmaColorToRgba(solid.color, solid.opacity ?? 1) : null,
+    ...TEXT_CASE[style.textCase],
+  };
+  return Object.fromEntries(Object.entries(css).filter(([, value]) => value !== null));
+}
+
+/**
+ * CSS that clips a text layer truncated with an ellipsis
+ */
+function truncationCss(style) {
+  if (style.textTruncation !== 'ENDING') {
+    return {};
+  }
+  if (style.maxLines > 1) {
+    return {
+      display: '-webkit-box',
+      WebkitBoxOrient: 'vertical',
+      WebkitLineClamp: String(style.maxLines),
+      overflow: 'hidden',
+    };
+  }
+  return { overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' };
+}
+
+/**
+ * Hyperlink of a type style ({ url } or { nodeId }), or null
+ */
+function hyperlink(style) {
+  if (style?.hyperlink?.type === 'URL' && style.hyperlink.url) {
+    return { url: style.hyperlink.url };
+  }
+  if (style?.hyperlink?.type === 'NODE' && style.hyperlink.nodeID) {
+    return { nodeId: style.hyperlink.nodeID };
+  }
+  return null;
+}
+
+/**
+ * Describe a run of characters sharing a style override, relative to the layer style.
+ * Heavier weights and italics are flagged as bold and italic; other differences are kept as CSS.
+ */
+function describeSpan(text, base, override) {
+  const span = { text };
+  const link = override && 'hyperlink' in override ? hyperlink(override) : hyperlink(base);
+  if (link) {
+    span.link = link;
+  }
+  if (!override) {
+    return span;
+  }
+
+  const baseCss = typeStyleCss(base);
+  const css = typeStyleCss({ ...base, ...override });
+  const weight = override.fontWeight ?? base.fontWeight ?? 400;
+  if (weight >= BOLD_WEIGHT && (base.fontWeight ?? 400) < BOLD_WEIGHT) {
+    span.bold = true;
+    delete css.fontWeight;
+  }
+  if (override.italic && !base.italic) {
+    span.italic = true;
+    delete css.fontStyle;
+  }
+
+  const changed = Object.fromEntries(
+    Object.entries(css).filter(([property, value]) => baseCss[property] !== value)
+  );
+  Object.keys(RESET_VALUES)
+    .filter((property) => baseCss[property] && !css[property])
+    .forEach((property) => {
+      changed[property] = RESET_VALUES[property];
+    });
+  if (Object.keys(changed).length > 0) {
+    span.css = changed;
+  }
+  return span;
+}
+
+/**
+ * Normalized rich text of a TEXT node. The characters are split into paragraphs (one per
+ * line, with its list type and indentation) made of spans of equally styled characters.
+ * @param {Object} node - Figma TEXT node
+ * @returns {Object|null} Text ({ css, maxLines?, paragraphs }), or null for other nodes
+ */
+export function extractText(node) {
+  if (node?.type !== 'TEXT') {
+    return null;
+  }
+
+  // The layer fills color the characters without an override
+  const base = { ...node.style, fills: node.style?.fills || node.fills };
+  const overrides = node.characterStyleOverrides || [];
+  const table = node.styleOverrideTable || {};
+  const characters = node.characters || '';
+
+  let offset = 0;
+  const paragraphs = characters.split('\n').map((line, index) => {
+    const spans = [];
+    let start = 0;
+    for (let i = 1; i <= line.length; i += 1) {
+      const id = overrides[offset + start] ?? 0;
+      if (i === line.length || (overrides[offset + i] ?? 0) !== id) {
+        spans.push(describeSpan(line.slice(start, i), base, id ? table[id] : null));
+        start = i;
+      }
+    }
+    offset += line.length + 1;
+
+    const paragraph = { spans };
+    const list = LIST_TYPES[node.lineTypes?.[index]];
+    if (list) {
+      paragraph.list = list;
+      paragraph.indent = node.lineIndentations?.[index] ?? 0;
+    }
+    return paragraph;
+  });
+
+  const css = {
+    ...Object.fromEntries(
+      Object.entries(typeStyleCss(base)).filter(
+        ([property]) => !LAYER_PROPERTIES.includes(property)
+      )
+    ),
+    ...truncationCss(base),
+  };
+
+  const text = { css, paragraphs };
+  if (base.textTruncation === 'ENDING') {
+    text.maxLines = base.maxLines || 1;
+  }
+  return text;
+}
+
+/**
+ * Whether a text needs more than a single plain paragraph: styled spans, links or lists
+ * @param {Object} text - Output of extractText
+ * @returns {boolean}
+ */
+export function isRichText(text) {
+  return (text?.paragraphs || []).some(
+    (paragraph) =>
+      paragraph.list ||
+      paragraph.spans.some((span) => span.bold || span.italic || span.link || span.css)
+  );
+}
@@ -0,0 +1,232 @@
+/**
+ * Figma Variables: collections, modes and the variables bound to node properties
+ */
+import { figmaColorToHex } from './figmaStyles.js';
+
+/**
+ * Node properties that can be bound to a variable, and the CSS property they back
+ */
+const BOUND_PROPERTIES = {
+  itemSpacing: 'gap',
+  counterAxisSpacing: 'rowGap',
+  paddingTop: 'paddingTop',
+  paddingRight: 'paddingRight',
+  paddingBottom: 'paddingBottom',
+  paddingLeft: 'paddingLeft',
+  width: 'width',
+  height: 'height',
+  minWidth: 'minWidth',
+  maxWidth: 'maxWidth',
+  minHeight: 'minHeight',
+  maxHeight: 'maxHeight',
+  opacity: 'opacity',
+  fontFamily: 'fontFamily',
+  fontSize: 'fontSize',
+  fontWeight: 'fontWeight',
+  lineHeight: 'lineHeight',
+  letterSpacing: 'letterSpacing',
+};
+
+const CORNER_PROPERTIES = [
+  'topLeftRadius',
+  'topRightRadius',
+  'bottomRightRadius',
+  'bottomLeftRadius',
+];
+
+// Number variables scoped only to these properties have no unit
+const UNITLESS_SCOPES = ['FONT_WEIGHT'];
+
+/**
+ * Turn a Figma name segment into a CSS identifier segment
+ */
+function toSegment(name) {
+  return String(name)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Entries of a map or list keyed by ID
+ */
+function byId(items) {
+  if (Array.isArray(items)) {
+    return Object.fromEntries(items.filter((item) => item?.id).map((item) => [item.id, item]));
+  }
+  return items && typeof items === 'object' ? items : {};
+}
+
+/**
+ * Token path of a variable: its web code syntax when the designer set one
+ * ("var(--color-bg)"), otherwise its name split on slashes ("Color/Background")
+ */
+function variablePath(variable) {
+  const web = String(variable.codeSyntax?.WEB || '').match(/--([a-zA-Z0-9_-]+)/);
+  if (web) {
+    return [web[1]];
+  }
+  return String(variable.name || variable.id)
+    .split('/')
+    .map(toSegment)
+    .filter((segment) => segment.length > 0);
+}
+
+/**
+ * Normalize the variables of a file, as returned by GET /v1/files/:key/variables/local
+ * or exported to JSON in the same shape (with or without the `meta` wrapper, variables and
+ * collections as maps or lists).
+ * @param {Object} data - Variables response or exported variables JSON
+ * @returns {Object|null} { collections, variables } keyed by ID, or null when there are none.
+ *   Collections hold their `modes` ({ modeId, name, slug }) and `defaultModeId`; variables
+ *   their `path`, `cssName`, `resolvedType`, `scopes` and raw `valuesByMode`.
+ */
+export function parseVariables(data) {
+  const meta = data?.meta || data;
+  const rawCollections = byId(meta?.variableCollections);
+  const rawVariables = byId(meta?.variables);
+
+  if (Object.keys(rawVariables).length === 0) {
+    return null;
+  }
+
+  const collections = Object.fromEntries(
+    Object.values(rawCollections).map((collection) => {
+      const modes = (collection.modes || []).map((mode) => ({
+        modeId: mode.modeId,
+        name: mode.name,
+        slug: toSegment(mode.name) || mode.modeId,
+      }));
+      return [
+        collection.id,
+        {
+          id: collection.id,
+          name: collection.name,
+          modes,
+          defaultModeId: collection.defaultModeId || modes[0]?.modeId,
+        },
+      ];
+    })
+  );
+
+  const variables = Object.fromEntries(
+    Object.values(rawVariables).map((variable) => {
+      const path = variablePath(variable);
+      return [
+        variable.id,
+        {
+          id: variable.id,
+          name: variable.name,
+          collectionId: variable.variableCollectionId,
+          resolvedType: variable.resolvedType,
+          scopes: variable.scopes || [],
+          description: variable.description || undefined,
+          valuesByMode: variable.valuesByMode || {},
+          path,
+          cssName: path.join('-'),
+        },
+      ];
+    })
+  );
+
+  return { collections, variables };
+}
+
+/**
+ * Value of a variable in one mode: a reference to another variable ({ alias: variable }),
+ * a CSS-ready value, or null when it has none (booleans, unknown aliases)
+ * @param {Object} variable - Normalized variable
+ * @param {string} modeId - Mode of the variable's collection
+ * @param {Object} variableSet - Output of parseVariables
+ * @returns {Object|string|number|null}
+ */
+export function variableModeValue(variable, modeId, variableSet) {
+  const value = variable.valuesByMode[modeId];
+
+  if (value?.type === 'VARIABLE_ALIAS') {
+    const target = variableSet.variables[value.id];
+    return target ? { alias: target } : null;
+  }
+
+  switch (variable.resolvedType) {
+    case 'COLOR':
+      return value && typeof value === 'object' ? figmaColorToHex(value) : null;
+    case 'FLOAT':
+      if (typeof value !== 'number') {
+        return null;
+      }
+      if (variable.scopes.length > 0 && variable.scopes.every((scope) => scope === 'OPACITY')) {
+        return `${value}%`;
+      }
+      if (
+        variable.scopes.length > 0 &&
+        variable.scopes.every((scope) => UNITLESS_SCOPES.includes(scope))
+      ) {
+        return value;
+      }
+      return `${Math.round(value * 100) / 100}px`;
+    case 'STRING':
+      return typeof value === 'string' ? value : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * ID of the variable a binding points at (bindings of text ranges are lists)
+ */
+function aliasId(binding) {
+  const alias = Array.isArray(binding) ? binding[0] : binding;
+  return alias?.type === 'VARIABLE_ALIAS' ? alias.id : null;
+}
+
+/**
+ * Variable bound to the color of a paint list, when it is a single visible solid paint
+ */
+function boundPaintVariable(paints = [], bindings = []) {
+  const visible = paints
+    .map((paint, index) => ({ paint, index }))
+    .filter(({ paint }) => paint.visible !== false);
+  if (visible.length !== 1 || visible[0].paint.type !== 'SOLID') {
+    return null;
+  }
+  const { paint, index } = visible[0];
+  return aliasId(paint.boundVariables?.color) || aliasId(bindings[index]);
+}
+
+/**
+ * Map the node properties bound to variables to the CSS custom property of each variable
+ * @param {Object} node - Figma node
+ * @param {Object|null} variableSet - Output of parseVariables
+ * @returns {Object|null} Map of CSS property (fill, stroke, gap, paddingTop, borderRadius,
+ *   fontSize...) to CSS custom property name (without leading dashes), or null
+ */
+export function getBoundVariables(node, variableSet) {
+  if (!node || !variableSet) {
+    return null;
+  }
+
+  const bound = node.boundVariables || {};
+  const bindings = {};
+  const bind = (property, id) => {
+    const variable = id && variableSet.variables[id];
+    if (variable) {
+      bindings[property] = variable.cssName;
+    }
+  };
+
+  bind('fill', boundPaintVariable(node.fills, bound.fills));
+  bind('stroke', boundPaintVariable(node.strokes, bound.strokes));
+  Object.entries(BOUND_PROPERTIES).forEach(([key, property]) =>
+    bind(property, aliasId(bound[key]))
+  );
+
+  // One radius variable on every corner is a border radius
+  const corners = CORNER_PROPERTIES.map((key) => aliasId(bound[key]));
+  if (corners[0] && corners.every((id) => id === corners[0])) {
+    bind('borderRadius', corners[0]);
+  }
+
+  return Object.keys(bindings).length > 0 ? bindings : null;
+}
@@ -0,0 +1,143 @@
+/**
+ * Hidden layers, masks and clipping of Figma nodes (hidden or fully transparent layers,
+ * mask layers clipping the layers above them, frames clipping their content) as
+ * CSS-ready values
+ */
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const px = (value) => `${round(value)}px`;
+
+// Mask shapes clip-path draws exactly; other shapes are clipped to their bounding box
+const EXACT_MASK_SHAPES = ['RECTANGLE', 'FRAME', 'COMPONENT', 'INSTANCE', 'ELLIPSE'];
+
+/**
+ * Whether a layer draws nothing: hidden in Figma or fully transparent
+ */
+export function isHidden(node) {
+  return node?.visible === false || node?.opacity === 0;
+}
+
+/**
+ * Whether a layer is rendered: mask layers never are, and hidden layers only with
+ * includeHidden or when a boolean component prop toggles them
+ * @param {Object} node - Figma node
+ * @param {Object} options - { includeHidden }
+ */
+export function isRendered(node, { includeHidden = false } = {}) {
+  if (!node || node.isMask) {
+    return false;
+  }
+  return includeHidden || !isHidden(node) || Boolean(node.componentPropertyReferences?.visible);
+}
+
+/**
+ * Corner radii of a mask shape (one value, or top-left, top-right, bottom-right, bottom-left)
+ */
+function cornerRadii(node) {
+  const radii = node.rectangleCornerRadii || [node.cornerRadius || 0];
+  return radii.some((radius) => radius > 0) ? radii : [];
+}
+
+/**
+ * CSS of a mask layer, relative to the box of the layer holding it: overflow hidden when
+ * the mask covers the whole box, otherwise an inset (rectangles, rounded or not) or
+ * ellipse clip-path
+ * @param {Object} mask - Mask node
+ * @param {Object} parentBox - absoluteBoundingBox of the layer holding the mask
+ * @returns {Object} CSS declarations (camelCase keys), empty without geometry
+ */
+export function maskToCss(mask, parentBox) {
+  const box = mask.absoluteBoundingBox;
+  if (!box || !parentBox) {
+    return {};
+  }
+
+  const top = box.y - parentBox.y;
+  const left = box.x - parentBox.x;
+  const right = parentBox.x + parentBox.width - (box.x + box.width);
+  const bottom = parentBox.y + parentBox.height - (box.y + box.height);
+
+  if (mask.type === 'ELLIPSE') {
+    const center = `${px(left + box.width / 2)} ${px(top + box.height / 2)}`;
+    return { clipPath: `ellipse(${px(box.width / 2)} ${px(box.height / 2)} at ${center})` };
+  }
+
+  const radii = cornerRadii(mask);
+  const insets = [top, right, bottom, left].map((inset) => Math.max(round(inset), 0));
+  if (radii.length === 0 && insets.every((inset) => inset === 0)) {
+    return { overflow: 'hidden' };
+  }
+  const corners = radii.length > 0 ? ` round ${radii.map(px).join(' ')}` : '';
+  return { clipPath: `inset(${insets.map(px).join(' ')}${corners})` };
+}
+
+/**
+ * Masks of a layer's children. A mask layer clips the layers above it (after it in
+ * `children`) up to the next mask; a hidden mask clips nothing.
+ * @param {Object} node - Figma node holding the masks
+ * @returns {Array} [{ id, name, type, shape, nodes, css, approximate }]: type is the Figma
+ *   mask type (ALPHA, VECTOR or LUMINANCE) and nodes the IDs of the clipped layers.
+ *   Approximate masks (vector shapes, luminance) are clipped to the mask's bounds.
+ */
+export function extractMasks(node) {
+  const masks = [];
+  (node?.children || []).forEach((child) => {
+    if (!child) {
+      return;
+    }
+    if (child.isMask) {
+      if (!isHidden(child)) {
+        masks.push({
+          id: child.id,
+          name: child.name,
+          type: child.maskType || 'ALPHA',
+          shape: child.type,
+          nodes: [],
+          css: maskToCss(child, node.absoluteBoundingBox),
+          approximate: !EXACT_MASK_SHAPES.includes(child.type) || child.maskType === 'LUMINANCE',
+        });
+      }
+      return;
+    }
+    masks[masks.length - 1]?.nodes.push(child.id);
+  });
+  return masks.filter((mask) => mask.nodes.length > 0);
+}
+
+/**
+ * Clipping of a layer: frames with `clipsContent` hide what overflows them, and masks clip
+ * the layers above them. A single mask clipping every rendered child is applied to the
+ * layer itself (scope 'parent', merged into css); other masks (scope 'nodes') keep their
+ * css, relative to the layer, for an element wrapping only the layers they clip.
+ * @param {Object} node - Figma node
+ * @param {Object} options - { includeHidden } (see isRendered)
+ * @returns {Object|null} { clipsContent, masks, css }, or null when the node clips nothing
+ */
+export function extractClipping(node, options = {}) {
+  const clipping = {};
+  const css = {};
+
+  if (typeof node?.clipsContent === 'boolean') {
+    clipping.clipsContent = node.clipsContent;
+    if (node.clipsContent) {
+      css.overflow = 'hidden';
+    }
+  }
+
+  const masks = extractMasks(node);
+  if (masks.length > 0) {
+    const rendered = node.children.filter((child) => isRendered(child, options));
+    const [mask] = masks;
+    const clipsAll = masks.length === 1 && rendered.every((child) => mask.nodes.includes(child.id));
+    masks.forEach((candidate) => {
+      candidate.scope = clipsAll ? 'parent' : 'nodes';
+    });
+    if (clipsAll) {
+      Object.assign(css, mask.css);
+    }
+    clipping.masks = masks;
+  }
+
+  return Object.keys(clipping).length > 0 ? { ...clipping, css } : null;
+}
@@ -0,0 +1,37 @@
+/**
+ * Streaming JSON parsing of HTTP response bodies
+ */
+import streamJson from 'stream-json';
+import Assembler from 'stream-json/Assembler.js';
+
+const { parser } = streamJson;
+
+/**
+ * Whether a value is a readable stream
+ */
+export function isReadableStream(value) {
+  return Boolean(value) && typeof value.pipe === 'function' && typeof value.on === 'function';
+}
+
+/**
+ * Parse a JSON response body as it streams in. The raw text is tokenized chunk by chunk and
+ * never held in memory as a whole, so only the parsed value counts against the heap (and
+ * bodies larger than the maximum string length can be read). Bodies that are already
+ * parsed are returned as they are.
+ * @param {Object|import('stream').Readable} body - Response body (axios responseType 'stream')
+ * @returns {Promise<*>} Parsed value
+ */
+export function parseJsonStream(body) {
+  if (!isReadableStream(body)) {
+    return Promise.resolve(body);
+  }
+
+  return new Promise((resolve, reject) => {
+    const tokens = body.pipe(parser());
+    const assembler = Assembler.connectTo(tokens);
+
+    body.on('error', reject);
+    tokens.on('error', reject);
+    tokens.on('end', () => resolve(assembler.current));
+  });
+}
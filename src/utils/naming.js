@@ -0,0 +1,51 @@
+/**
+ * Identifiers derived from Figma layer names, and unique names within a scope
+ */
+
+/**
+ * Convert a layer name into a PascalCase identifier
+ */
+export function toPascalCase(name) {
+  const words = String(name || '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean);
+  const identifier = words.map((word) => word[0].toUpperCase() + word.slice(1)).join('');
+
+  if (!identifier) {
+    return 'Component';
+  }
+  return /^[0-9]/.test(identifier) ? `Component${identifier}` : identifier;
+}
+
+/**
+ * Convert a layer name into a kebab-case identifier
+ */
+export function toKebabCase(name) {
+  const kebab = String(name || '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  if (!kebab) {
+    return 'element';
+  }
+  return /^[0-9]/.test(kebab) ? `el-${kebab}` : kebab;
+}
+
+/**
+ * Reserve a unique name, suffixing a counter on collisions (Button, Button2)
+ * @param {Set} used - Names taken so far in the scope; the reserved name is added
+ * @param {string} name - Wanted name
+ * @param {string} separator - Put before the counter (e.g. '-' for kebab-case names)
+ * @returns {string} Unique name
+ */
+export function reserve(used, name, separator = '') {
+  let candidate = name;
+  for (let counter = 2; used.has(candidate); counter += 1) {
+    candidate = `${name}${separator}${counter}`;
+  }
+  used.add(candidate);
+  return candidate;
+}
@@ -0,0 +1,92 @@
+/**
+ * Chunks of extracted components that each fit a prompt's token budget: top-level frames
+ * are packed together up to the budget, and frames too large on their own are split into
+ * subtrees generated as components of their own, before the frames that use them
+ */
+import { reserve, toPascalCase } from './naming.js';
+
+// Rough size of a token in characters of JSON
+const CHARS_PER_TOKEN = 4;
+
+// Smallest budget left for components once the shared context is counted
+const MIN_CHUNK_TOKENS = 1000;
+
+/**
+ * Estimated number of tokens of a value serialized as in the prompt (indented JSON)
+ */
+export function estimateTokens(value) {
+  return Math.ceil((JSON.stringify(value, null, 2) || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Node made to fit the budget: its largest containers, deepest first, become units of their
+ * own (pushed to units before the node that uses them) and are replaced by references
+ * ({ id, name, type, ref }) to the component generated from them
+ */
+function splitNode(node, budget, frameId, names, units) {
+  let tokens = estimateTokens(node);
+  if (tokens <= budget) {
+    return node;
+  }
+
+  const children = [...(node.children || [])];
+  const containers = children
+    .map((child, index) => ({ child, index }))
+    .filter(({ child }) => child?.children?.length > 0)
+    .map((entry) => ({ ...entry, tokens: estimateTokens(entry.child) }))
+    .sort((a, b) => b.tokens - a.tokens);
+
+  for (const { child, index, tokens: childTokens } of containers) {
+    if (tokens <= budget) {
+      break;
+    }
+    const name = reserve(names, toPascalCase(child.name));
+    const split = { ...splitNode(child, budget, frameId, names, units), componentName: name };
+    units.push({ frameId, name, node: split, oversized: estimateTokens(split) > budget });
+
+    children[index] = { id: child.id, name: child.name, type: child.type, ref: name };
+    // Children are indented deeper inside the node, so this undercounts what was saved
+    tokens -= childTokens - estimateTokens(children[index]);
+  }
+
+  return { ...node, children };
+}
+
+/**
+ * Split the components of a generation request into chunks that fit a token budget.
+ * Everything besides the components (styles, variables, shared components...) is context
+ * sent with every chunk. Units keep the order they must be generated in: the subtrees split
+ * out of a frame come before it, deepest first.
+ * @param {Object} componentsData - { components, ...context }
+ * @param {number} maxTokens - Budget of a chunk, context included
+ * @returns {Object} { context, budget, chunks: [{ units, tokens }] }: units are
+ *   { frameId, name, node, oversized }, where name is set for split subtrees (and node
+ *   carries it as componentName) and oversized flags a node still over the budget
+ */
+export function planChunks(componentsData, maxTokens) {
+  const { components, ...context } = componentsData || {};
+  const roots = (Array.isArray(components) ? components : []).filter(Boolean);
+  const budget = Math.max(maxTokens - estimateTokens(context), MIN_CHUNK_TOKENS);
+
+  const names = new Set(roots.map((root) => toPascalCase(root.name)));
+  const units = [];
+  roots.forEach((root) => {
+    const node = splitNode(root, budget, root.id, names, units);
+    units.push({ frameId: root.id, name: null, node, oversized: estimateTokens(node) > budget });
+  });
+
+  // Consecutive units share a chunk while they fit
+  const chunks = [];
+  units.forEach((unit) => {
+    const tokens = estimateTokens(unit.node);
+    const last = chunks[chunks.length - 1];
+    if (last && last.tokens + tokens <= budget) {
+      last.units.push(unit);
+      last.tokens += tokens;
+    } else {
+      chunks.push({ units: [unit], tokens });
+    }
+  });
+
+  return { context, budget, chunks };
+}
@@ -1,6 +1,7 @@
 /**
  * Validation utilities
  */
+import { DEFAULT_BREAKPOINTS } from './figmaBreakpoints.js';
 
 /**
  * Validate required fields in request body
@@ -37,6 +38,170 @@ export function validateAIProvider(provider) {
   return provider || 'github';
 }
 
+/**
+ * Validate code generator
+ */
+export function validateGenerator(generator) {
+  const validGenerators = ['ai', 'template'];
+
+  if (generator && !validGenerators.includes(generator)) {
+    throw new Error(`Invalid generator. Must be one of: ${validGenerators.join(', ')}`);
+  }
+
+  return generator || 'ai';
+}
+
+/**
+ * Validate extraction output format
+ */
+export function validateOutputFormat(format) {
+  const validFormats = ['json', 'source'];
+
+  if (format && !validFormats.includes(format)) {
+    throw new Error(`Invalid output format. Must be one of: ${validFormats.join(', ')}`);
+  }
+
+  return format || 'json';
+}
+
+/**
+ * Validate bitmap format of exported images
+ */
+export function validateImageFormat(format) {
+  const validFormats = ['png', 'jpg'];
+
+  if (format && !validFormats.includes(format)) {
+    throw new Error(`Invalid image format. Must be one of: ${validFormats.join(', ')}`);
+  }
+
+  return format || 'png';
+}
+
+/**
+ * Validate array of image export scales (Figma accepts 0.01 to 4)
+ */
+export function validateImageScales(scales) {
+  if (scales === undefined || scales === null) {
+    return [1];
+  }
+
+  if (!Array.isArray(scales) || scales.length === 0) {
+    throw new Error('Image scales must be a non-empty array');
+  }
+
+  scales.forEach((scale) => {
+    if (typeof scale !== 'number' || scale < 0.01 || scale > 4) {
+      throw new Error('Invalid image scale. Must be a number between 0.01 and 4');
+    }
+  });
+
+  return [...new Set(scales)];
+}
+
+/**
+ * Validate responsive breakpoints: names mapped to minimum viewport widths in pixels
+ */
+export function validateBreakpoints(breakpoints) {
+  if (breakpoints === undefined || breakpoints === null) {
+    return { ...DEFAULT_BREAKPOINTS };
+  }
+
+  if (typeof breakpoints !== 'object' || Array.isArray(breakpoints)) {
+    throw new Error('Breakpoints must be an object mapping names to minimum widths');
+  }
+
+  const entries = Object.entries(breakpoints);
+  if (entries.length < 2) {
+    throw new Error('At least two breakpoints are required');
+  }
+
+  entries.forEach(([, minWidth]) => {
+    if (!Number.isInteger(minWidth) || minWidth < 0) {
+      throw new Error('Invalid breakpoint. Minimum widths must be non-negative integers');
+    }
+  });
+
+  return Object.fromEntries(entries);
+}
+
+/**
+ * Validate the kind of query responsive styles are written with
+ */
+export function validateResponsiveQuery(query) {
+  const validQueries = ['media', 'container'];
+
+  if (query && !validQueries.includes(query)) {
+    throw new Error(`Invalid responsive query. Must be one of: ${validQueries.join(', ')}`);
+  }
+
+  return query || 'media';
+}
+
+/**
+ * Validate an exported Figma variables JSON (the variables/local response, with or without
+ * its `meta` wrapper)
+ */
+export function validateVariablesJson(json) {
+  if (json === undefined || json === null) {
+    return null;
+  }
+
+  const meta = json?.meta || json;
+  if (typeof json !== 'object' || Array.isArray(json) || typeof meta.variables !== 'object') {
+    throw new Error(
+      'Invalid variables JSON. Expected the Figma variables/local response with variables and variableCollections'
+    );
+  }
+
+  return json;
+}
+
+/**
+ * Validate page and frame filters: `include` and `exclude` objects whose `pages`, `frames`
+ * and `sections` hold name globs and `types` Figma node types (a single string is a list
+ * of one). Types are upper-cased.
+ */
+export function validateExtractionFilters(filters) {
+  if (filters === undefined || filters === null) {
+    return null;
+  }
+
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    throw new Error('Filters must be an object with include and/or exclude');
+  }
+
+  const unknown = Object.keys(filters).filter((key) => !['include', 'exclude'].includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid filters key: ${unknown.join(', ')}. Use include and exclude`);
+  }
+
+  const validFields = ['pages', 'frames', 'types', 'sections'];
+  const validated = {};
+  ['include', 'exclude'].forEach((key) => {
+    const rules = filters[key];
+    if (rules === undefined || rules === null) {
+      return;
+    }
+    if (typeof rules !== 'object' || Array.isArray(rules)) {
+      throw new Error(`Filters ${key} must be an object`);
+    }
+
+    validated[key] = {};
+    Object.entries(rules).forEach(([field, value]) => {
+      if (!validFields.includes(field)) {
+        throw new Error(`Invalid filter field. Must be one of: ${validFields.join(', ')}`);
+      }
+      const values = [].concat(value);
+      if (values.some((item) => typeof item !== 'string' || item.trim() === '')) {
+        throw new Error(`Filters ${key}.${field} must be a list of non-empty strings`);
+      }
+      validated[key][field] = field === 'types' ? values.map((type) => type.toUpperCase()) : values;
+    });
+  });
+
+  return validated;
+}
+
 /**
  * Validate array of frameworks
  */
@@ -48,6 +213,29 @@ export function validateFrameworks(frameworks) {
   frameworks.forEach((framework) => validateFramework(framework));
 }
 
+/**
+ * Validate array of design token formats
+ */
+export function validateTokenFormats(formats) {
+  const validFormats = ['dtcg', 'style-dictionary', 'css', 'scss', 'tailwind'];
+
+  if (formats === undefined || formats === null) {
+    return validFormats;
+  }
+
+  if (!Array.isArray(formats)) {
+    throw new Error('Token formats must be an array');
+  }
+
+  formats.forEach((format) => {
+    if (!validFormats.includes(format)) {
+      throw new Error(`Invalid token format. Must be one of: ${validFormats.join(', ')}`);
+    }
+  });
+
+  return formats;
+}
+
 /**
  * Sanitize file name for safe file system usage
  */
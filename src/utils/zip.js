@@ -0,0 +1,185 @@
+/**
+ * Minimal ZIP archive writer (deflate compression, UTF-8 file names), in memory or streamed
+ * one entry at a time. It has no ZIP64 extensions, so callers check zipLimitError first.
+ */
+import { promisify } from 'util';
+import zlib from 'zlib';
+
+const deflateRaw = promisify(zlib.deflateRaw);
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+  let value = index;
+  for (let bit = 0; bit < 8; bit += 1) {
+    value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+  }
+  return value >>> 0;
+});
+
+/**
+ * Most entries, and largest size or offset in bytes, an archive without the ZIP64
+ * extensions can record
+ */
+export const ZIP_LIMITS = { entries: 0xffff, bytes: 0xffffffff };
+
+const UTF8_FLAG = 0x0800;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+/**
+ * CRC-32 checksum of a buffer
+ * @param {Buffer} buffer - Data
+ * @returns {number} Unsigned checksum
+ */
+export function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Why files cannot be written to one archive (see ZIP_LIMITS), checked before anything is
+ * written. Each entry is counted at its uncompressed size, the most it takes, since an
+ * entry that deflating does not shrink is stored.
+ * @param {Array} files - Files ({ name, size })
+ * @returns {string|null} Reason, or null when the archive fits
+ */
+export function zipLimitError(files) {
+  if (files.length > ZIP_LIMITS.entries) {
+    return `${files.length} files exceed the ZIP limit of ${ZIP_LIMITS.entries} entries`;
+  }
+
+  const large = files.find(({ size }) => size > ZIP_LIMITS.bytes);
+  if (large) {
+    return `${large.name} exceeds the ZIP limit of 4 GB per file`;
+  }
+
+  const total = files.reduce((sum, { name, size }) => sum + 30 + Buffer.byteLength(name) + size, 0);
+  if (total > ZIP_LIMITS.bytes) {
+    return 'The files exceed the ZIP limit of 4 GB per archive';
+  }
+  return null;
+}
+
+/**
+ * MS-DOS time and date fields of a ZIP entry
+ */
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * Local header, file name and body of an entry, with its central directory record
+ * @param {Object} entry - File ({ name, data: Buffer|string, modifiedAt?: Date })
+ * @param {number} offset - Offset of the entry in the archive
+ * @returns {Promise<Object>} { local: Buffer[], central: Buffer[], size } (size of the local
+ *   parts)
+ */
+async function entryRecords({ name, data, modifiedAt = new Date() }, offset) {
+  const fileName = Buffer.from(name, 'utf-8');
+  const content = Buffer.isBuffer(data) ? data : Buffer.from(String(data ?? ''), 'utf-8');
+  const deflated = await deflateRaw(content);
+  // Small or already compressed files are stored as they are
+  const [method, body] =
+    deflated.length < content.length ? [METHOD_DEFLATE, deflated] : [METHOD_STORE, content];
+  const checksum = crc32(content);
+  const { time, date } = toDosDateTime(modifiedAt);
+
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(0x04034b50, 0);
+  local.writeUInt16LE(20, 4);
+  local.writeUInt16LE(UTF8_FLAG, 6);
+  local.writeUInt16LE(method, 8);
+  local.writeUInt16LE(time, 10);
+  local.writeUInt16LE(date, 12);
+  local.writeUInt32LE(checksum, 14);
+  local.writeUInt32LE(body.length, 18);
+  local.writeUInt32LE(content.length, 22);
+  local.writeUInt16LE(fileName.length, 26);
+  local.writeUInt16LE(0, 28);
+
+  const central = Buffer.alloc(46);
+  central.writeUInt32LE(0x02014b50, 0);
+  central.writeUInt16LE(20, 4);
+  central.writeUInt16LE(20, 6);
+  central.writeUInt16LE(UTF8_FLAG, 8);
+  central.writeUInt16LE(method, 10);
+  central.writeUInt16LE(time, 12);
+  central.writeUInt16LE(date, 14);
+  central.writeUInt32LE(checksum, 16);
+  central.writeUInt32LE(body.length, 20);
+  central.writeUInt32LE(content.length, 24);
+  central.writeUInt16LE(fileName.length, 28);
+  central.writeUInt32LE(offset, 42);
+
+  return {
+    local: [local, fileName, body],
+    central: [central, fileName],
+    size: local.length + fileName.length + body.length,
+  };
+}
+
+/**
+ * End of central directory record
+ */
+function endRecord(count, centralSize, centralOffset) {
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(count, 8);
+  end.writeUInt16LE(count, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(centralOffset, 16);
+  return end;
+}
+
+/**
+ * Build a ZIP archive
+ * @param {Array} entries - Files ({ name, data: Buffer|string, modifiedAt?: Date })
+ * @returns {Promise<Buffer>} Archive
+ */
+export async function createZip(entries) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const { local, central, size } = await entryRecords(entry, offset);
+    localParts.push(...local);
+    centralParts.push(...central);
+    offset += size;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  return Buffer.concat([
+    ...localParts,
+    centralDirectory,
+    endRecord(entries.length, centralDirectory.length, offset),
+  ]);
+}
+
+/**
+ * Stream a ZIP archive: each entry is written as soon as it is read, so only one file's
+ * content and the central directory are held in memory
+ * @param {AsyncIterable|Iterable} entries - Files ({ name, data: Buffer|string, modifiedAt?: Date })
+ * @returns {AsyncGenerator<Buffer>} Archive chunks
+ */
+export async function* streamZip(entries) {
+  const centralParts = [];
+  let offset = 0;
+  let count = 0;
+
+  for await (const entry of entries) {
+    const { local, central, size } = await entryRecords(entry, offset);
+    yield Buffer.concat(local);
+    centralParts.push(...central);
+    offset += size;
+    count += 1;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  yield Buffer.concat([centralDirectory, endRecord(count, centralDirectory.length, offset)]);
+}
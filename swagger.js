@@ -45,6 +45,14 @@ const options = {
         name: 'Code Generation',
         description: 'Endpoints for generating frontend code',
       },
+      {
+        name: 'Design Tokens',
+        description: 'Endpoints for exporting design tokens',
+      },
+      {
+        name: 'Jobs',
+        description: 'Endpoints for tracking background extraction jobs',
+      },
     ],
     components: {
       schemas: {
@@ -59,7 +67,8 @@ const options = {
             },
             nodeId: {
               type: 'string',
-              description: 'Specific node ID to extract (optional)',
+              description:
+                'Specific node ID to extract (optional): the node itself becomes the only component, and filters and maxComponents do not apply',
               example: '15:234',
             },
             framework: {
@@ -93,6 +102,21 @@ const options = {
                   type: 'boolean',
                   default: false,
                 },
+                generator: {
+                  type: 'string',
+                  enum: ['ai', 'template'],
+                  default: 'ai',
+                  description:
+                    'Code generator: AI model or deterministic rule-based templates (no LLM required)',
+                },
+                filters: {
+                  $ref: '#/components/schemas/ExtractionFilters',
+                },
+                includeHidden: {
+                  type: 'boolean',
+                  default: false,
+                  description: 'Keep hidden and fully transparent layers, marked hidden',
+                },
               },
             },
           },
@@ -131,10 +155,65 @@ const options = {
                   type: 'boolean',
                   default: true,
                 },
+                breakpoints: {
+                  type: 'object',
+                  additionalProperties: { type: 'integer', minimum: 0 },
+                  description:
+                    'Breakpoint names mapped to minimum viewport widths in px (mobile first)',
+                  example: { mobile: 0, tablet: 768, desktop: 1280 },
+                },
+                responsiveQuery: {
+                  type: 'string',
+                  enum: ['media', 'container'],
+                  default: 'media',
+                  description: 'Write breakpoint overrides as media queries or container queries',
+                },
+                generator: {
+                  type: 'string',
+                  enum: ['ai', 'template'],
+                  default: 'ai',
+                  description:
+                    'Code generator: AI model or deterministic rule-based templates (no LLM required)',
+                },
+                filters: {
+                  $ref: '#/components/schemas/ExtractionFilters',
+                },
+                includeHidden: {
+                  type: 'boolean',
+                  default: false,
+                  description: 'Keep hidden and fully transparent layers, marked hidden',
+                },
               },
             },
           },
         },
+        ExtractionFilters: {
+          type: 'object',
+          description:
+            'Pages and top-level frames to extract. A frame is kept when it matches every include list and no exclude list; names are globs (* and ?)',
+          properties: {
+            include: { $ref: '#/components/schemas/ExtractionFilterRules' },
+            exclude: { $ref: '#/components/schemas/ExtractionFilterRules' },
+          },
+          example: { include: { pages: ['Checkout'] }, exclude: { frames: ['* / Draft'] } },
+        },
+        ExtractionFilterRules: {
+          type: 'object',
+          properties: {
+            pages: { type: 'array', items: { type: 'string' }, description: 'Page names' },
+            frames: { type: 'array', items: { type: 'string' }, description: 'Frame names' },
+            types: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Figma node types, e.g. FRAME, COMPONENT, COMPONENT_SET',
+            },
+            sections: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Names of the Figma sections frames sit in',
+            },
+          },
+        },
         ExtractResponse: {
           type: 'object',
           properties: {
@@ -213,6 +292,40 @@ const options = {
                   type: 'string',
                   example: 'github',
                 },
+                components: {
+                  type: 'object',
+                  description:
+                    'Top-level frames extracted and found (extract-design keeps at most maxComponents, 10 by default)',
+                  properties: {
+                    extracted: { type: 'integer', example: 10 },
+                    total: { type: 'integer', example: 14 },
+                    maxComponents: { type: 'integer', example: 10 },
+                    truncated: { type: 'boolean', example: true },
+                  },
+                },
+                chunks: {
+                  type: 'object',
+                  description:
+                    'Present when the AI generator split a design larger than one prompt (AI_CHUNK_TOKENS) into parts',
+                  properties: {
+                    parts: { type: 'integer', example: 3 },
+                    tokenBudget: { type: 'integer', example: 4000 },
+                  },
+                },
+                warnings: {
+                  type: 'array',
+                  description:
+                    'Components left out by maxComponents and anything the AI generator could not generate cleanly, such as a node over the budget of one part',
+                  items: { type: 'string' },
+                },
+                cache: {
+                  type: 'object',
+                  description: 'Figma file and node responses served from the cache',
+                  properties: {
+                    hits: { type: 'integer', example: 3 },
+                    misses: { type: 'integer', example: 0 },
+                  },
+                },
                 timestamp: {
                   type: 'string',
                   format: 'date-time',
@@ -284,6 +397,9 @@ const options = {
     join(__dirname, 'api', 'v1', 'list-files.js'),
     join(__dirname, 'api', 'v1', 'extract-design.js'),
     join(__dirname, 'api', 'v1', 'extract-project.js'),
+    join(__dirname, 'api', 'v1', 'design-tokens.js'),
+    join(__dirname, 'api', 'v1', 'jobs.js'),
+    join(__dirname, 'api', 'v1', 'extractions.js'),
     join(__dirname, 'api', 'v1', 'generate-code.js'),
     join(__dirname, 'api', 'v1', 'generated-code.js'),
     join(__dirname, 'api', 'v1', 'swagger-debug.js'),
@@ -0,0 +1,45 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { createCodeGenerator, GENERATORS } from '../../src/agents/codeGenerator.js';
+import DesignAnalyzerAgent from '../../src/agents/designAnalyzerAgent.js';
+import TemplateGeneratorAgent from '../../src/agents/templateGeneratorAgent.js';
+
+describe('codeGenerator', () => {
+  const originalToken = process.env.GITHUB_TOKEN;
+
+  beforeEach(() => {
+    process.env.GITHUB_TOKEN = 'test-github-token';
+  });
+
+  afterEach(() => {
+    if (originalToken === undefined) {
+      delete process.env.GITHUB_TOKEN;
+    } else {
+      process.env.GITHUB_TOKEN = originalToken;
+    }
+  });
+
+  it('should list the available generators', () => {
+    expect(GENERATORS).toEqual(['ai', 'template']);
+  });
+
+  it('should create the template generator without any API key', () => {
+    delete process.env.GITHUB_TOKEN;
+
+    expect(createCodeGenerator('template')).toBeInstanceOf(TemplateGeneratorAgent);
+  });
+
+  it('should create the AI generator by default', () => {
+    const generator = createCodeGenerator();
+
+    expect(generator).toBeInstanceOf(DesignAnalyzerAgent);
+    expect(generator.provider).toBe('github');
+  });
+
+  it('should pass the provider to the AI generator', () => {
+    process.env.OPENAI_API_KEY = 'test-openai-key';
+
+    expect(createCodeGenerator('ai', 'openai').provider).toBe('openai');
+
+    delete process.env.OPENAI_API_KEY;
+  });
+});
@@ -61,6 +61,16 @@ describe('DesignAnalyzerAgent', () => {
       expect(agent.model).toBe('gpt-4-turbo');
     });
 
+    it('should size the response limit after the chunk budget unless configured', () => {
+      expect(new DesignAnalyzerAgent().maxTokens).toBe(4000);
+
+      process.env.AI_CHUNK_TOKENS = '12000';
+      expect(new DesignAnalyzerAgent().maxTokens).toBe(12000);
+
+      process.env.AI_MAX_TOKENS = '8192';
+      expect(new DesignAnalyzerAgent().maxTokens).toBe(8192);
+    });
+
     it('should use custom model from environment variable for openai', () => {
       process.env.OPENAI_MODEL = 'gpt-3.5-turbo';
       const agent = new DesignAnalyzerAgent('openai');
@@ -198,6 +208,18 @@ describe('DesignAnalyzerAgent', () => {
       expect(prompt).toContain('Make the design responsive with proper breakpoints');
     });
 
+    it('should include configured breakpoints and query kind in prompt', () => {
+      const components = { component: 'test' };
+      const prompt = agent.buildPrompt(components, 'react', {
+        responsive: true,
+        breakpoints: { desktop: 1280, mobile: 0 },
+        responsiveQuery: 'container',
+      });
+
+      expect(prompt).toContain('Breakpoints (mobile first): mobile from 0px, desktop from 1280px');
+      expect(prompt).toContain('container queries (@container');
+    });
+
     it('should include tailwind css framework option', () => {
       const components = { component: 'test' };
       const prompt = agent.buildPrompt(components, 'react', { cssFramework: 'tailwind' });
@@ -270,6 +292,18 @@ describe('DesignAnalyzerAgent', () => {
       expect(result).toBe('Generated code');
     });
 
+    it('should send the configured response limit to every provider', async () => {
+      process.env.AI_MAX_TOKENS = '8192';
+      mockAxiosPost
+        .mockResolvedValueOnce({ data: { choices: [{ message: { content: 'code' } }] } })
+        .mockResolvedValueOnce({ data: { content: [{ text: 'code' }] } });
+
+      await new DesignAnalyzerAgent('openai').callAI('test prompt');
+      await new DesignAnalyzerAgent('anthropic').callAI('test prompt');
+
+      expect(mockAxiosPost.mock.calls.map(([, body]) => body.max_tokens)).toEqual([8192, 8192]);
+    });
+
     it('should call openai API with correct parameters', async () => {
       agent = new DesignAnalyzerAgent('openai');
       const mockResponse = {
@@ -514,4 +548,259 @@ describe('DesignAnalyzerAgent', () => {
       }
     });
   });
+
+  describe('chunked generation', () => {
+    let agent;
+    let consoleWarn;
+
+    // A frame of `count` text layers, about 55 tokens each
+    const frame = (id, name, count = 12) => ({
+      id,
+      name,
+      type: 'FRAME',
+      children: Array.from({ length: count }, (_, index) => ({
+        id: `${id}-${index}`,
+        name: 'Copy',
+        type: 'TEXT',
+        properties: { content: 'x'.repeat(160) },
+      })),
+    });
+    const reply = (content) => ({
+      data: {
+        choices: [
+          { message: { content: typeof content === 'string' ? content : JSON.stringify(content) } },
+        ],
+      },
+    });
+    const prompts = () => mockAxiosPost.mock.calls.map(([, body]) => body.messages[1].content);
+
+    beforeEach(() => {
+      process.env.AI_CHUNK_TOKENS = '1000';
+      agent = new DesignAnalyzerAgent();
+      mockAxiosPost.mockReset();
+      consoleWarn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      consoleWarn.mockRestore();
+    });
+
+    it('should generate designs larger than one prompt in parts and merge them', async () => {
+      mockAxiosPost
+        .mockResolvedValueOnce(
+          reply({
+            components: [{ name: 'Home', frameId: '1:1', code: 'home' }],
+            globalStyles: ':root {}',
+            notes: 'Part one',
+          })
+        )
+        .mockResolvedValueOnce(
+          reply({
+            components: [{ name: 'About', frameId: '2:1', code: 'about' }],
+            globalStyles: ':root {}',
+            notes: 'Part two',
+          })
+        );
+
+      const result = await agent.analyzeAndGenerateCode(
+        { components: [frame('1:1', 'Home'), frame('2:1', 'About')], styles: {} },
+        'react'
+      );
+
+      expect(mockAxiosPost).toHaveBeenCalledTimes(2);
+      expect(prompts()[0]).toContain('this is part 1.');
+      expect(prompts()[1]).toContain('generated in 2 parts; this is part 2.');
+      expect(prompts()[1]).toContain('"generated": [\n      "Home"\n    ]');
+      expect(prompts()[1]).not.toContain('"1:1"');
+      expect(result).toEqual({
+        components: [
+          { name: 'Home', frameId: '1:1', code: 'home' },
+          { name: 'About', frameId: '2:1', code: 'about' },
+        ],
+        globalStyles: ':root {}',
+        notes: 'Part one\nPart two',
+        chunks: 2,
+      });
+    });
+
+    it('should generate subtrees of a large frame before the frame that imports them', async () => {
+      const page = {
+        id: '1:1',
+        name: 'Landing',
+        type: 'FRAME',
+        children: [
+          frame('2:1', 'Hero', 12),
+          frame('3:1', 'Pricing', 11),
+          ...frame('4:1', 'Footer', 8).children,
+        ],
+      };
+      mockAxiosPost
+        .mockResolvedValueOnce(reply({ components: [{ name: 'Hero', code: 'hero' }] }))
+        .mockResolvedValueOnce(reply({ components: [{ name: 'Pricing', code: 'pricing' }] }))
+        .mockResolvedValueOnce(
+          reply({ components: [{ name: 'Landing', frameId: '1:1', code: 'landing' }] })
+        );
+
+      const result = await agent.analyzeAndGenerateCode({ components: [page] }, 'vue');
+
+      expect(prompts()[0]).toContain('"componentName": "Hero"');
+      expect(prompts()[2]).toContain('"ref": "Pricing"');
+      expect(result.components.map(({ name, frameId }) => [name, frameId])).toEqual([
+        ['Hero', '1:1'],
+        ['Pricing', '1:1'],
+        ['Landing', '1:1'],
+      ]);
+      expect(result.warnings).toBeUndefined();
+    });
+
+    it('should split a part again when its response is cut off', async () => {
+      mockAxiosPost
+        .mockResolvedValueOnce(reply('{"components": [{"name": "Home", "code": "cut'))
+        .mockResolvedValueOnce(reply({ components: [{ name: 'Home', frameId: 'a' }] }))
+        .mockResolvedValueOnce(reply({ components: [{ name: 'About', frameId: 'b' }] }))
+        .mockResolvedValueOnce(reply({ components: [] }));
+
+      const result = await agent.analyzeAndGenerateCode(
+        { components: [frame('a', 'Home', 6), frame('b', 'About', 6), frame('c', 'Blog', 12)] },
+        'react'
+      );
+
+      expect(mockAxiosPost).toHaveBeenCalledTimes(4);
+      expect(result.chunks).toBe(3);
+      expect(result.warnings).toEqual(['No component was generated for Blog (c)']);
+    });
+
+    it('should keep the raw response of a part that is cut off, with a warning', async () => {
+      mockAxiosPost
+        .mockResolvedValueOnce(reply({ components: [{ name: 'Home', frameId: '1:1' }] }))
+        .mockResolvedValueOnce(reply('const About = () => <div>'));
+
+      const result = await agent.analyzeAndGenerateCode(
+        { components: [frame('1:1', 'Home'), frame('2:1', 'About')] },
+        'react'
+      );
+
+      expect(result.components.map(({ name, frameId }) => [name, frameId])).toEqual([
+        ['Home', '1:1'],
+        ['GeneratedComponent', '2:1'],
+      ]);
+      expect(result.warnings).toEqual([
+        'Part 2 of 2 (About) did not return valid JSON; its raw response is kept',
+      ]);
+      expect(consoleWarn).toHaveBeenCalledWith(
+        'Chunked generation: Part 2 of 2 (About) did not return valid JSON; its raw response is kept'
+      );
+    });
+
+    it('should keep the first version of a component generated in two parts', async () => {
+      mockAxiosPost
+        .mockResolvedValueOnce(
+          reply({ components: [{ name: 'Home', frameId: '1:1' }, { name: 'Button' }] })
+        )
+        .mockResolvedValueOnce(
+          reply({ components: [{ name: 'About', frameId: '2:1' }, { name: 'Button' }] })
+        );
+
+      const result = await agent.analyzeAndGenerateCode(
+        { components: [frame('1:1', 'Home'), frame('2:1', 'About')] },
+        'react'
+      );
+
+      expect(result.components.map(({ name, frameId }) => [name, frameId])).toEqual([
+        ['Home', '1:1'],
+        ['Button', '1:1'],
+        ['About', '2:1'],
+      ]);
+      expect(result.warnings).toEqual([
+        'Button was generated again in part 2; the first version is kept',
+      ]);
+    });
+
+    it('should name the part that failed', async () => {
+      mockAxiosPost
+        .mockResolvedValueOnce(reply({ components: [{ name: 'Home', frameId: '1:1' }] }))
+        .mockRejectedValueOnce({ response: { data: { message: 'Rate limit exceeded' } } });
+
+      await expect(
+        agent.analyzeAndGenerateCode(
+          { components: [frame('1:1', 'Home'), frame('2:1', 'About')] },
+          'react'
+        )
+      ).rejects.toThrow('Failed to generate code (part 2 of 2): Rate limit exceeded');
+    });
+
+    it('should name the part whose request failed without a response', async () => {
+      mockAxiosPost.mockRejectedValueOnce(new Error('socket hang up'));
+
+      await expect(
+        agent.analyzeAndGenerateCode(
+          { components: [frame('1:1', 'Home'), frame('2:1', 'About')] },
+          'react'
+        )
+      ).rejects.toThrow('Failed to generate code (part 1 of 2): socket hang up');
+    });
+
+    it('should warn about a part still over the budget and a part without components', async () => {
+      mockAxiosPost
+        .mockResolvedValueOnce(reply({ components: [{ name: 'Terms', frameId: '1:1' }] }))
+        .mockResolvedValueOnce(reply({ notes: 'Nothing to generate' }));
+
+      const result = await agent.analyzeAndGenerateCode(
+        { components: [frame('1:1', 'Terms', 30), frame('2:1', 'About')] },
+        'react'
+      );
+
+      expect(result.components).toEqual([{ name: 'Terms', frameId: '1:1' }]);
+      expect(result.notes).toBe('Nothing to generate');
+      expect(result.warnings).toEqual([
+        'Terms (1:1) exceeds the token budget of one part',
+        'No component was generated for About (2:1)',
+      ]);
+    });
+
+    it('should keep the frameId the model gave shared components of a part with many frames', async () => {
+      mockAxiosPost.mockResolvedValueOnce(
+        reply({
+          components: [
+            { name: 'Home', frameId: '1:1' },
+            { name: 'About', frameId: '2:1' },
+            { name: 'Button', frameId: '2:1' },
+          ],
+        })
+      );
+
+      const result = await agent.analyzeAndGenerateCode(
+        { components: [frame('1:1', 'Home', 6), frame('2:1', 'About', 6)] },
+        'react'
+      );
+
+      expect(mockAxiosPost).toHaveBeenCalledTimes(1);
+      expect(result.components.map(({ name, frameId }) => [name, frameId])).toEqual([
+        ['Home', '1:1'],
+        ['About', '2:1'],
+        ['Button', '2:1'],
+      ]);
+    });
+
+    it('should send a design over the budget without components in one prompt', async () => {
+      mockAxiosPost.mockResolvedValueOnce(reply({ components: [] }));
+
+      const result = await agent.analyzeAndGenerateCode(
+        { styles: { copy: 'x'.repeat(8000) } },
+        'react'
+      );
+
+      expect(prompts()[0]).not.toContain('CHUNKED GENERATION');
+      expect(result).toEqual({ components: [] });
+    });
+
+    it('should merge no parts into an empty response', () => {
+      expect(agent.mergeChunks([])).toEqual({
+        components: [],
+        globalStyles: '',
+        notes: '',
+        chunks: 0,
+      });
+    });
+  });
 });
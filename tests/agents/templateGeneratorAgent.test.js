@@ -0,0 +1,1280 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import TemplateGeneratorAgent, { escapeText } from '../../src/agents/templateGeneratorAgent.js';
+
+const componentsData = {
+  name: 'TestFile',
+  components: [
+    {
+      id: '1:1',
+      name: 'Login Card',
+      type: 'FRAME',
+      properties: { width: 320, height: 200, x: 0, y: 0, borderRadius: 8 },
+      styleRefs: { fill: 'Surface/Default' },
+      layout: {
+        mode: 'flex',
+        direction: 'column',
+        justifyContent: 'flex-start',
+        alignItems: 'center',
+        gap: 12,
+        wrap: false,
+        padding: { top: 16, right: 16, bottom: 16, left: 16 },
+        sizing: { horizontal: 'fixed', vertical: 'hug' },
+      },
+      children: [
+        {
+          id: '1:2',
+          name: 'Title',
+          type: 'TEXT',
+          properties: { content: 'Sign in', textAlign: 'CENTER' },
+          styleRefs: { text: 'Heading/H1', fill: 'Text/Primary' },
+          children: [],
+        },
+        {
+          id: '1:3',
+          name: 'Hint',
+          type: 'TEXT',
+          properties: {
+            content: 'Use {email} & <password>',
+            fontFamily: 'Inter',
+            fontSize: 12,
+            fontWeight: 400,
+            color: { r: 0.5, g: 0.5, b: 0.5, a: 1 },
+          },
+          children: [],
+        },
+        {
+          id: '1:4',
+          name: 'Title',
+          type: 'ELLIPSE',
+          properties: {},
+          children: [],
+        },
+      ],
+    },
+    {
+      id: '2:1',
+      name: 'Canvas',
+      type: 'FRAME',
+      properties: {
+        width: 100,
+        height: 100,
+        x: 50,
+        y: 50,
+        backgroundColor: { r: 1, g: 1, b: 1, a: 1 },
+      },
+      children: [
+        null,
+        {
+          id: '2:2',
+          name: 'Badge',
+          type: 'RECTANGLE',
+          properties: { width: 10, height: 10, x: 60, y: 70 },
+          children: [],
+        },
+      ],
+    },
+    { id: '3:1', name: 'login card', type: 'FRAME', properties: {}, children: [] },
+  ],
+  styles: {
+    colors: {
+      'Surface/Default': { name: 'Surface/Default', value: { hex: '#ffffff' } },
+      'Text/Primary': { name: 'Text/Primary', value: { hex: '#111111' } },
+    },
+    typography: {
+      'Heading/H1': {
+        name: 'Heading/H1',
+        value: { fontFamily: 'Inter', fontSize: 24, fontWeight: 700, lineHeightPx: 32 },
+      },
+    },
+  },
+};
+
+const buttonSet = {
+  id: '10:1',
+  name: 'Button',
+  type: 'COMPONENT_SET',
+  properties: {},
+  props: [
+    { name: 'size', type: 'variant', defaultValue: 'md', options: ['sm', 'md'] },
+    { name: 'label', type: 'text', defaultValue: 'Click' },
+    { name: 'showIcon', type: 'boolean', defaultValue: false },
+    { name: 'icon', type: 'instance-swap', defaultValue: '5:1' },
+  ],
+  children: [
+    {
+      id: '10:2',
+      name: 'Size=sm',
+      type: 'COMPONENT',
+      properties: { width: 60, height: 24, borderRadius: 4 },
+      children: [],
+    },
+    {
+      id: '10:3',
+      name: 'Size=md',
+      type: 'COMPONENT',
+      variantValues: { size: 'md' },
+      properties: { width: 80, height: 32, borderRadius: 4 },
+      children: [
+        {
+          id: '10:4',
+          name: 'Label',
+          type: 'TEXT',
+          propertyRefs: { characters: 'label' },
+          properties: { content: 'Click' },
+          children: [],
+        },
+        {
+          id: '10:5',
+          name: 'Icon',
+          type: 'INSTANCE',
+          propertyRefs: { visible: 'showIcon', mainComponent: 'icon' },
+          properties: {},
+          children: [],
+        },
+      ],
+    },
+  ],
+};
+
+const setData = {
+  components: [
+    buttonSet,
+    {
+      id: '20:1',
+      name: 'Toolbar',
+      type: 'FRAME',
+      properties: {},
+      children: [
+        {
+          id: '20:2',
+          name: 'Buy',
+          type: 'INSTANCE',
+          instance: {
+            componentId: '10:2',
+            componentSetId: '10:1',
+            props: {
+              size: { type: 'variant', value: 'sm' },
+              label: { type: 'text', value: 'Buy' },
+              showIcon: { type: 'boolean', value: true },
+              icon: { type: 'instance-swap', value: '5:1' },
+            },
+          },
+          properties: {},
+          children: [],
+        },
+      ],
+    },
+  ],
+};
+
+describe('TemplateGeneratorAgent', () => {
+  let agent;
+
+  beforeEach(() => {
+    agent = new TemplateGeneratorAgent();
+  });
+
+  describe('escapeText', () => {
+    it('should escape text for JSX and for markup and template literals', () => {
+      expect(escapeText('Hi {name}', 'jsx')).toBe('{"Hi {name}"}');
+      expect(escapeText('Plain', 'jsx')).toBe('Plain');
+      expect(escapeText('<{{ a }}> & @if `$\\', 'html')).toBe(
+        '&lt;&#123;&#123; a &#125;&#125;&gt; &amp; &#64;if &#96;$&#92;'
+      );
+    });
+  });
+
+  describe('analyzeAndGenerateCode', () => {
+    it('should report the template provider', () => {
+      expect(agent.provider).toBe('template');
+    });
+
+    it('should reject unsupported frameworks', async () => {
+      await expect(agent.analyzeAndGenerateCode(componentsData, 'svelte')).rejects.toThrow(
+        'Unsupported framework: svelte'
+      );
+    });
+
+    it('should be deterministic', async () => {
+      const first = await agent.analyzeAndGenerateCode(componentsData, 'react', {});
+      const second = await new TemplateGeneratorAgent().analyzeAndGenerateCode(
+        componentsData,
+        'react',
+        {}
+      );
+
+      expect(first).toEqual(second);
+    });
+
+    it('should generate one uniquely named component per root node', async () => {
+      const result = await agent.analyzeAndGenerateCode(componentsData, 'react', {});
+
+      expect(result.components.map((c) => c.name)).toEqual(['LoginCard', 'Canvas', 'LoginCard2']);
+      expect(result.notes).toContain('3 root component(s)');
+    });
+
+    it('should record the root each component was generated from', async () => {
+      const result = await agent.analyzeAndGenerateCode(componentsData, 'react', {});
+
+      expect(result.components.map((c) => c.frameId)).toEqual(['1:1', '2:1', '3:1']);
+    });
+
+    it('should handle missing components', async () => {
+      const result = await agent.analyzeAndGenerateCode({}, 'html', {});
+
+      expect(result.components).toEqual([]);
+      expect(result.globalStyles).toContain('box-sizing: border-box');
+      expect(result.globalStyles).not.toContain(':root');
+    });
+  });
+
+  describe('react', () => {
+    it('should emit a function component with JSX markup', async () => {
+      const [card] = (await agent.analyzeAndGenerateCode(componentsData, 'react', {})).components;
+
+      expect(card.code).toContain("import './LoginCard.css';");
+      expect(card.code).toContain('export default function LoginCard() {');
+      expect(card.code).toContain('<div className="login-card">');
+      expect(card.code).toContain('<p className="title">Sign in</p>');
+      expect(card.code).toContain('<p className="hint">{"Use {email} & <password>"}</p>');
+      expect(card.code).toContain('<div className="title-2" />');
+      expect(card.dependencies).toEqual(['react']);
+    });
+
+    it('should translate layout, styles and text into CSS', async () => {
+      const [card, canvas] = (await agent.analyzeAndGenerateCode(componentsData, 'react', {}))
+        .components;
+
+      expect(card.styles).toContain(
+        '.login-card {\n  display: flex;\n  flex-direction: column;\n  justify-content: flex-start;\n  align-items: center;\n  gap: 12px;\n  padding: 16px;\n  height: fit-content;\n  width: 320px;\n  background: var(--color-surface-default);\n  border-radius: 8px;\n}'
+      );
+      expect(card.styles).toContain('color: var(--color-text-primary);');
+      expect(card.styles).toContain('font-family: var(--typography-heading-h1-font-family);');
+      expect(card.styles).toContain('line-height: var(--typography-heading-h1-line-height);');
+      expect(card.styles).toContain('text-align: center;');
+      expect(card.styles).toContain(
+        ".hint {\n  color: rgba(128, 128, 128, 1);\n  font-family: 'Inter';\n  font-size: 12px;\n  font-weight: 400;\n}"
+      );
+      expect(card.styles).toContain('.title-2 {\n  border-radius: 50%;\n}');
+
+      expect(canvas.styles).toContain('background: rgba(255, 255, 255, 1);');
+      expect(canvas.styles).toContain('position: relative;');
+      expect(canvas.styles).toContain('position: absolute;\n  left: 10px;\n  top: 20px;');
+    });
+
+    it('should skip styles when includeStyles is false', async () => {
+      const result = await agent.analyzeAndGenerateCode(componentsData, 'react', {
+        includeStyles: false,
+      });
+
+      expect(result.components[0].code).not.toContain('import');
+      expect(result.components[0].styles).toBe('');
+      expect(result.globalStyles).toBe('');
+    });
+  });
+
+  describe('vue', () => {
+    it('should emit a single-file component with scoped styles', async () => {
+      const [card] = (await agent.analyzeAndGenerateCode(componentsData, 'vue', {})).components;
+
+      expect(card.code.startsWith('<template>\n  <div class="login-card">')).toBe(true);
+      expect(card.code).toContain(
+        '<p class="hint">Use &#123;email&#125; &amp; &lt;password&gt;</p>'
+      );
+      expect(card.code).toContain('<div class="title-2"></div>');
+      expect(card.code).toContain('<style scoped>\n.login-card {');
+      expect(card.styles).toBe('');
+      expect(card.dependencies).toEqual(['vue']);
+    });
+
+    it('should omit the style block without styles', async () => {
+      const [card] = (
+        await agent.analyzeAndGenerateCode(componentsData, 'vue', { includeStyles: false })
+      ).components;
+
+      expect(card.code).not.toContain('<style');
+    });
+  });
+
+  describe('angular', () => {
+    it('should emit a standalone component', async () => {
+      const [card] = (await agent.analyzeAndGenerateCode(componentsData, 'angular', {})).components;
+
+      expect(card.code).toContain("selector: 'app-login-card',");
+      expect(card.code).toContain('standalone: true,');
+      expect(card.code).toContain('<div class="login-card">');
+      expect(card.code).toContain("styleUrls: ['./login-card.component.css'],");
+      expect(card.code).toContain('export class LoginCardComponent {}');
+      expect(card.styles).toContain('.login-card {');
+      expect(card.dependencies).toEqual(['@angular/core']);
+    });
+
+    it('should omit styleUrls without styles', async () => {
+      const [card] = (
+        await agent.analyzeAndGenerateCode(componentsData, 'angular', { includeStyles: false })
+      ).components;
+
+      expect(card.code).not.toContain('styleUrls');
+    });
+  });
+
+  describe('component sets', () => {
+    it('should generate one React component with typed props from a component set', async () => {
+      const [button, toolbar] = (await agent.analyzeAndGenerateCode(setData, 'react', {}))
+        .components;
+
+      expect(button.code).toContain(
+        "export default function Button({ size = 'md', label = 'Click', showIcon = false, icon = null }) {"
+      );
+      expect(button.code).toContain('<div className="button" data-size={size}>');
+      expect(button.code).toContain('<p className="label">{label}</p>');
+      expect(button.code).toContain(
+        '{showIcon && (icon ?? (\n        <div className="icon" />\n      ))}'
+      );
+      expect(button.styles).toContain('.button {\n  width: 80px;\n  height: 32px;');
+      expect(button.styles).toContain(
+        '.button[data-size="sm"] {\n  width: 60px;\n  height: 24px;\n}'
+      );
+
+      expect(toolbar.code).toContain("import Button from './Button';");
+      expect(toolbar.code).toContain('<Button size="sm" label="Buy" showIcon={true} />');
+    });
+
+    it('should derive variant props from variant names without property definitions', async () => {
+      const { props, ...set } = buttonSet;
+      const [button] = (await agent.analyzeAndGenerateCode({ components: [set] }, 'react', {}))
+        .components;
+
+      expect(props).toHaveLength(4);
+      expect(button.code).toContain("export default function Button({ size = 'sm' }) {");
+      expect(button.code).toContain('<div className="button" data-size={size} />');
+      expect(button.styles).toContain('.button[data-size="md"] {\n  width: 80px;');
+    });
+
+    it('should emit Vue props, slots and component imports', async () => {
+      const [button, toolbar] = (await agent.analyzeAndGenerateCode(setData, 'vue', {})).components;
+
+      expect(button.code).toContain(
+        "  size: { type: String, default: 'md', validator: (value) => ['sm', 'md'].includes(value) },"
+      );
+      expect(button.code).toContain('  showIcon: { type: Boolean, default: false },');
+      expect(button.code).not.toContain('icon: {');
+      expect(button.code).toContain('<div class="button" :data-size="size">');
+      expect(button.code).toContain('<p class="label">{{ label }}</p>');
+      expect(button.code).toContain('<slot name="icon" v-if="showIcon">');
+      expect(toolbar.code).toContain(
+        "<script setup>\nimport Button from './Button.vue';\n</script>"
+      );
+      expect(toolbar.code).toContain('<Button size="sm" label="Buy" :showIcon="true" />');
+    });
+
+    it('should emit Angular inputs, content projection and component imports', async () => {
+      const [button, toolbar] = (await agent.analyzeAndGenerateCode(setData, 'angular', {}))
+        .components;
+
+      expect(button.code).toContain("import { Component, Input } from '@angular/core';");
+      expect(button.code).toContain('imports: [NgIf],');
+      expect(button.code).toContain("  @Input() size: 'sm' | 'md' = 'md';");
+      expect(button.code).toContain("  @Input() label = 'Click';");
+      expect(button.code).toContain('[attr.data-size]="size"');
+      expect(button.code).toContain(
+        '<ng-container *ngIf="showIcon"><ng-content select="[icon]"></ng-content></ng-container>'
+      );
+      expect(button.dependencies).toEqual(['@angular/core', '@angular/common']);
+      expect(toolbar.code).toContain("import { ButtonComponent } from './button.component';");
+      expect(toolbar.code).toContain(
+        '<app-button size="sm" label="Buy" [showIcon]="true"></app-button>'
+      );
+    });
+
+    it('should render default prop values in plain HTML', async () => {
+      const [button, toolbar] = (await agent.analyzeAndGenerateCode(setData, 'html', {}))
+        .components;
+
+      expect(button.code).toBe(
+        '<div class="button" data-size="md">\n  <p class="label">Click</p>\n</div>'
+      );
+      expect(toolbar.code).toContain('<div class="buy"></div>');
+    });
+
+    it('should not render an instance as a usage of its own component', async () => {
+      const component = {
+        id: '30:1',
+        name: 'Tree',
+        type: 'COMPONENT',
+        properties: {},
+        children: [
+          {
+            id: '30:2',
+            name: 'Branch',
+            type: 'INSTANCE',
+            instance: { componentId: '30:1', props: {} },
+            children: [],
+          },
+        ],
+      };
+      const [tree] = (await agent.analyzeAndGenerateCode({ components: [component] }, 'react', {}))
+        .components;
+
+      expect(tree.code).toContain('<div className="branch" />');
+    });
+  });
+
+  describe('shared components', () => {
+    const sharedData = {
+      shared: [{ key: 'sk', name: 'Button' }],
+      components: [
+        { id: '40:1', name: 'Button', type: 'FRAME', properties: {}, children: [] },
+        {
+          ...setData.components[1],
+          children: [
+            {
+              ...setData.components[1].children[0],
+              instance: {
+                componentId: 'remote:1',
+                componentKey: 'vk',
+                componentSetId: 'remote:0',
+                componentSetKey: 'sk',
+                props: { label: { type: 'text', value: 'Buy' } },
+              },
+            },
+          ],
+        },
+      ],
+    };
+
+    it('should import shared library components instead of copying their markup', async () => {
+      const [local, toolbar] = (await agent.analyzeAndGenerateCode(sharedData, 'react', {}))
+        .components;
+
+      expect(local.name).toBe('Button2');
+      expect(toolbar.code).toContain("import Button from '../shared/Button';");
+      expect(toolbar.code).toContain('<Button label="Buy" />');
+    });
+
+    it('should import shared components from the shared directory in Vue and Angular', async () => {
+      const vue = (await agent.analyzeAndGenerateCode(sharedData, 'vue', {})).components[1];
+      const angular = (await agent.analyzeAndGenerateCode(sharedData, 'angular', {})).components[1];
+
+      expect(vue.code).toContain("import Button from '../shared/Button.vue';");
+      expect(angular.code).toContain(
+        "import { ButtonComponent } from '../shared/button.component';"
+      );
+      expect(angular.code).toContain('<app-button label="Buy"></app-button>');
+    });
+
+    it('should keep the markup of shared components in plain HTML', async () => {
+      const [local, toolbar] = (await agent.analyzeAndGenerateCode(sharedData, 'html', {}))
+        .components;
+
+      expect(local.name).toBe('Button');
+      expect(toolbar.code).toContain('<div class="buy"></div>');
+    });
+  });
+
+  describe('html', () => {
+    it('should emit markup with separate CSS and token variables', async () => {
+      const result = await agent.analyzeAndGenerateCode(componentsData, 'html', {});
+      const [card] = result.components;
+
+      expect(card.code.startsWith('<div class="login-card">')).toBe(true);
+      expect(card.styles).toContain('.login-card {');
+      expect(card.dependencies).toEqual([]);
+      expect(result.globalStyles).toContain('--color-surface-default: #ffffff;');
+      expect(result.globalStyles).toContain('box-sizing: border-box');
+    });
+  });
+
+  describe('paint', () => {
+    it('should prefer the paint model over raw properties', async () => {
+      const root = {
+        id: '6:1',
+        name: 'Panel',
+        type: 'FRAME',
+        properties: { backgroundColor: { r: 1, g: 1, b: 1 }, borderRadius: 4 },
+        paint: {
+          strokes: { paints: [{ type: 'SOLID', css: 'rgba(0, 0, 0, 1)' }], weight: 1 },
+          css: {
+            background: 'linear-gradient(90deg, rgba(255, 0, 0, 1) 0%, rgba(0, 0, 255, 1) 100%)',
+            border: '1px solid rgba(0, 0, 0, 1)',
+            borderRadius: '8px 8px 0px 0px',
+            opacity: '0.5',
+            mixBlendMode: 'multiply',
+          },
+        },
+        styleRefs: { stroke: 'Border/Default' },
+        children: [
+          {
+            id: '6:2',
+            name: 'Label',
+            type: 'TEXT',
+            properties: { content: 'Hi', color: { r: 0, g: 0, b: 0 } },
+            paint: { css: { color: 'rgba(255, 0, 0, 0.5)' } },
+            children: [],
+          },
+        ],
+      };
+
+      const [panel] = (await agent.analyzeAndGenerateCode({ components: [root] }, 'html', {}))
+        .components;
+
+      expect(panel.styles).toContain(
+        '  background: linear-gradient(90deg, rgba(255, 0, 0, 1) 0%, rgba(0, 0, 255, 1) 100%);\n  border: 1px solid var(--color-border-default);\n  opacity: 0.5;\n  mix-blend-mode: multiply;\n  border-radius: 8px 8px 0px 0px;'
+      );
+      expect(panel.styles).toContain('.label {\n  color: rgba(255, 0, 0, 0.5);');
+    });
+  });
+
+  describe('variables', () => {
+    it('should reference the custom properties of bound variables', async () => {
+      const root = {
+        id: '7:1',
+        name: 'Card',
+        type: 'FRAME',
+        properties: { width: 320, height: 200, backgroundColor: { r: 1, g: 1, b: 1 } },
+        layout: {
+          mode: 'flex',
+          direction: 'column',
+          justifyContent: 'flex-start',
+          alignItems: 'flex-start',
+          gap: 8,
+          padding: { top: 16, right: 24, bottom: 16, left: 24 },
+          sizing: { horizontal: 'fixed', vertical: 'hug' },
+        },
+        paint: {
+          strokes: { paints: [{ type: 'SOLID', css: 'rgba(0, 0, 0, 1)' }], weight: 1 },
+          css: { border: '1px solid rgba(0, 0, 0, 1)', borderRadius: '8px' },
+        },
+        variables: {
+          fill: 'color-surface',
+          stroke: 'color-border',
+          gap: 'space-sm',
+          paddingTop: 'space-md',
+          paddingBottom: 'space-md',
+          borderRadius: 'radius-md',
+          height: 'size-card',
+        },
+        children: [
+          {
+            id: '7:2',
+            name: 'Title',
+            type: 'TEXT',
+            properties: { content: 'Hi', fontSize: 16 },
+            variables: { fill: 'color-text', fontSize: 'font-size-body' },
+            children: [],
+          },
+        ],
+      };
+
+      const [card] = (await agent.analyzeAndGenerateCode({ components: [root] }, 'html', {}))
+        .components;
+
+      expect(card.styles).toContain(
+        '.card {\n  display: flex;\n  flex-direction: column;\n  justify-content: flex-start;\n  align-items: flex-start;\n  gap: var(--space-sm);\n  padding: var(--space-md) 24px var(--space-md) 24px;\n  height: fit-content;\n  width: 320px;\n  background: var(--color-surface);\n  border: 1px solid var(--color-border);\n  border-radius: var(--radius-md);\n}'
+      );
+      expect(card.styles).toContain(
+        '.title {\n  font-size: var(--font-size-body);\n  color: var(--color-text);\n}'
+      );
+    });
+
+    it('should define the variables per theme in the global styles', async () => {
+      const variables = {
+        collections: {
+          'c:1': {
+            id: 'c:1',
+            modes: [
+              { modeId: 'm:1', slug: 'light' },
+              { modeId: 'm:2', slug: 'dark' },
+            ],
+            defaultModeId: 'm:1',
+          },
+        },
+        variables: {
+          'v:1': {
+            id: 'v:1',
+            collectionId: 'c:1',
+            resolvedType: 'COLOR',
+            scopes: [],
+            valuesByMode: { 'm:1': { r: 1, g: 1, b: 1 }, 'm:2': { r: 0, g: 0, b: 0 } },
+            path: ['color', 'surface'],
+            cssName: 'color-surface',
+          },
+        },
+      };
+
+      const result = await agent.analyzeAndGenerateCode({ components: [], variables }, 'html', {});
+
+      expect(result.globalStyles).toContain(':root {\n  --color-surface: #ffffff;\n}');
+      expect(result.globalStyles).toContain(
+        '[data-theme="dark"] {\n  --color-surface: #000000;\n}'
+      );
+    });
+  });
+
+  describe('responsive', () => {
+    it('should position absolutely placed layers following their constraints', async () => {
+      const child = (id, name, constraints) => ({
+        id,
+        name,
+        type: 'RECTANGLE',
+        properties: { x: 10, y: 20, width: 80, height: 40 },
+        constraints,
+        children: [],
+      });
+      const canvas = {
+        id: '9:1',
+        name: 'Canvas',
+        type: 'FRAME',
+        properties: { x: 0, y: 0, width: 200, height: 100 },
+        children: [
+          child('9:2', 'Pinned', { horizontal: 'right', vertical: 'bottom' }),
+          child('9:3', 'Stretched', { horizontal: 'stretch', vertical: 'center' }),
+          child('9:4', 'Scaled', { horizontal: 'scale', minWidth: 40, maxWidth: 120 }),
+        ],
+      };
+
+      const [component] = (await agent.analyzeAndGenerateCode({ components: [canvas] }, 'html', {}))
+        .components;
+
+      expect(component.styles).toContain(
+        '.pinned {\n  width: 80px;\n  height: 40px;\n  position: absolute;\n  right: 110px;\n  bottom: 40px;\n}'
+      );
+      expect(component.styles).toContain(
+        '.stretched {\n  height: 40px;\n  position: absolute;\n  left: 10px;\n  right: 110px;\n  top: calc(50% + -30px);\n}'
+      );
+      expect(component.styles).toContain(
+        '.scaled {\n  width: 40%;\n  height: 40px;\n  min-width: 40px;\n  max-width: 120px;\n  position: absolute;\n  left: 5%;\n  top: 20px;\n}'
+      );
+    });
+
+    const screen = (id, width, titleSize, extra = []) => ({
+      id,
+      name: 'Home',
+      type: 'FRAME',
+      properties: { width, height: 800 },
+      layout: {
+        mode: 'flex',
+        direction: width > 1000 ? 'row' : 'column',
+        justifyContent: 'flex-start',
+        alignItems: 'flex-start',
+        sizing: {},
+      },
+      children: [
+        {
+          id: `${id}-title`,
+          name: 'Title',
+          type: 'TEXT',
+          properties: { content: 'Welcome', fontSize: titleSize },
+          children: [],
+        },
+        ...extra,
+      ],
+    });
+    const home = () => {
+      const promo = {
+        id: 'm-promo',
+        name: 'Promo',
+        type: 'RECTANGLE',
+        properties: {},
+        children: [],
+      };
+      return {
+        ...screen('m', 375, 24, [promo]),
+        responsive: {
+          breakpoint: 'mobile',
+          variants: [{ breakpoint: 'desktop', minWidth: 1280, frame: screen('d', 1440, 48) }],
+        },
+      };
+    };
+
+    it('should write wider frames of a responsive screen as media query overrides', async () => {
+      const [component] = (await agent.analyzeAndGenerateCode({ components: [home()] }, 'html', {}))
+        .components;
+
+      expect(component.warnings).toBeUndefined();
+      expect(component.styles).toContain('.home {\n  display: flex;');
+      expect(component.styles).toContain('  width: 100%;\n}');
+      expect(component.styles).toContain(
+        [
+          '@media (min-width: 1280px) {',
+          '  .home {',
+          '    flex-direction: row;',
+          '  }',
+          '',
+          '  .title {',
+          '    font-size: 48px;',
+          '  }',
+          '',
+          '  .promo {',
+          '    display: none;',
+          '  }',
+          '}',
+        ].join('\n')
+      );
+    });
+
+    it('should warn about layers and text that only wider frames have', async () => {
+      const desktop = screen('d', 1440, 48, [
+        { id: 'd-nav', name: 'Side Nav', type: 'FRAME', properties: {}, children: [] },
+      ]);
+      desktop.children[0].properties.content = 'Welcome back';
+      const root = {
+        ...screen('m', 375, 24),
+        responsive: {
+          breakpoint: 'mobile',
+          variants: [{ breakpoint: 'desktop', minWidth: 1280, frame: desktop }],
+        },
+      };
+
+      const [component] = (await agent.analyzeAndGenerateCode({ components: [root] }, 'html', {}))
+        .components;
+
+      expect(component.code).toContain('Welcome');
+      expect(component.code).not.toContain('side-nav');
+      expect(component.warnings).toEqual([
+        'Text of "Title" changes at the desktop breakpoint ("Welcome back"); "Welcome" is rendered',
+        'Layer "Side Nav" only exists at the desktop breakpoint and is not rendered',
+      ]);
+    });
+
+    it('should leave layers that do not change out of the media query', async () => {
+      const badge = (id) => ({
+        id: `${id}-badge`,
+        name: 'Badge',
+        type: 'RECTANGLE',
+        properties: { width: 40, height: 40 },
+        children: [],
+      });
+      const root = {
+        ...screen('m', 375, 24, [badge('m')]),
+        responsive: {
+          breakpoint: 'mobile',
+          variants: [
+            { breakpoint: 'desktop', minWidth: 1280, frame: screen('d', 1440, 24, [badge('d')]) },
+          ],
+        },
+      };
+
+      const [component] = (await agent.analyzeAndGenerateCode({ components: [root] }, 'html', {}))
+        .components;
+
+      expect(component.warnings).toBeUndefined();
+      expect(component.styles).toContain(
+        '@media (min-width: 1280px) {\n  .home {\n    flex-direction: row;\n  }\n}'
+      );
+    });
+
+    it('should use container queries on the component root when asked to', async () => {
+      const [component] = (
+        await agent.analyzeAndGenerateCode({ components: [home()] }, 'html', {
+          responsiveQuery: 'container',
+        })
+      ).components;
+
+      expect(component.styles).toContain('  container-type: inline-size;\n}');
+      expect(component.styles).toContain(
+        '@container (min-width: 1280px) {\n  .title {\n    font-size: 48px;\n  }'
+      );
+      expect(component.styles).not.toContain('flex-direction: row;');
+    });
+  });
+
+  describe('rich text', () => {
+    const richText = (paragraphs, css = {}) => ({
+      id: '8:1',
+      name: 'Body',
+      type: 'TEXT',
+      properties: { content: 'ignored' },
+      text: { css, paragraphs },
+      children: [],
+    });
+
+    it('should render styled spans and links inline', async () => {
+      const body = richText(
+        [
+          {
+            spans: [
+              { text: 'Read the ' },
+              { text: 'docs', bold: true, link: { url: 'https://example.com/?a=1&b=2' } },
+              { text: ' now', link: { url: 'https://example.com/?a=1&b=2' } },
+              { text: ' <fast>', italic: true, css: { color: 'rgba(0, 0, 255, 1)' } },
+            ],
+          },
+        ],
+        { letterSpacing: '1px', textTransform: 'uppercase' }
+      );
+
+      const [html] = (await agent.analyzeAndGenerateCode({ components: [body] }, 'html', {}))
+        .components;
+      const [react] = (await agent.analyzeAndGenerateCode({ components: [body] }, 'react', {}))
+        .components;
+
+      expect(html.code).toBe(
+        '<p class="body">Read the <a href="https://example.com/?a=1&amp;b=2"><strong>docs</strong> now</a><span class="body-span"><em> &lt;fast&gt;</em></span></p>'
+      );
+      expect(html.styles).toContain(
+        '.body {\n  letter-spacing: 1px;\n  text-transform: uppercase;'
+      );
+      expect(html.styles).toContain('.body-span {\n  color: rgba(0, 0, 255, 1);\n}');
+      expect(react.code).toContain(
+        '<p className="body">Read the <a href="https://example.com/?a=1&amp;b=2"><strong>docs</strong> now</a><span className="body-span"><em>{" <fast>"}</em></span></p>'
+      );
+    });
+
+    it('should render list lines as nested lists', async () => {
+      const body = richText([
+        { spans: [{ text: 'Steps' }] },
+        { spans: [{ text: 'One' }], list: 'ordered', indent: 1 },
+        { spans: [{ text: 'Detail' }], list: 'unordered', indent: 2 },
+        { spans: [{ text: 'Two' }], list: 'ordered', indent: 1 },
+        { spans: [] },
+        { spans: [{ text: 'Done' }] },
+      ]);
+
+      const [html] = (await agent.analyzeAndGenerateCode({ components: [body] }, 'html', {}))
+        .components;
+
+      expect(html.code).toBe(
+        [
+          '<div class="body">',
+          '  <p>Steps</p>',
+          '  <ol>',
+          '    <li>One',
+          '      <ul>',
+          '        <li>Detail</li>',
+          '      </ul>',
+          '    </li>',
+          '    <li>Two</li>',
+          '  </ol>',
+          '  <p>Done</p>',
+          '</div>',
+        ].join('\n')
+      );
+    });
+  });
+
+  describe('effects', () => {
+    it('should render effects and reference the variables of an applied effect style', async () => {
+      const card = {
+        id: '7:1',
+        name: 'Card',
+        type: 'FRAME',
+        properties: {},
+        styleRefs: { effect: 'Elevation/1' },
+        effects: {
+          css: {
+            boxShadow: '0px 2px 4px 0px rgba(0, 0, 0, 0.1)',
+            filter: 'blur(2px)',
+            backdropFilter: 'blur(8px)',
+          },
+        },
+        children: [
+          {
+            id: '7:2',
+            name: 'Title',
+            type: 'TEXT',
+            properties: { content: 'Hi' },
+            effects: { css: { textShadow: '0px 1px 2px rgba(0, 0, 0, 0.5)' } },
+            children: [],
+          },
+        ],
+      };
+      const styles = {
+        effects: {
+          'Elevation/1': {
+            name: 'Elevation/1',
+            value: {
+              effects: [
+                { type: 'DROP_SHADOW', color: 'rgba(0, 0, 0, 0.1)', offset: { x: 0, y: 2 } },
+                { type: 'BACKGROUND_BLUR', radius: 8 },
+              ],
+            },
+          },
+        },
+      };
+
+      const result = await agent.analyzeAndGenerateCode({ components: [card], styles }, 'html', {});
+      const [component] = result.components;
+
+      expect(component.styles).toContain(
+        '  box-shadow: var(--shadow-elevation-1);\n  filter: blur(2px);\n  backdrop-filter: blur(var(--blur-elevation-1));'
+      );
+      expect(component.styles).toContain('  text-shadow: 0px 1px 2px rgba(0, 0, 0, 0.5);');
+      expect(result.globalStyles).toContain('--shadow-elevation-1:');
+      expect(result.globalStyles).toContain('--blur-elevation-1: 8px;');
+    });
+  });
+
+  describe('semantic roles', () => {
+    it('should render roles as semantic elements', async () => {
+      const text = (id, name, content) => ({
+        id,
+        name,
+        type: 'TEXT',
+        properties: { content },
+        children: [],
+      });
+      const form = {
+        id: '10:1',
+        name: 'Signup',
+        type: 'FRAME',
+        properties: {},
+        children: [
+          { ...text('10:2', 'Title', 'Join us'), role: 'heading' },
+          {
+            id: '10:3',
+            name: 'Email',
+            type: 'FRAME',
+            role: 'input',
+            properties: {},
+            children: [text('10:4', 'Placeholder', 'you@example.com')],
+          },
+          {
+            id: '10:5',
+            name: 'Plans',
+            type: 'FRAME',
+            role: 'list',
+            properties: {},
+            children: [
+              {
+                id: '10:6',
+                name: 'Plan',
+                type: 'FRAME',
+                role: 'card',
+                properties: {},
+                children: [],
+              },
+              {
+                id: '10:7',
+                name: 'Plan',
+                type: 'FRAME',
+                role: 'listitem',
+                properties: {},
+                children: [],
+              },
+            ],
+          },
+          {
+            id: '10:8',
+            name: 'Submit',
+            type: 'FRAME',
+            role: 'button',
+            properties: {},
+            children: [text('10:9', 'Label', 'Sign up')],
+          },
+        ],
+      };
+
+      const [component] = (await agent.analyzeAndGenerateCode({ components: [form] }, 'html', {}))
+        .components;
+
+      expect(component.code).toBe(
+        [
+          '<div class="signup">',
+          '  <h2 class="title">Join us</h2>',
+          '  <input class="email" type="text" placeholder="you@example.com" />',
+          '  <ul class="plans">',
+          '    <li class="plans-item">',
+          '      <article class="plan"></article>',
+          '    </li>',
+          '    <li class="plan-2"></li>',
+          '  </ul>',
+          '  <button class="submit" type="button">',
+          '    <span class="label">Sign up</span>',
+          '  </button>',
+          '</div>',
+        ].join('\n')
+      );
+      expect(component.styles).toContain('.submit {\n  border: none;\n  background: none;');
+    });
+  });
+
+  describe('repeated content', () => {
+    const card = (index, title, src) => ({
+      id: `20:${index}`,
+      name: 'Product Card',
+      type: 'FRAME',
+      properties: {},
+      children: [
+        {
+          id: `21:${index}`,
+          name: 'Photo',
+          type: 'RECTANGLE',
+          properties: {},
+          asset: { kind: 'image', src },
+          children: [],
+        },
+        {
+          id: `22:${index}`,
+          name: 'Title',
+          type: 'TEXT',
+          properties: { content: title },
+          children: [],
+        },
+      ],
+    });
+    const grid = {
+      id: '20:0',
+      name: 'Product Grid',
+      type: 'FRAME',
+      properties: {},
+      children: [
+        card(1, 'Chair', '/assets/chair.png'),
+        card(2, 'Table', '/assets/table.png'),
+        card(3, 'Lamp', '/assets/lamp.png'),
+      ],
+    };
+
+    it('should render repeated siblings once in a loop over fixtures in React', async () => {
+      const [component] = (await agent.analyzeAndGenerateCode({ components: [grid] }, 'react', {}))
+        .components;
+
+      expect(component.code).toContain(
+        "import { productCards as defaultProductCards } from './ProductGrid.fixtures';"
+      );
+      expect(component.code).toContain(
+        'export default function ProductGrid({ productCards = defaultProductCards })'
+      );
+      expect(component.code).toContain(
+        [
+          '      {productCards.map((productCard) => (',
+          '        <div className="product-card" key={productCard.id}>',
+          '          <img className="photo" alt="Photo" src={productCard.photo} />',
+          '          <p className="title">{productCard.title}</p>',
+          '        </div>',
+          '      ))}',
+        ].join('\n')
+      );
+      expect(component.code).not.toContain('Table');
+      expect(component.files['ProductGrid.fixtures.js']).toContain(
+        [
+          ' * @typedef {Object} ProductCardItem',
+          ' * @property {string} id',
+          ' * @property {string} photo',
+          ' * @property {string} title',
+        ].join('\n')
+      );
+      expect(component.files['ProductGrid.fixtures.js']).toContain(
+        "export const productCards = [\n  { id: '20:1', photo: '/assets/chair.png', title: 'Chair' },"
+      );
+    });
+
+    it('should use v-for in Vue and *ngFor with a typed interface in Angular', async () => {
+      const [vue] = (await agent.analyzeAndGenerateCode({ components: [grid] }, 'vue', {}))
+        .components;
+      const [angular] = (await agent.analyzeAndGenerateCode({ components: [grid] }, 'angular', {}))
+        .components;
+
+      expect(vue.code).toContain(
+        '  productCards: { type: Array, default: () => defaultProductCards },'
+      );
+      expect(vue.code).toContain(
+        '<div class="product-card" v-for="productCard in productCards" :key="productCard.id">'
+      );
+      expect(vue.code).toContain('<p class="title">{{ productCard.title }}</p>');
+
+      expect(angular.code).toContain("import { NgFor } from '@angular/common';");
+      expect(angular.code).toContain(
+        "import { ProductCardItem, productCards as defaultProductCards } from './product-grid.fixtures';"
+      );
+      expect(angular.code).toContain('imports: [NgFor],');
+      expect(angular.code).toContain('*ngFor="let productCard of productCards"');
+      expect(angular.code).toContain('[attr.src]="productCard.photo"');
+      expect(angular.code).toContain(
+        '  @Input() productCards: ProductCardItem[] = defaultProductCards;'
+      );
+      expect(angular.dependencies).toContain('@angular/common');
+      expect(angular.files['product-grid.fixtures.ts']).toContain(
+        'export interface ProductCardItem {\n  id: string;\n  photo: string;\n  title: string;\n}'
+      );
+      expect(angular.files['product-grid.fixtures.ts']).toContain(
+        'export const productCards: ProductCardItem[] = ['
+      );
+    });
+
+    it('should keep every copy in plain HTML', async () => {
+      const [component] = (await agent.analyzeAndGenerateCode({ components: [grid] }, 'html', {}))
+        .components;
+
+      expect(component.code).toContain('Chair');
+      expect(component.code).toContain('<p class="title-3">Lamp</p>');
+      expect(component.files).toBeUndefined();
+    });
+
+    it('should bind differing instance props of repeated usages', async () => {
+      const tab = (index, label) => ({
+        id: `31:${index}`,
+        name: 'Tab',
+        type: 'INSTANCE',
+        properties: {},
+        instance: {
+          componentId: '30:1',
+          componentName: 'Tab',
+          props: {
+            label: { type: 'text', value: label },
+            active: { type: 'boolean', value: false },
+          },
+        },
+        children: [],
+      });
+      const tabs = {
+        id: '31:0',
+        name: 'Tabs',
+        type: 'FRAME',
+        properties: {},
+        children: [tab(1, 'Home'), tab(2, 'Shop'), tab(3, 'Cart')],
+      };
+      const components = [
+        { id: '30:1', name: 'Tab', type: 'COMPONENT', properties: {}, children: [] },
+        tabs,
+      ];
+
+      const react = (await agent.analyzeAndGenerateCode({ components }, 'react', {})).components;
+      const angular = (await agent.analyzeAndGenerateCode({ components }, 'angular', {}))
+        .components;
+
+      expect(react[1].code).toContain('<Tab label={tab.label} active={false} key={tab.id} />');
+      expect(react[1].files['Tabs.fixtures.js']).toContain("{ id: '31:2', label: 'Shop' },");
+      expect(angular[1].code).toContain(
+        '<app-tab [label]="tab.label" [active]="false" *ngFor="let tab of tabs"></app-tab>'
+      );
+    });
+  });
+
+  describe('clipping', () => {
+    const layer = (id, name, extra = {}) => ({
+      id,
+      name,
+      type: 'RECTANGLE',
+      properties: {},
+      children: [],
+      ...extra,
+    });
+
+    it('should clip frames and render masks of every layer on the node itself', async () => {
+      const avatar = {
+        ...layer('8:1', 'Avatar', { type: 'FRAME' }),
+        clipping: {
+          clipsContent: false,
+          masks: [{ id: '8:2', nodes: ['8:3'], scope: 'parent', css: { clipPath: 'ellipse()' } }],
+          css: { clipPath: 'ellipse()' },
+        },
+        children: [
+          layer('8:3', 'Photo'),
+          layer('8:4', 'Draft', { hidden: true }),
+          layer('8:5', 'Badge', { hidden: true, propertyRefs: { visible: 'Show Badge' } }),
+        ],
+      };
+
+      const [component] = (await agent.analyzeAndGenerateCode({ components: [avatar] }, 'html', {}))
+        .components;
+
+      expect(component.styles).toContain('.avatar {\n  clip-path: ellipse();');
+      expect(component.code).toContain('class="photo"');
+      expect(component.code).not.toContain('draft');
+      expect(component.code).toContain('class="badge"');
+    });
+
+    it('should wrap the layers of a mask that leaves other layers unclipped', async () => {
+      const card = {
+        ...layer('9:1', 'Card', { type: 'FRAME' }),
+        clipping: {
+          clipsContent: true,
+          masks: [{ id: '9:3', nodes: ['9:4'], scope: 'nodes', css: { clipPath: 'inset(8px)' } }],
+          css: { overflow: 'hidden' },
+        },
+        children: [layer('9:2', 'Background'), layer('9:4', 'Photo')],
+      };
+
+      const [component] = (await agent.analyzeAndGenerateCode({ components: [card] }, 'html', {}))
+        .components;
+
+      expect(component.code).toBe(
+        [
+          '<div class="card">',
+          '  <div class="background"></div>',
+          '  <div class="card-mask">',
+          '    <div class="photo"></div>',
+          '  </div>',
+          '</div>',
+        ].join('\n')
+      );
+      expect(component.styles).toContain('.card {\n  overflow: hidden;\n  position: relative;');
+      expect(component.styles).toContain(
+        '.card-mask {\n  position: absolute;\n  inset: 0;\n  clip-path: inset(8px);'
+      );
+    });
+  });
+
+  describe('assets', () => {
+    const hero = {
+      id: '5:1',
+      name: 'Hero',
+      type: 'FRAME',
+      properties: {},
+      asset: {
+        kind: 'fill',
+        imageRef: 'ref-1',
+        scaleMode: 'FIT',
+        src: '/assets/kit/fills/hero.png',
+      },
+      children: [
+        {
+          id: '5:2',
+          name: 'Logo',
+          type: 'GROUP',
+          properties: {},
+          asset: { kind: 'vector', src: '/assets/kit/icons/logo.svg' },
+          children: [{ id: '5:3', name: 'Path', type: 'VECTOR', properties: {}, children: [] }],
+        },
+        {
+          id: '5:4',
+          name: 'Photo',
+          type: 'RECTANGLE',
+          properties: {},
+          asset: {
+            kind: 'image',
+            src: '/assets/kit/images/photo.png',
+            srcSet: '/assets/kit/images/photo.png 1x, /assets/kit/images/photo@2x.png 2x',
+          },
+          children: [],
+        },
+        {
+          id: '5:5',
+          name: 'Badge',
+          type: 'VECTOR',
+          properties: {},
+          asset: { kind: 'vector' },
+          children: [],
+        },
+      ],
+    };
+
+    it('should render exported icons and images as img elements', async () => {
+      const [component] = (await agent.analyzeAndGenerateCode({ components: [hero] }, 'react', {}))
+        .components;
+
+      expect(component.code).toContain(
+        '<img className="logo" src="/assets/kit/icons/logo.svg" alt="Logo" />'
+      );
+      expect(component.code).toContain(
+        'srcSet="/assets/kit/images/photo.png 1x, /assets/kit/images/photo@2x.png 2x" alt="Photo" />'
+      );
+      expect(component.code).not.toContain('className="path"');
+      // Assets that were not exported keep their placeholder markup
+      expect(component.code).toContain('<div className="badge" />');
+    });
+
+    it('should use exported image fills as backgrounds', async () => {
+      const [component] = (await agent.analyzeAndGenerateCode({ components: [hero] }, 'html', {}))
+        .components;
+
+      expect(component.code).toContain(
+        '<img class="logo" src="/assets/kit/icons/logo.svg" alt="Logo" />'
+      );
+      expect(component.styles).toContain(
+        ".hero {\n  background-image: url('/assets/kit/fills/hero.png');\n  background-size: contain;"
+      );
+    });
+  });
+});
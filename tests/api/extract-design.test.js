@@ -0,0 +1,166 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+
+// Mock the Figma service, the generators and the repository before importing the handler
+const mockExtractFile = jest.fn();
+const mockExtractNode = jest.fn();
+const mockGetFileMetadata = jest.fn();
+await jest.unstable_mockModule('../../src/services/figmaService.js', () => ({
+  default: jest.fn().mockImplementation(() => ({
+    extractFile: mockExtractFile,
+    extractNode: mockExtractNode,
+    getFileMetadata: mockGetFileMetadata,
+    cacheStats: { hits: 0, misses: 1 },
+  })),
+}));
+
+const mockAnalyzeAndGenerateCode = jest.fn();
+await jest.unstable_mockModule('../../src/agents/codeGenerator.js', () => ({
+  GENERATORS: ['ai', 'template'],
+  createCodeGenerator: jest.fn(() => ({
+    provider: 'github',
+    chunkTokens: 4000,
+    analyzeAndGenerateCode: mockAnalyzeAndGenerateCode,
+  })),
+}));
+
+const mockSave = jest.fn();
+await jest.unstable_mockModule('../../src/repositories/generatedCodeRepository.js', () => ({
+  default: jest.fn().mockImplementation(() => ({ save: mockSave })),
+}));
+
+const { default: handler } = await import('../../api/v1/extract-design.js');
+
+describe('extract-design endpoint', () => {
+  let req;
+  let res;
+  let consoleLogSpy;
+  let consoleWarnSpy;
+
+  const frame = (id) => ({ id, name: id, type: 'FRAME', children: [] });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.FIGMA_ACCESS_TOKEN = 'test-token';
+    req = {
+      method: 'POST',
+      headers: {},
+      body: { fileKey: 'file-key', framework: 'react', options: { maxComponents: 2 } },
+    };
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    mockAnalyzeAndGenerateCode.mockResolvedValue({ components: [], globalStyles: '' });
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+    consoleWarnSpy.mockRestore();
+    delete process.env.FIGMA_ACCESS_TOKEN;
+  });
+
+  it('should report the components left out by maxComponents', async () => {
+    mockExtractFile.mockResolvedValue({
+      fileData: { name: 'File', version: '1' },
+      componentsData: { components: [frame('1:1'), frame('1:2')], totalComponents: 5 },
+      styles: {},
+    });
+
+    await handler(req, res);
+
+    expect(mockExtractFile.mock.calls[0][1].maxComponents).toBe(2);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].metadata.components).toEqual({
+      extracted: 2,
+      total: 5,
+      maxComponents: 2,
+      truncated: true,
+    });
+    expect(res.json.mock.calls[0][0].metadata.warnings).toEqual([
+      'Extracted 2 of 5 components of file-key (maxComponents: 2)',
+    ]);
+    expect(consoleWarnSpy).toHaveBeenCalledWith(
+      'Extracted 2 of 5 components of file-key (maxComponents: 2)'
+    );
+  });
+
+  it('should report the parts of a chunked generation and a part over the budget', async () => {
+    mockExtractFile.mockResolvedValue({
+      fileData: { name: 'File' },
+      componentsData: { components: [frame('1:1'), frame('1:2')], totalComponents: 2 },
+      styles: {},
+    });
+    mockAnalyzeAndGenerateCode.mockResolvedValue({
+      components: [{ name: 'Wall', frameId: '1:1' }],
+      globalStyles: '',
+      chunks: 2,
+      warnings: ['1:2 (1:2) exceeds the token budget of one part'],
+    });
+
+    await handler(req, res);
+
+    const { metadata } = res.json.mock.calls[0][0];
+    expect(metadata.chunks).toEqual({ parts: 2, tokenBudget: 4000 });
+    expect(metadata.warnings).toEqual(['1:2 (1:2) exceeds the token budget of one part']);
+  });
+
+  it('should extract 10 components by default', async () => {
+    req.body.options = {};
+    mockExtractFile.mockResolvedValue({
+      fileData: { name: 'File' },
+      componentsData: { components: [frame('1:1')], totalComponents: 1 },
+      styles: {},
+    });
+
+    await handler(req, res);
+
+    expect(res.json.mock.calls[0][0].metadata.components).toEqual({
+      extracted: 1,
+      total: 1,
+      maxComponents: 10,
+      truncated: false,
+    });
+    expect(res.json.mock.calls[0][0].metadata).toMatchObject({ warnings: [] });
+    expect(res.json.mock.calls[0][0].metadata).not.toHaveProperty('chunks');
+    expect(consoleWarnSpy).not.toHaveBeenCalled();
+  });
+
+  it('should extract only the requested node', async () => {
+    req.body.nodeId = '7:1';
+    mockGetFileMetadata.mockResolvedValue({ name: 'File', version: '3', document: {} });
+    mockExtractNode.mockImplementation(async (fileKey, nodeId, { styles }) => {
+      styles.colors.Brand = { value: { hex: '#ff0000' } };
+      return frame(nodeId);
+    });
+
+    await handler(req, res);
+
+    expect(mockExtractFile).not.toHaveBeenCalled();
+    expect(mockExtractNode).toHaveBeenCalledWith('file-key', '7:1', expect.any(Object));
+    const [componentsData] = mockAnalyzeAndGenerateCode.mock.calls[0];
+    expect(componentsData.components).toEqual([frame('7:1')]);
+    expect(componentsData.styles.colors).toEqual({ Brand: { value: { hex: '#ff0000' } } });
+    expect(res.status).toHaveBeenCalledWith(200);
+    const { data, metadata } = res.json.mock.calls[0][0];
+    expect(data).toMatchObject({ nodeId: '7:1', fileName: 'File' });
+    expect(metadata).toMatchObject({
+      figmaVersion: '3',
+      components: { extracted: 1, total: 1, truncated: false },
+    });
+  });
+
+  it('should return 404 when the requested node does not exist', async () => {
+    req.body.nodeId = '9:9';
+    mockGetFileMetadata.mockResolvedValue({ name: 'File' });
+    mockExtractNode.mockResolvedValue(null);
+
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      error: 'Node not found',
+      details: 'Node 9:9 was not found in file file-key',
+    });
+    expect(mockAnalyzeAndGenerateCode).not.toHaveBeenCalled();
+  });
+});
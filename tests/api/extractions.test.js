@@ -0,0 +1,41 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+
+// Mock the controller
+const mockController = {
+  downloadArchive: jest.fn(),
+};
+await jest.unstable_mockModule('../../src/controllers/extractionsController.js', () => ({
+  default: mockController,
+}));
+
+// Import the handler
+const { default: handler } = await import('../../api/v1/extractions.js');
+
+describe('extractions endpoint', () => {
+  let res;
+
+  beforeEach(() => {
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+    };
+    jest.clearAllMocks();
+  });
+
+  it('should download the archive on GET /extractions/:id/archive', async () => {
+    const req = { method: 'GET', query: { id: 'job-1', action: 'archive' } };
+
+    await handler(req, res);
+
+    expect(mockController.downloadArchive).toHaveBeenCalledWith(req, res);
+  });
+
+  it('should return 405 for other methods and paths', async () => {
+    await handler({ method: 'POST', query: { id: 'job-1', action: 'archive' } }, res);
+    await handler({ method: 'GET', query: { id: 'job-1', action: 'zip' } }, res);
+
+    expect(mockController.downloadArchive).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledTimes(2);
+    expect(res.status).toHaveBeenCalledWith(405);
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+
+// Mock the Figma service, the generators and the repository before importing the handler
+const mockExtractFile = jest.fn();
+await jest.unstable_mockModule('../../src/services/figmaService.js', () => ({
+  default: jest.fn().mockImplementation(() => ({
+    extractFile: mockExtractFile,
+    cacheStats: { hits: 0, misses: 1 },
+  })),
+}));
+
+const mockAnalyzeAndGenerateCode = jest.fn();
+await jest.unstable_mockModule('../../src/agents/codeGenerator.js', () => ({
+  GENERATORS: ['ai', 'template'],
+  createCodeGenerator: jest.fn(() => ({
+    provider: 'github',
+    chunkTokens: 4000,
+    analyzeAndGenerateCode: mockAnalyzeAndGenerateCode,
+  })),
+}));
+
+const mockSave = jest.fn();
+await jest.unstable_mockModule('../../src/repositories/generatedCodeRepository.js', () => ({
+  default: jest.fn().mockImplementation(() => ({ save: mockSave })),
+}));
+
+const { default: handler } = await import('../../api/v1/generate-code.js');
+
+describe('generate-code endpoint', () => {
+  let req;
+  let res;
+  let consoleLogSpy;
+  let consoleWarnSpy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.FIGMA_ACCESS_TOKEN = 'test-token';
+    req = { method: 'POST', headers: {}, body: { fileKey: 'file-key', framework: 'react' } };
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    mockExtractFile.mockResolvedValue({
+      fileData: { name: 'File', version: '1' },
+      componentsData: {
+        components: [
+          { id: '1:1', name: 'Home', type: 'FRAME', children: [] },
+          { id: '2:1', name: 'Wall of text', type: 'FRAME', children: [] },
+        ],
+      },
+      styles: {},
+    });
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+    consoleWarnSpy.mockRestore();
+    delete process.env.FIGMA_ACCESS_TOKEN;
+  });
+
+  it('should return the warnings and parts of a chunked generation', async () => {
+    mockAnalyzeAndGenerateCode.mockResolvedValue({
+      components: [
+        { name: 'Home', frameId: '1:1', code: 'home' },
+        { name: 'WallOfText', frameId: '2:1', code: 'wall' },
+      ],
+      globalStyles: '',
+      notes: '',
+      chunks: 2,
+      warnings: ['Wall of text (2:1) exceeds the token budget of one part'],
+    });
+
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const result = res.json.mock.calls[0][0];
+    expect(result.data.components).toHaveLength(2);
+    expect(result.metadata).toMatchObject({
+      chunks: { parts: 2, tokenBudget: 4000 },
+      warnings: ['Wall of text (2:1) exceeds the token budget of one part'],
+    });
+    expect(mockSave).toHaveBeenCalledWith(result);
+  });
+
+  it('should return no chunk summary or warnings for a design generated at once', async () => {
+    mockAnalyzeAndGenerateCode.mockResolvedValue({ components: [], globalStyles: '' });
+
+    await handler(req, res);
+
+    const { metadata } = res.json.mock.calls[0][0];
+    expect(metadata).not.toHaveProperty('chunks');
+    expect(metadata.warnings).toEqual([]);
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+
+// Mock the controller
+const mockController = {
+  listJobs: jest.fn(),
+  getJob: jest.fn(),
+  cancelJob: jest.fn(),
+  resumeJob: jest.fn(),
+};
+await jest.unstable_mockModule('../../src/controllers/jobsController.js', () => ({
+  default: mockController,
+}));
+
+// Import the handler
+const { default: handler } = await import('../../api/v1/jobs.js');
+
+describe('jobs endpoint', () => {
+  let res;
+
+  beforeEach(() => {
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+    };
+    jest.clearAllMocks();
+  });
+
+  it('should list jobs on GET /jobs', async () => {
+    const req = { method: 'GET', query: {} };
+
+    await handler(req, res);
+
+    expect(mockController.listJobs).toHaveBeenCalledWith(req, res);
+  });
+
+  it('should get a job on GET /jobs/:id', async () => {
+    const req = { method: 'GET', query: { id: 'job-1' } };
+
+    await handler(req, res);
+
+    expect(mockController.getJob).toHaveBeenCalledWith(req, res);
+  });
+
+  it('should dispatch cancel and resume actions on POST', async () => {
+    const cancel = { method: 'POST', query: { id: 'job-1', action: 'cancel' } };
+    const resume = { method: 'POST', query: { id: 'job-1', action: 'resume' } };
+
+    await handler(cancel, res);
+    await handler(resume, res);
+
+    expect(mockController.cancelJob).toHaveBeenCalledWith(cancel, res);
+    expect(mockController.resumeJob).toHaveBeenCalledWith(resume, res);
+  });
+
+  it('should reject other methods and actions', async () => {
+    await handler({ method: 'DELETE', query: { id: 'job-1' } }, res);
+    await handler({ method: 'POST', query: { id: 'job-1', action: 'pause' } }, res);
+    await handler({ method: 'GET', query: { id: 'job-1', action: 'cancel' } }, res);
+
+    expect(res.status).toHaveBeenCalledTimes(3);
+    expect(res.status).toHaveBeenCalledWith(405);
+  });
+
+  it('should handle controller errors', async () => {
+    const error = Object.assign(new Error('Job not found'), {
+      statusCode: 404,
+      isOperational: true,
+    });
+    mockController.getJob.mockRejectedValue(error);
+    const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+
+    await handler({ method: 'GET', query: { id: 'missing' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    consoleErrorSpy.mockRestore();
+  });
+});
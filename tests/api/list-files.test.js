@@ -95,6 +95,7 @@ describe('list-files endpoint', () => {
 
       expect(mockGet).toHaveBeenCalledWith('https://api.figma.com/v1/teams/123456/projects', {
         headers: { 'X-Figma-Token': 'test-token' },
+        timeout: 30000,
       });
       expect(res.status).toHaveBeenCalledWith(200);
     });
@@ -107,6 +108,7 @@ describe('list-files endpoint', () => {
 
       expect(mockGet).toHaveBeenCalledWith('https://api.figma.com/v1/projects/789012/files', {
         headers: { 'X-Figma-Token': 'test-token' },
+        timeout: 30000,
       });
       expect(res.status).toHaveBeenCalledWith(200);
     });
@@ -139,6 +141,7 @@ describe('list-files endpoint', () => {
 
       expect(mockGet).toHaveBeenCalledWith('https://api.figma.com/v1/teams/123456/projects', {
         headers: { 'X-Figma-Token': 'test-token' },
+        timeout: 30000,
       });
       expect(res.status).toHaveBeenCalledWith(200);
     });
@@ -151,6 +154,7 @@ describe('list-files endpoint', () => {
 
       expect(mockGet).toHaveBeenCalledWith('https://api.figma.com/v1/teams/123456/projects', {
         headers: { 'X-Figma-Token': 'test-token' },
+        timeout: 30000,
       });
       expect(res.status).toHaveBeenCalledWith(200);
     });
@@ -163,6 +167,7 @@ describe('list-files endpoint', () => {
 
       expect(mockGet).toHaveBeenCalledWith('https://api.figma.com/v1/projects/789012/files', {
         headers: { 'X-Figma-Token': 'test-token' },
+        timeout: 30000,
       });
       expect(res.status).toHaveBeenCalledWith(200);
     });
@@ -175,6 +180,7 @@ describe('list-files endpoint', () => {
 
       expect(mockGet).toHaveBeenCalledWith('https://api.figma.com/v1/projects/789012/files', {
         headers: { 'X-Figma-Token': 'test-token' },
+        timeout: 30000,
       });
       expect(res.status).toHaveBeenCalledWith(200);
     });
@@ -188,6 +194,7 @@ describe('list-files endpoint', () => {
 
       expect(mockGet).toHaveBeenCalledWith('https://api.figma.com/v1/projects/789012/files', {
         headers: { 'X-Figma-Token': 'custom-token' },
+        timeout: 30000,
       });
       expect(res.status).toHaveBeenCalledWith(200);
     });
@@ -201,6 +208,7 @@ describe('list-files endpoint', () => {
 
       expect(mockGet).toHaveBeenCalledWith('https://api.figma.com/v1/projects/789012/files', {
         headers: { 'X-Figma-Token': 'custom-token' },
+        timeout: 30000,
       });
       expect(res.status).toHaveBeenCalledWith(200);
     });
@@ -339,6 +347,23 @@ describe('list-files endpoint', () => {
       });
     });
 
+    it('should retry rate-limited requests before reporting 429', async () => {
+      req.body = { projectId: '789012' };
+      const error = new Error('Too many requests');
+      error.response = { status: 429, headers: { 'retry-after': '0' } };
+      mockGet.mockRejectedValue(error);
+
+      await handler(req, res);
+
+      expect(mockGet).toHaveBeenCalledTimes(4);
+      expect(res.status).toHaveBeenCalledWith(429);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'Figma rate limit exceeded',
+        details: 'Too many requests to the Figma API, please try again later',
+      });
+    });
+
     it('should handle generic API errors', async () => {
       req.body = { projectId: '789012' };
       const error = new Error('Network error');
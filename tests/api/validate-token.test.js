@@ -104,6 +104,7 @@ describe('validate-token endpoint', () => {
       headers: {
         'X-Figma-Token': 'test-token-123',
       },
+      timeout: 30000,
     });
 
     expect(res.status).toHaveBeenCalledWith(200);
@@ -0,0 +1,164 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+
+// Mock dependencies before importing
+const mockExtractDesignTokens = jest.fn();
+const mockServiceConstructor = jest.fn().mockImplementation(() => ({
+  extractDesignTokens: mockExtractDesignTokens,
+}));
+await jest.unstable_mockModule('../../src/services/projectExtractionService.js', () => ({
+  default: mockServiceConstructor,
+}));
+
+const mockSendSuccess = jest.fn();
+await jest.unstable_mockModule('../../src/utils/responseFormatter.js', () => ({
+  sendSuccess: mockSendSuccess,
+}));
+
+// Import after mocking
+const { default: DesignTokensController } =
+  await import('../../src/controllers/designTokensController.js');
+const { ValidationError, UnauthorizedError } = await import('../../src/utils/errorHandler.js');
+
+describe('DesignTokensController', () => {
+  let req;
+  let res;
+  let consoleLogSpy;
+  const originalEnv = process.env.FIGMA_ACCESS_TOKEN;
+
+  beforeEach(() => {
+    req = { body: { fileKey: 'test-file-key', figmaToken: 'test-figma-token' } };
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+    delete process.env.FIGMA_ACCESS_TOKEN;
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+    if (originalEnv !== undefined) {
+      process.env.FIGMA_ACCESS_TOKEN = originalEnv;
+    }
+  });
+
+  describe('exportTokens', () => {
+    it('should throw ValidationError if fileKey is missing', async () => {
+      req.body = {};
+
+      await expect(DesignTokensController.exportTokens(req, res)).rejects.toThrow(ValidationError);
+    });
+
+    it('should throw ValidationError without a request body', async () => {
+      req.body = undefined;
+
+      await expect(DesignTokensController.exportTokens(req, res)).rejects.toThrow(ValidationError);
+    });
+
+    it('should throw UnauthorizedError without any Figma token', async () => {
+      delete req.body.figmaToken;
+
+      await expect(DesignTokensController.exportTokens(req, res)).rejects.toThrow(
+        UnauthorizedError
+      );
+    });
+
+    it('should fall back to the environment Figma token', async () => {
+      delete req.body.figmaToken;
+      process.env.FIGMA_ACCESS_TOKEN = 'env-token';
+      mockExtractDesignTokens.mockResolvedValue({ tokenCount: 0, files: {} });
+
+      await DesignTokensController.exportTokens(req, res);
+
+      expect(mockServiceConstructor).toHaveBeenCalledWith('env-token');
+    });
+
+    it('should reject unknown token formats', async () => {
+      req.body.formats = ['less'];
+
+      await expect(DesignTokensController.exportTokens(req, res)).rejects.toThrow(
+        'Invalid token format'
+      );
+    });
+
+    it('should export tokens in the requested formats', async () => {
+      req.body.formats = ['css'];
+      const result = {
+        fileKey: 'test-file-key',
+        tokenCount: 3,
+        files: { 'tokens.css': ':root {}' },
+      };
+      mockExtractDesignTokens.mockResolvedValue(result);
+
+      await DesignTokensController.exportTokens(req, res);
+
+      expect(mockServiceConstructor).toHaveBeenCalledWith('test-figma-token');
+      expect(mockExtractDesignTokens).toHaveBeenCalledWith('test-file-key', ['css'], {
+        variables: false,
+        variablesJson: null,
+      });
+      expect(mockSendSuccess).toHaveBeenCalledWith(res, result);
+    });
+
+    it('should export every format by default', async () => {
+      mockExtractDesignTokens.mockResolvedValue({ tokenCount: 0, files: {} });
+
+      await DesignTokensController.exportTokens(req, res);
+
+      expect(mockExtractDesignTokens).toHaveBeenCalledWith(
+        'test-file-key',
+        ['dtcg', 'style-dictionary', 'css', 'scss', 'tailwind'],
+        { variables: false, variablesJson: null }
+      );
+    });
+
+    it('should pass the variables source to the service', async () => {
+      const variablesJson = { meta: { variables: {}, variableCollections: {} } };
+      req.body.variablesJson = variablesJson;
+      mockExtractDesignTokens.mockResolvedValue({ tokenCount: 0, files: {} });
+
+      await DesignTokensController.exportTokens(req, res);
+
+      expect(mockExtractDesignTokens.mock.calls[0][2]).toEqual({
+        variables: false,
+        variablesJson,
+      });
+    });
+
+    it('should reject token formats that are not a list', async () => {
+      req.body.formats = 'css';
+
+      await expect(DesignTokensController.exportTokens(req, res)).rejects.toThrow(
+        'Token formats must be an array'
+      );
+      expect(mockExtractDesignTokens).not.toHaveBeenCalled();
+    });
+
+    it('should read the variables of every mode when asked to', async () => {
+      req.body.variables = true;
+      mockExtractDesignTokens.mockResolvedValue({ tokenCount: 0, files: {} });
+
+      await DesignTokensController.exportTokens(req, res);
+
+      expect(mockExtractDesignTokens.mock.calls[0][2]).toEqual({
+        variables: true,
+        variablesJson: null,
+      });
+    });
+
+    it('should pass on extraction errors without responding', async () => {
+      mockExtractDesignTokens.mockRejectedValue(new Error('Figma API error'));
+
+      await expect(DesignTokensController.exportTokens(req, res)).rejects.toThrow(
+        'Figma API error'
+      );
+      expect(mockSendSuccess).not.toHaveBeenCalled();
+    });
+
+    it('should reject a variables JSON without variables', async () => {
+      req.body.variablesJson = { collections: [] };
+
+      await expect(DesignTokensController.exportTokens(req, res)).rejects.toThrow(
+        'Invalid variables JSON'
+      );
+    });
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import path from 'path';
+import { PassThrough, Readable } from 'stream';
+
+// Mock dependencies before importing
+const mockGetJob = jest.fn();
+await jest.unstable_mockModule('../../src/services/jobService.js', () => ({
+  default: jest.fn().mockImplementation(() => ({ getJob: mockGetJob })),
+}));
+
+const mockCreateArchive = jest.fn();
+await jest.unstable_mockModule('../../src/services/archiveService.js', () => ({
+  default: jest.fn().mockImplementation(() => ({ createArchive: mockCreateArchive })),
+}));
+
+await jest.unstable_mockModule('../../src/services/projectExtractionService.js', () => ({
+  default: jest.fn(),
+  getOutputRoot: () => '/srv/output',
+}));
+
+// Import after mocking
+const { default: ExtractionsController } =
+  await import('../../src/controllers/extractionsController.js');
+const { NotFoundError, ValidationError } = await import('../../src/utils/errorHandler.js');
+
+describe('ExtractionsController', () => {
+  let req;
+  let res;
+  let consoleLogSpy;
+  const completedJob = {
+    id: 'job-1',
+    type: 'extract-project',
+    status: 'completed',
+    result: { outputDirectory: 'project-1-01-01-2025-10h00m00s' },
+  };
+
+  let consoleErrorSpy;
+
+  beforeEach(() => {
+    req = { query: { id: 'job-1' } };
+    // Writable response collecting what is streamed into it
+    res = Object.assign(new PassThrough(), {
+      status: jest.fn().mockReturnThis(),
+      setHeader: jest.fn(),
+    });
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+    consoleErrorSpy.mockRestore();
+  });
+
+  describe('downloadArchive', () => {
+    it('should stream the output directory of the job as a ZIP', async () => {
+      mockGetJob.mockResolvedValue(completedJob);
+      mockCreateArchive.mockResolvedValue(Readable.from([Buffer.from('z'), Buffer.from('ip')]));
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+
+      await ExtractionsController.downloadArchive(req, res);
+
+      expect(mockGetJob).toHaveBeenCalledWith('job-1');
+      expect(mockCreateArchive).toHaveBeenCalledWith(
+        path.join('/srv/output', 'project-1-01-01-2025-10h00m00s'),
+        'project-1-01-01-2025-10h00m00s'
+      );
+      expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'application/zip');
+      expect(res.setHeader).toHaveBeenCalledWith(
+        'Content-Disposition',
+        'attachment; filename="project-1-01-01-2025-10h00m00s.zip"'
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(Buffer.concat(chunks).toString()).toBe('zip');
+      expect(consoleLogSpy).toHaveBeenCalledWith('Archive of job job-1 sent');
+    });
+
+    it('should end the response early when streaming fails', async () => {
+      async function* failing() {
+        yield Buffer.from('z');
+        throw new Error('EIO');
+      }
+      mockGetJob.mockResolvedValue(completedJob);
+      mockCreateArchive.mockResolvedValue(Readable.from(failing()));
+      res.resume();
+
+      await ExtractionsController.downloadArchive(req, res);
+
+      expect(res.destroyed).toBe(true);
+      expect(consoleErrorSpy).toHaveBeenCalledWith('Archive of job job-1 failed:', 'EIO');
+    });
+
+    it('should reject jobs that are not extractions', async () => {
+      mockGetJob.mockResolvedValue({ ...completedJob, type: 'other' });
+
+      await expect(ExtractionsController.downloadArchive(req, res)).rejects.toThrow(
+        ValidationError
+      );
+    });
+
+    it('should reject extractions that are not completed', async () => {
+      mockGetJob.mockResolvedValue({ ...completedJob, status: 'running', result: null });
+
+      await expect(ExtractionsController.downloadArchive(req, res)).rejects.toMatchObject({
+        message: 'Extraction is not completed',
+        details: { status: 'running' },
+      });
+      expect(mockCreateArchive).not.toHaveBeenCalled();
+    });
+
+    it('should report output that no longer exists as not found', async () => {
+      mockGetJob.mockResolvedValue(completedJob);
+      mockCreateArchive.mockRejectedValue(Object.assign(new Error('ENOENT'), { code: 'ENOENT' }));
+
+      await expect(ExtractionsController.downloadArchive(req, res)).rejects.toThrow(NotFoundError);
+    });
+
+    it('should rethrow other archive errors', async () => {
+      mockGetJob.mockResolvedValue(completedJob);
+      mockCreateArchive.mockRejectedValue(new Error('EACCES'));
+
+      await expect(ExtractionsController.downloadArchive(req, res)).rejects.toThrow('EACCES');
+    });
+  });
+});
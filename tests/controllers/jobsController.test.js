@@ -0,0 +1,177 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+
+// Mock dependencies before importing
+const mockJobService = {
+  listJobs: jest.fn(),
+  getJob: jest.fn(),
+  cancelJob: jest.fn(),
+  resumeJob: jest.fn(),
+};
+await jest.unstable_mockModule('../../src/services/jobService.js', () => ({
+  default: jest.fn().mockImplementation(() => mockJobService),
+  JOB_STATUSES: ['queued', 'running', 'completed', 'failed', 'cancelled', 'interrupted', 'paused'],
+}));
+
+const mockExtractProject = jest.fn();
+const mockServiceConstructor = jest.fn().mockImplementation(() => ({
+  extractProject: mockExtractProject,
+}));
+await jest.unstable_mockModule('../../src/services/projectExtractionService.js', () => ({
+  default: mockServiceConstructor,
+  getOutputRoot: () => '/srv/output',
+}));
+
+const mockSendSuccess = jest.fn();
+await jest.unstable_mockModule('../../src/utils/responseFormatter.js', () => ({
+  sendSuccess: mockSendSuccess,
+}));
+
+// Import after mocking
+const { default: JobsController } = await import('../../src/controllers/jobsController.js');
+const { ValidationError, UnauthorizedError } = await import('../../src/utils/errorHandler.js');
+
+describe('JobsController', () => {
+  let req;
+  let res;
+  let consoleLogSpy;
+  const originalEnv = process.env.FIGMA_ACCESS_TOKEN;
+
+  beforeEach(() => {
+    req = { query: { id: 'job-1' }, body: {} };
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+    delete process.env.FIGMA_ACCESS_TOKEN;
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+    if (originalEnv !== undefined) {
+      process.env.FIGMA_ACCESS_TOKEN = originalEnv;
+    }
+  });
+
+  describe('listJobs', () => {
+    it('should list jobs with filters', async () => {
+      req.query = { status: 'running', type: 'extract-project' };
+      mockJobService.listJobs.mockResolvedValue([{ id: 'job-1' }]);
+
+      await JobsController.listJobs(req, res);
+
+      expect(mockJobService.listJobs).toHaveBeenCalledWith({
+        status: 'running',
+        type: 'extract-project',
+      });
+      expect(mockSendSuccess).toHaveBeenCalledWith(res, { count: 1, data: [{ id: 'job-1' }] });
+    });
+
+    it('should reject unknown statuses', async () => {
+      req.query = { status: 'sleeping' };
+
+      await expect(JobsController.listJobs(req, res)).rejects.toThrow(ValidationError);
+      expect(mockJobService.listJobs).not.toHaveBeenCalled();
+    });
+
+    it('should handle a missing query', async () => {
+      mockJobService.listJobs.mockResolvedValue([]);
+
+      await JobsController.listJobs({}, res);
+
+      expect(mockJobService.listJobs).toHaveBeenCalledWith({ status: undefined, type: undefined });
+    });
+  });
+
+  describe('getJob', () => {
+    it('should send the job', async () => {
+      mockJobService.getJob.mockResolvedValue({ id: 'job-1', status: 'running' });
+
+      await JobsController.getJob(req, res);
+
+      expect(mockJobService.getJob).toHaveBeenCalledWith('job-1');
+      expect(mockSendSuccess).toHaveBeenCalledWith(res, {
+        data: { id: 'job-1', status: 'running' },
+      });
+    });
+  });
+
+  describe('cancelJob', () => {
+    it('should cancel the job', async () => {
+      mockJobService.cancelJob.mockResolvedValue({ id: 'job-1', cancelRequested: true });
+
+      await JobsController.cancelJob(req, res);
+
+      expect(mockJobService.cancelJob).toHaveBeenCalledWith('job-1');
+      expect(mockSendSuccess).toHaveBeenCalledWith(res, {
+        data: { id: 'job-1', cancelRequested: true },
+      });
+    });
+  });
+
+  describe('resumeJob', () => {
+    const job = { id: 'job-1', type: 'extract-project', params: { fileKey: 'k' } };
+
+    it('should resume extractions with the request Figma token', async () => {
+      req.body = { figmaToken: 'body-token' };
+      mockJobService.getJob.mockResolvedValue(job);
+      mockJobService.resumeJob.mockResolvedValue({ ...job, status: 'queued' });
+
+      await JobsController.resumeJob(req, res);
+
+      expect(mockSendSuccess).toHaveBeenCalledWith(
+        res,
+        { data: { ...job, status: 'queued' } },
+        202
+      );
+
+      const task = mockJobService.resumeJob.mock.calls[0][1];
+      const hooks = { checkpoint: { outputDir: 'out' } };
+      mockExtractProject.mockResolvedValue({ filesProcessed: 1, totalComponentsExtracted: 2 });
+      await task(hooks);
+
+      expect(mockServiceConstructor).toHaveBeenCalledWith('body-token');
+      expect(mockExtractProject).toHaveBeenCalledWith({ fileKey: 'k' }, hooks);
+    });
+
+    it('should send the finished job when it ran inside the request', async () => {
+      req.body = { figmaToken: 'body-token' };
+      mockJobService.getJob.mockResolvedValue(job);
+      mockJobService.resumeJob.mockResolvedValue({ ...job, status: 'completed', finishedAt: 'x' });
+
+      await JobsController.resumeJob(req, res);
+
+      expect(mockSendSuccess).toHaveBeenCalledWith(
+        res,
+        { data: { ...job, status: 'completed', finishedAt: 'x' } },
+        200
+      );
+    });
+
+    it('should fall back to the environment Figma token', async () => {
+      process.env.FIGMA_ACCESS_TOKEN = 'env-token';
+      req.body = undefined;
+      mockJobService.getJob.mockResolvedValue(job);
+      mockJobService.resumeJob.mockResolvedValue(job);
+
+      await JobsController.resumeJob(req, res);
+      await mockJobService.resumeJob.mock.calls[0][1]({});
+
+      expect(mockServiceConstructor).toHaveBeenCalledWith('env-token');
+    });
+
+    it('should require a Figma token', async () => {
+      mockJobService.getJob.mockResolvedValue(job);
+
+      await expect(JobsController.resumeJob(req, res)).rejects.toThrow(UnauthorizedError);
+      expect(mockJobService.resumeJob).not.toHaveBeenCalled();
+    });
+
+    it('should reject jobs of other types', async () => {
+      req.body = { figmaToken: 'body-token' };
+      mockJobService.getJob.mockResolvedValue({ ...job, type: 'other' });
+
+      await expect(JobsController.resumeJob(req, res)).rejects.toThrow(
+        'Jobs of type other cannot be resumed'
+      );
+    });
+  });
+});
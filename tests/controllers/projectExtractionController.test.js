@@ -8,15 +8,45 @@ await jest.unstable_mockModule('../../src/services/projectExtractionService.js',
   })),
 }));
 
+// Job service starts the task right away with stub hooks and returns the queued job
+const mockHooks = { onProgress: jest.fn(), isCancelled: jest.fn() };
+const mockCreateJob = jest.fn();
+const mockRuns = [];
+const mockStartJob = jest.fn(async (id, task) => {
+  mockRuns.push(task(mockHooks).catch(() => {}));
+  return { id, status: 'queued', finishedAt: null };
+});
+await jest.unstable_mockModule('../../src/services/jobService.js', () => ({
+  default: jest.fn().mockImplementation(() => ({
+    createJob: mockCreateJob,
+    startJob: mockStartJob,
+  })),
+}));
+
+const mockSendArchive = jest.fn();
+await jest.unstable_mockModule('../../src/controllers/extractionsController.js', () => ({
+  default: { sendArchive: mockSendArchive },
+}));
+
 const mockValidateFrameworks = jest.fn();
 const mockValidatePositiveInteger = jest.fn((value, name, defaultValue) => value || defaultValue);
 const mockValidateBoolean = jest.fn((value, defaultValue) =>
   value !== undefined ? value : defaultValue
 );
+const mockValidateTokenFormats = jest.fn((formats) => formats || ['dtcg', 'css']);
 await jest.unstable_mockModule('../../src/utils/validators.js', () => ({
   validateFrameworks: mockValidateFrameworks,
   validatePositiveInteger: mockValidatePositiveInteger,
   validateBoolean: mockValidateBoolean,
+  validateTokenFormats: mockValidateTokenFormats,
+  validateGenerator: jest.fn((generator) => generator || 'ai'),
+  validateOutputFormat: jest.fn((format) => format || 'json'),
+  validateImageFormat: jest.fn((format) => format || 'png'),
+  validateImageScales: jest.fn((scales) => scales || [1]),
+  validateBreakpoints: jest.fn((breakpoints) => breakpoints || { mobile: 0, desktop: 1280 }),
+  validateResponsiveQuery: jest.fn((query) => query || 'media'),
+  validateVariablesJson: jest.fn((json) => json || null),
+  validateExtractionFilters: jest.fn((filters) => filters || null),
 }));
 
 const mockSendSuccess = jest.fn();
@@ -42,6 +72,7 @@ describe('ProjectExtractionController', () => {
   let req;
   let res;
   let consoleLogSpy;
+  let consoleErrorSpy;
 
   beforeEach(() => {
     req = {
@@ -58,11 +89,14 @@ describe('ProjectExtractionController', () => {
     };
 
     consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
     jest.clearAllMocks();
+    mockCreateJob.mockResolvedValue({ id: 'job-1', status: 'queued' });
   });
 
   afterEach(() => {
     consoleLogSpy.mockRestore();
+    consoleErrorSpy.mockRestore();
   });
 
   describe('extractProject', () => {
@@ -104,7 +138,6 @@ describe('ProjectExtractionController', () => {
       mockExtractProject.mockResolvedValue({
         filesProcessed: 5,
         totalComponentsExtracted: 20,
-        githubToken: 'should-be-removed',
       });
 
       await ProjectExtractionController.extractProject(req, res);
@@ -127,7 +160,8 @@ describe('ProjectExtractionController', () => {
       expect(mockExtractProject).toHaveBeenCalledWith(
         expect.objectContaining({
           frameworks: ['vue', 'angular'],
-        })
+        }),
+        mockHooks
       );
     });
 
@@ -156,7 +190,8 @@ describe('ProjectExtractionController', () => {
       expect(mockExtractProject).toHaveBeenCalledWith(
         expect.objectContaining({
           frameworks: ['react'],
-        })
+        }),
+        mockHooks
       );
     });
 
@@ -213,7 +248,7 @@ describe('ProjectExtractionController', () => {
 
       await ProjectExtractionController.extractProject(req, res);
 
-      expect(mockExtractProject).toHaveBeenCalledWith({
+      const params = {
         fileKey: 'test-file-key',
         teamId: undefined,
         projectId: undefined,
@@ -222,10 +257,166 @@ describe('ProjectExtractionController', () => {
           maxComponentsPerFile: 20,
           includeStyles: true,
           generateDocs: false,
+          designTokens: false,
+          tokenFormats: ['dtcg', 'css'],
+          generator: 'ai',
+          incremental: false,
+          outputFormat: 'json',
+          scaffold: false,
+          exportAssets: false,
+          imageFormat: 'png',
+          imageScales: [1],
+          responsive: false,
+          breakpoints: { mobile: 0, desktop: 1280 },
+          responsiveQuery: 'media',
+          variables: false,
+          variablesJson: null,
+          filters: null,
+          includeHidden: false,
+          sharedLibrary: false,
         },
+      };
+      expect(mockCreateJob).toHaveBeenCalledWith('extract-project', params);
+      expect(mockStartJob).toHaveBeenCalledWith('job-1', expect.any(Function));
+      expect(mockExtractProject).toHaveBeenCalledWith(params, mockHooks);
+    });
+
+    it('should not require githubToken with the template generator', async () => {
+      delete req.body.githubToken;
+      req.body.options = { generator: 'template' };
+
+      mockExtractProject.mockResolvedValue({ filesProcessed: 1, totalComponentsExtracted: 1 });
+
+      await ProjectExtractionController.extractProject(req, res);
+
+      expect(mockExtractProject.mock.calls[0][0].options.generator).toBe('template');
+    });
+
+    it('should pass design token options to the service', async () => {
+      req.body.options = { designTokens: true, tokenFormats: ['tailwind'] };
+
+      mockExtractProject.mockResolvedValue({ filesProcessed: 1, totalComponentsExtracted: 1 });
+
+      await ProjectExtractionController.extractProject(req, res);
+
+      expect(mockValidateBoolean).toHaveBeenCalledWith(true, false);
+      expect(mockValidateTokenFormats).toHaveBeenCalledWith(['tailwind']);
+      expect(mockExtractProject.mock.calls[0][0].options).toMatchObject({
+        designTokens: true,
+        tokenFormats: ['tailwind'],
+      });
+    });
+
+    it('should pass the output format to the service', async () => {
+      req.body.options = { outputFormat: 'source' };
+
+      mockExtractProject.mockResolvedValue({ filesProcessed: 1, totalComponentsExtracted: 1 });
+
+      await ProjectExtractionController.extractProject(req, res);
+
+      expect(mockExtractProject.mock.calls[0][0].options.outputFormat).toBe('source');
+    });
+
+    it('should pass the scaffold option to the service', async () => {
+      req.body.options = { scaffold: true };
+
+      mockExtractProject.mockResolvedValue({ filesProcessed: 1, totalComponentsExtracted: 1 });
+
+      await ProjectExtractionController.extractProject(req, res);
+
+      expect(mockExtractProject.mock.calls[0][0].options.scaffold).toBe(true);
+    });
+
+    it('should pass the asset export options to the service', async () => {
+      req.body.options = { exportAssets: true, imageFormat: 'jpg', imageScales: [1, 2] };
+
+      mockExtractProject.mockResolvedValue({ filesProcessed: 1, totalComponentsExtracted: 1 });
+
+      await ProjectExtractionController.extractProject(req, res);
+
+      expect(mockValidateBoolean).toHaveBeenCalledWith(true, false);
+      expect(mockExtractProject.mock.calls[0][0].options).toMatchObject({
+        exportAssets: true,
+        imageFormat: 'jpg',
+        imageScales: [1, 2],
+      });
+    });
+
+    it('should pass the responsive options to the service', async () => {
+      req.body.options = {
+        responsive: true,
+        breakpoints: { phone: 0, wide: 1024 },
+        responsiveQuery: 'container',
+      };
+
+      mockExtractProject.mockResolvedValue({ filesProcessed: 1, totalComponentsExtracted: 1 });
+
+      await ProjectExtractionController.extractProject(req, res);
+
+      expect(mockExtractProject.mock.calls[0][0].options).toMatchObject({
+        responsive: true,
+        breakpoints: { phone: 0, wide: 1024 },
+        responsiveQuery: 'container',
+      });
+    });
+
+    it('should pass the variables options to the service', async () => {
+      const variablesJson = { meta: { variables: {}, variableCollections: {} } };
+      req.body.options = { variables: true, variablesJson };
+
+      mockExtractProject.mockResolvedValue({ filesProcessed: 1, totalComponentsExtracted: 1 });
+
+      await ProjectExtractionController.extractProject(req, res);
+
+      expect(mockExtractProject.mock.calls[0][0].options).toMatchObject({
+        variables: true,
+        variablesJson,
       });
     });
 
+    it('should pass the page and frame filters to the service', async () => {
+      const filters = { include: { pages: ['Checkout'] } };
+      req.body.options = { filters };
+
+      mockExtractProject.mockResolvedValue({ filesProcessed: 1, totalComponentsExtracted: 1 });
+
+      await ProjectExtractionController.extractProject(req, res);
+
+      expect(mockExtractProject.mock.calls[0][0].options.filters).toEqual(filters);
+    });
+
+    it('should keep hidden layers when asked to', async () => {
+      req.body.options = { includeHidden: true };
+
+      mockExtractProject.mockResolvedValue({ filesProcessed: 1, totalComponentsExtracted: 1 });
+
+      await ProjectExtractionController.extractProject(req, res);
+
+      expect(mockExtractProject.mock.calls[0][0].options.includeHidden).toBe(true);
+    });
+
+    it('should generate a shared library when asked to', async () => {
+      req.body.options = { sharedLibrary: true };
+
+      mockExtractProject.mockResolvedValue({ filesProcessed: 1, totalComponentsExtracted: 1 });
+
+      await ProjectExtractionController.extractProject(req, res);
+
+      expect(mockExtractProject.mock.calls[0][0].options.sharedLibrary).toBe(true);
+    });
+
+    it('should run incremental extraction only when asked to', async () => {
+      mockExtractProject.mockResolvedValue({ filesProcessed: 1, totalComponentsExtracted: 1 });
+
+      await ProjectExtractionController.extractProject(req, res);
+      req.body.options = { incremental: true };
+      await ProjectExtractionController.extractProject(req, res);
+
+      expect(mockValidateBoolean).toHaveBeenCalledWith(undefined, false);
+      expect(mockExtractProject.mock.calls[0][0].options.incremental).toBe(false);
+      expect(mockExtractProject.mock.calls[1][0].options.incremental).toBe(true);
+    });
+
     it('should log start and completion messages', async () => {
       mockExtractProject.mockResolvedValue({
         filesProcessed: 5,
@@ -233,47 +424,111 @@ describe('ProjectExtractionController', () => {
       });
 
       await ProjectExtractionController.extractProject(req, res);
+      await mockRuns[mockRuns.length - 1];
 
+      expect(consoleLogSpy).toHaveBeenCalledWith('Project extraction queued as job job-1');
       expect(consoleLogSpy).toHaveBeenCalledWith('Starting project extraction');
       expect(consoleLogSpy).toHaveBeenCalledWith(
         'Project extraction completed: 5 files, 20 components'
       );
     });
 
-    it('should remove sensitive data (githubToken) from result', async () => {
-      const mockResult = {
-        filesProcessed: 5,
-        totalComponentsExtracted: 20,
-        githubToken: 'secret-token',
-      };
+    it('should not persist tokens in the job parameters', async () => {
+      mockExtractProject.mockResolvedValue({ filesProcessed: 1, totalComponentsExtracted: 1 });
 
-      mockExtractProject.mockResolvedValue(mockResult);
+      await ProjectExtractionController.extractProject(req, res);
+
+      const params = mockCreateJob.mock.calls[0][1];
+      expect(params.figmaToken).toBeUndefined();
+      expect(params.githubToken).toBeUndefined();
+      expect(JSON.stringify(params)).not.toContain('test-figma-token');
+    });
+
+    it('should respond right away with the queued job', async () => {
+      mockExtractProject.mockReturnValue(new Promise(() => {}));
 
       await ProjectExtractionController.extractProject(req, res);
 
-      expect(mockResult.githubToken).toBeUndefined();
+      expect(mockSendSuccess).toHaveBeenCalledWith(
+        res,
+        {
+          jobId: 'job-1',
+          status: 'queued',
+          statusUrl: '/api/v1/jobs/job-1',
+          cancelUrl: '/api/v1/jobs/job-1/cancel',
+        },
+        202
+      );
     });
 
-    it('should send success response with result', async () => {
-      const mockResult = {
-        filesProcessed: 5,
-        totalComponentsExtracted: 20,
-        outputDirectory: '/path/to/output',
-      };
+    it('should send the finished job when it ran inside the request', async () => {
+      const finished = { id: 'job-1', status: 'completed', finishedAt: '2026-01-01', result: {} };
+      mockStartJob.mockResolvedValueOnce(finished);
+
+      await ProjectExtractionController.extractProject(req, res);
+
+      expect(mockSendSuccess).toHaveBeenCalledWith(
+        res,
+        {
+          jobId: 'job-1',
+          status: 'completed',
+          statusUrl: '/api/v1/jobs/job-1',
+          cancelUrl: '/api/v1/jobs/job-1/cancel',
+          data: finished,
+        },
+        200
+      );
+    });
+
+    it('should link the resume endpoint when the job paused after a step', async () => {
+      mockStartJob.mockResolvedValueOnce({ id: 'job-1', status: 'paused', finishedAt: null });
+      req.body.options = { archive: true };
+
+      await ProjectExtractionController.extractProject(req, res);
+
+      expect(mockSendArchive).not.toHaveBeenCalled();
+      expect(mockSendSuccess).toHaveBeenCalledWith(
+        res,
+        {
+          jobId: 'job-1',
+          status: 'paused',
+          statusUrl: '/api/v1/jobs/job-1',
+          cancelUrl: '/api/v1/jobs/job-1/cancel',
+          resumeUrl: '/api/v1/jobs/job-1/resume',
+        },
+        202
+      );
+    });
+
+    it('should send a ZIP of the output when asked to and the job ran inside the request', async () => {
+      const finished = { id: 'job-1', status: 'completed', finishedAt: '2026-01-01', result: {} };
+      mockStartJob.mockResolvedValueOnce(finished);
+      req.body.options = { archive: true };
+
+      await ProjectExtractionController.extractProject(req, res);
+
+      expect(mockSendArchive).toHaveBeenCalledWith(res, finished);
+      expect(mockSendSuccess).not.toHaveBeenCalled();
+      expect(mockCreateJob.mock.calls[0][1].options.archive).toBeUndefined();
+    });
 
-      mockExtractProject.mockResolvedValue(mockResult);
+    it('should respond with the queued job when the archive cannot be built yet', async () => {
+      mockExtractProject.mockReturnValue(new Promise(() => {}));
+      req.body.options = { archive: true };
 
       await ProjectExtractionController.extractProject(req, res);
 
-      expect(mockSendSuccess).toHaveBeenCalledWith(res, mockResult);
+      expect(mockSendArchive).not.toHaveBeenCalled();
+      expect(mockSendSuccess.mock.calls[0][2]).toBe(202);
     });
 
-    it('should handle service errors', async () => {
-      mockExtractProject.mockRejectedValue(new Error('Service error'));
+    it('should propagate job creation errors', async () => {
+      mockCreateJob.mockRejectedValue(new Error('Storage error'));
 
       await expect(ProjectExtractionController.extractProject(req, res)).rejects.toThrow(
-        'Service error'
+        'Storage error'
       );
+      expect(mockStartJob).not.toHaveBeenCalled();
     });
   });
 });
@@ -0,0 +1,109 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import ExtractionManifestRepository, {
+  getManifestsDbPath,
+} from '../../src/repositories/extractionManifestRepository.js';
+
+describe('ExtractionManifestRepository', () => {
+  let tempDir;
+  let repository;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'manifests-'));
+    repository = new ExtractionManifestRepository(path.join(tempDir, 'db', 'manifests.json'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should default to the database directory', () => {
+    expect(new ExtractionManifestRepository().dbPath).toMatch(
+      /database[\\/]extraction-manifests\.json$/
+    );
+  });
+
+  it('should return null for a target without manifest', async () => {
+    expect(await repository.findByTarget('file:abc')).toBeNull();
+  });
+
+  it('should save manifests per target', async () => {
+    await repository.save('file:abc', { outputDir: '/out/a', settings: {}, files: {} });
+    await repository.save('project:1', { outputDir: '/out/b', settings: {}, files: {} });
+
+    const manifest = await repository.findByTarget('file:abc');
+    expect(manifest).toMatchObject({ target: 'file:abc', outputDir: '/out/a', files: {} });
+    expect(manifest.updatedAt).toEqual(expect.any(String));
+    expect((await repository.findByTarget('project:1')).outputDir).toBe('/out/b');
+  });
+
+  it('should record files without losing concurrent updates', async () => {
+    await repository.save('project:1', { outputDir: '/out', settings: {}, files: {} });
+
+    await Promise.all([
+      repository.saveFile('project:1', 'file-1', { jsonPath: 'one.json' }),
+      repository.saveFile('project:1', 'file-2', { jsonPath: 'two.json' }),
+    ]);
+
+    expect((await repository.findByTarget('project:1')).files).toEqual({
+      'file-1': { jsonPath: 'one.json' },
+      'file-2': { jsonPath: 'two.json' },
+    });
+  });
+
+  it('should fail to record a file for an unknown target', async () => {
+    await expect(repository.saveFile('file:missing', 'file-1', {})).rejects.toThrow(
+      'Manifest for file:missing not found'
+    );
+  });
+
+  it('should record the shared library of a target next to its files', async () => {
+    await repository.save('project:1', { outputDir: '/out', files: {} });
+    const sharedLibrary = { jsonPath: 'shared-library.json', versions: { lib: 'v1' } };
+
+    await repository.saveSharedLibrary('project:1', sharedLibrary);
+
+    expect(await repository.findByTarget('project:1')).toMatchObject({
+      files: {},
+      sharedLibrary,
+    });
+    await expect(repository.saveSharedLibrary('file:missing', sharedLibrary)).rejects.toThrow(
+      'Manifest for file:missing not found'
+    );
+  });
+
+  describe('getManifestsDbPath', () => {
+    const originalEnv = {
+      EXTRACTION_MANIFESTS_PATH: process.env.EXTRACTION_MANIFESTS_PATH,
+      VERCEL: process.env.VERCEL,
+    };
+
+    afterEach(() => {
+      Object.entries(originalEnv).forEach(([key, value]) => {
+        if (value === undefined) {
+          delete process.env[key];
+        } else {
+          process.env[key] = value;
+        }
+      });
+    });
+
+    it('should use the temp directory on Vercel', () => {
+      delete process.env.EXTRACTION_MANIFESTS_PATH;
+      process.env.VERCEL = '1';
+
+      expect(new ExtractionManifestRepository().dbPath).toBe(
+        path.join(os.tmpdir(), 'database', 'extraction-manifests.json')
+      );
+    });
+
+    it('should prefer EXTRACTION_MANIFESTS_PATH', () => {
+      process.env.EXTRACTION_MANIFESTS_PATH = '/data/manifests.json';
+      process.env.VERCEL = '1';
+
+      expect(getManifestsDbPath()).toBe(path.resolve('/data/manifests.json'));
+    });
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import JobRepository, { getJobsDbPath } from '../../src/repositories/jobRepository.js';
+
+describe('JobRepository', () => {
+  let tempDir;
+  let repository;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'jobs-'));
+    repository = new JobRepository(path.join(tempDir, 'db', 'jobs.json'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should default to the database directory', () => {
+    expect(new JobRepository().dbPath).toMatch(/database[\\/]jobs\.json$/);
+  });
+
+  it('should create the database file on first read', async () => {
+    expect(await repository.findAll()).toEqual([]);
+    expect(JSON.parse(await fs.readFile(repository.dbPath, 'utf-8'))).toEqual([]);
+  });
+
+  it('should save and find jobs', async () => {
+    await repository.save({ id: 'a', status: 'queued' });
+
+    expect(await repository.findById('a')).toEqual({ id: 'a', status: 'queued' });
+    expect(await repository.findById('missing')).toBeNull();
+  });
+
+  it('should merge updates and stamp updatedAt', async () => {
+    await repository.save({ id: 'a', status: 'queued', params: { fileKey: 'k' } });
+
+    const updated = await repository.update('a', { status: 'running' });
+
+    expect(updated).toMatchObject({ id: 'a', status: 'running', params: { fileKey: 'k' } });
+    expect(updated.updatedAt).toEqual(expect.any(String));
+  });
+
+  it('should reject updates of unknown jobs', async () => {
+    await expect(repository.update('missing', {})).rejects.toThrow('Job with id missing not found');
+  });
+
+  it('should not lose concurrent writes', async () => {
+    await Promise.all(
+      Array.from({ length: 10 }, (_, index) => repository.save({ id: String(index) }))
+    );
+    await Promise.all(
+      Array.from({ length: 10 }, (_, index) => repository.update(String(index), { done: true }))
+    );
+
+    const jobs = await repository.findAll();
+    expect(jobs).toHaveLength(10);
+    expect(jobs.every((job) => job.done)).toBe(true);
+  });
+
+  it('should keep writing after a failed write', async () => {
+    await expect(repository.update('missing', {})).rejects.toThrow();
+    await repository.save({ id: 'a' });
+
+    expect(await repository.findById('a')).toEqual({ id: 'a' });
+  });
+
+  describe('getJobsDbPath', () => {
+    const originalEnv = { JOBS_DB_PATH: process.env.JOBS_DB_PATH, VERCEL: process.env.VERCEL };
+
+    afterEach(() => {
+      Object.entries(originalEnv).forEach(([key, value]) => {
+        if (value === undefined) {
+          delete process.env[key];
+        } else {
+          process.env[key] = value;
+        }
+      });
+    });
+
+    it('should use the temp directory on Vercel', () => {
+      delete process.env.JOBS_DB_PATH;
+      process.env.VERCEL = '1';
+
+      expect(getJobsDbPath()).toBe(path.join(os.tmpdir(), 'database', 'jobs.json'));
+    });
+
+    it('should prefer JOBS_DB_PATH', () => {
+      process.env.JOBS_DB_PATH = '/data/jobs.json';
+      process.env.VERCEL = '1';
+
+      expect(getJobsDbPath()).toBe(path.resolve('/data/jobs.json'));
+    });
+  });
+});
@@ -0,0 +1,344 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import AppScaffoldService from '../../src/services/appScaffoldService.js';
+import TemplateGeneratorAgent from '../../src/agents/templateGeneratorAgent.js';
+
+describe('AppScaffoldService', () => {
+  let service;
+
+  const pages = [
+    {
+      id: '0:1',
+      name: 'Home',
+      frames: [
+        { id: '1:1', name: 'Landing', type: 'FRAME' },
+        { id: '1:9', name: 'Empty', type: 'FRAME' },
+      ],
+    },
+    { id: '0:2', name: 'Checkout', frames: [{ id: '2:1', name: 'Cart', type: 'FRAME' }] },
+    { id: '0:3', name: 'Drafts', frames: [] },
+  ];
+
+  const reactResults = [
+    {
+      fileName: 'Shop',
+      pages,
+      code: {
+        components: [
+          { name: 'Hero', code: 'export default function Hero() {}\n', frameIds: ['1:1'] },
+          { name: 'Cart Item', code: 'export default function CartItem() {}\n', frameIds: ['2:1'] },
+        ],
+        globalStyles: ':root {}',
+      },
+    },
+  ];
+
+  beforeEach(() => {
+    service = new AppScaffoldService();
+  });
+
+  describe('planRoutes', () => {
+    it('should create a route per page and a screen per frame with components', () => {
+      const entries = service.sourceTreeService.collectEntries('react', reactResults);
+
+      const routes = service.planRoutes(reactResults, entries);
+
+      expect(
+        routes.map(({ name, path, screens }) => ({
+          name,
+          path,
+          screens: screens.map((screen) => [screen.name, screen.entries.map((e) => e.name)]),
+        }))
+      ).toEqual([
+        { name: 'Home', path: 'home', screens: [['LandingScreen', ['Hero']]] },
+        { name: 'Checkout', path: 'checkout', screens: [['CartScreen', ['CartItem']]] },
+      ]);
+    });
+
+    it('should place a component generated for several frames on the first one only', () => {
+      const results = [
+        {
+          pages: [
+            {
+              name: 'Home',
+              frames: [
+                { id: '1:1', name: 'A' },
+                { id: '1:2', name: 'B' },
+              ],
+            },
+          ],
+          code: { components: [{ name: 'Nav', code: '', frameIds: ['1:1', '1:2'] }] },
+        },
+      ];
+      const entries = service.sourceTreeService.collectEntries('react', results);
+
+      const [route] = service.planRoutes(results, entries);
+
+      expect(route.screens.map((screen) => screen.name)).toEqual(['AScreen']);
+    });
+
+    it('should route components outside the top-level frames by their file', () => {
+      const results = [
+        {
+          fileName: 'Kit',
+          pages,
+          code: { components: [{ name: 'Icon', code: '', frameIds: ['9:9'] }] },
+        },
+      ];
+      const entries = service.sourceTreeService.collectEntries('react', results);
+
+      const routes = service.planRoutes(results, entries);
+
+      expect(routes.map(({ name, screens }) => [name, screens[0].name])).toEqual([
+        ['Kit', 'IconScreen'],
+      ]);
+    });
+
+    it('should fall back to one route per file and keep names and paths unique', () => {
+      const results = [
+        { fileName: 'Home', code: { components: [{ name: 'Hero', code: '' }] } },
+        { fileName: 'home', code: { components: [{ name: 'Footer', code: '' }] } },
+      ];
+      const entries = service.sourceTreeService.collectEntries('react', results);
+
+      const routes = service.planRoutes(results, entries);
+
+      expect(routes.map(({ name, path }) => [name, path])).toEqual([
+        ['Home', 'home'],
+        ['Home2', 'home-2'],
+      ]);
+      expect(routes[1].screens[0].name).toBe('FooterScreen');
+    });
+  });
+
+  describe('buildApp', () => {
+    it('should scaffold a Vite + React app with routes and screens', () => {
+      const files = service.buildApp('Shop', 'react', reactResults);
+
+      expect(files['src/components/Hero/Hero.jsx']).toBeDefined();
+      expect(files['src/main.jsx']).toContain("import './styles/global.css';");
+      expect(files['src/App.jsx']).toContain("import HomePage from './pages/Home';");
+      expect(files['src/App.jsx']).toContain('<Navigate to="/home" replace />');
+      expect(files['src/App.jsx']).toContain(
+        '<Route path="/checkout" element={<CheckoutPage />} />'
+      );
+      expect(files['src/pages/Home/index.jsx']).toContain('<LandingScreen />');
+      expect(files['src/pages/Checkout/CartScreen.jsx']).toContain(
+        "import { CartItem } from '../../components';"
+      );
+
+      const packageData = JSON.parse(files['package.json']);
+      expect(packageData.type).toBe('module');
+      expect(packageData.scripts.dev).toBe('vite');
+      expect(packageData.dependencies['react-router-dom']).toBeDefined();
+      expect(packageData.devDependencies['@vitejs/plugin-react']).toBeDefined();
+    });
+
+    it('should scaffold a Vue app with vue-router', () => {
+      const files = service.buildApp('Shop', 'vue', [
+        {
+          pages,
+          code: { components: [{ name: 'Hero', code: '<template />', frameIds: ['1:1'] }] },
+        },
+      ]);
+
+      expect(files['src/router.js']).toContain("{ path: '/', redirect: '/home' },");
+      expect(files['src/App.vue']).toContain('<RouterLink to="/home">Home</RouterLink>');
+      expect(files['src/pages/Home/LandingScreen.vue']).toContain(
+        "import Hero from '../../components/Hero/Hero.vue';"
+      );
+      expect(files['src/main.js']).not.toContain('global.css');
+    });
+
+    it('should scaffold an Angular app using the selectors of the components', () => {
+      const files = service.buildApp('Shop', 'angular', [
+        {
+          pages,
+          code: {
+            components: [
+              {
+                name: 'Hero',
+                code: "@Component({\n  selector: 'shop-hero',\n})\nexport class HeroComponent {}",
+                frameIds: ['1:1'],
+              },
+            ],
+          },
+        },
+      ]);
+
+      expect(JSON.parse(files['angular.json']).projects.shop).toBeDefined();
+      expect(files['src/app/app.routes.ts']).toContain(
+        "{ path: 'home', component: HomePageComponent },"
+      );
+      const screen = files['src/app/pages/home/landing-screen.component.ts'];
+      expect(screen).toContain(
+        "import { HeroComponent } from '../../components/hero/hero.component';"
+      );
+      expect(screen).toContain('<shop-hero></shop-hero>');
+      expect(JSON.parse(files['package.json']).scripts.start).toBe('ng serve');
+    });
+
+    it('should scaffold a static HTML site with a page per route', () => {
+      const files = service.buildApp('Shop', 'html', [
+        {
+          pages: [{ name: 'Home & About', frames: [{ id: '1:1', name: 'Landing' }] }],
+          code: {
+            components: [
+              { name: 'Hero', code: '<section>Hi</section>', styles: 'a{}', frameIds: ['1:1'] },
+            ],
+          },
+        },
+      ]);
+
+      expect(files['index.html']).toContain(
+        '<a href="/pages/home-about.html">Home &amp; About</a>'
+      );
+      expect(files['pages/home-about.html']).toContain('<section>Hi</section>');
+      expect(files['pages/home-about.html']).toContain(
+        '<link rel="stylesheet" href="/src/components/Hero/Hero.css" />'
+      );
+    });
+
+    it('should wire the Vue app entry, router and page components', () => {
+      const files = service.buildApp('Shop', 'vue', [
+        {
+          pages: [{ name: 'Price {{ total }} @home', frames: [{ id: '1:1', name: 'A "quote"' }] }],
+          code: {
+            components: [{ name: 'Hero', code: '<template />', frameIds: ['1:1'] }],
+            globalStyles: ':root {}',
+          },
+        },
+      ]);
+
+      expect(files['vite.config.js']).toContain('plugins: [vue()],');
+      expect(files['index.html']).toContain('<div id="app"></div>');
+      expect(files['src/main.js']).toContain("import './styles/global.css';");
+      expect(files['src/router.js']).toContain(
+        "import PriceTotalHomePage from './pages/PriceTotalHome/PriceTotalHomePage.vue';"
+      );
+      expect(files['src/router.js']).toContain(
+        "{ path: '/price-total-home', component: PriceTotalHomePage },"
+      );
+      expect(files['src/App.vue']).toContain(
+        '<RouterLink to="/price-total-home">Price &#123;&#123; total &#125;&#125; &#64;home</RouterLink>'
+      );
+      expect(files['src/pages/PriceTotalHome/PriceTotalHomePage.vue']).toContain(
+        '    <AQuoteScreen />'
+      );
+      expect(files['src/pages/PriceTotalHome/AQuoteScreen.vue']).toContain(
+        '<section aria-label="A &quot;quote&quot;">'
+      );
+    });
+
+    it('should scaffold a React app without routes or global styles', () => {
+      const files = service.buildApp('Shop', 'react', [
+        { pages: [{ id: '0:1', name: 'Blank' }], code: { components: [] } },
+      ]);
+
+      expect(files['src/main.jsx']).not.toContain('global.css');
+      expect(files['src/App.jsx']).not.toContain('Navigate to=');
+      expect(files['src/App.jsx']).not.toContain('NavLink to=');
+    });
+
+    it('should scaffold a Vue app without routes', () => {
+      const files = service.buildApp('Shop', 'vue', [{ code: { components: [] } }]);
+
+      expect(files['src/router.js']).not.toContain('redirect');
+      expect(files['src/App.vue']).not.toContain('RouterLink');
+    });
+
+    it('should escape page titles in the Angular templates', () => {
+      const files = service.buildApp('Shop', 'angular', [
+        {
+          pages: [{ name: 'Deals {x} @if `$\\', frames: [{ id: '1:1', name: '@Sale {{ now }}' }] }],
+          code: {
+            components: [
+              { name: 'Hero', code: 'export class HeroComponent {}', frameIds: ['1:1'] },
+              { name: 'Note', code: '<p>no class</p>', frameIds: ['1:1'] },
+            ],
+            globalStyles: ':root {}',
+          },
+        },
+      ]);
+
+      const options = JSON.parse(files['angular.json']).projects.shop.architect.build.options;
+      expect(options.styles).toEqual(['src/styles/global.css']);
+      expect(files['src/app/app.routes.ts']).toContain(
+        "{ path: '', redirectTo: 'deals-x-if', pathMatch: 'full' },"
+      );
+      expect(files['src/app/app.component.ts']).toContain(
+        '<a routerLink="/deals-x-if">Deals &#123;x&#125; &#64;if &#96;$&#92;</a>'
+      );
+      expect(files['src/app/pages/deals-xif/deals-xif.page.ts']).toContain(
+        'imports: [SaleNowScreenComponent],'
+      );
+      const screen = files['src/app/pages/deals-xif/sale-now-screen.component.ts'];
+      expect(screen).toContain('<section aria-label="&#64;Sale &#123;&#123; now &#125;&#125;">');
+      expect(screen).toContain('imports: [HeroComponent],');
+      expect(screen).toContain('<app-hero></app-hero>');
+      expect(screen).not.toContain('Note');
+    });
+
+    it('should scaffold an Angular app without routes', () => {
+      const files = service.buildApp('Shop', 'angular', [{ code: { components: [] } }]);
+
+      expect(
+        JSON.parse(files['angular.json']).projects.shop.architect.build.options.styles
+      ).toEqual([]);
+      expect(files['src/app/app.routes.ts']).not.toContain('redirectTo');
+      expect(files['src/app/app.component.ts']).not.toContain('routerLink');
+    });
+
+    it('should link the global styles from every page of a static HTML site', () => {
+      const files = service.buildApp('Shop <1>', 'html', [
+        {
+          pages: [{ name: 'Home', frames: [{ id: '1:1', name: 'Landing' }] }],
+          code: {
+            components: [{ name: 'Hero', code: '<section>Hi</section>', frameIds: ['1:1'] }],
+            globalStyles: ':root {}',
+          },
+        },
+      ]);
+
+      expect(files['index.html']).toContain('<title>Shop &lt;1&gt;</title>');
+      expect(files['index.html']).toContain(
+        '<link rel="stylesheet" href="/src/styles/global.css" />'
+      );
+      expect(files['pages/home.html']).toContain('<title>Home</title>');
+      expect(files['pages/home.html']).toContain(
+        '<link rel="stylesheet" href="/src/styles/global.css" />'
+      );
+      expect(files['pages/home.html']).not.toContain('Hero.css');
+    });
+
+    it('should scaffold a static HTML site without pages', () => {
+      const files = service.buildApp('Shop', 'html', [{ code: { components: [] } }]);
+
+      expect(Object.keys(files).filter((file) => file.endsWith('.html'))).toEqual(['index.html']);
+      expect(files['index.html']).not.toContain('<a href');
+    });
+
+    it('should compose template generator output into screens', async () => {
+      const code = await new TemplateGeneratorAgent().analyzeAndGenerateCode(
+        {
+          components: [{ id: '1:1', name: 'Banner', type: 'FRAME', properties: {}, children: [] }],
+        },
+        'react',
+        {}
+      );
+
+      const components = code.components.map((component) => ({
+        ...component,
+        frameIds: [component.frameId],
+      }));
+
+      const files = service.buildApp('Kit', 'react', [
+        {
+          pages: [{ name: 'Home', frames: [{ id: '1:1', name: 'Banner' }] }],
+          code: { ...code, components },
+        },
+      ]);
+
+      expect(files['src/pages/Home/BannerScreen.jsx']).toContain('<Banner />');
+    });
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import ArchiveService from '../../src/services/archiveService.js';
+import { PayloadTooLargeError } from '../../src/utils/errorHandler.js';
+
+describe('ArchiveService', () => {
+  let tempDir;
+  let service;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'archive-'));
+    await fs.mkdir(path.join(tempDir, 'react', 'src'), { recursive: true });
+    await fs.writeFile(path.join(tempDir, 'project-index.json'), '{}');
+    await fs.writeFile(path.join(tempDir, 'tokens.css'), ':root {}');
+    await fs.writeFile(path.join(tempDir, 'react', 'src', 'Button.jsx'), 'button');
+    service = new ArchiveService();
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should list files recursively with forward slashes', async () => {
+    expect(await service.listFiles(tempDir)).toEqual([
+      'project-index.json',
+      'react/src/Button.jsx',
+      'tokens.css',
+    ]);
+  });
+
+  it('should stream every file under the root folder name', async () => {
+    const chunks = [];
+    for await (const chunk of await service.createArchive(tempDir, 'project-1')) {
+      chunks.push(chunk);
+    }
+    const archive = Buffer.concat(chunks);
+    const text = archive.toString('latin1');
+
+    expect(archive.readUInt32LE(0)).toBe(0x04034b50);
+    expect(archive.readUInt16LE(archive.length - 12)).toBe(3);
+    expect(text).toContain('project-1/react/src/Button.jsx');
+    expect(text).toContain('project-1/project-index.json');
+  });
+
+  it('should fail when the directory does not exist', async () => {
+    await expect(service.createArchive(path.join(tempDir, 'missing'), 'x')).rejects.toMatchObject({
+      code: 'ENOENT',
+    });
+  });
+
+  it('should refuse output too large for a ZIP archive before streaming anything', async () => {
+    const stat = jest.spyOn(fs, 'stat').mockResolvedValue({ size: 3 * 1024 ** 3 });
+    const readFile = jest.spyOn(fs, 'readFile');
+
+    try {
+      const error = await service.createArchive(tempDir, 'project-1').catch((caught) => caught);
+
+      expect(error).toBeInstanceOf(PayloadTooLargeError);
+      expect(error).toMatchObject({
+        statusCode: 413,
+        message: 'Extraction output is too large to archive',
+        details: 'The files exceed the ZIP limit of 4 GB per archive',
+      });
+      expect(readFile).not.toHaveBeenCalled();
+    } finally {
+      stat.mockRestore();
+      readFile.mockRestore();
+    }
+  });
+});
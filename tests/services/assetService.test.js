@@ -0,0 +1,221 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import AssetService from '../../src/services/assetService.js';
+
+describe('AssetService', () => {
+  let tempDir;
+  let figmaService;
+  let service;
+  let consoleErrorSpy;
+
+  const downloads = {
+    'https://cdn/logo.svg': { data: '<svg id="logo" />' },
+    'https://cdn/photo-1x.png': { data: 'png-1x' },
+    'https://cdn/photo-2x.png': { data: 'png-2x' },
+    'https://cdn/fill': { data: 'jpeg', contentType: 'image/jpeg' },
+    'https://cdn/other-fill': { data: 'bytes', contentType: '' },
+  };
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'assets-'));
+    figmaService = {
+      getImages: jest.fn(async (fileKey, ids, { format, scale }) => ({
+        images: Object.fromEntries(
+          ids.map((id) => [
+            id,
+            format === 'svg' ? 'https://cdn/logo.svg' : `https://cdn/photo-${scale}x.png`,
+          ])
+        ),
+      })),
+      getImageFills: jest.fn().mockResolvedValue({
+        'ref-1': 'https://cdn/fill',
+        'ref-2': 'https://cdn/other-fill',
+      }),
+      client: {
+        download: jest.fn(async (url) => {
+          if (!downloads[url]) {
+            throw new Error('Request failed with status code 404');
+          }
+          return {
+            data: Buffer.from(downloads[url].data),
+            contentType: downloads[url].contentType ?? '',
+          };
+        }),
+      },
+    };
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    service = new AssetService(figmaService);
+  });
+
+  afterEach(async () => {
+    consoleErrorSpy.mockRestore();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  const components = () => {
+    const logo = {
+      id: '1:2',
+      name: 'Logo',
+      type: 'GROUP',
+      asset: { kind: 'vector' },
+      children: [{ id: '1:3', name: 'Path', type: 'VECTOR', asset: { kind: 'vector' } }],
+    };
+    const photo = {
+      id: '1:4',
+      name: 'Photo',
+      type: 'RECTANGLE',
+      asset: { kind: 'image', imageRef: 'ref-9', scaleMode: 'FILL' },
+    };
+    const hero = {
+      id: '1:1',
+      name: 'Hero',
+      type: 'FRAME',
+      asset: { kind: 'fill', imageRef: 'ref-1', scaleMode: 'FILL' },
+      children: [logo, photo],
+    };
+    return [hero, logo, photo];
+  };
+
+  describe('collectAssets', () => {
+    it('should list each asset node once without the paths of vector graphics', () => {
+      expect(service.collectAssets(components()).map((node) => node.id)).toEqual([
+        '1:1',
+        '1:2',
+        '1:4',
+      ]);
+    });
+  });
+
+  describe('exportAssets', () => {
+    it('should download vectors, scaled images and fills and annotate the nodes', async () => {
+      const nodes = components();
+
+      const assets = await service.exportAssets('file-key', nodes, {
+        outputDir: tempDir,
+        folder: 'kit',
+        imageFormat: 'png',
+        imageScales: [1, 2],
+      });
+
+      expect(figmaService.getImages).toHaveBeenCalledWith('file-key', ['1:2'], { format: 'svg' });
+      expect(figmaService.getImages).toHaveBeenCalledWith('file-key', ['1:4'], {
+        format: 'png',
+        scale: 2,
+      });
+      expect(assets).toEqual([
+        { nodeId: '1:2', name: 'Logo', kind: 'vector', files: ['assets/kit/icons/logo.svg'] },
+        {
+          nodeId: '1:4',
+          name: 'Photo',
+          kind: 'image',
+          files: ['assets/kit/images/photo.png', 'assets/kit/images/photo@2x.png'],
+        },
+        { nodeId: '1:1', name: 'Hero', kind: 'fill', files: ['assets/kit/fills/hero.jpg'] },
+      ]);
+
+      const [hero, logo, photo] = nodes;
+      expect(logo.asset.src).toBe('/assets/kit/icons/logo.svg');
+      expect(photo.asset).toMatchObject({
+        src: '/assets/kit/images/photo.png',
+        srcSet: '/assets/kit/images/photo.png 1x, /assets/kit/images/photo@2x.png 2x',
+      });
+      expect(hero.asset.src).toBe('/assets/kit/fills/hero.jpg');
+      expect(await fs.readFile(path.join(tempDir, 'assets/kit/icons/logo.svg'), 'utf-8')).toBe(
+        '<svg id="logo" />'
+      );
+      expect(await fs.readFile(path.join(tempDir, 'assets/kit/images/photo@2x.png'), 'utf-8')).toBe(
+        'png-2x'
+      );
+    });
+
+    it('should record failed assets without failing the export', async () => {
+      figmaService.getImages.mockImplementation(async (fileKey, ids, { format }) => {
+        if (format === 'svg') {
+          throw new Error('Rate limit exceeded');
+        }
+        return { images: { '1:4': null } };
+      });
+      figmaService.getImageFills.mockRejectedValue(new Error('Forbidden'));
+      const nodes = components();
+
+      const assets = await service.exportAssets('file-key', nodes, {
+        outputDir: tempDir,
+        folder: 'kit',
+      });
+
+      expect(assets.map(({ nodeId, error }) => [nodeId, error])).toEqual([
+        ['1:2', 'Figma did not render the image'],
+        ['1:4', 'Figma did not render the image'],
+        ['1:1', 'Figma did not render the image'],
+      ]);
+      expect(nodes.every((node) => node.asset.src === undefined)).toBe(true);
+    });
+
+    it('should record failed downloads and download a shared image fill once', async () => {
+      figmaService.getImages.mockResolvedValue({ images: { '1:2': 'https://cdn/missing.svg' } });
+      const fill = (id, imageRef) => ({
+        id,
+        name: 'Banner',
+        type: 'FRAME',
+        asset: { kind: 'fill', imageRef },
+      });
+      const nodes = [
+        { id: '1:2', name: 'Logo', type: 'VECTOR', asset: { kind: 'vector' } },
+        fill('3:1', 'ref-2'),
+        fill('3:2', 'ref-2'),
+      ];
+
+      const assets = await service.exportAssets('file-key', nodes, {
+        outputDir: tempDir,
+        folder: 'kit',
+      });
+
+      expect(assets).toEqual([
+        {
+          nodeId: '1:2',
+          name: 'Logo',
+          kind: 'vector',
+          error: 'Request failed with status code 404',
+        },
+        { nodeId: '3:1', name: 'Banner', kind: 'fill', files: ['assets/kit/fills/banner.png'] },
+        { nodeId: '3:2', name: 'Banner', kind: 'fill', files: ['assets/kit/fills/banner.png'] },
+      ]);
+      expect(figmaService.client.download).toHaveBeenCalledTimes(2);
+      expect(nodes[2].asset.src).toBe('/assets/kit/fills/banner.png');
+    });
+
+    it('should export nothing without asset nodes', async () => {
+      await expect(
+        service.exportAssets('file-key', [{ id: '1:1', name: 'Frame', type: 'FRAME' }], {
+          outputDir: tempDir,
+          folder: 'kit',
+        })
+      ).resolves.toEqual([]);
+      expect(figmaService.getImages).not.toHaveBeenCalled();
+    });
+
+    it('should export in batches and replace the assets of a previous run', async () => {
+      const stale = path.join(tempDir, 'assets/kit/icons/old.svg');
+      await fs.mkdir(path.dirname(stale), { recursive: true });
+      await fs.writeFile(stale, 'old');
+      const icons = Array.from({ length: 51 }, (_, index) => ({
+        id: `2:${index}`,
+        name: 'Icon',
+        type: 'VECTOR',
+        asset: { kind: 'vector' },
+      }));
+
+      const assets = await service.exportAssets('file-key', icons, {
+        outputDir: tempDir,
+        folder: 'kit',
+      });
+
+      expect(figmaService.getImages).toHaveBeenCalledTimes(2);
+      expect(figmaService.getImages.mock.calls[1][1]).toEqual(['2:50']);
+      expect(assets[1].files).toEqual(['assets/kit/icons/icon-2.svg']);
+      await expect(fs.access(stale)).rejects.toThrow();
+    });
+  });
+});
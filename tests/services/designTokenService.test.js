@@ -0,0 +1,718 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+
+// Mock fs/promises before importing
+const mockWriteFile = jest.fn();
+await jest.unstable_mockModule('fs/promises', () => ({
+  default: {
+    writeFile: mockWriteFile,
+  },
+  writeFile: mockWriteFile,
+}));
+
+// Import after mocking
+const {
+  default: DesignTokenService,
+  TOKEN_FORMATS,
+  TOKEN_FORMAT_FILES,
+  styleVariableName,
+} = await import('../../src/services/designTokenService.js');
+const { parseVariables } = await import('../../src/utils/figmaVariables.js');
+
+const styles = {
+  colors: {
+    'Brand/Primary 500': {
+      name: 'Brand/Primary 500',
+      description: 'Main brand color',
+      value: { hex: '#3366ff' },
+    },
+    'Gradient/Hero': { name: 'Gradient/Hero', value: { hex: null } },
+  },
+  typography: {
+    'Heading/H1': {
+      name: 'Heading/H1',
+      value: {
+        fontFamily: 'Inter',
+        fontSize: 32,
+        fontWeight: 700,
+        lineHeightPx: 40,
+        letterSpacing: -0.5,
+        italic: true,
+        textCase: 'UPPER',
+      },
+    },
+    Empty: { name: 'Empty', value: null },
+  },
+  effects: {
+    'Elevation/1': {
+      name: 'Elevation/1',
+      value: {
+        effects: [
+          {
+            type: 'DROP_SHADOW',
+            color: 'rgba(0, 0, 0, 0.2)',
+            offset: { x: 0, y: 2 },
+            radius: 4,
+            spread: 0,
+          },
+          { type: 'INNER_SHADOW', color: 'rgba(0, 0, 0, 0.1)', radius: 1, spread: 0 },
+        ],
+      },
+    },
+    'Glass/Blur': {
+      name: 'Glass/Blur',
+      value: { effects: [{ type: 'BACKGROUND_BLUR', radius: 12 }] },
+    },
+  },
+};
+
+const fileData = {
+  document: {
+    children: [
+      null,
+      {
+        layoutMode: 'VERTICAL',
+        itemSpacing: 16,
+        paddingTop: 8,
+        paddingLeft: 8,
+        cornerRadius: 12,
+        children: [{ layoutMode: 'NONE', itemSpacing: 99, rectangleCornerRadii: [4, 0, 4, 0] }],
+      },
+    ],
+  },
+};
+
+const variables = parseVariables({
+  variableCollections: {
+    'c:theme': {
+      id: 'c:theme',
+      name: 'Theme',
+      modes: [
+        { modeId: 'm:light', name: 'Light' },
+        { modeId: 'm:dark', name: 'Dark' },
+      ],
+      defaultModeId: 'm:light',
+    },
+  },
+  variables: {
+    'v:blue': {
+      id: 'v:blue',
+      name: 'Blue',
+      variableCollectionId: 'c:theme',
+      resolvedType: 'COLOR',
+      valuesByMode: { 'm:light': { r: 0, g: 0, b: 1 }, 'm:dark': { r: 0, g: 0, b: 0.5 } },
+    },
+    'v:bg': {
+      id: 'v:bg',
+      name: 'Color/Background',
+      variableCollectionId: 'c:theme',
+      resolvedType: 'COLOR',
+      description: 'Page background',
+      valuesByMode: {
+        'm:light': { r: 1, g: 1, b: 1 },
+        'm:dark': { type: 'VARIABLE_ALIAS', id: 'v:blue' },
+      },
+    },
+    'v:font': {
+      id: 'v:font',
+      name: 'Font/Body',
+      variableCollectionId: 'c:theme',
+      resolvedType: 'STRING',
+      valuesByMode: { 'm:light': 'Inter', 'm:dark': 'Inter' },
+    },
+  },
+});
+
+describe('DesignTokenService', () => {
+  let service;
+  let tokens;
+
+  beforeEach(() => {
+    service = new DesignTokenService();
+    tokens = service.buildTokens(styles, fileData);
+    jest.clearAllMocks();
+  });
+
+  describe('buildTokens', () => {
+    it('should name tokens after Figma style names', () => {
+      const color = tokens.find((token) => token.type === 'color');
+
+      expect(color).toEqual({
+        path: ['color', 'brand', 'primary-500'],
+        type: 'color',
+        value: '#3366ff',
+        description: 'Main brand color',
+      });
+      expect(tokens.filter((token) => token.type === 'color')).toHaveLength(1);
+    });
+
+    it('should drop a leading style name segment that repeats the token group', () => {
+      const named = service.buildTokens({
+        colors: { Colors: { name: 'Colors', value: { hex: '#000000' } } },
+        effects: {
+          'Shadow/Card': {
+            name: 'Shadow/Card',
+            value: { effects: [{ type: 'DROP_SHADOW', color: '#000', radius: 4, spread: 0 }] },
+          },
+        },
+      });
+
+      expect(named.map((token) => token.path.join('.'))).toEqual(['color.colors', 'shadow.card']);
+      expect(styleVariableName('shadow', 'Shadow/Card')).toBe('shadow-card');
+      expect(styleVariableName('color', 'Colors/Brand')).toBe('color-brand');
+    });
+
+    it('should build typography tokens from resolved font specs', () => {
+      const typography = tokens.find((token) => token.type === 'typography');
+
+      expect(typography.path).toEqual(['typography', 'heading', 'h1']);
+      expect(typography.value).toEqual({
+        fontFamily: 'Inter',
+        fontSize: '32px',
+        fontWeight: 700,
+        letterSpacing: '-0.5px',
+        lineHeight: 1.25,
+        fontStyle: 'italic',
+        textTransform: 'uppercase',
+      });
+    });
+
+    it('should build shadow and blur tokens from effect styles', () => {
+      const shadow = tokens.find((token) => token.type === 'shadow');
+      const blur = tokens.find((token) => token.path[0] === 'blur');
+
+      expect(shadow.value).toEqual([
+        {
+          color: 'rgba(0, 0, 0, 0.2)',
+          offsetX: '0px',
+          offsetY: '2px',
+          blur: '4px',
+          spread: '0px',
+          inset: false,
+        },
+        {
+          color: 'rgba(0, 0, 0, 0.1)',
+          offsetX: '0px',
+          offsetY: '0px',
+          blur: '1px',
+          spread: '0px',
+          inset: true,
+        },
+      ]);
+      expect(blur).toEqual({ path: ['blur', 'glass', 'blur'], type: 'dimension', value: '12px' });
+    });
+
+    it('should collect distinct spacing and radius values from auto-layout nodes', () => {
+      const dimensions = tokens
+        .filter((token) => ['spacing', 'radius'].includes(token.path[0]))
+        .map((token) => token.path.join('.'));
+
+      expect(dimensions).toEqual(['spacing.8', 'spacing.16', 'radius.4', 'radius.12']);
+    });
+
+    it('should use dimensions already collected from a file read page by page', () => {
+      const dimensions = service.mergeDimensions(
+        { spacing: [16, 24], radii: [8] },
+        { spacing: [4, 16], radii: [] }
+      );
+      const paths = service.buildTokens({}, { dimensions }).map((token) => token.path.join('.'));
+
+      expect(dimensions).toEqual({ spacing: [4, 16, 24], radii: [8] });
+      expect(paths).toEqual(['spacing.4', 'spacing.16', 'spacing.24', 'radius.8']);
+    });
+
+    it('should name fractional spacing and radius values without a decimal point', () => {
+      const fractional = service.buildTokens({}, { dimensions: { spacing: [8.5], radii: [0.25] } });
+
+      expect(fractional.map((token) => token.path)).toEqual([
+        ['spacing', '8-5'],
+        ['radius', '0-25'],
+      ]);
+      expect(service.toCssVariables(fractional)).toContain('  --spacing-8-5: 8.5px;');
+      expect(service.toScss(fractional)).toContain('$radius-0-25: 0.25px;');
+      expect(service.toDTCG(fractional).spacing).toEqual({
+        '8-5': { $type: 'dimension', $value: '8.5px' },
+      });
+      expect(service.toTailwindConfig(fractional)).toContain('"figma-8-5": "8.5px"');
+    });
+
+    it('should suffix tokens whose names collide, the same way in every format', () => {
+      const colliding = service.buildTokens({
+        colors: {
+          a: { name: 'Brand/Primary', value: { hex: '#111111' } },
+          b: { name: 'brand-primary', value: { hex: '#222222' } },
+          c: { name: 'Brand Primary', value: { hex: '#333333' } },
+        },
+      });
+
+      expect(colliding.map((token) => token.path)).toEqual([
+        ['color', 'brand', 'primary'],
+        ['color', 'brand-primary-2'],
+        ['color', 'brand-primary-3'],
+      ]);
+      const css = service.toCssVariables(colliding);
+      expect(css).toContain('  --color-brand-primary: #111111;');
+      expect(css).toContain('  --color-brand-primary-2: #222222;');
+      expect(service.toScss(colliding)).toContain('$color-brand-primary-3: #333333;');
+      expect(service.toDTCG(colliding).color['brand-primary-2'].$value).toBe('#222222');
+      const config = service.toTailwindConfig(colliding);
+      expect(config).toContain('"brand-primary": "#111111"');
+      expect(config).toContain('"brand-primary-2": "#222222"');
+      expect(config).toContain('"brand-primary-3": "#333333"');
+    });
+
+    it('should point references at a renamed variable, not at the token keeping its name', () => {
+      const renamed = service.buildTokens(
+        {
+          colors: {
+            a: { name: 'Brand/Primary', value: { hex: '#111111' } },
+            b: { name: 'Link', value: { hex: '#0000ee' } },
+          },
+        },
+        null,
+        parseVariables({
+          variables: {
+            'v:primary': {
+              id: 'v:primary',
+              name: 'Color/Brand-Primary',
+              resolvedType: 'COLOR',
+              valuesByMode: { m: { r: 1, g: 0, b: 0 } },
+            },
+            'v:link': {
+              id: 'v:link',
+              name: 'Color/Link',
+              resolvedType: 'COLOR',
+              valuesByMode: { m: { type: 'VARIABLE_ALIAS', id: 'v:primary' } },
+            },
+          },
+        })
+      );
+
+      expect(renamed.map((token) => [token.path.join('.'), token.value])).toEqual([
+        ['color.brand.primary', '#111111'],
+        ['color.link', '#0000ee'],
+        ['color.brand-primary-2', '#ff0000'],
+        ['color.link-2', '{color.brand-primary-2}'],
+      ]);
+      expect(service.toCssVariables(renamed)).toContain(
+        '  --color-link-2: var(--color-brand-primary-2);'
+      );
+    });
+
+    it('should skip effect styles without a value', () => {
+      expect(service.buildTokens({ effects: { Empty: { name: 'Empty' } } }, null)).toEqual([]);
+    });
+
+    it('should handle missing styles and file data', () => {
+      expect(service.buildTokens()).toEqual([]);
+      expect(
+        service.buildTokens({ typography: { T: { name: 'T', value: { fontFamily: 'A' } } } })[0]
+          .value
+      ).toEqual({
+        fontFamily: 'A',
+        fontSize: '16px',
+        fontWeight: 400,
+        letterSpacing: '0px',
+      });
+    });
+  });
+
+  describe('variables', () => {
+    let variableTokens;
+
+    beforeEach(() => {
+      variableTokens = service.buildTokens({}, null, variables);
+    });
+
+    it('should build tokens from the default mode with the other modes attached', () => {
+      expect(variableTokens).toContainEqual({
+        path: ['color', 'background'],
+        type: 'color',
+        value: '#ffffff',
+        description: 'Page background',
+        modes: { dark: '{blue}' },
+        collection: 'theme',
+      });
+      expect(variableTokens).toContainEqual({
+        path: ['font', 'body'],
+        type: 'string',
+        value: 'Inter',
+        modes: { dark: 'Inter' },
+        collection: 'theme',
+      });
+    });
+
+    it('should render a [data-theme] block per mode referencing aliased variables', () => {
+      const css = service.toCssVariables(variableTokens);
+
+      expect(css).toContain(':root {\n  --blue: #0000ff;\n  --color-background: #ffffff;');
+      expect(css).toContain("  --font-body: 'Inter';");
+      expect(css).toContain(
+        '[data-theme="dark"] {\n  --blue: #000080;\n  --color-background: var(--blue);'
+      );
+    });
+
+    const variable = (id, collectionId, valuesByMode) => ({
+      id,
+      name: id,
+      variableCollectionId: collectionId,
+      resolvedType: 'COLOR',
+      valuesByMode,
+    });
+    const alias = (id) => ({ type: 'VARIABLE_ALIAS', id });
+    const white = { r: 1, g: 1, b: 1 };
+
+    it('should switch the modes of each collection with an attribute of its own', () => {
+      const css = service.toCssVariables(
+        service.buildVariableTokens(
+          parseVariables({
+            variableCollections: [
+              {
+                id: 'c:1',
+                name: 'Color Scheme',
+                modes: [
+                  { modeId: 'l', name: 'Light' },
+                  { modeId: 'd', name: 'Dark' },
+                ],
+              },
+              {
+                id: 'c:2',
+                name: 'Brand',
+                modes: [
+                  { modeId: 'a', name: 'Acme' },
+                  { modeId: 'n', name: 'Dark' },
+                ],
+              },
+            ],
+            variables: [
+              variable('surface', 'c:1', { l: white, d: { r: 0, g: 0, b: 0 } }),
+              variable('accent', 'c:2', { a: white, n: { r: 1, g: 0, b: 0 } }),
+            ],
+          })
+        )
+      );
+
+      expect(css).toContain('[data-color-scheme="dark"] {\n  --surface: #000000;\n}');
+      expect(css).toContain('[data-brand="dark"] {\n  --accent: #ff0000;\n}');
+    });
+
+    it('should leave out and report variables whose aliases form a cycle', () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const warnings = [];
+
+      const built = service.buildTokens(
+        {},
+        null,
+        parseVariables({
+          variableCollections: [
+            { id: 'c', name: 'Theme', modes: [{ modeId: 'm', name: 'Light' }] },
+          ],
+          variables: [
+            variable('a', 'c', { m: alias('b') }),
+            variable('b', 'c', { m: alias('a') }),
+            variable('c', 'c', { m: alias('a') }),
+            variable('d', 'c', { m: white }),
+          ],
+        }),
+        warnings
+      );
+
+      expect(built.map((token) => token.path.join('.'))).toEqual(['d']);
+      expect(warnings).toEqual(['Circular variable aliases left out: a, b, c']);
+      expect(warnSpy).toHaveBeenCalledWith(
+        'Design tokens: Circular variable aliases left out: a, b, c'
+      );
+      warnSpy.mockRestore();
+    });
+
+    it('should leave out the mode values that close a cycle in their mode', () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const warnings = [];
+
+      const built = service.buildVariableTokens(
+        parseVariables({
+          variableCollections: [
+            {
+              id: 'c',
+              name: 'Theme',
+              modes: [
+                { modeId: 'l', name: 'Light' },
+                { modeId: 'd', name: 'Dark' },
+              ],
+            },
+          ],
+          variables: [
+            variable('a', 'c', { l: white, d: alias('b') }),
+            variable('b', 'c', { l: alias('a'), d: alias('a') }),
+            variable('e', 'c', { l: white, d: alias('a') }),
+          ],
+        }),
+        warnings
+      );
+
+      expect(built).toEqual([
+        { path: ['a'], type: 'color', value: '#ffffff' },
+        { path: ['b'], type: 'color', value: '{a}' },
+        {
+          path: ['e'],
+          type: 'color',
+          value: '#ffffff',
+          modes: { dark: '{a}' },
+          collection: 'theme',
+        },
+      ]);
+      expect(warnings).toEqual(['Circular dark aliases left out: a, b']);
+      warnSpy.mockRestore();
+    });
+
+    it('should keep the other modes of a variable whose value closes a cycle in one mode', () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const built = service.buildVariableTokens(
+        parseVariables({
+          variableCollections: [
+            {
+              id: 'c',
+              name: 'Theme',
+              modes: [
+                { modeId: 'l', name: 'Light' },
+                { modeId: 'd', name: 'Dark' },
+                { modeId: 'h', name: 'High Contrast' },
+              ],
+            },
+          ],
+          variables: [
+            variable('a', 'c', { l: white, d: alias('b'), h: { r: 0, g: 0, b: 0 } }),
+            variable('b', 'c', { l: alias('a'), d: alias('a') }),
+          ],
+        })
+      );
+
+      expect(built).toEqual([
+        {
+          path: ['a'],
+          type: 'color',
+          value: '#ffffff',
+          modes: { 'high-contrast': '#000000' },
+          collection: 'theme',
+        },
+        { path: ['b'], type: 'color', value: '{a}' },
+      ]);
+      expect(service.toCssVariables(built)).toContain(
+        '[data-theme="high-contrast"] {\n  --a: #000000;\n}'
+      );
+      warnSpy.mockRestore();
+    });
+
+    it('should read variables outside a known collection and skip variables without a value', () => {
+      const built = service.buildVariableTokens(
+        parseVariables({
+          variableCollections: [
+            {
+              id: 'c',
+              name: 'Spacing',
+              modes: [
+                { modeId: 'l', name: 'Compact' },
+                { modeId: 'd', name: 'Comfortable' },
+              ],
+            },
+          ],
+          variables: [
+            variable('orphan', 'missing', { x: white }),
+            variable('empty', 'missing', {}),
+            {
+              ...variable('fade', 'c', { l: 50 }),
+              resolvedType: 'FLOAT',
+              scopes: ['OPACITY'],
+            },
+            { ...variable('gap', 'c', { l: 8, d: 12 }), resolvedType: 'FLOAT' },
+          ],
+        })
+      );
+
+      expect(built).toEqual([
+        { path: ['orphan'], type: 'color', value: '#ffffff' },
+        { path: ['fade'], type: 'number', value: '50%' },
+        {
+          path: ['gap'],
+          type: 'dimension',
+          value: '8px',
+          modes: { comfortable: '12px' },
+          collection: 'spacing',
+        },
+      ]);
+    });
+
+    it('should declare SCSS variables after the variables they alias', () => {
+      const scss = service.toScss([
+        { path: ['button', 'bg'], type: 'color', value: '{color.primary}' },
+        { path: ['color', 'primary'], type: 'color', value: '{blue}' },
+        { path: ['blue'], type: 'color', value: '#0000ff' },
+        { path: ['loop'], type: 'color', value: '{loop}' },
+      ]);
+
+      expect(scss).toBe(
+        '$blue: #0000ff;\n$color-primary: $blue;\n$button-bg: $color-primary;\n$loop: $loop;\n'
+      );
+    });
+
+    it('should keep modes in DTCG and Style Dictionary tokens', () => {
+      expect(service.toDTCG(variableTokens).color.background.$extensions).toEqual({
+        'com.figma': { modes: { dark: '{blue}' }, collection: 'theme' },
+      });
+      expect(service.toStyleDictionary(variableTokens).color.background.modes).toEqual({
+        dark: '{blue}',
+      });
+    });
+
+    it('should point Tailwind at the custom properties of themed variables', () => {
+      expect(service.toTailwindConfig(variableTokens)).toContain(
+        '"background": "var(--color-background)"'
+      );
+    });
+  });
+
+  describe('mergeTokens', () => {
+    it('should let later tokens replace earlier ones with the same path', () => {
+      const merged = service.mergeTokens(
+        [
+          { path: ['color', 'a'], value: '#000000' },
+          { path: ['color', 'b'], value: '#111111' },
+        ],
+        [{ path: ['color', 'a'], value: '#ffffff' }]
+      );
+
+      expect(merged).toEqual([
+        { path: ['color', 'a'], value: '#ffffff' },
+        { path: ['color', 'b'], value: '#111111' },
+      ]);
+    });
+
+    it('should suffix tokens of different lists whose names collide', () => {
+      const merged = service.mergeTokens(
+        [{ path: ['color', 'brand', 'primary'], value: '#000000' }],
+        [{ path: ['color', 'brand-primary'], value: '#ffffff' }]
+      );
+
+      expect(merged.map((token) => token.path.join('-'))).toEqual([
+        'color-brand-primary',
+        'color-brand-primary-2',
+      ]);
+    });
+  });
+
+  describe('formats', () => {
+    it('should render W3C DTCG tokens', () => {
+      const dtcg = service.toDTCG(tokens);
+
+      expect(dtcg.color.brand['primary-500']).toEqual({
+        $type: 'color',
+        $value: '#3366ff',
+        $description: 'Main brand color',
+      });
+      expect(dtcg.spacing['8']).toEqual({ $type: 'dimension', $value: '8px' });
+    });
+
+    it('should render Style Dictionary source tokens', () => {
+      const source = service.toStyleDictionary(tokens);
+
+      expect(source.color.brand['primary-500']).toEqual({
+        value: '#3366ff',
+        type: 'color',
+        comment: 'Main brand color',
+      });
+      expect(source.radius['12']).toEqual({ value: '12px', type: 'dimension' });
+    });
+
+    it('should render :root CSS custom properties', () => {
+      const css = service.toCssVariables(tokens);
+
+      expect(css.startsWith(':root {\n')).toBe(true);
+      expect(css).toContain('  --color-brand-primary-500: #3366ff;');
+      expect(css).toContain("  --typography-heading-h1-font-family: 'Inter';");
+      expect(css).toContain('  --typography-heading-h1-line-height: 1.25;');
+      expect(css).toContain(
+        '  --shadow-elevation-1: 0px 2px 4px 0px rgba(0, 0, 0, 0.2), inset 0px 0px 1px 0px rgba(0, 0, 0, 0.1);'
+      );
+      expect(css).toContain('  --blur-glass-blur: 12px;');
+    });
+
+    it('should render SCSS variables', () => {
+      const scss = service.toScss(tokens);
+
+      expect(scss).toContain('$color-brand-primary-500: #3366ff;');
+      expect(scss).toContain('$spacing-16: 16px;');
+    });
+
+    it('should render a Tailwind theme extension', () => {
+      const config = service.toTailwindConfig(tokens);
+
+      expect(config).toContain('export default {');
+      expect(config).toContain('"brand-primary-500": "#3366ff"');
+      expect(config).toContain('"inter": [');
+      expect(config).toContain('"heading-h1": [');
+      expect(config).toContain('"elevation-1": "0px 2px 4px 0px rgba(0, 0, 0, 0.2)');
+      expect(config).toContain('"glass-blur": "12px"');
+      expect(config).toContain('"spacing": {');
+      expect(config).toContain('"borderRadius": {');
+    });
+
+    it('should extend the Tailwind scale with prefixed spacing and radius keys', () => {
+      const config = service.toTailwindConfig([
+        { path: ['spacing', '4'], type: 'dimension', value: '4px' },
+        { path: ['radius', '12'], type: 'dimension', value: '12px' },
+      ]);
+
+      expect(config).toContain('"figma-4": "4px"');
+      expect(config).toContain('"figma-12": "12px"');
+      expect(config).not.toContain('"4": "4px"');
+    });
+
+    it('should keep a variable color named like a color style under its own key', () => {
+      const config = service.toTailwindConfig([
+        { path: ['color', 'brand', 'primary'], type: 'color', value: '#3366ff' },
+        { path: ['brand', 'primary'], type: 'color', value: '#ff0000' },
+      ]);
+
+      expect(config).toContain('"brand-primary": "#3366ff"');
+      expect(config).toContain('"brand-primary-2": "#ff0000"');
+    });
+
+    it('should omit the line height when it cannot be computed', () => {
+      const [token] = service.buildTokens({
+        typography: { Body: { name: 'Body', value: { fontFamily: 'Inter', fontSize: 14 } } },
+      });
+
+      expect(service.toCssVariables([token])).not.toContain('line-height');
+      expect(service.toTailwindConfig([token])).not.toContain('lineHeight');
+    });
+  });
+
+  describe('renderFiles', () => {
+    it('should render every format by default', () => {
+      const files = service.renderFiles(tokens);
+
+      expect(Object.keys(files)).toEqual(TOKEN_FORMATS.map((format) => TOKEN_FORMAT_FILES[format]));
+      expect(JSON.parse(files['design-tokens.json']).color).toBeDefined();
+      expect(JSON.parse(files['style-dictionary.tokens.json']).color).toBeDefined();
+    });
+
+    it('should render only the requested formats', () => {
+      expect(Object.keys(service.renderFiles(tokens, ['scss']))).toEqual(['_tokens.scss']);
+    });
+  });
+
+  describe('writeFiles', () => {
+    it('should write each file into the output directory', async () => {
+      mockWriteFile.mockResolvedValue();
+
+      const written = await service.writeFiles('/output', {
+        'tokens.css': 'a',
+        '_tokens.scss': 'b',
+      });
+
+      expect(written).toEqual(['tokens.css', '_tokens.scss']);
+      expect(mockWriteFile).toHaveBeenCalledTimes(2);
+      expect(mockWriteFile).toHaveBeenCalledWith(expect.stringContaining('tokens.css'), 'a');
+    });
+  });
+});
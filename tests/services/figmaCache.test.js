@@ -0,0 +1,195 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import FigmaCache, {
+  FileCacheStore,
+  MemoryCacheStore,
+  cacheKey,
+  getCacheDir,
+  getSharedFigmaCache,
+} from '../../src/services/figmaCache.js';
+
+describe('figmaCache', () => {
+  describe('cacheKey', () => {
+    it('should key responses by file, kind, node IDs, depth and geometry', () => {
+      expect(cacheKey('abc', 'file', { depth: 1 })).toBe('abc:file:ids=:depth=1:geometry=');
+      expect(cacheKey('abc', 'file')).toBe('abc:file:ids=:depth=:geometry=');
+      expect(cacheKey('abc', 'nodes', { ids: ['2:1', '1:1'], geometry: 'paths' })).toBe(
+        cacheKey('abc', 'nodes', { ids: ['1:1', '2:1'], geometry: 'paths' })
+      );
+      expect(cacheKey('abc', 'nodes', { ids: '1:1' })).not.toBe(
+        cacheKey('abc', 'nodes', { ids: '1:1', depth: 2 })
+      );
+    });
+  });
+
+  describe('getCacheDir', () => {
+    afterEach(() => {
+      delete process.env.FIGMA_CACHE_DIR;
+    });
+
+    it('should default to the temp directory and honor FIGMA_CACHE_DIR', () => {
+      expect(getCacheDir()).toBe(path.join(os.tmpdir(), 'figma-cache'));
+
+      process.env.FIGMA_CACHE_DIR = 'cache';
+      expect(getCacheDir()).toBe(path.resolve('cache'));
+    });
+  });
+
+  describe('MemoryCacheStore', () => {
+    // Each entry is 10 bytes of JSON
+    const entry = (value) => ({ v: value.padEnd(2) });
+
+    it('should drop the least recently used entries past its size', async () => {
+      const store = new MemoryCacheStore(25);
+      await store.set('a', entry('a'));
+      await store.set('b', entry('b'));
+      await store.get('a');
+      await store.set('c', entry('c'));
+
+      expect(await store.get('a')).toEqual(entry('a'));
+      expect(await store.get('b')).toBeNull();
+      expect(await store.get('c')).toEqual(entry('c'));
+      expect(store.size).toBe(20);
+    });
+
+    it('should not keep entries larger than the whole store', async () => {
+      const store = new MemoryCacheStore(25);
+      await store.set('a', entry('a'));
+      await store.set('a', { v: 'x'.repeat(30) });
+
+      expect(await store.get('a')).toBeNull();
+      expect(store.size).toBe(0);
+    });
+
+    it('should return a copy of the entry to every caller', async () => {
+      const store = new MemoryCacheStore();
+      await store.set('a', { data: { name: 'File' } });
+
+      const first = await store.get('a');
+      first.data.name = 'Changed';
+
+      expect(await store.get('a')).toEqual({ data: { name: 'File' } });
+      await store.delete('a');
+      expect(await store.get('a')).toBeNull();
+      expect(store.size).toBe(0);
+    });
+  });
+
+  describe('FileCacheStore', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'figma-cache-test-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('should write entries to disk and read them back', async () => {
+      const store = new FileCacheStore(path.join(dir, 'nested'));
+      const entry = { version: '1@2024', data: { document: { children: [{ id: '0:1' }] } } };
+
+      await store.set('abc:file', entry);
+
+      expect(await store.get('abc:file')).toEqual(entry);
+      expect(await fs.readdir(path.join(dir, 'nested'))).toHaveLength(1);
+    });
+
+    it('should warn and clean up when an entry cannot be written', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      // The cache directory is taken by a file
+      const blocked = path.join(dir, 'blocked');
+      await fs.writeFile(blocked, '');
+      const store = new FileCacheStore(blocked);
+
+      await store.set('abc:file', { version: '1', data: {} });
+
+      expect(warnSpy).toHaveBeenCalledWith(
+        expect.stringMatching(/^Failed to write Figma cache entry: /)
+      );
+      expect(await fs.readdir(dir)).toEqual(['blocked']);
+      expect(await store.get('abc:file')).toBeNull();
+      warnSpy.mockRestore();
+    });
+
+    it('should miss on missing or corrupt entries', async () => {
+      const store = new FileCacheStore(dir);
+      await fs.writeFile(store.filePath('broken'), '{"version": ');
+
+      expect(await store.get('missing')).toBeNull();
+      expect(await store.get('broken')).toBeNull();
+
+      await store.delete('broken');
+      expect(await fs.readdir(dir)).toEqual([]);
+    });
+  });
+
+  describe('FigmaCache', () => {
+    it('should only return entries of the current file version', async () => {
+      const cache = new FigmaCache([new MemoryCacheStore()]);
+      await cache.set('abc:file', 'v1', { name: 'File' });
+
+      expect(await cache.get('abc:file', 'v1')).toEqual({ name: 'File' });
+      expect(await cache.get('abc:file', 'v2')).toBeUndefined();
+      expect(await cache.get('other', 'v1')).toBeUndefined();
+    });
+
+    it('should copy hits of slower stores into faster ones', async () => {
+      const memory = new MemoryCacheStore();
+      const disk = new MemoryCacheStore();
+      await disk.set('abc:file', { version: 'v1', data: { name: 'File' } });
+      const cache = new FigmaCache([memory, disk]);
+
+      expect(await cache.get('abc:file', 'v1')).toEqual({ name: 'File' });
+      expect(await memory.get('abc:file')).toEqual({ version: 'v1', data: { name: 'File' } });
+    });
+
+    it('should look past stale entries of faster stores', async () => {
+      const memory = new MemoryCacheStore();
+      const disk = new MemoryCacheStore();
+      await memory.set('abc:file', { version: 'v1', data: { name: 'Old' } });
+      await disk.set('abc:file', { version: 'v2', data: { name: 'New' } });
+      const cache = new FigmaCache([memory, disk]);
+
+      expect(await cache.get('abc:file', 'v2')).toEqual({ name: 'New' });
+      expect((await memory.get('abc:file')).version).toBe('v2');
+    });
+  });
+
+  describe('getSharedFigmaCache', () => {
+    afterEach(() => {
+      delete process.env.FIGMA_CACHE;
+      delete process.env.FIGMA_CACHE_MAX_MB;
+    });
+
+    it('should be disabled with FIGMA_CACHE=off', () => {
+      process.env.FIGMA_CACHE = 'off';
+
+      expect(getSharedFigmaCache()).toBeNull();
+    });
+
+    it('should share one memory and file cache sized by FIGMA_CACHE_MAX_MB', async () => {
+      process.env.FIGMA_CACHE_MAX_MB = '2';
+
+      const cache = getSharedFigmaCache();
+
+      expect(cache).toBeInstanceOf(FigmaCache);
+      expect(getSharedFigmaCache()).toBe(cache);
+      expect(cache.stores[0]).toBeInstanceOf(MemoryCacheStore);
+      expect(cache.stores[0].maxBytes).toBe(2 * 1024 * 1024);
+      expect(cache.stores[1]).toBeInstanceOf(FileCacheStore);
+    });
+
+    it('should default the memory cache to 64 MB', async () => {
+      // A fresh copy of the module, as the shared cache is created once per process
+      const { getSharedFigmaCache: getFreshCache } = await import(
+        `../../src/services/figmaCache.js?fresh=${Date.now()}`
+      );
+
+      expect(getFreshCache().stores[0].maxBytes).toBe(64 * 1024 * 1024);
+    });
+  });
+});
@@ -0,0 +1,196 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import http from 'http';
+import FigmaClient, { isRetryable, retryDelay } from '../../src/services/figmaClient.js';
+import { ExternalAPIError } from '../../src/utils/errorHandler.js';
+
+// Local stub of the Figma API: each test sets how requests are answered
+let respond;
+let requests;
+const server = http.createServer((req, res) => {
+  requests.push(req);
+  respond(req, res, requests.length);
+});
+
+const json = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+let baseURL;
+const createClient = (options = {}) =>
+  new FigmaClient('stub-token', { baseURL, retryDelay: 1, timeout: 1000, ...options });
+
+describe('FigmaClient', () => {
+  beforeAll(async () => {
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  describe('get', () => {
+    it('should send the token and query parameters and return the body', async () => {
+      respond = (req, res) => json(res, 200, { name: 'File' });
+
+      const data = await createClient().get('/files/abc', { params: { depth: 1 } });
+
+      expect(data).toEqual({ name: 'File' });
+      expect(requests[0].url).toBe('/v1/files/abc?depth=1');
+      expect(requests[0].headers['x-figma-token']).toBe('stub-token');
+    });
+
+    it('should parse streamed bodies', async () => {
+      respond = (req, res) => json(res, 200, { nodes: { '1:1': { document: { id: '1:1' } } } });
+
+      const data = await createClient().get('/files/abc/nodes', { stream: true });
+
+      expect(data.nodes['1:1'].document.id).toBe('1:1');
+    });
+
+    it('should retry server errors and rate limits until a request succeeds', async () => {
+      respond = (req, res, count) => {
+        if (count === 1) {
+          return json(res, 503, { status: 503, err: 'Unavailable' });
+        }
+        if (count === 2) {
+          return json(res, 429, { status: 429, err: 'Rate limited' }, { 'Retry-After': '0' });
+        }
+        return json(res, 200, { ok: true });
+      };
+
+      await expect(createClient().get('/me', { stream: true })).resolves.toEqual({ ok: true });
+      expect(requests).toHaveLength(3);
+    });
+
+    it('should keep the status and body when retries run out', async () => {
+      respond = (req, res) => json(res, 500, { status: 500, err: 'Internal error' });
+
+      const error = await createClient({ retries: 2 })
+        .get('/me')
+        .catch((caught) => caught);
+
+      expect(requests).toHaveLength(3);
+      expect(error).toBeInstanceOf(ExternalAPIError);
+      expect(error).toMatchObject({
+        message: 'Internal error',
+        statusCode: 500,
+        details: { status: 500, err: 'Internal error' },
+      });
+    });
+
+    it('should not retry client errors', async () => {
+      respond = (req, res) => json(res, 404, { status: 404, err: 'Not found' });
+
+      await expect(createClient().get('/files/missing', { stream: true })).rejects.toMatchObject({
+        message: 'Not found',
+        statusCode: 404,
+      });
+      expect(requests).toHaveLength(1);
+    });
+
+    it('should time out slow requests', async () => {
+      respond = (req, res) => setTimeout(() => json(res, 200, {}), 500);
+
+      await expect(createClient({ timeout: 50, retries: 1 }).get('/me')).rejects.toMatchObject({
+        name: 'ExternalAPIError',
+        statusCode: 504,
+      });
+      expect(requests).toHaveLength(2);
+    });
+
+    it('should cap the number of requests in flight', async () => {
+      let active = 0;
+      let peak = 0;
+      respond = (req, res) => {
+        active++;
+        peak = Math.max(peak, active);
+        setTimeout(() => {
+          active--;
+          json(res, 200, {});
+        }, 20);
+      };
+
+      const client = createClient({ maxConcurrency: 2 });
+      await Promise.all([1, 2, 3, 4, 5].map((id) => client.get(`/files/${id}`)));
+
+      expect(requests).toHaveLength(5);
+      expect(peak).toBe(2);
+    });
+  });
+
+  describe('download', () => {
+    it('should return the file and its content type without sending the token', async () => {
+      respond = (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'image/png; charset=binary' });
+        res.end('png');
+      };
+
+      const file = await createClient().download(`${baseURL}/images/a.png`);
+
+      expect(file).toEqual({ data: Buffer.from('png'), contentType: 'image/png' });
+      expect(requests[0].headers['x-figma-token']).toBeUndefined();
+    });
+
+    it('should return an empty content type when the response has none', async () => {
+      respond = (req, res) => res.end('data');
+
+      const file = await createClient().download(`${baseURL}/images/a`);
+
+      expect(file).toEqual({ data: Buffer.from('data'), contentType: '' });
+    });
+
+    it('should retry failed downloads and time out slow ones', async () => {
+      respond = (req, res, count) => {
+        if (count === 1) {
+          return json(res, 503, { status: 503, err: 'Unavailable' });
+        }
+        setTimeout(() => res.end('late'), 200);
+      };
+
+      await expect(
+        createClient({ timeout: 50, retries: 1 }).download(`${baseURL}/images/a.png`)
+      ).rejects.toMatchObject({ statusCode: 504 });
+      expect(requests).toHaveLength(2);
+    });
+  });
+
+  describe('isRetryable', () => {
+    it('should retry rate limits, server errors and dropped connections', () => {
+      expect(isRetryable({ response: { status: 429 } })).toBe(true);
+      expect(isRetryable({ response: { status: 502 } })).toBe(true);
+      expect(isRetryable({ code: 'ECONNRESET' })).toBe(true);
+      expect(isRetryable({ response: { status: 403 } })).toBe(false);
+      expect(isRetryable(new Error('Malformed JSON'))).toBe(false);
+    });
+  });
+
+  describe('retryDelay', () => {
+    const options = { retryDelay: 100, maxRetryDelay: 5000 };
+    const limited = (retryAfter) => ({ response: { headers: { 'retry-after': retryAfter } } });
+
+    it('should back off exponentially', () => {
+      expect(retryDelay({}, 0, options)).toBeGreaterThanOrEqual(100);
+      expect(retryDelay({}, 0, options)).toBeLessThan(200);
+      expect(retryDelay({}, 3, options)).toBeGreaterThanOrEqual(800);
+      expect(retryDelay({}, 10, options)).toBe(5000);
+    });
+
+    it('should honor Retry-After in seconds or as a date', () => {
+      expect(retryDelay(limited('2'), 0, options)).toBe(2000);
+      expect(retryDelay(limited('60'), 0, options)).toBe(5000);
+      expect(retryDelay(limited(new Date(Date.now() - 1000).toUTCString()), 0, options)).toBe(0);
+    });
+
+    it('should back off when Retry-After cannot be read', () => {
+      expect(retryDelay(limited('soon'), 1, options)).toBeGreaterThanOrEqual(200);
+      expect(retryDelay(limited('soon'), 1, options)).toBeLessThan(300);
+    });
+  });
+});
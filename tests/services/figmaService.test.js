@@ -1,4 +1,5 @@
 import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import { Readable } from 'stream';
 
 // Mock axios before importing
 const mockAxiosGet = jest.fn();
@@ -10,8 +11,12 @@ await jest.unstable_mockModule('axios', () => ({
   },
 }));
 
+// Response body streamed in small chunks, as with responseType 'stream'
+const streamOf = (data) => Readable.from(JSON.stringify(data).match(/.{1,16}/gs));
+
 // Import after mocking
 const { default: FigmaService } = await import('../../src/services/figmaService.js');
+const { default: FigmaCache, MemoryCacheStore } = await import('../../src/services/figmaCache.js');
 
 describe('FigmaService', () => {
   let service;
@@ -45,13 +50,52 @@ describe('FigmaService', () => {
       const result = await service.getFile('test-file-key');
 
       expect(mockAxiosGet).toHaveBeenCalledWith('https://api.figma.com/v1/files/test-file-key', {
+        params: {},
         headers: {
           'X-Figma-Token': 'test-token',
         },
+        timeout: 30000,
+        responseType: 'stream',
       });
       expect(result).toEqual(mockFileData);
     });
 
+    it('should parse a streamed response body', async () => {
+      const mockFileData = { name: 'TestFile', document: { children: [{ id: '0:1' }] } };
+      mockAxiosGet.mockResolvedValue({ data: streamOf(mockFileData) });
+
+      await expect(service.getFile('test-file-key')).resolves.toEqual(mockFileData);
+    });
+
+    it('should pass depth, ids and geometry as query parameters', async () => {
+      mockAxiosGet.mockResolvedValue({ data: {} });
+
+      await service.getFile('test-file-key', { depth: 1, ids: ['1:1', '1:2'], geometry: 'paths' });
+
+      expect(mockAxiosGet.mock.calls[0][1].params).toEqual({
+        depth: 1,
+        ids: '1:1,1:2',
+        geometry: 'paths',
+      });
+    });
+
+    it('should read the message of a streamed error body', async () => {
+      mockAxiosGet.mockRejectedValue({
+        response: { status: 404, data: streamOf({ status: 404, err: 'Not found' }) },
+        message: 'Request failed',
+      });
+
+      await expect(service.getFile('test-file-key')).rejects.toThrow(
+        'Failed to fetch Figma file: Not found'
+      );
+    });
+
+    it('should reject malformed streamed JSON', async () => {
+      mockAxiosGet.mockResolvedValue({ data: Readable.from(['{"name": "Test', 'File",']) });
+
+      await expect(service.getFile('test-file-key')).rejects.toThrow('Failed to fetch Figma file');
+    });
+
     it('should handle API errors with response data', async () => {
       const error = {
         response: {
@@ -66,6 +110,20 @@ describe('FigmaService', () => {
       await expect(service.getFile('test-file-key')).rejects.toThrow('Failed to fetch Figma file');
     });
 
+    it('should keep the Figma status code on the error', async () => {
+      mockAxiosGet.mockRejectedValue({
+        response: { status: 403, data: { status: 403, err: 'Invalid token' } },
+        message: 'Request failed with status code 403',
+      });
+
+      await expect(service.getFile('test-file-key')).rejects.toMatchObject({
+        name: 'ExternalAPIError',
+        message: 'Failed to fetch Figma file: Invalid token',
+        statusCode: 403,
+        details: { status: 403, err: 'Invalid token' },
+      });
+    });
+
     it('should handle API errors without response data', async () => {
       const error = new Error('Network error');
       mockAxiosGet.mockRejectedValue(error);
@@ -95,6 +153,8 @@ describe('FigmaService', () => {
         headers: {
           'X-Figma-Token': 'test-token',
         },
+        timeout: 30000,
+        responseType: 'stream',
       });
       expect(result).toEqual(mockNodeData);
     });
@@ -104,72 +164,1060 @@ describe('FigmaService', () => {
         response: {
           data: { message: 'Node not found' },
         },
-        message: 'Not found',
+        message: 'Not found',
+      };
+      mockAxiosGet.mockRejectedValue(error);
+
+      await expect(service.getNode('file-key', 'invalid-node')).rejects.toThrow(
+        'Failed to fetch Figma node'
+      );
+    });
+  });
+
+  describe('cache', () => {
+    const meta = (version) => ({ data: { file: { version, last_touched_at: '2024-01-01' } } });
+
+    it('should serve file and node responses from the cache while the version is current', async () => {
+      const cache = new FigmaCache([new MemoryCacheStore()]);
+      mockAxiosGet
+        .mockResolvedValueOnce(meta('1'))
+        .mockResolvedValueOnce({ data: { name: 'TestFile' } })
+        .mockResolvedValueOnce({ data: { nodes: { '1:1': {} } } });
+
+      const cached = new FigmaService('test-token', { cache });
+      await cached.getFile('file-key', { depth: 1 });
+      await cached.getNode('file-key', '1:1');
+      await cached.getFile('file-key', { depth: 1 });
+      const nodes = await cached.getNode('file-key', '1:1');
+
+      expect(nodes).toEqual({ nodes: { '1:1': {} } });
+      expect(mockAxiosGet.mock.calls.map(([url]) => url)).toEqual([
+        'https://api.figma.com/v1/files/file-key/meta',
+        'https://api.figma.com/v1/files/file-key',
+        'https://api.figma.com/v1/files/file-key/nodes',
+      ]);
+      expect(cached.cacheStats).toEqual({ hits: 2, misses: 2 });
+    });
+
+    it('should fetch again once the file has a new version', async () => {
+      const cache = new FigmaCache([new MemoryCacheStore()]);
+      mockAxiosGet
+        .mockResolvedValueOnce(meta('1'))
+        .mockResolvedValueOnce({ data: { name: 'Old' } })
+        .mockResolvedValueOnce(meta('2'))
+        .mockResolvedValueOnce({ data: { name: 'New' } });
+
+      await new FigmaService('test-token', { cache }).getFile('file-key');
+      const next = new FigmaService('test-token', { cache });
+
+      await expect(next.getFile('file-key')).resolves.toEqual({ name: 'New' });
+      expect(next.cacheStats).toEqual({ hits: 0, misses: 1 });
+    });
+
+    it('should not request metadata without a cache', async () => {
+      mockAxiosGet.mockResolvedValue({ data: { name: 'TestFile' } });
+
+      await service.getFile('file-key');
+
+      expect(mockAxiosGet).toHaveBeenCalledTimes(1);
+      expect(service.cacheStats).toEqual({ hits: 0, misses: 0 });
+    });
+
+    it('should report metadata failures with the status kept', async () => {
+      const cache = new FigmaCache([new MemoryCacheStore()]);
+      mockAxiosGet.mockRejectedValueOnce({
+        response: { status: 404, data: { status: 404, err: 'Not found' } },
+        message: 'Request failed with status code 404',
+      });
+
+      await expect(
+        new FigmaService('test-token', { cache }).getFile('file-key')
+      ).rejects.toMatchObject({
+        message: 'Failed to fetch Figma file: Not found',
+        statusCode: 404,
+      });
+    });
+  });
+
+  describe('iteratePages', () => {
+    it('should fetch the page list at depth 1, then each page on its own', async () => {
+      const file = {
+        name: 'TestFile',
+        version: '3',
+        styles: { 's:1': { name: 'Brand' } },
+        document: {
+          id: '0:0',
+          children: [
+            { id: '0:1', name: 'Page 1' },
+            { id: '0:2', name: 'Page 2' },
+            { id: '0:3', name: 'Gone' },
+          ],
+        },
+      };
+      const page = (id) => ({
+        nodes: {
+          [id]: {
+            document: { id, children: [{ id: `${id}-frame` }] },
+            components: { [`${id}-c`]: { name: 'Button' } },
+            styles: {},
+          },
+        },
+      });
+      mockAxiosGet
+        .mockResolvedValueOnce({ data: streamOf(file) })
+        .mockResolvedValueOnce({ data: streamOf(page('0:1')) })
+        .mockResolvedValueOnce({ data: streamOf(page('0:2')) })
+        .mockResolvedValueOnce({ data: streamOf({ nodes: { '0:3': null } }) });
+
+      const pages = [];
+      for await (const pageData of service.iteratePages('file-key', { geometry: 'paths' })) {
+        pages.push(pageData);
+      }
+
+      expect(mockAxiosGet.mock.calls.map(([url, { params }]) => [url, params])).toEqual([
+        ['https://api.figma.com/v1/files/file-key', { depth: 1 }],
+        ['https://api.figma.com/v1/files/file-key/nodes', { ids: '0:1', geometry: 'paths' }],
+        ['https://api.figma.com/v1/files/file-key/nodes', { ids: '0:2', geometry: 'paths' }],
+        ['https://api.figma.com/v1/files/file-key/nodes', { ids: '0:3', geometry: 'paths' }],
+      ]);
+      expect(pages).toHaveLength(2);
+      expect(pages[1]).toEqual({
+        name: 'TestFile',
+        version: '3',
+        styles: { 's:1': { name: 'Brand' } },
+        components: { '0:2-c': { name: 'Button' } },
+        componentSets: {},
+        document: { id: '0:0', children: [{ id: '0:2', children: [{ id: '0:2-frame' }] }] },
+      });
+    });
+  });
+
+  describe('extractFile', () => {
+    const frame = (id) => ({ id, name: id, type: 'FRAME', children: [] });
+    // Page list at depth 1, then one nodes response per page
+    const mockPages = (...pages) => {
+      mockAxiosGet.mockResolvedValueOnce({
+        data: {
+          name: 'TestFile',
+          version: '5',
+          lastModified: '2024-01-01',
+          styles: { 's:1': { name: 'Brand', styleType: 'FILL' } },
+          document: { id: '0:0', children: pages.map(({ id, name }) => ({ id, name })) },
+        },
+      });
+      pages.forEach((page) =>
+        mockAxiosGet.mockResolvedValueOnce({ data: { nodes: { [page.id]: { document: page } } } })
+      );
+    };
+
+    it('should collect components, styles and pages from every page', async () => {
+      mockPages(
+        { id: '0:1', name: 'Home', type: 'CANVAS', children: [frame('1:1')] },
+        {
+          id: '0:2',
+          name: 'About',
+          type: 'CANVAS',
+          children: [
+            {
+              ...frame('2:1'),
+              fills: [{ type: 'SOLID', color: { r: 0, g: 0, b: 0 } }],
+              styles: { fill: 's:1' },
+            },
+          ],
+        }
+      );
+      const onPage = jest.fn();
+
+      const result = await service.extractFile('file-key', { onPage });
+
+      expect(result.fileData).toEqual({
+        name: 'TestFile',
+        version: '5',
+        lastModified: '2024-01-01',
+        thumbnailUrl: undefined,
+      });
+      expect(result.componentsData.version).toBe('5');
+      expect(result.componentsData.components.map(({ id }) => id)).toEqual(['1:1', '2:1']);
+      expect(result.pages.map(({ name }) => name)).toEqual(['Home', 'About']);
+      expect(result.styles.colors.Brand.value).not.toBeNull();
+      expect(mockAxiosGet).toHaveBeenCalledTimes(3);
+      expect(onPage).toHaveBeenCalledTimes(2);
+      expect(onPage.mock.calls[1][0].document.children[0].id).toBe('0:2');
+    });
+
+    it('should read the styles no page uses from their own nodes', async () => {
+      mockPages({ id: '0:1', name: 'Home', type: 'CANVAS', children: [frame('1:1')] });
+      mockAxiosGet.mockResolvedValueOnce({
+        data: {
+          nodes: {
+            's:1': { document: { fills: [{ type: 'SOLID', color: { r: 1, g: 1, b: 1 } }] } },
+          },
+        },
+      });
+
+      const result = await service.extractFile('file-key');
+
+      expect(mockAxiosGet.mock.calls[2][1].params).toEqual({ ids: 's:1' });
+      expect(result.styles.colors.Brand.value.hex).toBe('#ffffff');
+    });
+
+    it('should share maxComponents across pages', async () => {
+      mockPages(
+        { id: '0:1', name: 'Home', type: 'CANVAS', children: [frame('1:1'), frame('1:2')] },
+        { id: '0:2', name: 'About', type: 'CANVAS', children: [frame('2:1'), frame('2:2')] },
+        { id: '0:3', name: 'Archive', type: 'CANVAS', children: [frame('3:1')] }
+      );
+
+      const result = await service.extractFile('file-key', { maxComponents: 4 });
+
+      expect(result.componentsData.components.map(({ id }) => id)).toEqual([
+        '1:1',
+        '1:2',
+        '2:1',
+        '3:1',
+      ]);
+      expect(result.componentsData.totalComponents).toBe(5);
+      expect(result.pages).toHaveLength(3);
+    });
+
+    it('should stop extracting the frames of a page past maxComponents', async () => {
+      mockPages({
+        id: '0:1',
+        name: 'Home',
+        type: 'CANVAS',
+        children: [frame('1:1'), frame('1:2'), frame('1:3'), frame('1:4')],
+      });
+      const extractComponents = jest.spyOn(service, 'extractComponents');
+
+      const result = await service.extractFile('file-key', { maxComponents: 2 });
+
+      expect(extractComponents.mock.calls[0][2].maxPerPage).toBe(2);
+      expect(extractComponents.mock.results[0].value.components.map(({ id }) => id)).toEqual([
+        '1:1',
+        '1:2',
+      ]);
+      expect(result.componentsData).toMatchObject({ totalComponents: 4 });
+      expect(result.componentsData.components).toHaveLength(2);
+    });
+
+    it('should only extract styles when maxComponents is 0', async () => {
+      mockPages({ id: '0:1', name: 'Home', type: 'CANVAS', children: [frame('1:1')] });
+      const extractComponents = jest.spyOn(service, 'extractComponents');
+
+      const result = await service.extractFile('file-key', { maxComponents: 0 });
+
+      expect(extractComponents).not.toHaveBeenCalled();
+      expect(result.componentsData.components).toEqual([]);
+    });
+
+    it('should not fetch pages the filters rule out', async () => {
+      const filters = { include: { pages: ['checkout'] }, exclude: { frames: ['* / Draft'] } };
+      // Only the Checkout page is fetched after the page list
+      mockAxiosGet
+        .mockResolvedValueOnce({
+          data: {
+            name: 'TestFile',
+            document: {
+              id: '0:0',
+              children: [
+                { id: '0:1', name: 'Home' },
+                { id: '0:2', name: 'Checkout' },
+              ],
+            },
+          },
+        })
+        .mockResolvedValueOnce({
+          data: {
+            nodes: {
+              '0:2': {
+                document: {
+                  id: '0:2',
+                  name: 'Checkout',
+                  type: 'CANVAS',
+                  children: [frame('2:1'), { ...frame('2:2'), name: 'Cart / Draft' }],
+                },
+              },
+            },
+          },
+        });
+
+      const result = await service.extractFile('file-key', { filters });
+
+      expect(mockAxiosGet).toHaveBeenCalledTimes(2);
+      expect(mockAxiosGet.mock.calls[1][1].params).toEqual({ ids: '0:2' });
+      expect(result.componentsData.components.map(({ id }) => id)).toEqual(['2:1']);
+      expect(result.pages).toEqual([
+        { id: '0:2', name: 'Checkout', frames: [{ id: '2:1', name: '2:1', type: 'FRAME' }] },
+      ]);
+    });
+
+    it('should read only the requested nodes', async () => {
+      mockPages({ id: '1:2', name: 'Card', type: 'FRAME', children: [frame('1:3')] });
+
+      const result = await service.extractFile('file-key', { ids: '1:2' });
+
+      expect(mockAxiosGet.mock.calls[1][1].params).toEqual({ ids: '1:2' });
+      expect(result.componentsData.components.map(({ id }) => id)).toEqual(['1:3']);
+    });
+
+    it('should return the file metadata when no page could be read', async () => {
+      mockAxiosGet.mockResolvedValueOnce({
+        data: { name: 'Empty', version: '1', document: { children: [] } },
+      });
+
+      const result = await service.extractFile('file-key');
+
+      // The page list is fetched once for the pages and the metadata
+      expect(mockAxiosGet).toHaveBeenCalledTimes(1);
+      expect(result.componentsData).toEqual({
+        name: 'Empty',
+        version: '1',
+        lastModified: undefined,
+        components: [],
+        totalComponents: 0,
+      });
+      expect(result.pages).toEqual([]);
+    });
+  });
+
+  describe('resolveUnusedStyles', () => {
+    const fillNode = (r) => ({
+      document: { fills: [{ type: 'SOLID', color: { r, g: 0, b: 0 } }] },
+    });
+
+    it('should read styles no node uses from their own nodes, local and library', async () => {
+      const used = { id: '1:1', name: 'Used', styleType: 'FILL', value: { hex: '#000000' } };
+      const local = { id: '1:2', name: 'Unused', styleType: 'FILL', value: null };
+      const library = { id: 'S:x', key: 'lk', name: 'Lib', styleType: 'FILL', remote: true };
+      const styles = { colors: { Used: used, Unused: local, Lib: library }, typography: {} };
+      mockAxiosGet
+        .mockResolvedValueOnce({ data: { meta: { file_key: 'lib-file', node_id: '9:9' } } })
+        .mockResolvedValueOnce({ data: { nodes: { '1:2': fillNode(1) } } })
+        .mockResolvedValueOnce({ data: { nodes: { '9:9': fillNode(0.5) } } });
+
+      const result = await service.resolveUnusedStyles('file-key', styles);
+
+      expect(mockAxiosGet.mock.calls.map(([url, { params }]) => [url, params])).toEqual([
+        ['https://api.figma.com/v1/styles/lk', undefined],
+        ['https://api.figma.com/v1/files/file-key/nodes', { ids: '1:2' }],
+        ['https://api.figma.com/v1/files/lib-file/nodes', { ids: '9:9' }],
+      ]);
+      expect(result).toBe(styles);
+      expect(used.value).toEqual({ hex: '#000000' });
+      expect(local.value.hex).toBe('#ff0000');
+      expect(library.value.hex).toBe('#800000');
+    });
+
+    it('should leave styles that cannot be read unresolved, with a warning', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const library = { id: 'S:x', key: 'lk', name: 'Lib', styleType: 'FILL', remote: true };
+      const local = { id: '1:2', name: 'Unused', styleType: 'TEXT', value: null };
+      const gone = { id: '1:3', name: 'Gone', styleType: 'FILL', value: null };
+      mockAxiosGet
+        .mockRejectedValueOnce({ response: { data: { message: 'Not found' } } })
+        .mockResolvedValueOnce({ data: { nodes: { '1:2': { document: null } } } });
+
+      await service.resolveUnusedStyles('file-key', {
+        colors: { Lib: library },
+        typography: { Unused: local },
+      });
+      mockAxiosGet.mockRejectedValueOnce({ response: { data: { message: 'Forbidden' } } });
+      await service.resolveUnusedStyles('file-key', { colors: { Gone: gone } });
+
+      expect(library.value).toBeUndefined();
+      expect(local.value).toBeNull();
+      expect(gone.value).toBeNull();
+      expect(warn.mock.calls.map(([message]) => message)).toEqual([
+        'Could not locate library style "Lib": Failed to fetch Figma library style: Not found',
+        'Could not resolve style values from file file-key: Failed to fetch Figma node: Forbidden',
+      ]);
+      warn.mockRestore();
+    });
+
+    it('should not call the API when every style is resolved', async () => {
+      await service.resolveUnusedStyles('file-key', { colors: {}, effects: {} });
+
+      expect(mockAxiosGet).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('collectComponentUsage', () => {
+    it('should list used components by library key and the components the file defines', async () => {
+      const file = {
+        name: 'Shop',
+        document: { id: '0:0', children: [{ id: '0:1', name: 'Home' }] },
+      };
+      const instance = (id, componentId, extra = {}) => ({
+        id,
+        name: 'Instance',
+        type: 'INSTANCE',
+        componentId,
+        children: [],
+        ...extra,
+      });
+      const page = {
+        nodes: {
+          '0:1': {
+            document: {
+              id: '0:1',
+              name: 'Home',
+              type: 'CANVAS',
+              children: [
+                {
+                  id: '1:1',
+                  name: 'Landing',
+                  type: 'FRAME',
+                  children: [
+                    instance('2:1', 'v:1'),
+                    instance('2:2', 'v:2'),
+                    instance('2:3', 'r:1'),
+                    instance('2:4', 'h:1', { visible: false }),
+                  ],
+                },
+                {
+                  id: '3:1',
+                  name: 'Button',
+                  type: 'COMPONENT_SET',
+                  children: [{ id: 'v:1', name: 'Size=sm', type: 'COMPONENT', children: [] }],
+                },
+                { id: '4:1', name: 'Badge', type: 'COMPONENT', children: [] },
+              ],
+            },
+            components: {
+              'v:1': { key: 'vk1', name: 'Size=sm', componentSetId: '3:1' },
+              'v:2': { key: 'vk2', name: 'Size=lg', componentSetId: '3:1' },
+              'r:1': { key: 'rk', name: 'Avatar', remote: true },
+              'h:1': { key: 'hk', name: 'Hidden' },
+              '4:1': { key: 'bk', name: 'Badge' },
+            },
+            componentSets: { '3:1': { key: 'sk', name: 'Button' } },
+          },
+        },
+      };
+      mockAxiosGet
+        .mockResolvedValueOnce({ data: streamOf(file) })
+        .mockResolvedValueOnce({ data: streamOf(page) });
+
+      const usage = await service.collectComponentUsage('file-key');
+
+      expect(usage.instances).toEqual([
+        { key: 'sk', name: 'Button', set: true, remote: false },
+        { key: 'rk', name: 'Avatar', set: false, remote: true },
+      ]);
+      expect(usage.definitions).toEqual([
+        { key: 'sk', name: 'Button', set: true, nodeId: '3:1' },
+        { key: 'bk', name: 'Badge', set: false, nodeId: '4:1' },
+      ]);
+    });
+  });
+
+  describe('getLibraryComponent', () => {
+    it('should locate a published component set by key', async () => {
+      mockAxiosGet.mockResolvedValue({
+        data: { meta: { key: 'sk', file_key: 'lib-file', node_id: '3:1', name: 'Button' } },
+      });
+
+      const result = await service.getLibraryComponent('sk', { set: true });
+
+      expect(mockAxiosGet.mock.calls[0][0]).toBe('https://api.figma.com/v1/component_sets/sk');
+      expect(result).toEqual({ fileKey: 'lib-file', nodeId: '3:1', name: 'Button' });
+    });
+
+    it('should handle library component fetch errors', async () => {
+      mockAxiosGet.mockRejectedValue({ response: { data: { message: 'Not found' } } });
+
+      await expect(service.getLibraryComponent('missing')).rejects.toThrow(
+        'Failed to fetch Figma library component: Not found'
+      );
+    });
+  });
+
+  describe('getFileMetadata', () => {
+    it('should fetch the page list of a file once', async () => {
+      mockAxiosGet.mockResolvedValue({ data: { name: 'File', document: { children: [] } } });
+
+      const [first, second] = await Promise.all([
+        service.getFileMetadata('file-key'),
+        service.getFileMetadata('file-key'),
+      ]);
+
+      expect(first).toBe(second);
+      expect(mockAxiosGet).toHaveBeenCalledTimes(1);
+      expect(mockAxiosGet.mock.calls[0][1].params).toEqual({ depth: 1 });
+    });
+
+    it('should fetch the page list again after a failure', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      mockAxiosGet
+        .mockRejectedValueOnce({ response: { status: 403, data: { err: 'Forbidden' } } })
+        .mockResolvedValueOnce({ data: { name: 'File' } });
+
+      await expect(service.getFileMetadata('file-key')).rejects.toThrow('Failed to fetch');
+      await expect(service.getFileMetadata('file-key')).resolves.toEqual({ name: 'File' });
+      console.error.mockRestore();
+    });
+  });
+
+  describe('extractNode', () => {
+    it('should extract a single node as a root component', async () => {
+      mockAxiosGet.mockResolvedValue({
+        data: streamOf({
+          nodes: {
+            '4:1': {
+              document: { id: '4:1', name: 'Badge', type: 'COMPONENT', children: [] },
+              components: { '4:1': { key: 'bk', name: 'Badge' } },
+            },
+          },
+        }),
+      });
+
+      const component = await service.extractNode('lib-file', '4:1');
+
+      expect(mockAxiosGet.mock.calls[0][1].params).toEqual({ ids: '4:1' });
+      expect(component).toMatchObject({
+        id: '4:1',
+        name: 'Badge',
+        type: 'COMPONENT',
+        componentKey: 'bk',
+      });
+      expect(component.page).toBeUndefined();
+    });
+
+    it('should keep the layout and paint of a frame and fill in the styles it uses', async () => {
+      mockAxiosGet.mockResolvedValue({
+        data: streamOf({
+          nodes: {
+            '5:1': {
+              document: {
+                id: '5:1',
+                name: 'Hero',
+                type: 'FRAME',
+                layoutMode: 'VERTICAL',
+                fills: [{ type: 'SOLID', color: { r: 1, g: 0, b: 0, a: 1 } }],
+                styles: { fill: 'S:1' },
+                children: [{ id: '5:2', name: 'Title', type: 'TEXT', characters: 'Hi' }],
+              },
+              styles: { 'S:1': { name: 'Brand/Red', styleType: 'FILL' } },
+            },
+          },
+        }),
+      });
+      const styles = { colors: {}, typography: {}, effects: {}, grids: {} };
+
+      const component = await service.extractNode('file-key', '5:1', { styles });
+
+      expect(component).toMatchObject({ id: '5:1', layout: { mode: 'flex' } });
+      expect(component.paint.css).toEqual({ background: 'rgba(255, 0, 0, 1)' });
+      expect(component.children.map(({ id }) => id)).toEqual(['5:2']);
+      expect(styles.colors['Brand/Red'].value).toMatchObject({ hex: '#ff0000' });
+    });
+
+    it('should return null when the node does not exist', async () => {
+      mockAxiosGet.mockResolvedValue({ data: streamOf({ nodes: { '4:1': null } }) });
+
+      await expect(service.extractNode('lib-file', '4:1')).resolves.toBeNull();
+    });
+  });
+
+  describe('getImages', () => {
+    it('should fetch images successfully', async () => {
+      const mockImageData = {
+        images: {
+          'node-1': 'https://example.com/image1.svg',
+          'node-2': 'https://example.com/image2.svg',
+        },
+      };
+
+      mockAxiosGet.mockResolvedValue({ data: mockImageData });
+
+      const result = await service.getImages('file-key', ['node-1', 'node-2']);
+
+      expect(mockAxiosGet).toHaveBeenCalledWith('https://api.figma.com/v1/images/file-key', {
+        params: { ids: 'node-1,node-2', format: 'svg' },
+        headers: {
+          'X-Figma-Token': 'test-token',
+        },
+        timeout: 30000,
+      });
+      expect(result).toEqual(mockImageData);
+    });
+
+    it('should pass the export format and scale', async () => {
+      mockAxiosGet.mockResolvedValue({ data: { images: {} } });
+
+      await service.getImages('file-key', ['node-1'], { format: 'png', scale: 2 });
+
+      expect(mockAxiosGet.mock.calls[0][1].params).toEqual({
+        ids: 'node-1',
+        format: 'png',
+        scale: 2,
+      });
+    });
+
+    it('should handle image fetch errors', async () => {
+      const error = {
+        response: {
+          data: { message: 'Rate limit exceeded' },
+        },
+      };
+      mockAxiosGet.mockRejectedValue(error);
+
+      await expect(service.getImages('file-key', ['node-1'])).rejects.toThrow(
+        'Failed to fetch Figma images'
+      );
+    });
+  });
+
+  describe('getImageFills', () => {
+    it('should return the image URL of every image fill', async () => {
+      mockAxiosGet.mockResolvedValue({
+        data: { error: false, meta: { images: { 'ref-1': 'https://example.com/fill.png' } } },
+      });
+
+      const result = await service.getImageFills('file-key');
+
+      expect(mockAxiosGet).toHaveBeenCalledWith('https://api.figma.com/v1/files/file-key/images', {
+        headers: { 'X-Figma-Token': 'test-token' },
+        timeout: 30000,
+      });
+      expect(result).toEqual({ 'ref-1': 'https://example.com/fill.png' });
+    });
+
+    it('should handle image fill fetch errors', async () => {
+      mockAxiosGet.mockRejectedValue({ response: { data: { message: 'Forbidden' } } });
+
+      await expect(service.getImageFills('file-key')).rejects.toThrow(
+        'Failed to fetch Figma image fills: Forbidden'
+      );
+    });
+  });
+
+  describe('getLocalVariables', () => {
+    it('should fetch and normalize the local variables of a file', async () => {
+      mockAxiosGet.mockResolvedValue({
+        data: {
+          meta: {
+            variableCollections: {
+              'c:1': {
+                id: 'c:1',
+                name: 'Theme',
+                modes: [{ modeId: 'm:1', name: 'Light' }],
+                defaultModeId: 'm:1',
+              },
+            },
+            variables: {
+              'v:1': {
+                id: 'v:1',
+                name: 'Color/Surface',
+                variableCollectionId: 'c:1',
+                resolvedType: 'COLOR',
+                valuesByMode: { 'm:1': { r: 1, g: 1, b: 1, a: 1 } },
+              },
+            },
+          },
+        },
+      });
+
+      const result = await service.getLocalVariables('file-key');
+
+      expect(mockAxiosGet).toHaveBeenCalledWith(
+        'https://api.figma.com/v1/files/file-key/variables/local',
+        { headers: { 'X-Figma-Token': 'test-token' }, timeout: 30000 }
+      );
+      expect(result.variables['v:1'].cssName).toBe('color-surface');
+      expect(result.collections['c:1'].modes).toEqual([
+        { modeId: 'm:1', name: 'Light', slug: 'light' },
+      ]);
+    });
+
+    it('should point to the exported JSON when the plan has no variables API', async () => {
+      mockAxiosGet.mockRejectedValue({
+        response: { status: 403, data: { message: 'Forbidden' } },
+      });
+
+      await expect(service.getLocalVariables('file-key')).rejects.toThrow(
+        'Failed to fetch Figma variables: Forbidden (the variables API requires a Figma Enterprise plan'
+      );
+    });
+  });
+
+  describe('extractComponents', () => {
+    it('should resolve properties bound to variables', () => {
+      const variables = {
+        collections: {},
+        variables: { 'v:1': { id: 'v:1', cssName: 'color-surface' } },
+      };
+      const fileData = {
+        document: {
+          children: [
+            {
+              id: 'page-1',
+              type: 'CANVAS',
+              children: [
+                {
+                  id: '1:1',
+                  name: 'Card',
+                  type: 'FRAME',
+                  fills: [{ type: 'SOLID', color: { r: 1, g: 1, b: 1 } }],
+                  boundVariables: { fills: [{ type: 'VARIABLE_ALIAS', id: 'v:1' }] },
+                  children: [],
+                },
+              ],
+            },
+          ],
+        },
+      };
+
+      expect(service.extractComponents(fileData, variables).components[0].variables).toEqual({
+        fill: 'color-surface',
+      });
+      expect(service.extractComponents(fileData).components[0].variables).toBeUndefined();
+    });
+
+    it('should extract components from file data', () => {
+      const fileData = {
+        name: 'TestFile',
+        version: '1.0',
+        lastModified: '2024-01-01',
+        document: {
+          children: [
+            {
+              id: 'page-1',
+              name: 'Page 1',
+              type: 'PAGE',
+              children: [
+                {
+                  id: 'comp-1',
+                  name: 'Button',
+                  type: 'COMPONENT',
+                  absoluteBoundingBox: { x: 0, y: 0, width: 100, height: 50 },
+                  fills: [{ color: { r: 0.5, g: 0.5, b: 0.5 } }],
+                  children: [],
+                },
+              ],
+            },
+          ],
+        },
+      };
+
+      const result = service.extractComponents(fileData);
+
+      expect(result.name).toBe('TestFile');
+      expect(result.version).toBe('1.0');
+      expect(result.components).toBeDefined();
+      expect(result.components.length).toBeGreaterThan(0);
+      expect(result.components[0].name).toBe('Button');
+    });
+
+    it('should keep the page and section of each top-level frame', () => {
+      const fileData = {
+        document: {
+          children: [
+            {
+              id: '0:1',
+              name: 'Checkout',
+              type: 'CANVAS',
+              children: [
+                { id: '1:1', name: 'Cart', type: 'FRAME', children: [{ id: '1:2', type: 'TEXT' }] },
+                {
+                  id: '2:0',
+                  name: 'Payment',
+                  type: 'SECTION',
+                  children: [
+                    { id: '2:1', name: 'Card form', type: 'FRAME', children: [] },
+                    { id: '2:2', name: 'Card icon', type: 'COMPONENT', children: [] },
+                  ],
+                },
+              ],
+            },
+            {
+              id: '0:2',
+              name: 'Archive',
+              type: 'CANVAS',
+              children: [{ id: '3:1', name: 'Old cart', type: 'FRAME', children: [] }],
+            },
+          ],
+        },
+      };
+
+      const { components, pages } = service.extractComponents(fileData);
+
+      expect(components.map(({ id }) => id)).toEqual(['1:1', '2:1', '2:2', '3:1']);
+      expect(components[0].page).toEqual({ id: '0:1', name: 'Checkout' });
+      expect(components[0].section).toBeUndefined();
+      expect(components[1].section).toEqual({ id: '2:0', name: 'Payment' });
+      expect(components[3].page).toEqual({ id: '0:2', name: 'Archive' });
+      expect(pages.map(({ name }) => name)).toEqual(['Checkout', 'Archive']);
+
+      const filtered = service.extractComponents(fileData, null, {
+        filters: {
+          include: { pages: ['Checkout'], types: ['FRAME'] },
+          exclude: { sections: ['Pay*'] },
+        },
+      });
+      expect(filtered.components.map(({ id }) => id)).toEqual(['1:1']);
+      expect(filtered.pages).toEqual([
+        { id: '0:1', name: 'Checkout', frames: [{ id: '1:1', name: 'Cart', type: 'FRAME' }] },
+      ]);
+    });
+
+    it('should skip hidden layers and masks and record clipping', () => {
+      const fileData = {
+        document: {
+          children: [
+            {
+              id: '0:1',
+              name: 'Home',
+              type: 'CANVAS',
+              children: [
+                {
+                  id: '1:1',
+                  name: 'Card',
+                  type: 'FRAME',
+                  clipsContent: true,
+                  absoluteBoundingBox: { x: 0, y: 0, width: 40, height: 40 },
+                  children: [
+                    {
+                      id: '1:2',
+                      name: 'Mask',
+                      type: 'ELLIPSE',
+                      isMask: true,
+                      absoluteBoundingBox: { x: 0, y: 0, width: 40, height: 40 },
+                    },
+                    { id: '1:3', name: 'Photo', type: 'RECTANGLE' },
+                    { id: '1:4', name: 'Draft', type: 'RECTANGLE', visible: false },
+                    { id: '1:5', name: 'Ghost', type: 'RECTANGLE', opacity: 0 },
+                  ],
+                },
+                { id: '2:1', name: 'Old', type: 'FRAME', visible: false, children: [] },
+              ],
+            },
+          ],
+        },
+      };
+
+      const { components, pages } = service.extractComponents(fileData);
+      const [card] = components;
+
+      expect(components.map(({ id }) => id)).toEqual(['1:1']);
+      expect(pages[0].frames.map(({ id }) => id)).toEqual(['1:1']);
+      expect(card.children.map(({ id }) => id)).toEqual(['1:3']);
+      expect(card.clipping).toMatchObject({
+        clipsContent: true,
+        css: { overflow: 'hidden', clipPath: 'ellipse(20px 20px at 20px 20px)' },
+      });
+
+      const withHidden = service.extractComponents(fileData, null, { includeHidden: true });
+      expect(withHidden.components.map(({ id }) => id)).toEqual(['1:1', '2:1']);
+      expect(withHidden.components[0].children.map(({ id, hidden }) => [id, hidden])).toEqual([
+        ['1:3', undefined],
+        ['1:4', true],
+        ['1:5', true],
+      ]);
+    });
+
+    it('should infer the semantic role of each node', () => {
+      const fileData = {
+        components: { 'c:1': { name: 'Button' } },
+        document: {
+          children: [
+            {
+              id: '0:1',
+              name: 'Home',
+              type: 'CANVAS',
+              children: [
+                {
+                  id: '1:1',
+                  name: 'Hero',
+                  type: 'FRAME',
+                  children: [
+                    { id: '1:2', name: 'CTA', type: 'INSTANCE', componentId: 'c:1', children: [] },
+                    { id: '1:3', name: 'Promo [card]', type: 'FRAME', children: [] },
+                    { id: '1:4', name: 'Plain', type: 'FRAME', children: [] },
+                  ],
+                },
+              ],
+            },
+          ],
+        },
+      };
+
+      const [hero] = service.extractComponents(fileData).components;
+
+      expect(hero.role).toBeUndefined();
+      expect(hero.children.map(({ role }) => role)).toEqual(['button', 'card', undefined]);
+    });
+
+    it('should record repeated children and their differing content', () => {
+      const card = (index, title) => ({
+        id: `1:${index}`,
+        name: 'Card',
+        type: 'FRAME',
+        children: [{ id: `2:${index}`, name: title, type: 'TEXT', characters: title }],
+      });
+      const fileData = {
+        document: {
+          children: [
+            {
+              id: '0:1',
+              name: 'Home',
+              type: 'CANVAS',
+              children: [
+                {
+                  id: '1:0',
+                  name: 'Cards',
+                  type: 'FRAME',
+                  children: [card(1, 'One'), card(2, 'Two'), card(3, 'Three')],
+                },
+              ],
+            },
+          ],
+        },
+      };
+
+      const [cards] = service.extractComponents(fileData).components;
+
+      expect(cards.repeats).toEqual([
+        {
+          name: 'card',
+          collection: 'cards',
+          type: 'CardItem',
+          nodes: ['1:1', '1:2', '1:3'],
+          fields: [{ name: 'text', kind: 'text', node: '2:1', type: 'string' }],
+          items: [
+            { id: '1:1', text: 'One' },
+            { id: '1:2', text: 'Two' },
+            { id: '1:3', text: 'Three' },
+          ],
+        },
+      ]);
+      expect(cards.children[0].repeats).toBeUndefined();
+    });
+
+    it('should extract the paint of every visual node', () => {
+      const fileData = {
+        document: {
+          children: [
+            {
+              id: 'page-1',
+              type: 'CANVAS',
+              children: [
+                {
+                  id: 'instance-1',
+                  name: 'Card',
+                  type: 'INSTANCE',
+                  fills: [{ type: 'SOLID', color: { r: 1, g: 1, b: 1, a: 1 } }],
+                  strokes: [{ type: 'SOLID', color: { r: 0, g: 0, b: 0, a: 1 } }],
+                  strokeWeight: 1,
+                  rectangleCornerRadii: [8, 8, 0, 0],
+                  children: [{ id: 'group-1', name: 'Decor', type: 'GROUP', children: [] }],
+                },
+              ],
+            },
+          ],
+        },
       };
-      mockAxiosGet.mockRejectedValue(error);
 
-      await expect(service.getNode('file-key', 'invalid-node')).rejects.toThrow(
-        'Failed to fetch Figma node'
-      );
+      const result = service.extractComponents(fileData);
+      const card = result.components.find((c) => c.id === 'instance-1');
+
+      expect(card.paint.css).toEqual({
+        background: 'rgba(255, 255, 255, 1)',
+        border: '1px solid rgba(0, 0, 0, 1)',
+        borderRadius: '8px 8px 0px 0px',
+      });
+      expect(card.children[0].paint).toBeUndefined();
     });
-  });
 
-  describe('getImages', () => {
-    it('should fetch images successfully', async () => {
-      const mockImageData = {
-        images: {
-          'node-1': 'https://example.com/image1.svg',
-          'node-2': 'https://example.com/image2.svg',
+    it('should extract effects and link them to the applied effect style', () => {
+      const fileData = {
+        styles: { 'S:1': { name: 'Elevation/1', styleType: 'EFFECT' } },
+        document: {
+          children: [
+            {
+              id: 'page-1',
+              type: 'CANVAS',
+              children: [
+                {
+                  id: 'frame-1',
+                  name: 'Card',
+                  type: 'FRAME',
+                  styles: { effect: 'S:1' },
+                  effects: [
+                    {
+                      type: 'DROP_SHADOW',
+                      color: { r: 0, g: 0, b: 0, a: 0.1 },
+                      offset: { x: 0, y: 2 },
+                      radius: 4,
+                    },
+                  ],
+                  children: [],
+                },
+              ],
+            },
+          ],
         },
       };
 
-      mockAxiosGet.mockResolvedValue({ data: mockImageData });
-
-      const result = await service.getImages('file-key', ['node-1', 'node-2']);
+      const [card] = service.extractComponents(fileData).components;
 
-      expect(mockAxiosGet).toHaveBeenCalledWith('https://api.figma.com/v1/images/file-key', {
-        params: { ids: 'node-1,node-2', format: 'svg' },
-        headers: {
-          'X-Figma-Token': 'test-token',
-        },
+      expect(card.effects).toMatchObject({
+        style: 'Elevation/1',
+        css: { boxShadow: '0px 2px 4px 0px rgba(0, 0, 0, 0.1)' },
       });
-      expect(result).toEqual(mockImageData);
     });
 
-    it('should handle image fetch errors', async () => {
-      const error = {
-        response: {
-          data: { message: 'Rate limit exceeded' },
+    it('should extract the rich text of text layers', () => {
+      const fileData = {
+        document: {
+          children: [
+            {
+              id: 'page-1',
+              type: 'CANVAS',
+              children: [
+                {
+                  id: 'text-1',
+                  name: 'Body',
+                  type: 'TEXT',
+                  characters: 'Hi there',
+                  style: { fontSize: 14, fontWeight: 400, letterSpacing: 0.2 },
+                  characterStyleOverrides: [0, 0, 0, 1, 1, 1, 1, 1],
+                  styleOverrideTable: { 1: { fontWeight: 700 } },
+                },
+              ],
+            },
+          ],
         },
       };
-      mockAxiosGet.mockRejectedValue(error);
 
-      await expect(service.getImages('file-key', ['node-1'])).rejects.toThrow(
-        'Failed to fetch Figma images'
-      );
+      const [text] = service.extractComponents(fileData).components;
+
+      expect(text.properties.content).toBe('Hi there');
+      expect(text.text).toEqual({
+        css: { letterSpacing: '0.2px' },
+        paragraphs: [{ spans: [{ text: 'Hi ' }, { text: 'there', bold: true }] }],
+      });
     });
-  });
 
-  describe('extractComponents', () => {
-    it('should extract components from file data', () => {
+    it('should mark icons and image fills as assets', () => {
       const fileData = {
-        name: 'TestFile',
-        version: '1.0',
-        lastModified: '2024-01-01',
         document: {
           children: [
             {
               id: 'page-1',
-              name: 'Page 1',
-              type: 'PAGE',
+              type: 'CANVAS',
               children: [
                 {
-                  id: 'comp-1',
-                  name: 'Button',
-                  type: 'COMPONENT',
-                  absoluteBoundingBox: { x: 0, y: 0, width: 100, height: 50 },
-                  fills: [{ color: { r: 0.5, g: 0.5, b: 0.5 } }],
-                  children: [],
+                  id: 'icon-1',
+                  name: 'Icon/Close',
+                  type: 'FRAME',
+                  children: [{ id: 'vector-1', name: 'Path', type: 'VECTOR' }],
+                },
+                {
+                  id: 'photo-1',
+                  name: 'Photo',
+                  type: 'RECTANGLE',
+                  fills: [{ type: 'IMAGE', imageRef: 'ref-1', scaleMode: 'FILL' }],
                 },
               ],
             },
@@ -178,12 +1226,14 @@ describe('FigmaService', () => {
       };
 
       const result = service.extractComponents(fileData);
+      const byId = Object.fromEntries(result.components.map((c) => [c.id, c]));
 
-      expect(result.name).toBe('TestFile');
-      expect(result.version).toBe('1.0');
-      expect(result.components).toBeDefined();
-      expect(result.components.length).toBeGreaterThan(0);
-      expect(result.components[0].name).toBe('Button');
+      expect(byId['icon-1'].asset).toEqual({ kind: 'vector' });
+      expect(byId['photo-1'].asset).toEqual({
+        kind: 'image',
+        imageRef: 'ref-1',
+        scaleMode: 'FILL',
+      });
     });
 
     it('should extract TEXT component properties', () => {
@@ -728,6 +1778,255 @@ describe('FigmaService', () => {
       // Children with null should be filtered out
       expect(frameComp.children.filter((c) => c !== undefined).length).toBeGreaterThanOrEqual(0);
     });
+    it('should attach normalized auto-layout data to containers and their children', () => {
+      const fileData = {
+        name: 'TestFile',
+        document: {
+          children: [
+            {
+              id: 'page-1',
+              name: 'Page 1',
+              type: 'PAGE',
+              children: [
+                {
+                  id: 'frame-1',
+                  name: 'Toolbar',
+                  type: 'FRAME',
+                  layoutMode: 'HORIZONTAL',
+                  primaryAxisAlignItems: 'SPACE_BETWEEN',
+                  counterAxisAlignItems: 'CENTER',
+                  itemSpacing: 8,
+                  paddingTop: 4,
+                  paddingRight: 12,
+                  paddingBottom: 4,
+                  paddingLeft: 12,
+                  children: [
+                    { id: 'text-1', name: 'Title', type: 'TEXT', layoutGrow: 1 },
+                    { id: 'rect-1', name: 'Divider', type: 'RECTANGLE', layoutAlign: 'STRETCH' },
+                  ],
+                },
+                { id: 'rect-2', name: 'Free', type: 'RECTANGLE' },
+              ],
+            },
+          ],
+        },
+      };
+
+      const result = service.extractComponents(fileData);
+      const frame = result.components.find((c) => c.id === 'frame-1');
+      const free = result.components.find((c) => c.id === 'rect-2');
+
+      expect(frame.layout.mode).toBe('flex');
+      expect(frame.layout.direction).toBe('row');
+      expect(frame.layout.justifyContent).toBe('space-between');
+      expect(frame.layout.padding).toEqual({ top: 4, right: 12, bottom: 4, left: 12 });
+      expect(frame.children[0].layout.sizing.horizontal).toBe('fill');
+      expect(frame.children[1].layout.child.alignSelf).toBe('stretch');
+      expect(free.layout).toBeUndefined();
+    });
+    it('should reference named styles instead of raw colors', () => {
+      const fileData = {
+        name: 'TestFile',
+        styles: { 'S:1': { key: 'k1', name: 'Brand/Primary', styleType: 'FILL' } },
+        document: {
+          children: [
+            {
+              id: 'page-1',
+              name: 'Page 1',
+              type: 'PAGE',
+              children: [
+                {
+                  id: 'rect-1',
+                  name: 'Styled',
+                  type: 'RECTANGLE',
+                  styles: { fill: 'S:1' },
+                  fills: [{ type: 'SOLID', color: { r: 0, g: 0, b: 1, a: 1 } }],
+                },
+              ],
+            },
+          ],
+        },
+      };
+
+      const result = service.extractComponents(fileData);
+      const rectComp = result.components.find((c) => c.id === 'rect-1');
+
+      expect(rectComp.styleRefs).toEqual({ fill: 'Brand/Primary' });
+      expect(rectComp.properties.backgroundColor).toBeUndefined();
+    });
+
+    it('should extract component sets with typed props and variants', () => {
+      const fileData = {
+        name: 'TestFile',
+        document: {
+          children: [
+            {
+              id: 'page-1',
+              type: 'CANVAS',
+              children: [
+                {
+                  id: 'set-1',
+                  name: 'Button',
+                  type: 'COMPONENT_SET',
+                  absoluteBoundingBox: { x: 0, y: 0, width: 200, height: 100 },
+                  componentPropertyDefinitions: {
+                    Size: { type: 'VARIANT', defaultValue: 'md', variantOptions: ['md', 'lg'] },
+                    'Label#1:0': { type: 'TEXT', defaultValue: 'Click' },
+                  },
+                  children: [
+                    {
+                      id: 'var-1',
+                      name: 'Size=md',
+                      type: 'COMPONENT',
+                      children: [
+                        {
+                          id: 'label-1',
+                          name: 'Label',
+                          type: 'TEXT',
+                          characters: 'Click',
+                          componentPropertyReferences: { characters: 'Label#1:0' },
+                        },
+                      ],
+                    },
+                    { id: 'var-2', name: 'Size=lg', type: 'COMPONENT', children: [] },
+                  ],
+                },
+              ],
+            },
+          ],
+        },
+      };
+
+      const [set] = service.extractComponents(fileData).components;
+
+      expect(set.properties).toEqual({ componentName: 'Button', width: 200, height: 100 });
+      expect(set.props).toEqual([
+        {
+          name: 'size',
+          figmaName: 'Size',
+          type: 'variant',
+          defaultValue: 'md',
+          options: ['md', 'lg'],
+        },
+        { name: 'label', figmaName: 'Label#1:0', type: 'text', defaultValue: 'Click' },
+      ]);
+      expect(set.variants).toEqual([
+        { id: 'var-1', name: 'Size=md', values: { size: 'md' } },
+        { id: 'var-2', name: 'Size=lg', values: { size: 'lg' } },
+      ]);
+      expect(set.children[0].variantValues).toEqual({ size: 'md' });
+      expect(set.children[0].props).toBeUndefined();
+      expect(set.children[0].children[0].propertyRefs).toEqual({ characters: 'label' });
+    });
+
+    it('should record the main component, prop values and overrides of instances', () => {
+      const fileData = {
+        name: 'TestFile',
+        components: { 'var-2': { key: 'ck', name: 'Size=lg', componentSetId: 'set-1' } },
+        componentSets: { 'set-1': { key: 'sk', name: 'Button' } },
+        document: {
+          children: [
+            {
+              id: 'page-1',
+              type: 'CANVAS',
+              children: [
+                {
+                  id: 'inst-1',
+                  name: 'Buy',
+                  type: 'INSTANCE',
+                  componentId: 'var-2',
+                  componentProperties: {
+                    Size: { type: 'VARIANT', value: 'lg' },
+                    'Label#1:0': { type: 'TEXT', value: 'Buy' },
+                  },
+                  overrides: [{ id: 'inst-1;label-1', overriddenFields: ['characters'] }],
+                },
+              ],
+            },
+          ],
+        },
+      };
+
+      const [instance] = service.extractComponents(fileData).components;
+
+      expect(instance.properties.componentName).toBe('Buy');
+      expect(instance.instance).toEqual({
+        componentId: 'var-2',
+        componentKey: 'ck',
+        componentName: 'Size=lg',
+        componentSetId: 'set-1',
+        componentSetKey: 'sk',
+        componentSetName: 'Button',
+        props: {
+          size: { type: 'variant', value: 'lg' },
+          label: { type: 'text', value: 'Buy' },
+        },
+        overrides: [{ id: 'inst-1;label-1', fields: ['characters'] }],
+      });
+    });
+  });
+
+  describe('extractPages', () => {
+    it('should list pages with their top-level frames', () => {
+      const fileData = {
+        document: {
+          children: [
+            {
+              id: '0:1',
+              name: 'Home',
+              type: 'CANVAS',
+              children: [
+                { id: '1:1', name: 'Landing', type: 'FRAME', children: [{ id: '1:2' }] },
+                { id: '1:3', name: 'Button', type: 'COMPONENT' },
+              ],
+            },
+            { id: '0:2', name: 'Empty', type: 'CANVAS' },
+          ],
+        },
+      };
+
+      expect(service.extractPages(fileData)).toEqual([
+        {
+          id: '0:1',
+          name: 'Home',
+          frames: [
+            { id: '1:1', name: 'Landing', type: 'FRAME' },
+            { id: '1:3', name: 'Button', type: 'COMPONENT' },
+          ],
+        },
+        { id: '0:2', name: 'Empty', frames: [] },
+      ]);
+    });
+
+    it('should list the frames inside sections with their section', () => {
+      const fileData = {
+        document: {
+          children: [
+            {
+              id: '0:1',
+              name: 'Home',
+              type: 'CANVAS',
+              children: [
+                {
+                  id: '1:0',
+                  name: 'Hero',
+                  type: 'SECTION',
+                  children: [{ id: '1:1', name: 'Landing', type: 'FRAME' }],
+                },
+              ],
+            },
+          ],
+        },
+      };
+
+      expect(service.extractPages(fileData)[0].frames).toEqual([
+        { id: '1:1', name: 'Landing', type: 'FRAME', section: 'Hero' },
+      ]);
+    });
+
+    it('should return no pages without a document', () => {
+      expect(service.extractPages({})).toEqual([]);
+    });
   });
 
   describe('extractStyles', () => {
@@ -758,6 +2057,72 @@ describe('FigmaService', () => {
       expect(result.effects['Shadow']).toBeDefined();
     });
 
+    it('should resolve concrete values from nodes referencing each style', () => {
+      const fileData = {
+        styles: {
+          'S:fill': { key: 'k1', name: 'Brand/Primary', styleType: 'FILL' },
+          'S:text': { key: 'k2', name: 'Heading/H1', styleType: 'TEXT' },
+          'S:effect': { key: 'k3', name: 'Elevation/1', styleType: 'EFFECT' },
+          'S:grid': { key: 'k4', name: 'Grid/12', styleType: 'GRID' },
+          'S:unused': { key: 'k5', name: 'Unused', styleType: 'FILL' },
+        },
+        document: {
+          children: [
+            {
+              id: 'page-1',
+              type: 'CANVAS',
+              children: [
+                {
+                  id: 'frame-1',
+                  type: 'FRAME',
+                  styles: { fill: 'S:fill', effect: 'S:effect', grid: 'S:grid' },
+                  fills: [{ type: 'SOLID', color: { r: 0.2, g: 0.4, b: 1, a: 1 } }],
+                  effects: [
+                    {
+                      type: 'DROP_SHADOW',
+                      color: { r: 0, g: 0, b: 0, a: 0.2 },
+                      offset: { x: 0, y: 2 },
+                      radius: 4,
+                    },
+                  ],
+                  layoutGrids: [{ pattern: 'COLUMNS', count: 12, gutterSize: 16 }],
+                  children: [
+                    {
+                      id: 'text-1',
+                      type: 'TEXT',
+                      styles: { text: 'S:text' },
+                      style: { fontFamily: 'Inter', fontWeight: 700, fontSize: 32 },
+                    },
+                  ],
+                },
+              ],
+            },
+          ],
+        },
+      };
+
+      const result = service.extractStyles(fileData);
+
+      expect(result.colors['Brand/Primary']).toMatchObject({
+        key: 'k1',
+        id: 'S:fill',
+        value: { hex: '#3366ff', rgba: 'rgba(51, 102, 255, 1)' },
+      });
+      expect(result.typography['Heading/H1'].value).toMatchObject({
+        fontFamily: 'Inter',
+        fontWeight: 700,
+        fontSize: 32,
+      });
+      expect(result.effects['Elevation/1'].value.effects[0]).toMatchObject({
+        type: 'DROP_SHADOW',
+        color: 'rgba(0, 0, 0, 0.2)',
+        offset: { x: 0, y: 2 },
+        radius: 4,
+      });
+      expect(result.grids['Grid/12'].value.grids[0]).toMatchObject({ count: 12, gutterSize: 16 });
+      expect(result.colors['Unused'].value).toBeNull();
+    });
+
     it('should handle missing styles', () => {
       const fileData = {
         name: 'NoStyles',
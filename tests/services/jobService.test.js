@@ -0,0 +1,448 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import JobRepository from '../../src/repositories/jobRepository.js';
+import JobService, { JOB_HEARTBEAT_MS, JOB_STALE_AFTER_MS } from '../../src/services/jobService.js';
+import { CancelledError } from '../../src/utils/errorHandler.js';
+
+describe('JobService', () => {
+  let tempDir;
+  let repository;
+  let service;
+  let consoleErrorSpy;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'job-service-'));
+    repository = new JobRepository(path.join(tempDir, 'jobs.json'));
+    service = new JobService(repository);
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(async () => {
+    consoleErrorSpy.mockRestore();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('createJob', () => {
+    it('should persist a queued job without exposing its checkpoint', async () => {
+      const job = await service.createJob('extract-project', { fileKey: 'k' });
+
+      expect(job).toMatchObject({
+        type: 'extract-project',
+        status: 'queued',
+        params: { fileKey: 'k' },
+        progress: null,
+        result: null,
+        resumable: false,
+        checkpointed: false,
+      });
+      expect(job.checkpoint).toBeUndefined();
+      expect((await repository.findById(job.id)).checkpoint).toBeNull();
+    });
+  });
+
+  describe('runJob', () => {
+    it('should run the task with progress hooks and store its result', async () => {
+      const job = await service.createJob('extract-project', {});
+
+      const finished = await service.runJob(job.id, async ({ onProgress, isCancelled }) => {
+        await onProgress({ progress: { filesTotal: 1 }, checkpoint: { outputDir: 'out' } });
+        expect(await isCancelled()).toBe(false);
+        expect((await service.getJob(job.id)).status).toBe('running');
+        return { filesProcessed: 1 };
+      });
+
+      expect(finished).toMatchObject({
+        status: 'completed',
+        result: { filesProcessed: 1 },
+        progress: { filesTotal: 1 },
+        checkpointed: true,
+      });
+      expect(finished.startedAt).toEqual(expect.any(String));
+      expect(finished.finishedAt).toEqual(expect.any(String));
+    });
+
+    it('should run jobs one at a time in submission order', async () => {
+      const order = [];
+      const first = await service.createJob('test', {});
+      const second = await service.createJob('test', {});
+
+      const runs = [
+        service.runJob(first.id, async () => {
+          order.push('first:start');
+          await new Promise((resolve) => setTimeout(resolve, 20));
+          order.push('first:end');
+        }),
+        service.runJob(second.id, async () => {
+          order.push('second');
+        }),
+      ];
+
+      expect((await service.getJob(second.id)).status).toBe('queued');
+      await Promise.all(runs);
+
+      expect(order).toEqual(['first:start', 'first:end', 'second']);
+    });
+
+    it('should mark failed jobs with the error', async () => {
+      const job = await service.createJob('test', {});
+      const error = Object.assign(new Error('Figma down'), { statusCode: 502 });
+
+      const finished = await service.runJob(job.id, async () => {
+        throw error;
+      });
+
+      expect(finished.status).toBe('failed');
+      expect(finished.error).toEqual({ message: 'Figma down', statusCode: 502 });
+      expect(finished.resumable).toBe(true);
+      expect(consoleErrorSpy).toHaveBeenCalledWith(`Job ${job.id} failed:`, 'Figma down');
+    });
+
+    it('should default the error status code to 500', async () => {
+      const job = await service.createJob('test', {});
+
+      const finished = await service.runJob(job.id, async () => {
+        throw new Error('boom');
+      });
+
+      expect(finished.error.statusCode).toBe(500);
+    });
+
+    it('should mark jobs cancelled when the task stops on a cancellation', async () => {
+      const job = await service.createJob('test', {});
+
+      const finished = await service.runJob(job.id, async ({ isCancelled }) => {
+        await service.cancelJob(job.id);
+        if (await isCancelled()) {
+          throw new CancelledError('Extraction cancelled');
+        }
+      });
+
+      expect(finished.status).toBe('cancelled');
+      expect(finished.cancelRequested).toBe(true);
+    });
+
+    it('should skip jobs cancelled while queued and missing jobs', async () => {
+      const job = await service.createJob('test', {});
+      await service.cancelJob(job.id);
+      const task = jest.fn();
+
+      expect((await service.runJob(job.id, task)).status).toBe('cancelled');
+      expect(await service.runJob('missing', task)).toBeNull();
+      expect(task).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('startJob', () => {
+    const originalVercel = process.env.VERCEL;
+    let consoleWarnSpy;
+
+    beforeEach(() => {
+      consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation();
+    });
+
+    afterEach(() => {
+      consoleWarnSpy.mockRestore();
+      if (originalVercel === undefined) {
+        delete process.env.VERCEL;
+      } else {
+        process.env.VERCEL = originalVercel;
+      }
+    });
+
+    it('should return the queued job and run it in the background', async () => {
+      delete process.env.VERCEL;
+      const job = await service.createJob('test', {});
+      let release;
+      const task = jest.fn(
+        () =>
+          new Promise((resolve) => {
+            release = resolve;
+          })
+      );
+
+      const started = await service.startJob(job.id, task);
+
+      expect(started.status).toBe('queued');
+      for (let attempt = 0; attempt < 50 && !release; attempt += 1) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+      expect((await service.getJob(job.id)).workerId).toMatch(/:\d+$/);
+      release('done');
+      let finished = await service.getJob(job.id);
+      for (let attempt = 0; attempt < 50 && finished.status !== 'completed'; attempt += 1) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        finished = await service.getJob(job.id);
+      }
+      expect(finished.result).toBe('done');
+    });
+
+    it('should run a job that fits in one step to the end inside the request on Vercel', async () => {
+      process.env.VERCEL = '1';
+      const job = await service.createJob('test', {});
+
+      const finished = await service.startJob(job.id, async ({ isCancelled }) => {
+        expect(await isCancelled()).toBe(false);
+        return { filesProcessed: 1 };
+      });
+
+      expect(finished).toMatchObject({ status: 'completed', result: { filesProcessed: 1 } });
+      expect(consoleWarnSpy).toHaveBeenCalledWith(
+        expect.stringContaining('set JOBS_DB_PATH and OUTPUT_DIR to storage shared')
+      );
+    });
+
+    it('should not warn on Vercel when the job store and output are shared', async () => {
+      process.env.VERCEL = '1';
+      process.env.JOBS_DB_PATH = repository.dbPath;
+      process.env.OUTPUT_DIR = tempDir;
+      const job = await service.createJob('test', {});
+
+      try {
+        expect((await service.startJob(job.id, async () => 'done')).status).toBe('completed');
+        expect(consoleWarnSpy).not.toHaveBeenCalled();
+      } finally {
+        delete process.env.JOBS_DB_PATH;
+        delete process.env.OUTPUT_DIR;
+      }
+    });
+
+    it('should pause a job at its checkpoint after one step on Vercel and resume it', async () => {
+      process.env.VERCEL = '1';
+      process.env.JOB_STEP_MS = '1';
+      const job = await service.createJob('test', {});
+      // Each step completes one file, then stops at the next check
+      const task = async ({ checkpoint, onProgress, isCancelled }) => {
+        const files = [...(checkpoint?.files || [])];
+        while (files.length < 2) {
+          await new Promise((resolve) => setTimeout(resolve, 5));
+          if (await isCancelled()) {
+            throw new CancelledError('Extraction cancelled');
+          }
+          files.push(`file-${files.length + 1}`);
+          await onProgress({ progress: { filesCompleted: files.length }, checkpoint: { files } });
+        }
+        return { files };
+      };
+
+      try {
+        const paused = await service.startJob(job.id, task);
+        expect(paused).toMatchObject({
+          status: 'paused',
+          resumable: true,
+          checkpointed: true,
+          cancelRequested: false,
+          finishedAt: null,
+        });
+        expect(paused.progress).toEqual({ filesCompleted: 1 });
+
+        const finished = await service.resumeJob(job.id, task);
+        expect(finished).toMatchObject({
+          status: 'completed',
+          result: { files: ['file-1', 'file-2'] },
+        });
+      } finally {
+        delete process.env.JOB_STEP_MS;
+      }
+    });
+
+    it('should cancel a job whose cancellation was requested rather than pause it', async () => {
+      process.env.VERCEL = '1';
+      process.env.JOB_STEP_MS = '1';
+      const job = await service.createJob('test', {});
+
+      try {
+        const finished = await service.startJob(job.id, async ({ isCancelled }) => {
+          await new Promise((resolve) => setTimeout(resolve, 5));
+          await service.cancelJob(job.id);
+          if (await isCancelled()) {
+            throw new CancelledError('Extraction cancelled');
+          }
+        });
+
+        expect(finished.status).toBe('cancelled');
+      } finally {
+        delete process.env.JOB_STEP_MS;
+      }
+    });
+
+    it('should log jobs that could not be run', async () => {
+      delete process.env.VERCEL;
+      const job = await service.createJob('test', {});
+      jest.spyOn(repository, 'update').mockRejectedValueOnce(new Error('Disk error'));
+
+      await service.startJob(job.id, jest.fn());
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith(`Job ${job.id} could not be run:`, 'Disk error');
+    });
+  });
+
+  describe('heartbeats', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should record heartbeats on active jobs while they run', async () => {
+      const job = await service.createJob('test', {});
+      const update = jest.spyOn(repository, 'update');
+      jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+      let release;
+      const run = service.runJob(
+        job.id,
+        () =>
+          new Promise((resolve) => {
+            release = resolve;
+          })
+      );
+      while (!release) {
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+
+      jest.advanceTimersByTime(JOB_HEARTBEAT_MS);
+      jest.useRealTimers();
+      release();
+      await run;
+
+      expect(update).toHaveBeenCalledWith(job.id, { heartbeatAt: expect.any(String) });
+    });
+
+    it('should log heartbeats that could not be written', async () => {
+      const job = await service.createJob('test', {});
+      jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+      let release;
+      const run = service.runJob(
+        job.id,
+        () =>
+          new Promise((resolve) => {
+            release = resolve;
+          })
+      );
+      while (!release) {
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+      jest.spyOn(repository, 'update').mockRejectedValueOnce(new Error('Disk full'));
+
+      jest.advanceTimersByTime(JOB_HEARTBEAT_MS);
+      jest.useRealTimers();
+      await new Promise((resolve) => setImmediate(resolve));
+      release();
+      await run;
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith(`Job ${job.id} heartbeat failed:`, 'Disk full');
+    });
+
+    it('should not report jobs of another live worker as interrupted', async () => {
+      const updatedAt = new Date(Date.now() - JOB_STALE_AFTER_MS - 1000).toISOString();
+      await repository.save({
+        id: 'elsewhere',
+        type: 'test',
+        status: 'running',
+        workerId: 'other-host:1',
+        createdAt: updatedAt,
+        updatedAt,
+        heartbeatAt: new Date().toISOString(),
+      });
+
+      expect((await service.getJob('elsewhere')).status).toBe('running');
+    });
+  });
+
+  describe('getJob and listJobs', () => {
+    it('should throw NotFoundError for unknown jobs', async () => {
+      await expect(service.getJob('missing')).rejects.toThrow('Job not found');
+    });
+
+    it('should report stale jobs of another worker as interrupted', async () => {
+      const staleAt = new Date(Date.now() - JOB_STALE_AFTER_MS - 1000).toISOString();
+      await repository.save({
+        id: 'stale',
+        type: 'test',
+        status: 'running',
+        checkpoint: { outputDir: 'out' },
+        createdAt: staleAt,
+        updatedAt: staleAt,
+      });
+
+      const job = await service.getJob('stale');
+
+      expect(job.status).toBe('interrupted');
+      expect(job.resumable).toBe(true);
+    });
+
+    it('should list jobs newest first with filters', async () => {
+      await repository.save({ id: 'old', type: 'a', status: 'completed', createdAt: '2026-01-01' });
+      await repository.save({ id: 'new', type: 'b', status: 'failed', createdAt: '2026-02-01' });
+
+      expect((await service.listJobs()).map((job) => job.id)).toEqual(['new', 'old']);
+      expect((await service.listJobs({ status: 'completed' })).map((job) => job.id)).toEqual([
+        'old',
+      ]);
+      expect((await service.listJobs({ type: 'b' })).map((job) => job.id)).toEqual(['new']);
+    });
+  });
+
+  describe('cancelJob', () => {
+    it('should request cancellation of running jobs', async () => {
+      const job = await service.createJob('test', {});
+      let release;
+      const run = service.runJob(
+        job.id,
+        () =>
+          new Promise((resolve) => {
+            release = resolve;
+          })
+      );
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      const cancelling = await service.cancelJob(job.id);
+
+      expect(cancelling.status).toBe('running');
+      expect(cancelling.cancelRequested).toBe(true);
+      release();
+      await run;
+    });
+
+    it('should reject cancelling finished jobs', async () => {
+      await repository.save({
+        id: 'done',
+        status: 'completed',
+        updatedAt: new Date().toISOString(),
+      });
+
+      await expect(service.cancelJob('done')).rejects.toThrow('Job is already completed');
+    });
+  });
+
+  describe('resumeJob', () => {
+    it('should queue the job again and hand its checkpoint to the task', async () => {
+      const job = await service.createJob('test', {});
+      await service.runJob(job.id, async ({ onProgress }) => {
+        await onProgress({ progress: {}, checkpoint: { files: { a: {} } } });
+        throw new Error('boom');
+      });
+
+      const task = jest.fn(async ({ checkpoint }) => checkpoint);
+      const resumed = await service.resumeJob(job.id, task);
+
+      expect(resumed).toMatchObject({ status: 'queued', error: null, finishedAt: null });
+      let finished = await service.getJob(job.id);
+      for (let attempt = 0; attempt < 50 && finished.status !== 'completed'; attempt += 1) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        finished = await service.getJob(job.id);
+      }
+
+      expect(finished.status).toBe('completed');
+      expect(finished.result).toEqual({ files: { a: {} } });
+    });
+
+    it('should reject resuming jobs that are not resumable', async () => {
+      const job = await service.createJob('test', {});
+
+      await expect(service.resumeJob(job.id, jest.fn())).rejects.toThrow(
+        'Only failed, cancelled, interrupted or paused jobs can be resumed'
+      );
+    });
+  });
+});
@@ -1,4 +1,6 @@
-import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import os from 'os';
+import path from 'path';
 
 // Mock fs/promises before importing
 const mockAccess = jest.fn();
@@ -19,31 +21,38 @@ await jest.unstable_mockModule('fs/promises', () => ({
   readFile: mockReadFile,
 }));
 
-// Mock axios
-const mockAxiosGet = jest.fn();
-const mockAxiosPost = jest.fn();
-await jest.unstable_mockModule('axios', () => ({
-  default: {
-    get: mockAxiosGet,
-    post: mockAxiosPost,
-  },
-}));
-
 // Mock uuid
 await jest.unstable_mockModule('uuid', () => ({
   v4: jest.fn().mockReturnValue('test-uuid-123'),
 }));
 
 // Mock FigmaService
+const mockClientGet = jest.fn();
 const mockFigmaServiceInstance = {
-  getFile: jest.fn(),
+  client: { get: mockClientGet },
+  getFileMetadata: jest.fn(),
+  extractFile: jest.fn(),
   extractComponents: jest.fn(),
   extractStyles: jest.fn(),
+  extractPages: jest.fn(),
+  getLocalVariables: jest.fn(),
+  collectComponentUsage: jest.fn(),
+  getLibraryComponent: jest.fn(),
+  getFileVersion: jest.fn(),
+  extractNode: jest.fn(),
 };
 await jest.unstable_mockModule('../../src/services/figmaService.js', () => ({
   default: jest.fn().mockImplementation(() => mockFigmaServiceInstance),
 }));
 
+// FigmaService.extractFile: hands each page to onPage and resolves with the result
+const extractedFile =
+  (result, ...pages) =>
+  async (fileKey, { onPage }) => {
+    pages.forEach((page) => onPage(page));
+    return { componentsData: { components: [] }, styles: {}, pages: [], ...result };
+  };
+
 // Mock DesignAnalyzerAgent
 const mockAnalyzeAndGenerateCode = jest.fn();
 await jest.unstable_mockModule('../../src/agents/designAnalyzerAgent.js', () => ({
@@ -63,9 +72,12 @@ await jest.unstable_mockModule('../../src/utils/validators.js', () => ({
 }));
 
 // Import after mocking
-const { default: ProjectExtractionService } =
+const { default: ProjectExtractionService, getOutputRoot } =
   await import('../../src/services/projectExtractionService.js');
-const { ExternalAPIError, ValidationError } = await import('../../src/utils/errorHandler.js');
+const { ExternalAPIError, ValidationError, CancelledError } =
+  await import('../../src/utils/errorHandler.js');
+const { default: MockFigmaService } = await import('../../src/services/figmaService.js');
+const { getSharedFigmaCache } = await import('../../src/services/figmaCache.js');
 
 describe('ProjectExtractionService', () => {
   let service;
@@ -73,6 +85,10 @@ describe('ProjectExtractionService', () => {
   beforeEach(() => {
     service = new ProjectExtractionService('test-figma-token');
     jest.clearAllMocks();
+    mockFigmaServiceInstance.collectComponentUsage.mockResolvedValue({
+      instances: [],
+      definitions: [],
+    });
   });
 
   describe('constructor', () => {
@@ -80,56 +96,54 @@ describe('ProjectExtractionService', () => {
       expect(service.figmaToken).toBe('test-figma-token');
       expect(service.figmaService).toBeDefined();
     });
+
+    it('should share the Figma response cache, so pages read twice are fetched once', () => {
+      new ProjectExtractionService('another-token');
+
+      expect(MockFigmaService).toHaveBeenCalledWith('another-token', {
+        cache: getSharedFigmaCache(),
+      });
+    });
   });
 
   describe('fetchFiles', () => {
     it('should fetch single file by fileKey', async () => {
       const mockFileData = {
         name: 'TestFile',
+        version: '123',
         lastModified: '2024-01-01',
         thumbnailUrl: 'https://example.com/thumb.png',
       };
 
-      mockFigmaServiceInstance.getFile.mockResolvedValue(mockFileData);
+      mockFigmaServiceInstance.getFileMetadata.mockResolvedValue(mockFileData);
 
       const result = await service.fetchFiles('test-file-key', null);
 
+      expect(mockFigmaServiceInstance.getFileMetadata).toHaveBeenCalledWith('test-file-key');
       expect(result.files).toHaveLength(1);
       expect(result.files[0].key).toBe('test-file-key');
       expect(result.files[0].name).toBe('TestFile');
+      expect(result.files[0].version).toBe('123');
       expect(result.projectName).toBe('TestFile');
     });
 
     it('should fetch project files by projectId', async () => {
-      const mockResponse = {
-        data: {
-          files: [
-            { key: 'file-1', name: 'File 1', last_modified: '2024-01-01' },
-            { key: 'file-2', name: 'File 2', last_modified: '2024-01-02' },
-          ],
-        },
-      };
-
-      mockAxiosGet.mockResolvedValue(mockResponse);
+      mockClientGet.mockResolvedValue({
+        files: [
+          { key: 'file-1', name: 'File 1', last_modified: '2024-01-01' },
+          { key: 'file-2', name: 'File 2', last_modified: '2024-01-02' },
+        ],
+      });
 
       const result = await service.fetchFiles(null, 'project-123');
 
-      expect(mockAxiosGet).toHaveBeenCalledWith(
-        'https://api.figma.com/v1/projects/project-123/files',
-        { headers: { 'X-Figma-Token': 'test-figma-token' } }
-      );
+      expect(mockClientGet).toHaveBeenCalledWith('/projects/project-123/files');
       expect(result.files).toHaveLength(2);
       expect(result.projectName).toBe('File 1');
     });
 
     it('should handle project fetch with empty files array', async () => {
-      const mockResponse = {
-        data: {
-          files: [],
-        },
-      };
-
-      mockAxiosGet.mockResolvedValue(mockResponse);
+      mockClientGet.mockResolvedValue({ files: [] });
 
       const result = await service.fetchFiles(null, 'project-123');
 
@@ -138,13 +152,7 @@ describe('ProjectExtractionService', () => {
     });
 
     it('should handle project fetch with null files in response', async () => {
-      const mockResponse = {
-        data: {
-          files: null,
-        },
-      };
-
-      mockAxiosGet.mockResolvedValue(mockResponse);
+      mockClientGet.mockResolvedValue({ files: null });
 
       const result = await service.fetchFiles(null, 'project-123');
 
@@ -153,11 +161,7 @@ describe('ProjectExtractionService', () => {
     });
 
     it('should handle project fetch with missing files property', async () => {
-      const mockResponse = {
-        data: {},
-      };
-
-      mockAxiosGet.mockResolvedValue(mockResponse);
+      mockClientGet.mockResolvedValue({});
 
       const result = await service.fetchFiles(null, 'project-123');
 
@@ -165,40 +169,37 @@ describe('ProjectExtractionService', () => {
     });
 
     it('should handle API errors with response', async () => {
-      const error = {
-        response: {
-          status: 404,
-          data: { message: 'Project not found' },
-        },
-      };
+      const error = new ExternalAPIError('Project not found', 404, {
+        message: 'Project not found',
+      });
 
-      mockAxiosGet.mockRejectedValue(error);
+      mockClientGet.mockRejectedValue(error);
 
-      await expect(service.fetchFiles(null, 'invalid-project')).rejects.toThrow(ExternalAPIError);
+      await expect(service.fetchFiles(null, 'invalid-project')).rejects.toMatchObject({
+        name: 'ExternalAPIError',
+        statusCode: 404,
+        details: { message: 'Project not found' },
+      });
     });
 
     it('should handle API errors without response data', async () => {
-      const error = {
-        response: {
-          status: 500,
-        },
-      };
+      const error = new ExternalAPIError('Request failed with status code 500', 500);
 
-      mockAxiosGet.mockRejectedValue(error);
+      mockClientGet.mockRejectedValue(error);
 
       await expect(service.fetchFiles(null, 'project-123')).rejects.toThrow(ExternalAPIError);
     });
 
     it('should handle network errors without response', async () => {
-      const error = new Error('Network error');
-      mockAxiosGet.mockRejectedValue(error);
+      const error = new ExternalAPIError('Network error');
+      mockClientGet.mockRejectedValue(error);
 
       await expect(service.fetchFiles(null, 'project-123')).rejects.toThrow(ExternalAPIError);
     });
 
     it('should handle file fetch errors', async () => {
       const error = new Error('File not found');
-      mockFigmaServiceInstance.getFile.mockRejectedValue(error);
+      mockFigmaServiceInstance.getFileMetadata.mockRejectedValue(error);
 
       await expect(service.fetchFiles('invalid-key', null)).rejects.toThrow(Error);
     });
@@ -210,7 +211,7 @@ describe('ProjectExtractionService', () => {
         thumbnailUrl: null,
       };
 
-      mockFigmaServiceInstance.getFile.mockResolvedValue(mockFileData);
+      mockFigmaServiceInstance.getFileMetadata.mockResolvedValue(mockFileData);
 
       const result = await service.fetchFiles('test-file-key', null);
 
@@ -224,7 +225,7 @@ describe('ProjectExtractionService', () => {
         thumbnailUrl: undefined,
       };
 
-      mockFigmaServiceInstance.getFile.mockResolvedValue(mockFileData);
+      mockFigmaServiceInstance.getFileMetadata.mockResolvedValue(mockFileData);
 
       const result = await service.fetchFiles('test-file-key', null);
 
@@ -233,138 +234,128 @@ describe('ProjectExtractionService', () => {
   });
 
   describe('extractFileComponents', () => {
-    it('should extract components from file', async () => {
-      const mockFileData = {
-        name: 'TestFile',
-        document: { children: [] },
-        styles: {},
-      };
-
-      const mockComponentsData = {
-        components: [
-          { id: 'comp-1', name: 'Button', type: 'COMPONENT' },
-          { id: 'comp-2', name: 'Card', type: 'COMPONENT' },
-        ],
-      };
-
-      const mockStyles = {
-        colors: { primary: {} },
-        typography: {},
-        effects: {},
-      };
-
-      mockFigmaServiceInstance.getFile.mockResolvedValue(mockFileData);
-      mockFigmaServiceInstance.extractComponents.mockReturnValue(mockComponentsData);
-      mockFigmaServiceInstance.extractStyles.mockReturnValue(mockStyles);
-
-      const result = await service.extractFileComponents('file-key', 10);
-
-      expect(result.fileData).toEqual(mockFileData);
-      expect(result.componentsData).toEqual(mockComponentsData);
-      expect(result.styles).toEqual(mockStyles);
-    });
+    it('should read the file page by page and collect its dimensions', async () => {
+      const page = (node) => ({ document: { children: [{ children: [node] }] } });
+      const componentsData = { components: [{ id: 'comp-1', name: 'Button' }] };
+      const variables = { variables: {} };
+      mockFigmaServiceInstance.extractFile.mockImplementation(
+        extractedFile(
+          { fileData: { name: 'TestFile' }, componentsData },
+          page({ layoutMode: 'VERTICAL', itemSpacing: 16, cornerRadius: 8 }),
+          page({ layoutMode: 'HORIZONTAL', itemSpacing: 8, cornerRadius: 8 })
+        )
+      );
 
-    it('should limit components to maxComponents', async () => {
-      const mockFileData = { name: 'TestFile', document: { children: [] } };
-      const mockComponentsData = {
-        components: [
-          { id: '1', name: 'Comp1', type: 'COMPONENT' },
-          { id: '2', name: 'Comp2', type: 'COMPONENT' },
-          { id: '3', name: 'Comp3', type: 'COMPONENT' },
-        ],
-      };
+      const result = await service.extractFileComponents('file-key', 10, variables);
 
-      mockFigmaServiceInstance.getFile.mockResolvedValue(mockFileData);
-      mockFigmaServiceInstance.extractComponents.mockReturnValue(mockComponentsData);
-      mockFigmaServiceInstance.extractStyles.mockReturnValue({
-        colors: {},
-        typography: {},
-        effects: {},
+      expect(mockFigmaServiceInstance.extractFile).toHaveBeenCalledWith('file-key', {
+        maxComponents: 10,
+        variables,
+        filters: null,
+        includeHidden: false,
+        onPage: expect.any(Function),
+      });
+      expect(result.componentsData).toBe(componentsData);
+      expect(result.fileData).toEqual({
+        name: 'TestFile',
+        dimensions: { spacing: [8, 16], radii: [8] },
       });
-
-      const result = await service.extractFileComponents('file-key', 2);
-
-      expect(result.componentsData.components).toHaveLength(2);
     });
+  });
 
-    it('should not limit components when count is less than maxComponents', async () => {
-      const mockFileData = { name: 'TestFile', document: { children: [] } };
-      const mockComponentsData = {
-        components: [
-          { id: '1', name: 'Comp1', type: 'COMPONENT' },
-          { id: '2', name: 'Comp2', type: 'COMPONENT' },
-        ],
-      };
-
-      mockFigmaServiceInstance.getFile.mockResolvedValue(mockFileData);
-      mockFigmaServiceInstance.extractComponents.mockReturnValue(mockComponentsData);
-      mockFigmaServiceInstance.extractStyles.mockReturnValue({
-        colors: {},
-        typography: {},
-        effects: {},
-      });
+  describe('extractDesignTokens', () => {
+    it('should render token files for the requested formats', async () => {
+      const page = { document: { children: [{ layoutMode: 'VERTICAL', itemSpacing: 8 }] } };
+      mockFigmaServiceInstance.extractFile.mockImplementation(
+        extractedFile(
+          {
+            fileData: { name: 'Tokens', version: '42' },
+            styles: {
+              colors: { 'Brand/Primary': { name: 'Brand/Primary', value: { hex: '#3366ff' } } },
+            },
+          },
+          page
+        )
+      );
 
-      const result = await service.extractFileComponents('file-key', 10);
+      const result = await service.extractDesignTokens('file-key', ['css']);
 
-      expect(result.componentsData.components).toHaveLength(2);
+      expect(mockFigmaServiceInstance.extractFile.mock.calls[0][1].maxComponents).toBe(0);
+      expect(result.fileName).toBe('Tokens');
+      expect(result.version).toBe('42');
+      expect(result.tokenCount).toBe(2);
+      expect(Object.keys(result.files)).toEqual(['tokens.css']);
+      expect(result.files['tokens.css']).toContain('--color-brand-primary: #3366ff;');
+      expect(result.files['tokens.css']).toContain('--spacing-8: 8px;');
     });
 
-    it('should handle components with no array property', async () => {
-      const mockFileData = { name: 'TestFile', document: { children: [] } };
-      const mockComponentsData = { components: null };
+    it('should add themed variables from an exported variables JSON', async () => {
+      mockFigmaServiceInstance.extractFile.mockImplementation(
+        extractedFile({ fileData: { name: 'Tokens' } })
+      );
 
-      mockFigmaServiceInstance.getFile.mockResolvedValue(mockFileData);
-      mockFigmaServiceInstance.extractComponents.mockReturnValue(mockComponentsData);
-      mockFigmaServiceInstance.extractStyles.mockReturnValue({
-        colors: {},
-        typography: {},
-        effects: {},
+      const result = await service.extractDesignTokens('file-key', ['css'], {
+        variablesJson: {
+          variableCollections: [
+            {
+              id: 'c:1',
+              name: 'Theme',
+              modes: [
+                { modeId: 'm:1', name: 'Light' },
+                { modeId: 'm:2', name: 'Dark' },
+              ],
+              defaultModeId: 'm:1',
+            },
+          ],
+          variables: [
+            {
+              id: 'v:1',
+              name: 'Surface',
+              variableCollectionId: 'c:1',
+              resolvedType: 'COLOR',
+              valuesByMode: { 'm:1': { r: 1, g: 1, b: 1 }, 'm:2': { r: 0, g: 0, b: 0 } },
+            },
+          ],
+        },
       });
 
-      const result = await service.extractFileComponents('file-key', 10);
-
-      expect(result.componentsData.components).toBeNull();
+      expect(mockFigmaServiceInstance.getLocalVariables).not.toHaveBeenCalled();
+      expect(result.files['tokens.css']).toContain('--surface: #ffffff;');
+      expect(result.files['tokens.css']).toContain('[data-theme="dark"] {\n  --surface: #000000;');
     });
 
-    it('should handle empty components array', async () => {
-      const mockFileData = { name: 'TestFile', document: { children: [] } };
-      const mockComponentsData = { components: [] };
+    it('should report variables left out for circular aliases', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      mockFigmaServiceInstance.extractFile.mockImplementation(
+        extractedFile({ fileData: { name: 'Tokens' } })
+      );
 
-      mockFigmaServiceInstance.getFile.mockResolvedValue(mockFileData);
-      mockFigmaServiceInstance.extractComponents.mockReturnValue(mockComponentsData);
-      mockFigmaServiceInstance.extractStyles.mockReturnValue({
-        colors: {},
-        typography: {},
-        effects: {},
+      const result = await service.extractDesignTokens('file-key', ['css'], {
+        variablesJson: {
+          variableCollections: [{ id: 'c:1', name: 'Theme', modes: [{ modeId: 'm:1' }] }],
+          variables: ['a', 'b'].map((id) => ({
+            id,
+            name: id,
+            variableCollectionId: 'c:1',
+            resolvedType: 'COLOR',
+            valuesByMode: { 'm:1': { type: 'VARIABLE_ALIAS', id: id === 'a' ? 'b' : 'a' } },
+          })),
+        },
       });
 
-      const result = await service.extractFileComponents('file-key', 10);
-
-      expect(result.componentsData.components).toEqual([]);
+      expect(result.tokenCount).toBe(0);
+      expect(result.warnings).toEqual(['Circular variable aliases left out: a, b']);
+      warnSpy.mockRestore();
     });
 
-    it('should handle exact maxComponents count', async () => {
-      const mockFileData = { name: 'TestFile', document: { children: [] } };
-      const mockComponentsData = {
-        components: [
-          { id: '1', name: 'Comp1' },
-          { id: '2', name: 'Comp2' },
-          { id: '3', name: 'Comp3' },
-        ],
-      };
-
-      mockFigmaServiceInstance.getFile.mockResolvedValue(mockFileData);
-      mockFigmaServiceInstance.extractComponents.mockReturnValue(mockComponentsData);
-      mockFigmaServiceInstance.extractStyles.mockReturnValue({
-        colors: {},
-        typography: {},
-        effects: {},
-      });
+    it('should render every format by default', async () => {
+      mockFigmaServiceInstance.extractFile.mockImplementation(
+        extractedFile({ fileData: { name: 'Tokens' } })
+      );
 
-      const result = await service.extractFileComponents('file-key', 3);
+      const result = await service.extractDesignTokens('file-key');
 
-      // When components.length === maxComponents, no slicing happens
-      expect(result.componentsData.components).toHaveLength(3);
+      expect(Object.keys(result.files)).toHaveLength(5);
     });
   });
 
@@ -480,6 +471,137 @@ describe('ProjectExtractionService', () => {
       });
       expect(callArgs.components[0].extraField).toBeUndefined();
     });
+
+    it('should keep component props, variants and instance data when simplifying', async () => {
+      const props = [{ name: 'size', type: 'variant', defaultValue: 'md', options: ['md', 'lg'] }];
+      const variants = [{ id: '2', name: 'Size=md', values: { size: 'md' } }];
+      const instance = { componentId: '2', componentSetId: '1', props: {}, overrides: [] };
+      const componentsData = {
+        components: [
+          { id: '1', name: 'Button', type: 'COMPONENT_SET', properties: {}, props, variants },
+          { id: '3', name: 'Cta', type: 'INSTANCE', properties: {}, instance },
+        ],
+      };
+
+      mockAnalyzeAndGenerateCode.mockResolvedValue({ components: [] });
+
+      await service.generateCode(componentsData, ['react'], {});
+
+      const [set, cta] = mockAnalyzeAndGenerateCode.mock.calls[0][0].components;
+      expect(set.props).toEqual(props);
+      expect(set.variants).toEqual(variants);
+      expect(cta.instance).toEqual(instance);
+    });
+
+    it('should send bound variables and the theme CSS instead of the raw collections', async () => {
+      const variables = {
+        collections: {
+          'c:1': {
+            id: 'c:1',
+            modes: [
+              { modeId: 'm:1', slug: 'light' },
+              { modeId: 'm:2', slug: 'dark' },
+            ],
+            defaultModeId: 'm:1',
+          },
+        },
+        variables: {
+          'v:1': {
+            id: 'v:1',
+            collectionId: 'c:1',
+            resolvedType: 'FLOAT',
+            scopes: [],
+            valuesByMode: { 'm:1': 8, 'm:2': 12 },
+            path: ['space'],
+            cssName: 'space',
+          },
+        },
+      };
+      const componentsData = {
+        variables,
+        components: [
+          { id: '1', name: 'Card', type: 'FRAME', properties: {}, variables: { gap: 'space' } },
+        ],
+      };
+
+      mockAnalyzeAndGenerateCode.mockResolvedValue({ components: [] });
+
+      await service.generateCode(componentsData, ['react'], {});
+
+      const payload = mockAnalyzeAndGenerateCode.mock.calls[0][0];
+      expect(payload.variables).toBeUndefined();
+      expect(payload.themeCss).toBe(
+        ':root {\n  --space: 8px;\n}\n\n[data-theme="dark"] {\n  --space: 12px;\n}\n'
+      );
+      expect(payload.components[0].variables).toEqual({ gap: 'space' });
+    });
+  });
+
+  describe('fetchVariables', () => {
+    it('should read the local variables endpoint only when asked to', async () => {
+      const variables = { collections: {}, variables: {} };
+      mockFigmaServiceInstance.getLocalVariables.mockResolvedValue(variables);
+
+      await expect(service.fetchVariables('file-key', {})).resolves.toBeNull();
+      await expect(service.fetchVariables('file-key', { variables: true })).resolves.toBe(
+        variables
+      );
+      expect(mockFigmaServiceInstance.getLocalVariables).toHaveBeenCalledWith('file-key');
+    });
+  });
+
+  describe('generateCode progress hooks', () => {
+    it('should report the status of each framework', async () => {
+      const onFramework = jest.fn();
+      mockAnalyzeAndGenerateCode
+        .mockResolvedValueOnce({ components: [] })
+        .mockRejectedValueOnce(new Error('AI error'));
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+
+      await service.generateCode({ components: [] }, ['react', 'vue'], {}, { onFramework });
+      consoleErrorSpy.mockRestore();
+
+      expect(onFramework.mock.calls).toEqual([
+        ['react', 'running'],
+        ['react', 'completed'],
+        ['vue', 'running'],
+        ['vue', 'failed'],
+      ]);
+    });
+
+    it('should stop before the next framework once cancelled', async () => {
+      const isCancelled = jest.fn().mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+      mockAnalyzeAndGenerateCode.mockResolvedValue({ components: [] });
+
+      await expect(
+        service.generateCode({ components: [] }, ['react', 'vue'], {}, { isCancelled })
+      ).rejects.toThrow(CancelledError);
+      expect(mockAnalyzeAndGenerateCode).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('generateCode with the template generator', () => {
+    it('should generate code without an LLM from the full component tree', async () => {
+      const componentsData = {
+        components: [
+          {
+            id: '1',
+            name: 'Card',
+            type: 'FRAME',
+            properties: {},
+            children: [{ id: '2', name: 'Label', type: 'TEXT', properties: { content: 'Hi' } }],
+          },
+        ],
+      };
+
+      const result = await service.generateCode(componentsData, ['html'], {
+        generator: 'template',
+      });
+
+      expect(mockAnalyzeAndGenerateCode).not.toHaveBeenCalled();
+      expect(result.html.components[0].name).toBe('Card');
+      expect(result.html.components[0].code).toContain('<p class="label">Hi</p>');
+    });
   });
 
   describe('saveFileSpec', () => {
@@ -502,6 +624,41 @@ describe('ProjectExtractionService', () => {
     });
   });
 
+  describe('getOutputRoot', () => {
+    const originalEnv = { OUTPUT_DIR: process.env.OUTPUT_DIR, VERCEL: process.env.VERCEL };
+
+    afterEach(() => {
+      Object.entries(originalEnv).forEach(([key, value]) => {
+        if (value === undefined) {
+          delete process.env[key];
+        } else {
+          process.env[key] = value;
+        }
+      });
+    });
+
+    it('should default to output/ in the working directory', () => {
+      delete process.env.OUTPUT_DIR;
+      delete process.env.VERCEL;
+
+      expect(getOutputRoot()).toBe(path.join(process.cwd(), 'output'));
+    });
+
+    it('should use the temp directory on Vercel', () => {
+      delete process.env.OUTPUT_DIR;
+      process.env.VERCEL = '1';
+
+      expect(getOutputRoot()).toBe(path.join(os.tmpdir(), 'output'));
+    });
+
+    it('should prefer OUTPUT_DIR', () => {
+      process.env.OUTPUT_DIR = '/data/extractions';
+      process.env.VERCEL = '1';
+
+      expect(getOutputRoot()).toBe(path.resolve('/data/extractions'));
+    });
+  });
+
   describe('createOutputDirectory', () => {
     it('should create output directory with fileKey', async () => {
       mockMkdir.mockResolvedValue();
@@ -599,23 +756,104 @@ describe('ProjectExtractionService', () => {
       const mockStyles = { colors: {}, typography: {}, effects: {} };
       const mockGeneratedCode = { react: { components: [] } };
 
-      jest.spyOn(service, 'extractFileComponents').mockResolvedValue({
-        componentsData: mockComponentsData,
-        styles: mockStyles,
-      });
+      const extractFileComponents = jest
+        .spyOn(service, 'extractFileComponents')
+        .mockResolvedValue({ componentsData: mockComponentsData, styles: mockStyles });
 
       jest.spyOn(service, 'generateCode').mockResolvedValue(mockGeneratedCode);
 
+      const filters = { include: { pages: ['Checkout'] } };
       const result = await service.processFile(file, ['react'], {
         maxComponentsPerFile: 10,
+        filters,
       });
 
+      expect(extractFileComponents).toHaveBeenCalledWith('file-key', 10, null, {
+        filters,
+        includeHidden: undefined,
+      });
       expect(result.success).toBe(true);
       expect(result.fileSpec.fileName).toBe('TestFile');
       expect(result.fileSpec.fileKey).toBe('file-key');
+      expect(result.fileSpec.metadata.frameHashes).toEqual({ 1: expect.any(String) });
       expect(result.componentsExtracted).toBe(1);
     });
 
+    it('should export assets before generating code when an output directory is given', async () => {
+      const componentsData = { components: [{ id: '1', name: 'Logo', asset: { kind: 'vector' } }] };
+      jest
+        .spyOn(service, 'extractFileComponents')
+        .mockResolvedValue({ componentsData, styles: {} });
+      const assets = [
+        { nodeId: '1', name: 'Logo', kind: 'vector', files: ['assets/kit/logo.svg'] },
+      ];
+      const exportAssets = jest
+        .spyOn(service.assetService, 'exportAssets')
+        .mockImplementation(async (fileKey, components) => {
+          components[0].asset.src = '/assets/kit/logo.svg';
+          return assets;
+        });
+      const generateCode = jest.spyOn(service, 'generateCode').mockResolvedValue({});
+      const file = { name: 'My Kit', key: 'file-key' };
+      const options = { exportAssets: true, imageFormat: 'jpg', imageScales: [2] };
+
+      const result = await service.processFile(file, ['react'], options, {}, null, '/tmp/out');
+      await service.processFile(file, ['react'], options);
+
+      expect(exportAssets).toHaveBeenCalledTimes(1);
+      expect(exportAssets).toHaveBeenCalledWith('file-key', componentsData.components, {
+        outputDir: '/tmp/out',
+        folder: 'my_kit',
+        imageFormat: 'jpg',
+        imageScales: [2],
+      });
+      expect(generateCode.mock.calls[0][0].components[0].asset.src).toBe('/assets/kit/logo.svg');
+      expect(result.fileSpec.assets).toEqual(assets);
+    });
+
+    it('should regenerate only changed frames when given a previous specification', async () => {
+      const componentsData = { version: '7', components: [{ id: '1', name: 'Button' }] };
+      const previousSpec = { metadata: { frameHashes: {} }, generatedCode: {} };
+      jest
+        .spyOn(service, 'extractFileComponents')
+        .mockResolvedValue({ componentsData, styles: {} });
+      const regenerate = jest
+        .spyOn(service, 'regenerateChangedFrames')
+        .mockResolvedValue({ react: { components: [] } });
+      const generateCode = jest.spyOn(service, 'generateCode');
+
+      const result = await service.processFile(
+        { name: 'TestFile', key: 'file-key' },
+        ['react'],
+        {},
+        {},
+        previousSpec
+      );
+
+      expect(generateCode).not.toHaveBeenCalled();
+      expect(regenerate.mock.calls[0][4]).toBe(previousSpec);
+      expect(result.fileSpec.version).toBe('7');
+    });
+
+    it('should build design tokens when the designTokens option is set', async () => {
+      const file = { name: 'TestFile', key: 'file-key' };
+
+      jest.spyOn(service, 'extractFileComponents').mockResolvedValue({
+        fileData: { document: { cornerRadius: 4 } },
+        componentsData: { components: [] },
+        styles: { colors: {} },
+      });
+      jest.spyOn(service, 'generateCode').mockResolvedValue({});
+
+      const withTokens = await service.processFile(file, ['react'], { designTokens: true });
+      const withoutTokens = await service.processFile(file, ['react'], {});
+
+      expect(withTokens.tokens).toEqual([
+        { path: ['radius', '4'], type: 'dimension', value: '4px' },
+      ]);
+      expect(withoutTokens.tokens).toBeUndefined();
+    });
+
     it('should handle file processing errors', async () => {
       const file = { name: 'BadFile', key: 'bad-key' };
 
@@ -681,41 +919,1067 @@ describe('ProjectExtractionService', () => {
     });
   });
 
-  describe('extractProject', () => {
-    it('should extract entire project successfully', async () => {
-      const mockFiles = [
-        { key: 'file-1', name: 'File1', last_modified: '2024-01-01', thumbnail_url: null },
-        { key: 'file-2', name: 'File2', last_modified: '2024-01-02', thumbnail_url: null },
-      ];
+  describe('processFile cancellation', () => {
+    it('should rethrow cancellations instead of marking the file failed', async () => {
+      jest.spyOn(service, 'extractFileComponents').mockResolvedValue({
+        componentsData: { components: [] },
+        styles: {},
+      });
+      jest.spyOn(service, 'generateCode').mockRejectedValue(new CancelledError());
+
+      await expect(service.processFile({ name: 'F', key: 'k' }, ['react'], {})).rejects.toThrow(
+        CancelledError
+      );
+    });
+  });
+
+  describe('extractProject jobs', () => {
+    const params = {
+      fileKey: null,
+      teamId: 'team-1',
+      projectId: 'project-1',
+      frameworks: ['react', 'vue'],
+      options: { generateDocs: false },
+    };
 
+    beforeEach(() => {
       jest.spyOn(service, 'fetchFiles').mockResolvedValue({
-        files: mockFiles,
-        projectName: 'TestProject',
+        files: [
+          { key: 'file-1', name: 'File1' },
+          { key: 'file-2', name: 'File2' },
+        ],
+        projectName: 'Project',
       });
-
       mockMkdir.mockResolvedValue();
       mockWriteFile.mockResolvedValue();
+    });
 
-      jest.spyOn(service, 'processFile').mockResolvedValue({
+    it('should report per-file and per-framework progress with a checkpoint', async () => {
+      const snapshots = [];
+      const onProgress = jest.fn(async (update) => {
+        snapshots.push(JSON.parse(JSON.stringify(update)));
+      });
+      jest
+        .spyOn(service, 'processFile')
+        .mockImplementationOnce(async (file, frameworks, options, hooks) => {
+          await hooks.onFramework('react', 'running');
+          await hooks.onFramework('react', 'completed');
+          await hooks.onFramework('vue', 'running');
+          await hooks.onFramework('vue', 'failed');
+          return {
+            success: true,
+            fileSpec: { generatedCode: { react: {}, vue: { error: 'AI error' } } },
+            componentsExtracted: 3,
+            tokens: [{ path: ['color', 'a'], type: 'color', value: '#000000' }],
+          };
+        })
+        .mockResolvedValueOnce({ success: false, error: 'Figma error', status: 'failed' });
+
+      const result = await service.extractProject(params, { onProgress });
+
+      expect(snapshots[0].progress).toEqual({
+        filesTotal: 2,
+        filesCompleted: 0,
+        filesFailed: 0,
+        files: [
+          {
+            fileKey: 'file-1',
+            fileName: 'File1',
+            status: 'pending',
+            frameworks: { react: 'pending', vue: 'pending' },
+          },
+          {
+            fileKey: 'file-2',
+            fileName: 'File2',
+            status: 'pending',
+            frameworks: { react: 'pending', vue: 'pending' },
+          },
+        ],
+      });
+      expect(snapshots[1].progress.files[0].status).toBe('processing');
+      expect(snapshots[3].progress.files[0].frameworks).toEqual({
+        react: 'completed',
+        vue: 'pending',
+      });
+
+      const last = snapshots[snapshots.length - 1];
+      expect(last.progress).toMatchObject({ filesCompleted: 1, filesFailed: 1 });
+      expect(last.progress.files[0]).toMatchObject({
+        status: 'completed',
+        frameworks: { react: 'completed', vue: 'failed' },
+      });
+      expect(last.progress.files[1]).toMatchObject({
+        status: 'failed',
+        frameworks: { react: 'skipped', vue: 'skipped' },
+      });
+      expect(last.checkpoint.outputDir).toContain('project-project-1');
+      expect(last.checkpoint.files['file-1'].tokens).toHaveLength(1);
+      expect(last.checkpoint.files['file-2'].outputFile.error).toBe('Figma error');
+      expect(result.totalComponentsExtracted).toBe(3);
+    });
+
+    it('should resume from a checkpoint without processing completed files again', async () => {
+      const processFile = jest.spyOn(service, 'processFile').mockResolvedValue({
         success: true,
-        fileSpec: {
-          generatedCode: { react: { components: [] } },
+        fileSpec: { generatedCode: { react: {}, vue: {} } },
+        componentsExtracted: 2,
+      });
+      const onProgress = jest.fn();
+      const checkpoint = {
+        outputDir: '/tmp/output/project-project-1-previous',
+        files: {
+          'file-1': {
+            outputFile: {
+              fileName: 'File1',
+              fileKey: 'file-1',
+              frameworks: ['react'],
+              componentsExtracted: 4,
+              jsonPath: 'file1.json',
+            },
+            tokens: null,
+          },
         },
-        componentsExtracted: 5,
+      };
+
+      const result = await service.extractProject(
+        { ...params, options: { designTokens: true, generateDocs: false } },
+        { onProgress, checkpoint }
+      );
+
+      expect(processFile).toHaveBeenCalledTimes(1);
+      expect(processFile.mock.calls[0][0].key).toBe('file-2');
+      expect(mockMkdir).toHaveBeenCalledWith(checkpoint.outputDir, { recursive: true });
+      expect(result.outputDirectory).toBe('project-project-1-previous');
+      expect(result.totalComponentsExtracted).toBe(6);
+      expect(result.files.map((file) => file.jsonPath)).toEqual(['file1.json', 'file2.json']);
+      expect(onProgress.mock.calls[0][0].progress.files[0]).toMatchObject({
+        status: 'completed',
+        frameworks: { react: 'completed', vue: 'failed' },
       });
+    });
 
-      const result = await service.extractProject({
-        fileKey: null,
-        teamId: 'team-1',
-        projectId: 'project-1',
-        frameworks: ['react'],
-        options: { generateDocs: true, maxComponentsPerFile: 10, includeStyles: true },
+    it('should stop between files once cancelled', async () => {
+      const processFile = jest.spyOn(service, 'processFile').mockResolvedValue({
+        success: true,
+        fileSpec: { generatedCode: { react: {}, vue: {} } },
+        componentsExtracted: 1,
       });
+      const isCancelled = jest.fn().mockResolvedValueOnce(false).mockResolvedValueOnce(true);
 
-      expect(result.projectId).toBe('project-1');
-      expect(result.filesProcessed).toBe(2);
-      expect(result.totalComponentsExtracted).toBe(10);
-      expect(result.files).toHaveLength(2);
+      await expect(service.extractProject(params, { isCancelled })).rejects.toThrow(
+        'Extraction cancelled'
+      );
+      expect(processFile).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('frame tracking', () => {
+    const roots = [
+      { id: '1:1', name: 'Card', styleRefs: { fill: 'Brand/Primary' }, children: [] },
+      { id: '1:2', name: 'Header', children: [{ id: '1:3', styleRefs: { text: 'Heading' } }] },
+    ];
+    const styles = {
+      colors: { 'Brand/Primary': { value: { hex: '#0055ff' } } },
+      typography: { Heading: { value: { fontSize: 32 } } },
+    };
+
+    it('should attribute components to the frame reported by the generator', () => {
+      const code = service.tagFrames(
+        { components: [{ name: 'Card', frameId: '1:1' }, { name: 'Extra' }] },
+        roots
+      );
+
+      expect(code.components[0].frameIds).toEqual(['1:1']);
+      expect(code.components[1].frameIds).toEqual(['1:1', '1:2']);
+    });
+
+    it('should leave code without a components list untouched', () => {
+      expect(service.tagFrames({ error: 'AI error' }, roots)).toEqual({ error: 'AI error' });
+    });
+
+    it('should only change the hash of frames whose tree or styles changed', () => {
+      const before = service.hashFrames(roots, styles);
+      const after = service.hashFrames(roots, {
+        ...styles,
+        typography: { Heading: { value: { fontSize: 40 } } },
+      });
+
+      expect(Object.keys(before)).toEqual(['1:1', '1:2']);
+      expect(after['1:1']).toBe(before['1:1']);
+      expect(after['1:2']).not.toBe(before['1:2']);
+      expect(service.hashFrames(roots, styles)).toEqual(before);
+    });
+
+    it('should regenerate only the frames that changed', async () => {
+      const previousSpec = {
+        metadata: { frameHashes: { '1:1': 'same', '1:2': 'old' } },
+        generatedCode: {
+          react: {
+            components: [
+              { name: 'Card', code: 'previous card', frameIds: ['1:1'] },
+              { name: 'Header', code: 'previous header', frameIds: ['1:2'] },
+            ],
+            globalStyles: '',
+          },
+          vue: { error: 'AI error', status: 'failed' },
+        },
+      };
+      mockAnalyzeAndGenerateCode.mockResolvedValue({
+        components: [{ name: 'Header', code: 'new header', frameId: '1:2' }],
+      });
+      const onFramework = jest.fn();
+
+      const result = await service.regenerateChangedFrames(
+        { components: roots },
+        ['react', 'vue'],
+        {},
+        { onFramework },
+        previousSpec,
+        { '1:1': 'same', '1:2': 'new' }
+      );
+
+      expect(mockAnalyzeAndGenerateCode.mock.calls[0][0].components.map((c) => c.id)).toEqual([
+        '1:2',
+      ]);
+      expect(result.react.components.map((c) => c.code)).toEqual(['previous card', 'new header']);
+      // The failed framework is generated again for every frame
+      expect(mockAnalyzeAndGenerateCode.mock.calls[1][0].components).toHaveLength(2);
+      expect(result.vue.error).toBeUndefined();
+      expect(onFramework).toHaveBeenCalledWith('react', 'completed');
+    });
+
+    it('should reuse the previous code when no frame changed', async () => {
+      const previousSpec = {
+        metadata: { frameHashes: { '1:1': 'a', '1:2': 'b' } },
+        generatedCode: {
+          react: {
+            components: [{ name: 'Page', code: 'previous', frameIds: ['1:1', '1:2'] }],
+            notes: 'previous notes',
+          },
+        },
+      };
+      const onFramework = jest.fn();
+
+      const result = await service.regenerateChangedFrames(
+        { components: roots },
+        ['react'],
+        {},
+        { onFramework },
+        previousSpec,
+        { '1:1': 'a', '1:2': 'b' }
+      );
+
+      expect(mockAnalyzeAndGenerateCode).not.toHaveBeenCalled();
+      expect(result.react).toEqual(previousSpec.generatedCode.react);
+      expect(onFramework).toHaveBeenCalledWith('react', 'completed');
+    });
+  });
+
+  describe('source trees', () => {
+    it('should build one tree per framework from the saved file specifications', async () => {
+      mockReadFile.mockResolvedValue(
+        JSON.stringify({
+          fileName: 'File1',
+          generatedCode: {
+            react: { components: [{ name: 'Button', code: 'button' }] },
+            vue: { error: 'AI error', status: 'failed' },
+          },
+        })
+      );
+      const buildFiles = jest
+        .spyOn(service.sourceTreeService, 'buildFiles')
+        .mockReturnValue({ 'package.json': '{}' });
+      const writeFiles = jest
+        .spyOn(service.sourceTreeService, 'writeFiles')
+        .mockResolvedValue(['package.json']);
+
+      const sources = await service.writeSourceTrees(
+        '/tmp/out',
+        'Project',
+        ['react', 'vue'],
+        [
+          { fileKey: 'file-1', jsonPath: 'file1.json' },
+          { fileKey: 'file-2', error: 'Figma error' },
+        ]
+      );
+
+      expect(mockReadFile).toHaveBeenCalledTimes(1);
+      expect(mockReadFile).toHaveBeenCalledWith(path.join('/tmp/out', 'file1.json'), 'utf-8');
+      expect(buildFiles).toHaveBeenCalledWith(
+        'Project',
+        'react',
+        [{ fileName: 'File1', code: { components: [{ name: 'Button', code: 'button' }] } }],
+        null
+      );
+      expect(buildFiles).toHaveBeenCalledWith('Project', 'vue', [], null);
+      expect(writeFiles).toHaveBeenCalledWith(path.join('/tmp/out', 'react'), {
+        'package.json': '{}',
+      });
+      expect(sources).toEqual({
+        react: { directory: 'react', files: ['package.json'] },
+        vue: { directory: 'vue', files: ['package.json'] },
+      });
+    });
+
+    it('should copy exported assets into the public directory of each tree', async () => {
+      mockReadFile.mockResolvedValue(
+        JSON.stringify({
+          fileName: 'File1',
+          assets: [
+            { nodeId: '1', files: ['assets/file1/icons/logo.svg'] },
+            { nodeId: '2', error: 'Figma did not render the image' },
+          ],
+          generatedCode: { react: { components: [] } },
+        })
+      );
+      jest.spyOn(service.sourceTreeService, 'buildFiles').mockReturnValue({});
+      jest.spyOn(service.sourceTreeService, 'writeFiles').mockResolvedValue(['package.json']);
+      const copyAssets = jest
+        .spyOn(service.sourceTreeService, 'copyAssets')
+        .mockResolvedValue(['public/assets/file1/icons/logo.svg']);
+
+      const sources = await service.writeSourceTrees(
+        '/tmp/out',
+        'Project',
+        ['react'],
+        [{ fileKey: 'file-1', jsonPath: 'file1.json' }]
+      );
+
+      expect(copyAssets).toHaveBeenCalledWith('/tmp/out', path.join('/tmp/out', 'react'), [
+        'assets/file1/icons/logo.svg',
+      ]);
+      expect(sources.react.files).toEqual(['package.json', 'public/assets/file1/icons/logo.svg']);
+    });
+
+    it('should write source trees when the output format is source', async () => {
+      jest.spyOn(service, 'fetchFiles').mockResolvedValue({
+        files: [{ key: 'file-1', name: 'File1' }],
+        projectName: 'Project',
+      });
+      jest.spyOn(service, 'processFile').mockResolvedValue({
+        success: true,
+        fileSpec: { generatedCode: { react: {} } },
+        componentsExtracted: 1,
+      });
+      mockMkdir.mockResolvedValue();
+      mockWriteFile.mockResolvedValue();
+      const writeSourceTrees = jest
+        .spyOn(service, 'writeSourceTrees')
+        .mockResolvedValue({ react: { directory: 'react', files: [] } });
+
+      const params = {
+        fileKey: 'file-1',
+        frameworks: ['react'],
+        options: { generateDocs: false },
+      };
+      const jsonResult = await service.extractProject(params);
+      const sourceResult = await service.extractProject({
+        ...params,
+        options: { generateDocs: false, outputFormat: 'source' },
+      });
+
+      expect(jsonResult.sources).toBeUndefined();
+      expect(writeSourceTrees).toHaveBeenCalledTimes(1);
+      expect(writeSourceTrees.mock.calls[0].slice(1)).toEqual([
+        'Project',
+        ['react'],
+        [expect.objectContaining({ fileKey: 'file-1', jsonPath: 'file1.json' })],
+        false,
+        null,
+      ]);
+      expect(sourceResult.sources).toEqual({ react: { directory: 'react', files: [] } });
+    });
+
+    it('should scaffold runnable apps from the pages of each file', async () => {
+      const pages = [{ id: '0:1', name: 'Home', frames: [{ id: '1:1', name: 'Landing' }] }];
+      mockReadFile.mockResolvedValue(
+        JSON.stringify({
+          fileName: 'File1',
+          pages,
+          generatedCode: { react: { components: [{ name: 'Hero', code: 'hero' }] } },
+        })
+      );
+      const buildApp = jest
+        .spyOn(service.appScaffoldService, 'buildApp')
+        .mockReturnValue({ 'index.html': '' });
+      const buildFiles = jest.spyOn(service.sourceTreeService, 'buildFiles');
+      jest.spyOn(service.sourceTreeService, 'writeFiles').mockResolvedValue(['index.html']);
+
+      const sources = await service.writeSourceTrees(
+        '/tmp/out',
+        'Project',
+        ['react'],
+        [{ fileKey: 'file-1', jsonPath: 'file1.json' }],
+        true
+      );
+
+      expect(buildApp).toHaveBeenCalledWith(
+        'Project',
+        'react',
+        [{ fileName: 'File1', code: { components: [{ name: 'Hero', code: 'hero' }] }, pages }],
+        null
+      );
+      expect(buildFiles).not.toHaveBeenCalled();
+      expect(sources).toEqual({ react: { directory: 'react', files: ['index.html'] } });
+    });
+
+    it('should write source trees for scaffolded apps regardless of the output format', async () => {
+      jest.spyOn(service, 'fetchFiles').mockResolvedValue({
+        files: [{ key: 'file-1', name: 'File1' }],
+        projectName: 'Project',
+      });
+      jest.spyOn(service, 'processFile').mockResolvedValue({
+        success: true,
+        fileSpec: { generatedCode: { react: {} } },
+        componentsExtracted: 1,
+      });
+      mockMkdir.mockResolvedValue();
+      mockWriteFile.mockResolvedValue();
+      const writeSourceTrees = jest.spyOn(service, 'writeSourceTrees').mockResolvedValue({});
+
+      await service.extractProject({
+        fileKey: 'file-1',
+        frameworks: ['react'],
+        options: { generateDocs: false, outputFormat: 'json', scaffold: true },
+      });
+
+      expect(writeSourceTrees.mock.calls[0][4]).toBe(true);
+    });
+  });
+
+  describe('incremental extractProject', () => {
+    const params = {
+      fileKey: null,
+      teamId: 'team-1',
+      projectId: 'project-1',
+      frameworks: ['react'],
+      options: { generateDocs: false, incremental: true, generator: 'ai' },
+    };
+    const settings = {
+      generator: 'ai',
+      includeStyles: true,
+      maxComponentsPerFile: undefined,
+      filters: null,
+      includeHidden: false,
+      exportAssets: false,
+      responsive: false,
+      variables: false,
+    };
+    const outputDir = '/tmp/output/project-project-1-previous';
+    let saveManifest;
+    let saveManifestFile;
+
+    beforeEach(() => {
+      jest.spyOn(service, 'fetchFiles').mockResolvedValue({
+        files: [
+          { key: 'file-1', name: 'File1', last_modified: '2024-01-01' },
+          { key: 'file-2', name: 'File2', last_modified: '2024-02-02' },
+          { key: 'file-3', name: 'File3', last_modified: '2024-03-03' },
+        ],
+        projectName: 'Project',
+      });
+      jest.spyOn(service.manifestRepository, 'findByTarget').mockResolvedValue({
+        target: 'project:project-1',
+        outputDir,
+        settings,
+        files: {
+          'file-1': {
+            fileKey: 'file-1',
+            frameworks: ['react'],
+            componentsExtracted: 4,
+            jsonPath: 'file1.json',
+            lastModified: '2024-01-01',
+          },
+          'file-2': {
+            fileKey: 'file-2',
+            frameworks: ['react'],
+            componentsExtracted: 2,
+            jsonPath: 'file2.json',
+            lastModified: '2024-01-15',
+          },
+          'file-3': { fileKey: 'file-3', error: 'Figma error', status: 'failed' },
+        },
+      });
+      saveManifest = jest.spyOn(service.manifestRepository, 'save').mockResolvedValue();
+      saveManifestFile = jest.spyOn(service.manifestRepository, 'saveFile').mockResolvedValue();
+      mockAccess.mockResolvedValue();
+      mockMkdir.mockResolvedValue();
+      mockWriteFile.mockResolvedValue();
+      mockReadFile.mockImplementation(async (filePath) =>
+        JSON.stringify({ fileName: path.basename(filePath), generatedCode: {} })
+      );
+    });
+
+    it('should skip unchanged files and reuse the previous output directory', async () => {
+      const processFile = jest.spyOn(service, 'processFile').mockResolvedValue({
+        success: true,
+        fileSpec: { version: '42', generatedCode: { react: {} } },
+        componentsExtracted: 3,
+      });
+
+      const result = await service.extractProject(params);
+
+      expect(service.manifestRepository.findByTarget).toHaveBeenCalledWith('project:project-1');
+      expect(processFile.mock.calls.map((call) => call[0].key)).toEqual(['file-2', 'file-3']);
+      // The changed file reuses its previous specification, the failed one starts over
+      expect(processFile.mock.calls[0][4]).toEqual({
+        fileName: 'file2.json',
+        generatedCode: {},
+      });
+      expect(processFile.mock.calls[1][4]).toBeNull();
+      expect(mockMkdir).not.toHaveBeenCalled();
+      expect(result.outputDirectory).toBe('project-project-1-previous');
+      expect(result.filesReused).toBe(1);
+      expect(result.files[0]).toMatchObject({ jsonPath: 'file1.json', reused: true });
+      expect(result.totalComponentsExtracted).toBe(10);
+      expect(saveManifest).toHaveBeenCalledWith('project:project-1', {
+        outputDir,
+        settings,
+        files: expect.objectContaining({ 'file-1': expect.any(Object) }),
+      });
+      expect(saveManifestFile).toHaveBeenCalledWith(
+        'project:project-1',
+        'file-2',
+        expect.objectContaining({
+          version: '42',
+          lastModified: '2024-02-02',
+          jsonPath: 'file2.json',
+        })
+      );
+    });
+
+    it('should process a file again when a framework is missing from its last output', async () => {
+      const processFile = jest.spyOn(service, 'processFile').mockResolvedValue({
+        success: true,
+        fileSpec: { generatedCode: { react: {}, vue: {} } },
+        componentsExtracted: 1,
+      });
+
+      await service.extractProject({ ...params, frameworks: ['react', 'vue'] });
+
+      expect(processFile).toHaveBeenCalledTimes(3);
+    });
+
+    it('should start over in a new directory when generation settings changed', async () => {
+      const processFile = jest.spyOn(service, 'processFile').mockResolvedValue({
+        success: true,
+        fileSpec: { generatedCode: { react: {} } },
+        componentsExtracted: 1,
+      });
+
+      const result = await service.extractProject({
+        ...params,
+        options: { ...params.options, generator: 'template' },
+      });
+
+      expect(processFile).toHaveBeenCalledTimes(3);
+      expect(processFile.mock.calls.every((call) => call[4] === null)).toBe(true);
+      expect(result.outputDirectory).toContain('project-project-1-');
+      expect(result.outputDirectory).not.toBe('project-project-1-previous');
+      expect(saveManifest.mock.calls[0][1].files).toEqual({});
+    });
+
+    it('should start over when the previous output directory was deleted', async () => {
+      mockAccess.mockRejectedValue(new Error('ENOENT'));
+      const processFile = jest.spyOn(service, 'processFile').mockResolvedValue({
+        success: true,
+        fileSpec: { generatedCode: { react: {} } },
+        componentsExtracted: 1,
+      });
+
+      await service.extractProject(params);
+
+      expect(processFile).toHaveBeenCalledTimes(3);
+      expect(mockMkdir).toHaveBeenCalled();
+    });
+
+    it('should not use the manifest unless incremental is set', async () => {
+      jest.spyOn(service, 'processFile').mockResolvedValue({
+        success: true,
+        fileSpec: { generatedCode: { react: {} } },
+        componentsExtracted: 1,
+      });
+
+      await service.extractProject({ ...params, options: { generateDocs: false } });
+
+      expect(service.manifestRepository.findByTarget).not.toHaveBeenCalled();
+      expect(saveManifest).not.toHaveBeenCalled();
+      expect(saveManifestFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('shared library', () => {
+    const files = [
+      { key: 'file-1', name: 'File1' },
+      { key: 'file-2', name: 'File2' },
+      { key: 'file-3', name: 'File3' },
+    ];
+    const button = { key: 'sk', name: 'Button', set: true, remote: false };
+    const avatar = { key: 'ak', name: 'user avatar', set: false, remote: true };
+
+    it('should find components used or defined in more than one file', async () => {
+      mockFigmaServiceInstance.collectComponentUsage
+        .mockResolvedValueOnce({
+          instances: [button, { key: 'bk', name: 'Badge', set: false, remote: false }],
+          definitions: [{ key: 'sk', name: 'Button', set: true, nodeId: '3:1' }],
+        })
+        .mockResolvedValueOnce({ instances: [button, avatar], definitions: [] })
+        .mockRejectedValueOnce(new Error('Figma error'));
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const shared = await service.findSharedComponents(files, {
+        filters: { include: { pages: ['Home'] } },
+      });
+
+      expect(mockFigmaServiceInstance.collectComponentUsage).toHaveBeenCalledWith('file-1', {
+        filters: { include: { pages: ['Home'] } },
+        includeHidden: false,
+      });
+      expect(shared).toEqual([{ ...button, definition: { fileKey: 'file-1', nodeId: '3:1' } }]);
+      expect(consoleError).toHaveBeenCalledWith(
+        'Failed to collect component usage of File3:',
+        'Figma error'
+      );
+      consoleError.mockRestore();
+    });
+
+    it('should match library components by key and give every shared component a unique name', async () => {
+      mockFigmaServiceInstance.collectComponentUsage.mockResolvedValue({
+        instances: [avatar, { key: 'ak2', name: 'User Avatar', set: false, remote: true }],
+        definitions: [],
+      });
+
+      const shared = await service.findSharedComponents(files.slice(0, 2), {});
+
+      expect(shared.map(({ key, name, definition }) => [key, name, definition])).toEqual([
+        ['ak', 'UserAvatar', null],
+        ['ak2', 'UserAvatar2', null],
+      ]);
+    });
+
+    it('should generate shared components once and list the ones it cannot locate', async () => {
+      mockFigmaServiceInstance.getLibraryComponent
+        .mockResolvedValueOnce({ fileKey: 'lib-file', nodeId: '9:1', name: 'user avatar' })
+        .mockRejectedValueOnce(new Error('Failed to fetch Figma library component: Not found'));
+      mockFigmaServiceInstance.extractNode.mockImplementation(async (fileKey, nodeId) => ({
+        id: nodeId,
+        name: 'Definition',
+        type: 'COMPONENT',
+        children: [],
+      }));
+      const generateCode = jest
+        .spyOn(service, 'generateCode')
+        .mockResolvedValue({ react: { components: [] }, vue: { error: 'AI error' } });
+      mockWriteFile.mockResolvedValue();
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const library = await service.buildSharedLibrary(
+        [
+          { ...button, definition: { fileKey: 'file-1', nodeId: '3:1' } },
+          { ...avatar, name: 'UserAvatar', definition: null },
+          { key: 'gk', name: 'Gone', set: false, remote: true, definition: null },
+        ],
+        ['react', 'vue'],
+        { generator: 'template' },
+        {},
+        '/tmp/out'
+      );
+
+      expect(mockFigmaServiceInstance.getLibraryComponent).toHaveBeenCalledWith('ak', {
+        set: false,
+      });
+      expect(mockFigmaServiceInstance.extractNode).toHaveBeenCalledWith('lib-file', '9:1', {
+        variables: null,
+        includeHidden: false,
+      });
+      expect(generateCode.mock.calls[0][0].components).toEqual([
+        { id: '3:1', name: 'Button', type: 'COMPONENT', children: [], componentKey: 'sk' },
+        { id: '9:1', name: 'UserAvatar', type: 'COMPONENT', children: [], componentKey: 'ak' },
+      ]);
+      expect(library).toEqual({
+        jsonPath: 'shared-library.json',
+        components: [
+          { key: 'sk', name: 'Button', fileKey: 'file-1', nodeId: '3:1' },
+          { key: 'ak', name: 'UserAvatar', fileKey: 'lib-file', nodeId: '9:1' },
+        ],
+        unresolved: [
+          {
+            key: 'gk',
+            name: 'Gone',
+            error: 'Failed to fetch Figma library component: Not found',
+          },
+        ],
+        frameworks: ['react'],
+      });
+      const [jsonPath, content] = mockWriteFile.mock.calls[0];
+      expect(jsonPath).toBe(path.join('/tmp/out', 'shared-library.json'));
+      expect(JSON.parse(content).generatedCode.react).toEqual({ components: [] });
+      consoleError.mockRestore();
+    });
+
+    it('should leave shared definitions out of a file and generate imports of them', async () => {
+      const componentsData = {
+        components: [
+          { id: '3:1', name: 'Button', type: 'COMPONENT_SET', componentKey: 'sk' },
+          { id: '1:1', name: 'Landing', type: 'FRAME' },
+        ],
+      };
+      jest
+        .spyOn(service, 'extractFileComponents')
+        .mockResolvedValue({ componentsData, styles: {} });
+      const generateCode = jest.spyOn(service, 'generateCode').mockResolvedValue({});
+      const shared = [{ key: 'sk', name: 'Button' }];
+
+      const result = await service.processFile(
+        files[0],
+        ['react'],
+        {},
+        {},
+        null,
+        '/tmp/out',
+        shared
+      );
+
+      expect(generateCode.mock.calls[0][0]).toMatchObject({
+        components: [{ id: '1:1', name: 'Landing', type: 'FRAME' }],
+        shared,
+      });
+      expect(result.componentsExtracted).toBe(1);
+    });
+
+    it('should build the library before the files of a project and pass it to each', async () => {
+      jest.spyOn(service, 'fetchFiles').mockResolvedValue({ files, projectName: 'Project' });
+      mockMkdir.mockResolvedValue();
+      mockWriteFile.mockResolvedValue();
+      const sharedComponents = [{ ...button, definition: { fileKey: 'file-1', nodeId: '3:1' } }];
+      jest.spyOn(service, 'findSharedComponents').mockResolvedValue(sharedComponents);
+      const library = {
+        jsonPath: 'shared-library.json',
+        components: [{ key: 'sk', name: 'Button', fileKey: 'file-1', nodeId: '3:1' }],
+        unresolved: [],
+        frameworks: ['react'],
+      };
+      const buildSharedLibrary = jest
+        .spyOn(service, 'buildSharedLibrary')
+        .mockResolvedValue(library);
+      const processFile = jest.spyOn(service, 'processFile').mockResolvedValue({
+        success: true,
+        fileSpec: { generatedCode: { react: {} } },
+        componentsExtracted: 1,
+      });
+      const onProgress = jest.fn();
+      const params = {
+        fileKey: null,
+        projectId: 'project-1',
+        frameworks: ['react'],
+        options: { generateDocs: false, sharedLibrary: true },
+      };
+
+      const result = await service.extractProject(params, { onProgress });
+
+      expect(buildSharedLibrary).toHaveBeenCalledWith(
+        sharedComponents,
+        ['react'],
+        params.options,
+        { isCancelled: expect.any(Function) },
+        expect.any(String)
+      );
+      expect(processFile).toHaveBeenCalledTimes(3);
+      processFile.mock.calls.forEach((call) => {
+        expect(call[6]).toEqual([{ key: 'sk', name: 'Button' }]);
+      });
+      expect(result.sharedLibrary).toEqual(library);
+      expect(onProgress.mock.calls.at(-1)[0].checkpoint.sharedLibrary).toEqual(library);
+
+      // A resumed run keeps the library of its checkpoint
+      buildSharedLibrary.mockClear();
+      await service.extractProject(params, {
+        checkpoint: { outputDir: '/tmp/out', files: {}, sharedLibrary: library },
+      });
+      expect(buildSharedLibrary).not.toHaveBeenCalled();
+    });
+
+    it('should write the shared library into every source tree', async () => {
+      const sharedCode = { components: [{ name: 'Button', code: 'button' }] };
+      mockReadFile.mockImplementation(async (filePath) =>
+        JSON.stringify(
+          filePath.endsWith('shared-library.json')
+            ? {
+                fileName: 'shared',
+                assets: [{ nodeId: '1', files: ['assets/shared/lib/icons/star.svg'] }],
+                generatedCode: { react: sharedCode },
+              }
+            : { fileName: 'File1', generatedCode: { react: { components: [] } } }
+        )
+      );
+      const buildFiles = jest.spyOn(service.sourceTreeService, 'buildFiles').mockReturnValue({});
+      jest.spyOn(service.sourceTreeService, 'writeFiles').mockResolvedValue([]);
+      const copyAssets = jest.spyOn(service.sourceTreeService, 'copyAssets').mockResolvedValue([]);
+
+      await service.writeSourceTrees(
+        '/tmp/out',
+        'Project',
+        ['react'],
+        [{ fileKey: 'file-1', jsonPath: 'file1.json' }],
+        false,
+        { jsonPath: 'shared-library.json', components: [], unresolved: [] }
+      );
+
+      expect(buildFiles).toHaveBeenCalledWith(
+        'Project',
+        'react',
+        [{ fileName: 'File1', code: { components: [] } }],
+        sharedCode
+      );
+      expect(copyAssets.mock.calls[0][2]).toEqual(['assets/shared/lib/icons/star.svg']);
+    });
+
+    it('should not look for shared components unless asked to', async () => {
+      jest.spyOn(service, 'fetchFiles').mockResolvedValue({ files, projectName: 'Project' });
+      mockMkdir.mockResolvedValue();
+      mockWriteFile.mockResolvedValue();
+      const findSharedComponents = jest.spyOn(service, 'findSharedComponents');
+      jest.spyOn(service, 'processFile').mockResolvedValue({
+        success: true,
+        fileSpec: { generatedCode: { react: {} } },
+        componentsExtracted: 1,
+      });
+
+      const result = await service.extractProject({
+        projectId: 'project-1',
+        frameworks: ['react'],
+        options: { generateDocs: false },
+      });
+
+      expect(findSharedComponents).not.toHaveBeenCalled();
+      expect(mockFigmaServiceInstance.collectComponentUsage).not.toHaveBeenCalled();
+      expect(result.sharedLibrary).toBeUndefined();
+    });
+
+    describe('incremental runs', () => {
+      const library = {
+        jsonPath: 'shared-library.json',
+        components: [
+          { key: 'sk', name: 'Button', fileKey: 'file-1', nodeId: '3:1' },
+          { key: 'ak', name: 'UserAvatar', fileKey: 'lib', nodeId: '9:1' },
+        ],
+        unresolved: [],
+        frameworks: ['react'],
+      };
+      const params = {
+        projectId: 'project-1',
+        frameworks: ['react'],
+        options: { generateDocs: false, sharedLibrary: true, incremental: true },
+      };
+      let buildSharedLibrary;
+      let saveSharedLibrary;
+
+      beforeEach(() => {
+        jest.spyOn(service, 'fetchFiles').mockResolvedValue({ files, projectName: 'Project' });
+        jest
+          .spyOn(service, 'findSharedComponents')
+          .mockResolvedValue([{ ...button, definition: { fileKey: 'file-1', nodeId: '3:1' } }]);
+        jest.spyOn(service, 'loadManifest').mockResolvedValue({
+          outputDir: '/tmp/out',
+          files: {},
+          sharedLibrary: { ...library, versions: { 'file-1': 'v1', lib: 'v7' } },
+        });
+        jest.spyOn(service.manifestRepository, 'save').mockResolvedValue();
+        jest.spyOn(service.manifestRepository, 'saveFile').mockResolvedValue();
+        saveSharedLibrary = jest
+          .spyOn(service.manifestRepository, 'saveSharedLibrary')
+          .mockResolvedValue();
+        buildSharedLibrary = jest
+          .spyOn(service, 'buildSharedLibrary')
+          .mockResolvedValue({ ...library, components: library.components.slice(0, 1) });
+        jest.spyOn(service, 'processFile').mockResolvedValue({
+          success: true,
+          fileSpec: { generatedCode: { react: {} } },
+          componentsExtracted: 1,
+        });
+        mockAccess.mockResolvedValue();
+        mockWriteFile.mockResolvedValue();
+      });
+
+      it('should reuse the last library while no file defining its components changed', async () => {
+        mockFigmaServiceInstance.getFileVersion.mockImplementation(async (key) =>
+          key === 'lib' ? 'v7' : 'v1'
+        );
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        const result = await service.extractProject(params);
+
+        expect(buildSharedLibrary).not.toHaveBeenCalled();
+        expect(saveSharedLibrary).not.toHaveBeenCalled();
+        expect(result.sharedLibrary).toEqual(library);
+        expect(service.manifestRepository.save.mock.calls[0][1].sharedLibrary.versions).toEqual({
+          'file-1': 'v1',
+          lib: 'v7',
+        });
+        console.log.mockRestore();
+      });
+
+      it('should build the library again and record its versions when a file changed', async () => {
+        mockFigmaServiceInstance.getFileVersion.mockImplementation(async (key) =>
+          key === 'lib' ? 'v8' : 'v1'
+        );
+
+        const result = await service.extractProject(params);
+
+        expect(buildSharedLibrary).toHaveBeenCalledTimes(1);
+        expect(result.sharedLibrary.components).toHaveLength(1);
+        expect(saveSharedLibrary).toHaveBeenCalledWith('project:project-1', {
+          ...library,
+          components: library.components.slice(0, 1),
+          versions: { 'file-1': 'v1' },
+        });
+      });
+
+      it('should build the library again when the last one is incomplete or missing', async () => {
+        mockFigmaServiceInstance.getFileVersion.mockResolvedValue('v1');
+        const reuse = (manifest, frameworks = ['react']) =>
+          service.reusableSharedLibrary(manifest, '/tmp/out', frameworks);
+        const manifest = {
+          outputDir: '/tmp/out',
+          sharedLibrary: { ...library, versions: { 'file-1': 'v1', lib: 'v1' } },
+        };
+
+        expect(await reuse(manifest)).toEqual(library);
+        expect(await reuse(null)).toBeNull();
+        expect(await reuse({ ...manifest, outputDir: '/tmp/other' })).toBeNull();
+        expect(await reuse(manifest, ['react', 'vue'])).toBeNull();
+        expect(
+          await reuse({
+            ...manifest,
+            sharedLibrary: { ...manifest.sharedLibrary, unresolved: [{ key: 'x' }] },
+          })
+        ).toBeNull();
+        mockAccess.mockRejectedValueOnce(new Error('ENOENT'));
+        expect(await reuse(manifest)).toBeNull();
+      });
+
+      it('should not record a library whose versions cannot be read', async () => {
+        mockFigmaServiceInstance.getFileVersion.mockRejectedValue(new Error('Figma error'));
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await service.extractProject(params);
+
+        expect(buildSharedLibrary).toHaveBeenCalledTimes(1);
+        expect(saveSharedLibrary).not.toHaveBeenCalled();
+        expect(consoleError).toHaveBeenCalledWith(
+          'Failed to read the versions of the shared library files:',
+          'Figma error'
+        );
+        consoleError.mockRestore();
+      });
+    });
+
+    it('should not look for shared components in single file mode', async () => {
+      jest
+        .spyOn(service, 'fetchFiles')
+        .mockResolvedValue({ files: files.slice(0, 1), projectName: 'File1' });
+      mockMkdir.mockResolvedValue();
+      mockWriteFile.mockResolvedValue();
+      const findSharedComponents = jest.spyOn(service, 'findSharedComponents');
+      const processFile = jest.spyOn(service, 'processFile').mockResolvedValue({
+        success: true,
+        fileSpec: { generatedCode: { react: {} } },
+        componentsExtracted: 1,
+      });
+
+      const result = await service.extractProject({
+        fileKey: 'file-1',
+        frameworks: ['react'],
+        options: { generateDocs: false },
+      });
+
+      expect(findSharedComponents).not.toHaveBeenCalled();
+      expect(processFile.mock.calls[0][6]).toEqual([]);
+      expect(result.sharedLibrary).toBeUndefined();
+    });
+  });
+
+  describe('extractProject', () => {
+    it('should extract entire project successfully', async () => {
+      const mockFiles = [
+        { key: 'file-1', name: 'File1', last_modified: '2024-01-01', thumbnail_url: null },
+        { key: 'file-2', name: 'File2', last_modified: '2024-01-02', thumbnail_url: null },
+      ];
+
+      jest.spyOn(service, 'fetchFiles').mockResolvedValue({
+        files: mockFiles,
+        projectName: 'TestProject',
+      });
+
+      mockMkdir.mockResolvedValue();
+      mockWriteFile.mockResolvedValue();
+
+      jest.spyOn(service, 'processFile').mockResolvedValue({
+        success: true,
+        fileSpec: {
+          generatedCode: { react: { components: [] } },
+        },
+        componentsExtracted: 5,
+      });
+
+      const result = await service.extractProject({
+        fileKey: null,
+        teamId: 'team-1',
+        projectId: 'project-1',
+        frameworks: ['react'],
+        options: { generateDocs: true, maxComponentsPerFile: 10, includeStyles: true },
+      });
+
+      expect(result.projectId).toBe('project-1');
+      expect(result.filesProcessed).toBe(2);
+      expect(result.totalComponentsExtracted).toBe(10);
+      expect(result.files).toHaveLength(2);
+    });
+
+    it('should write merged design tokens next to the project index', async () => {
+      jest.spyOn(service, 'fetchFiles').mockResolvedValue({
+        files: [
+          { key: 'file-1', name: 'File1' },
+          { key: 'file-2', name: 'File2' },
+        ],
+        projectName: 'Project',
+      });
+
+      mockMkdir.mockResolvedValue();
+      mockWriteFile.mockResolvedValue();
+
+      jest
+        .spyOn(service, 'processFile')
+        .mockResolvedValueOnce({
+          success: true,
+          fileSpec: { generatedCode: { react: {} } },
+          componentsExtracted: 0,
+          tokens: [{ path: ['color', 'primary'], type: 'color', value: '#000000' }],
+        })
+        .mockResolvedValueOnce({
+          success: true,
+          fileSpec: { generatedCode: { react: {} } },
+          componentsExtracted: 0,
+          tokens: [{ path: ['color', 'primary'], type: 'color', value: '#ffffff' }],
+        });
+
+      const result = await service.extractProject({
+        fileKey: null,
+        teamId: 'team-1',
+        projectId: 'project-1',
+        frameworks: ['react'],
+        options: { generateDocs: true, designTokens: true, tokenFormats: ['css', 'dtcg'] },
+      });
+
+      expect(result.designTokens).toEqual(['tokens.css', 'design-tokens.json']);
+      expect(mockWriteFile).toHaveBeenCalledWith(
+        expect.stringContaining('tokens.css'),
+        ':root {\n  --color-primary: #ffffff;\n}\n'
+      );
+      const indexCall = mockWriteFile.mock.calls.find(([filePath]) =>
+        filePath.endsWith('project-index.json')
+      );
+      expect(JSON.parse(indexCall[1]).designTokens).toEqual(['tokens.css', 'design-tokens.json']);
     });
 
     it('should throw error if no files found', async () => {
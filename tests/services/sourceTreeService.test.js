@@ -0,0 +1,443 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import SourceTreeService from '../../src/services/sourceTreeService.js';
+import TemplateGeneratorAgent from '../../src/agents/templateGeneratorAgent.js';
+
+describe('SourceTreeService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new SourceTreeService();
+  });
+
+  describe('buildFiles for React', () => {
+    const results = [
+      {
+        fileName: 'Checkout',
+        code: {
+          components: [
+            {
+              name: 'Button',
+              code: "import './Button.css';\n\nexport default function Button() {}\n",
+              styles: '.button { color: red; }',
+              dependencies: ['react'],
+            },
+            {
+              name: 'Card',
+              code: "import Button from './Button';\n\nexport default function Card() {}\n",
+              styles: '',
+              dependencies: ['react', 'clsx@2.1.0'],
+            },
+          ],
+          globalStyles: ':root { --brand: #0055ff; }',
+        },
+      },
+      {
+        fileName: 'Marketing',
+        code: {
+          components: [
+            {
+              name: 'Button',
+              code: 'export default function Button() {}\n',
+              styles: '.cta { color: blue; }',
+              dependencies: ['react'],
+            },
+          ],
+          globalStyles: ':root { --brand: #0055ff; }',
+        },
+      },
+    ];
+
+    it('should write one directory per component with its stylesheet and index', () => {
+      const files = service.buildFiles('Shop', 'react', results);
+
+      expect(files['src/components/Button/Button.jsx']).toContain('function Button');
+      expect(files['src/components/Button/Button.css']).toBe('.button { color: red; }');
+      expect(files['src/components/Button/index.js']).toBe("export { default } from './Button';\n");
+      expect(files['src/components/Card/Card.jsx']).toContain("import Button from '../Button';");
+      expect(files['src/components/Card/Card.css']).toBeUndefined();
+    });
+
+    it('should suffix components whose name is taken and import their stylesheet', () => {
+      const files = service.buildFiles('Shop', 'react', results);
+
+      expect(files['src/components/Button2/Button2.jsx']).toBe(
+        "import './Button2.css';\nexport default function Button() {}\n"
+      );
+      expect(files['src/components/Button2/Button2.css']).toBe('.cta { color: blue; }');
+    });
+
+    it('should write the barrel, global styles and package.json', () => {
+      const files = service.buildFiles('Shop', 'react', results);
+
+      expect(files['src/components/index.js']).toBe(
+        [
+          "export { default as Button } from './Button';",
+          "export { default as Card } from './Card';",
+          "export { default as Button2 } from './Button2';",
+          '',
+        ].join('\n')
+      );
+      expect(files['src/styles/global.css']).toBe(':root { --brand: #0055ff; }\n');
+      expect(JSON.parse(files['package.json'])).toEqual({
+        name: 'shop-react',
+        version: '0.1.0',
+        private: true,
+        dependencies: { clsx: '2.1.0', react: '^18.3.1', 'react-dom': '^18.3.1' },
+      });
+    });
+
+    it('should use TypeScript file names for typed components', () => {
+      const files = service.buildFiles('Shop', 'react', [
+        {
+          code: {
+            components: [
+              {
+                name: 'Badge',
+                code: 'interface BadgeProps { label: string }\nexport default function Badge() {}',
+              },
+            ],
+          },
+        },
+      ]);
+
+      expect(files['src/components/Badge/Badge.tsx']).toBeDefined();
+      expect(files['src/components/Badge/index.ts']).toBeDefined();
+      expect(files['src/components/index.ts']).toBeDefined();
+    });
+  });
+
+  describe('buildFiles for other frameworks', () => {
+    it('should write Vue single file components with scoped styles', () => {
+      const files = service.buildFiles('Shop', 'vue', [
+        {
+          code: {
+            components: [
+              {
+                name: 'Card',
+                code: "<script setup>\nimport Button from './Button.vue';\n</script>",
+                styles: '.card { padding: 8px; }',
+                dependencies: ['vue'],
+              },
+              { name: 'Button', code: '<template><button /></template>\n<style></style>' },
+            ],
+          },
+        },
+      ]);
+
+      expect(files['src/components/Card/Card.vue']).toBe(
+        "<script setup>\nimport Button from '../Button/Button.vue';\n</script>\n\n<style scoped>\n.card { padding: 8px; }\n</style>\n"
+      );
+      expect(files['src/components/Button/index.js']).toBe(
+        "export { default } from './Button.vue';\n"
+      );
+      expect(files['src/components/index.js']).toContain(
+        "export { default as Card } from './Card';"
+      );
+    });
+
+    it('should write Angular components with a barrel of component classes', () => {
+      const files = service.buildFiles('Shop', 'angular', [
+        {
+          code: {
+            components: [
+              {
+                name: 'Login Card',
+                code: "styleUrls: ['./login-card.component.css'],\nexport class LoginCardComponent {}",
+                styles: '.login-card {}',
+              },
+            ],
+          },
+        },
+        {
+          code: {
+            components: [{ name: 'LoginCard', code: 'export class LoginCardComponent {}' }],
+          },
+        },
+      ]);
+
+      expect(files['src/app/components/login-card/login-card.component.ts']).toBeDefined();
+      expect(files['src/app/components/login-card/login-card.component.css']).toBe(
+        '.login-card {}'
+      );
+      expect(files['src/app/components/index.ts']).toBe(
+        [
+          "export { LoginCardComponent } from './login-card/login-card.component';",
+          "export { LoginCardComponent as LoginCard2Component } from './login-card2/login-card2.component';",
+          '',
+        ].join('\n')
+      );
+    });
+
+    it('should write plain HTML without barrel files', () => {
+      const files = service.buildFiles('Shop', 'html', [
+        { code: { components: [{ name: 'Hero', code: '<section></section>', styles: 'a{}' }] } },
+      ]);
+
+      expect(Object.keys(files).sort()).toEqual([
+        'package.json',
+        'src/components/Hero/Hero.css',
+        'src/components/Hero/Hero.html',
+      ]);
+    });
+
+    it('should write the extra files of a component in its directory', () => {
+      const component = {
+        name: 'Product Grid',
+        code: "import { productCards } from './ProductGrid.fixtures';\n",
+        files: {
+          'ProductGrid.fixtures.js': 'export const productCards = [];\n',
+          '../../escape.js': '',
+        },
+      };
+
+      const react = service.buildFiles('Shop', 'react', [{ code: { components: [component] } }]);
+      const angular = service.buildFiles('Shop', 'angular', [
+        { code: { components: [{ ...component, files: { 'product-grid.fixtures.ts': '' } }] } },
+      ]);
+
+      expect(react['src/components/ProductGrid/ProductGrid.fixtures.js']).toBe(
+        'export const productCards = [];\n'
+      );
+      expect(react['src/components/ProductGrid/escape.js']).toBe('');
+      expect(angular['src/app/components/product-grid/product-grid.fixtures.ts']).toBe('');
+    });
+
+    it('should pin the runtime packages of the framework in package.json', () => {
+      const component = (dependencies) => ({ name: 'Hero', code: '', dependencies });
+      const dependenciesOf = (framework, dependencies) =>
+        JSON.parse(
+          service.buildFiles('Shop', framework, [
+            { code: { components: [component(dependencies)] } },
+          ])['package.json']
+        ).dependencies;
+
+      expect(dependenciesOf('angular', ['@angular/core'])).toEqual({
+        '@angular/common': '^18.2.0',
+        '@angular/core': '^18.2.0',
+        rxjs: '~7.8.0',
+        tslib: '^2.6.0',
+        'zone.js': '~0.14.10',
+      });
+      // A component pin wins; packages the framework does not know stay unpinned
+      expect(dependenciesOf('vue', ['vue', 'vue@3.4.0', 'vue@3.5.0', 'lodash'])).toEqual({
+        lodash: 'latest',
+        vue: '3.4.0',
+      });
+      expect(dependenciesOf('html', [])).toEqual({});
+    });
+
+    it('should write only package.json when nothing was generated', () => {
+      expect(Object.keys(service.buildFiles('Shop', 'react', []))).toEqual(['package.json']);
+    });
+
+    it('should link template generator output into a working tree', async () => {
+      const code = await new TemplateGeneratorAgent().analyzeAndGenerateCode(
+        {
+          components: [
+            {
+              id: '1:1',
+              name: 'Button',
+              type: 'COMPONENT',
+              properties: {},
+              children: [],
+            },
+            {
+              id: '2:1',
+              name: 'Toolbar',
+              type: 'FRAME',
+              properties: {},
+              children: [
+                {
+                  id: '2:2',
+                  name: 'Button',
+                  type: 'INSTANCE',
+                  properties: {},
+                  instance: { componentId: '1:1', componentName: 'Button', props: {} },
+                  children: [],
+                },
+              ],
+            },
+          ],
+        },
+        'react',
+        {}
+      );
+
+      const files = service.buildFiles('Kit', 'react', [{ code }]);
+
+      expect(files['src/components/Toolbar/Toolbar.jsx']).toContain(
+        "import Button from '../Button';"
+      );
+      expect(files['src/components/Toolbar/Toolbar.jsx']).toContain("import './Toolbar.css';");
+      expect(files['src/components/Toolbar/Toolbar.css']).toBeDefined();
+    });
+  });
+
+  describe('buildFiles with a shared library', () => {
+    const shared = {
+      components: [
+        {
+          name: 'Button',
+          code: 'export default function Button() {}\n',
+          styles: '.button {}',
+          dependencies: ['react'],
+        },
+        {
+          name: 'Card',
+          code: "import Button from './Button';\n\nexport default function Card() {}\n",
+        },
+      ],
+      globalStyles: ':root { --brand: #0055ff; }',
+    };
+
+    it('should write the shared library to src/shared with its own barrel', () => {
+      const files = service.buildFiles(
+        'Shop',
+        'react',
+        [
+          {
+            code: {
+              components: [
+                { name: 'Button', code: 'export default function Button() {}\n' },
+                {
+                  name: 'Checkout',
+                  code: "import Card from '../shared/Card';\nimport Button from './Button';\n",
+                },
+              ],
+            },
+          },
+        ],
+        shared
+      );
+
+      expect(files['src/shared/Button/Button.jsx']).toBeDefined();
+      expect(files['src/shared/Button/Button.css']).toBe('.button {}');
+      expect(files['src/shared/Card/Card.jsx']).toContain("import Button from '../Button';");
+      expect(files['src/shared/index.js']).toBe(
+        [
+          "export { default as Button } from './Button';",
+          "export { default as Card } from './Card';",
+          '',
+        ].join('\n')
+      );
+      // File components keep clear of shared names and import the library from src/shared
+      expect(files['src/components/index.js']).toBe(
+        [
+          "export { default as Button2 } from './Button2';",
+          "export { default as Checkout } from './Checkout';",
+          '',
+        ].join('\n')
+      );
+      expect(files['src/components/Checkout/Checkout.jsx']).toBe(
+        "import Card from '../../shared/Card';\nimport Button from '../Button2';\n"
+      );
+      expect(files['src/styles/global.css']).toBe(':root { --brand: #0055ff; }\n');
+      expect(JSON.parse(files['package.json']).dependencies).toEqual({
+        react: '^18.3.1',
+        'react-dom': '^18.3.1',
+      });
+    });
+
+    it('should point Vue and Angular imports at the shared directory', () => {
+      const vue = service.buildFiles(
+        'Shop',
+        'vue',
+        [
+          {
+            code: {
+              components: [{ name: 'Page', code: "import Card from '../shared/Card.vue';" }],
+            },
+          },
+        ],
+        shared
+      );
+      const angular = service.buildFiles(
+        'Shop',
+        'angular',
+        [
+          {
+            code: {
+              components: [
+                {
+                  name: 'Page',
+                  code: "import { CardComponent } from '../shared/card.component';",
+                },
+              ],
+            },
+          },
+        ],
+        { components: [{ name: 'Card', code: 'export class CardComponent {}' }] }
+      );
+
+      expect(vue['src/shared/Card/Card.vue']).toBeDefined();
+      expect(vue['src/components/Page/Page.vue']).toBe(
+        "import Card from '../../shared/Card/Card.vue';"
+      );
+      expect(angular['src/app/shared/card/card.component.ts']).toBeDefined();
+      expect(angular['src/app/shared/index.ts']).toBe(
+        "export { CardComponent } from './card/card.component';\n"
+      );
+      expect(angular['src/app/components/page/page.component.ts']).toBe(
+        "import { CardComponent } from '../../shared/card/card.component';"
+      );
+    });
+  });
+
+  describe('copyAssets', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'source-tree-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should copy assets into the public directory of the tree', async () => {
+      await fs.mkdir(path.join(tempDir, 'assets/kit/icons'), { recursive: true });
+      await fs.writeFile(path.join(tempDir, 'assets/kit/icons/logo.svg'), '<svg />');
+
+      const copied = await service.copyAssets(tempDir, path.join(tempDir, 'react'), [
+        'assets/kit/icons/logo.svg',
+        'assets/kit/icons/logo.svg',
+      ]);
+
+      expect(copied).toEqual(['public/assets/kit/icons/logo.svg']);
+      expect(
+        await fs.readFile(path.join(tempDir, 'react/public/assets/kit/icons/logo.svg'), 'utf-8')
+      ).toBe('<svg />');
+    });
+  });
+
+  describe('writeFiles', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'source-tree-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should replace the tree of a previous run', async () => {
+      const treeDir = path.join(tempDir, 'react');
+      await service.writeFiles(treeDir, { 'src/Old.jsx': 'old' });
+
+      const written = await service.writeFiles(treeDir, {
+        'src/components/Button/Button.jsx': 'button',
+        'package.json': '{}',
+      });
+
+      expect(written).toEqual(['package.json', 'src/components/Button/Button.jsx']);
+      expect(
+        await fs.readFile(path.join(treeDir, 'src/components/Button/Button.jsx'), 'utf-8')
+      ).toBe('button');
+      await expect(fs.access(path.join(treeDir, 'src/Old.jsx'))).rejects.toThrow();
+    });
+  });
+});
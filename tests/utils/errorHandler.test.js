@@ -5,6 +5,7 @@ import {
   NotFoundError,
   UnauthorizedError,
   ExternalAPIError,
+  CancelledError,
   handleError,
   asyncHandler,
 } from '../../src/utils/errorHandler.js';
@@ -79,6 +80,16 @@ describe('errorHandler', () => {
     });
   });
 
+  describe('CancelledError', () => {
+    it('should create a 409 error with a default message', () => {
+      const error = new CancelledError();
+      expect(error.message).toBe('Operation cancelled');
+      expect(error.statusCode).toBe(409);
+      expect(error.name).toBe('CancelledError');
+      expect(new CancelledError('Job cancelled').message).toBe('Job cancelled');
+    });
+  });
+
   describe('handleError', () => {
     let req, res, consoleErrorSpy;
 
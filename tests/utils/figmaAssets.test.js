@@ -0,0 +1,86 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  getImageFill,
+  isVectorGraphic,
+  getAssetDescriptor,
+  imageFillToCss,
+} from '../../src/utils/figmaAssets.js';
+
+const imagePaint = { type: 'IMAGE', imageRef: 'ref-1', scaleMode: 'FIT' };
+
+describe('figmaAssets', () => {
+  describe('getImageFill', () => {
+    it('should return the first visible image paint', () => {
+      const node = {
+        fills: [
+          { type: 'SOLID', color: { r: 1, g: 1, b: 1 } },
+          { type: 'IMAGE', imageRef: 'hidden', visible: false },
+          imagePaint,
+        ],
+      };
+
+      expect(getImageFill(node)).toBe(imagePaint);
+      expect(getImageFill({ fills: [{ type: 'SOLID' }] })).toBeNull();
+      expect(getImageFill(null)).toBeNull();
+    });
+  });
+
+  describe('isVectorGraphic', () => {
+    it('should detect vector paths and containers made only of them', () => {
+      const icon = {
+        type: 'COMPONENT',
+        children: [
+          { type: 'VECTOR' },
+          { type: 'GROUP', children: [{ type: 'BOOLEAN_OPERATION' }] },
+          { type: 'TEXT', visible: false },
+        ],
+      };
+
+      expect(isVectorGraphic({ type: 'STAR' })).toBe(true);
+      expect(isVectorGraphic(icon)).toBe(true);
+    });
+
+    it('should reject containers with other content, empty ones and image fills', () => {
+      expect(
+        isVectorGraphic({ type: 'FRAME', children: [{ type: 'VECTOR' }, { type: 'TEXT' }] })
+      ).toBe(false);
+      expect(isVectorGraphic({ type: 'FRAME', children: [] })).toBe(false);
+      expect(isVectorGraphic({ type: 'VECTOR', fills: [imagePaint] })).toBe(false);
+      expect(isVectorGraphic({ type: 'ELLIPSE' })).toBe(false);
+    });
+  });
+
+  describe('getAssetDescriptor', () => {
+    it('should describe vectors, image layers and image backgrounds', () => {
+      expect(getAssetDescriptor({ type: 'VECTOR' })).toEqual({ kind: 'vector' });
+      expect(getAssetDescriptor({ type: 'RECTANGLE', fills: [imagePaint] })).toEqual({
+        kind: 'image',
+        imageRef: 'ref-1',
+        scaleMode: 'FIT',
+      });
+      expect(
+        getAssetDescriptor({
+          type: 'FRAME',
+          fills: [{ type: 'IMAGE', imageRef: 'ref-2' }],
+          children: [{ type: 'TEXT' }],
+        })
+      ).toEqual({ kind: 'fill', imageRef: 'ref-2', scaleMode: 'FILL' });
+      expect(getAssetDescriptor({ type: 'FRAME', children: [] })).toBeNull();
+    });
+  });
+
+  describe('imageFillToCss', () => {
+    it('should map scale modes to background declarations', () => {
+      expect(imageFillToCss({ src: '/assets/hero.png', scaleMode: 'FIT' })).toEqual({
+        backgroundImage: "url('/assets/hero.png')",
+        backgroundSize: 'contain',
+        backgroundPosition: 'center',
+        backgroundRepeat: 'no-repeat',
+      });
+      expect(imageFillToCss({ src: '/a.png', scaleMode: 'TILE' })).toMatchObject({
+        backgroundSize: 'auto',
+        backgroundRepeat: 'repeat',
+      });
+    });
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  mergeBreakpointFrames,
+  parseBreakpointFrameName,
+} from '../../src/utils/figmaBreakpoints.js';
+
+const frame = (id, name, width) => ({
+  id,
+  name,
+  type: 'FRAME',
+  properties: { width },
+  children: [],
+});
+
+describe('figmaBreakpoints', () => {
+  describe('parseBreakpointFrameName', () => {
+    it('should split the screen from a breakpoint name or width', () => {
+      expect(parseBreakpointFrameName('Home / Desktop')).toEqual({
+        screen: 'Home',
+        breakpoint: 'desktop',
+      });
+      expect(parseBreakpointFrameName('Mobile - Sign-up')).toEqual({
+        screen: 'Sign-up',
+        breakpoint: 'mobile',
+      });
+      expect(parseBreakpointFrameName('Pricing (1024px)')).toEqual({
+        screen: 'Pricing',
+        breakpoint: 'tablet',
+      });
+      expect(parseBreakpointFrameName('Checkout - 390')).toEqual({
+        screen: 'Checkout',
+        breakpoint: 'mobile',
+      });
+      expect(parseBreakpointFrameName('Watch / 200px')).toEqual({
+        screen: 'Watch',
+        breakpoint: 'mobile',
+      });
+      expect(parseBreakpointFrameName('Home / Wide', { base: 0, wide: 1600 })).toEqual({
+        screen: 'Home',
+        breakpoint: 'wide',
+      });
+    });
+
+    it('should return null for names without a breakpoint or a screen', () => {
+      expect(parseBreakpointFrameName('Home / Hero')).toBeNull();
+      expect(parseBreakpointFrameName('Desktop')).toBeNull();
+      expect(parseBreakpointFrameName('Step / 1')).toBeNull();
+      expect(parseBreakpointFrameName('Onboarding / 12')).toBeNull();
+      expect(parseBreakpointFrameName('Gallery / 10000')).toBeNull();
+    });
+  });
+
+  describe('mergeBreakpointFrames', () => {
+    it('should merge the frames of a screen into its narrowest one', () => {
+      const desktop = frame('1:1', 'Home / Desktop', 1440);
+      const mobile = frame('1:2', 'Home / Mobile', 375);
+      const tablet = frame('1:3', 'Home / Tablet', 768);
+      const about = frame('2:1', 'About / Mobile', 375);
+
+      const merged = mergeBreakpointFrames([desktop, about, mobile, tablet]);
+
+      expect(merged.map((component) => component.id)).toEqual(['2:1', '1:2']);
+      expect(merged[0]).toBe(about);
+      expect(merged[1]).toMatchObject({
+        id: '1:2',
+        name: 'Home',
+        responsive: {
+          breakpoint: 'mobile',
+          variants: [
+            { breakpoint: 'tablet', minWidth: 768, frame: tablet },
+            { breakpoint: 'desktop', minWidth: 1280, frame: desktop },
+          ],
+        },
+      });
+    });
+
+    it('should keep a second frame for the same breakpoint as a component of its own', () => {
+      const components = [
+        frame('1:1', 'Home / Mobile', 375),
+        frame('1:2', 'Home / Mobile', 360),
+        { ...frame('1:3', 'Home / Desktop', 1440), type: 'COMPONENT' },
+      ];
+
+      expect(mergeBreakpointFrames(components)).toEqual(components);
+    });
+  });
+});
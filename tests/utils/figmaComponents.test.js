@@ -0,0 +1,140 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  toPropName,
+  parseComponentPropertyDefinitions,
+  parseVariantName,
+  parseInstanceProperties,
+  parsePropertyReferences,
+  describeInstance,
+} from '../../src/utils/figmaComponents.js';
+
+describe('figmaComponents', () => {
+  describe('toPropName', () => {
+    it('should strip the property ID suffix and camelCase the name', () => {
+      expect(toPropName('Show icon#12:3')).toBe('showIcon');
+      expect(toPropName('Size')).toBe('size');
+      expect(toPropName('has-Border')).toBe('hasBorder');
+    });
+
+    it('should fall back for empty or numeric names', () => {
+      expect(toPropName('')).toBe('prop');
+      expect(toPropName('#1:2')).toBe('prop');
+      expect(toPropName('2 columns')).toBe('prop2Columns');
+    });
+  });
+
+  describe('parseComponentPropertyDefinitions', () => {
+    it('should parse every supported property type', () => {
+      const props = parseComponentPropertyDefinitions({
+        Variant: {
+          type: 'VARIANT',
+          defaultValue: 'primary',
+          variantOptions: ['primary', 'secondary'],
+        },
+        'Disabled#1:0': { type: 'BOOLEAN', defaultValue: false },
+        'Label#1:1': { type: 'TEXT', defaultValue: 'Button' },
+        'Icon#1:2': {
+          type: 'INSTANCE_SWAP',
+          defaultValue: '5:1',
+          preferredValues: [{ type: 'COMPONENT', key: 'abc' }],
+        },
+        Unknown: { type: 'SLOT' },
+      });
+
+      expect(props).toEqual([
+        {
+          name: 'variant',
+          figmaName: 'Variant',
+          type: 'variant',
+          defaultValue: 'primary',
+          options: ['primary', 'secondary'],
+        },
+        { name: 'disabled', figmaName: 'Disabled#1:0', type: 'boolean', defaultValue: false },
+        { name: 'label', figmaName: 'Label#1:1', type: 'text', defaultValue: 'Button' },
+        {
+          name: 'icon',
+          figmaName: 'Icon#1:2',
+          type: 'instance-swap',
+          defaultValue: '5:1',
+          preferredValues: [{ type: 'COMPONENT', key: 'abc' }],
+        },
+      ]);
+    });
+
+    it('should handle missing definitions and options', () => {
+      expect(parseComponentPropertyDefinitions()).toEqual([]);
+      expect(parseComponentPropertyDefinitions(null)).toEqual([]);
+      expect(parseComponentPropertyDefinitions({ Size: { type: 'VARIANT' } })[0]).toMatchObject({
+        defaultValue: null,
+        options: [],
+      });
+    });
+  });
+
+  describe('parseVariantName', () => {
+    it('should parse property=value pairs', () => {
+      expect(parseVariantName('Size=lg, State=Hover')).toEqual({ size: 'lg', state: 'Hover' });
+      expect(parseVariantName('Ratio=16=9')).toEqual({ ratio: '16=9' });
+    });
+
+    it('should ignore names that are not variant names', () => {
+      expect(parseVariantName('Button')).toEqual({});
+      expect(parseVariantName(undefined)).toEqual({});
+    });
+  });
+
+  describe('parseInstanceProperties', () => {
+    it('should map instance property values to prop names', () => {
+      expect(
+        parseInstanceProperties({
+          Size: { type: 'VARIANT', value: 'lg' },
+          'Show icon#1:0': { type: 'BOOLEAN', value: true },
+          Other: { type: 'UNKNOWN', value: 1 },
+        })
+      ).toEqual({
+        size: { type: 'variant', value: 'lg' },
+        showIcon: { type: 'boolean', value: true },
+      });
+      expect(parseInstanceProperties(undefined)).toEqual({});
+    });
+  });
+
+  describe('parsePropertyReferences', () => {
+    it('should map bound fields to prop names', () => {
+      expect(
+        parsePropertyReferences({ characters: 'Label#1:1', visible: 'Show icon#1:0' })
+      ).toEqual({ characters: 'label', visible: 'showIcon' });
+    });
+
+    it('should return null without references', () => {
+      expect(parsePropertyReferences(undefined)).toBeNull();
+      expect(parsePropertyReferences({})).toBeNull();
+    });
+  });
+
+  describe('describeInstance', () => {
+    it('should fall back to the node when the main component is not in the file', () => {
+      expect(describeInstance({ name: 'Remote', componentId: 'x' })).toEqual({
+        componentId: 'x',
+        componentKey: null,
+        componentName: 'Remote',
+        componentSetId: null,
+        componentSetKey: null,
+        componentSetName: null,
+        props: {},
+        overrides: [],
+      });
+    });
+
+    it('should handle overrides without fields and components outside sets', () => {
+      const description = describeInstance(
+        { name: 'Icon', componentId: 'c1', overrides: [{ id: 'o1' }] },
+        { components: { c1: { key: 'k', name: 'Icon/Star' } } }
+      );
+
+      expect(description.componentName).toBe('Icon/Star');
+      expect(description.componentSetId).toBeNull();
+      expect(description.overrides).toEqual([{ id: 'o1', fields: [] }]);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, it, expect } from '@jest/globals';
+import { extractEffects, textShadowCss } from '../../src/utils/figmaEffects.js';
+
+const black = { r: 0, g: 0, b: 0, a: 0.25 };
+
+describe('figmaEffects', () => {
+  describe('extractEffects', () => {
+    it('should convert drop and inner shadows into a box-shadow', () => {
+      const effects = extractEffects({
+        type: 'FRAME',
+        effects: [
+          { type: 'DROP_SHADOW', color: black, offset: { x: 0, y: 4 }, radius: 8, spread: 1 },
+          { type: 'INNER_SHADOW', color: black, offset: { x: 0, y: -1 }, radius: 0 },
+          { type: 'DROP_SHADOW', color: black, radius: 20, visible: false },
+        ],
+      });
+
+      expect(effects.shadows).toHaveLength(2);
+      expect(effects.css).toEqual({
+        boxShadow:
+          '0px 4px 8px 1px rgba(0, 0, 0, 0.25), inset 0px -1px 0px 0px rgba(0, 0, 0, 0.25)',
+      });
+    });
+
+    it('should convert layer and background blurs into filters', () => {
+      const effects = extractEffects(
+        {
+          type: 'RECTANGLE',
+          effects: [
+            { type: 'LAYER_BLUR', radius: 4 },
+            { type: 'BACKGROUND_BLUR', radius: 12.5 },
+          ],
+        },
+        'Glass/Frosted'
+      );
+
+      expect(effects).toEqual({
+        layerBlur: 4,
+        backgroundBlur: 12.5,
+        style: 'Glass/Frosted',
+        css: { filter: 'blur(4px)', backdropFilter: 'blur(12.5px)' },
+      });
+    });
+
+    it('should give text a text-shadow without spread or inner shadows', () => {
+      const effects = extractEffects({
+        type: 'TEXT',
+        effects: [
+          { type: 'INNER_SHADOW', color: black, offset: { x: 0, y: 1 }, radius: 2 },
+          { type: 'DROP_SHADOW', color: black, offset: { x: 1, y: 2 }, radius: 3, spread: 4 },
+        ],
+      });
+
+      expect(effects.css).toEqual({ textShadow: '1px 2px 3px rgba(0, 0, 0, 0.25)' });
+      expect(textShadowCss(effects.shadows.slice(0, 1))).toBeNull();
+    });
+
+    it('should default the color, offset, radius and spread of shadows and blurs', () => {
+      const effects = extractEffects({
+        type: 'FRAME',
+        effects: [
+          { type: 'INNER_SHADOW', blendMode: 'MULTIPLY' },
+          { type: 'LAYER_BLUR' },
+          { type: 'BACKGROUND_BLUR' },
+        ],
+      });
+
+      expect(effects.shadows).toEqual([
+        {
+          type: 'INNER_SHADOW',
+          color: 'rgba(0, 0, 0, 0.25)',
+          offset: { x: 0, y: 0 },
+          radius: 0,
+          spread: 0,
+        },
+      ]);
+      expect(effects.css).toEqual({
+        boxShadow: 'inset 0px 0px 0px 0px rgba(0, 0, 0, 0.25)',
+        filter: 'blur(0px)',
+        backdropFilter: 'blur(0px)',
+      });
+    });
+
+    it('should keep the spread of box shadows and leave blend modes out', () => {
+      const effects = extractEffects({
+        type: 'ELLIPSE',
+        effects: [
+          {
+            type: 'DROP_SHADOW',
+            color: black,
+            offset: { x: 2, y: 2 },
+            radius: 6,
+            spread: -2.345,
+            blendMode: 'SCREEN',
+          },
+        ],
+      });
+
+      expect(effects.shadows[0]).not.toHaveProperty('blendMode');
+      expect(effects.css).toEqual({ boxShadow: '2px 2px 6px -2.35px rgba(0, 0, 0, 0.25)' });
+    });
+
+    it('should give text with only inner shadows no text-shadow', () => {
+      const effects = extractEffects({
+        type: 'TEXT',
+        effects: [{ type: 'INNER_SHADOW', color: black, offset: { x: 0, y: 1 }, radius: 2 }],
+      });
+
+      expect(effects.shadows).toHaveLength(1);
+      expect(effects.css).toEqual({});
+    });
+
+    it('should ignore unsupported effect types', () => {
+      expect(
+        extractEffects({ type: 'FRAME', effects: [{ type: 'NOISE' }, { type: 'TEXTURE' }, null] })
+      ).toBeNull();
+    });
+
+    it('should return null for nodes without visible effects', () => {
+      expect(extractEffects({ type: 'FRAME', effects: [] })).toBeNull();
+      expect(
+        extractEffects({ type: 'FRAME', effects: [{ type: 'LAYER_BLUR', visible: false }] })
+      ).toBeNull();
+      expect(extractEffects(null)).toBeNull();
+    });
+  });
+});
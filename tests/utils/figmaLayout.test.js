@@ -0,0 +1,320 @@
+import { describe, it, expect } from '@jest/globals';
+import { extractConstraints, extractLayout, layoutToCss } from '../../src/utils/figmaLayout.js';
+
+describe('figmaLayout', () => {
+  describe('extractLayout', () => {
+    it('should return null for nodes outside auto-layout', () => {
+      expect(extractLayout(null)).toBeNull();
+      expect(extractLayout({ type: 'RECTANGLE' })).toBeNull();
+      expect(
+        extractLayout({ type: 'FRAME', layoutMode: 'NONE' }, { layoutMode: 'NONE' })
+      ).toBeNull();
+    });
+
+    it('should normalize a horizontal auto-layout container', () => {
+      const layout = extractLayout({
+        type: 'FRAME',
+        layoutMode: 'HORIZONTAL',
+        primaryAxisAlignItems: 'SPACE_BETWEEN',
+        counterAxisAlignItems: 'CENTER',
+        itemSpacing: 12,
+        paddingTop: 8,
+        paddingRight: 16,
+        paddingBottom: 8,
+        paddingLeft: 16,
+        primaryAxisSizingMode: 'FIXED',
+        counterAxisSizingMode: 'AUTO',
+      });
+
+      expect(layout).toEqual({
+        mode: 'flex',
+        direction: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        gap: 12,
+        wrap: false,
+        padding: { top: 8, right: 16, bottom: 8, left: 16 },
+        sizing: { horizontal: 'fixed', vertical: 'hug' },
+      });
+    });
+
+    it('should default alignment and padding for a vertical container', () => {
+      const layout = extractLayout({ layoutMode: 'VERTICAL', primaryAxisSizingMode: 'AUTO' });
+
+      expect(layout.direction).toBe('column');
+      expect(layout.justifyContent).toBe('flex-start');
+      expect(layout.alignItems).toBe('flex-start');
+      expect(layout.gap).toBe(0);
+      expect(layout.padding).toEqual({ top: 0, right: 0, bottom: 0, left: 0 });
+      expect(layout.sizing).toEqual({ horizontal: 'fixed', vertical: 'hug' });
+    });
+
+    it('should capture wrapping with a separate counter axis spacing', () => {
+      const layout = extractLayout({
+        layoutMode: 'HORIZONTAL',
+        layoutWrap: 'WRAP',
+        itemSpacing: 8,
+        counterAxisSpacing: 24,
+      });
+
+      expect(layout.wrap).toBe(true);
+      expect(layout.rowGap).toBe(24);
+    });
+
+    it('should prefer the explicit layoutSizing fields', () => {
+      const layout = extractLayout({
+        layoutMode: 'VERTICAL',
+        layoutSizingHorizontal: 'FILL',
+        layoutSizingVertical: 'HUG',
+      });
+
+      expect(layout.sizing).toEqual({ horizontal: 'fill', vertical: 'hug' });
+    });
+
+    it('should describe a child inside an auto-layout parent', () => {
+      const layout = extractLayout(
+        { type: 'TEXT', layoutGrow: 1, layoutAlign: 'STRETCH' },
+        { layoutMode: 'HORIZONTAL' }
+      );
+
+      expect(layout.mode).toBe('none');
+      expect(layout.padding).toBeUndefined();
+      expect(layout.sizing).toEqual({ horizontal: 'fill', vertical: 'fill' });
+      expect(layout.child).toEqual({
+        positioning: 'auto',
+        grow: 1,
+        alignSelf: 'stretch',
+        parentDirection: 'row',
+      });
+    });
+
+    it('should flag absolutely positioned children', () => {
+      const layout = extractLayout({ layoutPositioning: 'ABSOLUTE' }, { layoutMode: 'VERTICAL' });
+
+      expect(layout.child.positioning).toBe('absolute');
+      expect(layout.child.alignSelf).toBeNull();
+    });
+
+    it('should normalize grid containers and grid children', () => {
+      const container = extractLayout({
+        layoutMode: 'GRID',
+        gridColumnCount: 3,
+        gridRowCount: 2,
+        gridColumnGap: 16,
+        gridRowGap: 16,
+      });
+
+      expect(container.mode).toBe('grid');
+      expect(container.grid).toEqual({
+        columns: 3,
+        rows: 2,
+        columnGap: 16,
+        rowGap: 16,
+        columnsSizing: null,
+        rowsSizing: null,
+      });
+
+      const child = extractLayout(
+        {
+          gridColumnSpan: 2,
+          gridRowAnchorIndex: 0,
+          gridColumnAnchorIndex: 1,
+          gridChildHorizontalAlign: 'CENTER',
+        },
+        { layoutMode: 'GRID' }
+      );
+
+      expect(child.child.parentDirection).toBeNull();
+      expect(child.child.grid).toEqual({
+        rowSpan: 1,
+        columnSpan: 2,
+        rowStart: 1,
+        columnStart: 2,
+        justifySelf: 'center',
+        alignSelf: null,
+      });
+    });
+  });
+
+  describe('layoutToCss', () => {
+    it('should return an empty object without layout', () => {
+      expect(layoutToCss(null)).toEqual({});
+    });
+
+    it('should convert a flex container', () => {
+      const css = layoutToCss(
+        extractLayout({
+          layoutMode: 'HORIZONTAL',
+          primaryAxisAlignItems: 'CENTER',
+          counterAxisAlignItems: 'MAX',
+          itemSpacing: 8,
+          paddingTop: 4,
+          paddingBottom: 4,
+          paddingLeft: 12,
+          paddingRight: 12,
+          primaryAxisSizingMode: 'AUTO',
+        })
+      );
+
+      expect(css).toEqual({
+        display: 'flex',
+        flexDirection: 'row',
+        justifyContent: 'center',
+        alignItems: 'flex-end',
+        gap: '8px',
+        padding: '4px 12px',
+        width: 'fit-content',
+      });
+    });
+
+    it('should format uniform and asymmetric paddings', () => {
+      const uniform = layoutToCss(
+        extractLayout({
+          layoutMode: 'VERTICAL',
+          paddingTop: 8,
+          paddingRight: 8,
+          paddingBottom: 8,
+          paddingLeft: 8,
+        })
+      );
+      const asymmetric = layoutToCss(
+        extractLayout({ layoutMode: 'VERTICAL', paddingTop: 1, paddingRight: 2, paddingLeft: 4 })
+      );
+
+      expect(uniform.padding).toBe('8px');
+      expect(asymmetric.padding).toBe('1px 2px 0px 4px');
+    });
+
+    it('should convert wrapping gaps', () => {
+      const sameGap = layoutToCss(
+        extractLayout({ layoutMode: 'HORIZONTAL', layoutWrap: 'WRAP', itemSpacing: 8 })
+      );
+      const splitGap = layoutToCss(
+        extractLayout({
+          layoutMode: 'HORIZONTAL',
+          layoutWrap: 'WRAP',
+          itemSpacing: 8,
+          counterAxisSpacing: 16,
+        })
+      );
+
+      expect(sameGap.flexWrap).toBe('wrap');
+      expect(sameGap.gap).toBe('8px');
+      expect(splitGap.rowGap).toBe('16px');
+      expect(splitGap.columnGap).toBe('8px');
+    });
+
+    it('should convert fill sizing relative to the parent direction', () => {
+      const mainAxis = layoutToCss(
+        extractLayout({ layoutSizingHorizontal: 'FILL' }, { layoutMode: 'HORIZONTAL' })
+      );
+      const crossAxis = layoutToCss(
+        extractLayout({ layoutSizingHorizontal: 'FILL' }, { layoutMode: 'VERTICAL' })
+      );
+      const rootFill = layoutToCss(
+        extractLayout({ layoutMode: 'VERTICAL', layoutSizingHorizontal: 'FILL' })
+      );
+
+      expect(mainAxis.flex).toBe('1 1 0');
+      expect(crossAxis.alignSelf).toBe('stretch');
+      expect(rootFill.width).toBe('100%');
+    });
+
+    it('should convert absolute children and explicit alignment', () => {
+      const css = layoutToCss(
+        extractLayout(
+          { layoutPositioning: 'ABSOLUTE', layoutAlign: 'CENTER' },
+          { layoutMode: 'HORIZONTAL' }
+        )
+      );
+
+      expect(css.position).toBe('absolute');
+      expect(css.alignSelf).toBe('center');
+    });
+
+    it('should convert grid containers and children', () => {
+      const container = layoutToCss(
+        extractLayout({
+          layoutMode: 'GRID',
+          gridColumnCount: 3,
+          gridRowCount: 2,
+          gridRowGap: 8,
+          gridColumnGap: 16,
+        })
+      );
+      const templated = layoutToCss(
+        extractLayout({
+          layoutMode: 'GRID',
+          gridColumnsSizing: '200px 1fr',
+          gridRowGap: 4,
+          gridColumnGap: 4,
+        })
+      );
+      const anchored = layoutToCss(
+        extractLayout(
+          {
+            gridRowSpan: 2,
+            gridColumnSpan: 1,
+            gridRowAnchorIndex: 1,
+            gridColumnAnchorIndex: 0,
+            gridChildVerticalAlign: 'MAX',
+            gridChildHorizontalAlign: 'MIN',
+          },
+          { layoutMode: 'GRID' }
+        )
+      );
+      const spanning = layoutToCss(
+        extractLayout({ gridRowSpan: 2, gridColumnSpan: 3 }, { layoutMode: 'GRID' })
+      );
+
+      expect(container).toEqual({
+        display: 'grid',
+        gridTemplateColumns: 'repeat(3, 1fr)',
+        gridTemplateRows: 'repeat(2, auto)',
+        gap: '8px 16px',
+      });
+      expect(templated.gridTemplateColumns).toBe('200px 1fr');
+      expect(templated.gridTemplateRows).toBeUndefined();
+      expect(templated.gap).toBe('4px');
+      expect(anchored).toEqual({
+        gridColumn: '1 / span 1',
+        gridRow: '2 / span 2',
+        justifySelf: 'start',
+        alignSelf: 'end',
+      });
+      expect(spanning.gridColumn).toBe('span 3');
+      expect(spanning.gridRow).toBe('span 2');
+    });
+  });
+
+  describe('extractConstraints', () => {
+    const frame = { type: 'FRAME', layoutMode: 'NONE' };
+
+    it('should map constraints of freely positioned layers, leaving defaults out', () => {
+      expect(
+        extractConstraints(
+          { constraints: { horizontal: 'LEFT_RIGHT', vertical: 'TOP' }, maxWidth: 960 },
+          frame
+        )
+      ).toEqual({ horizontal: 'stretch', maxWidth: 960 });
+      expect(
+        extractConstraints({ constraints: { horizontal: 'SCALE', vertical: 'CENTER' } }, frame)
+      ).toEqual({ horizontal: 'scale', vertical: 'center' });
+      expect(
+        extractConstraints({ constraints: { horizontal: 'LEFT', vertical: 'TOP' } }, frame)
+      ).toBeNull();
+    });
+
+    it('should ignore constraints inside auto-layout unless absolutely positioned', () => {
+      const row = { layoutMode: 'HORIZONTAL' };
+      const constraints = { horizontal: 'RIGHT', vertical: 'BOTTOM' };
+
+      expect(extractConstraints({ constraints, minWidth: 120 }, row)).toEqual({ minWidth: 120 });
+      expect(extractConstraints({ constraints, layoutPositioning: 'ABSOLUTE' }, row)).toEqual({
+        horizontal: 'right',
+        vertical: 'bottom',
+      });
+      expect(extractConstraints({ constraints }, null)).toBeNull();
+    });
+  });
+});
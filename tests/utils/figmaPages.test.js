@@ -0,0 +1,132 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  globToRegExp,
+  pageFrames,
+  pageMatches,
+  frameMatches,
+  limitAcrossPages,
+} from '../../src/utils/figmaPages.js';
+
+describe('figmaPages', () => {
+  describe('globToRegExp', () => {
+    it('should match names case-insensitively with * and ?', () => {
+      expect(globToRegExp('Checkout*').test('checkout / Cart')).toBe(true);
+      expect(globToRegExp('Step ?').test('Step 2')).toBe(true);
+      expect(globToRegExp('Step ?').test('Step 10')).toBe(false);
+      expect(globToRegExp('Cart (old)').test('Cart (old)')).toBe(true);
+      expect(globToRegExp('Cart').test('Cart / Mobile')).toBe(false);
+    });
+  });
+
+  describe('pageFrames', () => {
+    it('should unwrap sections and remember them', () => {
+      const page = {
+        children: [
+          { id: '1:1', name: 'Cart', type: 'FRAME' },
+          {
+            id: '2:0',
+            name: 'Payment',
+            type: 'SECTION',
+            children: [
+              { id: '2:1', name: 'Card', type: 'FRAME' },
+              {
+                id: '3:0',
+                name: 'Errors',
+                type: 'SECTION',
+                children: [{ id: '3:1', name: 'Declined', type: 'FRAME' }],
+              },
+            ],
+          },
+        ],
+      };
+
+      expect(pageFrames(page)).toEqual([
+        { node: page.children[0], sections: [] },
+        { node: page.children[1].children[0], sections: [{ id: '2:0', name: 'Payment' }] },
+        {
+          node: page.children[1].children[1].children[0],
+          sections: [
+            { id: '2:0', name: 'Payment' },
+            { id: '3:0', name: 'Errors' },
+          ],
+        },
+      ]);
+      expect(pageFrames({})).toEqual([]);
+    });
+  });
+
+  describe('pageMatches', () => {
+    it('should keep every page without page filters', () => {
+      expect(pageMatches('Home', null)).toBe(true);
+      expect(pageMatches('Home', { include: { frames: ['Cart'] } })).toBe(true);
+    });
+
+    it('should apply included and excluded page names', () => {
+      const filters = { include: { pages: ['Checkout*'] }, exclude: { pages: ['* (old)'] } };
+
+      expect(pageMatches('Checkout', filters)).toBe(true);
+      expect(pageMatches('Home', filters)).toBe(false);
+      expect(pageMatches('Checkout (old)', filters)).toBe(false);
+    });
+  });
+
+  describe('frameMatches', () => {
+    const frame = { page: 'Checkout', name: 'Cart / Mobile', type: 'FRAME', sections: ['Flow'] };
+
+    it('should keep frames matching every include list', () => {
+      expect(frameMatches(frame, null)).toBe(true);
+      expect(frameMatches(frame, { include: { frames: ['Cart*'], types: ['FRAME'] } })).toBe(true);
+      expect(frameMatches(frame, { include: { frames: ['Cart*'], types: ['COMPONENT'] } })).toBe(
+        false
+      );
+      expect(frameMatches(frame, { include: { sections: ['flow'] } })).toBe(true);
+      expect(frameMatches({ ...frame, sections: [] }, { include: { sections: ['*'] } })).toBe(
+        false
+      );
+    });
+
+    it('should drop frames matching any exclude list', () => {
+      expect(frameMatches(frame, { exclude: { frames: ['* / Mobile'] } })).toBe(false);
+      expect(frameMatches(frame, { exclude: { sections: ['Archive'] } })).toBe(true);
+    });
+
+    it('should match frames without a name or sections as empty names', () => {
+      expect(frameMatches({ page: 'Home', type: 'FRAME' }, { include: { frames: ['*'] } })).toBe(
+        true
+      );
+      expect(frameMatches({ page: 'Home', type: 'FRAME' }, { include: { frames: ['?*'] } })).toBe(
+        false
+      );
+    });
+  });
+
+  describe('limitAcrossPages', () => {
+    const component = (id, pageId) => ({ id, page: { id: pageId } });
+
+    it('should take frames from every page in turn and keep document order', () => {
+      const components = [
+        component('1:1', 'a'),
+        component('1:2', 'a'),
+        component('1:3', 'a'),
+        component('2:1', 'b'),
+        component('3:1', 'c'),
+        component('3:2', 'c'),
+      ];
+
+      expect(limitAcrossPages(components, 4).map(({ id }) => id)).toEqual([
+        '1:1',
+        '1:2',
+        '2:1',
+        '3:1',
+      ]);
+      expect(limitAcrossPages(components, 0)).toEqual([]);
+      expect(limitAcrossPages(components, Infinity)).toBe(components);
+    });
+
+    it('should group components without a page together', () => {
+      const components = [component('1:1', 'a'), { id: '9:1' }, { id: '9:2' }];
+
+      expect(limitAcrossPages(components, 2).map(({ id }) => id)).toEqual(['1:1', '9:1']);
+    });
+  });
+});
@@ -0,0 +1,206 @@
+import { describe, it, expect } from '@jest/globals';
+import { extractPaint, paintToCss, toCssBlendMode } from '../../src/utils/figmaPaint.js';
+
+const red = { r: 1, g: 0, b: 0, a: 1 };
+const blue = { r: 0, g: 0, b: 1, a: 1 };
+const stops = [
+  { position: 0, color: red },
+  { position: 1, color: blue },
+];
+
+describe('figmaPaint', () => {
+  describe('paintToCss', () => {
+    it('should convert solid paints with paint and layer opacity', () => {
+      expect(paintToCss({ type: 'SOLID', color: red, opacity: 0.5 }, 0.5)).toBe(
+        'rgba(255, 0, 0, 0.25)'
+      );
+    });
+
+    it('should convert linear gradients using the handle direction', () => {
+      const paint = {
+        type: 'GRADIENT_LINEAR',
+        gradientHandlePositions: [
+          { x: 0.5, y: 0 },
+          { x: 0.5, y: 1 },
+          { x: 0, y: 0 },
+        ],
+        gradientStops: stops,
+      };
+
+      expect(paintToCss(paint)).toBe(
+        'linear-gradient(180deg, rgba(255, 0, 0, 1) 0%, rgba(0, 0, 255, 1) 100%)'
+      );
+    });
+
+    it('should correct gradient angles for the node aspect ratio', () => {
+      const paint = {
+        type: 'GRADIENT_LINEAR',
+        gradientHandlePositions: [
+          { x: 0, y: 0 },
+          { x: 1, y: 1 },
+        ],
+        gradientStops: stops,
+      };
+
+      expect(paintToCss(paint, 1, { width: 100, height: 100 })).toMatch(/^linear-gradient\(135deg/);
+      expect(paintToCss(paint, 1, { width: 200, height: 0.0001 })).toMatch(
+        /^linear-gradient\(90deg/
+      );
+    });
+
+    it('should convert radial, diamond and angular gradients', () => {
+      const handles = [
+        { x: 0.5, y: 0.5 },
+        { x: 1, y: 0.5 },
+        { x: 0.5, y: 1 },
+      ];
+
+      expect(
+        paintToCss({
+          type: 'GRADIENT_RADIAL',
+          gradientHandlePositions: handles,
+          gradientStops: stops,
+        })
+      ).toBe(
+        'radial-gradient(ellipse 50% 50% at 50% 50%, rgba(255, 0, 0, 1) 0%, rgba(0, 0, 255, 1) 100%)'
+      );
+      expect(
+        paintToCss({
+          type: 'GRADIENT_DIAMOND',
+          gradientHandlePositions: handles,
+          gradientStops: stops,
+        })
+      ).toMatch(/^radial-gradient\(/);
+      expect(
+        paintToCss({
+          type: 'GRADIENT_ANGULAR',
+          gradientHandlePositions: handles,
+          gradientStops: stops,
+        })
+      ).toBe(
+        'conic-gradient(from 90deg at 50% 50%, rgba(255, 0, 0, 1) 0%, rgba(0, 0, 255, 1) 100%)'
+      );
+    });
+
+    it('should return null for images and gradients without stops', () => {
+      expect(paintToCss({ type: 'IMAGE', imageRef: 'ref' })).toBeNull();
+      expect(paintToCss({ type: 'GRADIENT_LINEAR', gradientStops: [] })).toBeNull();
+    });
+  });
+
+  describe('toCssBlendMode', () => {
+    it('should map blend modes with a CSS equivalent', () => {
+      expect(toCssBlendMode('COLOR_DODGE')).toBe('color-dodge');
+      expect(toCssBlendMode('PASS_THROUGH')).toBeNull();
+      expect(toCssBlendMode('LINEAR_BURN')).toBeNull();
+    });
+  });
+
+  describe('extractPaint', () => {
+    it('should stack visible fills into CSS background layers, top first', () => {
+      const paint = extractPaint({
+        type: 'FRAME',
+        fills: [
+          { type: 'SOLID', color: red },
+          { type: 'SOLID', color: blue, visible: false },
+          { type: 'SOLID', color: blue, opacity: 0.5, blendMode: 'MULTIPLY' },
+        ],
+        children: [{ type: 'TEXT' }],
+      });
+
+      expect(paint.fills).toEqual([
+        { type: 'SOLID', css: 'rgba(255, 0, 0, 1)' },
+        { type: 'SOLID', css: 'rgba(0, 0, 255, 0.5)', blendMode: 'multiply' },
+      ]);
+      expect(paint.css).toEqual({
+        background:
+          'linear-gradient(rgba(0, 0, 255, 0.5), rgba(0, 0, 255, 0.5)), rgba(255, 0, 0, 1)',
+        backgroundBlendMode: 'multiply, normal',
+      });
+    });
+
+    it('should fold layer opacity into the colors of leaves only', () => {
+      const fills = [{ type: 'SOLID', color: red }];
+
+      expect(extractPaint({ type: 'VECTOR', opacity: 0.5, fills }).css).toEqual({
+        background: 'rgba(255, 0, 0, 0.5)',
+      });
+      expect(
+        extractPaint({ type: 'GROUP', opacity: 0.5, fills, children: [{ type: 'VECTOR' }] }).css
+      ).toEqual({ background: 'rgba(255, 0, 0, 1)', opacity: '0.5' });
+    });
+
+    it('should convert strokes into borders and outlines', () => {
+      const strokes = [{ type: 'SOLID', color: red }];
+
+      expect(
+        extractPaint({ type: 'RECTANGLE', strokes, strokeWeight: 2, strokeDashes: [4, 2] })
+      ).toMatchObject({
+        strokes: { weight: 2, align: 'INSIDE', dashes: [4, 2] },
+        css: { border: '2px dashed rgba(255, 0, 0, 1)' },
+      });
+      expect(
+        extractPaint({ type: 'RECTANGLE', strokes, strokeWeight: 1, strokeAlign: 'OUTSIDE' }).css
+      ).toEqual({ outline: '1px solid rgba(255, 0, 0, 1)' });
+      expect(
+        extractPaint({
+          type: 'FRAME',
+          strokes,
+          strokeWeight: 1,
+          individualStrokeWeights: { top: 0, right: 0, bottom: 1, left: 0 },
+        }).css
+      ).toEqual({ border: '1px solid rgba(255, 0, 0, 1)', borderWidth: '0px 0px 1px 0px' });
+    });
+
+    it('should draw gradient strokes with a border image', () => {
+      const paint = extractPaint({
+        type: 'RECTANGLE',
+        strokes: [{ type: 'GRADIENT_LINEAR', gradientStops: stops }],
+        strokeWeight: 1,
+      });
+
+      expect(paint.css.border).toBe('1px solid transparent');
+      expect(paint.css.borderImage).toMatch(/^linear-gradient\(90deg, .*\) 1$/);
+    });
+
+    it('should convert corner radii, ellipses and blend modes', () => {
+      expect(extractPaint({ type: 'RECTANGLE', rectangleCornerRadii: [8, 8, 0, 0] }).css).toEqual({
+        borderRadius: '8px 8px 0px 0px',
+      });
+      expect(extractPaint({ type: 'RECTANGLE', rectangleCornerRadii: [4, 4, 4, 4] }).radius).toBe(
+        '4px'
+      );
+      expect(extractPaint({ type: 'ELLIPSE', blendMode: 'SCREEN' }).css).toEqual({
+        borderRadius: '50%',
+        mixBlendMode: 'screen',
+      });
+    });
+
+    it('should color text with its top fill or clip gradients to it', () => {
+      expect(extractPaint({ type: 'TEXT', fills: [{ type: 'SOLID', color: red }] }).css).toEqual({
+        color: 'rgba(255, 0, 0, 1)',
+      });
+      expect(
+        extractPaint({ type: 'TEXT', fills: [{ type: 'GRADIENT_LINEAR', gradientStops: stops }] })
+          .css
+      ).toMatchObject({
+        backgroundClip: 'text',
+        WebkitBackgroundClip: 'text',
+        color: 'transparent',
+      });
+    });
+
+    it('should keep image fills for asset export and return null for unpainted nodes', () => {
+      const paint = extractPaint({
+        type: 'RECTANGLE',
+        opacity: 0.5,
+        fills: [{ type: 'IMAGE', imageRef: 'ref-1', scaleMode: 'FILL' }],
+      });
+
+      expect(paint.fills).toEqual([{ type: 'IMAGE', imageRef: 'ref-1', scaleMode: 'FILL' }]);
+      expect(paint.css).toEqual({ opacity: '0.5' });
+      expect(extractPaint({ type: 'GROUP', children: [] })).toBeNull();
+      expect(extractPaint(null)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,295 @@
+import { describe, it, expect } from '@jest/globals';
+import { collectRepeats, findRepeats, shapeOf } from '../../src/utils/figmaRepeats.js';
+
+const text = (id, content, extra = {}) => ({
+  id,
+  name: content,
+  type: 'TEXT',
+  properties: { content },
+  children: [],
+  ...extra,
+});
+const card = (index, title, price, src = `/assets/p${index}.png`) => ({
+  id: `1:${index}`,
+  name: `Product Card ${index}`,
+  type: 'FRAME',
+  properties: {},
+  children: [
+    {
+      id: `2:${index}`,
+      name: 'Rectangle 4',
+      type: 'RECTANGLE',
+      properties: {},
+      asset: { kind: 'image', imageRef: `ref-${index}`, src },
+      children: [],
+    },
+    text(`3:${index}`, title, { role: 'heading' }),
+    text(`4:${index}`, price, { name: 'Price' }),
+  ],
+});
+const grid = (children) => ({ id: '0:1', name: 'Grid', type: 'FRAME', properties: {}, children });
+
+describe('figmaRepeats', () => {
+  describe('shapeOf', () => {
+    it('should compare instances by main component and other nodes by structure', () => {
+      expect(shapeOf(card(1, 'Chair', '$10'))).toBe(shapeOf(card(2, 'Table', '$20')));
+      expect(shapeOf({ ...card(1, 'Chair', '$10'), children: [] })).not.toBe(
+        shapeOf(card(2, 'Table', '$20'))
+      );
+      expect(
+        shapeOf({ type: 'INSTANCE', instance: { componentId: 'c:1', componentSetId: 's:1' } })
+      ).toBe(
+        shapeOf({ type: 'INSTANCE', instance: { componentId: 'c:2', componentSetId: 's:1' } })
+      );
+    });
+  });
+
+  describe('findRepeats', () => {
+    it('should pull the differing text and images of repeated siblings into items', () => {
+      const [run] = findRepeats(
+        grid([card(1, 'Chair', '$10'), card(2, 'Table', '$20'), card(3, 'Lamp', '$10')])
+      );
+
+      expect(run).toMatchObject({
+        name: 'productCard',
+        collection: 'productCards',
+        type: 'ProductCardItem',
+        nodes: ['1:1', '1:2', '1:3'],
+      });
+      expect(run.fields).toEqual([
+        { name: 'image', kind: 'image', node: '2:1', type: 'string' },
+        { name: 'title', kind: 'text', node: '3:1', type: 'string' },
+        { name: 'price', kind: 'text', node: '4:1', type: 'string' },
+      ]);
+      expect(run.items[1]).toEqual({
+        id: '1:2',
+        image: '/assets/p2.png',
+        title: 'Table',
+        price: '$20',
+      });
+    });
+
+    it('should keep shared content out of the fields and tell images apart before export', () => {
+      const [run] = findRepeats(grid([1, 2, 3].map((index) => card(index, 'Chair', '$10', null))));
+
+      expect(run.fields.map(({ name }) => name)).toEqual(['image']);
+      expect(run.items.map(({ image }) => image)).toEqual([null, null, null]);
+    });
+
+    it('should turn differing instance props into fields', () => {
+      const tab = (index, label, active) => ({
+        id: `5:${index}`,
+        name: 'Tab',
+        type: 'INSTANCE',
+        properties: {},
+        instance: {
+          componentId: 'c:1',
+          componentSetId: 's:1',
+          componentSetName: 'Nav Tab',
+          props: {
+            label: { type: 'text', value: label },
+            active: { type: 'variant', value: active },
+            icon: { type: 'instance-swap', value: `i:${index}` },
+          },
+        },
+        children: [],
+      });
+
+      const [run] = findRepeats(
+        grid([tab(1, 'Home', 'true'), tab(2, 'Shop', 'false'), tab(3, 'Cart', 'false')])
+      );
+
+      expect(run.collection).toBe('navTabs');
+      expect(run.fields).toEqual([
+        { name: 'label', kind: 'prop', node: '5:1', prop: 'label', type: 'string' },
+        { name: 'active', kind: 'prop', node: '5:1', prop: 'active', type: 'string' },
+      ]);
+      expect(run.items[0]).toEqual({ id: '5:1', label: 'Home', active: 'true' });
+    });
+
+    it('should only group runs of three or more containers', () => {
+      const rows = [card(1, 'Chair', '$10'), card(2, 'Table', '$20')];
+
+      expect(findRepeats(grid(rows))).toEqual([]);
+      expect(findRepeats(grid([text('6:1', 'A'), text('6:2', 'B'), text('6:3', 'C')]))).toEqual([]);
+      expect(
+        findRepeats({ ...grid([...rows, card(3, 'Lamp', '$30')]), type: 'COMPONENT_SET' })
+      ).toEqual([]);
+    });
+
+    it('should name runs of default layer names as items', () => {
+      const frame = (index) => ({
+        id: `7:${index}`,
+        name: `Frame ${index}`,
+        type: 'FRAME',
+        properties: {},
+        children: [text(`8:${index}`, `Row ${index}`)],
+      });
+
+      const [run] = findRepeats(grid([frame(1), frame(2), frame(3), null]));
+
+      expect(run).toMatchObject({ name: 'item', collection: 'items', type: 'Item' });
+      expect(run.items.map(({ text: value }) => value)).toEqual(['Row 1', 'Row 2', 'Row 3']);
+    });
+    it('should end a run at a sibling of another shape', () => {
+      const runs = findRepeats(
+        grid([
+          card(1, 'Chair', '$10'),
+          card(2, 'Table', '$20'),
+          text('6:1', 'Sale'),
+          card(3, 'Lamp', '$30'),
+          card(4, 'Desk', '$40'),
+          card(5, 'Sofa', '$50'),
+        ])
+      );
+
+      expect(runs).toHaveLength(1);
+      expect(runs[0].nodes).toEqual(['1:3', '1:4', '1:5']);
+    });
+
+    it('should keep siblings of one structure but another name or style out of a run', () => {
+      const tile = (id, name, label, extra = {}) => ({
+        id,
+        name,
+        type: 'FRAME',
+        properties: {},
+        children: [text(`${id}-t`, label)],
+        ...extra,
+      });
+      const plain = [1, 2, 3].map((index) => tile(`20:${index}`, 'Card', `Product ${index}`));
+      const button = tile('20:0', 'Sign in button', 'Sign in', {
+        role: 'button',
+        paint: { fills: [], css: { background: '#3366ff' } },
+      });
+      const styled = tile('20:4', 'Card', 'Featured', {
+        paint: { fills: [], css: { background: '#ffcc00' } },
+      });
+
+      const runs = findRepeats(grid([button, ...plain, styled]));
+
+      expect(runs).toHaveLength(1);
+      expect(runs[0]).toMatchObject({ name: 'card', nodes: ['20:1', '20:2', '20:3'] });
+      expect(runs[0].items.map(({ text: value }) => value)).toEqual([
+        'Product 1',
+        'Product 2',
+        'Product 3',
+      ]);
+      expect(
+        findRepeats(
+          grid([
+            button,
+            { ...button, id: '20:5', name: 'Sign in button 2' },
+            { ...button, id: '20:6', name: 'Sign in button 3', layout: { mode: 'flex' } },
+          ])
+        )
+      ).toEqual([]);
+    });
+
+    it('should only compare the layers every item of a run shares', () => {
+      const badge = (index, label, children) => ({
+        id: `10:${index}`,
+        name: 'Badge',
+        type: 'INSTANCE',
+        properties: {},
+        instance: {
+          componentId: 'c:9',
+          componentName: 'Category 2',
+          props: index === 3 ? {} : { tone: { type: 'boolean', value: index === 1 } },
+        },
+        children: [text(`11:${index}`, label), ...children],
+      });
+      const icon = (index) => ({
+        id: `12:${index}`,
+        name: 'Icon',
+        type: 'VECTOR',
+        properties: {},
+        asset: { kind: 'svg', src: `/assets/i${index}.svg` },
+        children: [],
+      });
+      const dot = (index) => ({ ...icon(index), type: 'ELLIPSE' });
+
+      const [run] = findRepeats(
+        grid([badge(1, 'New', [icon(1)]), badge(2, 'Hot', [dot(2)]), badge(3, 'Sale', [icon(3)])])
+      );
+
+      expect(run).toMatchObject({ name: 'category', collection: 'categories' });
+      expect(run.fields).toEqual([
+        { name: 'tone', kind: 'prop', node: '10:1', prop: 'tone', type: 'boolean' },
+        { name: 'text', kind: 'text', node: '11:1', type: 'string' },
+      ]);
+      expect(run.items.map(({ tone }) => tone)).toEqual([true, false, null]);
+    });
+
+    it('should name fields after bound props and renamed layers, suffixing collisions', () => {
+      const box = (index) => ({
+        id: `13:${index}`,
+        name: 'Box',
+        type: 'FRAME',
+        properties: {},
+        children: [
+          text(`14:${index}`, `Label ${index}`, { propertyRefs: { characters: 'caption' } }),
+          text(`15:${index}`, `Note ${index}`, { name: 'Caption' }),
+          {
+            id: `16:${index}`,
+            name: 'Cover Photo',
+            type: 'RECTANGLE',
+            properties: {},
+            asset: { kind: 'image', imageRef: `ref-${index}` },
+            children: [],
+          },
+        ],
+      });
+
+      const [run] = findRepeats(grid([box(1), box(2), box(3)]));
+
+      expect(run.collection).toBe('boxes');
+      expect(run.fields.map(({ name }) => name)).toEqual(['caption', 'caption2', 'coverPhoto']);
+      expect(run.items[2]).toEqual({
+        id: '13:3',
+        caption: 'Label 3',
+        caption2: 'Note 3',
+        coverPhoto: null,
+      });
+    });
+    it('should default missing names, content, images and children', () => {
+      const row = (index, content, imageRef) => ({
+        id: `17:${index}`,
+        type: 'FRAME',
+        children: [
+          { id: `18:${index}`, type: 'TEXT', ...(content && { properties: { content } }) },
+          { id: `19:${index}`, type: 'RECTANGLE', asset: { kind: 'image', imageRef } },
+        ],
+      });
+
+      const [run] = findRepeats(grid([row(1, 'A'), row(2, null, 'ref-2'), row(3, 'C')]));
+
+      expect(run).toMatchObject({ name: 'item', collection: 'items' });
+      expect(run.items).toEqual([
+        { id: '17:1', text: 'A', image: null },
+        { id: '17:2', text: '', image: null },
+        { id: '17:3', text: 'C', image: null },
+      ]);
+      expect(findRepeats({ id: '0:2', type: 'FRAME' })).toEqual([]);
+      expect(findRepeats(null)).toEqual([]);
+    });
+  });
+
+  describe('collectRepeats', () => {
+    it('should find repeated content anywhere under a node', () => {
+      const page = {
+        id: '9:1',
+        name: 'Shop',
+        type: 'FRAME',
+        children: [
+          grid([card(1, 'Chair', '$10'), card(2, 'Table', '$20'), card(3, 'Lamp', '$30')]),
+        ],
+      };
+
+      const runs = collectRepeats(page);
+
+      expect(runs).toHaveLength(1);
+      expect(runs[0].parent).toEqual({ id: '0:1', name: 'Grid' });
+      expect(collectRepeats(null)).toEqual([]);
+    });
+  });
+});
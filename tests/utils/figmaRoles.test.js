@@ -0,0 +1,109 @@
+import { describe, it, expect } from '@jest/globals';
+import { inferRole, roleOverride, hasRepeatedChildren } from '../../src/utils/figmaRoles.js';
+
+const solid = [{ type: 'SOLID', color: { r: 0, g: 0, b: 0, a: 1 } }];
+const text = (characters, extra = {}) => ({ type: 'TEXT', name: characters, characters, ...extra });
+const control = (characters, extra = {}) => ({
+  type: 'FRAME',
+  name: 'Frame 1',
+  fills: solid,
+  cornerRadius: 8,
+  paddingLeft: 16,
+  absoluteBoundingBox: { x: 0, y: 0, width: 120, height: 40 },
+  children: [text(characters)],
+  ...extra,
+});
+
+describe('figmaRoles', () => {
+  describe('roleOverride', () => {
+    it('should read a [role] tag in the layer name', () => {
+      expect(roleOverride('Submit [button]')).toBe('button');
+      expect(roleOverride('[ NAV ] Header')).toBe('nav');
+      expect(roleOverride('Badge [none]')).toBeNull();
+      expect(roleOverride('Frame [draft]')).toBeUndefined();
+      expect(roleOverride('Frame 1')).toBeUndefined();
+    });
+  });
+
+  describe('inferRole', () => {
+    it('should honor overrides before anything else', () => {
+      expect(inferRole(control('Save', { name: 'Save [link]' }))).toBe('link');
+      expect(inferRole(control('Save', { name: 'Save [none]' }))).toBeNull();
+    });
+
+    it('should match keywords in layer and main component names', () => {
+      expect(inferRole({ type: 'INSTANCE', name: 'Button/Primary' })).toBe('button');
+      expect(inferRole({ type: 'FRAME', name: 'Top Navbar' })).toBe('nav');
+      expect(inferRole({ type: 'FRAME', name: 'Email text-field' })).toBe('input');
+      expect(inferRole({ type: 'FRAME', name: 'List item' })).toBe('listitem');
+      expect(inferRole({ type: 'INSTANCE', name: 'Primary' }, { names: ['Product Card'] })).toBe(
+        'card'
+      );
+      expect(inferRole({ type: 'FRAME', name: 'Buttons' })).toBeNull();
+    });
+
+    it('should only use renamed text layers for text roles', () => {
+      expect(inferRole(text('Welcome', { name: 'Title' }))).toBe('heading');
+      expect(inferRole(text('Title'))).toBeNull();
+    });
+
+    it('should detect buttons and inputs from their structure', () => {
+      expect(inferRole(control('Sign in'))).toBe('button');
+      expect(inferRole(control('Enter your email'))).toBe('input');
+      expect(inferRole(control('Search…'))).toBe('input');
+      expect(inferRole(control('you@example.com'))).toBe('input');
+      expect(inferRole(control('Sign in', { cornerRadius: 0 }))).toBeNull();
+      expect(
+        inferRole(
+          control('Sign in', { absoluteBoundingBox: { x: 0, y: 0, width: 120, height: 90 } })
+        )
+      ).toBeNull();
+    });
+
+    it('should detect cards from their structure', () => {
+      const card = {
+        type: 'FRAME',
+        name: 'Frame 2',
+        cornerRadius: 12,
+        effects: [{ type: 'DROP_SHADOW' }],
+        absoluteBoundingBox: { x: 0, y: 0, width: 300, height: 200 },
+        children: [{ type: 'RECTANGLE' }, text('Plan'), text('$10')],
+      };
+
+      expect(inferRole(card)).toBe('card');
+      expect(inferRole({ ...card, effects: [] })).toBeNull();
+    });
+
+    it('should turn repeated siblings into a list of items', () => {
+      const item = { type: 'INSTANCE', name: 'Row', componentId: 'c:1', children: [] };
+      const list = { type: 'FRAME', name: 'Frame 3', children: [item, item, item] };
+
+      expect(hasRepeatedChildren(list)).toBe(true);
+      expect(inferRole(list)).toBe('list');
+      expect(inferRole(item, { parent: list })).toBe('listitem');
+      expect(hasRepeatedChildren({ children: [item, item] })).toBe(false);
+      expect(hasRepeatedChildren({ children: [item, item, { ...item, componentId: 'c:2' }] })).toBe(
+        false
+      );
+    });
+
+    it('should turn a row of short texts into a nav of links', () => {
+      const menu = {
+        type: 'FRAME',
+        name: 'Frame 4',
+        layoutMode: 'HORIZONTAL',
+        children: [text('Home'), text('Pricing'), text('About us')],
+      };
+
+      expect(inferRole(menu)).toBe('nav');
+      expect(inferRole(menu.children[0], { parent: menu })).toBe('link');
+      expect(inferRole(text('Home'), { parent: { type: 'FRAME', name: 'Frame 5' } })).toBeNull();
+    });
+
+    it('should give the variants of a component set the role of the set', () => {
+      const set = { type: 'COMPONENT_SET', name: 'Button', children: [] };
+
+      expect(inferRole({ type: 'COMPONENT', name: 'Size=Large' }, { parent: set })).toBe('button');
+    });
+  });
+});
@@ -0,0 +1,232 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  figmaColorToHex,
+  figmaColorToRgba,
+  resolveStyleValue,
+  resolveStyleNodeValue,
+  resolveStyleValues,
+  getStyleReferences,
+} from '../../src/utils/figmaStyles.js';
+
+describe('figmaStyles', () => {
+  describe('figmaColorToHex', () => {
+    it('should convert opaque colors to 6-digit hex', () => {
+      expect(figmaColorToHex({ r: 1, g: 0.5, b: 0, a: 1 })).toBe('#ff8000');
+    });
+
+    it('should append alpha for translucent colors', () => {
+      expect(figmaColorToHex({ r: 0, g: 0, b: 0, a: 0.5 })).toBe('#00000080');
+      expect(figmaColorToHex({ r: 0, g: 0, b: 0 }, 0.5)).toBe('#00000080');
+    });
+
+    it('should return null without color', () => {
+      expect(figmaColorToHex(null)).toBeNull();
+    });
+  });
+
+  describe('figmaColorToRgba', () => {
+    it('should convert colors with combined opacity', () => {
+      expect(figmaColorToRgba({ r: 1, g: 1, b: 1, a: 0.8 }, 0.5)).toBe('rgba(255, 255, 255, 0.4)');
+    });
+
+    it('should default alpha to 1 and return null without color', () => {
+      expect(figmaColorToRgba({ r: 0, g: 0, b: 1 })).toBe('rgba(0, 0, 255, 1)');
+      expect(figmaColorToRgba(undefined)).toBeNull();
+    });
+  });
+
+  describe('resolveStyleValue', () => {
+    it('should resolve FILL styles from the first visible solid paint', () => {
+      const value = resolveStyleValue('FILL', 'fill', {
+        fills: [
+          { type: 'SOLID', visible: false, color: { r: 1, g: 0, b: 0, a: 1 } },
+          { type: 'SOLID', opacity: 0.5, color: { r: 0, g: 0, b: 1, a: 1 } },
+        ],
+      });
+
+      expect(value.type).toBe('SOLID');
+      expect(value.hex).toBe('#0000ff80');
+      expect(value.rgba).toBe('rgba(0, 0, 255, 0.5)');
+      expect(value.color).toEqual({ r: 0, g: 0, b: 1, a: 0.5 });
+      expect(value.paints).toHaveLength(1);
+    });
+
+    it('should resolve stroke references from strokes and keep gradients without hex', () => {
+      const value = resolveStyleValue('FILL', 'stroke', {
+        fills: [],
+        strokes: [{ type: 'GRADIENT_LINEAR', gradientStops: [] }],
+      });
+
+      expect(value.type).toBe('GRADIENT_LINEAR');
+      expect(value.hex).toBeNull();
+      expect(value.color).toBeNull();
+    });
+
+    it('should resolve TEXT styles into full font specs', () => {
+      const value = resolveStyleValue('TEXT', 'text', {
+        style: {
+          fontFamily: 'Inter',
+          fontWeight: 700,
+          fontSize: 24,
+          lineHeightPx: 32,
+          letterSpacing: -0.5,
+          textCase: 'UPPER',
+          italic: true,
+        },
+      });
+
+      expect(value).toMatchObject({
+        fontFamily: 'Inter',
+        fontWeight: 700,
+        fontSize: 24,
+        lineHeightPx: 32,
+        letterSpacing: -0.5,
+        textCase: 'UPPER',
+        textDecoration: 'NONE',
+        italic: true,
+      });
+    });
+
+    it('should default missing TEXT fields', () => {
+      const value = resolveStyleValue('TEXT', 'text', {});
+
+      expect(value.fontFamily).toBeNull();
+      expect(value.letterSpacing).toBe(0);
+      expect(value.textCase).toBe('ORIGINAL');
+      expect(value.italic).toBe(false);
+    });
+
+    it('should resolve EFFECT styles into shadow and blur parameters', () => {
+      const value = resolveStyleValue('EFFECT', 'effect', {
+        effects: [
+          {
+            type: 'DROP_SHADOW',
+            color: { r: 0, g: 0, b: 0, a: 0.25 },
+            offset: { x: 0, y: 4 },
+            radius: 8,
+            spread: 1,
+          },
+          { type: 'LAYER_BLUR', radius: 4 },
+          { type: 'INNER_SHADOW', visible: false, radius: 2 },
+        ],
+      });
+
+      expect(value.effects).toEqual([
+        {
+          type: 'DROP_SHADOW',
+          color: 'rgba(0, 0, 0, 0.25)',
+          offset: { x: 0, y: 4 },
+          radius: 8,
+          spread: 1,
+        },
+        { type: 'LAYER_BLUR', color: null, offset: null, radius: 4, spread: 0 },
+      ]);
+    });
+
+    it('should resolve GRID styles into layout grids', () => {
+      const value = resolveStyleValue('GRID', 'grid', {
+        layoutGrids: [
+          {
+            pattern: 'COLUMNS',
+            alignment: 'STRETCH',
+            count: 12,
+            gutterSize: 24,
+            offset: 80,
+            color: { r: 1, g: 0, b: 0, a: 0.1 },
+          },
+          { pattern: 'GRID', sectionSize: 8 },
+        ],
+      });
+
+      expect(value.grids[0]).toEqual({
+        pattern: 'COLUMNS',
+        alignment: 'STRETCH',
+        count: 12,
+        sectionSize: null,
+        gutterSize: 24,
+        offset: 80,
+        color: 'rgba(255, 0, 0, 0.1)',
+      });
+      expect(value.grids[1].sectionSize).toBe(8);
+      expect(value.grids[1].color).toBeNull();
+    });
+
+    it('should handle nodes without the style data and unknown types', () => {
+      expect(resolveStyleValue('FILL', 'fill', {}).paints).toEqual([]);
+      expect(resolveStyleValue('EFFECT', 'effect', {}).effects).toEqual([]);
+      expect(resolveStyleValue('GRID', 'grid', {}).grids).toEqual([]);
+      expect(resolveStyleValue('UNKNOWN', 'fill', {})).toBeNull();
+    });
+  });
+
+  describe('resolveStyleNodeValue', () => {
+    it('should resolve a style from the node that defines it', () => {
+      const node = { fills: [{ type: 'SOLID', color: { r: 1, g: 0, b: 0, a: 1 } }] };
+
+      expect(resolveStyleNodeValue('FILL', node).hex).toBe('#ff0000');
+      expect(resolveStyleNodeValue('TEXT', { style: { fontSize: 12 } }).fontSize).toBe(12);
+      expect(resolveStyleNodeValue('FILL', undefined)).toBeNull();
+    });
+  });
+
+  describe('resolveStyleValues', () => {
+    it('should map every referenced style ID to the value of the first node using it', () => {
+      const fileData = {
+        document: {
+          children: [
+            {
+              type: 'CANVAS',
+              children: [
+                null,
+                {
+                  type: 'TEXT',
+                  styles: { text: 'S:text', fill: 'S:fill', unknown: 'S:other' },
+                  style: { fontFamily: 'Inter', fontSize: 16 },
+                  fills: [{ type: 'SOLID', color: { r: 0, g: 0, b: 0, a: 1 } }],
+                },
+                {
+                  type: 'RECTANGLE',
+                  styles: { fill: 'S:fill' },
+                  fills: [{ type: 'SOLID', color: { r: 1, g: 1, b: 1, a: 1 } }],
+                },
+              ],
+            },
+          ],
+        },
+      };
+
+      const values = resolveStyleValues(fileData);
+
+      expect(Object.keys(values).sort()).toEqual(['S:fill', 'S:text']);
+      expect(values['S:text'].fontFamily).toBe('Inter');
+      expect(values['S:fill'].hex).toBe('#000000');
+    });
+
+    it('should return an empty map without document', () => {
+      expect(resolveStyleValues({})).toEqual({});
+      expect(resolveStyleValues(null)).toEqual({});
+    });
+  });
+
+  describe('getStyleReferences', () => {
+    it('should map reference keys to style names', () => {
+      const node = { styles: { fills: 'S:1', strokes: 'S:2', text: 'S:3', effect: 'S:missing' } };
+      const definitions = {
+        'S:1': { name: 'Brand/Primary' },
+        'S:2': { name: 'Border/Default' },
+        'S:3': { name: 'Body/Regular' },
+      };
+
+      expect(getStyleReferences(node, definitions)).toEqual({
+        fill: 'Brand/Primary',
+        stroke: 'Border/Default',
+        text: 'Body/Regular',
+      });
+    });
+
+    it('should return null when nothing resolves', () => {
+      expect(getStyleReferences({})).toBeNull();
+      expect(getStyleReferences({ styles: { fill: 'S:1' } })).toBeNull();
+    });
+  });
+});
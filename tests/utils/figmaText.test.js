@@ -0,0 +1,140 @@
+import { describe, it, expect } from '@jest/globals';
+import { extractText, isRichText, typeStyleCss } from '../../src/utils/figmaText.js';
+
+const base = { fontFamily: 'Inter', fontSize: 16, fontWeight: 400 };
+
+describe('figmaText', () => {
+  describe('typeStyleCss', () => {
+    it('should convert type styles into CSS declarations', () => {
+      expect(
+        typeStyleCss({
+          ...base,
+          italic: true,
+          letterSpacing: 0.5,
+          lineHeightPx: 24,
+          lineHeightUnit: 'PIXELS',
+          textCase: 'UPPER',
+          textDecoration: 'STRIKETHROUGH',
+          fills: [{ type: 'SOLID', color: { r: 1, g: 0, b: 0, a: 1 } }],
+        })
+      ).toEqual({
+        fontFamily: "'Inter'",
+        fontSize: '16px',
+        fontWeight: '400',
+        fontStyle: 'italic',
+        letterSpacing: '0.5px',
+        lineHeight: '24px',
+        textDecoration: 'line-through',
+        color: 'rgba(255, 0, 0, 1)',
+        textTransform: 'uppercase',
+      });
+      expect(
+        typeStyleCss({ lineHeightUnit: 'FONT_SIZE_%', lineHeightPercentFontSize: 150 })
+      ).toEqual({ lineHeight: '1.5' });
+      expect(typeStyleCss({ textCase: 'SMALL_CAPS', lineHeightUnit: 'INTRINSIC_%' })).toEqual({
+        fontVariant: 'small-caps',
+      });
+    });
+  });
+
+  describe('extractText', () => {
+    it('should split overridden characters into styled spans', () => {
+      const text = extractText({
+        type: 'TEXT',
+        characters: 'Read the docs now',
+        style: base,
+        characterStyleOverrides: [0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2],
+        styleOverrideTable: {
+          1: { fontWeight: 700, hyperlink: { type: 'URL', url: 'https://example.com' } },
+          2: { italic: true, fills: [{ type: 'SOLID', color: { r: 0, g: 0, b: 1, a: 1 } }] },
+        },
+      });
+
+      expect(text.paragraphs).toEqual([
+        {
+          spans: [
+            { text: 'Read the ' },
+            { text: 'docs', bold: true, link: { url: 'https://example.com' } },
+            { text: ' now', italic: true, css: { color: 'rgba(0, 0, 255, 1)' } },
+          ],
+        },
+      ]);
+      expect(isRichText(text)).toBe(true);
+    });
+
+    it('should compare span colors with the layer fills and reset dropped styles', () => {
+      const red = { r: 1, g: 0, b: 0, a: 1 };
+      const text = extractText({
+        type: 'TEXT',
+        characters: 'ab',
+        style: { ...base, italic: true, textDecoration: 'UNDERLINE' },
+        fills: [{ type: 'SOLID', color: red }],
+        characterStyleOverrides: [0, 1],
+        styleOverrideTable: {
+          1: { italic: false, textDecoration: 'NONE', fills: [{ type: 'SOLID', color: red }] },
+        },
+      });
+
+      expect(text.paragraphs[0].spans[1]).toEqual({
+        text: 'b',
+        css: { fontStyle: 'normal', textDecoration: 'none' },
+      });
+    });
+
+    it('should keep list types and indentation per line', () => {
+      const text = extractText({
+        type: 'TEXT',
+        characters: 'Steps\nOne\nTwo\nDetail',
+        style: base,
+        lineTypes: ['NONE', 'ORDERED', 'ORDERED', 'UNORDERED'],
+        lineIndentations: [0, 1, 1, 2],
+      });
+
+      expect(text.paragraphs).toEqual([
+        { spans: [{ text: 'Steps' }] },
+        { spans: [{ text: 'One' }], list: 'ordered', indent: 1 },
+        { spans: [{ text: 'Two' }], list: 'ordered', indent: 1 },
+        { spans: [{ text: 'Detail' }], list: 'unordered', indent: 2 },
+      ]);
+    });
+
+    it('should capture layer typography and truncation and link whole layers', () => {
+      const text = extractText({
+        type: 'TEXT',
+        characters: 'Long description',
+        style: {
+          ...base,
+          letterSpacing: 1,
+          textDecoration: 'UNDERLINE',
+          textTruncation: 'ENDING',
+          maxLines: 2,
+          hyperlink: { type: 'NODE', nodeID: '1:2' },
+        },
+      });
+
+      expect(text.css).toEqual({
+        letterSpacing: '1px',
+        textDecoration: 'underline',
+        display: '-webkit-box',
+        WebkitBoxOrient: 'vertical',
+        WebkitLineClamp: '2',
+        overflow: 'hidden',
+      });
+      expect(text.maxLines).toBe(2);
+      expect(text.paragraphs[0].spans).toEqual([
+        { text: 'Long description', link: { nodeId: '1:2' } },
+      ]);
+      expect(
+        extractText({ type: 'TEXT', characters: 'A', style: { textTruncation: 'ENDING' } }).css
+      ).toEqual({ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' });
+    });
+
+    it('should treat plain text as not rich and ignore other nodes', () => {
+      const text = extractText({ type: 'TEXT', characters: 'Hello\nWorld', style: base });
+
+      expect(isRichText(text)).toBe(false);
+      expect(text.paragraphs).toHaveLength(2);
+      expect(extractText({ type: 'FRAME' })).toBeNull();
+    });
+  });
+});
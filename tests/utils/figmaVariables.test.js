@@ -0,0 +1,231 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  getBoundVariables,
+  parseVariables,
+  variableModeValue,
+} from '../../src/utils/figmaVariables.js';
+
+const alias = (id) => ({ type: 'VARIABLE_ALIAS', id });
+
+const response = {
+  status: 200,
+  error: false,
+  meta: {
+    variableCollections: {
+      'c:theme': {
+        id: 'c:theme',
+        name: 'Theme',
+        modes: [
+          { modeId: 'm:light', name: 'Light' },
+          { modeId: 'm:dark', name: 'Dark' },
+        ],
+        defaultModeId: 'm:light',
+      },
+      'c:primitives': {
+        id: 'c:primitives',
+        name: 'Primitives',
+        modes: [{ modeId: 'm:base', name: 'Value' }],
+        defaultModeId: 'm:base',
+      },
+    },
+    variables: {
+      'v:blue': {
+        id: 'v:blue',
+        name: 'Blue/500',
+        variableCollectionId: 'c:primitives',
+        resolvedType: 'COLOR',
+        valuesByMode: { 'm:base': { r: 0, g: 0.4, b: 1, a: 1 } },
+        scopes: ['ALL_SCOPES'],
+      },
+      'v:surface': {
+        id: 'v:surface',
+        name: 'Color/Surface',
+        variableCollectionId: 'c:theme',
+        resolvedType: 'COLOR',
+        valuesByMode: {
+          'm:light': { r: 1, g: 1, b: 1, a: 1 },
+          'm:dark': { r: 0, g: 0, b: 0, a: 1 },
+        },
+        scopes: ['FRAME_FILL'],
+      },
+      'v:accent': {
+        id: 'v:accent',
+        name: 'Color/Accent',
+        variableCollectionId: 'c:theme',
+        resolvedType: 'COLOR',
+        valuesByMode: { 'm:light': alias('v:blue'), 'm:dark': alias('v:missing') },
+        scopes: ['ALL_SCOPES'],
+        codeSyntax: { WEB: 'var(--accent)' },
+      },
+      'v:space': {
+        id: 'v:space',
+        name: 'Space/MD',
+        variableCollectionId: 'c:primitives',
+        resolvedType: 'FLOAT',
+        valuesByMode: { 'm:base': 16 },
+        scopes: ['GAP'],
+      },
+      'v:weight': {
+        id: 'v:weight',
+        name: 'Weight/Bold',
+        variableCollectionId: 'c:primitives',
+        resolvedType: 'FLOAT',
+        valuesByMode: { 'm:base': 700 },
+        scopes: ['FONT_WEIGHT'],
+      },
+      'v:fade': {
+        id: 'v:fade',
+        name: 'Opacity/Fade',
+        variableCollectionId: 'c:primitives',
+        resolvedType: 'FLOAT',
+        valuesByMode: { 'm:base': 50 },
+        scopes: ['OPACITY'],
+      },
+      'v:compact': {
+        id: 'v:compact',
+        name: 'Compact',
+        variableCollectionId: 'c:primitives',
+        resolvedType: 'BOOLEAN',
+        valuesByMode: { 'm:base': true },
+        scopes: [],
+      },
+    },
+  },
+};
+
+describe('figmaVariables', () => {
+  describe('parseVariables', () => {
+    it('should normalize collections, modes and variable names', () => {
+      const { collections, variables } = parseVariables(response);
+
+      expect(collections['c:theme']).toEqual({
+        id: 'c:theme',
+        name: 'Theme',
+        modes: [
+          { modeId: 'm:light', name: 'Light', slug: 'light' },
+          { modeId: 'm:dark', name: 'Dark', slug: 'dark' },
+        ],
+        defaultModeId: 'm:light',
+      });
+      expect(variables['v:surface']).toMatchObject({
+        collectionId: 'c:theme',
+        path: ['color', 'surface'],
+        cssName: 'color-surface',
+      });
+      // The web code syntax set by the designer names the custom property
+      expect(variables['v:accent'].cssName).toBe('accent');
+    });
+
+    it('should accept exported JSON with lists and no meta wrapper', () => {
+      const parsed = parseVariables({
+        variableCollections: Object.values(response.meta.variableCollections),
+        variables: Object.values(response.meta.variables),
+      });
+
+      expect(Object.keys(parsed.variables)).toHaveLength(7);
+      expect(parsed.collections['c:primitives'].modes[0].slug).toBe('value');
+    });
+
+    it('should default missing names, modes and values', () => {
+      const parsed = parseVariables({
+        variableCollections: [
+          { id: 'c:1', name: 'Bare' },
+          { id: 'c:2', name: 'Modes', modes: [{ modeId: 'm:1', name: '***' }] },
+        ],
+        variables: [
+          { id: 'v:1', variableCollectionId: 'c:1', resolvedType: 'STRING' },
+          {
+            id: 'v:2',
+            name: 'Label',
+            variableCollectionId: 'c:2',
+            resolvedType: 'STRING',
+            valuesByMode: { 'm:1': 42 },
+          },
+        ],
+      });
+
+      expect(parsed.collections['c:1'].modes).toEqual([]);
+      expect(parsed.collections['c:2'].modes[0].slug).toBe('m:1');
+      expect(parsed.variables['v:1']).toMatchObject({ path: ['v-1'], valuesByMode: {} });
+      expect(variableModeValue(parsed.variables['v:2'], 'm:1', parsed)).toBeNull();
+    });
+
+    it('should return null without variables', () => {
+      expect(parseVariables({ meta: { variables: {}, variableCollections: {} } })).toBeNull();
+      expect(parseVariables(null)).toBeNull();
+    });
+  });
+
+  describe('variableModeValue', () => {
+    const set = parseVariables(response);
+    const value = (id, modeId) => variableModeValue(set.variables[id], modeId, set);
+
+    it('should convert values into CSS-ready values per type and scope', () => {
+      expect(value('v:surface', 'm:dark')).toBe('#000000');
+      expect(value('v:space', 'm:base')).toBe('16px');
+      expect(value('v:weight', 'm:base')).toBe(700);
+      expect(value('v:fade', 'm:base')).toBe('50%');
+      expect(value('v:compact', 'm:base')).toBeNull();
+    });
+
+    it('should resolve aliases to the variable they reference', () => {
+      expect(value('v:accent', 'm:light')).toEqual({ alias: set.variables['v:blue'] });
+      expect(value('v:accent', 'm:dark')).toBeNull();
+    });
+  });
+
+  describe('getBoundVariables', () => {
+    const set = parseVariables(response);
+
+    it('should map bound node properties to custom property names', () => {
+      const node = {
+        fills: [{ type: 'SOLID', color: { r: 1, g: 1, b: 1 }, boundVariables: {} }],
+        strokes: [{ type: 'SOLID', color: { r: 0, g: 0, b: 1 } }],
+        boundVariables: {
+          fills: [alias('v:surface')],
+          strokes: [alias('v:accent')],
+          itemSpacing: alias('v:space'),
+          paddingLeft: alias('v:space'),
+          topLeftRadius: alias('v:space'),
+          topRightRadius: alias('v:space'),
+          bottomRightRadius: alias('v:space'),
+          bottomLeftRadius: alias('v:space'),
+          opacity: alias('v:fade'),
+          fontWeight: [alias('v:weight')],
+        },
+      };
+
+      expect(getBoundVariables(node, set)).toEqual({
+        fill: 'color-surface',
+        stroke: 'accent',
+        gap: 'space-md',
+        paddingLeft: 'space-md',
+        borderRadius: 'space-md',
+        opacity: 'opacity-fade',
+        fontWeight: 'weight-bold',
+      });
+    });
+
+    it('should read the color binding of a paint', () => {
+      const node = {
+        fills: [{ type: 'SOLID', boundVariables: { color: alias('v:surface') } }],
+      };
+
+      expect(getBoundVariables(node, set)).toEqual({ fill: 'color-surface' });
+    });
+
+    it('should skip stacked paints, mixed corners and unknown variables', () => {
+      const node = {
+        fills: [{ type: 'SOLID' }, { type: 'SOLID' }],
+        boundVariables: {
+          fills: [alias('v:surface'), alias('v:surface')],
+          topLeftRadius: alias('v:space'),
+          width: alias('v:remote'),
+        },
+      };
+
+      expect(getBoundVariables(node, set)).toBeNull();
+      expect(getBoundVariables(node, null)).toBeNull();
+    });
+  });
+});
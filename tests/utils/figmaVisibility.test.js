@@ -0,0 +1,145 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+  isHidden,
+  isRendered,
+  maskToCss,
+  extractMasks,
+  extractClipping,
+} from '../../src/utils/figmaVisibility.js';
+
+const box = (x, y, width, height) => ({ x, y, width, height });
+
+describe('figmaVisibility', () => {
+  describe('isHidden', () => {
+    it('should detect hidden and fully transparent layers', () => {
+      expect(isHidden({ visible: false })).toBe(true);
+      expect(isHidden({ opacity: 0 })).toBe(true);
+      expect(isHidden({ opacity: 0.5 })).toBe(false);
+      expect(isHidden({})).toBe(false);
+    });
+  });
+
+  describe('isRendered', () => {
+    it('should skip masks and hidden layers unless a prop toggles them', () => {
+      expect(isRendered({ id: '1' })).toBe(true);
+      expect(isRendered({ isMask: true })).toBe(false);
+      expect(isRendered({ visible: false })).toBe(false);
+      expect(isRendered({ visible: false }, { includeHidden: true })).toBe(true);
+      expect(
+        isRendered({ visible: false, componentPropertyReferences: { visible: 'Icon#1' } })
+      ).toBe(true);
+      expect(isRendered({ isMask: true }, { includeHidden: true })).toBe(false);
+    });
+  });
+
+  describe('maskToCss', () => {
+    const parent = box(100, 100, 200, 100);
+
+    it('should hide the overflow of a mask covering the whole layer', () => {
+      expect(maskToCss({ type: 'RECTANGLE', absoluteBoundingBox: parent }, parent)).toEqual({
+        overflow: 'hidden',
+      });
+    });
+
+    it('should inset rectangles and keep their corner radii', () => {
+      expect(
+        maskToCss(
+          { type: 'RECTANGLE', cornerRadius: 8, absoluteBoundingBox: box(110, 100, 180, 90) },
+          parent
+        )
+      ).toEqual({ clipPath: 'inset(0px 10px 10px 10px round 8px)' });
+      expect(
+        maskToCss(
+          {
+            type: 'RECTANGLE',
+            rectangleCornerRadii: [8, 8, 0, 0],
+            absoluteBoundingBox: parent,
+          },
+          parent
+        )
+      ).toEqual({ clipPath: 'inset(0px 0px 0px 0px round 8px 8px 0px 0px)' });
+    });
+
+    it('should clip to ellipses', () => {
+      expect(
+        maskToCss({ type: 'ELLIPSE', absoluteBoundingBox: box(150, 100, 100, 100) }, parent)
+      ).toEqual({ clipPath: 'ellipse(50px 50px at 100px 50px)' });
+    });
+
+    it('should return no CSS without geometry', () => {
+      expect(maskToCss({ type: 'RECTANGLE' }, parent)).toEqual({});
+    });
+  });
+
+  describe('extractMasks', () => {
+    it('should clip the layers above each mask up to the next one', () => {
+      const node = {
+        absoluteBoundingBox: box(0, 0, 100, 100),
+        children: [
+          { id: '1', type: 'RECTANGLE' },
+          { id: '2', type: 'VECTOR', isMask: true, absoluteBoundingBox: box(0, 0, 50, 50) },
+          { id: '3', type: 'RECTANGLE' },
+          { id: '4', type: 'ELLIPSE', isMask: true, maskType: 'VECTOR', visible: false },
+          { id: '5', type: 'RECTANGLE' },
+          { id: '6', type: 'RECTANGLE', isMask: true },
+        ],
+      };
+
+      expect(extractMasks(node)).toEqual([
+        {
+          id: '2',
+          name: undefined,
+          type: 'ALPHA',
+          shape: 'VECTOR',
+          nodes: ['3', '5'],
+          css: { clipPath: 'inset(0px 50px 50px 0px)' },
+          approximate: true,
+        },
+      ]);
+    });
+  });
+
+  describe('extractClipping', () => {
+    it('should record whether a frame clips its content', () => {
+      expect(extractClipping({ clipsContent: true })).toEqual({
+        clipsContent: true,
+        css: { overflow: 'hidden' },
+      });
+      expect(extractClipping({ clipsContent: false })).toEqual({ clipsContent: false, css: {} });
+      expect(extractClipping({ type: 'GROUP' })).toBeNull();
+    });
+
+    it('should apply a mask clipping every rendered layer to the layer itself', () => {
+      const group = {
+        type: 'GROUP',
+        absoluteBoundingBox: box(0, 0, 40, 40),
+        children: [
+          { id: '1', type: 'ELLIPSE', isMask: true, absoluteBoundingBox: box(0, 0, 40, 40) },
+          { id: '2', type: 'RECTANGLE' },
+        ],
+      };
+
+      const clipping = extractClipping(group);
+
+      expect(clipping.masks[0].scope).toBe('parent');
+      expect(clipping.css).toEqual({ clipPath: 'ellipse(20px 20px at 20px 20px)' });
+    });
+
+    it('should leave masks of only some layers to a wrapper', () => {
+      const frame = {
+        clipsContent: true,
+        absoluteBoundingBox: box(0, 0, 40, 40),
+        children: [
+          { id: '1', type: 'RECTANGLE' },
+          { id: '2', type: 'RECTANGLE', isMask: true, absoluteBoundingBox: box(0, 0, 20, 40) },
+          { id: '3', type: 'RECTANGLE' },
+        ],
+      };
+
+      const clipping = extractClipping(frame);
+
+      expect(clipping.masks[0]).toMatchObject({ scope: 'nodes', nodes: ['3'] });
+      expect(clipping.css).toEqual({ overflow: 'hidden' });
+    });
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, it, expect } from '@jest/globals';
+import { Readable } from 'stream';
+import { isReadableStream, parseJsonStream } from '../../src/utils/jsonStream.js';
+
+describe('jsonStream', () => {
+  describe('isReadableStream', () => {
+    it('should tell streams from parsed bodies', () => {
+      expect(isReadableStream(Readable.from([]))).toBe(true);
+      expect(isReadableStream({ name: 'File' })).toBe(false);
+      expect(isReadableStream(null)).toBe(false);
+    });
+  });
+
+  describe('parseJsonStream', () => {
+    it('should parse JSON split across chunks', async () => {
+      const body = Readable.from(['{"name":"Fi', 'le","nodes":[1,', '2,{"id":"0:1"}],"ok":true}']);
+
+      await expect(parseJsonStream(body)).resolves.toEqual({
+        name: 'File',
+        nodes: [1, 2, { id: '0:1' }],
+        ok: true,
+      });
+    });
+
+    it('should return bodies that are already parsed', async () => {
+      const body = { name: 'File' };
+
+      await expect(parseJsonStream(body)).resolves.toBe(body);
+    });
+
+    it('should reject malformed JSON', async () => {
+      await expect(parseJsonStream(Readable.from(['{"name": ']))).rejects.toThrow();
+    });
+  });
+});
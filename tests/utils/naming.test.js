@@ -0,0 +1,35 @@
+import { describe, it, expect } from '@jest/globals';
+import { reserve, toKebabCase, toPascalCase } from '../../src/utils/naming.js';
+
+describe('naming', () => {
+  it('should convert layer names to PascalCase identifiers', () => {
+    expect(toPascalCase('login card')).toBe('LoginCard');
+    expect(toPascalCase('primaryButton/Large')).toBe('PrimaryButtonLarge');
+    expect(toPascalCase('404 page')).toBe('Component404Page');
+    expect(toPascalCase('')).toBe('Component');
+  });
+
+  it('should convert layer names to kebab-case identifiers', () => {
+    expect(toKebabCase('Login Card')).toBe('login-card');
+    expect(toKebabCase('primaryButton')).toBe('primary-button');
+    expect(toKebabCase('1st item')).toBe('el-1st-item');
+    expect(toKebabCase('***')).toBe('element');
+  });
+
+  describe('reserve', () => {
+    it('should keep a free name and suffix a counter on collisions', () => {
+      const used = new Set();
+
+      expect(reserve(used, 'Button')).toBe('Button');
+      expect(reserve(used, 'Button')).toBe('Button2');
+      expect(reserve(used, 'Button')).toBe('Button3');
+      expect([...used]).toEqual(['Button', 'Button2', 'Button3']);
+    });
+
+    it('should put the separator before the counter', () => {
+      const used = new Set(['card', 'card-2']);
+
+      expect(reserve(used, 'card', '-')).toBe('card-3');
+    });
+  });
+});
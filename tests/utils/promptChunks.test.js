@@ -0,0 +1,146 @@
+import { describe, it, expect } from '@jest/globals';
+import { estimateTokens, planChunks } from '../../src/utils/promptChunks.js';
+
+const text = (id, content) => ({
+  id,
+  name: content,
+  type: 'TEXT',
+  properties: { content },
+  children: [],
+});
+// A container of `count` text layers of roughly `length` characters each
+const group = (id, name, count, length = 200) => ({
+  id,
+  name,
+  type: 'FRAME',
+  properties: {},
+  children: Array.from({ length: count }, (_, index) => text(`${id}-${index}`, 'x'.repeat(length))),
+});
+
+describe('promptChunks', () => {
+  describe('estimateTokens', () => {
+    it('should count about four characters of indented JSON per token', () => {
+      expect(estimateTokens({ a: 1 })).toBe(Math.ceil('{\n  "a": 1\n}'.length / 4));
+      expect(estimateTokens(undefined)).toBe(0);
+    });
+  });
+
+  describe('planChunks', () => {
+    it('should pack top-level frames into chunks that fit the budget, in order', () => {
+      const frames = [1, 2, 3].map((index) => group(`${index}:1`, `Screen ${index}`, 8));
+      const size = estimateTokens(frames[0]);
+
+      const { context, chunks } = planChunks(
+        { components: frames, styles: { colors: {} } },
+        size * 2 + 1000 + estimateTokens({ styles: { colors: {} } })
+      );
+
+      expect(context).toEqual({ styles: { colors: {} } });
+      expect(chunks.map(({ units }) => units.map((unit) => unit.frameId))).toEqual([
+        ['1:1', '2:1'],
+        ['3:1'],
+      ]);
+      expect(chunks[0].units[0]).toMatchObject({ name: null, node: frames[0], oversized: false });
+    });
+
+    it('should split the largest subtrees out of frames too large for one chunk, first', () => {
+      const hero = group('2:1', 'Hero', 11);
+      const features = group('3:1', 'Features', 10);
+      const page = {
+        id: '1:1',
+        name: 'Landing',
+        type: 'FRAME',
+        properties: {},
+        children: [hero, features, text('4:1', 'x'.repeat(400))],
+      };
+      const budget = estimateTokens(hero) + 20;
+
+      const { chunks } = planChunks({ components: [page] }, budget);
+      const units = chunks.flatMap((chunk) => chunk.units);
+
+      expect(units.map(({ name, frameId }) => [name, frameId])).toEqual([
+        ['Hero', '1:1'],
+        ['Features', '1:1'],
+        [null, '1:1'],
+      ]);
+      expect(units[0].node).toEqual({ ...hero, componentName: 'Hero' });
+      expect(units[2].node.children).toEqual([
+        { id: '2:1', name: 'Hero', type: 'FRAME', ref: 'Hero' },
+        { id: '3:1', name: 'Features', type: 'FRAME', ref: 'Features' },
+        text('4:1', 'x'.repeat(400)),
+      ]);
+      expect(units.every((unit) => !unit.oversized)).toBe(true);
+      chunks.forEach((chunk) => expect(chunk.tokens).toBeLessThanOrEqual(budget));
+    });
+
+    it('should split nested subtrees deepest first and keep names unique', () => {
+      const card = group('3:1', 'Card', 6);
+      const list = {
+        id: '2:1',
+        name: 'Card',
+        type: 'FRAME',
+        properties: {},
+        children: [card, group('3:2', 'Other', 6)],
+      };
+      const page = { id: '1:1', name: 'Card', type: 'FRAME', children: [list] };
+
+      const { chunks } = planChunks({ components: [page] }, estimateTokens(card) + 50);
+      const names = chunks.flatMap((chunk) => chunk.units.map((unit) => unit.name));
+
+      expect(names).toEqual(['Card3', 'Other', 'Card2', null]);
+    });
+
+    it('should flag nodes that still exceed the budget instead of dropping them', () => {
+      const wall = group('1:1', 'Wall of text', 40);
+
+      const { budget, chunks } = planChunks({ components: [wall, null] }, 1000);
+
+      expect(budget).toBe(1000);
+      expect(chunks).toHaveLength(1);
+      expect(chunks[0].units[0]).toMatchObject({ node: wall, oversized: true });
+    });
+
+    it('should flag a split subtree that still exceeds the budget and stop splitting once the rest fits', () => {
+      const wall = group('2:1', 'Wall', 40);
+      const page = {
+        id: '1:1',
+        name: 'Article',
+        type: 'FRAME',
+        children: [null, group('4:1', 'Aside', 1), wall],
+      };
+
+      const { budget, chunks } = planChunks({ components: [page] }, 1000);
+      const units = chunks.flatMap((chunk) => chunk.units);
+
+      expect(units.map(({ name, oversized }) => [name, oversized])).toEqual([
+        ['Wall', true],
+        [null, false],
+      ]);
+      expect(units[0].node).toEqual({ ...wall, componentName: 'Wall' });
+      expect(units[1].node.children).toEqual([
+        null,
+        group('4:1', 'Aside', 1),
+        { id: '2:1', name: 'Wall', type: 'FRAME', ref: 'Wall' },
+      ]);
+      expect(chunks.map((chunk) => chunk.units.length)).toEqual([1, 1]);
+      expect(chunks[0].tokens).toBeGreaterThan(budget);
+    });
+
+    it('should keep a leaf over the budget whole, as one oversized unit', () => {
+      const copy = text('1:1', 'x'.repeat(8000));
+      delete copy.children;
+
+      const { chunks } = planChunks({ components: [copy] }, 1000);
+
+      expect(chunks).toHaveLength(1);
+      expect(chunks[0].units).toHaveLength(1);
+      expect(chunks[0].units[0]).toMatchObject({ frameId: '1:1', name: null, oversized: true });
+      expect(chunks[0].units[0].node).toMatchObject(copy);
+    });
+
+    it('should plan no chunks without components', () => {
+      expect(planChunks({ button: { type: 'button' } }, 1000).chunks).toEqual([]);
+      expect(planChunks(null, 1000)).toEqual({ context: {}, budget: 1000, chunks: [] });
+    });
+  });
+});
@@ -7,6 +7,15 @@ import {
   sanitizeFileName,
   validatePositiveInteger,
   validateBoolean,
+  validateTokenFormats,
+  validateGenerator,
+  validateOutputFormat,
+  validateImageFormat,
+  validateImageScales,
+  validateBreakpoints,
+  validateResponsiveQuery,
+  validateVariablesJson,
+  validateExtractionFilters,
 } from '../../src/utils/validators.js';
 
 describe('validators', () => {
@@ -31,6 +40,162 @@ describe('validators', () => {
     });
   });
 
+  describe('validateGenerator', () => {
+    it('should default to the AI generator', () => {
+      expect(validateGenerator()).toBe('ai');
+      expect(validateGenerator(null)).toBe('ai');
+    });
+
+    it('should return valid generators', () => {
+      expect(validateGenerator('template')).toBe('template');
+      expect(validateGenerator('ai')).toBe('ai');
+    });
+
+    it('should throw for invalid generators', () => {
+      expect(() => validateGenerator('magic')).toThrow(
+        'Invalid generator. Must be one of: ai, template'
+      );
+    });
+  });
+
+  describe('validateOutputFormat', () => {
+    it('should default to JSON specifications', () => {
+      expect(validateOutputFormat()).toBe('json');
+    });
+
+    it('should return valid output formats', () => {
+      expect(validateOutputFormat('source')).toBe('source');
+    });
+
+    it('should throw for invalid output formats', () => {
+      expect(() => validateOutputFormat('zip')).toThrow(
+        'Invalid output format. Must be one of: json, source'
+      );
+    });
+  });
+
+  describe('validateImageFormat', () => {
+    it('should default to PNG and accept JPG', () => {
+      expect(validateImageFormat()).toBe('png');
+      expect(validateImageFormat('jpg')).toBe('jpg');
+    });
+
+    it('should throw for invalid image formats', () => {
+      expect(() => validateImageFormat('gif')).toThrow(
+        'Invalid image format. Must be one of: png, jpg'
+      );
+    });
+  });
+
+  describe('validateBreakpoints', () => {
+    it('should default to the mobile, tablet and desktop breakpoints', () => {
+      expect(validateBreakpoints()).toEqual({ mobile: 0, tablet: 768, desktop: 1280 });
+      expect(validateBreakpoints({ sm: 0, lg: 1024 })).toEqual({ sm: 0, lg: 1024 });
+    });
+
+    it('should throw for non-objects, single breakpoints and invalid widths', () => {
+      expect(() => validateBreakpoints([0, 768])).toThrow(
+        'Breakpoints must be an object mapping names to minimum widths'
+      );
+      expect(() => validateBreakpoints({ mobile: 0 })).toThrow(
+        'At least two breakpoints are required'
+      );
+      expect(() => validateBreakpoints({ mobile: 0, desktop: '1280' })).toThrow(
+        'Invalid breakpoint. Minimum widths must be non-negative integers'
+      );
+    });
+  });
+
+  describe('validateResponsiveQuery', () => {
+    it('should default to media queries', () => {
+      expect(validateResponsiveQuery()).toBe('media');
+      expect(validateResponsiveQuery('container')).toBe('container');
+      expect(() => validateResponsiveQuery('print')).toThrow(
+        'Invalid responsive query. Must be one of: media, container'
+      );
+    });
+  });
+
+  describe('validateVariablesJson', () => {
+    it('should accept the variables response with or without its meta wrapper', () => {
+      const meta = { variables: {}, variableCollections: {} };
+
+      expect(validateVariablesJson()).toBeNull();
+      expect(validateVariablesJson({ meta })).toEqual({ meta });
+      expect(validateVariablesJson(meta)).toEqual(meta);
+      expect(() => validateVariablesJson([])).toThrow('Invalid variables JSON');
+      expect(() => validateVariablesJson({ collections: [] })).toThrow('Invalid variables JSON');
+    });
+  });
+
+  describe('validateExtractionFilters', () => {
+    it('should accept include and exclude lists and upper-case node types', () => {
+      expect(validateExtractionFilters()).toBeNull();
+      expect(
+        validateExtractionFilters({
+          include: { pages: 'Checkout', types: ['frame'] },
+          exclude: { frames: ['* / Draft'] },
+        })
+      ).toEqual({
+        include: { pages: ['Checkout'], types: ['FRAME'] },
+        exclude: { frames: ['* / Draft'] },
+      });
+    });
+
+    it('should throw for unknown keys, fields and non-string values', () => {
+      expect(() => validateExtractionFilters([])).toThrow('Filters must be an object');
+      expect(() => validateExtractionFilters({ pages: ['Home'] })).toThrow('Invalid filters key');
+      expect(() => validateExtractionFilters({ include: { layers: ['x'] } })).toThrow(
+        'Invalid filter field'
+      );
+      expect(() => validateExtractionFilters({ exclude: { pages: [1] } })).toThrow(
+        'Filters exclude.pages must be a list of non-empty strings'
+      );
+    });
+  });
+
+  describe('validateImageScales', () => {
+    it('should default to 1x and drop duplicates', () => {
+      expect(validateImageScales()).toEqual([1]);
+      expect(validateImageScales([1, 2, 2])).toEqual([1, 2]);
+    });
+
+    it('should throw for empty arrays and scales out of range', () => {
+      expect(() => validateImageScales([])).toThrow('Image scales must be a non-empty array');
+      expect(() => validateImageScales('2')).toThrow('Image scales must be a non-empty array');
+      expect(() => validateImageScales([1, 5])).toThrow(
+        'Invalid image scale. Must be a number between 0.01 and 4'
+      );
+    });
+  });
+
+  describe('validateTokenFormats', () => {
+    it('should return every format when none is given', () => {
+      expect(validateTokenFormats()).toEqual([
+        'dtcg',
+        'style-dictionary',
+        'css',
+        'scss',
+        'tailwind',
+      ]);
+      expect(validateTokenFormats(null)).toHaveLength(5);
+    });
+
+    it('should return valid formats unchanged', () => {
+      expect(validateTokenFormats(['css', 'tailwind'])).toEqual(['css', 'tailwind']);
+    });
+
+    it('should throw for non-array values', () => {
+      expect(() => validateTokenFormats('css')).toThrow('Token formats must be an array');
+    });
+
+    it('should throw for invalid formats', () => {
+      expect(() => validateTokenFormats(['css', 'less'])).toThrow(
+        'Invalid token format. Must be one of: dtcg, style-dictionary, css, scss, tailwind'
+      );
+    });
+  });
+
   describe('validateFramework', () => {
     it('should not throw for valid frameworks', () => {
       expect(() => validateFramework('react')).not.toThrow();
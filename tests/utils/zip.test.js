@@ -0,0 +1,139 @@
+import { describe, it, expect } from '@jest/globals';
+import zlib from 'zlib';
+import { crc32, createZip, streamZip, zipLimitError, ZIP_LIMITS } from '../../src/utils/zip.js';
+
+/**
+ * Read the entries of an archive through its central directory
+ */
+function readZip(archive) {
+  const end = archive.length - 22;
+  const count = archive.readUInt16LE(end + 10);
+  let offset = archive.readUInt32LE(end + 16);
+  const entries = {};
+
+  for (let index = 0; index < count; index += 1) {
+    const method = archive.readUInt16LE(offset + 10);
+    const checksum = archive.readUInt32LE(offset + 16);
+    const compressedSize = archive.readUInt32LE(offset + 20);
+    const nameLength = archive.readUInt16LE(offset + 28);
+    const localOffset = archive.readUInt32LE(offset + 42);
+    const name = archive.toString('utf-8', offset + 46, offset + 46 + nameLength);
+
+    const dataStart = localOffset + 30 + archive.readUInt16LE(localOffset + 26);
+    const body = archive.subarray(dataStart, dataStart + compressedSize);
+    const data = method === 8 ? zlib.inflateRawSync(body) : body;
+
+    entries[name] = { method, data: data.toString('utf-8'), valid: crc32(data) === checksum };
+    offset += 46 + nameLength;
+  }
+
+  return entries;
+}
+
+describe('zip', () => {
+  describe('crc32', () => {
+    it('should compute the standard CRC-32 checksum', () => {
+      expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+      expect(crc32(Buffer.alloc(0))).toBe(0);
+    });
+  });
+
+  describe('createZip', () => {
+    it('should write every entry with its content', async () => {
+      const archive = await createZip([
+        { name: 'project/project-index.json', data: JSON.stringify({ files: [] }) },
+        { name: 'project/react/src/Button.jsx', data: Buffer.from('export default 1;') },
+      ]);
+
+      const entries = readZip(archive);
+
+      expect(Object.keys(entries)).toEqual([
+        'project/project-index.json',
+        'project/react/src/Button.jsx',
+      ]);
+      expect(entries['project/project-index.json'].data).toBe('{"files":[]}');
+      expect(entries['project/react/src/Button.jsx'].valid).toBe(true);
+    });
+
+    it('should deflate compressible files and store the others', async () => {
+      const entries = readZip(
+        await createZip([
+          { name: 'tokens.css', data: ':root { --a: 1px; }\n'.repeat(100) },
+          { name: 'a.txt', data: 'a' },
+        ])
+      );
+
+      expect(entries['tokens.css'].method).toBe(8);
+      expect(entries['tokens.css'].data).toBe(':root { --a: 1px; }\n'.repeat(100));
+      expect(entries['a.txt'].method).toBe(0);
+    });
+
+    it('should keep UTF-8 file names', async () => {
+      expect(Object.keys(readZip(await createZip([{ name: 'Botão.json', data: '{}' }])))).toEqual([
+        'Botão.json',
+      ]);
+    });
+
+    it('should write an empty archive', async () => {
+      const archive = await createZip([]);
+
+      expect(archive).toHaveLength(22);
+      expect(archive.readUInt32LE(0)).toBe(0x06054b50);
+    });
+  });
+
+  describe('streamZip', () => {
+    it('should stream the same archive one entry at a time', async () => {
+      const modifiedAt = new Date(2025, 0, 1);
+      const files = [
+        { name: 'a/tokens.css', data: ':root {}\n'.repeat(20), modifiedAt },
+        { name: 'a/b.txt', data: 'b', modifiedAt },
+      ];
+      async function* entries() {
+        yield* files;
+      }
+
+      const chunks = [];
+      for await (const chunk of streamZip(entries())) {
+        chunks.push(chunk);
+      }
+
+      expect(chunks).toHaveLength(3);
+      expect(Buffer.concat(chunks)).toEqual(await createZip(files));
+      expect(readZip(Buffer.concat(chunks))['a/b.txt'].data).toBe('b');
+    });
+
+    it('should stream an empty archive', async () => {
+      const chunks = [];
+      for await (const chunk of streamZip([])) {
+        chunks.push(chunk);
+      }
+
+      expect(Buffer.concat(chunks)).toEqual(await createZip([]));
+    });
+  });
+
+  describe('limits', () => {
+    it('should accept files that fit in an archive without ZIP64', () => {
+      expect(zipLimitError([{ name: 'a.json', size: 10 }])).toBeNull();
+      expect(zipLimitError([])).toBeNull();
+    });
+
+    it('should report too many entries, a file too large and an archive too large', () => {
+      const file = { name: 'a.json', size: 1 };
+
+      expect(zipLimitError(Array(ZIP_LIMITS.entries + 1).fill(file))).toBe(
+        '65536 files exceed the ZIP limit of 65535 entries'
+      );
+      expect(zipLimitError([file, { name: 'big.bin', size: ZIP_LIMITS.bytes + 1 }])).toBe(
+        'big.bin exceeds the ZIP limit of 4 GB per file'
+      );
+      expect(
+        zipLimitError([
+          { name: 'a.bin', size: 3 * 1024 ** 3 },
+          { name: 'b.bin', size: 1024 ** 3 },
+        ])
+      ).toBe('The files exceed the ZIP limit of 4 GB per archive');
+    });
+  });
+});